@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS inventory_transactions;
+DROP TABLE IF EXISTS recipe_ingredient_products;
+DROP TABLE IF EXISTS products;
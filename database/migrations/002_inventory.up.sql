@@ -0,0 +1,47 @@
+-- Inventory management: products, recipe ingredient links and the transaction audit trail
+
+CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL UNIQUE,
+    description TEXT,
+    unit_of_measure VARCHAR(50) NOT NULL, -- 'kg', 'liters', 'pieces', 'grams', 'ml', etc.
+    current_quantity DECIMAL(10,3) NOT NULL DEFAULT 0,
+    low_stock_threshold INTEGER DEFAULT 10,
+    cost_per_unit DECIMAL(10,2),
+    supplier_info TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recipe ingredient to product links table (folded into recipe_ingredients by 003)
+CREATE TABLE IF NOT EXISTS recipe_ingredient_products (
+    id SERIAL PRIMARY KEY,
+    recipe_ingredient_id INTEGER REFERENCES recipe_ingredients(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    quantity_per_serving DECIMAL(10,3) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(recipe_ingredient_id, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS inventory_transactions (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('sale', 'restock', 'adjustment', 'waste')),
+    quantity_change DECIMAL(10,3) NOT NULL, -- negative for outgoing, positive for incoming
+    reference_type VARCHAR(20), -- 'order', 'manual', 'recipe'
+    reference_id INTEGER, -- order_id, manual entry id, etc.
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_name ON products(name);
+CREATE INDEX IF NOT EXISTS idx_products_low_stock ON products(current_quantity, low_stock_threshold);
+CREATE INDEX IF NOT EXISTS idx_products_unit_measure ON products(unit_of_measure);
+
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredient_products_recipe_ingredient ON recipe_ingredient_products(recipe_ingredient_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredient_products_product ON recipe_ingredient_products(product_id);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_product ON inventory_transactions(product_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_type ON inventory_transactions(transaction_type);
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_reference ON inventory_transactions(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_created_at ON inventory_transactions(created_at);
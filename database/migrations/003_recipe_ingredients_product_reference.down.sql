@@ -0,0 +1,35 @@
+-- Restore the linking table and free-text ingredient names
+-- quantity_per_serving is rebuilt as the recipe quantity divided by the recipe's servings
+
+CREATE TABLE IF NOT EXISTS recipe_ingredient_products (
+    id SERIAL PRIMARY KEY,
+    recipe_ingredient_id INTEGER REFERENCES recipe_ingredients(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    quantity_per_serving DECIMAL(10,3) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(recipe_ingredient_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredient_products_recipe_ingredient ON recipe_ingredient_products(recipe_ingredient_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredient_products_product ON recipe_ingredient_products(product_id);
+
+ALTER TABLE recipe_ingredients
+ADD COLUMN IF NOT EXISTS name VARCHAR(100);
+
+UPDATE recipe_ingredients
+SET name = p.name
+FROM products p
+WHERE recipe_ingredients.product_id = p.id;
+
+ALTER TABLE recipe_ingredients
+ALTER COLUMN name SET NOT NULL;
+
+INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
+SELECT ri.id, ri.product_id, COALESCE(ri.quantity, 0) / COALESCE(NULLIF(r.servings, 0), 1)
+FROM recipe_ingredients ri
+JOIN recipes r ON ri.recipe_id = r.id;
+
+DROP INDEX IF EXISTS idx_recipe_ingredients_product_id;
+
+ALTER TABLE recipe_ingredients
+DROP COLUMN product_id;
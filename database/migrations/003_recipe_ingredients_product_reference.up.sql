@@ -0,0 +1,36 @@
+-- Recipe Ingredients Product Integration
+-- Makes recipe_ingredients reference products directly and migrates existing data
+-- from the recipe_ingredient_products linking table
+
+-- Step 1: Add product_id column to recipe_ingredients table
+ALTER TABLE recipe_ingredients
+ADD COLUMN IF NOT EXISTS product_id INTEGER;
+
+-- Step 2: Migrate existing data from recipe_ingredient_products to recipe_ingredients
+UPDATE recipe_ingredients
+SET product_id = rip.product_id
+FROM recipe_ingredient_products rip
+WHERE recipe_ingredients.id = rip.recipe_ingredient_id
+  AND recipe_ingredients.product_id IS NULL;
+
+-- Step 3: Every ingredient must now reference a product; RESTRICT prevents deleting products used in recipes
+-- Fails (and rolls back) if any ingredient was never linked to a product
+ALTER TABLE recipe_ingredients
+ALTER COLUMN product_id SET NOT NULL;
+
+ALTER TABLE recipe_ingredients
+DROP CONSTRAINT IF EXISTS fk_recipe_ingredients_product_id;
+
+ALTER TABLE recipe_ingredients
+ADD CONSTRAINT fk_recipe_ingredients_product_id
+FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT;
+
+-- Step 4: Remove the name column from recipe_ingredients (product name comes from products table)
+ALTER TABLE recipe_ingredients
+DROP COLUMN IF EXISTS name;
+
+-- Step 5: Create index on product_id for optimal query performance
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_product_id ON recipe_ingredients(product_id);
+
+-- Step 6: Drop the recipe_ingredient_products linking table as it's no longer needed
+DROP TABLE IF EXISTS recipe_ingredient_products;
@@ -0,0 +1,15 @@
+-- Staff login accounts and roles
+
+CREATE TABLE IF NOT EXISTS staff_users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL, -- scrypt$<salt>$<hash>
+    full_name VARCHAR(100),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'manager', 'server', 'cook', 'bartender')),
+    active BOOLEAN NOT NULL DEFAULT true,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_users_role ON staff_users(role);
@@ -0,0 +1,20 @@
+-- Audit trail for database reset, seed and restore
+-- Not cleared by reset-database.sql so history survives a reset
+
+CREATE TABLE IF NOT EXISTS database_audit_log (
+    id SERIAL PRIMARY KEY,
+    action VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('succeeded', 'failed')),
+    performed_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    performed_by_username VARCHAR(50), -- kept in case the staff user is later removed
+    backup_file TEXT, -- automatic backup written before the operation
+    details TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Databases that created the table before restore existed have a narrower check
+ALTER TABLE database_audit_log DROP CONSTRAINT IF EXISTS database_audit_log_action_check;
+ALTER TABLE database_audit_log
+ADD CONSTRAINT database_audit_log_action_check CHECK (action IN ('reset', 'seed', 'restore'));
+
+CREATE INDEX IF NOT EXISTS idx_database_audit_log_created_at ON database_audit_log(created_at);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_orders_check_id;
+ALTER TABLE orders DROP COLUMN IF EXISTS check_id;
+DROP TABLE IF EXISTS checks;
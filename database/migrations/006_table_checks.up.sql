@@ -0,0 +1,23 @@
+-- Checks group every order for one seating at a table
+-- A table is occupied while it has an open check (or a check merged into one that is still open)
+
+CREATE TABLE IF NOT EXISTS checks (
+    id SERIAL PRIMARY KEY,
+    table_id INTEGER NOT NULL REFERENCES tables(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'merged')),
+    guest_count INTEGER CHECK (guest_count > 0),
+    split_guests INTEGER CHECK (split_guests > 1), -- set when the check is split evenly
+    -- Deferred so a backup restore can insert checks in id order
+    merged_into_check_id INTEGER REFERENCES checks(id) DEFERRABLE INITIALLY DEFERRED,
+    split_from_check_id INTEGER REFERENCES checks(id) DEFERRABLE INITIALLY DEFERRED,
+    opened_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    closed_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP
+);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS check_id INTEGER REFERENCES checks(id);
+
+CREATE INDEX IF NOT EXISTS idx_checks_table_status ON checks(table_id, status);
+CREATE INDEX IF NOT EXISTS idx_checks_merged_into ON checks(merged_into_check_id);
+CREATE INDEX IF NOT EXISTS idx_orders_check_id ON orders(check_id);
@@ -0,0 +1,47 @@
+-- Payments against orders: cash, card and gift card tenders with tips, voids and refunds
+
+CREATE TABLE IF NOT EXISTS gift_cards (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    initial_balance DECIMAL(10,2) NOT NULL CHECK (initial_balance > 0),
+    balance DECIMAL(10,2) NOT NULL CHECK (balance >= 0),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    tender_type VARCHAR(20) NOT NULL CHECK (tender_type IN ('cash', 'card', 'gift_card')),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0), -- applied to the order balance
+    tip_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (tip_amount >= 0),
+    amount_tendered DECIMAL(10,2), -- cash handed over
+    change_due DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (change_due >= 0),
+    refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (refunded_amount >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'completed'
+        CHECK (status IN ('completed', 'partially_refunded', 'refunded', 'voided')),
+    processor VARCHAR(50), -- card processor that handled the charge
+    processor_reference VARCHAR(100),
+    card_brand VARCHAR(20),
+    card_last4 CHAR(4),
+    gift_card_id INTEGER REFERENCES gift_cards(id),
+    void_reason TEXT,
+    created_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    voided_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    voided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (refunded_amount <= amount)
+);
+
+CREATE TABLE IF NOT EXISTS payment_refunds (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    processor_reference VARCHAR(100),
+    created_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_order_id ON payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_payment_refunds_payment_id ON payment_refunds(payment_id);
@@ -0,0 +1,17 @@
+ALTER TABLE order_items
+    DROP COLUMN IF EXISTS tax_amount,
+    DROP COLUMN IF EXISTS discount_amount,
+    DROP COLUMN IF EXISTS tax_rate,
+    DROP COLUMN IF EXISTS unit_price;
+
+ALTER TABLE orders
+    DROP COLUMN IF EXISTS tax_total,
+    DROP COLUMN IF EXISTS service_charge_total,
+    DROP COLUMN IF EXISTS service_charge_rate,
+    DROP COLUMN IF EXISTS discount_total,
+    DROP COLUMN IF EXISTS subtotal;
+
+DROP TABLE IF EXISTS order_discounts;
+DROP TABLE IF EXISTS discounts;
+DROP TABLE IF EXISTS service_charge_rules;
+DROP TABLE IF EXISTS tax_rates;
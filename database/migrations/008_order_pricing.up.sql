@@ -0,0 +1,88 @@
+-- Order pricing: tax rates, large-party service charges and discounts
+-- The rates and prices used are copied onto each order and order item, so totals can be
+-- recalculated later with the same result even after menu prices or rates change
+
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(6,4) NOT NULL CHECK (rate >= 0 AND rate < 1),
+    -- A rate applies to one menu category, to items whose recipe is food or drink, or (neither set) to everything else
+    menu_category VARCHAR(50),
+    recipe_category VARCHAR(10) CHECK (recipe_category IN ('food', 'drink')),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (menu_category IS NULL OR recipe_category IS NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rates_active_scope
+    ON tax_rates (COALESCE(menu_category, ''), COALESCE(recipe_category, ''))
+    WHERE active;
+
+CREATE TABLE IF NOT EXISTS service_charge_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    rate DECIMAL(6,4) NOT NULL CHECK (rate > 0 AND rate < 1),
+    min_guests INTEGER NOT NULL CHECK (min_guests > 0),
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS discounts (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    value DECIMAL(10,2) NOT NULL CHECK (value > 0),
+    scope VARCHAR(10) NOT NULL DEFAULT 'order' CHECK (scope IN ('order', 'item')),
+    -- Item discounts can be limited to one menu item or one menu category
+    menu_item_id INTEGER REFERENCES menu_items(id) ON DELETE CASCADE,
+    menu_category VARCHAR(50),
+    -- Happy hour window; discounts with a window are applied automatically to orders placed inside it
+    starts_at TIME,
+    ends_at TIME,
+    days_of_week INTEGER[], -- 0 = Sunday; NULL means every day
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type <> 'percentage' OR value <= 100),
+    CHECK ((starts_at IS NULL) = (ends_at IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS order_discounts (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE CASCADE, -- NULL for whole-order discounts
+    discount_id INTEGER REFERENCES discounts(id) ON DELETE SET NULL,
+    -- Copied from the discount (or entered by a manager) so later edits do not change this order
+    name VARCHAR(100) NOT NULL,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    value DECIMAL(10,2) NOT NULL CHECK (value > 0),
+    is_comp BOOLEAN NOT NULL DEFAULT false,
+    reason TEXT,
+    amount DECIMAL(10,2) NOT NULL DEFAULT 0, -- amount taken off at the last recalculation
+    applied_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (NOT is_comp OR reason IS NOT NULL)
+);
+
+ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS discount_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS service_charge_rate DECIMAL(6,4) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS service_charge_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS tax_total DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS unit_price DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(6,4) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- Existing orders keep their totals: items take the current menu price and no tax.
+-- Items added later without a unit_price get the menu price the first time their order is priced.
+UPDATE order_items oi SET unit_price = mi.price
+FROM menu_items mi
+WHERE mi.id = oi.menu_item_id AND oi.unit_price IS NULL;
+
+UPDATE orders SET subtotal = COALESCE(total, 0);
+
+CREATE INDEX IF NOT EXISTS idx_order_discounts_order_id ON order_discounts(order_id);
+CREATE INDEX IF NOT EXISTS idx_discounts_window ON discounts(active) WHERE starts_at IS NOT NULL;
@@ -0,0 +1,6 @@
+ALTER TABLE order_items DROP COLUMN IF EXISTS notes;
+
+DROP TABLE IF EXISTS order_item_modifiers;
+DROP TABLE IF EXISTS modifier_ingredients;
+DROP TABLE IF EXISTS modifiers;
+DROP TABLE IF EXISTS modifier_groups;
@@ -0,0 +1,53 @@
+-- Menu item modifiers ("no cheese", "extra bacon", "well done") and notes on order items
+-- Modifiers can add or remove ingredients, which changes what an order deducts from inventory
+
+CREATE TABLE IF NOT EXISTS modifier_groups (
+    id SERIAL PRIMARY KEY,
+    menu_item_id INTEGER NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT false,
+    min_selections INTEGER NOT NULL DEFAULT 0 CHECK (min_selections >= 0),
+    max_selections INTEGER CHECK (max_selections > 0), -- NULL means no limit
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (max_selections IS NULL OR max_selections >= min_selections),
+    CHECK (NOT is_required OR min_selections >= 1)
+);
+
+CREATE TABLE IF NOT EXISTS modifiers (
+    id SERIAL PRIMARY KEY,
+    group_id INTEGER NOT NULL REFERENCES modifier_groups(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) NOT NULL DEFAULT 0, -- may be negative, e.g. "no cheese" -1.00
+    available BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Ingredient changes per serving, in the product's unit of measure.
+-- 'remove' without a quantity leaves out all of the recipe's amount of that product.
+CREATE TABLE IF NOT EXISTS modifier_ingredients (
+    id SERIAL PRIMARY KEY,
+    modifier_id INTEGER NOT NULL REFERENCES modifiers(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('add', 'remove')),
+    quantity DECIMAL(10,3) CHECK (quantity > 0),
+    CHECK (action = 'remove' OR quantity IS NOT NULL),
+    UNIQUE (modifier_id, product_id)
+);
+
+CREATE TABLE IF NOT EXISTS order_item_modifiers (
+    id SERIAL PRIMARY KEY,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    modifier_id INTEGER REFERENCES modifiers(id) ON DELETE SET NULL,
+    -- Copied from the modifier so later menu edits do not change this order
+    group_name VARCHAR(100) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) NOT NULL DEFAULT 0
+);
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_modifier_groups_menu_item_id ON modifier_groups(menu_item_id);
+CREATE INDEX IF NOT EXISTS idx_modifiers_group_id ON modifiers(group_id);
+CREATE INDEX IF NOT EXISTS idx_order_item_modifiers_order_item_id ON order_item_modifiers(order_item_id);
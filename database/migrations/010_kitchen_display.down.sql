@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_orders_status;
+
+ALTER TABLE order_items
+    DROP COLUMN IF EXISTS ready_by,
+    DROP COLUMN IF EXISTS ready_at;
+
+ALTER TABLE menu_items DROP COLUMN IF EXISTS station;
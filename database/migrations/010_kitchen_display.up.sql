@@ -0,0 +1,11 @@
+-- Kitchen display: prep stations on menu items and per-item ready state
+-- Items without a station go to 'bar' when their recipe is a drink and to 'kitchen' otherwise
+
+ALTER TABLE menu_items
+    ADD COLUMN IF NOT EXISTS station VARCHAR(30) CHECK (station ~ '^[a-z][a-z0-9_]*$');
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS ready_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS ready_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS order_status_history;
+
+-- Cancelled and voided orders have no equivalent in the old statuses
+DELETE FROM orders WHERE status IN ('cancelled', 'voided');
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'preparing', 'ready', 'served', 'paid'));
@@ -0,0 +1,23 @@
+-- Order status state machine: cancelled and voided statuses, and a history of every status change
+-- Allowed transitions are enforced by the application (models/Order.js)
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'preparing', 'ready', 'served', 'paid', 'cancelled', 'voided'));
+
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(20), -- NULL when the order was placed
+    to_status VARCHAR(20) NOT NULL,
+    changed_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id, changed_at);
+
+-- Orders placed before history was kept start with their current status
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_at)
+SELECT o.id, NULL, o.status, o.created_at
+FROM orders o
+WHERE NOT EXISTS (SELECT 1 FROM order_status_history h WHERE h.order_id = o.id);
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS order_voids;
+
+DROP INDEX IF EXISTS idx_inventory_transactions_reverses;
+ALTER TABLE inventory_transactions DROP COLUMN IF EXISTS reverses_transaction_id;
+
+ALTER TABLE order_items DROP COLUMN IF EXISTS voided_at;
@@ -0,0 +1,23 @@
+-- Order cancellations and voids: why an order or item came off the bill and what happened to its food
+-- Sale transactions undone by a void point at the sale they reverse
+
+ALTER TABLE order_items
+    ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;
+
+ALTER TABLE inventory_transactions
+    ADD COLUMN IF NOT EXISTS reverses_transaction_id INTEGER REFERENCES inventory_transactions(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS order_voids (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE CASCADE, -- NULL when the whole order was voided
+    void_type VARCHAR(10) NOT NULL CHECK (void_type IN ('cancel', 'void')), -- cancel before serving, void after
+    reason TEXT NOT NULL,
+    disposition VARCHAR(10) NOT NULL CHECK (disposition IN ('waste', 'return')),
+    amount DECIMAL(10,2) NOT NULL DEFAULT 0, -- how much the order total went down
+    voided_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_voids_order ON order_voids(order_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_reverses ON inventory_transactions(reverses_transaction_id);
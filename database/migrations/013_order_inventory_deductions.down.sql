@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_inventory_transactions_deduction;
+ALTER TABLE inventory_transactions DROP COLUMN IF EXISTS deduction_id;
+
+DROP TABLE IF EXISTS order_inventory_deductions;
@@ -0,0 +1,37 @@
+-- Exactly-once inventory deduction: one record per order whose ingredients have been deducted,
+-- and the sale transactions it wrote point at it
+
+CREATE TABLE IF NOT EXISTS order_inventory_deductions (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    deducted_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    deducted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE inventory_transactions
+    ADD COLUMN IF NOT EXISTS deduction_id INTEGER REFERENCES order_inventory_deductions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_deduction ON inventory_transactions(deduction_id);
+
+-- Orders deducted before this was kept: the earliest batch of sale transactions (written in one
+-- database transaction, so sharing a timestamp) is the deduction; later batches stay unlinked and
+-- show up as duplicates in the reconciliation report
+INSERT INTO order_inventory_deductions (order_id, deducted_at)
+SELECT t.reference_id, MIN(t.created_at)
+FROM inventory_transactions t
+JOIN orders o ON o.id = t.reference_id
+WHERE t.reference_type = 'order' AND t.transaction_type = 'sale' AND t.quantity_change < 0
+GROUP BY t.reference_id
+ON CONFLICT (order_id) DO NOTHING;
+
+UPDATE inventory_transactions t
+SET deduction_id = d.id
+FROM order_inventory_deductions d
+WHERE t.reference_type = 'order' AND t.reference_id = d.order_id
+  AND t.transaction_type = 'sale' AND t.quantity_change < 0
+  AND t.created_at = d.deducted_at
+  AND t.deduction_id IS NULL;
+
+UPDATE order_inventory_deductions d
+SET transaction_count = (SELECT COUNT(*) FROM inventory_transactions t WHERE t.deduction_id = d.id);
@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_waitlist_entries_status;
+DROP INDEX IF EXISTS idx_reservation_tables_table;
+DROP INDEX IF EXISTS idx_reservations_phone;
+DROP INDEX IF EXISTS idx_reservations_status_time;
+DROP TABLE IF EXISTS waitlist_entries;
+DROP TABLE IF EXISTS reservation_tables;
+DROP TABLE IF EXISTS reservations;
@@ -0,0 +1,51 @@
+-- Reservations book one or more tables for a party at a time; the waitlist queues walk-in parties
+-- Tables are held ('reserved') shortly before a booking starts and released when it is cancelled or missed
+
+CREATE TABLE IF NOT EXISTS reservations (
+    id SERIAL PRIMARY KEY,
+    customer_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(30),
+    email VARCHAR(255),
+    party_size INTEGER NOT NULL CHECK (party_size > 0),
+    reserved_for TIMESTAMP NOT NULL,
+    duration_minutes INTEGER NOT NULL DEFAULT 90 CHECK (duration_minutes > 0),
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'seated', 'cancelled', 'no_show')),
+    check_id INTEGER REFERENCES checks(id),
+    cancellation_reason TEXT,
+    created_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    seated_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    no_show_at TIMESTAMP
+);
+
+-- Large parties are given several tables
+CREATE TABLE IF NOT EXISTS reservation_tables (
+    id SERIAL PRIMARY KEY,
+    reservation_id INTEGER NOT NULL REFERENCES reservations(id) ON DELETE CASCADE,
+    table_id INTEGER NOT NULL REFERENCES tables(id),
+    UNIQUE (reservation_id, table_id)
+);
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    customer_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(30),
+    party_size INTEGER NOT NULL CHECK (party_size > 0),
+    quoted_wait_minutes INTEGER NOT NULL CHECK (quoted_wait_minutes >= 0),
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting' CHECK (status IN ('waiting', 'notified', 'seated', 'left')),
+    check_id INTEGER REFERENCES checks(id),
+    created_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    notified_at TIMESTAMP,
+    seated_at TIMESTAMP,
+    removed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reservations_status_time ON reservations(status, reserved_for);
+CREATE INDEX IF NOT EXISTS idx_reservations_phone ON reservations(phone);
+CREATE INDEX IF NOT EXISTS idx_reservation_tables_table ON reservation_tables(table_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_status ON waitlist_entries(status, created_at);
@@ -0,0 +1,18 @@
+DROP INDEX IF EXISTS idx_tables_section;
+DROP INDEX IF EXISTS idx_tables_area;
+DROP INDEX IF EXISTS idx_tables_live_number;
+
+-- Fails while a retired table shares its number with a live one
+ALTER TABLE tables ADD CONSTRAINT tables_table_number_key UNIQUE (table_number);
+
+ALTER TABLE tables
+    DROP COLUMN IF EXISTS retired_at,
+    DROP COLUMN IF EXISTS rotation,
+    DROP COLUMN IF EXISTS shape,
+    DROP COLUMN IF EXISTS pos_y,
+    DROP COLUMN IF EXISTS pos_x,
+    DROP COLUMN IF EXISTS section_id,
+    DROP COLUMN IF EXISTS area_id;
+
+DROP TABLE IF EXISTS server_sections;
+DROP TABLE IF EXISTS floor_areas;
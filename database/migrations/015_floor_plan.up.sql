@@ -0,0 +1,52 @@
+-- Floor plan: dining areas, where each table stands and the server sections that split the floor
+-- Tables that have seen service are retired rather than deleted, so their checks, orders and bookings keep them
+
+CREATE TABLE IF NOT EXISTS floor_areas (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A section is a group of tables looked after by one server
+CREATE TABLE IF NOT EXISTS server_sections (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    staff_user_id INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    color VARCHAR(7) NOT NULL DEFAULT '#0d6efd',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Positions are pixels from the top left corner of the area's plan
+ALTER TABLE tables
+    ADD COLUMN IF NOT EXISTS area_id INTEGER REFERENCES floor_areas(id),
+    ADD COLUMN IF NOT EXISTS section_id INTEGER REFERENCES server_sections(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS pos_x INTEGER NOT NULL DEFAULT 0 CHECK (pos_x >= 0),
+    ADD COLUMN IF NOT EXISTS pos_y INTEGER NOT NULL DEFAULT 0 CHECK (pos_y >= 0),
+    ADD COLUMN IF NOT EXISTS shape VARCHAR(20) NOT NULL DEFAULT 'square' CHECK (shape IN ('square', 'round', 'rectangle')),
+    ADD COLUMN IF NOT EXISTS rotation INTEGER NOT NULL DEFAULT 0 CHECK (rotation >= 0 AND rotation < 360),
+    ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP;
+
+-- A retired table's number can be given to a new table
+ALTER TABLE tables DROP CONSTRAINT IF EXISTS tables_table_number_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tables_live_number ON tables(table_number) WHERE retired_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tables_area ON tables(area_id);
+CREATE INDEX IF NOT EXISTS idx_tables_section ON tables(section_id);
+
+-- Existing tables go in a dining room, four to a row in table number order
+INSERT INTO floor_areas (name, sort_order)
+SELECT 'Dining Room', 0
+WHERE EXISTS (SELECT 1 FROM tables) AND NOT EXISTS (SELECT 1 FROM floor_areas);
+
+WITH placed AS (
+    SELECT id, ROW_NUMBER() OVER (ORDER BY table_number) - 1 AS position
+    FROM tables
+    WHERE area_id IS NULL
+)
+UPDATE tables t
+SET area_id = (SELECT MIN(id) FROM floor_areas),
+    pos_x = 40 + (placed.position % 4) * 160,
+    pos_y = 40 + (placed.position / 4) * 140
+FROM placed
+WHERE t.id = placed.id;
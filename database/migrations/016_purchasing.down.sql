@@ -0,0 +1,15 @@
+-- Costs are rounded back to cents
+ALTER TABLE products ALTER COLUMN cost_per_unit TYPE DECIMAL(10,2);
+
+DROP INDEX IF EXISTS idx_purchase_order_lines_product;
+DROP TABLE IF EXISTS purchase_order_lines;
+
+DROP INDEX IF EXISTS idx_purchase_orders_status;
+DROP INDEX IF EXISTS idx_purchase_orders_supplier;
+DROP TABLE IF EXISTS purchase_orders;
+
+DROP INDEX IF EXISTS idx_product_suppliers_supplier;
+DROP INDEX IF EXISTS idx_product_suppliers_preferred;
+DROP TABLE IF EXISTS product_suppliers;
+
+DROP TABLE IF EXISTS suppliers;
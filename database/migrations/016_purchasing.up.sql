@@ -0,0 +1,84 @@
+-- Purchasing: suppliers, which products each supplier sells, and purchase orders that are received into stock
+-- Receiving a purchase order writes 'restock' inventory transactions referencing it and updates the product's cost
+
+CREATE TABLE IF NOT EXISTS suppliers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL UNIQUE,
+    contact_name VARCHAR(100),
+    email VARCHAR(200),
+    phone VARCHAR(50),
+    lead_time_days INTEGER NOT NULL DEFAULT 0 CHECK (lead_time_days >= 0),
+    minimum_order_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (minimum_order_amount >= 0),
+    notes TEXT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A product can be bought from several suppliers; pack_size is how many of the product's units
+-- come in one of the supplier's packs and pack_cost is what one pack costs
+CREATE TABLE IF NOT EXISTS product_suppliers (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    supplier_sku VARCHAR(100),
+    pack_size DECIMAL(10,3) NOT NULL DEFAULT 1 CHECK (pack_size > 0),
+    pack_cost DECIMAL(10,2) CHECK (pack_cost >= 0),
+    is_preferred BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(product_id, supplier_id)
+);
+
+-- Only one preferred supplier per product
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_suppliers_preferred ON product_suppliers(product_id) WHERE is_preferred;
+CREATE INDEX IF NOT EXISTS idx_product_suppliers_supplier ON product_suppliers(supplier_id);
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id SERIAL PRIMARY KEY,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+    expected_at DATE,
+    notes TEXT,
+    created_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    received_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    cancellation_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status);
+
+-- Quantities are in the product's unit of measure and unit_cost is per unit
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity_ordered DECIMAL(10,3) NOT NULL CHECK (quantity_ordered > 0),
+    unit_cost DECIMAL(12,4) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+    quantity_received DECIMAL(10,3) NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(purchase_order_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_product ON purchase_order_lines(product_id);
+
+-- Receipts average the price paid into the product's cost, so per-gram costs need more than cents
+ALTER TABLE products ALTER COLUMN cost_per_unit TYPE DECIMAL(12,4);
+
+-- Free-text supplier_info becomes a supplier each product is linked to as its preferred supplier
+INSERT INTO suppliers (name)
+SELECT DISTINCT TRIM(supplier_info)
+FROM products
+WHERE supplier_info IS NOT NULL AND TRIM(supplier_info) <> '' AND LENGTH(TRIM(supplier_info)) <= 200
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO product_suppliers (product_id, supplier_id, pack_cost, is_preferred)
+SELECT p.id, s.id, p.cost_per_unit, TRUE
+FROM products p
+JOIN suppliers s ON s.name = TRIM(p.supplier_info)
+ON CONFLICT (product_id, supplier_id) DO NOTHING;
@@ -0,0 +1,5 @@
+-- Drop par levels; reorder suggestions fall back to thresholds and usage alone
+
+DROP INDEX IF EXISTS idx_inventory_transactions_product_created;
+
+ALTER TABLE products DROP COLUMN IF EXISTS par_level;
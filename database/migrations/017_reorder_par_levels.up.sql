@@ -0,0 +1,8 @@
+-- Reorder suggestions: a par level is the quantity of a product to restock up to
+-- Products without one are restocked to cover their usage over the supplier's lead time and a few more days
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS par_level DECIMAL(10,3) CHECK (par_level >= 0);
+
+-- Usage is read from the sale and waste transactions of recent weeks
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_product_created
+  ON inventory_transactions(product_id, created_at);
@@ -0,0 +1,4 @@
+-- Drop density and piece weight; units renamed to their abbreviations keep them
+
+ALTER TABLE products DROP COLUMN IF EXISTS piece_weight_g;
+ALTER TABLE products DROP COLUMN IF EXISTS density_g_per_ml;
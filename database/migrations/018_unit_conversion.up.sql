@@ -0,0 +1,9 @@
+-- Unit conversion: recipe quantities are converted into the unit their product is stocked in
+-- Crossing between weight, volume and count needs the product's density or the weight of one piece
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS density_g_per_ml DECIMAL(10,4) CHECK (density_g_per_ml > 0);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS piece_weight_g DECIMAL(10,3) CHECK (piece_weight_g > 0);
+
+-- Products stocked in spelled-out units move to the standard abbreviations
+UPDATE products SET unit_of_measure = 'l' WHERE unit_of_measure IN ('liters', 'liter', 'litres', 'litre');
+UPDATE products SET unit_of_measure = 'g' WHERE unit_of_measure IN ('grams', 'gram');
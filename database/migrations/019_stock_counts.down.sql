@@ -0,0 +1,10 @@
+-- Drop stock counts; the adjustment transactions posted from them stay
+
+DROP INDEX IF EXISTS idx_stock_count_lines_product;
+DROP TABLE IF EXISTS stock_count_lines;
+
+DROP INDEX IF EXISTS idx_stock_counts_status;
+DROP TABLE IF EXISTS stock_counts;
+
+ALTER TABLE products DROP COLUMN IF EXISTS storage_location;
+ALTER TABLE products DROP COLUMN IF EXISTS category;
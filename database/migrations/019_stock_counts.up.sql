@@ -0,0 +1,40 @@
+-- Stock counts: a count records the theoretical quantity of each product when it starts and the
+-- quantity staff counted; posting it writes the differences as 'adjustment' transactions referencing it
+
+-- Products are grouped by category and storage location so a count can cover just one of them
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category VARCHAR(50);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS storage_location VARCHAR(100);
+
+CREATE TABLE IF NOT EXISTS stock_counts (
+    id SERIAL PRIMARY KEY,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'posted', 'cancelled')),
+    -- Filters the count was started with; null counts every product
+    category VARCHAR(50),
+    storage_location VARCHAR(100),
+    notes TEXT,
+    started_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    posted_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    posted_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_counts_status ON stock_counts(status);
+
+-- expected_quantity and unit_cost are the product's quantity and cost when the count started;
+-- counted_quantity stays null until the product is counted
+CREATE TABLE IF NOT EXISTS stock_count_lines (
+    id SERIAL PRIMARY KEY,
+    stock_count_id INTEGER NOT NULL REFERENCES stock_counts(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    expected_quantity DECIMAL(10,3) NOT NULL,
+    unit_cost DECIMAL(12,4),
+    counted_quantity DECIMAL(10,3) CHECK (counted_quantity >= 0),
+    counted_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    counted_at TIMESTAMP,
+    notes TEXT,
+    UNIQUE(stock_count_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_count_lines_product ON stock_count_lines(product_id);
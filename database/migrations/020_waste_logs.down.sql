@@ -0,0 +1,8 @@
+-- Drop waste logs; the waste transactions recorded from them stay
+
+DROP INDEX IF EXISTS idx_waste_log_lines_product;
+DROP INDEX IF EXISTS idx_waste_log_lines_log;
+DROP TABLE IF EXISTS waste_log_lines;
+
+DROP INDEX IF EXISTS idx_waste_logs_created_at;
+DROP TABLE IF EXISTS waste_logs;
@@ -0,0 +1,27 @@
+-- Waste logs: food thrown away, recorded with a reason code. Each line takes one product out of stock
+-- with a 'waste' transaction referencing the log; lines expanded from a menu item or recipe keep which
+-- one they came from
+
+CREATE TABLE IF NOT EXISTS waste_logs (
+    id SERIAL PRIMARY KEY,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('spoiled', 'dropped', 'overcooked', 'comp', 'expired')),
+    notes TEXT,
+    recorded_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waste_logs_created_at ON waste_logs(created_at);
+
+-- quantity is in the product's unit of measure and unit_cost is its cost when the waste was recorded
+CREATE TABLE IF NOT EXISTS waste_log_lines (
+    id SERIAL PRIMARY KEY,
+    waste_log_id INTEGER NOT NULL REFERENCES waste_logs(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,3) NOT NULL CHECK (quantity > 0),
+    unit_cost DECIMAL(12,4),
+    menu_item_id INTEGER REFERENCES menu_items(id) ON DELETE SET NULL,
+    recipe_id INTEGER REFERENCES recipes(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_waste_log_lines_log ON waste_log_lines(waste_log_id);
+CREATE INDEX IF NOT EXISTS idx_waste_log_lines_product ON waste_log_lines(product_id);
@@ -0,0 +1,27 @@
+-- Drop storage locations; products and stock counts go back to a typed storage location and
+-- transfers, which never changed a product's total, are removed
+
+ALTER TABLE stock_counts ADD COLUMN IF NOT EXISTS storage_location VARCHAR(100);
+UPDATE stock_counts sc SET storage_location = l.name FROM storage_locations l WHERE l.id = sc.location_id;
+ALTER TABLE stock_counts DROP COLUMN IF EXISTS location_id;
+
+DELETE FROM inventory_transactions WHERE transaction_type = 'transfer';
+ALTER TABLE inventory_transactions DROP CONSTRAINT IF EXISTS inventory_transactions_transaction_type_check;
+ALTER TABLE inventory_transactions
+ADD CONSTRAINT inventory_transactions_transaction_type_check
+CHECK (transaction_type IN ('sale', 'restock', 'adjustment', 'waste'));
+DROP INDEX IF EXISTS idx_inventory_transactions_location;
+ALTER TABLE inventory_transactions DROP COLUMN IF EXISTS location_id;
+
+DROP INDEX IF EXISTS idx_stock_transfers_created_at;
+DROP TABLE IF EXISTS stock_transfers;
+
+DROP INDEX IF EXISTS idx_location_stock_location;
+DROP TABLE IF EXISTS location_stock;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS storage_location VARCHAR(100);
+UPDATE products p SET storage_location = l.name FROM storage_locations l WHERE l.id = p.location_id;
+ALTER TABLE products DROP COLUMN IF EXISTS location_id;
+
+DROP INDEX IF EXISTS idx_storage_locations_recipe_category;
+DROP TABLE IF EXISTS storage_locations;
@@ -0,0 +1,101 @@
+-- Storage locations: stock is held per location (walk-in, dry store, line, bar), moved between them with
+-- 'transfer' transactions, and recipes take their ingredients from the location serving their category
+
+CREATE TABLE IF NOT EXISTS storage_locations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    -- Recipes of this category take ingredients from here when the location holds them
+    recipe_category VARCHAR(10) CHECK (recipe_category IN ('food', 'drink')),
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Only one active location serves each recipe category
+CREATE UNIQUE INDEX IF NOT EXISTS idx_storage_locations_recipe_category
+ON storage_locations(recipe_category) WHERE active AND recipe_category IS NOT NULL;
+
+INSERT INTO storage_locations (name, recipe_category, sort_order) VALUES
+    ('Walk-in', NULL, 1),
+    ('Dry Store', NULL, 2),
+    ('Line', 'food', 3),
+    ('Bar', 'drink', 4)
+ON CONFLICT (name) DO NOTHING;
+
+-- Storage locations typed on products for stock counts become locations too
+INSERT INTO storage_locations (name, sort_order)
+SELECT DISTINCT ON (LOWER(TRIM(p.storage_location))) TRIM(p.storage_location), 10
+FROM products p
+WHERE TRIM(COALESCE(p.storage_location, '')) <> ''
+  AND NOT EXISTS (SELECT 1 FROM storage_locations l WHERE LOWER(l.name) = LOWER(TRIM(p.storage_location)))
+ORDER BY LOWER(TRIM(p.storage_location))
+ON CONFLICT (name) DO NOTHING;
+
+-- Each product has a home location, where stock lands when no location is given
+ALTER TABLE products ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES storage_locations(id) ON DELETE SET NULL;
+
+UPDATE products p
+SET location_id = COALESCE(
+    (SELECT l.id FROM storage_locations l WHERE LOWER(l.name) = LOWER(TRIM(p.storage_location))),
+    (SELECT l.id FROM storage_locations l ORDER BY l.sort_order, l.id LIMIT 1)
+)
+WHERE p.location_id IS NULL;
+
+ALTER TABLE products DROP COLUMN IF EXISTS storage_location;
+
+-- What each location holds; products.current_quantity stays the total across locations
+CREATE TABLE IF NOT EXISTS location_stock (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    location_id INTEGER NOT NULL REFERENCES storage_locations(id),
+    quantity DECIMAL(10,3) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(product_id, location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_location_stock_location ON location_stock(location_id);
+
+-- Existing stock starts out at each product's home location
+INSERT INTO location_stock (product_id, location_id, quantity)
+SELECT id, location_id, current_quantity FROM products WHERE location_id IS NOT NULL
+ON CONFLICT (product_id, location_id) DO NOTHING;
+
+-- Transfers move stock between two locations; each product moved is a pair of 'transfer'
+-- transactions referencing the transfer, out of one location and into the other
+CREATE TABLE IF NOT EXISTS stock_transfers (
+    id SERIAL PRIMARY KEY,
+    from_location_id INTEGER NOT NULL REFERENCES storage_locations(id),
+    to_location_id INTEGER NOT NULL REFERENCES storage_locations(id),
+    notes TEXT,
+    transferred_by INTEGER REFERENCES staff_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (from_location_id <> to_location_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_created_at ON stock_transfers(created_at);
+
+-- Every transaction records the location whose stock it changed
+ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES storage_locations(id) ON DELETE SET NULL;
+
+UPDATE inventory_transactions t
+SET location_id = p.location_id
+FROM products p
+WHERE p.id = t.product_id AND t.location_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_location ON inventory_transactions(location_id);
+
+ALTER TABLE inventory_transactions DROP CONSTRAINT IF EXISTS inventory_transactions_transaction_type_check;
+ALTER TABLE inventory_transactions
+ADD CONSTRAINT inventory_transactions_transaction_type_check
+CHECK (transaction_type IN ('sale', 'restock', 'adjustment', 'waste', 'transfer'));
+
+-- Stock counts cover one location instead of a typed storage location
+ALTER TABLE stock_counts ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES storage_locations(id) ON DELETE SET NULL;
+
+UPDATE stock_counts sc
+SET location_id = l.id
+FROM storage_locations l
+WHERE LOWER(l.name) = LOWER(TRIM(sc.storage_location)) AND sc.location_id IS NULL;
+
+ALTER TABLE stock_counts DROP COLUMN IF EXISTS storage_location;
@@ -0,0 +1,11 @@
+-- Drop stock lots; product quantities are unchanged
+
+DROP INDEX IF EXISTS idx_lot_consumptions_transaction;
+DROP INDEX IF EXISTS idx_lot_consumptions_lot;
+DROP TABLE IF EXISTS lot_consumptions;
+
+DROP INDEX IF EXISTS idx_stock_lots_expires_on;
+DROP INDEX IF EXISTS idx_stock_lots_product;
+DROP TABLE IF EXISTS stock_lots;
+
+ALTER TABLE products DROP COLUMN IF EXISTS lot_rotation;
@@ -0,0 +1,41 @@
+-- Stock lots: stock is received as lots with a received date, expiry date and unit cost, and taken out
+-- first-in-first-out, or first-expiry-first-out for perishables
+
+-- How a product's lots are used up: 'fifo' oldest received first, 'fefo' soonest expiring first
+ALTER TABLE products ADD COLUMN IF NOT EXISTS lot_rotation VARCHAR(4) NOT NULL DEFAULT 'fifo'
+    CHECK (lot_rotation IN ('fifo', 'fefo'));
+
+CREATE TABLE IF NOT EXISTS stock_lots (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    lot_code VARCHAR(50),
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_on DATE,
+    unit_cost DECIMAL(10,4),
+    quantity_received DECIMAL(10,3) NOT NULL CHECK (quantity_received > 0),
+    quantity_remaining DECIMAL(10,3) NOT NULL CHECK (quantity_remaining >= 0),
+    -- Transaction that brought the lot into stock; null for opening stock and edited quantities
+    transaction_id INTEGER REFERENCES inventory_transactions(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_lots_product ON stock_lots(product_id) WHERE quantity_remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_stock_lots_expires_on ON stock_lots(expires_on) WHERE quantity_remaining > 0;
+
+-- What each transaction took from each lot; negative quantities are returned to the lot by a reversal
+CREATE TABLE IF NOT EXISTS lot_consumptions (
+    id SERIAL PRIMARY KEY,
+    lot_id INTEGER NOT NULL REFERENCES stock_lots(id) ON DELETE CASCADE,
+    transaction_id INTEGER REFERENCES inventory_transactions(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,3) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lot_consumptions_lot ON lot_consumptions(lot_id);
+CREATE INDEX IF NOT EXISTS idx_lot_consumptions_transaction ON lot_consumptions(transaction_id);
+
+-- Stock on hand becomes one lot per product, received now without an expiry date
+INSERT INTO stock_lots (product_id, unit_cost, quantity_received, quantity_remaining)
+SELECT id, cost_per_unit, current_quantity, current_quantity
+FROM products
+WHERE current_quantity > 0;
@@ -0,0 +1,4 @@
+-- Drop transaction costs; product costs are unchanged
+
+ALTER TABLE inventory_transactions DROP COLUMN IF EXISTS total_cost;
+ALTER TABLE inventory_transactions DROP COLUMN IF EXISTS unit_cost;
@@ -0,0 +1,15 @@
+-- Inventory costing: every stock-changing transaction records what the stock it moved was worth, so
+-- stock can be valued as of any date and sales carry their cost of goods sold
+
+-- Cost per unit of the stock moved: the price paid for stock coming in, the average (or FIFO lot) cost
+-- of stock going out
+ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(10,4);
+-- Value the transaction added to stock (negative when it took stock out); null for transfers
+ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS total_cost DECIMAL(12,4);
+
+-- Earlier transactions are costed at each product's current cost
+UPDATE inventory_transactions t
+SET unit_cost = p.cost_per_unit,
+    total_cost = ROUND(t.quantity_change * COALESCE(p.cost_per_unit, 0), 4)
+FROM products p
+WHERE p.id = t.product_id AND t.transaction_type <> 'transfer' AND t.total_cost IS NULL;
@@ -0,0 +1,9 @@
+-- Drop recipe costing; menu item costs and margins keep their last values
+
+DROP INDEX IF EXISTS idx_recipe_cost_history_recipe;
+DROP TABLE IF EXISTS recipe_cost_history;
+
+ALTER TABLE menu_items DROP COLUMN IF EXISTS target_food_cost_percent;
+
+ALTER TABLE recipes DROP COLUMN IF EXISTS cost_updated_at;
+ALTER TABLE recipes DROP COLUMN IF EXISTS cost_per_serving;
@@ -0,0 +1,30 @@
+-- Recipe costing: each recipe's cost per serving is worked out from its products' costs and kept up to
+-- date as those costs change, with a history of every change, and menu items are priced against a
+-- target food cost percentage
+
+-- Cost of one serving from the products' cost_per_unit; null until the recipe is first costed
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS cost_per_serving DECIMAL(10,4);
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS cost_updated_at TIMESTAMP;
+
+-- Food cost (cost per serving as a percentage of price) the item is priced for; null uses the default
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS target_food_cost_percent DECIMAL(5,2)
+    CHECK (target_food_cost_percent > 0 AND target_food_cost_percent < 100);
+
+-- profit_margin becomes the item's actual gross margin, (price - cost) / price
+UPDATE menu_items
+SET profit_margin = ROUND((price - COALESCE(cost_per_serving, 0)) / price, 2)
+WHERE price > 0;
+
+-- Every change in a recipe's cost per serving: 'recipe' when the recipe was edited, 'product_cost' when
+-- a product's cost or units changed (product_id says which) and 'recalculated' for a full recalculation
+CREATE TABLE IF NOT EXISTS recipe_cost_history (
+    id SERIAL PRIMARY KEY,
+    recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+    cost_per_serving DECIMAL(10,4) NOT NULL,
+    previous_cost DECIMAL(10,4),
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('recipe', 'product_cost', 'recalculated')),
+    product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipe_cost_history_recipe ON recipe_cost_history(recipe_id, recorded_at);
@@ -0,0 +1,5 @@
+-- Drop order split lineage
+
+DROP INDEX IF EXISTS idx_orders_split_from_order;
+
+ALTER TABLE orders DROP COLUMN IF EXISTS split_from_order_id;
@@ -0,0 +1,6 @@
+-- Order split lineage: an order divided off another by a check split records the order it came from,
+-- so voiding its items can reverse the sale transactions written under that order
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS split_from_order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_split_from_order ON orders(split_from_order_id);
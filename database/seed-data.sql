@@ -0,0 +1,371 @@
+-- Sample Data
+-- Loaded by npm run db:reset and POST /api/database/reset|seed after reset-database.sql has cleared the tables.
+-- IDs below assume identities were restarted, so the schema itself must come from database/migrations.
+
+-- Floor plan: the dining room and patio, split into two server sections (servers are assigned in the app)
+INSERT INTO floor_areas (name, sort_order) VALUES 
+('Dining Room', 0),
+('Patio', 1);
+
+INSERT INTO server_sections (name, color) VALUES 
+('Section A', '#0d6efd'),
+('Section B', '#6f42c1');
+
+-- Tables
+INSERT INTO tables (table_number, capacity, area_id, section_id, pos_x, pos_y, shape, rotation) VALUES 
+(1, 2, 1, 1, 40, 40, 'round', 0),
+(2, 4, 1, 1, 200, 40, 'square', 0),
+(3, 4, 1, 2, 360, 40, 'square', 0),
+(4, 6, 1, 2, 200, 200, 'rectangle', 0),
+(5, 2, 2, 1, 40, 40, 'round', 0),
+(6, 8, 2, 2, 200, 40, 'rectangle', 90);
+
+-- Storage locations; food recipes take ingredients from the line and drink recipes from the bar
+-- when those locations hold them, everything else comes from each product's home location
+INSERT INTO storage_locations (name, recipe_category, sort_order) VALUES 
+('Walk-in', NULL, 1),
+('Dry Store', NULL, 2),
+('Line', 'food', 3),
+('Bar', 'drink', 4);
+
+-- Inventory products
+INSERT INTO products (name, description, unit_of_measure, current_quantity, low_stock_threshold, cost_per_unit, supplier_info) VALUES 
+('Pizza Dough Balls', 'Fresh pizza dough balls, ready to use', 'pieces', 25, 10, 1.50, 'Local Bakery Supply'),
+('Tomato Sauce', 'San Marzano tomato sauce for pizza', 'l', 8.5, 5, 3.20, 'Italian Imports Co'),
+('Fresh Mozzarella', 'Buffalo mozzarella cheese', 'kg', 12.0, 3, 8.50, 'Dairy Fresh Ltd'),
+('Fresh Basil', 'Organic fresh basil leaves', 'g', 500, 100, 0.02, 'Herb Garden Supply'),
+('Extra Virgin Olive Oil', 'Premium olive oil', 'l', 3.2, 2, 12.00, 'Mediterranean Oils'),
+('Sea Salt', 'Coarse sea salt', 'kg', 5.0, 1, 2.50, 'Salt Works'),
+('Fresh Lemons', 'Organic lemons for beverages', 'pieces', 45, 20, 0.75, 'Citrus Grove'),
+('Granulated Sugar', 'White granulated sugar', 'kg', 15.0, 5, 1.20, 'Sweet Supply Co'),
+('Spaghetti Pasta', 'High quality spaghetti', 'kg', 8.0, 3, 2.80, 'Pasta Masters'),
+('Chicken Breast', 'Fresh boneless chicken breast', 'kg', 6.5, 2, 12.00, 'Farm Fresh Poultry'),
+('Bacon Strips', 'Thick cut bacon', 'kg', 3.2, 1, 15.50, 'Premium Meats'),
+('Fresh Eggs', 'Free range eggs', 'pieces', 60, 24, 0.35, 'Happy Hens Farm'),
+('Parmesan Cheese', 'Aged parmesan cheese', 'kg', 2.8, 1, 25.00, 'Cheese Artisans'),
+('Heavy Cream', 'Full fat heavy cream', 'l', 4.5, 2, 4.20, 'Dairy Fresh Ltd'),
+('Garlic Cloves', 'Fresh garlic', 'g', 800, 200, 0.01, 'Herb Garden Supply'),
+('Black Pepper', 'Freshly ground black pepper', 'g', 300, 50, 0.05, 'Spice World'),
+('Romaine Lettuce', 'Fresh romaine lettuce heads', 'pieces', 18, 8, 2.50, 'Green Valley Farms'),
+('Croutons', 'Homemade style croutons', 'g', 1200, 300, 0.008, 'Bakery Supplies'),
+('Caesar Dressing', 'Premium caesar dressing', 'l', 2.1, 1, 6.80, 'Gourmet Sauces');
+
+-- Par levels: the quantity reorder suggestions restock up to
+UPDATE products p SET par_level = v.par_level
+FROM (VALUES (1, 48), (2, 15), (3, 15), (4, 800), (10, 12), (14, 8)) AS v(id, par_level)
+WHERE p.id = v.id;
+
+-- Densities and piece weights let recipes measure products by volume or by the piece
+UPDATE products p SET density_g_per_ml = v.density, piece_weight_g = v.piece_weight
+FROM (VALUES
+  (6, 1.2, NULL), (8, 0.85, NULL), (10, NULL, 225), (11, NULL, 30), (13, 0.42, NULL),
+  (15, NULL, 5), (16, 0.5, NULL)
+) AS v(id, density, piece_weight)
+WHERE p.id = v.id;
+
+-- Categories and home locations (1 Walk-in, 2 Dry Store, 4 Bar), so stock counts can cover one area at a time
+UPDATE products p SET category = v.category, location_id = v.location_id
+FROM (VALUES
+  (1, 'Bakery', 1), (2, 'Dry Goods', 2), (3, 'Dairy', 1), (4, 'Produce', 1),
+  (5, 'Dry Goods', 2), (6, 'Dry Goods', 2), (7, 'Produce', 4), (8, 'Dry Goods', 2),
+  (9, 'Dry Goods', 2), (10, 'Meat', 1), (11, 'Meat', 1), (12, 'Dairy', 1),
+  (13, 'Dairy', 1), (14, 'Dairy', 1), (15, 'Produce', 2), (16, 'Dry Goods', 2),
+  (17, 'Produce', 1), (18, 'Bakery', 2), (19, 'Sauces', 1)
+) AS v(id, category, location_id)
+WHERE p.id = v.id;
+
+-- Stock is held at each product's home location, except the dough and mozzarella moved to the line
+INSERT INTO location_stock (product_id, location_id, quantity)
+SELECT id, location_id, current_quantity - CASE id WHEN 1 THEN 6 WHEN 3 THEN 2 ELSE 0 END
+FROM products;
+
+INSERT INTO location_stock (product_id, location_id, quantity) VALUES 
+(1, 3, 6),
+(3, 3, 2);
+
+INSERT INTO stock_transfers (from_location_id, to_location_id, notes, created_at) VALUES 
+(1, 3, 'Set up the line for service', CURRENT_TIMESTAMP - INTERVAL '3 hours');
+
+-- Suppliers and the products bought from them (pack sizes are in the product's unit)
+INSERT INTO suppliers (name, contact_name, email, phone, lead_time_days, minimum_order_amount) VALUES 
+('Local Bakery Supply', 'Maria Rossi', 'orders@localbakery.example', '555-0101', 1, 25.00),
+('Italian Imports Co', 'Luca Bianchi', 'sales@italianimports.example', '555-0102', 7, 150.00),
+('Dairy Fresh Ltd', 'Sam Patel', 'orders@dairyfresh.example', '555-0103', 2, 50.00),
+('Herb Garden Supply', NULL, 'hello@herbgarden.example', '555-0104', 2, 0),
+('Farm Fresh Poultry', 'Dana Lee', 'orders@farmfresh.example', '555-0105', 3, 75.00);
+
+INSERT INTO product_suppliers (product_id, supplier_id, supplier_sku, pack_size, pack_cost, is_preferred) VALUES 
+(1, 1, 'LB-DOUGH-24', 24, 36.00, TRUE),
+(2, 2, 'II-SMZ-5L', 5, 16.00, TRUE),
+(13, 2, 'II-PARM-1', 1, 25.00, TRUE),
+(3, 3, 'DF-MOZ-1', 1, 8.50, TRUE),
+(14, 3, 'DF-CRM-1', 1, 4.20, TRUE),
+(4, 4, 'HG-BAS-100', 100, 2.00, TRUE),
+(15, 4, 'HG-GAR-250', 250, 2.50, TRUE),
+(10, 5, 'FF-CHK-5', 5, 60.00, TRUE);
+
+-- A dairy order waiting for delivery and an imports order still being drafted
+INSERT INTO purchase_orders (supplier_id, status, expected_at, sent_at, notes) VALUES 
+(3, 'sent', CURRENT_DATE + 1, CURRENT_TIMESTAMP - INTERVAL '1 day', 'Weekly dairy order'),
+(2, 'draft', NULL, NULL, NULL);
+
+INSERT INTO purchase_order_lines (purchase_order_id, product_id, quantity_ordered, unit_cost) VALUES 
+(1, 3, 6, 8.50),
+(1, 14, 6, 4.20),
+(2, 2, 20, 3.20),
+(2, 13, 3, 25.00);
+
+-- Recipes
+INSERT INTO recipes (name, description, category, prep_time, cook_time, servings, difficulty) VALUES 
+('Classic Margherita Pizza', 'Traditional Italian pizza with fresh tomatoes, mozzarella, and basil', 'food', 20, 15, 4, 'medium'),
+('Fresh Lemonade', 'Refreshing homemade lemonade with fresh lemons', 'drink', 10, 0, 2, 'easy'),
+('Chicken Carbonara', 'Creamy pasta dish with chicken, bacon, and parmesan', 'food', 15, 25, 4, 'medium');
+
+-- Sample ingredients for Classic Margherita Pizza (recipe_id = 1)
+INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, notes, order_index) VALUES 
+(1, 1, 1, 'pieces', 'Store-bought or homemade', 1),
+(1, 2, 0.5, 'cup', 'San Marzano preferred', 2),
+(1, 3, 8, 'oz', 'Buffalo mozzarella if available', 3),
+(1, 4, 5, 'g', 'About 10 leaves, picked fresh', 4),
+(1, 5, 2, 'tbsp', 'High quality', 5),
+(1, 6, 0.125, 'tsp', 'A pinch of sea salt', 6);
+
+-- Sample ingredients for Fresh Lemonade (recipe_id = 2)
+INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, notes, order_index) VALUES 
+(2, 7, 4, 'whole', 'Room temperature for better juicing', 1),
+(2, 8, 0.5, 'cup', 'Granulated white sugar', 2);
+
+-- Sample ingredients for Chicken Carbonara (recipe_id = 3)
+INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, notes, order_index) VALUES 
+(3, 9, 1, 'lb', 'Good quality pasta', 1),
+(3, 10, 2, 'pieces', 'Boneless, skinless', 2),
+(3, 11, 6, 'pieces', 'Thick cut strips preferred', 3),
+(3, 12, 3, 'whole', 'Room temperature', 4),
+(3, 13, 1, 'cup', 'Freshly grated', 5),
+(3, 14, 0.5, 'cup', 'Full fat', 6),
+(3, 15, 3, 'pieces', 'Cloves, minced', 7),
+(3, 16, 1, 'tsp', 'Freshly ground', 8);
+
+-- Sample steps for Classic Margherita Pizza (recipe_id = 1)
+INSERT INTO recipe_steps (recipe_id, step_number, instruction, timing) VALUES 
+(1, 1, 'Preheat oven to 475°F (245°C). If using a pizza stone, place it in the oven while preheating.', 15),
+(1, 2, 'Roll out pizza dough on a floured surface to desired thickness.', 5),
+(1, 3, 'Spread tomato sauce evenly over the dough, leaving a 1-inch border for the crust.', 2),
+(1, 4, 'Tear mozzarella into small pieces and distribute evenly over the sauce.', 2),
+(1, 5, 'Drizzle with olive oil and season with a pinch of salt.', 1),
+(1, 6, 'Bake for 12-15 minutes until crust is golden and cheese is bubbly.', 15),
+(1, 7, 'Remove from oven and immediately top with fresh basil leaves. Let cool for 2-3 minutes before slicing.', 3);
+
+-- Sample steps for Fresh Lemonade (recipe_id = 2)
+INSERT INTO recipe_steps (recipe_id, step_number, instruction, timing) VALUES 
+(2, 1, 'Roll lemons on counter while pressing down to soften them for easier juicing.', 2),
+(2, 2, 'Cut lemons in half and juice them, removing any seeds. You should have about 1/2 cup of juice.', 5),
+(2, 3, 'In a pitcher, dissolve sugar in 1 cup of warm water, stirring until completely dissolved.', 3),
+(2, 4, 'Add lemon juice and remaining 3 cups of cold water. Stir well.', 1),
+(2, 5, 'Taste and adjust sweetness if needed. Chill in refrigerator for at least 30 minutes.', 30),
+(2, 6, 'Serve over ice cubes and garnish with lemon slices if desired.', 1);
+
+-- Sample steps for Chicken Carbonara (recipe_id = 3)
+INSERT INTO recipe_steps (recipe_id, step_number, instruction, timing) VALUES 
+(3, 1, 'Bring a large pot of salted water to boil for pasta.', 10),
+(3, 2, 'Season chicken breasts with salt and pepper, then cook in a large skillet over medium-high heat until golden and cooked through, about 6-7 minutes per side.', 15),
+(3, 3, 'Remove chicken and let rest, then slice into strips. Set aside.', 3),
+(3, 4, 'In the same skillet, cook bacon until crispy. Remove and chop, reserving 2 tbsp of fat in pan.', 8),
+(3, 5, 'Add pasta to boiling water and cook according to package directions until al dente.', 10),
+(3, 6, 'While pasta cooks, whisk together eggs, cream, parmesan, and black pepper in a bowl.', 3),
+(3, 7, 'Add minced garlic to the skillet with bacon fat and cook for 30 seconds until fragrant.', 1),
+(3, 8, 'Drain pasta, reserving 1 cup pasta water. Add hot pasta to the skillet.', 2),
+(3, 9, 'Remove from heat and quickly stir in egg mixture, adding pasta water as needed to create a creamy sauce.', 2),
+(3, 10, 'Add chicken and bacon back to the pan, toss to combine, and serve immediately.', 2);
+
+-- Recipe costs per serving, worked out from the ingredients' product costs
+UPDATE recipes r SET cost_per_serving = v.cost, cost_updated_at = CURRENT_TIMESTAMP
+FROM (VALUES (1, 1.0658), (2, 1.5603), (3, 3.4411)) AS v(id, cost)
+WHERE r.id = v.id;
+
+INSERT INTO recipe_cost_history (recipe_id, cost_per_serving, previous_cost, reason)
+SELECT id, cost_per_serving, NULL, 'recipe' FROM recipes;
+
+-- Menu items based on recipes; costs come from the recipe and margins are (price - cost) / price
+INSERT INTO menu_items (recipe_id, name, description, price, category, cost_per_serving, profit_margin) VALUES 
+(1, 'Classic Margherita Pizza', 'Traditional Italian pizza with fresh tomatoes, mozzarella, and basil', 16.99, 'Pizza', 1.07, 0.94),
+(2, 'Fresh Lemonade', 'Refreshing homemade lemonade with fresh lemons', 4.99, 'Beverages', 1.56, 0.69),
+(3, 'Chicken Carbonara', 'Creamy pasta dish with chicken, bacon, and parmesan', 18.99, 'Pasta', 3.44, 0.82);
+
+-- Standalone menu items (without recipes)
+INSERT INTO menu_items (name, description, price, category, cost_per_serving, profit_margin) VALUES 
+('Caesar Salad', 'Romaine lettuce, parmesan, croutons', 8.99, 'Salads', 3.20, 0.64),
+('Grilled Chicken', 'Herb-seasoned chicken breast', 15.99, 'Main Course', 7.50, 0.53),
+('Chocolate Cake', 'Rich chocolate layer cake', 6.99, 'Desserts', 2.80, 0.60),
+('Coffee', 'Freshly brewed coffee', 2.99, 'Beverages', 0.85, 0.72);
+
+-- The grilled chicken is priced for a tighter food cost than the default 30%
+UPDATE menu_items SET target_food_cost_percent = 35 WHERE name = 'Grilled Chicken';
+
+-- Kitchen display stations; items without one go to bar (drink recipes) or kitchen
+UPDATE menu_items SET station = 'pizza_oven' WHERE category = 'Pizza';
+UPDATE menu_items SET station = 'grill' WHERE name = 'Grilled Chicken';
+UPDATE menu_items SET station = 'bar' WHERE name = 'Coffee';
+
+-- Modifier groups; ingredient changes are per serving in the product's unit
+INSERT INTO modifier_groups (menu_item_id, name, is_required, min_selections, max_selections, sort_order) VALUES 
+(1, 'Cheese', false, 0, 1, 1),
+(1, 'Toppings', false, 0, 3, 2),
+(3, 'Options', false, 0, NULL, 1);
+
+INSERT INTO modifiers (group_id, name, price_delta, sort_order) VALUES 
+(1, 'No mozzarella', -1.00, 1),
+(1, 'Extra mozzarella', 2.00, 2),
+(2, 'Add bacon', 3.00, 1),
+(2, 'Add basil', 0.50, 2),
+(3, 'No bacon', 0.00, 1),
+(3, 'Extra parmesan', 1.50, 2);
+
+INSERT INTO modifier_ingredients (modifier_id, product_id, action, quantity) VALUES 
+(1, 3, 'remove', NULL),   -- No mozzarella: leave out all of the recipe's mozzarella
+(2, 3, 'add', 0.05),      -- Extra mozzarella: 50 g more
+(3, 11, 'add', 0.04),     -- Add bacon: 40 g
+(4, 4, 'add', 5),         -- Add basil: 5 g
+(5, 11, 'remove', NULL),  -- No bacon
+(6, 13, 'add', 0.02);     -- Extra parmesan: 20 g
+
+-- Tax rates: drinks are taxed at 10%, everything else at the default 8%
+INSERT INTO tax_rates (name, rate, menu_category, recipe_category) VALUES 
+('Sales tax', 0.0800, NULL, NULL),
+('Beverage tax', 0.1000, NULL, 'drink'),
+('Beverage tax (menu)', 0.1000, 'Beverages', NULL);
+
+-- 18% service charge for parties of 6 or more
+INSERT INTO service_charge_rules (name, rate, min_guests) VALUES 
+('Large party', 0.1800, 6);
+
+-- Discounts; the happy hour applies itself to beverages ordered 16:00-18:00 on weekdays
+INSERT INTO discounts (name, discount_type, value, scope, menu_category, starts_at, ends_at, days_of_week) VALUES 
+('Happy hour drinks', 'percentage', 50, 'item', 'Beverages', '16:00', '18:00', ARRAY[1, 2, 3, 4, 5]),
+('10% off', 'percentage', 10, 'order', NULL, NULL, NULL, NULL),
+('$5 off', 'fixed', 5, 'order', NULL, NULL, NULL, NULL);
+
+-- Open checks for the seated tables
+INSERT INTO checks (table_id, guest_count) VALUES 
+(1, 2),
+(2, 3),
+(3, 4);
+
+UPDATE tables SET status = 'occupied' WHERE id IN (1, 2, 3);
+
+-- Tonight's bookings; the party of 10 has tables 4 and 6 combined
+INSERT INTO reservations (customer_name, phone, party_size, reserved_for, notes) VALUES
+('Maria Garcia', '555-0101', 4, date_trunc('hour', CURRENT_TIMESTAMP) + INTERVAL '3 hours', 'Anniversary'),
+('Chen family', '555-0102', 10, date_trunc('hour', CURRENT_TIMESTAMP) + INTERVAL '4 hours', 'High chair needed');
+
+INSERT INTO reservation_tables (reservation_id, table_id) VALUES
+(1, 2),
+(2, 4),
+(2, 6);
+
+-- Walk-ins waiting for a table
+INSERT INTO waitlist_entries (customer_name, phone, party_size, quoted_wait_minutes, created_at) VALUES
+('Tom Baker', '555-0199', 2, 15, CURRENT_TIMESTAMP - INTERVAL '5 minutes');
+
+-- Sample orders
+INSERT INTO orders (table_id, customer_name, status, total, check_id) VALUES 
+(1, 'John Smith', 'served', 0, 1),
+(2, 'Sarah Johnson', 'preparing', 0, 2),
+(3, NULL, 'pending', 0, 3);
+
+-- Items carry the price (including modifiers) and tax rate they were ordered at
+INSERT INTO order_items (order_id, menu_item_id, quantity, unit_price, tax_rate, notes) VALUES 
+(1, 1, 1, 16.99, 0.0800, NULL),        -- Margherita Pizza (food)
+(1, 2, 1, 4.99, 0.1000, NULL),         -- Fresh Lemonade (drink)
+(2, 1, 1, 15.99, 0.0800, 'Well done'), -- Margherita Pizza, no mozzarella
+(3, 4, 1, 8.99, 0.0800, NULL);         -- Caesar Salad (default rate)
+
+INSERT INTO order_item_modifiers (order_item_id, modifier_id, group_name, name, price_delta) VALUES 
+(3, 1, 'Cheese', 'No mozzarella', -1.00);
+
+-- The served order's items have been through the kitchen
+UPDATE order_items SET ready_at = CURRENT_TIMESTAMP WHERE order_id = 1;
+
+-- How each order reached its status
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_at) VALUES 
+(1, NULL, 'pending', CURRENT_TIMESTAMP - INTERVAL '40 minutes'),
+(1, 'pending', 'preparing', CURRENT_TIMESTAMP - INTERVAL '35 minutes'),
+(1, 'preparing', 'ready', CURRENT_TIMESTAMP - INTERVAL '15 minutes'),
+(1, 'ready', 'served', CURRENT_TIMESTAMP - INTERVAL '12 minutes'),
+(2, NULL, 'pending', CURRENT_TIMESTAMP - INTERVAL '20 minutes'),
+(2, 'pending', 'preparing', CURRENT_TIMESTAMP - INTERVAL '18 minutes'),
+(3, NULL, 'pending', CURRENT_TIMESTAMP - INTERVAL '5 minutes');
+
+-- Order totals from their items
+UPDATE order_items SET tax_amount = ROUND(unit_price * quantity * tax_rate, 2);
+
+UPDATE orders SET
+    subtotal = totals.subtotal,
+    tax_total = totals.tax_total,
+    total = totals.subtotal + totals.tax_total
+FROM (
+    SELECT order_id, SUM(unit_price * quantity) AS subtotal, SUM(tax_amount) AS tax_total
+    FROM order_items
+    GROUP BY order_id
+) totals
+WHERE totals.order_id = orders.id;
+
+-- The served order's ingredients have been deducted once
+INSERT INTO order_inventory_deductions (order_id, transaction_count, deducted_at) VALUES 
+(1, 3, CURRENT_TIMESTAMP - INTERVAL '12 minutes');
+
+-- Sample inventory transactions for audit trail
+INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, reference_type, reference_id, notes, deduction_id, location_id) VALUES 
+(1, 'restock', 30.0, 'manual', NULL, 'Initial stock - pizza dough delivery', NULL, 1),
+(2, 'restock', 10.0, 'manual', NULL, 'Initial stock - tomato sauce delivery', NULL, 2),
+(3, 'restock', 15.0, 'manual', NULL, 'Initial stock - mozzarella delivery', NULL, 1),
+(4, 'restock', 600.0, 'manual', NULL, 'Initial stock - fresh basil delivery', NULL, 1),
+(5, 'restock', 5.0, 'manual', NULL, 'Initial stock - olive oil delivery', NULL, 2),
+(1, 'sale', -5.0, 'order', 1, 'Pizza orders - evening service', 1, 1),
+(2, 'sale', -1.5, 'order', 1, 'Pizza sauce usage - evening service', 1, 2),
+(3, 'sale', -3.0, 'order', 1, 'Mozzarella usage - evening service', 1, 1),
+(4, 'waste', -80.0, 'waste_log', 1, 'Waste log #1 (spoiled): Basil wilted in the walk-in', NULL, 1),
+(1, 'waste', -2.0, 'waste_log', 2, 'Waste log #2 (dropped)', NULL, 1),
+(1, 'transfer', -6.0, 'transfer', 1, 'Transfer #1: Walk-in to Line (Set up the line for service)', NULL, 1),
+(1, 'transfer', 6.0, 'transfer', 1, 'Transfer #1: Walk-in to Line (Set up the line for service)', NULL, 3),
+(3, 'transfer', -2.0, 'transfer', 1, 'Transfer #1: Walk-in to Line (Set up the line for service)', NULL, 1),
+(3, 'transfer', 2.0, 'transfer', 1, 'Transfer #1: Walk-in to Line (Set up the line for service)', NULL, 3);
+
+-- Sample transactions are costed at each product's cost, so the sales carry their cost of goods sold
+UPDATE inventory_transactions t
+SET unit_cost = p.cost_per_unit,
+    total_cost = ROUND(t.quantity_change * COALESCE(p.cost_per_unit, 0), 4)
+FROM products p
+WHERE p.id = t.product_id AND t.transaction_type <> 'transfer';
+
+-- Waste logs
+INSERT INTO waste_logs (reason, notes, created_at) VALUES 
+('spoiled', 'Basil wilted in the walk-in', CURRENT_TIMESTAMP - INTERVAL '2 days'),
+('dropped', NULL, CURRENT_TIMESTAMP - INTERVAL '1 day');
+
+INSERT INTO waste_log_lines (waste_log_id, product_id, quantity, unit_cost, menu_item_id, recipe_id) VALUES 
+(1, 4, 80.0, 0.02, NULL, NULL),
+(2, 1, 2.0, 1.50, NULL, NULL);
+
+-- Perishables are used soonest-expiring first
+UPDATE products SET lot_rotation = 'fefo' WHERE id IN (3, 4, 14);
+
+-- Stock lots: one opening lot per product, except the perishables, which hold several deliveries
+-- (one cream lot has already expired and can be moved to waste)
+INSERT INTO stock_lots (product_id, received_at, unit_cost, quantity_received, quantity_remaining)
+SELECT id, CURRENT_TIMESTAMP - INTERVAL '7 days', cost_per_unit, current_quantity, current_quantity
+FROM products
+WHERE id NOT IN (3, 4, 14);
+
+INSERT INTO stock_lots (product_id, lot_code, received_at, expires_on, unit_cost, quantity_received, quantity_remaining) VALUES 
+(3, 'DF-1041', CURRENT_TIMESTAMP - INTERVAL '4 days', CURRENT_DATE + 2, 8.40, 6.0, 4.0),
+(3, 'DF-1057', CURRENT_TIMESTAMP - INTERVAL '2 days', CURRENT_DATE + 5, 8.55, 8.0, 8.0),
+(4, NULL, CURRENT_TIMESTAMP - INTERVAL '3 days', CURRENT_DATE + 1, 0.02, 300, 200),
+(4, NULL, CURRENT_TIMESTAMP - INTERVAL '1 day', CURRENT_DATE + 4, 0.02, 300, 300),
+(14, 'DF-0988', CURRENT_TIMESTAMP - INTERVAL '9 days', CURRENT_DATE - 1, 4.10, 2.0, 1.0),
+(14, 'DF-1060', CURRENT_TIMESTAMP - INTERVAL '1 day', CURRENT_DATE + 6, 4.25, 3.5, 3.5);
+
+-- Gift cards
+INSERT INTO gift_cards (code, initial_balance, balance) VALUES 
+('GC-WELCOME25', 25.00, 25.00),
+('GC-HOLIDAY50', 50.00, 12.50);
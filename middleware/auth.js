@@ -0,0 +1,154 @@
+/**
+ * Authentication and role-based access control middleware
+ * Resolves the signed-in staff user and checks per-route permissions
+ */
+
+const { verifyToken, getTokenFromRequest, isAuthEnabled } = require('../utils/auth');
+const { StaffUserQueries } = require('../utils/staff-user-database');
+const { VALID_ROLES } = require('../models/StaffUser');
+const {
+  createAuthenticationError,
+  createAuthorizationError
+} = require('./errorHandler');
+
+const ALL_ROLES = VALID_ROLES;
+const FRONT_OF_HOUSE = ['owner', 'manager', 'server', 'bartender'];
+const MANAGEMENT = ['owner', 'manager'];
+
+/**
+ * Roles allowed for each permission
+ */
+const PERMISSIONS = {
+  'menu:read': ALL_ROLES,
+  'menu:write': MANAGEMENT,
+  'menu:costs': MANAGEMENT,
+
+  'orders:read': ALL_ROLES,
+  'orders:write': FRONT_OF_HOUSE,
+  'orders:status': ALL_ROLES,
+  'orders:cancel': FRONT_OF_HOUSE,
+  'orders:void': MANAGEMENT,
+  'orders:inventory': MANAGEMENT,
+
+  'kitchen:read': ALL_ROLES,
+  'kitchen:bump': ['owner', 'manager', 'cook', 'bartender'],
+
+  'events:read': ALL_ROLES,
+
+  'tables:read': ALL_ROLES,
+  'tables:status': FRONT_OF_HOUSE,
+  'tables:manage': MANAGEMENT,
+
+  'reservations:read': ALL_ROLES,
+  'reservations:write': FRONT_OF_HOUSE,
+
+  'checks:read': ALL_ROLES,
+  'checks:write': FRONT_OF_HOUSE,
+
+  'payments:read': ALL_ROLES,
+  'payments:write': FRONT_OF_HOUSE,
+  'payments:refund': MANAGEMENT,
+  'gift_cards:manage': MANAGEMENT,
+
+  'pricing:read': ALL_ROLES,
+  'pricing:manage': MANAGEMENT,
+  'discounts:apply': FRONT_OF_HOUSE,
+  'discounts:override': MANAGEMENT,
+
+  'recipes:read': ALL_ROLES,
+  'recipes:write': ['owner', 'manager', 'cook'],
+
+  'inventory:read': ALL_ROLES,
+  'inventory:products': MANAGEMENT,
+  'inventory:locations': MANAGEMENT,
+  'inventory:stock': ['owner', 'manager', 'cook', 'bartender'],
+  'inventory:links': ['owner', 'manager', 'cook'],
+  'inventory:post_counts': MANAGEMENT,
+  'inventory:reports': MANAGEMENT,
+
+  'purchasing:read': ['owner', 'manager', 'cook', 'bartender'],
+  'purchasing:manage': MANAGEMENT,
+  'purchasing:receive': ['owner', 'manager', 'cook', 'bartender'],
+
+  'database:read': MANAGEMENT,
+  'database:admin': ['owner'],
+
+  'staff:manage': ['owner']
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - Staff role
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return roles.includes(role);
+}
+
+/**
+ * Require a valid signed-in staff user and attach it to req.user
+ * When AUTH_ENABLED=false, requests pass through with req.user = null
+ */
+async function requireAuth(req, res, next) {
+  if (!isAuthEnabled()) {
+    req.user = null;
+    return next();
+  }
+
+  try {
+    const payload = verifyToken(getTokenFromRequest(req));
+    if (!payload) {
+      throw createAuthenticationError();
+    }
+
+    // Look the user up on every request so deactivations and role changes apply immediately
+    const user = await StaffUserQueries.getUserById(payload.sub);
+    if (!user || !user.active) {
+      throw createAuthenticationError();
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require the signed-in user's role to hold a permission
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {Function} - Express middleware
+ */
+function authorize(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!isAuthEnabled()) {
+      return next();
+    }
+
+    if (!req.user) {
+      return next(createAuthenticationError());
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return next(createAuthorizationError(`Role '${req.user.role}' is not allowed to perform '${permission}'`));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  authorize,
+  hasPermission,
+  PERMISSIONS
+};
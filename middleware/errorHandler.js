@@ -81,12 +81,47 @@ const validationErrorHandler = (err, req, res, next) => {
 
 /**
  * Authentication error handler
- * Handles missing or invalid authentication
+ * Handles missing or invalid authentication (401) and insufficient role permissions (403)
  */
 const authErrorHandler = (err, req, res, next) => {
   if (err.name === 'UnauthorizedError' || err.status === 401) {
     return res.status(401).json({
-      error: 'Authentication required'
+      error: 'Authentication required',
+      details: err.message
+    });
+  }
+  if (err.name === 'ForbiddenError' || err.status === 403) {
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      details: err.message
+    });
+  }
+  next(err);
+};
+
+/**
+ * Conflict error handler
+ * Handles requests that are valid but clash with the current state of a record (409)
+ */
+const conflictErrorHandler = (err, req, res, next) => {
+  if (err.name === 'ConflictError' || err.status === 409) {
+    return res.status(409).json({
+      error: err.message,
+      ...(err.details ? { details: err.details } : {})
+    });
+  }
+  next(err);
+};
+
+/**
+ * Payment declined error handler
+ * Handles card charges, voids and refunds the processor refused (402)
+ */
+const paymentDeclinedErrorHandler = (err, req, res, next) => {
+  if (err.name === 'PaymentDeclinedError') {
+    return res.status(402).json({
+      error: err.message,
+      ...(err.details ? { details: err.details } : {})
     });
   }
   next(err);
@@ -135,12 +170,64 @@ const createValidationError = (details) => {
   return error;
 };
 
+/**
+ * Helper function to create authentication errors (401)
+ */
+const createAuthenticationError = (message = 'Authentication required') => {
+  const error = new Error(message);
+  error.name = 'UnauthorizedError';
+  error.status = 401;
+  return error;
+};
+
+/**
+ * Helper function to create authorization errors (403)
+ */
+const createAuthorizationError = (message = 'Insufficient permissions') => {
+  const error = new Error(message);
+  error.name = 'ForbiddenError';
+  error.status = 403;
+  return error;
+};
+
+/**
+ * Helper function to create conflict errors (409)
+ */
+const createConflictError = (message, details) => {
+  const error = new Error(message);
+  error.name = 'ConflictError';
+  error.status = 409;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Helper function to create payment declined errors (402)
+ */
+const createPaymentDeclinedError = (message, details) => {
+  const error = new Error(message);
+  error.name = 'PaymentDeclinedError';
+  error.status = 402;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
 module.exports = {
   jsonErrorHandler,
   databaseErrorHandler,
   validationErrorHandler,
   authErrorHandler,
+  conflictErrorHandler,
+  paymentDeclinedErrorHandler,
   globalErrorHandler,
   notFoundHandler,
-  createValidationError
+  createValidationError,
+  createAuthenticationError,
+  createAuthorizationError,
+  createConflictError,
+  createPaymentDeclinedError
 };
\ No newline at end of file
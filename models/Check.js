@@ -0,0 +1,196 @@
+/**
+ * Check model and validation utilities
+ * A check groups every order for one seating at a table
+ */
+
+/**
+ * Valid check statuses
+ * - open: the party is seated and can order
+ * - closed: every order is paid and the party has left
+ * - merged: its orders were moved onto another check (see merged_into_check_id)
+ */
+const VALID_CHECK_STATUSES = ['open', 'closed', 'merged'];
+
+/**
+ * Largest number of guests a check can be split evenly between
+ */
+const MAX_SPLIT_GUESTS = 50;
+
+/**
+ * Check class representing one seating's bill
+ */
+class Check {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.table_id = data.table_id || null;
+    this.table_number = data.table_number || null;
+    this.status = data.status || 'open';
+    this.guest_count = data.guest_count || null;
+    this.split_guests = data.split_guests || null;
+    this.merged_into_check_id = data.merged_into_check_id || null;
+    this.split_from_check_id = data.split_from_check_id || null;
+    this.opened_by = data.opened_by || null;
+    this.closed_by = data.closed_by || null;
+    this.opened_at = data.opened_at || null;
+    this.closed_at = data.closed_at || null;
+    this.total = data.total !== undefined ? parseFloat(data.total) : 0;
+    this.orders = data.orders || [];
+    this.order_count = data.order_count !== undefined ? parseInt(data.order_count) : this.orders.length;
+    this.even_split = this.split_guests ? calculateEvenShares(this.total, this.split_guests) : null;
+  }
+
+  /**
+   * Check if the check can still take orders and changes
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.status === 'open';
+  }
+}
+
+/**
+ * Validates a positive integer ID field
+ * @param {*} value - Value to check
+ * @param {string} field - Field name for the error
+ * @param {string} label - Human-readable name
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateId(value, field, label) {
+  if (value === undefined || value === null || value === '') {
+    return [{ field, message: `${label} is required` }];
+  }
+  if (!Number.isInteger(Number(value)) || Number(value) < 1) {
+    return [{ field, message: `${label} must be a positive integer` }];
+  }
+  return [];
+}
+
+/**
+ * Validates data for opening a check
+ * @param {Object} data - { table_id, guest_count }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateCheckForOpen(data) {
+  const errors = validateId(data.table_id, 'table_id', 'Table ID');
+
+  if (data.guest_count !== undefined && data.guest_count !== null &&
+      (!Number.isInteger(data.guest_count) || data.guest_count < 1)) {
+    errors.push({ field: 'guest_count', message: 'Guest count must be a positive integer' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a transfer to another table
+ * @param {Object} data - { table_id }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateCheckTransfer(data) {
+  const errors = validateId(data.table_id, 'table_id', 'Table ID');
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a merge request
+ * @param {Object} data - { check_id } of the check being merged in
+ * @param {number} targetCheckId - Check receiving the orders
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateCheckMerge(data, targetCheckId) {
+  const errors = validateId(data.check_id, 'check_id', 'Check ID');
+
+  if (errors.length === 0 && Number(data.check_id) === targetCheckId) {
+    errors.push({ field: 'check_id', message: 'A check cannot be merged into itself' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates an item split
+ * @param {Object} data - { items: [{ order_item_id, quantity }] } to move onto a new check
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateItemSplit(data) {
+  const errors = [];
+
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    errors.push({ field: 'items', message: 'At least one item is required to split a check' });
+    return { isValid: false, errors };
+  }
+
+  const seen = new Set();
+  data.items.forEach((item, index) => {
+    errors.push(...validateId(item && item.order_item_id, `items[${index}].order_item_id`, 'Order item ID'));
+
+    if (item && item.quantity !== undefined && (!Number.isInteger(item.quantity) || item.quantity < 1)) {
+      errors.push({ field: `items[${index}].quantity`, message: 'Quantity must be a positive integer' });
+    }
+
+    if (item && seen.has(Number(item.order_item_id))) {
+      errors.push({ field: `items[${index}].order_item_id`, message: 'Each order item can only be listed once' });
+    }
+    seen.add(Number(item && item.order_item_id));
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates an even split
+ * @param {Object} data - { guests }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateEvenSplit(data) {
+  const errors = [];
+
+  if (!Number.isInteger(data.guests) || data.guests < 2 || data.guests > MAX_SPLIT_GUESTS) {
+    errors.push({ field: 'guests', message: `Guests must be an integer between 2 and ${MAX_SPLIT_GUESTS}` });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Divide a total into equal shares; leftover cents go to the first shares
+ * @param {number} total - Amount to split
+ * @param {number} guests - Number of shares
+ * @returns {Array<number>} - Share amounts that add up to the total exactly
+ */
+function calculateEvenShares(total, guests) {
+  const totalCents = Math.round(Number(total) * 100);
+  const baseCents = Math.floor(totalCents / guests);
+  const remainder = totalCents - baseCents * guests;
+
+  return Array.from({ length: guests }, (_, index) =>
+    (baseCents + (index < remainder ? 1 : 0)) / 100
+  );
+}
+
+module.exports = {
+  Check,
+  validateCheckForOpen,
+  validateCheckTransfer,
+  validateCheckMerge,
+  validateItemSplit,
+  validateEvenSplit,
+  calculateEvenShares,
+  VALID_CHECK_STATUSES,
+  MAX_SPLIT_GUESTS
+};
@@ -0,0 +1,148 @@
+/**
+ * Inventory costing utilities
+ * Every stock change is costed when its inventory transaction is written: stock coming in at the
+ * price paid, stock going out at the weighted-average cost or, with FIFO costing, at the cost of the
+ * lots it was taken from. The cost of 'sale' transactions is the cost of goods sold.
+ */
+
+const { averageCost, isDate } = require('./PurchaseOrder');
+const { formatDate } = require('./Waste');
+
+/**
+ * How stock going out is costed and stock on hand is valued
+ * - average: at the product's weighted-average cost
+ * - fifo: at the cost of the lots the stock is taken from, in the product's lot rotation
+ */
+const COSTING_METHODS = ['average', 'fifo'];
+
+const DEFAULT_COSTING_METHOD = 'average';
+
+/**
+ * Round an amount to the four decimal places costs are stored with
+ * @param {number} value - Amount
+ * @returns {number}
+ */
+function roundCost(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Round an amount to cents
+ * @param {number} value - Amount
+ * @returns {number}
+ */
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Cost a stock change
+ * Stock coming in is costed at its unit cost (the product's cost when it has none) and moves the
+ * product's weighted-average cost. Stock going out is costed at the average cost, or under FIFO at the
+ * cost of the lots it came from plus the average cost of anything the lots did not hold.
+ * @param {Object} change - { method, quantity, on_hand (before the change), product_cost, unit_cost,
+ *   lots: { quantity, cost } taken from lots under FIFO }
+ * @returns {Object} - { unit_cost, total_cost (signed like the quantity), product_cost (after the change) }
+ */
+function costStockChange(change) {
+  const quantity = parseFloat(change.quantity);
+  const productCost = change.product_cost === null || change.product_cost === undefined
+    ? null
+    : parseFloat(change.product_cost);
+
+  if (quantity > 0) {
+    // Stock with no cost coming in to a product with no cost yet leaves the product without one
+    if ((change.unit_cost === null || change.unit_cost === undefined) && productCost === null) {
+      return { unit_cost: 0, total_cost: 0, product_cost: null };
+    }
+    const unitCost = parseFloat(change.unit_cost ?? productCost ?? 0);
+    return {
+      unit_cost: roundCost(unitCost),
+      total_cost: roundCost(quantity * unitCost),
+      product_cost: averageCost(change.on_hand, productCost, quantity, unitCost)
+    };
+  }
+
+  let totalCost = quantity * (productCost || 0);
+  if (change.method === 'fifo' && change.lots) {
+    const fromLots = parseFloat(change.lots.quantity) || 0;
+    totalCost = -((parseFloat(change.lots.cost) || 0) + (-quantity - fromLots) * (productCost || 0));
+  }
+  return {
+    unit_cost: roundCost(totalCost / quantity),
+    total_cost: roundCost(totalCost),
+    product_cost: productCost
+  };
+}
+
+/**
+ * Work out the date a valuation is taken at and the period its cost of goods sold covers
+ * Without as_of the valuation is taken at the end of today, and without from the cost of goods sold runs
+ * from the first of as_of's month
+ * @param {Object} options - { as_of, from } as YYYY-MM-DD strings (optional)
+ * @param {Date} today - Today's date
+ * @returns {Object} - { as_of, from, errors }
+ */
+function resolveValuationPeriod(options = {}, today = new Date()) {
+  const errors = [];
+  const parse = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (!isDate(value)) {
+      errors.push({ field, message: 'Must be YYYY-MM-DD' });
+      return null;
+    }
+    return new Date(`${value}T00:00:00`);
+  };
+
+  const asOf = parse(options.as_of, 'as_of') || new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const from = parse(options.from, 'from') || new Date(asOf.getFullYear(), asOf.getMonth(), 1);
+  if (errors.length > 0) {
+    return { as_of: null, from: null, errors };
+  }
+  if (from > asOf) {
+    errors.push({ field: 'from', message: 'Must not be after as_of' });
+  }
+
+  return { as_of: formatDate(asOf), from: formatDate(from), errors };
+}
+
+/**
+ * Total up a valuation's products
+ * A product's unit_cost is what each unit on hand is worth on average; null when none is on hand
+ * @param {Array} rows - [{ product_id, name, category, unit_of_measure, quantity, value, cost_of_goods_sold }]
+ * @returns {Object} - { total_value, cost_of_goods_sold, products }
+ */
+function summarizeValuation(rows) {
+  const products = rows.map(row => {
+    const quantity = Math.round(parseFloat(row.quantity) * 1000) / 1000;
+    const value = parseFloat(row.value) || 0;
+    return {
+      product_id: row.product_id,
+      name: row.name,
+      category: row.category,
+      unit_of_measure: row.unit_of_measure,
+      quantity,
+      unit_cost: quantity > 0 ? roundCost(value / quantity) : null,
+      value: roundMoney(value),
+      cost_of_goods_sold: roundMoney(parseFloat(row.cost_of_goods_sold) || 0)
+    };
+  });
+
+  return {
+    total_value: roundMoney(products.reduce((sum, product) => sum + product.value, 0)),
+    cost_of_goods_sold: roundMoney(products.reduce((sum, product) => sum + product.cost_of_goods_sold, 0)),
+    products
+  };
+}
+
+module.exports = {
+  COSTING_METHODS,
+  DEFAULT_COSTING_METHOD,
+  roundCost,
+  roundMoney,
+  costStockChange,
+  summarizeValuation,
+  resolveValuationPeriod
+};
@@ -10,8 +10,8 @@ class InventoryTransaction {
     this.created_at = data.created_at;
   }
 
-  static TRANSACTION_TYPES = ['sale', 'restock', 'adjustment', 'waste'];
-  static REFERENCE_TYPES = ['order', 'manual', 'recipe'];
+  static TRANSACTION_TYPES = ['sale', 'restock', 'adjustment', 'waste', 'transfer'];
+  static REFERENCE_TYPES = ['order', 'manual', 'recipe', 'purchase_order', 'stock_count', 'waste_log', 'transfer'];
 
   validate() {
     const errors = [];
@@ -0,0 +1,146 @@
+/**
+ * Kitchen display model utilities
+ * Works out which station prepares each item and groups open order items into per-station tickets
+ * with age timers measured against the recipe's prep and cook time
+ */
+
+const DEFAULT_STATION = 'kitchen';
+const BAR_STATION = 'bar';
+
+// Order statuses shown on the kitchen display; 'ready' tickets stay visible so they can be recalled
+const KITCHEN_STATUSES = ['pending', 'preparing', 'ready'];
+
+// Share of the target time after which a ticket is flagged as running late
+const WARNING_THRESHOLD = 0.8;
+
+/**
+ * Validates a station name (lowercase letters, digits and underscores, e.g. 'pizza_oven')
+ * @param {*} station - Station name, or null/'' to derive it from the recipe
+ * @returns {Object|null} - Error or null
+ */
+function validateStation(station) {
+  if (station === undefined || station === null || station === '') {
+    return null;
+  }
+  if (typeof station !== 'string' || !/^[a-z][a-z0-9_]*$/.test(station) || station.length > 30) {
+    return {
+      field: 'station',
+      message: 'Station must be up to 30 lowercase letters, digits or underscores, e.g. pizza_oven'
+    };
+  }
+  return null;
+}
+
+/**
+ * Station that prepares a menu item
+ * @param {Object} item - { station, recipe_category }
+ * @returns {string}
+ */
+function resolveStation(item) {
+  if (item.station) {
+    return item.station;
+  }
+  return item.recipe_category === 'drink' ? BAR_STATION : DEFAULT_STATION;
+}
+
+/**
+ * How a ticket's age compares with its target time
+ * @param {number} ageSeconds - Seconds since the order was placed
+ * @param {number|null} targetSeconds - Target time, or null when the items have no recipe times
+ * @returns {string} - 'ok', 'warning' or 'late'
+ */
+function getTimerStatus(ageSeconds, targetSeconds) {
+  if (!targetSeconds) {
+    return 'ok';
+  }
+  if (ageSeconds > targetSeconds) {
+    return 'late';
+  }
+  return ageSeconds >= targetSeconds * WARNING_THRESHOLD ? 'warning' : 'ok';
+}
+
+/**
+ * Group order item rows into one ticket per order and station
+ * @param {Array} rows - Order item rows with order_id, status, created_at, table_number, customer_name,
+ *                       order_item_id, name, quantity, notes, modifiers, ready_at, station,
+ *                       recipe_category and target_minutes
+ * @param {Date} now - Current time for ticket ages
+ * @returns {Array} - Tickets, oldest first
+ */
+function buildTickets(rows, now = new Date()) {
+  const tickets = new Map();
+
+  for (const row of rows) {
+    const station = resolveStation(row);
+    const key = `${row.order_id}:${station}`;
+
+    if (!tickets.has(key)) {
+      const ageSeconds = Math.max(0, Math.floor((now - new Date(row.created_at)) / 1000));
+      tickets.set(key, {
+        order_id: row.order_id,
+        station,
+        status: row.status,
+        table_number: row.table_number,
+        customer_name: row.customer_name,
+        created_at: row.created_at,
+        age_seconds: ageSeconds,
+        target_seconds: null,
+        items: []
+      });
+    }
+
+    const ticket = tickets.get(key);
+    const targetSeconds = (parseInt(row.target_minutes) || 0) * 60;
+    if (targetSeconds > (ticket.target_seconds || 0)) {
+      ticket.target_seconds = targetSeconds;
+    }
+
+    ticket.items.push({
+      id: row.order_item_id,
+      name: row.name,
+      quantity: row.quantity,
+      notes: row.notes,
+      modifiers: row.modifiers,
+      ready: row.ready_at !== null && row.ready_at !== undefined,
+      ready_at: row.ready_at || null
+    });
+  }
+
+  return Array.from(tickets.values()).map(ticket => ({
+    ...ticket,
+    timer_status: getTimerStatus(ticket.age_seconds, ticket.target_seconds),
+    bumped: ticket.items.every(item => item.ready)
+  }));
+}
+
+/**
+ * Order status implied by its items' ready state
+ * @param {string} status - Current order status
+ * @param {Array} items - Order items with ready (boolean)
+ * @returns {string} - New status (unchanged when nothing needs to move)
+ */
+function statusForReadyItems(status, items) {
+  if (!KITCHEN_STATUSES.includes(status) || items.length === 0) {
+    return status;
+  }
+
+  const readyCount = items.filter(item => item.ready).length;
+  if (readyCount === items.length) {
+    return 'ready';
+  }
+  if (status === 'ready' || readyCount > 0) {
+    return 'preparing';
+  }
+  return status;
+}
+
+module.exports = {
+  validateStation,
+  resolveStation,
+  getTimerStatus,
+  buildTickets,
+  statusForReadyItems,
+  DEFAULT_STATION,
+  BAR_STATION,
+  KITCHEN_STATUSES
+};
@@ -0,0 +1,106 @@
+/**
+ * Storage location model and validation utilities
+ * Stock is held per location; transfers move it between locations without changing a product's total
+ */
+
+const { isAmount, validateOptionalText } = require('./Supplier');
+const { RECIPE_CATEGORIES } = require('./Pricing');
+
+/**
+ * Validates data for adding or changing a storage location
+ * recipe_category makes the location the one recipes of that category take their ingredients from
+ * @param {Object} data - { name, recipe_category, sort_order, active }
+ * @param {boolean} isUpdate - Whether this is a change (fields are optional)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateLocation(data, isUpdate = false) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { isValid: false, errors: [{ field: 'body', message: 'Request body is required' }] };
+  }
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Location name is required' });
+    } else if (data.name.length > 100) {
+      errors.push({ field: 'name', message: 'Location name must be 100 characters or less' });
+    }
+  }
+
+  if (data.recipe_category !== undefined && data.recipe_category !== null &&
+      !RECIPE_CATEGORIES.includes(data.recipe_category)) {
+    errors.push({ field: 'recipe_category', message: `Recipe category must be one of: ${RECIPE_CATEGORIES.join(', ')}` });
+  }
+
+  if (data.sort_order !== undefined && !Number.isInteger(data.sort_order)) {
+    errors.push({ field: 'sort_order', message: 'Sort order must be a whole number' });
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push({ field: 'active', message: 'Active must be true or false' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a transfer of stock from one location to another
+ * @param {Object} data - { from_location_id, to_location_id, notes, items: [{ product_id, quantity }] }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateTransfer(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { isValid: false, errors: [{ field: 'body', message: 'Request body is required' }] };
+  }
+
+  for (const field of ['from_location_id', 'to_location_id']) {
+    if (!Number.isInteger(data[field]) || data[field] < 1) {
+      errors.push({ field, message: 'Location ID must be a positive integer' });
+    }
+  }
+  if (errors.length === 0 && data.from_location_id === data.to_location_id) {
+    errors.push({ field: 'to_location_id', message: 'Stock must move to a different location' });
+  }
+
+  errors.push(...validateOptionalText(data.notes, 'notes', 'Notes', 1000));
+
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    errors.push({ field: 'items', message: 'Items must be a non-empty array' });
+    return { isValid: false, errors };
+  }
+
+  data.items.forEach((item, index) => {
+    const prefix = `items[${index}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push({ field: prefix, message: 'Each item must be an object' });
+      return;
+    }
+    if (!Number.isInteger(item.product_id) || item.product_id < 1) {
+      errors.push({ field: `${prefix}.product_id`, message: 'Product ID must be a positive integer' });
+    }
+    if (!isAmount(item.quantity, 3) || item.quantity <= 0) {
+      errors.push({ field: `${prefix}.quantity`, message: 'Quantity must be a positive number with at most three decimal places' });
+    }
+  });
+
+  const productIds = data.items.map(item => item && item.product_id);
+  if (errors.length === 0 && new Set(productIds).size !== productIds.length) {
+    errors.push({ field: 'items', message: 'Each product can only be listed once per transfer' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateLocation,
+  validateTransfer
+};
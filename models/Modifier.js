@@ -0,0 +1,288 @@
+/**
+ * Menu item modifier model and validation utilities
+ * Validates modifier groups, modifiers and the modifiers chosen for an order item,
+ * and applies modifier ingredient changes to a recipe's ingredient quantities
+ */
+
+const INGREDIENT_ACTIONS = ['add', 'remove'];
+
+/**
+ * Check that a value is a whole number of at least min
+ */
+function isInteger(value, min) {
+  return Number.isInteger(value) && value >= min;
+}
+
+/**
+ * Validate a name field
+ * @returns {Object|null} - Error or null
+ */
+function validateName(name) {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return { field: 'name', message: 'Name is required' };
+  }
+  if (name.length > 100) {
+    return { field: 'name', message: 'Name must be 100 characters or less' };
+  }
+  return null;
+}
+
+/**
+ * Validates a modifier's ingredient changes
+ * @param {Array} ingredients - [{ product_id, action, quantity }]
+ * @param {string} prefix - Field name prefix for errors
+ * @returns {Array} - Errors
+ */
+function validateModifierIngredients(ingredients, prefix = 'ingredients') {
+  if (!Array.isArray(ingredients)) {
+    return [{ field: prefix, message: 'Ingredients must be an array' }];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  ingredients.forEach((ingredient, index) => {
+    const field = `${prefix}[${index}]`;
+    if (!ingredient || !isInteger(ingredient.product_id, 1)) {
+      errors.push({ field: `${field}.product_id`, message: 'Product ID must be a positive integer' });
+      return;
+    }
+    if (seen.has(ingredient.product_id)) {
+      errors.push({ field: `${field}.product_id`, message: `Product ${ingredient.product_id} is listed more than once` });
+    }
+    seen.add(ingredient.product_id);
+
+    if (!INGREDIENT_ACTIONS.includes(ingredient.action)) {
+      errors.push({ field: `${field}.action`, message: 'Action must be add or remove' });
+    }
+
+    const hasQuantity = ingredient.quantity !== undefined && ingredient.quantity !== null;
+    if (hasQuantity && (typeof ingredient.quantity !== 'number' || !Number.isFinite(ingredient.quantity) || ingredient.quantity <= 0)) {
+      errors.push({ field: `${field}.quantity`, message: 'Quantity must be a positive number' });
+    } else if (!hasQuantity && ingredient.action === 'add') {
+      errors.push({ field: `${field}.quantity`, message: 'Quantity is required when adding an ingredient' });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates a modifier
+ * @param {Object} data - { name, price_delta, available, sort_order, ingredients }
+ * @param {boolean} isUpdate - Whether fields may be omitted
+ * @param {string} prefix - Field name prefix for errors (used for modifiers nested in a group)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateModifier(data, isUpdate = false, prefix = '') {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    const nameError = validateName(data.name);
+    if (nameError) {
+      errors.push(nameError);
+    }
+  }
+
+  if (data.price_delta !== undefined &&
+      (typeof data.price_delta !== 'number' || !Number.isFinite(data.price_delta))) {
+    errors.push({ field: 'price_delta', message: 'Price delta must be a number (negative for a reduction)' });
+  }
+
+  if (data.available !== undefined && typeof data.available !== 'boolean') {
+    errors.push({ field: 'available', message: 'Available must be true or false' });
+  }
+
+  if (data.sort_order !== undefined && !isInteger(data.sort_order, 0)) {
+    errors.push({ field: 'sort_order', message: 'Sort order must be a non-negative integer' });
+  }
+
+  if (data.ingredients !== undefined) {
+    errors.push(...validateModifierIngredients(data.ingredients));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors: errors.map(error => ({ ...error, field: `${prefix}${error.field}` }))
+  };
+}
+
+/**
+ * Validates a modifier group
+ * A required group needs at least one selection; min_selections defaults to 1 for required groups
+ * @param {Object} data - { name, is_required, min_selections, max_selections, sort_order, modifiers }
+ * @param {boolean} isUpdate - Whether fields may be omitted
+ * @param {Object} existing - Current group when updating, so limits are checked against the result
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateModifierGroup(data, isUpdate = false, existing = {}) {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    const nameError = validateName(data.name);
+    if (nameError) {
+      errors.push(nameError);
+    }
+  }
+
+  if (data.is_required !== undefined && typeof data.is_required !== 'boolean') {
+    errors.push({ field: 'is_required', message: 'Is required must be true or false' });
+  }
+
+  if (data.min_selections !== undefined && !isInteger(data.min_selections, 0)) {
+    errors.push({ field: 'min_selections', message: 'Minimum selections must be a non-negative integer' });
+  }
+
+  if (data.max_selections !== undefined && data.max_selections !== null && !isInteger(data.max_selections, 1)) {
+    errors.push({ field: 'max_selections', message: 'Maximum selections must be a positive integer or null for no limit' });
+  }
+
+  if (errors.length === 0) {
+    const merged = { ...existing, ...data };
+    const isRequired = merged.is_required === true;
+    const minSelections = merged.min_selections !== undefined ? merged.min_selections : (isRequired ? 1 : 0);
+    if (isRequired && minSelections < 1) {
+      errors.push({ field: 'min_selections', message: 'A required group needs at least one selection' });
+    }
+    if (merged.max_selections !== undefined && merged.max_selections !== null && merged.max_selections < minSelections) {
+      errors.push({ field: 'max_selections', message: 'Maximum selections cannot be less than minimum selections' });
+    }
+  }
+
+  if (data.sort_order !== undefined && !isInteger(data.sort_order, 0)) {
+    errors.push({ field: 'sort_order', message: 'Sort order must be a non-negative integer' });
+  }
+
+  if (data.modifiers !== undefined) {
+    if (isUpdate) {
+      errors.push({ field: 'modifiers', message: 'Modifiers are changed through the group\'s modifiers endpoints' });
+    } else if (!Array.isArray(data.modifiers)) {
+      errors.push({ field: 'modifiers', message: 'Modifiers must be an array' });
+    } else {
+      data.modifiers.forEach((modifier, index) => {
+        errors.push(...validateModifier(modifier || {}, false, `modifiers[${index}].`).errors);
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Check the modifiers chosen for one order item against the menu item's groups
+ * @param {Array} groups - Menu item's groups, each with its modifiers
+ * @param {Array} modifierIds - Chosen modifier IDs
+ * @param {string} field - Field name for errors, e.g. 'items[0].modifiers'
+ * @returns {Object} - { errors: Array, modifiers: Array } with the chosen modifiers and their group names
+ */
+function validateModifierSelections(groups, modifierIds, field = 'modifiers') {
+  if (modifierIds !== undefined && !Array.isArray(modifierIds)) {
+    return { errors: [{ field, message: 'Modifiers must be an array of modifier IDs' }], modifiers: [] };
+  }
+
+  const errors = [];
+  const chosen = [];
+  const countsByGroup = new Map(groups.map(group => [group.id, 0]));
+  const ids = (modifierIds || []).map(Number);
+
+  ids.forEach((id, index) => {
+    if (ids.indexOf(id) !== index) {
+      errors.push({ field, message: `Modifier ${id} is chosen more than once` });
+      return;
+    }
+
+    const group = groups.find(g => g.modifiers.some(modifier => modifier.id === id));
+    if (!group) {
+      errors.push({ field, message: `Modifier ${id} is not available for this menu item` });
+      return;
+    }
+
+    const modifier = group.modifiers.find(m => m.id === id);
+    if (!modifier.available) {
+      errors.push({ field, message: `${modifier.name} is not available` });
+      return;
+    }
+
+    countsByGroup.set(group.id, countsByGroup.get(group.id) + 1);
+    chosen.push({ ...modifier, group_name: group.name });
+  });
+
+  for (const group of groups) {
+    const count = countsByGroup.get(group.id);
+    const minSelections = Math.max(group.min_selections || 0, group.is_required ? 1 : 0);
+    if (count < minSelections) {
+      errors.push({
+        field,
+        message: minSelections === 1
+          ? `${group.name} requires a selection`
+          : `${group.name} requires at least ${minSelections} selections`
+      });
+    }
+    if (group.max_selections !== null && group.max_selections !== undefined && count > group.max_selections) {
+      errors.push({ field, message: `${group.name} allows at most ${group.max_selections} selections` });
+    }
+  }
+
+  return { errors, modifiers: chosen };
+}
+
+/**
+ * Apply modifier ingredient changes to the ingredients of one order item
+ * Removals are applied before additions, so a swap (no mozzarella, add vegan cheese) works either way round.
+ * @param {Array} ingredients - Recipe ingredients with product_id, quantity_per_serving and total_quantity_needed
+ * @param {Array} changes - Modifier ingredient rows with product_id, action, quantity and product details
+ * @param {number} servings - Quantity of the order item
+ * @returns {Array} - Adjusted ingredients; products left at zero are dropped
+ */
+function applyIngredientModifiers(ingredients, changes, servings) {
+  const byProduct = new Map(ingredients.map(ingredient => [ingredient.product_id, {
+    ...ingredient,
+    quantity_per_serving: parseFloat(ingredient.quantity_per_serving),
+    total_quantity_needed: parseFloat(ingredient.total_quantity_needed)
+  }]));
+
+  const ordered = [
+    ...changes.filter(change => change.action === 'remove'),
+    ...changes.filter(change => change.action === 'add')
+  ];
+
+  for (const change of ordered) {
+    const existing = byProduct.get(change.product_id);
+    const perServing = change.quantity === null || change.quantity === undefined ? null : parseFloat(change.quantity);
+
+    if (change.action === 'remove') {
+      if (existing) {
+        existing.quantity_per_serving = perServing === null ? 0 : Math.max(0, existing.quantity_per_serving - perServing);
+        existing.total_quantity_needed = existing.quantity_per_serving * servings;
+      }
+    } else if (existing) {
+      existing.quantity_per_serving += perServing;
+      existing.total_quantity_needed = existing.quantity_per_serving * servings;
+    } else {
+      byProduct.set(change.product_id, {
+        product_id: change.product_id,
+        quantity_per_serving: perServing,
+        total_quantity_needed: perServing * servings,
+        ingredient_unit: change.unit_of_measure,
+        product_name: change.product_name,
+        unit_of_measure: change.unit_of_measure,
+        current_quantity: change.current_quantity,
+        ingredient_name: change.product_name
+      });
+    }
+  }
+
+  return Array.from(byProduct.values()).filter(ingredient => ingredient.total_quantity_needed > 0);
+}
+
+module.exports = {
+  validateModifierGroup,
+  validateModifier,
+  validateModifierIngredients,
+  validateModifierSelections,
+  applyIngredientModifiers,
+  INGREDIENT_ACTIONS
+};
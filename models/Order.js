@@ -0,0 +1,86 @@
+/**
+ * Order status state machine
+ * An order moves pending → preparing → ready → served → paid. It can be cancelled until it is served,
+ * and a served order that will not be paid for is voided. Refunding a paid order's payments moves it back
+ * to served (see OrderStatusQueries.reopenPaidOrder); no status change can.
+ */
+
+/**
+ * Valid order statuses
+ * - pending: placed, not started
+ * - preparing: the kitchen is working on it
+ * - ready: every item is ready to go out
+ * - served: delivered to the guest (inventory is deducted here)
+ * - paid: payments cover the total
+ * - cancelled: stopped before it was served
+ * - voided: served but taken off the bill
+ */
+const ORDER_STATUSES = ['pending', 'preparing', 'ready', 'served', 'paid', 'cancelled', 'voided'];
+
+/**
+ * Statuses each status may move to
+ * A pending order can go straight to ready when the kitchen bumps it without starting it, and a ready
+ * order goes back to preparing when a ticket is recalled
+ */
+const ORDER_TRANSITIONS = {
+  pending: ['preparing', 'ready', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['preparing', 'served', 'cancelled'],
+  served: ['paid', 'voided'],
+  paid: [],
+  cancelled: [],
+  voided: []
+};
+
+/**
+ * Statuses an order never leaves
+ */
+const FINAL_ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS).filter(status => ORDER_TRANSITIONS[status].length === 0);
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Validates a requested order status
+ * @param {*} status - Requested status
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateOrderStatus(status) {
+  if (!ORDER_STATUSES.includes(status)) {
+    return [{ field: 'status', message: `Status must be one of: ${ORDER_STATUSES.join(', ')}` }];
+  }
+  return [];
+}
+
+/**
+ * Explain why an order cannot move to a status
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {string|null} - Message, or null when the transition is allowed
+ */
+function getTransitionError(from, to) {
+  if (canTransition(from, to)) {
+    return null;
+  }
+
+  const allowed = ORDER_TRANSITIONS[from] || [];
+  return allowed.length > 0
+    ? `Cannot change an order from ${from} to ${to}; it can move to ${allowed.join(', ')}`
+    : `Cannot change an order from ${from} to ${to}; ${from} orders are final`;
+}
+
+module.exports = {
+  canTransition,
+  validateOrderStatus,
+  getTransitionError,
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  FINAL_ORDER_STATUSES
+};
@@ -0,0 +1,78 @@
+/**
+ * Order cancellations and voids
+ * An order or item taken off the bill before it is served is cancelled, one taken off after is voided.
+ * Its ingredients are either returned to stock or recorded as waste.
+ */
+
+/**
+ * What happens to the food
+ * - waste: it was made (or served) and thrown away
+ * - return: it was never made, so whatever was deducted goes back into stock
+ */
+const VOID_DISPOSITIONS = ['waste', 'return'];
+
+/**
+ * Validates a cancel or void request
+ * @param {Object} data - { reason, disposition (optional, defaults to 'return') }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateOrderVoid(data) {
+  const errors = [];
+
+  if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length === 0) {
+    errors.push({ field: 'reason', message: 'Reason is required' });
+  } else if (data.reason.length > 500) {
+    errors.push({ field: 'reason', message: 'Reason must be 500 characters or less' });
+  }
+
+  if (data.disposition !== undefined && !VOID_DISPOSITIONS.includes(data.disposition)) {
+    errors.push({ field: 'disposition', message: `Disposition must be one of: ${VOID_DISPOSITIONS.join(', ')}` });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Work out how much of each ingredient can be put back by reversing the order's sale transactions
+ * Sales are consumed oldest first and never reversed beyond what is left of them, so voiding items one
+ * at a time never returns more than was deducted. Whatever has no sale to reverse was never deducted.
+ * @param {Array} sales - Sale transactions { id, product_id, quantity_change (negative), reversed (positive) }
+ * @param {Array} ingredients - Ingredients used by the voided items { product_id, total_quantity_needed }
+ * @returns {Object} - { reversals: [{ transaction_id, product_id, quantity }], undeducted: [{ product_id, quantity }] }
+ */
+function planInventoryReversal(sales, ingredients) {
+  const remaining = new Map(sales.map(sale => [
+    sale.id,
+    Math.round((-parseFloat(sale.quantity_change) - parseFloat(sale.reversed || 0)) * 1000)
+  ]));
+  const reversals = [];
+  const undeducted = [];
+
+  for (const ingredient of ingredients) {
+    let needed = Math.round(parseFloat(ingredient.total_quantity_needed) * 1000);
+
+    for (const sale of sales.filter(s => s.product_id === ingredient.product_id)) {
+      const quantity = Math.min(needed, remaining.get(sale.id));
+      if (quantity > 0) {
+        reversals.push({ transaction_id: sale.id, product_id: sale.product_id, quantity: quantity / 1000 });
+        remaining.set(sale.id, remaining.get(sale.id) - quantity);
+        needed -= quantity;
+      }
+    }
+
+    if (needed > 0) {
+      undeducted.push({ product_id: ingredient.product_id, quantity: needed / 1000 });
+    }
+  }
+
+  return { reversals, undeducted };
+}
+
+module.exports = {
+  validateOrderVoid,
+  planInventoryReversal,
+  VOID_DISPOSITIONS
+};
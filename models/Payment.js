@@ -0,0 +1,248 @@
+/**
+ * Payment model and validation utilities
+ * Provides the Payment class, payment/refund/void validation and balance calculations
+ */
+
+/**
+ * Accepted tender types
+ */
+const TENDER_TYPES = ['cash', 'card', 'gift_card'];
+
+/**
+ * Payment statuses
+ * - completed: applied in full to the order
+ * - partially_refunded / refunded: some or all of the amount was returned
+ * - voided: cancelled entirely, including the tip
+ */
+const PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'voided'];
+
+/**
+ * Convert a currency amount to integer cents
+ * @param {number|string} value - Amount in dollars
+ * @returns {number}
+ */
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+/**
+ * Convert integer cents to a dollar amount
+ * @param {number} cents - Amount in cents
+ * @returns {number}
+ */
+function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * Payment class representing one tender applied to an order
+ */
+class Payment {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.order_id = data.order_id || null;
+    this.tender_type = data.tender_type || '';
+    this.amount = data.amount !== undefined ? parseFloat(data.amount) : 0;
+    this.tip_amount = data.tip_amount !== undefined ? parseFloat(data.tip_amount) : 0;
+    this.amount_tendered = data.amount_tendered !== undefined && data.amount_tendered !== null
+      ? parseFloat(data.amount_tendered)
+      : null;
+    this.change_due = data.change_due !== undefined ? parseFloat(data.change_due) : 0;
+    this.refunded_amount = data.refunded_amount !== undefined ? parseFloat(data.refunded_amount) : 0;
+    this.status = data.status || 'completed';
+    this.processor = data.processor || null;
+    this.processor_reference = data.processor_reference || null;
+    this.card_brand = data.card_brand || null;
+    this.card_last4 = data.card_last4 || null;
+    this.gift_card_id = data.gift_card_id || null;
+    this.void_reason = data.void_reason || null;
+    this.created_by = data.created_by || null;
+    this.voided_by = data.voided_by || null;
+    this.voided_at = data.voided_at || null;
+    this.created_at = data.created_at || null;
+    this.refunds = data.refunds || [];
+  }
+
+  /**
+   * Amount still applied to the order after voids and refunds
+   * @returns {number}
+   */
+  getAppliedAmount() {
+    if (this.status === 'voided') {
+      return 0;
+    }
+    return fromCents(toCents(this.amount) - toCents(this.refunded_amount));
+  }
+}
+
+/**
+ * Check that a value is a non-negative currency amount with at most two decimals
+ * @param {*} value - Value to check
+ * @param {boolean} allowZero - Whether 0 is acceptable
+ * @returns {boolean}
+ */
+function isCurrencyAmount(value, allowZero = false) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return false;
+  }
+  if (allowZero ? value < 0 : value <= 0) {
+    return false;
+  }
+  return Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+}
+
+/**
+ * Validates a new payment
+ * @param {Object} data - { tender_type, amount, tip_amount, amount_tendered, card_token, gift_card_code }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validatePaymentForCreation(data) {
+  const errors = [];
+
+  if (!data.tender_type) {
+    errors.push({ field: 'tender_type', message: 'Tender type is required' });
+  } else if (!TENDER_TYPES.includes(data.tender_type)) {
+    errors.push({ field: 'tender_type', message: `Tender type must be one of: ${TENDER_TYPES.join(', ')}` });
+  }
+
+  if (data.amount !== undefined && !isCurrencyAmount(data.amount)) {
+    errors.push({ field: 'amount', message: 'Amount must be a positive amount with at most two decimal places' });
+  }
+
+  if (data.tip_amount !== undefined && !isCurrencyAmount(data.tip_amount, true)) {
+    errors.push({ field: 'tip_amount', message: 'Tip must be zero or a positive amount with at most two decimal places' });
+  }
+
+  if (data.amount_tendered !== undefined) {
+    if (data.tender_type !== 'cash') {
+      errors.push({ field: 'amount_tendered', message: 'Amount tendered only applies to cash payments' });
+    } else if (!isCurrencyAmount(data.amount_tendered)) {
+      errors.push({ field: 'amount_tendered', message: 'Amount tendered must be a positive amount with at most two decimal places' });
+    }
+  }
+
+  if (data.tender_type === 'card' && (!data.card_token || typeof data.card_token !== 'string')) {
+    errors.push({ field: 'card_token', message: 'Card token is required for card payments' });
+  }
+
+  if (data.tender_type === 'gift_card' && (!data.gift_card_code || typeof data.gift_card_code !== 'string')) {
+    errors.push({ field: 'gift_card_code', message: 'Gift card code is required for gift card payments' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a reason given for a void or refund
+ * @param {*} reason - Reason text
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateReason(reason) {
+  if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+    return [{ field: 'reason', message: 'Reason is required' }];
+  }
+  if (reason.length > 500) {
+    return [{ field: 'reason', message: 'Reason must be 500 characters or less' }];
+  }
+  return [];
+}
+
+/**
+ * Validates a void request
+ * @param {Object} data - { reason }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validatePaymentVoid(data) {
+  const errors = validateReason(data.reason);
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a refund request
+ * @param {Object} data - { amount (optional, defaults to everything refundable), reason }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validatePaymentRefund(data) {
+  const errors = validateReason(data.reason);
+
+  if (data.amount !== undefined && !isCurrencyAmount(data.amount)) {
+    errors.push({ field: 'amount', message: 'Amount must be a positive amount with at most two decimal places' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a new gift card
+ * @param {Object} data - { amount, code (optional) }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateGiftCardForIssue(data) {
+  const errors = [];
+
+  if (data.amount === undefined || data.amount === null) {
+    errors.push({ field: 'amount', message: 'Amount is required' });
+  } else if (!isCurrencyAmount(data.amount)) {
+    errors.push({ field: 'amount', message: 'Amount must be a positive amount with at most two decimal places' });
+  }
+
+  if (data.code !== undefined) {
+    if (typeof data.code !== 'string' || !/^[A-Za-z0-9-]{4,50}$/.test(data.code.trim())) {
+      errors.push({ field: 'code', message: 'Code must be 4-50 letters, digits or dashes' });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Total up an order's payments against its total
+ * Tips are reported separately and never count towards the balance
+ * @param {number|string} orderTotal - Order total
+ * @param {Array<Payment>} payments - Payments on the order
+ * @returns {Object} - { order_total, amount_paid, tips, balance_due }
+ */
+function summarizePayments(orderTotal, payments) {
+  const totalCents = toCents(orderTotal);
+  let paidCents = 0;
+  let tipCents = 0;
+
+  for (const payment of payments) {
+    paidCents += toCents(payment.getAppliedAmount());
+    if (payment.status !== 'voided') {
+      tipCents += toCents(payment.tip_amount);
+    }
+  }
+
+  return {
+    order_total: fromCents(totalCents),
+    amount_paid: fromCents(paidCents),
+    tips: fromCents(tipCents),
+    balance_due: fromCents(Math.max(totalCents - paidCents, 0))
+  };
+}
+
+module.exports = {
+  Payment,
+  validatePaymentForCreation,
+  validatePaymentVoid,
+  validatePaymentRefund,
+  validateGiftCardForIssue,
+  summarizePayments,
+  toCents,
+  fromCents,
+  TENDER_TYPES,
+  PAYMENT_STATUSES
+};
@@ -0,0 +1,416 @@
+/**
+ * Order pricing model and validation utilities
+ * Validates tax rates, service charge rules and discounts, and calculates order totals
+ *
+ * Totals are worked out in whole cents in a fixed order:
+ * 1. subtotal: unit price × quantity for every item
+ * 2. item discounts, oldest first, each capped at what is left of its line
+ * 3. order discounts, oldest first, spread across lines in proportion to their value
+ * 4. service charge on the discounted subtotal (not taxed)
+ * 5. tax per line on the discounted line amount at the line's tax rate
+ * The same inputs always give the same result.
+ */
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const DISCOUNT_SCOPES = ['order', 'item'];
+const RECIPE_CATEGORIES = ['food', 'drink'];
+
+/**
+ * Convert a currency amount to integer cents
+ * @param {number|string} value - Amount in dollars
+ * @returns {number}
+ */
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+/**
+ * Check that a value is a rate between 0 (inclusive unless strict) and 1 (exclusive)
+ */
+function isRate(value, strict = false) {
+  return typeof value === 'number' && Number.isFinite(value) && (strict ? value > 0 : value >= 0) && value < 1;
+}
+
+/**
+ * Check that a value is an HH:MM or HH:MM:SS time
+ */
+function isTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+}
+
+/**
+ * Validates a tax rate
+ * @param {Object} data - { name, rate, menu_category, recipe_category, active }
+ * @param {boolean} isUpdate - Whether fields may be omitted
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateTaxRate(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    } else if (data.name.length > 100) {
+      errors.push({ field: 'name', message: 'Name must be 100 characters or less' });
+    }
+  }
+
+  if (!isUpdate || data.rate !== undefined) {
+    if (!isRate(data.rate)) {
+      errors.push({ field: 'rate', message: 'Rate must be a number from 0 up to (but not including) 1, e.g. 0.0825' });
+    }
+  }
+
+  if (data.recipe_category !== undefined && data.recipe_category !== null &&
+      !RECIPE_CATEGORIES.includes(data.recipe_category)) {
+    errors.push({ field: 'recipe_category', message: 'Recipe category must be food or drink' });
+  }
+
+  if (data.menu_category && data.recipe_category) {
+    errors.push({ field: 'menu_category', message: 'A tax rate applies to a menu category or a recipe category, not both' });
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push({ field: 'active', message: 'Active must be true or false' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a large-party service charge rule
+ * @param {Object} data - { name, rate, min_guests, active }
+ * @param {boolean} isUpdate - Whether fields may be omitted
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateServiceChargeRule(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    }
+  }
+
+  if (!isUpdate || data.rate !== undefined) {
+    if (!isRate(data.rate, true)) {
+      errors.push({ field: 'rate', message: 'Rate must be greater than 0 and less than 1, e.g. 0.18' });
+    }
+  }
+
+  if (!isUpdate || data.min_guests !== undefined) {
+    if (!Number.isInteger(data.min_guests) || data.min_guests < 1) {
+      errors.push({ field: 'min_guests', message: 'Minimum guests must be a positive integer' });
+    }
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push({ field: 'active', message: 'Active must be true or false' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the amount of a percentage or fixed discount
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateDiscountValue(data) {
+  if (!DISCOUNT_TYPES.includes(data.discount_type)) {
+    return [{ field: 'discount_type', message: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` }];
+  }
+  if (typeof data.value !== 'number' || !Number.isFinite(data.value) || data.value <= 0) {
+    return [{ field: 'value', message: 'Value must be a positive number' }];
+  }
+  if (data.discount_type === 'percentage' && data.value > 100) {
+    return [{ field: 'value', message: 'A percentage discount cannot be more than 100' }];
+  }
+  return [];
+}
+
+/**
+ * Validates a discount definition
+ * @param {Object} data - { name, discount_type, value, scope, menu_item_id, menu_category, starts_at, ends_at, days_of_week, active }
+ * @param {boolean} isUpdate - Whether fields may be omitted
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateDiscount(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Name is required' });
+    }
+  }
+
+  if (!isUpdate || data.discount_type !== undefined || data.value !== undefined) {
+    errors.push(...validateDiscountValue(data));
+  }
+
+  if (data.scope !== undefined && !DISCOUNT_SCOPES.includes(data.scope)) {
+    errors.push({ field: 'scope', message: `Scope must be one of: ${DISCOUNT_SCOPES.join(', ')}` });
+  }
+
+  if ((data.menu_item_id || data.menu_category) && data.scope !== 'item') {
+    errors.push({ field: 'scope', message: 'Only item discounts can be limited to a menu item or category' });
+  }
+
+  if (data.menu_item_id !== undefined && data.menu_item_id !== null &&
+      (!Number.isInteger(data.menu_item_id) || data.menu_item_id < 1)) {
+    errors.push({ field: 'menu_item_id', message: 'Menu item ID must be a positive integer' });
+  }
+
+  const hasStart = data.starts_at !== undefined && data.starts_at !== null;
+  const hasEnd = data.ends_at !== undefined && data.ends_at !== null;
+  if (hasStart !== hasEnd) {
+    errors.push({ field: 'ends_at', message: 'A happy hour needs both starts_at and ends_at' });
+  } else if (hasStart && (!isTime(data.starts_at) || !isTime(data.ends_at))) {
+    errors.push({ field: 'starts_at', message: 'Happy hour times must be HH:MM' });
+  }
+
+  if (data.days_of_week !== undefined && data.days_of_week !== null) {
+    if (!Array.isArray(data.days_of_week) || data.days_of_week.length === 0 ||
+        !data.days_of_week.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      errors.push({ field: 'days_of_week', message: 'Days of week must be a list of numbers from 0 (Sunday) to 6' });
+    }
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push({ field: 'active', message: 'Active must be true or false' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a discount or comp being applied to an order
+ * Either discount_id (a configured discount) or an ad-hoc discount_type/value, or comp: true.
+ * Ad-hoc discounts and comps need a reason.
+ * @param {Object} data - { discount_id, order_item_id, discount_type, value, comp, reason }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateOrderDiscount(data) {
+  const errors = [];
+
+  if (data.order_item_id !== undefined && (!Number.isInteger(data.order_item_id) || data.order_item_id < 1)) {
+    errors.push({ field: 'order_item_id', message: 'Order item ID must be a positive integer' });
+  }
+
+  if (data.discount_id !== undefined) {
+    if (!Number.isInteger(data.discount_id) || data.discount_id < 1) {
+      errors.push({ field: 'discount_id', message: 'Discount ID must be a positive integer' });
+    }
+    if (data.comp || data.discount_type !== undefined || data.value !== undefined) {
+      errors.push({ field: 'discount_id', message: 'Use either discount_id, an ad-hoc discount_type and value, or comp' });
+    }
+    return { isValid: errors.length === 0, errors };
+  }
+
+  if (data.comp !== undefined && typeof data.comp !== 'boolean') {
+    errors.push({ field: 'comp', message: 'Comp must be true or false' });
+  } else if (!data.comp) {
+    errors.push(...validateDiscountValue(data));
+  } else if (data.discount_type !== undefined || data.value !== undefined) {
+    errors.push({ field: 'comp', message: 'A comp takes the whole amount off; do not send discount_type or value' });
+  }
+
+  if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length === 0) {
+    errors.push({ field: 'reason', message: 'Reason is required for comps and ad-hoc discounts' });
+  } else if (data.reason.length > 500) {
+    errors.push({ field: 'reason', message: 'Reason must be 500 characters or less' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Pick the tax rate for a menu item: a rate for its menu category wins, then one for its
+ * recipe's food/drink category, then the default rate (neither set), otherwise 0
+ * @param {Array<Object>} taxRates - Active tax rates
+ * @param {Object} menuItem - { category, recipe_category }
+ * @returns {number}
+ */
+function selectTaxRate(taxRates, menuItem) {
+  const byMenuCategory = taxRates.find(rate => rate.menu_category && rate.menu_category === menuItem.category);
+  const byRecipeCategory = taxRates.find(rate =>
+    rate.recipe_category && rate.recipe_category === menuItem.recipe_category
+  );
+  const fallback = taxRates.find(rate => !rate.menu_category && !rate.recipe_category);
+  const selected = byMenuCategory || byRecipeCategory || fallback;
+  return selected ? parseFloat(selected.rate) : 0;
+}
+
+/**
+ * Pick the service charge rate for a party: the rule with the highest min_guests the party reaches
+ * @param {Array<Object>} rules - Active service charge rules
+ * @param {number|null} guestCount - Guests on the check
+ * @returns {number}
+ */
+function selectServiceChargeRate(rules, guestCount) {
+  if (!guestCount) {
+    return 0;
+  }
+  const matching = rules
+    .filter(rule => guestCount >= rule.min_guests)
+    .sort((a, b) => b.min_guests - a.min_guests);
+  return matching.length > 0 ? parseFloat(matching[0].rate) : 0;
+}
+
+/**
+ * Whether a discount's happy hour window includes a moment
+ * Windows may run past midnight (e.g. 22:00-02:00); the day is the day the window started
+ * @param {Object} discount - { starts_at, ends_at, days_of_week }
+ * @param {Date} date - Moment to check (local server time)
+ * @returns {boolean} - true for discounts without a window
+ */
+function isWithinDiscountWindow(discount, date) {
+  if (!discount.starts_at) {
+    return true;
+  }
+
+  const minutes = time => {
+    const [hours, mins] = time.split(':').map(Number);
+    return hours * 60 + mins;
+  };
+  const start = minutes(discount.starts_at);
+  const end = minutes(discount.ends_at);
+  const now = date.getHours() * 60 + date.getMinutes();
+  const days = discount.days_of_week;
+
+  if (start <= end) {
+    return now >= start && now < end && (!days || days.includes(date.getDay()));
+  }
+
+  // Overnight window: after the start today, or before the end on the morning after a listed day
+  if (now >= start) {
+    return !days || days.includes(date.getDay());
+  }
+  return now < end && (!days || days.includes((date.getDay() + 6) % 7));
+}
+
+/**
+ * Whether an item discount can be applied to an order item
+ * @param {Object} discount - { scope, menu_item_id, menu_category }
+ * @param {Object} item - { menu_item_id, category }
+ * @returns {boolean}
+ */
+function discountAppliesToItem(discount, item) {
+  if (discount.menu_item_id && discount.menu_item_id !== item.menu_item_id) {
+    return false;
+  }
+  if (discount.menu_category && discount.menu_category !== item.category) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Calculate an order's totals from its stored prices, rates and discounts
+ * @param {Object} order - {
+ *   items: [{ id, unit_price, quantity, tax_rate }],
+ *   discounts: [{ id, order_item_id, discount_type, value }] (oldest first),
+ *   service_charge_rate
+ * }
+ * @returns {Object} - {
+ *   subtotal, discount_total, service_charge_total, tax_total, total,
+ *   items: [{ id, subtotal, discount_amount, tax_amount }],
+ *   discounts: [{ id, amount }]
+ * }
+ */
+function calculateOrderTotals({ items, discounts = [], service_charge_rate = 0 }) {
+  const lines = items.map(item => {
+    const gross = toCents(item.unit_price) * item.quantity;
+    return { id: item.id, gross, net: gross, taxRate: parseFloat(item.tax_rate) || 0 };
+  });
+  const discountAmounts = [];
+
+  const discountCents = (discount, base) => (
+    discount.discount_type === 'percentage'
+      ? Math.round(base * parseFloat(discount.value) / 100)
+      : toCents(discount.value)
+  );
+
+  // Item discounts come off their own line
+  for (const discount of discounts.filter(d => d.order_item_id)) {
+    const line = lines.find(l => l.id === discount.order_item_id);
+    const amount = line ? Math.min(discountCents(discount, line.gross), line.net) : 0;
+    if (line) {
+      line.net -= amount;
+    }
+    discountAmounts.push({ id: discount.id, amount });
+  }
+
+  // Order discounts are spread over the lines so each line is taxed on what the guest pays
+  for (const discount of discounts.filter(d => !d.order_item_id)) {
+    const base = lines.reduce((sum, line) => sum + line.net, 0);
+    const amount = Math.min(discountCents(discount, base), base);
+
+    if (amount > 0) {
+      const shares = lines.map(line => ({
+        line,
+        exact: line.net * amount / base
+      }));
+      shares.forEach(share => { share.cents = Math.floor(share.exact); });
+      let leftover = amount - shares.reduce((sum, share) => sum + share.cents, 0);
+      [...shares]
+        .sort((a, b) => (b.exact - b.cents) - (a.exact - a.cents) || a.line.id - b.line.id)
+        .forEach(share => {
+          if (leftover > 0 && share.cents < share.line.net) {
+            share.cents += 1;
+            leftover -= 1;
+          }
+        });
+      shares.forEach(share => { share.line.net -= share.cents; });
+    }
+
+    discountAmounts.push({ id: discount.id, amount });
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.gross, 0);
+  const net = lines.reduce((sum, line) => sum + line.net, 0);
+  const serviceCharge = Math.round(net * (parseFloat(service_charge_rate) || 0));
+  lines.forEach(line => { line.tax = Math.round(line.net * line.taxRate); });
+  const tax = lines.reduce((sum, line) => sum + line.tax, 0);
+
+  return {
+    subtotal: subtotal / 100,
+    discount_total: (subtotal - net) / 100,
+    service_charge_total: serviceCharge / 100,
+    tax_total: tax / 100,
+    total: (net + serviceCharge + tax) / 100,
+    items: lines.map(line => ({
+      id: line.id,
+      subtotal: line.gross / 100,
+      discount_amount: (line.gross - line.net) / 100,
+      tax_amount: line.tax / 100
+    })),
+    discounts: discountAmounts.map(d => ({ id: d.id, amount: d.amount / 100 }))
+  };
+}
+
+module.exports = {
+  validateTaxRate,
+  validateServiceChargeRule,
+  validateDiscount,
+  validateOrderDiscount,
+  selectTaxRate,
+  selectServiceChargeRate,
+  isWithinDiscountWindow,
+  discountAppliesToItem,
+  calculateOrderTotals,
+  DISCOUNT_TYPES,
+  DISCOUNT_SCOPES,
+  RECIPE_CATEGORIES
+};
@@ -4,6 +4,8 @@
  * Requirements: 1.1, 1.2
  */
 
+const { LOT_ROTATIONS } = require('./StockLot');
+
 /**
  * Valid units of measure for products
  */
@@ -26,6 +28,15 @@ class Product {
     this.current_quantity = data.current_quantity !== undefined ? parseFloat(data.current_quantity) : 0;
     this.low_stock_threshold = data.low_stock_threshold !== undefined ? parseInt(data.low_stock_threshold) : 10;
     this.cost_per_unit = data.cost_per_unit !== undefined && data.cost_per_unit !== null ? parseFloat(data.cost_per_unit) : null;
+    this.par_level = data.par_level !== undefined && data.par_level !== null ? parseFloat(data.par_level) : null;
+    this.density_g_per_ml = data.density_g_per_ml !== undefined && data.density_g_per_ml !== null ? parseFloat(data.density_g_per_ml) : null;
+    this.piece_weight_g = data.piece_weight_g !== undefined && data.piece_weight_g !== null ? parseFloat(data.piece_weight_g) : null;
+    this.category = data.category || null;
+    this.location_id = data.location_id || null;
+    this.location_name = data.location_name || null;
+    // What one location holds, when products are listed for a location
+    this.location_quantity = data.location_quantity !== undefined && data.location_quantity !== null ? parseFloat(data.location_quantity) : null;
+    this.lot_rotation = data.lot_rotation || 'fifo';
     this.supplier_info = data.supplier_info || null;
     this.created_at = data.created_at || null;
     this.updated_at = data.updated_at || null;
@@ -69,6 +80,14 @@ class Product {
       current_quantity: this.current_quantity,
       low_stock_threshold: this.low_stock_threshold,
       cost_per_unit: this.cost_per_unit,
+      par_level: this.par_level,
+      density_g_per_ml: this.density_g_per_ml,
+      piece_weight_g: this.piece_weight_g,
+      category: this.category,
+      location_id: this.location_id,
+      location_name: this.location_name,
+      location_quantity: this.location_quantity,
+      lot_rotation: this.lot_rotation,
       supplier_info: this.supplier_info,
       created_at: this.created_at,
       updated_at: this.updated_at
@@ -76,6 +95,57 @@ class Product {
   }
 }
 
+/**
+ * Validates the optional density (grams per millilitre) and piece weight (grams per piece)
+ * @param {Object} product - Product data
+ * @returns {Array} - Errors
+ */
+function validateConversionFields(product) {
+  const errors = [];
+
+  if (product.density_g_per_ml !== undefined && product.density_g_per_ml !== null) {
+    const density = parseFloat(product.density_g_per_ml);
+    if (isNaN(density) || density <= 0) {
+      errors.push({ field: 'density_g_per_ml', message: 'Density must be a positive number of grams per millilitre' });
+    }
+  }
+
+  if (product.piece_weight_g !== undefined && product.piece_weight_g !== null) {
+    const weight = parseFloat(product.piece_weight_g);
+    if (isNaN(weight) || weight <= 0) {
+      errors.push({ field: 'piece_weight_g', message: 'Piece weight must be a positive number of grams' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates the optional category and home location stock counts can be limited to, and the
+ * rotation lots are used up in
+ * @param {Object} product - Product data
+ * @returns {Array} - Errors
+ */
+function validateGroupingFields(product) {
+  const errors = [];
+
+  if (product.category !== undefined && product.category !== null &&
+      (typeof product.category !== 'string' || product.category.length > 50)) {
+    errors.push({ field: 'category', message: 'Category must be a string of 50 characters or less' });
+  }
+
+  if (product.location_id !== undefined && product.location_id !== null &&
+      (!Number.isInteger(product.location_id) || product.location_id < 1)) {
+    errors.push({ field: 'location_id', message: 'Location ID must be a positive integer' });
+  }
+
+  if (product.lot_rotation !== undefined && !LOT_ROTATIONS.includes(product.lot_rotation)) {
+    errors.push({ field: 'lot_rotation', message: `Lot rotation must be one of: ${LOT_ROTATIONS.join(', ')}` });
+  }
+
+  return errors;
+}
+
 /**
  * Validates complete product data
  * @param {Object} product - Product object to validate
@@ -128,6 +198,20 @@ function validateProduct(product) {
     }
   }
 
+  // Validate par level if provided
+  if (product.par_level !== undefined && product.par_level !== null) {
+    const parLevel = parseFloat(product.par_level);
+    if (isNaN(parLevel) || parLevel < 0) {
+      errors.push({ field: 'par_level', message: 'Par level must be a non-negative number' });
+    }
+  }
+
+  // Density and piece weight let recipe units in other families be converted to the product's unit
+  errors.push(...validateConversionFields(product));
+
+  // Category and home location group products for stock counts
+  errors.push(...validateGroupingFields(product));
+
   // Validate description length if provided
   if (product.description && typeof product.description === 'string' && product.description.length > 1000) {
     errors.push({ field: 'description', message: 'Description must be 1000 characters or less' });
@@ -209,6 +293,16 @@ function validateProductForUpdate(product) {
     }
   }
 
+  if (product.par_level !== undefined && product.par_level !== null) {
+    const parLevel = parseFloat(product.par_level);
+    if (isNaN(parLevel) || parLevel < 0) {
+      errors.push({ field: 'par_level', message: 'Par level must be a non-negative number' });
+    }
+  }
+
+  errors.push(...validateConversionFields(product));
+  errors.push(...validateGroupingFields(product));
+
   if (product.description !== undefined && product.description && typeof product.description === 'string' && product.description.length > 1000) {
     errors.push({ field: 'description', message: 'Description must be 1000 characters or less' });
   }
@@ -0,0 +1,248 @@
+/**
+ * Purchase order model and validation utilities
+ * A purchase order is drafted, sent to its supplier and received into stock, in one delivery or several
+ */
+
+const { isAmount } = require('./Supplier');
+
+/**
+ * Purchase order statuses
+ * - draft: being put together; lines can still change
+ * - sent: sent to the supplier and waiting for delivery
+ * - partially_received: some of the order has arrived
+ * - received: everything ordered has arrived
+ * - cancelled: will not be (further) delivered; stock already received stays
+ */
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+/**
+ * Statuses a delivery can be received against
+ */
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+/**
+ * Statuses of a purchase order that is still open; it can be cancelled from any of them
+ */
+const OPEN_PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received'];
+
+/**
+ * Check that a value is a positive quantity with at most three decimals
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isQuantity(value) {
+  return isAmount(value, 3) && value > 0;
+}
+
+/**
+ * Validates a date given as YYYY-MM-DD
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validates the lines of a purchase order
+ * @param {Array} lines - [{ product_id, quantity_ordered, unit_cost }]
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateOrderLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return [{ field: 'lines', message: 'Lines must be a non-empty array' }];
+  }
+
+  const errors = [];
+  lines.forEach((line, index) => {
+    const prefix = `lines[${index}].`;
+    if (!line || typeof line !== 'object') {
+      errors.push({ field: `lines[${index}]`, message: 'Each line must be an object' });
+      return;
+    }
+    if (!Number.isInteger(line.product_id) || line.product_id < 1) {
+      errors.push({ field: `${prefix}product_id`, message: 'Product ID must be a positive integer' });
+    }
+    if (!isQuantity(line.quantity_ordered)) {
+      errors.push({ field: `${prefix}quantity_ordered`, message: 'Quantity must be a positive number with at most three decimal places' });
+    }
+    if (line.unit_cost !== undefined && line.unit_cost !== null && !isAmount(line.unit_cost, 4)) {
+      errors.push({ field: `${prefix}unit_cost`, message: 'Unit cost must be zero or a positive amount with at most four decimal places' });
+    }
+  });
+
+  const productIds = lines.map(line => line && line.product_id);
+  if (errors.length === 0 && new Set(productIds).size !== productIds.length) {
+    errors.push({ field: 'lines', message: 'Each product can only be ordered once' });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates data for drafting or changing a purchase order
+ * @param {Object} data - { supplier_id, expected_at, notes, lines: [{ product_id, quantity_ordered, unit_cost }] }
+ * @param {boolean} isUpdate - Whether this is a change (fields are optional; lines replace the order's lines)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validatePurchaseOrder(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.supplier_id !== undefined) {
+    if (!Number.isInteger(data.supplier_id) || data.supplier_id < 1) {
+      errors.push({ field: 'supplier_id', message: 'Supplier ID must be a positive integer' });
+    }
+  }
+
+  if (data.expected_at !== undefined && data.expected_at !== null && !isDate(data.expected_at)) {
+    errors.push({ field: 'expected_at', message: 'Expected date must be a date in YYYY-MM-DD format' });
+  }
+
+  if (data.notes !== undefined && data.notes !== null &&
+      (typeof data.notes !== 'string' || data.notes.length > 1000)) {
+    errors.push({ field: 'notes', message: 'Notes must be a string of 1000 characters or less' });
+  }
+
+  if (!isUpdate || data.lines !== undefined) {
+    errors.push(...validateOrderLines(data.lines));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates receiving a delivery against a purchase order
+ * @param {Object} data - { lines: [{ line_id, quantity_received, unit_cost, expires_on, lot_code }], notes }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateReceipt(data) {
+  const errors = [];
+
+  if (!Array.isArray(data.lines) || data.lines.length === 0) {
+    errors.push({ field: 'lines', message: 'Lines must be a non-empty array' });
+  } else {
+    data.lines.forEach((line, index) => {
+      const prefix = `lines[${index}].`;
+      if (!line || typeof line !== 'object') {
+        errors.push({ field: `lines[${index}]`, message: 'Each line must be an object' });
+        return;
+      }
+      if (!Number.isInteger(line.line_id) || line.line_id < 1) {
+        errors.push({ field: `${prefix}line_id`, message: 'Line ID must be a positive integer' });
+      }
+      if (!isQuantity(line.quantity_received)) {
+        errors.push({ field: `${prefix}quantity_received`, message: 'Quantity received must be a positive number with at most three decimal places' });
+      }
+      if (line.unit_cost !== undefined && line.unit_cost !== null && !isAmount(line.unit_cost, 4)) {
+        errors.push({ field: `${prefix}unit_cost`, message: 'Unit cost must be zero or a positive amount with at most four decimal places' });
+      }
+      // Each line received comes into stock as a lot, optionally with an expiry date and lot code
+      if (line.expires_on !== undefined && line.expires_on !== null && !isDate(line.expires_on)) {
+        errors.push({ field: `${prefix}expires_on`, message: 'Expiry date must be a date in YYYY-MM-DD format' });
+      }
+      if (line.lot_code !== undefined && line.lot_code !== null &&
+          (typeof line.lot_code !== 'string' || line.lot_code.length > 50)) {
+        errors.push({ field: `${prefix}lot_code`, message: 'Lot code must be a string of 50 characters or less' });
+      }
+    });
+
+    const lineIds = data.lines.map(line => line && line.line_id);
+    if (errors.length === 0 && new Set(lineIds).size !== lineIds.length) {
+      errors.push({ field: 'lines', message: 'Each line can only be received once per delivery' });
+    }
+  }
+
+  if (data.notes !== undefined && data.notes !== null &&
+      (typeof data.notes !== 'string' || data.notes.length > 1000)) {
+    errors.push({ field: 'notes', message: 'Notes must be a string of 1000 characters or less' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates cancelling a purchase order
+ * @param {Object} data - { reason }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validatePurchaseOrderCancel(data) {
+  const errors = [];
+
+  if (!data.reason || typeof data.reason !== 'string' || data.reason.trim().length === 0) {
+    errors.push({ field: 'reason', message: 'Reason is required' });
+  } else if (data.reason.length > 500) {
+    errors.push({ field: 'reason', message: 'Reason must be 500 characters or less' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Weighted average cost of a product after a delivery
+ * Stock on hand keeps its cost and the delivery adds its own; a product with no stock (or no cost yet)
+ * simply takes the delivery's cost
+ * @param {number} currentQuantity - Quantity in stock before the delivery
+ * @param {number|null} currentCost - Cost per unit before the delivery
+ * @param {number} receivedQuantity - Quantity delivered
+ * @param {number} unitCost - Cost per unit of the delivery
+ * @returns {number} - New cost per unit, to four decimals
+ */
+function averageCost(currentQuantity, currentCost, receivedQuantity, unitCost) {
+  const onHand = Math.max(parseFloat(currentQuantity) || 0, 0);
+  if (currentCost === null || currentCost === undefined || onHand === 0) {
+    return Math.round(unitCost * 10000) / 10000;
+  }
+  const total = onHand * parseFloat(currentCost) + receivedQuantity * unitCost;
+  return Math.round(total / (onHand + receivedQuantity) * 10000) / 10000;
+}
+
+/**
+ * Status of a purchase order after a delivery
+ * @param {Array} lines - [{ quantity_ordered, quantity_received }]
+ * @returns {string} - 'received' once every line has arrived in full, otherwise 'partially_received'
+ */
+function receiptStatus(lines) {
+  const complete = lines.every(line =>
+    Math.round(parseFloat(line.quantity_received) * 1000) >= Math.round(parseFloat(line.quantity_ordered) * 1000)
+  );
+  return complete ? 'received' : 'partially_received';
+}
+
+/**
+ * Value of a purchase order's lines
+ * @param {Array} lines - [{ quantity_ordered, unit_cost }]
+ * @returns {number} - Total, to cents
+ */
+function orderTotal(lines) {
+  const total = lines.reduce(
+    (sum, line) => sum + parseFloat(line.quantity_ordered) * parseFloat(line.unit_cost || 0),
+    0
+  );
+  return Math.round(total * 100) / 100;
+}
+
+module.exports = {
+  isDate,
+  validatePurchaseOrder,
+  validateReceipt,
+  validatePurchaseOrderCancel,
+  averageCost,
+  receiptStatus,
+  orderTotal,
+  PURCHASE_ORDER_STATUSES,
+  RECEIVABLE_STATUSES,
+  OPEN_PURCHASE_ORDER_STATUSES
+};
@@ -0,0 +1,139 @@
+/**
+ * Recipe costing and menu pricing utilities
+ * A recipe's cost per serving is the cost of the products one serving uses, each converted from the
+ * recipe's unit into the unit its product is costed in. Menu items are priced against a target food
+ * cost percentage: the cost per serving as a share of the price.
+ */
+
+const { conversionFactor, conversionProblem } = require('./UnitConversion');
+const { roundCost, roundMoney } = require('./Costing');
+const { isAmount } = require('./Supplier');
+
+/**
+ * Food cost percentage menu items are priced for when they do not set their own
+ */
+const DEFAULT_TARGET_FOOD_COST_PERCENT = 30;
+
+/**
+ * Why a recipe's cost changed, as recorded in its cost history
+ * - recipe: the recipe was created or edited
+ * - product_cost: the cost or units of a product it uses changed
+ * - recalculated: every recipe was recalculated on request
+ */
+const COST_CHANGE_REASONS = ['recipe', 'product_cost', 'recalculated'];
+
+/**
+ * Cost one serving of a recipe
+ * Ingredients whose unit cannot be converted to their product's unit, or whose product has no cost, are
+ * left out of the cost and listed as problems.
+ * @param {Array} ingredients - [{ product_id, product_name, quantity_per_serving, ingredient_unit,
+ *   unit_of_measure, density_g_per_ml, piece_weight_g, cost_per_unit }]
+ * @returns {Object} - { cost_per_serving, ingredients: [{ product_id, product_name, quantity,
+ *   unit_of_measure, unit_cost, cost }], problems: [{ product_id, message }] }
+ */
+function costRecipe(ingredients) {
+  const costed = [];
+  const problems = [];
+  let total = 0;
+
+  for (const ingredient of ingredients) {
+    const factor = conversionFactor(ingredient.ingredient_unit, ingredient.unit_of_measure, ingredient);
+    if (factor === null) {
+      problems.push({
+        product_id: ingredient.product_id,
+        message: conversionProblem(ingredient.ingredient_unit, { ...ingredient, name: ingredient.product_name })
+      });
+      continue;
+    }
+
+    const quantity = parseFloat(ingredient.quantity_per_serving) * factor;
+    const unitCost = ingredient.cost_per_unit === null || ingredient.cost_per_unit === undefined
+      ? null
+      : parseFloat(ingredient.cost_per_unit);
+    if (unitCost === null) {
+      problems.push({ product_id: ingredient.product_id, message: `${ingredient.product_name} has no cost per unit` });
+    }
+
+    total += quantity * (unitCost || 0);
+    costed.push({
+      product_id: ingredient.product_id,
+      product_name: ingredient.product_name,
+      quantity: Math.round(quantity * 10000) / 10000,
+      unit_of_measure: ingredient.unit_of_measure,
+      unit_cost: unitCost,
+      cost: roundCost(quantity * (unitCost || 0))
+    });
+  }
+
+  return {
+    cost_per_serving: roundCost(total),
+    ingredients: costed,
+    problems
+  };
+}
+
+/**
+ * Gross margin of a price over a cost, as a fraction of the price
+ * @param {number|string} price - Price
+ * @param {number|string|null} cost - Cost per serving
+ * @returns {number|null} - Margin to two decimal places, or null without a price
+ */
+function profitMargin(price, cost) {
+  const amount = parseFloat(price);
+  if (!(amount > 0)) {
+    return null;
+  }
+  return roundMoney((amount - (parseFloat(cost) || 0)) / amount);
+}
+
+/**
+ * Price a menu item against its target food cost percentage
+ * The suggested price is the lowest price, in whole cents, that meets the target; an item is below
+ * target when its cost takes more of its price than the target allows.
+ * @param {Object} item - { price, cost_per_serving }
+ * @param {number|string} target - Target food cost percentage
+ * @returns {Object} - { food_cost_percent, profit_margin, target_food_cost_percent, suggested_price, below_target }
+ */
+function priceRecommendation(item, target) {
+  const price = parseFloat(item.price);
+  const cost = parseFloat(item.cost_per_serving) || 0;
+  const targetPercent = parseFloat(target);
+  const foodCostPercent = price > 0 ? roundMoney(cost / price * 100) : null;
+
+  return {
+    food_cost_percent: foodCostPercent,
+    profit_margin: profitMargin(price, cost),
+    target_food_cost_percent: targetPercent,
+    // Rounded to a thousandth of a cent first so costs that divide exactly are not pushed up a cent
+    suggested_price: Math.ceil(Math.round(cost * 10000 / targetPercent * 1000) / 1000) / 100,
+    below_target: foodCostPercent === null ? cost > 0 : foodCostPercent > targetPercent
+  };
+}
+
+/**
+ * Validates a menu item's target food cost percentage
+ * null or '' clears it so the item uses the default target
+ * @param {*} value - Target food cost percentage
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateTargetFoodCost(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  if (!isAmount(value) || value <= 0 || value >= 100) {
+    return [{
+      field: 'target_food_cost_percent',
+      message: 'Target food cost must be a percentage above 0 and below 100 with at most two decimal places'
+    }];
+  }
+  return [];
+}
+
+module.exports = {
+  DEFAULT_TARGET_FOOD_COST_PERCENT,
+  COST_CHANGE_REASONS,
+  costRecipe,
+  profitMargin,
+  priceRecommendation,
+  validateTargetFoodCost
+};
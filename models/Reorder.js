@@ -0,0 +1,202 @@
+/**
+ * Reorder suggestion calculations
+ * Usage is what sales and waste took out of stock over a lookback window; a product is suggested once
+ * its stock plus what is already on order falls to the stock it needs to last until a delivery arrives
+ */
+
+/**
+ * Default number of days of transactions average usage is taken over
+ */
+const DEFAULT_LOOKBACK_DAYS = 28;
+
+/**
+ * Default number of days a suggested order should last beyond the supplier's lead time
+ * Only used for products without a par level
+ */
+const DEFAULT_COVER_DAYS = 7;
+
+const MAX_LOOKBACK_DAYS = 365;
+const MAX_COVER_DAYS = 90;
+
+/**
+ * Check that a value is a whole number of days within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed
+ * @param {number} max - Largest allowed
+ * @returns {boolean}
+ */
+function isDays(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validates the lookback_days and cover_days options of a suggestion run
+ * @param {Object} data - { lookback_days, cover_days }, numbers
+ * @returns {Array} - Errors
+ */
+function validateSuggestionOptions(data) {
+  const errors = [];
+
+  if (data.lookback_days !== undefined && !isDays(data.lookback_days, 1, MAX_LOOKBACK_DAYS)) {
+    errors.push({ field: 'lookback_days', message: `Lookback days must be a whole number from 1 to ${MAX_LOOKBACK_DAYS}` });
+  }
+
+  if (data.cover_days !== undefined && !isDays(data.cover_days, 0, MAX_COVER_DAYS)) {
+    errors.push({ field: 'cover_days', message: `Cover days must be a whole number from 0 to ${MAX_COVER_DAYS}` });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a request to draft a purchase order from the reorder suggestions
+ * @param {Object} data - { supplier_id, product_ids, lookback_days, cover_days }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateSuggestionOrder(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { isValid: false, errors: [{ field: 'body', message: 'Request body is required' }] };
+  }
+
+  if (!Number.isInteger(data.supplier_id) || data.supplier_id < 1) {
+    errors.push({ field: 'supplier_id', message: 'Supplier ID must be a positive integer' });
+  }
+
+  if (data.product_ids !== undefined) {
+    if (!Array.isArray(data.product_ids) || data.product_ids.length === 0) {
+      errors.push({ field: 'product_ids', message: 'Product IDs must be a non-empty array' });
+    } else if (!data.product_ids.every(productId => Number.isInteger(productId) && productId > 0)) {
+      errors.push({ field: 'product_ids', message: 'Product IDs must be positive integers' });
+    } else if (new Set(data.product_ids).size !== data.product_ids.length) {
+      errors.push({ field: 'product_ids', message: 'Each product can only be listed once' });
+    }
+  }
+
+  errors.push(...validateSuggestionOptions(data));
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Round a quantity up to whole supplier packs
+ * @param {number} quantity - Quantity needed
+ * @param {number} packSize - Units in one pack
+ * @returns {number} - Quantity to order, to three decimals
+ */
+function roundUpToPacks(quantity, packSize) {
+  const size = parseFloat(packSize) > 0 ? parseFloat(packSize) : 1;
+  const packs = Math.ceil(Math.round(quantity / size * 1e6) / 1e6);
+  return Math.round(packs * size * 1000) / 1000;
+}
+
+/**
+ * Work out whether a product should be reordered and how much of it
+ *
+ * The reorder point is the low stock threshold plus what will be used during the lead time. Once the
+ * stock on hand and on order is at or below it, the product is ordered up to its par level, or without
+ * one, up to the reorder point plus cover_days more of usage. Quantities are rounded up to whole packs.
+ *
+ * @param {Object} product - { current_quantity, low_stock_threshold, par_level, consumed, on_order,
+ *   lead_time_days, pack_size }
+ * @param {Object} options - { lookback_days, cover_days }
+ * @returns {Object} - { average_daily_usage, days_of_stock, reorder_point, order_up_to,
+ *   suggested_quantity, urgent }
+ */
+function suggestReorder(product, options = {}) {
+  const lookbackDays = options.lookback_days || DEFAULT_LOOKBACK_DAYS;
+  const coverDays = options.cover_days !== undefined ? options.cover_days : DEFAULT_COVER_DAYS;
+  const current = parseFloat(product.current_quantity) || 0;
+  const onOrder = parseFloat(product.on_order) || 0;
+  const threshold = parseFloat(product.low_stock_threshold) || 0;
+  const leadTime = parseInt(product.lead_time_days) || 0;
+
+  const usage = Math.max(parseFloat(product.consumed) || 0, 0) / lookbackDays;
+  const reorderPoint = threshold + usage * leadTime;
+  const orderUpTo = product.par_level !== null && product.par_level !== undefined
+    ? Math.max(parseFloat(product.par_level), reorderPoint)
+    : reorderPoint + usage * coverDays;
+
+  const available = current + onOrder;
+  const suggested = available <= reorderPoint && orderUpTo > available
+    ? roundUpToPacks(orderUpTo - available, product.pack_size)
+    : 0;
+
+  let daysOfStock = null;
+  if (current <= 0) {
+    daysOfStock = 0;
+  } else if (usage > 0) {
+    daysOfStock = Math.round(current / usage * 10) / 10;
+  }
+
+  return {
+    average_daily_usage: Math.round(usage * 1000) / 1000,
+    days_of_stock: daysOfStock,
+    reorder_point: Math.round(reorderPoint * 1000) / 1000,
+    order_up_to: Math.round(orderUpTo * 1000) / 1000,
+    suggested_quantity: suggested,
+    // Stock runs out before an order placed today could be delivered
+    urgent: suggested > 0 && daysOfStock !== null && daysOfStock < Math.max(leadTime, 1)
+  };
+}
+
+/**
+ * Group suggested lines by the supplier they would be ordered from
+ * Products with no active supplier are listed last, under a group with a null supplier_id
+ * @param {Array} lines - Suggestions with supplier_id, supplier_name, lead_time_days,
+ *   minimum_order_amount and estimated_cost
+ * @returns {Array} - [{ supplier_id, supplier_name, lead_time_days, minimum_order_amount, total,
+ *   meets_minimum, lines }]
+ */
+function groupBySupplier(lines) {
+  const groups = new Map();
+  for (const line of lines) {
+    const key = line.supplier_id || null;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier_id: key,
+        supplier_name: key ? line.supplier_name : null,
+        lead_time_days: key ? line.lead_time_days : null,
+        minimum_order_amount: key ? parseFloat(line.minimum_order_amount) || 0 : null,
+        total: 0,
+        meets_minimum: true,
+        lines: []
+      });
+    }
+    const group = groups.get(key);
+    group.lines.push(line);
+    group.total += line.estimated_cost || 0;
+  }
+
+  return [...groups.values()]
+    .map(group => {
+      const total = Math.round(group.total * 100) / 100;
+      return {
+        ...group,
+        total,
+        meets_minimum: group.supplier_id === null || total >= group.minimum_order_amount
+      };
+    })
+    .sort((a, b) => {
+      if (a.supplier_id === null || b.supplier_id === null) {
+        return a.supplier_id === null ? 1 : -1;
+      }
+      return a.supplier_name.localeCompare(b.supplier_name);
+    });
+}
+
+module.exports = {
+  validateSuggestionOptions,
+  validateSuggestionOrder,
+  roundUpToPacks,
+  suggestReorder,
+  groupBySupplier,
+  DEFAULT_LOOKBACK_DAYS,
+  DEFAULT_COVER_DAYS,
+  MAX_LOOKBACK_DAYS,
+  MAX_COVER_DAYS
+};
@@ -0,0 +1,248 @@
+/**
+ * Reservation model and validation utilities
+ * A reservation books one or more tables for a party from its start time for its expected duration
+ */
+
+/**
+ * Valid reservation statuses
+ * - booked: the party is expected; its tables are held shortly before the start time
+ * - seated: the party arrived and has a check (see check_id)
+ * - cancelled: called off before the party arrived
+ * - no_show: the party never arrived
+ */
+const RESERVATION_STATUSES = ['booked', 'seated', 'cancelled', 'no_show'];
+
+/**
+ * Statuses whose tables are taken for the booking's time window
+ */
+const ACTIVE_RESERVATION_STATUSES = ['booked', 'seated'];
+
+/**
+ * How long a party keeps its tables when the booking does not say
+ */
+const DEFAULT_DURATION_MINUTES = 90;
+
+/**
+ * Largest party that can be booked
+ */
+const MAX_PARTY_SIZE = 50;
+
+/**
+ * Most tables that are combined for one party
+ */
+const MAX_COMBINED_TABLES = 4;
+
+/**
+ * Reservation class representing one booking
+ */
+class Reservation {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.customer_name = data.customer_name || null;
+    this.phone = data.phone || null;
+    this.email = data.email || null;
+    this.party_size = data.party_size !== undefined ? parseInt(data.party_size) : null;
+    this.reserved_for = data.reserved_for || null;
+    this.duration_minutes = data.duration_minutes || DEFAULT_DURATION_MINUTES;
+    this.notes = data.notes || null;
+    this.status = data.status || 'booked';
+    this.check_id = data.check_id || null;
+    this.cancellation_reason = data.cancellation_reason || null;
+    this.created_by = data.created_by || null;
+    this.created_at = data.created_at || null;
+    this.updated_at = data.updated_at || null;
+    this.seated_at = data.seated_at || null;
+    this.cancelled_at = data.cancelled_at || null;
+    this.no_show_at = data.no_show_at || null;
+    this.tables = data.tables || [];
+    this.no_show_count = data.no_show_count !== undefined ? parseInt(data.no_show_count) : 0;
+  }
+
+  /**
+   * Check if the booking can still be changed, cancelled or seated
+   * @returns {boolean}
+   */
+  isBooked() {
+    return this.status === 'booked';
+  }
+}
+
+/**
+ * Validates a list of table IDs chosen by hand
+ * @param {*} tableIds - Value of table_ids
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateTableIds(tableIds) {
+  if (!Array.isArray(tableIds) || tableIds.length === 0) {
+    return [{ field: 'table_ids', message: 'Table IDs must be a non-empty array' }];
+  }
+  if (tableIds.length > MAX_COMBINED_TABLES) {
+    return [{ field: 'table_ids', message: `At most ${MAX_COMBINED_TABLES} tables can be combined` }];
+  }
+  if (!tableIds.every(id => Number.isInteger(id) && id > 0)) {
+    return [{ field: 'table_ids', message: 'Table IDs must be positive integers' }];
+  }
+  if (new Set(tableIds).size !== tableIds.length) {
+    return [{ field: 'table_ids', message: 'Each table can only be listed once' }];
+  }
+  return [];
+}
+
+/**
+ * Validates data for booking or changing a reservation
+ * @param {Object} data - { customer_name, phone, email, party_size, reserved_for, duration_minutes, notes, table_ids }
+ * @param {boolean} isUpdate - Whether this is a change (fields are optional)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateReservation(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.customer_name !== undefined) {
+    if (!data.customer_name || typeof data.customer_name !== 'string' || data.customer_name.trim().length === 0) {
+      errors.push({ field: 'customer_name', message: 'Customer name is required' });
+    } else if (data.customer_name.length > 100) {
+      errors.push({ field: 'customer_name', message: 'Customer name must be 100 characters or less' });
+    }
+  }
+
+  if (data.phone !== undefined && data.phone !== null &&
+      (typeof data.phone !== 'string' || data.phone.length > 30)) {
+    errors.push({ field: 'phone', message: 'Phone must be a string of 30 characters or less' });
+  }
+
+  if (data.email !== undefined && data.email !== null &&
+      (typeof data.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email))) {
+    errors.push({ field: 'email', message: 'Email must be a valid email address' });
+  }
+
+  if (!isUpdate || data.party_size !== undefined) {
+    if (!Number.isInteger(data.party_size) || data.party_size < 1 || data.party_size > MAX_PARTY_SIZE) {
+      errors.push({ field: 'party_size', message: `Party size must be an integer between 1 and ${MAX_PARTY_SIZE}` });
+    }
+  }
+
+  if (!isUpdate || data.reserved_for !== undefined) {
+    const start = new Date(data.reserved_for);
+    if (!data.reserved_for || isNaN(start.getTime())) {
+      errors.push({ field: 'reserved_for', message: 'Reservation time must be a valid date and time' });
+    } else if (start.getTime() < Date.now()) {
+      errors.push({ field: 'reserved_for', message: 'Reservation time must be in the future' });
+    }
+  }
+
+  if (data.duration_minutes !== undefined &&
+      (!Number.isInteger(data.duration_minutes) || data.duration_minutes < 15 || data.duration_minutes > 480)) {
+    errors.push({ field: 'duration_minutes', message: 'Duration must be an integer between 15 and 480 minutes' });
+  }
+
+  if (data.notes !== undefined && data.notes !== null &&
+      (typeof data.notes !== 'string' || data.notes.length > 500)) {
+    errors.push({ field: 'notes', message: 'Notes must be a string of 500 characters or less' });
+  }
+
+  if (data.table_ids !== undefined && data.table_ids !== null) {
+    errors.push(...validateTableIds(data.table_ids));
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates cancelling a reservation
+ * @param {Object} data - { reason (optional) }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateReservationCancel(data) {
+  const errors = [];
+
+  if (data.reason !== undefined && data.reason !== null &&
+      (typeof data.reason !== 'string' || data.reason.length > 500)) {
+    errors.push({ field: 'reason', message: 'Reason must be a string of 500 characters or less' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates seating a party at tables
+ * @param {Object} data - { table_ids }
+ * @param {boolean} required - Whether table_ids must be given (reservations default to their booked tables)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateSeating(data, required = true) {
+  const errors = (required || (data.table_ids !== undefined && data.table_ids !== null))
+    ? validateTableIds(data.table_ids)
+    : [];
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Pick the tables for a party from the tables that are free
+ * One table that fits is preferred (the smallest); otherwise the fewest tables that fit together,
+ * wasting as few seats as possible
+ * @param {Array} tables - Free tables { id, table_number, capacity }
+ * @param {number} partySize - Guests to seat
+ * @param {number} maxTables - Most tables to combine
+ * @returns {Array|null} - Chosen tables in table number order, or null if the party cannot be seated
+ */
+function chooseTables(tables, partySize, maxTables = MAX_COMBINED_TABLES) {
+  const bySize = [...tables].sort((a, b) => a.capacity - b.capacity || a.table_number - b.table_number);
+  const single = bySize.find(table => table.capacity >= partySize);
+  if (single) {
+    return [single];
+  }
+
+  const largestFirst = [...tables].sort((a, b) => b.capacity - a.capacity || a.table_number - b.table_number);
+  let best = null;
+  let bestSeats = Infinity;
+
+  function search(start, chosen, seats, size) {
+    if (seats >= partySize) {
+      if (seats < bestSeats) {
+        best = [...chosen];
+        bestSeats = seats;
+      }
+      return;
+    }
+
+    const slots = size - chosen.length;
+    for (let i = start; i < largestFirst.length; i++) {
+      // The largest remaining tables cannot reach the party size, so smaller ones cannot either
+      const reachable = largestFirst.slice(i, i + slots).reduce((sum, table) => sum + table.capacity, seats);
+      if (reachable < partySize) {
+        break;
+      }
+      chosen.push(largestFirst[i]);
+      search(i + 1, chosen, seats + largestFirst[i].capacity, size);
+      chosen.pop();
+    }
+  }
+
+  for (let size = 2; size <= maxTables && !best; size++) {
+    search(0, [], 0, size);
+  }
+
+  return best ? best.sort((a, b) => a.table_number - b.table_number) : null;
+}
+
+module.exports = {
+  Reservation,
+  validateReservation,
+  validateReservationCancel,
+  validateSeating,
+  chooseTables,
+  RESERVATION_STATUSES,
+  ACTIVE_RESERVATION_STATUSES,
+  DEFAULT_DURATION_MINUTES,
+  MAX_PARTY_SIZE,
+  MAX_COMBINED_TABLES
+};
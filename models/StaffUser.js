@@ -0,0 +1,151 @@
+/**
+ * StaffUser model and validation utilities
+ * Provides StaffUser class and validation functions for staff logins and roles
+ */
+
+/**
+ * Valid staff roles, from most to least privileged
+ */
+const VALID_ROLES = ['owner', 'manager', 'server', 'cook', 'bartender'];
+
+/**
+ * Minimum password length accepted for staff accounts
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * StaffUser class representing a staff login account
+ */
+class StaffUser {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.username = data.username || '';
+    this.full_name = data.full_name || null;
+    this.role = data.role || '';
+    this.active = data.active !== undefined ? Boolean(data.active) : true;
+    this.last_login_at = data.last_login_at || null;
+    this.created_at = data.created_at || null;
+    this.updated_at = data.updated_at || null;
+  }
+
+  /**
+   * Returns a plain object representation that never includes the password hash
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      username: this.username,
+      full_name: this.full_name,
+      role: this.role,
+      active: this.active,
+      last_login_at: this.last_login_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+/**
+ * Validates a username value
+ * @param {*} username - Username to validate
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateUsername(username) {
+  const errors = [];
+
+  if (!username || typeof username !== 'string') {
+    errors.push({ field: 'username', message: 'Username is required' });
+  } else if (!/^[a-zA-Z0-9._-]{3,50}$/.test(username)) {
+    errors.push({
+      field: 'username',
+      message: 'Username must be 3-50 characters of letters, numbers, dots, dashes or underscores'
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a password value
+ * @param {*} password - Password to validate
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validatePassword(password) {
+  const errors = [];
+
+  if (!password || typeof password !== 'string') {
+    errors.push({ field: 'password', message: 'Password is required' });
+  } else if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({ field: 'password', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates staff user data for creation
+ * @param {Object} user - User data (username, password, full_name, role)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateStaffUserForCreation(user) {
+  const errors = [
+    ...validateUsername(user.username),
+    ...validatePassword(user.password)
+  ];
+
+  if (!user.role) {
+    errors.push({ field: 'role', message: 'Role is required' });
+  } else if (!VALID_ROLES.includes(user.role)) {
+    errors.push({ field: 'role', message: `Role must be one of: ${VALID_ROLES.join(', ')}` });
+  }
+
+  if (user.full_name !== undefined && user.full_name !== null &&
+      (typeof user.full_name !== 'string' || user.full_name.length > 100)) {
+    errors.push({ field: 'full_name', message: 'Full name must be a string of 100 characters or less' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates staff user data for updates (allows partial data)
+ * @param {Object} user - Only the fields being updated
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateStaffUserForUpdate(user) {
+  const errors = [];
+
+  if (user.password !== undefined) {
+    errors.push(...validatePassword(user.password));
+  }
+
+  if (user.role !== undefined && !VALID_ROLES.includes(user.role)) {
+    errors.push({ field: 'role', message: `Role must be one of: ${VALID_ROLES.join(', ')}` });
+  }
+
+  if (user.active !== undefined && typeof user.active !== 'boolean') {
+    errors.push({ field: 'active', message: 'Active must be a boolean' });
+  }
+
+  if (user.full_name !== undefined && user.full_name !== null &&
+      (typeof user.full_name !== 'string' || user.full_name.length > 100)) {
+    errors.push({ field: 'full_name', message: 'Full name must be a string of 100 characters or less' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  StaffUser,
+  validateStaffUserForCreation,
+  validateStaffUserForUpdate,
+  VALID_ROLES,
+  MIN_PASSWORD_LENGTH
+};
@@ -0,0 +1,245 @@
+/**
+ * Stock count model and validation utilities
+ * A count snapshots each product's theoretical quantity when it starts, collects what staff counted
+ * and is posted once, turning every difference into an adjustment
+ */
+
+const { isAmount, validateOptionalText } = require('./Supplier');
+
+/**
+ * Stock count statuses
+ * - open: being counted; counted quantities can still change
+ * - posted: differences have been written to stock
+ * - cancelled: abandoned without changing stock
+ */
+const STOCK_COUNT_STATUSES = ['open', 'posted', 'cancelled'];
+
+/**
+ * Column names accepted in an uploaded count sheet, by what they hold
+ */
+const CSV_COLUMNS = {
+  product_id: ['product_id', 'id'],
+  product_name: ['product_name', 'product', 'name'],
+  counted_quantity: ['counted_quantity', 'counted', 'quantity', 'count'],
+  notes: ['notes', 'note']
+};
+
+/**
+ * Validates data for starting a stock count
+ * @param {Object} data - { category, location_id, notes }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateStockCountStart(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { isValid: false, errors: [{ field: 'body', message: 'Request body is required' }] };
+  }
+
+  errors.push(...validateOptionalText(data.category, 'category', 'Category', 50));
+  if (data.location_id !== undefined && data.location_id !== null &&
+      (!Number.isInteger(data.location_id) || data.location_id < 1)) {
+    errors.push({ field: 'location_id', message: 'Location ID must be a positive integer' });
+  }
+  errors.push(...validateOptionalText(data.notes, 'notes', 'Notes', 1000));
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates counted quantities entered for a stock count
+ * @param {Object} data - { lines: [{ product_id, counted_quantity, notes }] }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateCountEntries(data) {
+  const errors = [];
+
+  if (!data || !Array.isArray(data.lines) || data.lines.length === 0) {
+    return { isValid: false, errors: [{ field: 'lines', message: 'Lines must be a non-empty array' }] };
+  }
+
+  data.lines.forEach((line, index) => {
+    const prefix = `lines[${index}].`;
+    if (!line || typeof line !== 'object') {
+      errors.push({ field: `lines[${index}]`, message: 'Each line must be an object' });
+      return;
+    }
+    if (!Number.isInteger(line.product_id) || line.product_id < 1) {
+      errors.push({ field: `${prefix}product_id`, message: 'Product ID must be a positive integer' });
+    }
+    if (!isAmount(line.counted_quantity, 3)) {
+      errors.push({ field: `${prefix}counted_quantity`, message: 'Counted quantity must be zero or a positive number with at most three decimal places' });
+    }
+    errors.push(...validateOptionalText(line.notes, `${prefix}notes`, 'Notes', 1000));
+  });
+
+  const productIds = data.lines.map(line => line && line.product_id);
+  if (errors.length === 0 && new Set(productIds).size !== productIds.length) {
+    errors.push({ field: 'lines', message: 'Each product can only be counted once per entry' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Split one line of CSV into its fields
+ * Fields may be quoted, with "" standing for a quote inside a quoted field
+ * @param {string} line - Line of CSV
+ * @returns {Array<string>} - Fields, trimmed
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+/**
+ * Read counted quantities from an uploaded count sheet
+ *
+ * The first row names the columns: a product_id or product_name column, a counted_quantity column
+ * and optionally notes (see CSV_COLUMNS for the names accepted). Blank rows are skipped and a blank
+ * quantity leaves the product uncounted.
+ *
+ * @param {string} text - CSV text
+ * @returns {Object} - { entries: [{ row, product_id, product_name, counted_quantity, notes }], errors }
+ */
+function parseCountCsv(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return { entries: [], errors: [{ field: 'csv', message: 'CSV is required' }] };
+  }
+
+  const rows = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const header = parseCsvLine(rows[0]).map(name => name.toLowerCase());
+  const columns = {};
+  for (const [key, names] of Object.entries(CSV_COLUMNS)) {
+    const index = header.findIndex(name => names.includes(name));
+    if (index !== -1) {
+      columns[key] = index;
+    }
+  }
+
+  if (columns.product_id === undefined && columns.product_name === undefined) {
+    return { entries: [], errors: [{ field: 'csv', message: 'CSV needs a product_id or product_name column' }] };
+  }
+  if (columns.counted_quantity === undefined) {
+    return { entries: [], errors: [{ field: 'csv', message: 'CSV needs a counted_quantity column' }] };
+  }
+
+  const entries = [];
+  const errors = [];
+  rows.slice(1).forEach((text, index) => {
+    const row = index + 2;
+    if (text.trim().length === 0) {
+      return;
+    }
+
+    const fields = parseCsvLine(text);
+    const value = (key) => columns[key] !== undefined ? fields[columns[key]] || '' : '';
+    const quantityText = value('counted_quantity');
+    if (quantityText === '') {
+      return;
+    }
+
+    const entry = {
+      row,
+      product_id: null,
+      product_name: value('product_name') || null,
+      counted_quantity: Number(quantityText),
+      notes: value('notes') || null
+    };
+    if (value('product_id') !== '') {
+      entry.product_id = /^\d+$/.test(value('product_id')) ? parseInt(value('product_id')) : NaN;
+    }
+
+    if (Number.isNaN(entry.product_id) || (entry.product_id === null && !entry.product_name)) {
+      errors.push({ field: 'csv', message: `Row ${row}: Product ID must be a positive integer, or give the product name` });
+    } else if (!isAmount(entry.counted_quantity, 3)) {
+      errors.push({ field: 'csv', message: `Row ${row}: Counted quantity must be zero or a positive number with at most three decimal places` });
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  if (entries.length === 0 && errors.length === 0) {
+    errors.push({ field: 'csv', message: 'CSV has no counted quantities' });
+  }
+
+  return { entries, errors };
+}
+
+/**
+ * Difference between what was counted and what stock records said when the count started
+ * @param {Object} line - { expected_quantity, counted_quantity, unit_cost }
+ * @returns {Object} - { variance, variance_cost }, both null while the product is uncounted
+ */
+function lineVariance(line) {
+  if (line.counted_quantity === null || line.counted_quantity === undefined) {
+    return { variance: null, variance_cost: null };
+  }
+
+  const variance = Math.round((parseFloat(line.counted_quantity) - parseFloat(line.expected_quantity)) * 1000) / 1000;
+  return {
+    variance,
+    variance_cost: Math.round(variance * parseFloat(line.unit_cost || 0) * 100) / 100
+  };
+}
+
+/**
+ * Totals of a count's variances
+ * Shortage is the cost of stock missing and overage the cost of stock found; net is overage less shortage
+ * @param {Array} lines - Lines with variance and variance_cost
+ * @returns {Object} - { product_count, counted_count, variance_count, shortage_cost, overage_cost, net_variance_cost }
+ */
+function summarizeVariances(lines) {
+  const counted = lines.filter(line => line.variance !== null);
+  const shortage = counted.filter(line => line.variance_cost < 0).reduce((sum, line) => sum - line.variance_cost, 0);
+  const overage = counted.filter(line => line.variance_cost > 0).reduce((sum, line) => sum + line.variance_cost, 0);
+
+  return {
+    product_count: lines.length,
+    counted_count: counted.length,
+    variance_count: counted.filter(line => line.variance !== 0).length,
+    shortage_cost: Math.round(shortage * 100) / 100,
+    overage_cost: Math.round(overage * 100) / 100,
+    net_variance_cost: Math.round((overage - shortage) * 100) / 100
+  };
+}
+
+module.exports = {
+  validateStockCountStart,
+  validateCountEntries,
+  parseCountCsv,
+  lineVariance,
+  summarizeVariances,
+  STOCK_COUNT_STATUSES
+};
@@ -0,0 +1,54 @@
+/**
+ * Stock lot model and validation utilities
+ * Stock is received as lots with a received date, expiry date and unit cost, and deductions take from
+ * the lots in the order set by the product's lot rotation
+ */
+
+const { isAmount, validateOptionalText } = require('./Supplier');
+const { isDate } = require('./PurchaseOrder');
+
+/**
+ * How a product's lots are used up
+ * - fifo: oldest received first
+ * - fefo: soonest expiring first, then oldest received; lots without an expiry date go last
+ */
+const LOT_ROTATIONS = ['fifo', 'fefo'];
+
+/**
+ * Days ahead the expiring soon alert looks when no number of days is given
+ */
+const DEFAULT_EXPIRY_WARNING_DAYS = 3;
+
+/**
+ * Furthest ahead, in days, the expiring soon alert can look
+ */
+const MAX_EXPIRY_WARNING_DAYS = 90;
+
+/**
+ * Validates the optional details of a lot being received
+ * @param {Object} data - { expires_on, lot_code, unit_cost }
+ * @param {string} prefix - Prefix for error fields, e.g. 'lines[0].'
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateLotDetails(data, prefix = '') {
+  const errors = [];
+
+  if (data.expires_on !== undefined && data.expires_on !== null && !isDate(data.expires_on)) {
+    errors.push({ field: `${prefix}expires_on`, message: 'Expiry date must be a date in YYYY-MM-DD format' });
+  }
+
+  errors.push(...validateOptionalText(data.lot_code, `${prefix}lot_code`, 'Lot code', 50));
+
+  if (data.unit_cost !== undefined && data.unit_cost !== null && !isAmount(data.unit_cost, 4)) {
+    errors.push({ field: `${prefix}unit_cost`, message: 'Unit cost must be zero or a positive amount with at most four decimal places' });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  LOT_ROTATIONS,
+  DEFAULT_EXPIRY_WARNING_DAYS,
+  MAX_EXPIRY_WARNING_DAYS,
+  validateLotDetails
+};
@@ -0,0 +1,123 @@
+/**
+ * Supplier model and validation utilities
+ * Suppliers sell products in packs; a product can be linked to several suppliers and prefer one of them
+ */
+
+/**
+ * Longest lead time, in days, a supplier can be given
+ */
+const MAX_LEAD_TIME_DAYS = 365;
+
+/**
+ * Check that a value is a non-negative amount with at most the given number of decimals
+ * @param {*} value - Value to check
+ * @param {number} decimals - Decimal places allowed
+ * @returns {boolean}
+ */
+function isAmount(value, decimals = 2) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    return false;
+  }
+  const scale = Math.pow(10, decimals);
+  return Math.abs(value * scale - Math.round(value * scale)) < 1e-6;
+}
+
+/**
+ * Validates an optional text field
+ * @param {*} value - Value to check
+ * @param {string} field - Field name for the error
+ * @param {string} label - Human-readable name
+ * @param {number} maxLength - Longest allowed value
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateOptionalText(value, field, label, maxLength) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (typeof value !== 'string' || value.length > maxLength) {
+    return [{ field, message: `${label} must be a string of ${maxLength} characters or less` }];
+  }
+  return [];
+}
+
+/**
+ * Validates data for adding or changing a supplier
+ * @param {Object} data - { name, contact_name, email, phone, lead_time_days, minimum_order_amount, notes, active }
+ * @param {boolean} isUpdate - Whether this is a change (fields are optional)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateSupplier(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Supplier name is required' });
+    } else if (data.name.length > 200) {
+      errors.push({ field: 'name', message: 'Supplier name must be 200 characters or less' });
+    }
+  }
+
+  errors.push(...validateOptionalText(data.contact_name, 'contact_name', 'Contact name', 100));
+  errors.push(...validateOptionalText(data.phone, 'phone', 'Phone', 50));
+  errors.push(...validateOptionalText(data.notes, 'notes', 'Notes', 1000));
+
+  if (data.email !== undefined && data.email !== null && data.email !== '') {
+    if (typeof data.email !== 'string' || data.email.length > 200 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+      errors.push({ field: 'email', message: 'Email must be a valid email address' });
+    }
+  }
+
+  if (data.lead_time_days !== undefined &&
+      (!Number.isInteger(data.lead_time_days) || data.lead_time_days < 0 || data.lead_time_days > MAX_LEAD_TIME_DAYS)) {
+    errors.push({ field: 'lead_time_days', message: `Lead time must be a whole number of days from 0 to ${MAX_LEAD_TIME_DAYS}` });
+  }
+
+  if (data.minimum_order_amount !== undefined && !isAmount(data.minimum_order_amount)) {
+    errors.push({ field: 'minimum_order_amount', message: 'Minimum order must be zero or a positive amount with at most two decimal places' });
+  }
+
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push({ field: 'active', message: 'Active must be true or false' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates linking a product to a supplier
+ * @param {Object} data - { supplier_sku, pack_size, pack_cost, is_preferred }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateProductSupplier(data) {
+  const errors = [];
+
+  errors.push(...validateOptionalText(data.supplier_sku, 'supplier_sku', 'Supplier SKU', 100));
+
+  if (data.pack_size !== undefined && (!isAmount(data.pack_size, 3) || data.pack_size <= 0)) {
+    errors.push({ field: 'pack_size', message: 'Pack size must be a positive number with at most three decimal places' });
+  }
+
+  if (data.pack_cost !== undefined && data.pack_cost !== null && !isAmount(data.pack_cost)) {
+    errors.push({ field: 'pack_cost', message: 'Pack cost must be zero or a positive amount with at most two decimal places' });
+  }
+
+  if (data.is_preferred !== undefined && typeof data.is_preferred !== 'boolean') {
+    errors.push({ field: 'is_preferred', message: 'Preferred must be true or false' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  validateSupplier,
+  validateProductSupplier,
+  isAmount,
+  validateOptionalText,
+  MAX_LEAD_TIME_DAYS
+};
@@ -0,0 +1,263 @@
+/**
+ * Table and floor plan model and validation utilities
+ * Tables stand in a dining area at a position on its plan; server sections group tables for one staff member
+ */
+
+/**
+ * Valid table statuses
+ * - available: free to seat a party
+ * - occupied: the table has an active check
+ * - reserved: held for a booking that starts soon
+ * - cleaning: the party left and the table is being reset
+ */
+const TABLE_STATUSES = ['available', 'occupied', 'reserved', 'cleaning'];
+
+/**
+ * Shapes a table is drawn with on the floor plan
+ */
+const TABLE_SHAPES = ['square', 'round', 'rectangle'];
+
+/**
+ * Largest x or y position, in pixels, on an area's plan
+ */
+const MAX_FLOOR_POSITION = 2000;
+
+/**
+ * Most seats at one table
+ */
+const MAX_TABLE_CAPACITY = 30;
+
+/**
+ * Table class representing one table on the floor
+ */
+class Table {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.table_number = data.table_number !== undefined ? parseInt(data.table_number) : null;
+    this.capacity = data.capacity !== undefined ? parseInt(data.capacity) : null;
+    this.status = data.status || 'available';
+    this.area_id = data.area_id || null;
+    this.area_name = data.area_name || null;
+    this.section_id = data.section_id || null;
+    this.section_name = data.section_name || null;
+    this.section_color = data.section_color || null;
+    this.server_id = data.server_id || null;
+    this.server_name = data.server_name || null;
+    this.pos_x = data.pos_x !== undefined ? parseInt(data.pos_x) : 0;
+    this.pos_y = data.pos_y !== undefined ? parseInt(data.pos_y) : 0;
+    this.shape = data.shape || 'square';
+    this.rotation = data.rotation !== undefined ? parseInt(data.rotation) : 0;
+    this.check_id = data.check_id || null;
+    this.seated_at = data.seated_at || null;
+    this.created_at = data.created_at || null;
+    this.retired_at = data.retired_at || null;
+  }
+
+  /**
+   * Check if the table was taken off the floor
+   * @returns {boolean}
+   */
+  isRetired() {
+    return this.retired_at !== null;
+  }
+}
+
+/**
+ * Validates an optional positive integer ID that can be cleared with null
+ * @param {*} value - Value to check
+ * @param {string} field - Field name for the error
+ * @param {string} label - Human-readable name
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validateOptionalId(value, field, label) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Number.isInteger(value) && value > 0
+    ? []
+    : [{ field, message: `${label} must be a positive integer` }];
+}
+
+/**
+ * Validates a position and rotation on the floor plan
+ * @param {Object} data - { pos_x, pos_y, rotation }
+ * @param {string} prefix - Prefix for error fields (e.g. 'tables[0].')
+ * @returns {Array} - Array of { field, message } errors
+ */
+function validatePlacement(data, prefix = '') {
+  const errors = [];
+
+  for (const field of ['pos_x', 'pos_y']) {
+    if (data[field] !== undefined &&
+        (!Number.isInteger(data[field]) || data[field] < 0 || data[field] > MAX_FLOOR_POSITION)) {
+      errors.push({ field: `${prefix}${field}`, message: `Position must be an integer between 0 and ${MAX_FLOOR_POSITION}` });
+    }
+  }
+
+  if (data.rotation !== undefined &&
+      (!Number.isInteger(data.rotation) || data.rotation < 0 || data.rotation >= 360)) {
+    errors.push({ field: `${prefix}rotation`, message: 'Rotation must be an integer from 0 to 359 degrees' });
+  }
+
+  return errors;
+}
+
+/**
+ * Validates data for adding or changing a table
+ * @param {Object} data - { table_number, capacity, area_id, section_id, pos_x, pos_y, shape, rotation }
+ * @param {boolean} isUpdate - Whether this is a change (fields are optional)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateTable(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.table_number !== undefined) {
+    if (!Number.isInteger(data.table_number) || data.table_number < 1) {
+      errors.push({ field: 'table_number', message: 'Table number must be a positive integer' });
+    }
+  }
+
+  if (!isUpdate || data.capacity !== undefined) {
+    if (!Number.isInteger(data.capacity) || data.capacity < 1 || data.capacity > MAX_TABLE_CAPACITY) {
+      errors.push({ field: 'capacity', message: `Capacity must be an integer between 1 and ${MAX_TABLE_CAPACITY}` });
+    }
+  }
+
+  if (isUpdate && data.area_id === null) {
+    errors.push({ field: 'area_id', message: 'A table must stay in an area' });
+  } else {
+    errors.push(...validateOptionalId(data.area_id, 'area_id', 'Area ID'));
+  }
+  errors.push(...validateOptionalId(data.section_id, 'section_id', 'Section ID'));
+
+  if (data.shape !== undefined && !TABLE_SHAPES.includes(data.shape)) {
+    errors.push({ field: 'shape', message: `Shape must be one of: ${TABLE_SHAPES.join(', ')}` });
+  }
+
+  errors.push(...validatePlacement(data));
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates moving several tables at once from the floor plan editor
+ * @param {Object} data - { tables: [{ id, pos_x, pos_y, rotation, area_id }] }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateLayout(data) {
+  const errors = [];
+
+  if (!Array.isArray(data.tables) || data.tables.length === 0) {
+    return {
+      isValid: false,
+      errors: [{ field: 'tables', message: 'Tables must be a non-empty array' }]
+    };
+  }
+
+  data.tables.forEach((table, index) => {
+    const prefix = `tables[${index}].`;
+    if (!table || typeof table !== 'object') {
+      errors.push({ field: `tables[${index}]`, message: 'Each entry must be an object' });
+      return;
+    }
+    if (!Number.isInteger(table.id) || table.id < 1) {
+      errors.push({ field: `${prefix}id`, message: 'Table ID must be a positive integer' });
+    }
+    if (table.pos_x === undefined || table.pos_y === undefined) {
+      errors.push({ field: `${prefix}pos_x`, message: 'Both pos_x and pos_y are required' });
+    }
+    errors.push(...validatePlacement(table, prefix));
+    if (table.area_id !== undefined && (!Number.isInteger(table.area_id) || table.area_id < 1)) {
+      errors.push({ field: `${prefix}area_id`, message: 'Area ID must be a positive integer' });
+    }
+  });
+
+  const ids = data.tables.map(table => table && table.id);
+  if (errors.length === 0 && new Set(ids).size !== ids.length) {
+    errors.push({ field: 'tables', message: 'Each table can only be listed once' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates data for adding or renaming a dining area
+ * @param {Object} data - { name, sort_order }
+ * @param {boolean} isUpdate - Whether this is a change (fields are optional)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateFloorArea(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Area name is required' });
+    } else if (data.name.length > 50) {
+      errors.push({ field: 'name', message: 'Area name must be 50 characters or less' });
+    }
+  }
+
+  if (data.sort_order !== undefined && (!Number.isInteger(data.sort_order) || data.sort_order < 0)) {
+    errors.push({ field: 'sort_order', message: 'Sort order must be a non-negative integer' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates data for adding or changing a server section
+ * @param {Object} data - { name, staff_user_id, color, table_ids }
+ * @param {boolean} isUpdate - Whether this is a change (fields are optional)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateServerSection(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+      errors.push({ field: 'name', message: 'Section name is required' });
+    } else if (data.name.length > 50) {
+      errors.push({ field: 'name', message: 'Section name must be 50 characters or less' });
+    }
+  }
+
+  errors.push(...validateOptionalId(data.staff_user_id, 'staff_user_id', 'Staff user ID'));
+
+  if (data.color !== undefined && (typeof data.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(data.color))) {
+    errors.push({ field: 'color', message: 'Color must be a hex color such as #0d6efd' });
+  }
+
+  if (data.table_ids !== undefined) {
+    if (!Array.isArray(data.table_ids) || !data.table_ids.every(id => Number.isInteger(id) && id > 0)) {
+      errors.push({ field: 'table_ids', message: 'Table IDs must be an array of positive integers' });
+    } else if (new Set(data.table_ids).size !== data.table_ids.length) {
+      errors.push({ field: 'table_ids', message: 'Each table can only be listed once' });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+module.exports = {
+  Table,
+  validateTable,
+  validateLayout,
+  validateFloorArea,
+  validateServerSection,
+  TABLE_STATUSES,
+  TABLE_SHAPES,
+  MAX_FLOOR_POSITION,
+  MAX_TABLE_CAPACITY
+};
@@ -0,0 +1,177 @@
+/**
+ * Unit of measure conversion
+ * Converts recipe ingredient quantities into the unit their product is stocked in. Units convert freely
+ * within their family (weight, volume, count); crossing families goes through the product's weight, so
+ * volume needs the product's density and count needs the weight of one piece
+ */
+
+/**
+ * Units by family with their size in the family's base unit (grams, millilitres or pieces)
+ * Boxes are their own family: how much is in a box depends on the product and is not tracked
+ */
+const UNITS = {
+  g: { family: 'weight', size: 1 },
+  kg: { family: 'weight', size: 1000 },
+  lb: { family: 'weight', size: 453.59237 },
+  oz: { family: 'weight', size: 28.349523125 },
+  ml: { family: 'volume', size: 1 },
+  l: { family: 'volume', size: 1000 },
+  gal: { family: 'volume', size: 3785.411784 },
+  qt: { family: 'volume', size: 946.352946 },
+  pt: { family: 'volume', size: 473.176473 },
+  cups: { family: 'volume', size: 236.5882365 },
+  tbsp: { family: 'volume', size: 14.78676478125 },
+  tsp: { family: 'volume', size: 4.92892159375 },
+  pieces: { family: 'count', size: 1 },
+  units: { family: 'count', size: 1 },
+  boxes: { family: 'box', size: 1 }
+};
+
+/**
+ * Other spellings recipes use for the units above
+ */
+const UNIT_ALIASES = {
+  gram: 'g', grams: 'g', gr: 'g',
+  kilogram: 'kg', kilograms: 'kg', kgs: 'kg',
+  pound: 'lb', pounds: 'lb', lbs: 'lb',
+  ounce: 'oz', ounces: 'oz',
+  milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  gallon: 'gal', gallons: 'gal',
+  quart: 'qt', quarts: 'qt',
+  pint: 'pt', pints: 'pt',
+  cup: 'cups',
+  tablespoon: 'tbsp', tablespoons: 'tbsp',
+  teaspoon: 'tsp', teaspoons: 'tsp',
+  piece: 'pieces', pcs: 'pieces', pc: 'pieces', each: 'pieces', ea: 'pieces', whole: 'pieces',
+  unit: 'units',
+  box: 'boxes'
+};
+
+/**
+ * Find the standard name of a unit
+ * @param {string|null} unit - Unit as written
+ * @returns {string|null} - Key of UNITS, or null if the unit is not known
+ */
+function normalizeUnit(unit) {
+  if (typeof unit !== 'string') {
+    return null;
+  }
+  const key = unit.trim().toLowerCase();
+  if (UNITS[key]) {
+    return key;
+  }
+  return UNIT_ALIASES[key] || null;
+}
+
+/**
+ * Grams in one base unit of a family for a product
+ * @param {string} family - Unit family
+ * @param {Object} product - { density_g_per_ml, piece_weight_g }
+ * @returns {number|null} - Grams, or null when the product does not say
+ */
+function gramsPerBaseUnit(family, product) {
+  const positive = (value) => {
+    const number = parseFloat(value);
+    return number > 0 ? number : null;
+  };
+
+  if (family === 'weight') {
+    return 1;
+  }
+  if (family === 'volume') {
+    return positive(product.density_g_per_ml);
+  }
+  if (family === 'count') {
+    return positive(product.piece_weight_g);
+  }
+  return null;
+}
+
+/**
+ * Number to multiply a quantity in one unit by to get it in another
+ * An ingredient without a unit, or written in the product's own unit, is taken as already in it
+ * @param {string|null} fromUnit - Unit the quantity is in (the recipe's)
+ * @param {string} toUnit - Unit to convert to (the product's)
+ * @param {Object} product - { density_g_per_ml, piece_weight_g } for conversions across families
+ * @returns {number|null} - Factor, or null if the units cannot be converted
+ */
+function conversionFactor(fromUnit, toUnit, product = {}) {
+  if (fromUnit === null || fromUnit === undefined || String(fromUnit).trim() === '') {
+    return 1;
+  }
+  if (typeof toUnit === 'string' && String(fromUnit).trim().toLowerCase() === toUnit.trim().toLowerCase()) {
+    return 1;
+  }
+
+  const from = UNITS[normalizeUnit(fromUnit)];
+  const to = UNITS[normalizeUnit(toUnit)];
+  if (!from || !to) {
+    return null;
+  }
+  if (from.family === to.family) {
+    return from.size / to.size;
+  }
+
+  const fromGrams = gramsPerBaseUnit(from.family, product);
+  const toGrams = gramsPerBaseUnit(to.family, product);
+  if (fromGrams === null || toGrams === null) {
+    return null;
+  }
+  return from.size * fromGrams / (toGrams * to.size);
+}
+
+/**
+ * Convert a quantity between units
+ * @param {number} quantity - Quantity in fromUnit
+ * @param {string|null} fromUnit - Unit the quantity is in
+ * @param {string} toUnit - Unit to convert to
+ * @param {Object} product - { density_g_per_ml, piece_weight_g }
+ * @returns {number|null} - Converted quantity, or null if the units cannot be converted
+ */
+function convertQuantity(quantity, fromUnit, toUnit, product = {}) {
+  const factor = conversionFactor(fromUnit, toUnit, product);
+  return factor === null ? null : parseFloat(quantity) * factor;
+}
+
+/**
+ * Explain why a unit cannot be converted to a product's unit
+ * @param {string|null} fromUnit - Unit the recipe uses
+ * @param {Object} product - { name, unit_of_measure, density_g_per_ml, piece_weight_g }
+ * @returns {string|null} - What is wrong, or null if the units convert
+ */
+function conversionProblem(fromUnit, product) {
+  if (conversionFactor(fromUnit, product.unit_of_measure, product) !== null) {
+    return null;
+  }
+
+  const from = UNITS[normalizeUnit(fromUnit)];
+  const to = UNITS[normalizeUnit(product.unit_of_measure)];
+  if (!from) {
+    return `"${fromUnit}" is not a unit that can be converted to ${product.unit_of_measure}`;
+  }
+  if (!to) {
+    return `${product.name} is stocked in "${product.unit_of_measure}", which cannot be converted from ${fromUnit}`;
+  }
+
+  const needs = [];
+  if ([from.family, to.family].includes('volume') && gramsPerBaseUnit('volume', product) === null) {
+    needs.push('density');
+  }
+  if ([from.family, to.family].includes('count') && gramsPerBaseUnit('count', product) === null) {
+    needs.push('piece weight');
+  }
+  if (needs.length === 0) {
+    return `${fromUnit} cannot be converted to ${product.unit_of_measure}`;
+  }
+  return `${fromUnit} cannot be converted to ${product.unit_of_measure} without ${product.name}'s ${needs.join(' and ')}`;
+}
+
+module.exports = {
+  normalizeUnit,
+  conversionFactor,
+  convertQuantity,
+  conversionProblem,
+  UNITS,
+  UNIT_ALIASES
+};
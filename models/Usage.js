@@ -0,0 +1,121 @@
+/**
+ * Theoretical vs. actual usage utilities
+ * Theoretical usage is what the menu items sold should have used: the recipe quantities of the items on
+ * the orders served, with their modifiers. Actual usage is what left stock: opening stock plus purchases
+ * less closing stock. Whatever actual usage takes beyond theoretical usage and logged waste is unexplained
+ * variance.
+ */
+
+const { roundMoney } = require('./Costing');
+const { applyIngredientModifiers } = require('./Modifier');
+const { conversionFactor, conversionProblem } = require('./UnitConversion');
+
+/**
+ * Round a quantity to the three decimal places stock is kept in
+ * @param {number} value - Quantity
+ * @returns {number}
+ */
+function roundQuantity(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Work out how much of each product the order items sold should have used
+ * As OrderInventoryService does when it deducts an order, each item's recipe quantities are divided by
+ * the recipe's servings, converted into the product's unit and scaled to the quantity ordered, then the
+ * item's modifiers applied. An ingredient whose unit does not convert is left out and reported.
+ * @param {Array} recipeLines - [{ order_item_id, servings, product_id, quantity_per_serving (in
+ *   ingredient_unit), ingredient_unit, recipe_name, product_name, unit_of_measure, density_g_per_ml,
+ *   piece_weight_g }]
+ * @param {Array} modifierChanges - [{ order_item_id, servings, product_id, action, quantity, product_name,
+ *   unit_of_measure }]
+ * @returns {Object} - { quantities: Map of product_id to quantity, problems: Array of messages }
+ */
+function theoreticalUsage(recipeLines, modifierChanges) {
+  const items = new Map();
+  const itemFor = line => {
+    if (!items.has(line.order_item_id)) {
+      items.set(line.order_item_id, { servings: line.servings, ingredients: [], changes: [] });
+    }
+    return items.get(line.order_item_id);
+  };
+
+  const problems = new Set();
+  for (const line of recipeLines) {
+    const factor = conversionFactor(line.ingredient_unit, line.unit_of_measure, line);
+    if (factor === null) {
+      problems.add(`Recipe "${line.recipe_name}": ${conversionProblem(line.ingredient_unit, { ...line, name: line.product_name })}`);
+      continue;
+    }
+    const perServing = parseFloat(line.quantity_per_serving) * factor;
+    itemFor(line).ingredients.push({ ...line, quantity_per_serving: perServing, total_quantity_needed: perServing * line.servings });
+  }
+  for (const change of modifierChanges) {
+    itemFor(change).changes.push(change);
+  }
+
+  const quantities = new Map();
+  for (const item of items.values()) {
+    for (const ingredient of applyIngredientModifiers(item.ingredients, item.changes, item.servings)) {
+      quantities.set(ingredient.product_id, (quantities.get(ingredient.product_id) || 0) + ingredient.total_quantity_needed);
+    }
+  }
+  return { quantities, problems: [...problems] };
+}
+
+/**
+ * Work out each product's actual usage and unexplained variance and total the costs
+ * Purchases and waste are costed as their transactions were; theoretical usage and the variance, which
+ * have no transactions of their own, at the product's current cost. A positive variance is stock that went
+ * missing, a negative one stock found beyond what sales and waste account for.
+ * @param {Array} rows - [{ product_id, name, category, unit_of_measure, cost_per_unit, opening_quantity,
+ *   purchased_quantity, purchased_cost, theoretical_quantity, theoretical_cost, waste_quantity, waste_cost,
+ *   closing_quantity, counted_at }]
+ * @returns {Object} - { purchased_cost, theoretical_cost, waste_cost, variance_cost, products }
+ */
+function summarizeUsage(rows) {
+  const products = rows.map(row => {
+    const opening = roundQuantity(parseFloat(row.opening_quantity) || 0);
+    const purchased = roundQuantity(parseFloat(row.purchased_quantity) || 0);
+    const theoretical = roundQuantity(parseFloat(row.theoretical_quantity) || 0);
+    const waste = roundQuantity(parseFloat(row.waste_quantity) || 0);
+    const closing = roundQuantity(parseFloat(row.closing_quantity) || 0);
+    const actual = roundQuantity(opening + purchased - closing);
+    const variance = roundQuantity(actual - theoretical - waste);
+
+    return {
+      product_id: row.product_id,
+      name: row.name,
+      category: row.category,
+      unit_of_measure: row.unit_of_measure,
+      opening_quantity: opening,
+      purchased_quantity: purchased,
+      purchased_cost: roundMoney(parseFloat(row.purchased_cost) || 0),
+      theoretical_quantity: theoretical,
+      theoretical_cost: roundMoney(parseFloat(row.theoretical_cost) || 0),
+      waste_quantity: waste,
+      waste_cost: roundMoney(parseFloat(row.waste_cost) || 0),
+      closing_quantity: closing,
+      counted_at: row.counted_at || null,
+      actual_quantity: actual,
+      variance_quantity: variance,
+      variance_cost: roundMoney(variance * (parseFloat(row.cost_per_unit) || 0)),
+      // Variance as a share of what the product should have used; null when sales used none
+      variance_percent: theoretical > 0 ? roundMoney(variance / theoretical * 100) : null
+    };
+  });
+
+  const total = field => roundMoney(products.reduce((sum, product) => sum + product[field], 0));
+  return {
+    purchased_cost: total('purchased_cost'),
+    theoretical_cost: total('theoretical_cost'),
+    waste_cost: total('waste_cost'),
+    variance_cost: total('variance_cost'),
+    products
+  };
+}
+
+module.exports = {
+  theoreticalUsage,
+  summarizeUsage
+};
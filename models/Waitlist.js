@@ -0,0 +1,110 @@
+/**
+ * Waitlist model and validation utilities
+ * Walk-in parties wait in arrival order for a table and are quoted a wait time when they join
+ */
+
+const { MAX_PARTY_SIZE } = require('./Reservation');
+
+/**
+ * Valid waitlist statuses
+ * - waiting: in the queue
+ * - notified: told their table is ready
+ * - seated: given a table (see check_id)
+ * - left: walked away or removed from the list
+ */
+const WAITLIST_STATUSES = ['waiting', 'notified', 'seated', 'left'];
+
+/**
+ * Statuses of parties still on the list
+ */
+const ACTIVE_WAITLIST_STATUSES = ['waiting', 'notified'];
+
+/**
+ * Longest wait that can be quoted
+ */
+const MAX_QUOTED_WAIT_MINUTES = 600;
+
+/**
+ * Validates data for adding a party to the waitlist or changing one
+ * @param {Object} data - { customer_name, phone, party_size, quoted_wait_minutes, notes }
+ * @param {boolean} isUpdate - Whether this is a change (fields are optional)
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateWaitlistEntry(data, isUpdate = false) {
+  const errors = [];
+
+  if (!isUpdate || data.customer_name !== undefined) {
+    if (!data.customer_name || typeof data.customer_name !== 'string' || data.customer_name.trim().length === 0) {
+      errors.push({ field: 'customer_name', message: 'Customer name is required' });
+    } else if (data.customer_name.length > 100) {
+      errors.push({ field: 'customer_name', message: 'Customer name must be 100 characters or less' });
+    }
+  }
+
+  if (data.phone !== undefined && data.phone !== null &&
+      (typeof data.phone !== 'string' || data.phone.length > 30)) {
+    errors.push({ field: 'phone', message: 'Phone must be a string of 30 characters or less' });
+  }
+
+  if (!isUpdate || data.party_size !== undefined) {
+    if (!Number.isInteger(data.party_size) || data.party_size < 1 || data.party_size > MAX_PARTY_SIZE) {
+      errors.push({ field: 'party_size', message: `Party size must be an integer between 1 and ${MAX_PARTY_SIZE}` });
+    }
+  }
+
+  if (data.quoted_wait_minutes !== undefined && data.quoted_wait_minutes !== null &&
+      (!Number.isInteger(data.quoted_wait_minutes) || data.quoted_wait_minutes < 0 ||
+       data.quoted_wait_minutes > MAX_QUOTED_WAIT_MINUTES)) {
+    errors.push({
+      field: 'quoted_wait_minutes',
+      message: `Quoted wait must be an integer between 0 and ${MAX_QUOTED_WAIT_MINUTES} minutes`
+    });
+  }
+
+  if (data.notes !== undefined && data.notes !== null &&
+      (typeof data.notes !== 'string' || data.notes.length > 500)) {
+    errors.push({ field: 'notes', message: 'Notes must be a string of 500 characters or less' });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Estimate how long a party joining the waitlist will wait
+ * Only tables big enough for the party count (every table when none is, since tables will be combined).
+ * Free tables go to the parties ahead first; busy tables free up evenly over one average seating,
+ * so each further party waits another share of it. Rounded up to 5 minutes.
+ * @param {Object} options
+ * @param {number} options.partySize - Guests in the party
+ * @param {number} options.partiesAhead - Parties already on the list
+ * @param {Array} options.tables - Tables { capacity, status }
+ * @param {number} options.averageTurnMinutes - How long a seating lasts on average
+ * @returns {number} - Minutes
+ */
+function estimateWaitMinutes({ partySize, partiesAhead, tables, averageTurnMinutes }) {
+  const fitting = tables.filter(table => table.capacity >= partySize);
+  const candidates = fitting.length > 0 ? fitting : tables;
+  if (candidates.length === 0) {
+    return Math.ceil(averageTurnMinutes / 5) * 5;
+  }
+
+  const free = candidates.filter(table => table.status === 'available').length;
+  const waitingFor = partiesAhead + 1 - free;
+  if (waitingFor <= 0) {
+    return 0;
+  }
+
+  const busy = candidates.length - free || candidates.length;
+  return Math.ceil((waitingFor / busy) * averageTurnMinutes / 5) * 5;
+}
+
+module.exports = {
+  validateWaitlistEntry,
+  estimateWaitMinutes,
+  WAITLIST_STATUSES,
+  ACTIVE_WAITLIST_STATUSES,
+  MAX_QUOTED_WAIT_MINUTES
+};
@@ -0,0 +1,224 @@
+/**
+ * Waste log model and validation utilities
+ * Waste is recorded with a reason code, for products or for whole menu items and recipes, which are
+ * expanded into the ingredients they use
+ */
+
+const { isAmount, validateOptionalText } = require('./Supplier');
+
+/**
+ * Why food was thrown away
+ * - spoiled: went off in storage
+ * - dropped: dropped or spilled
+ * - overcooked: burnt or made wrong in the kitchen
+ * - comp: made and given away
+ * - expired: past its use-by date
+ */
+const WASTE_REASONS = ['spoiled', 'dropped', 'overcooked', 'comp', 'expired'];
+
+/**
+ * What a waste item can name; exactly one per item
+ * product_id quantities are in the product's unit of measure, menu_item_id and recipe_id quantities
+ * are portions or servings
+ */
+const WASTE_ITEM_SOURCES = ['product_id', 'menu_item_id', 'recipe_id'];
+
+/**
+ * Days the waste report covers when no start date is given
+ */
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * Longest range, in days, one waste report can cover
+ */
+const MAX_REPORT_DAYS = 366;
+
+/**
+ * Validates a waste log
+ * @param {Object} data - { reason, location_id, notes, items: [{ product_id | menu_item_id | recipe_id, quantity }] }
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateWasteLog(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { isValid: false, errors: [{ field: 'body', message: 'Request body is required' }] };
+  }
+
+  if (!WASTE_REASONS.includes(data.reason)) {
+    errors.push({ field: 'reason', message: `Reason must be one of: ${WASTE_REASONS.join(', ')}` });
+  }
+
+  if (data.location_id !== undefined && data.location_id !== null &&
+      (!Number.isInteger(data.location_id) || data.location_id < 1)) {
+    errors.push({ field: 'location_id', message: 'Location ID must be a positive integer' });
+  }
+
+  errors.push(...validateOptionalText(data.notes, 'notes', 'Notes', 1000));
+
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    errors.push({ field: 'items', message: 'Items must be a non-empty array' });
+    return { isValid: false, errors };
+  }
+
+  data.items.forEach((item, index) => {
+    const prefix = `items[${index}]`;
+    if (!item || typeof item !== 'object') {
+      errors.push({ field: prefix, message: 'Each item must be an object' });
+      return;
+    }
+
+    const sources = WASTE_ITEM_SOURCES.filter(source => item[source] !== undefined && item[source] !== null);
+    if (sources.length !== 1) {
+      errors.push({ field: prefix, message: 'Each item must have exactly one of product_id, menu_item_id or recipe_id' });
+    } else if (!Number.isInteger(item[sources[0]]) || item[sources[0]] < 1) {
+      errors.push({ field: `${prefix}.${sources[0]}`, message: 'ID must be a positive integer' });
+    }
+
+    if (!isAmount(item.quantity, 3) || item.quantity <= 0) {
+      errors.push({ field: `${prefix}.quantity`, message: 'Quantity must be a positive number with at most three decimal places' });
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Work out the days a waste report covers
+ * Without an end date the report runs to today, and without a start date it covers the
+ * DEFAULT_REPORT_DAYS days up to the end date
+ * @param {Object} options - { start_date, end_date } as YYYY-MM-DD strings (optional)
+ * @param {Date} today - Today's date
+ * @returns {Object} - { start_date, end_date, errors }
+ */
+function resolveReportRange(options = {}, today = new Date()) {
+  const errors = [];
+  const parse = (value, field) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const date = new Date(`${value}T00:00:00`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime()) || formatDate(date) !== value) {
+      errors.push({ field, message: 'Must be YYYY-MM-DD' });
+      return null;
+    }
+    return date;
+  };
+
+  const end = parse(options.end_date, 'end_date') || new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  let start = parse(options.start_date, 'start_date');
+  if (errors.length > 0) {
+    return { start_date: null, end_date: null, errors };
+  }
+  if (!start) {
+    start = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (DEFAULT_REPORT_DAYS - 1));
+  }
+
+  const days = Math.round((end - start) / 86400000) + 1;
+  if (days < 1) {
+    errors.push({ field: 'start_date', message: 'Must not be after end_date' });
+  } else if (days > MAX_REPORT_DAYS) {
+    errors.push({ field: 'start_date', message: `Report can cover at most ${MAX_REPORT_DAYS} days` });
+  }
+
+  return { start_date: formatDate(start), end_date: formatDate(end), errors };
+}
+
+/**
+ * Total up waste lines by reason, product, day and staff member
+ * Every reason is listed, in WASTE_REASONS order; products and staff are listed by cost, highest first,
+ * and days in date order. A line's cost is its quantity at the cost the product had when it was wasted.
+ * @param {Array} lines - [{ waste_log_id, reason, product_id, product_name, unit_of_measure, quantity,
+ *   unit_cost, day, recorded_by, recorded_by_name }]
+ * @returns {Object} - { total_cost, entry_count, by_reason, by_product, by_day, by_staff }
+ */
+function summarizeWaste(lines) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const groups = {
+    reason: new Map(WASTE_REASONS.map(reason => [reason, { reason, logs: new Set(), cost: 0 }])),
+    product: new Map(),
+    day: new Map(),
+    staff: new Map()
+  };
+  const logs = new Set();
+  let totalCost = 0;
+
+  for (const line of lines) {
+    const quantity = parseFloat(line.quantity);
+    const cost = quantity * (parseFloat(line.unit_cost) || 0);
+    logs.add(line.waste_log_id);
+    totalCost += cost;
+
+    const reason = groups.reason.get(line.reason);
+    if (reason) {
+      reason.logs.add(line.waste_log_id);
+      reason.cost += cost;
+    }
+
+    if (!groups.product.has(line.product_id)) {
+      groups.product.set(line.product_id, {
+        product_id: line.product_id,
+        product_name: line.product_name,
+        unit_of_measure: line.unit_of_measure,
+        quantity: 0,
+        cost: 0
+      });
+    }
+    const product = groups.product.get(line.product_id);
+    product.quantity += quantity;
+    product.cost += cost;
+
+    if (!groups.day.has(line.day)) {
+      groups.day.set(line.day, { date: line.day, logs: new Set(), cost: 0 });
+    }
+    const day = groups.day.get(line.day);
+    day.logs.add(line.waste_log_id);
+    day.cost += cost;
+
+    const staffId = line.recorded_by || null;
+    if (!groups.staff.has(staffId)) {
+      groups.staff.set(staffId, { staff_user_id: staffId, staff_name: line.recorded_by_name || null, logs: new Set(), cost: 0 });
+    }
+    const staff = groups.staff.get(staffId);
+    staff.logs.add(line.waste_log_id);
+    staff.cost += cost;
+  }
+
+  const withCounts = ({ logs: entryLogs, cost, ...group }) => ({ ...group, entry_count: entryLogs.size, cost: round(cost) });
+  const byCost = (a, b) => b.cost - a.cost;
+
+  return {
+    total_cost: round(totalCost),
+    entry_count: logs.size,
+    by_reason: [...groups.reason.values()].map(withCounts),
+    by_product: [...groups.product.values()]
+      .map(product => ({ ...product, quantity: Math.round(product.quantity * 1000) / 1000, cost: round(product.cost) }))
+      .sort(byCost),
+    by_day: [...groups.day.values()].map(withCounts).sort((a, b) => a.date.localeCompare(b.date)),
+    by_staff: [...groups.staff.values()].map(withCounts).sort(byCost)
+  };
+}
+
+module.exports = {
+  validateWasteLog,
+  resolveReportRange,
+  summarizeWaste,
+  formatDate,
+  WASTE_REASONS,
+  WASTE_ITEM_SOURCES,
+  DEFAULT_REPORT_DAYS,
+  MAX_REPORT_DAYS
+};
@@ -3,22 +3,229 @@
 let currentSection = "tables";
 let tables = [];
 let menuItems = [];
+let menuPricing = new Map();
 let orders = [];
 let recipes = [];
 let availableRecipes = [];
 let products = [];
-let inventoryAlerts = { lowStock: [], outOfStock: [] };
+let inventoryAlerts = { lowStock: [], outOfStock: [], expiringSoon: [] };
 let inventoryTransactions = [];
 let recipeLinks = [];
 
+let currentUser = null;
+
+// Show the login dialog whenever the API reports a missing or expired session
+const apiFetch = window.fetch.bind(window);
+window.fetch = async function (...args) {
+  const response = await apiFetch(...args);
+  if (response.status === 401 && !String(args[0]).startsWith("/api/auth/")) {
+    showLoginModal();
+  }
+  return response;
+};
+
 // Initialize app
-document.addEventListener("DOMContentLoaded", function () {
+document.addEventListener("DOMContentLoaded", async function () {
+  await loadCurrentUser();
+  subscribeToEvents();
   loadTables();
+  setInterval(refreshSeatedTimes, 60000);
   loadMenuItems();
   loadOrders();
   loadRecipes();
 });
 
+// Authentication functionality
+async function loadCurrentUser() {
+  try {
+    const response = await fetch("/api/auth/me");
+    if (response.ok) {
+      const data = await response.json();
+      setCurrentUser(data.user);
+    } else {
+      showLoginModal();
+    }
+  } catch (error) {
+    console.error("Error loading current user:", error);
+  }
+}
+
+function setCurrentUser(user) {
+  currentUser = user;
+  document.getElementById("current-user").textContent = user
+    ? `${user.full_name || user.username} (${user.role})`
+    : "";
+  document.getElementById("logout-button").style.display = user
+    ? "inline-block"
+    : "none";
+}
+
+function showLoginModal() {
+  const modalElement = document.getElementById("loginModal");
+  if (modalElement.classList.contains("show")) return;
+  document.getElementById("loginForm").reset();
+  document.getElementById("loginError").textContent = "";
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+}
+
+async function login() {
+  const username = document.getElementById("loginUsername").value;
+  const password = document.getElementById("loginPassword").value;
+
+  try {
+    const response = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json();
+
+    if (response.ok) {
+      setCurrentUser(data.user);
+      bootstrap.Modal.getInstance(document.getElementById("loginModal")).hide();
+      subscribeToEvents();
+      showSection(currentSection);
+    } else {
+      document.getElementById("loginError").textContent =
+        data.details || data.error || "Login failed";
+    }
+  } catch (error) {
+    console.error("Error signing in:", error);
+    document.getElementById("loginError").textContent = error.message;
+  }
+}
+
+async function logout() {
+  try {
+    await fetch("/api/auth/logout", { method: "POST" });
+  } catch (error) {
+    console.error("Error signing out:", error);
+  }
+  setCurrentUser(null);
+  unsubscribeFromEvents();
+  showLoginModal();
+}
+
+// Real-time updates: the server pushes changes over /api/events and only the affected cards are redrawn
+let eventSource = null;
+
+function subscribeToEvents() {
+  if (eventSource || !window.EventSource) return;
+
+  eventSource = new EventSource("/api/events");
+  eventSource.addEventListener("table.status_changed", (event) =>
+    applyTableEvent(JSON.parse(event.data))
+  );
+  eventSource.addEventListener("floor.changed", () => {
+    if (!floorEditMode) loadTables();
+  });
+  eventSource.addEventListener("reservation.changed", () => {
+    if (currentSection === "reservations") loadReservations();
+  });
+  eventSource.addEventListener("waitlist.changed", () => {
+    if (currentSection === "reservations") loadWaitlist();
+  });
+  eventSource.addEventListener("order.created", (event) =>
+    refreshOrderCard(JSON.parse(event.data).order_id)
+  );
+  eventSource.addEventListener("order.status_changed", (event) =>
+    refreshOrderCard(JSON.parse(event.data).order_id)
+  );
+  eventSource.addEventListener("order.item_voided", (event) =>
+    refreshOrderCard(JSON.parse(event.data).order_id)
+  );
+  eventSource.addEventListener("stock.changed", (event) =>
+    applyStockEvent(JSON.parse(event.data))
+  );
+  eventSource.addEventListener("inventory.alert", (event) =>
+    showLiveAlert(JSON.parse(event.data))
+  );
+}
+
+function unsubscribeFromEvents() {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+}
+
+function applyTableEvent(data) {
+  const table = tables.find((t) => t.id === data.table_id);
+  if (!table) return;
+
+  // A new party starts the clock; the exact time comes with the next full reload
+  if (data.check_id !== table.check_id) {
+    table.seated_at = data.check_id ? new Date().toISOString() : null;
+  }
+  table.status = data.status;
+  table.check_id = data.check_id;
+  const element = document.getElementById(`table-card-${table.id}`);
+  if (element) element.outerHTML = renderFloorTable(table);
+}
+
+async function refreshOrderCard(orderId) {
+  try {
+    const response = await fetch(`/api/orders?order_id=${orderId}`);
+    if (!response.ok) return;
+    const [order] = processOrderData(await response.json());
+    if (!order) return;
+
+    const index = orders.findIndex((o) => o.id === order.id);
+    const card = document.getElementById(`order-card-${order.id}`);
+    if (index >= 0) {
+      orders[index] = order;
+      if (card) card.outerHTML = renderOrderCard(order);
+    } else {
+      orders.unshift(order);
+      document
+        .getElementById("orders-list")
+        .insertAdjacentHTML("afterbegin", renderOrderCard(order));
+    }
+  } catch (error) {
+    console.error("Error refreshing order:", error);
+  }
+}
+
+function applyStockEvent(data) {
+  const product = products.find((p) => p.id === data.product_id);
+  if (product) {
+    product.current_quantity = data.current_quantity;
+    product.updated_at = new Date().toISOString();
+    const row = document.getElementById(`product-row-${product.id}`);
+    if (row) row.outerHTML = renderProductRow(product);
+  }
+
+  // Move the product between the low stock and out of stock lists
+  const alertItem = {
+    id: data.product_id,
+    name: data.name,
+    current_quantity: data.current_quantity,
+    low_stock_threshold: data.low_stock_threshold,
+    unit_of_measure: data.unit_of_measure,
+  };
+  inventoryAlerts.lowStock = inventoryAlerts.lowStock.filter((item) => item.id !== data.product_id);
+  inventoryAlerts.outOfStock = inventoryAlerts.outOfStock.filter((item) => item.id !== data.product_id);
+  if (data.current_quantity <= 0) {
+    inventoryAlerts.outOfStock.push(alertItem);
+  } else if (data.current_quantity <= data.low_stock_threshold) {
+    inventoryAlerts.lowStock.push(alertItem);
+  }
+
+  renderInventoryAlerts();
+  updateOutOfStockBanner();
+  updateInventoryDashboard();
+}
+
+function showLiveAlert(alert) {
+  const container = document.getElementById("live-alerts");
+  const element = document.createElement("div");
+  element.className = `alert alert-${alert.alert_type === "out_of_stock" ? "danger" : "warning"} shadow-sm`;
+  element.setAttribute("role", "alert");
+  element.textContent = alert.message;
+  container.appendChild(element);
+  setTimeout(() => element.remove(), 8000);
+}
+
 // Section management
 function showSection(section) {
   document
@@ -29,6 +236,7 @@ function showSection(section) {
 
   // Refresh data when switching sections
   if (section === "tables") loadTables();
+  else if (section === "reservations") loadReservations();
   else if (section === "menu") loadMenuItems();
   else if (section === "orders") loadOrders();
   else if (section === "recipes") loadRecipes();
@@ -36,11 +244,30 @@ function showSection(section) {
   else if (section === "database") checkDatabaseStatus();
 }
 
-// Tables functionality
+// Tables functionality: a floor plan per dining area, colored by status and how long the party has been seated
+let floorAreas = [];
+let serverSections = [];
+let floorServers = [];
+let currentAreaId = null;
+let floorEditMode = false;
+let tableDrag = null;
+const movedTableIds = new Set();
+
+const FLOOR_GRID = 10;
+const SEATED_WARN_MINUTES = 60;
+const SEATED_LONG_MINUTES = 90;
+
 async function loadTables() {
   try {
-    const response = await fetch("/api/tables");
-    tables = await response.json();
+    const [tablesResponse, areasResponse] = await Promise.all([
+      fetch("/api/tables"),
+      fetch("/api/floor/areas"),
+    ]);
+    tables = await tablesResponse.json();
+    floorAreas = await areasResponse.json();
+    if (!floorAreas.some((area) => area.id === currentAreaId)) {
+      currentAreaId = floorAreas.length > 0 ? floorAreas[0].id : null;
+    }
     renderTables();
   } catch (error) {
     console.error("Error loading tables:", error);
@@ -48,2212 +275,5062 @@ async function loadTables() {
 }
 
 function renderTables() {
-  const grid = document.getElementById("tables-grid");
-  grid.innerHTML = tables
+  document.getElementById("floor-area-tabs").innerHTML = floorAreas
     .map(
-      (table) => `
-        <div class="col-md-3 col-sm-6">
-            <div class="table-card ${
-              table.status
-            }" onclick="toggleTableStatus(${table.id})">
-                <div class="table-number">Table ${table.table_number}</div>
-                <div class="capacity">Capacity: ${table.capacity}</div>
-                <div class="status-badge">
-                    <span class="badge bg-${getStatusColor(
-                      table.status
-                    )}">${table.status.toUpperCase()}</span>
-                </div>
-            </div>
-        </div>
+      (area) => `
+        <li class="nav-item">
+            <a class="nav-link ${area.id === currentAreaId ? "active" : ""}" href="#"
+               onclick="event.preventDefault(); showFloorArea(${area.id})">${area.name}</a>
+        </li>
     `
     )
     .join("");
+
+  const plan = document.getElementById("floor-plan");
+  const areaTables = tables.filter((table) => table.area_id === currentAreaId);
+  plan.classList.toggle("editing", floorEditMode);
+  plan.innerHTML =
+    areaTables.length > 0
+      ? areaTables.map(renderFloorTable).join("")
+      : '<p class="text-muted p-3">No tables in this area yet.</p>';
 }
 
-function getStatusColor(status) {
-  const colors = {
-    available: "success",
-    occupied: "danger",
-    reserved: "warning",
-    cleaning: "secondary",
-  };
-  return colors[status] || "secondary";
+function showFloorArea(areaId) {
+  currentAreaId = areaId;
+  renderTables();
 }
 
-async function toggleTableStatus(tableId) {
+function getFloorTableSize(table) {
+  const side = 60 + Math.min(table.capacity, 8) * 5;
+  return table.shape === "rectangle"
+    ? { width: Math.round(side * 1.6), height: Math.round(side * 0.8) }
+    : { width: side, height: side };
+}
+
+function getSeatedMinutes(table) {
+  if (!table.seated_at) return null;
+  return Math.max(0, Math.floor((Date.now() - new Date(table.seated_at).getTime()) / 60000));
+}
+
+function getSeatedClass(minutes) {
+  if (minutes >= SEATED_LONG_MINUTES) return "seated-long";
+  if (minutes >= SEATED_WARN_MINUTES) return "seated-warn";
+  return "";
+}
+
+function renderFloorTable(table) {
+  const size = getFloorTableSize(table);
+  const minutes = getSeatedMinutes(table);
+  const action = table.check_id ? `showCheck(${table.check_id})` : `toggleTableStatus(${table.id})`;
+  return `
+        <div class="floor-table ${table.status}" id="table-card-${table.id}"
+             style="left: ${table.pos_x}px; top: ${table.pos_y}px; width: ${size.width}px; height: ${size.height}px;"
+             title="${table.section_name ? `${table.section_name}${table.server_name ? ` - ${table.server_name}` : ""}` : "No section"}"
+             ${floorEditMode ? `onpointerdown="startTableDrag(event, ${table.id})"` : `onclick="${action}"`}>
+            <div class="floor-table-shape ${table.shape}"
+                 style="transform: rotate(${table.rotation}deg);${table.section_color ? ` outline-color: ${table.section_color};` : ""}"></div>
+            <div class="floor-table-label">
+                <div class="floor-table-number">${table.table_number}</div>
+                <div class="small">${table.capacity} seats</div>
+                ${minutes !== null ? `<div class="seated-time ${getSeatedClass(minutes)}">${minutes} min</div>` : ""}
+                ${table.server_name ? `<div class="floor-table-server">${table.server_name}</div>` : ""}
+                ${
+                  !floorEditMode && !table.check_id
+                    ? `<button class="btn btn-sm btn-outline-dark py-0" onclick="event.stopPropagation(); openCheck(${table.id})">Seat</button>`
+                    : ""
+                }
+            </div>
+        </div>
+    `;
+}
+
+// Keep the time-seated colors current while the floor is on screen
+function refreshSeatedTimes() {
+  if (currentSection === "tables" && !floorEditMode) renderTables();
+}
+
+// Floor plan editor: drag tables, then save every moved table in one request
+function setFloorEditMode(editing) {
+  floorEditMode = editing;
+  movedTableIds.clear();
+  document.getElementById("floor-view-controls").style.display = editing ? "none" : "block";
+  document.getElementById("floor-edit-controls").style.display = editing ? "block" : "none";
+  if (editing) renderTables();
+  else loadTables();
+}
+
+function startTableDrag(event, tableId) {
   const table = tables.find((t) => t.id === tableId);
-  const statuses = ["available", "occupied", "reserved", "cleaning"];
-  const currentIndex = statuses.indexOf(table.status);
-  const newStatus = statuses[(currentIndex + 1) % statuses.length];
+  const element = event.currentTarget;
+  tableDrag = {
+    table,
+    startX: event.clientX,
+    startY: event.clientY,
+    originX: table.pos_x,
+    originY: table.pos_y,
+    moved: false,
+  };
+  element.setPointerCapture(event.pointerId);
+  element.onpointermove = moveTableDrag;
+  element.onpointerup = endTableDrag;
+}
+
+function moveTableDrag(event) {
+  if (!tableDrag) return;
+  const dx = event.clientX - tableDrag.startX;
+  const dy = event.clientY - tableDrag.startY;
+  if (Math.abs(dx) + Math.abs(dy) > 3) tableDrag.moved = true;
+
+  const snap = (value) => Math.max(0, Math.round(value / FLOOR_GRID) * FLOOR_GRID);
+  tableDrag.table.pos_x = snap(tableDrag.originX + dx);
+  tableDrag.table.pos_y = snap(tableDrag.originY + dy);
+  event.currentTarget.style.left = `${tableDrag.table.pos_x}px`;
+  event.currentTarget.style.top = `${tableDrag.table.pos_y}px`;
+}
+
+function endTableDrag(event) {
+  const drag = tableDrag;
+  tableDrag = null;
+  event.currentTarget.onpointermove = null;
+  event.currentTarget.onpointerup = null;
+  if (!drag) return;
+
+  // A click without a drag opens the table's settings
+  if (drag.moved) movedTableIds.add(drag.table.id);
+  else showTableModal(drag.table.id);
+}
+
+async function saveFloorLayout() {
+  const moved = tables.filter((table) => movedTableIds.has(table.id));
+  if (moved.length === 0) {
+    setFloorEditMode(false);
+    return;
+  }
 
   try {
-    const response = await fetch(`/api/tables/${tableId}/status`, {
+    const response = await fetch("/api/tables/layout", {
       method: "PUT",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ status: newStatus }),
+      body: JSON.stringify({
+        tables: moved.map((table) => ({ id: table.id, pos_x: table.pos_x, pos_y: table.pos_y })),
+      }),
     });
+    const data = await response.json();
 
-    if (response.ok) {
-      table.status = newStatus;
-      renderTables();
+    if (!response.ok) {
+      alert("Error saving floor plan: " + describeApiError(data));
+      return;
     }
+
+    setFloorEditMode(false);
   } catch (error) {
-    console.error("Error updating table status:", error);
+    console.error("Error saving floor plan:", error);
+    alert("Error saving floor plan. Please try again.");
   }
 }
 
-// Menu functionality
-async function loadMenuItems() {
+async function addFloorArea() {
+  const name = prompt("Area name (e.g. Patio):");
+  if (!name) return;
+
   try {
-    const response = await fetch("/api/menu");
-    menuItems = await response.json();
-    renderMenuItems();
+    const response = await fetch("/api/floor/areas", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name, sort_order: floorAreas.length }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert("Error adding area: " + describeApiError(data));
+      return;
+    }
+
+    floorAreas.push(data.area);
+    currentAreaId = data.area.id;
+    renderTables();
   } catch (error) {
-    console.error("Error loading menu items:", error);
+    console.error("Error adding area:", error);
+    alert("Error adding area. Please try again.");
   }
 }
 
-function renderMenuItems() {
-  const container = document.getElementById("menu-items");
-  const groupedItems = groupBy(menuItems, "category");
-
-  container.innerHTML = Object.keys(groupedItems)
-    .map(
-      (category) => `
-        <div class="col-12">
-            <h4 class="mt-4 mb-3">${category}</h4>
-            <div class="row">
-                ${groupedItems[category]
-                  .map(
-                    (item) => `
-                    <div class="col-md-6 col-lg-4">
-                        <div class="menu-item-card">
-                            <h5>${item.name}</h5>
-                            <p class="text-muted">${item.description || ""}</p>
-                            <div class="d-flex justify-content-between align-items-center">
-                                <span class="price-tag">$${item.price}</span>
-                                <div>
-                                    <span class="badge bg-${
-                                      item.available ? "success" : "danger"
-                                    }">
-                                        ${
-                                          item.available
-                                            ? "Available"
-                                            : "Unavailable"
-                                        }
-                                    </span>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                `
-                  )
-                  .join("")}
-            </div>
-        </div>
-    `
-    )
+async function showTableModal(tableId) {
+  const table = tables.find((t) => t.id === tableId);
+  await loadServerSections();
+
+  document.getElementById("tableForm").reset();
+  document.getElementById("tableModalTitle").textContent = table ? `Table ${table.table_number}` : "Add Table";
+  document.getElementById("tableId").value = table ? table.id : "";
+  document.getElementById("deleteTableButton").style.display = table ? "block" : "none";
+  document.getElementById("tableArea").innerHTML = floorAreas
+    .map((area) => `<option value="${area.id}">${area.name}</option>`)
     .join("");
-}
+  document.getElementById("tableSection").innerHTML =
+    '<option value="">No section</option>' +
+    serverSections.map((section) => `<option value="${section.id}">${section.name}</option>`).join("");
+
+  if (table) {
+    document.getElementById("tableNumber").value = table.table_number;
+    document.getElementById("tableCapacity").value = table.capacity;
+    document.getElementById("tableShape").value = table.shape;
+    document.getElementById("tableRotation").value = table.rotation;
+    document.getElementById("tableArea").value = table.area_id;
+    document.getElementById("tableSection").value = table.section_id || "";
+  } else {
+    const numbers = tables.map((t) => t.table_number);
+    document.getElementById("tableNumber").value = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+    document.getElementById("tableArea").value = currentAreaId;
+  }
 
-function showAddMenuModal() {
-  document.getElementById("menuForm").reset();
-  new bootstrap.Modal(document.getElementById("menuModal")).show();
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("tableModal")).show();
 }
 
-async function saveMenuItem() {
-  const formData = {
-    name: document.getElementById("itemName").value,
-    description: document.getElementById("itemDescription").value,
-    price: parseFloat(document.getElementById("itemPrice").value),
-    category: document.getElementById("itemCategory").value,
-    available: true,
+async function saveTable() {
+  const tableId = parseInt(document.getElementById("tableId").value);
+  const existing = tables.find((t) => t.id === tableId);
+  const sectionId = document.getElementById("tableSection").value;
+  const body = {
+    table_number: parseInt(document.getElementById("tableNumber").value),
+    capacity: parseInt(document.getElementById("tableCapacity").value),
+    shape: document.getElementById("tableShape").value,
+    rotation: parseInt(document.getElementById("tableRotation").value),
+    area_id: parseInt(document.getElementById("tableArea").value),
+    section_id: sectionId ? parseInt(sectionId) : null,
+    // New tables start in the top left corner; moved tables keep their unsaved position
+    pos_x: existing ? existing.pos_x : FLOOR_GRID * 2,
+    pos_y: existing ? existing.pos_y : FLOOR_GRID * 2,
   };
 
   try {
-    const response = await fetch("/api/menu", {
-      method: "POST",
+    const response = await fetch(existing ? `/api/tables/${tableId}` : "/api/tables", {
+      method: existing ? "PUT" : "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(formData),
+      body: JSON.stringify(body),
     });
+    const data = await response.json();
 
-    if (response.ok) {
-      bootstrap.Modal.getInstance(document.getElementById("menuModal")).hide();
-      loadMenuItems();
+    if (!response.ok) {
+      alert("Error saving table: " + describeApiError(data));
+      return;
+    }
+
+    bootstrap.Modal.getInstance(document.getElementById("tableModal")).hide();
+    if (existing) {
+      Object.assign(existing, data.table, { check_id: existing.check_id, seated_at: existing.seated_at });
+      movedTableIds.delete(existing.id);
+    } else {
+      tables.push(data.table);
     }
+    currentAreaId = data.table.area_id;
+    renderTables();
   } catch (error) {
-    console.error("Error saving menu item:", error);
+    console.error("Error saving table:", error);
+    alert("Error saving table. Please try again.");
   }
 }
 
-// Orders functionality
-async function loadOrders() {
+async function deleteTable() {
+  const tableId = parseInt(document.getElementById("tableId").value);
+  const table = tables.find((t) => t.id === tableId);
+  if (!table || !confirm(`Remove table ${table.table_number} from the floor?`)) return;
+
   try {
-    const response = await fetch("/api/orders");
-    const orderData = await response.json();
-    orders = processOrderData(orderData);
-    renderOrders();
+    const response = await fetch(`/api/tables/${tableId}`, { method: "DELETE" });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert("Error removing table: " + describeApiError(data));
+      return;
+    }
+
+    bootstrap.Modal.getInstance(document.getElementById("tableModal")).hide();
+    tables = tables.filter((t) => t.id !== tableId);
+    movedTableIds.delete(tableId);
+    renderTables();
   } catch (error) {
-    console.error("Error loading orders:", error);
+    console.error("Error removing table:", error);
+    alert("Error removing table. Please try again.");
   }
 }
 
-function processOrderData(data) {
-  const ordersMap = {};
-
-  data.forEach((row) => {
-    if (!ordersMap[row.id]) {
-      ordersMap[row.id] = {
-        id: row.id,
-        table_id: row.table_id,
-        customer_name: row.customer_name,
-        status: row.status,
-        total: row.total,
-        created_at: row.created_at,
-        items: [],
-      };
-    }
-
-    if (row.menu_item_id) {
-      ordersMap[row.id].items.push({
-        name: row.item_name,
-        quantity: row.quantity,
-        price: row.price,
-      });
-    }
-  });
+// Server sections: which server looks after which tables
+async function loadServerSections() {
+  try {
+    const [sectionsResponse, serversResponse] = await Promise.all([
+      fetch("/api/floor/sections"),
+      fetch("/api/floor/servers"),
+    ]);
+    serverSections = await sectionsResponse.json();
+    floorServers = await serversResponse.json();
+  } catch (error) {
+    console.error("Error loading sections:", error);
+  }
+}
 
-  return Object.values(ordersMap);
+async function showSectionsModal() {
+  await loadServerSections();
+  renderServerSections();
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("sectionsModal")).show();
 }
 
-function renderOrders() {
-  const container = document.getElementById("orders-list");
-  container.innerHTML = orders
-    .map(
-      (order) => `
-        <div class="order-card">
-            <div class="d-flex justify-content-between align-items-start mb-3">
-                <div>
-                    <h5>Order #${order.id}</h5>
-                    <p class="mb-1">Table: ${order.table_id} | Customer: ${
-        order.customer_name || "Walk-in"
-      }</p>
-                    <small class="text-muted">${new Date(
-                      order.created_at
-                    ).toLocaleString()}</small>
-                </div>
-                <div>
-                    <span class="order-status status-${
-                      order.status
-                    }">${order.status.toUpperCase()}</span>
-                    <select class="form-select form-select-sm mt-2" onchange="updateOrderStatus(${
-                      order.id
-                    }, this.value)">
-                        <option value="pending" ${
-                          order.status === "pending" ? "selected" : ""
-                        }>Pending</option>
-                        <option value="preparing" ${
-                          order.status === "preparing" ? "selected" : ""
-                        }>Preparing</option>
-                        <option value="ready" ${
-                          order.status === "ready" ? "selected" : ""
-                        }>Ready</option>
-                        <option value="served" ${
-                          order.status === "served" ? "selected" : ""
-                        }>Served</option>
-                        <option value="paid" ${
-                          order.status === "paid" ? "selected" : ""
-                        }>Paid</option>
-                    </select>
-                </div>
+function renderServerSections() {
+  const list = document.getElementById("sections-list");
+  if (serverSections.length === 0) {
+    list.innerHTML = '<p class="text-muted">No sections yet.</p>';
+    return;
+  }
+
+  list.innerHTML = serverSections
+    .map((section) => {
+      const tableNumbers = section.table_ids
+        .map((id) => tables.find((t) => t.id === id)?.table_number)
+        .filter(Boolean)
+        .join(", ");
+      return `
+        <div class="row g-2 align-items-center mb-2">
+            <div class="col-3">
+                <span class="section-swatch" style="background: ${section.color}"></span>
+                <strong>${section.name}</strong>
             </div>
-            <div class="order-items">
-                ${order.items
-                  .map(
-                    (item) => `
-                    <div class="d-flex justify-content-between">
-                        <span>${item.quantity}x ${item.name}</span>
-                        <span>$${(item.price * item.quantity).toFixed(2)}</span>
-                    </div>
-                `
-                  )
-                  .join("")}
+            <div class="col-4">
+                <select class="form-select form-select-sm" onchange="updateServerSection(${section.id}, { staff_user_id: this.value ? parseInt(this.value) : null })">
+                    <option value="">No server</option>
+                    ${floorServers
+                      .map(
+                        (server) =>
+                          `<option value="${server.id}" ${server.id === section.staff_user_id ? "selected" : ""}>${server.full_name || server.username}</option>`
+                      )
+                      .join("")}
+                </select>
             </div>
-            <hr>
-            <div class="d-flex justify-content-between">
-                <strong>Total: $${order.total}</strong>
+            <div class="col-3">
+                <input type="text" class="form-control form-control-sm" value="${tableNumbers}" placeholder="Tables"
+                       onchange="updateSectionTables(${section.id}, this.value)">
+            </div>
+            <div class="col-2">
+                <button class="btn btn-sm btn-outline-danger w-100" onclick="deleteServerSection(${section.id})">Delete</button>
             </div>
         </div>
-    `
-    )
+    `;
+    })
     .join("");
 }
 
-async function updateOrderStatus(orderId, newStatus) {
+async function sendSectionRequest(path, method, body) {
   try {
-    const response = await fetch(`/api/orders/${orderId}/status`, {
-      method: "PUT",
+    const response = await fetch(path, {
+      method,
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ status: newStatus }),
+      body: body ? JSON.stringify(body) : undefined,
     });
+    const data = await response.json();
 
-    if (response.ok) {
-      loadOrders();
+    if (!response.ok) {
+      alert("Error saving section: " + describeApiError(data));
+      return false;
     }
+
+    await loadServerSections();
+    renderServerSections();
+    if (!floorEditMode) loadTables();
+    return true;
   } catch (error) {
-    console.error("Error updating order status:", error);
+    console.error("Error saving section:", error);
+    alert("Error saving section. Please try again.");
+    return false;
   }
 }
 
-// Order creation functionality
-let selectedItems = [];
-
-function showNewOrderModal() {
-  // Reset form and selected items
-  document.getElementById("orderForm").reset();
-  selectedItems = [];
-  updateOrderSummary();
-
-  // Populate tables dropdown
-  populateTablesDropdown();
-
-  // Populate menu items for selection
-  populateMenuSelection();
+function updateServerSection(sectionId, changes) {
+  sendSectionRequest(`/api/floor/sections/${sectionId}`, "PUT", changes);
+}
 
-  // Show modal
-  new bootstrap.Modal(document.getElementById("orderModal")).show();
+function updateSectionTables(sectionId, text) {
+  const tableIds = text.trim() ? parseTableNumbers(text) : [];
+  if (tableIds) updateServerSection(sectionId, { table_ids: tableIds });
 }
 
-function populateTablesDropdown() {
-  const tableSelect = document.getElementById("orderTable");
-  tableSelect.innerHTML = '<option value="">Select Table</option>';
+async function addServerSection() {
+  const tablesText = document.getElementById("newSectionTables").value;
+  const tableIds = tablesText.trim() ? parseTableNumbers(tablesText) : [];
+  if (!tableIds) return;
 
-  tables.forEach((table) => {
-    const option = document.createElement("option");
-    option.value = table.id;
-    option.textContent = `Table ${table.table_number} (${table.status})`;
-    option.disabled = table.status === "cleaning";
-    tableSelect.appendChild(option);
+  const added = await sendSectionRequest("/api/floor/sections", "POST", {
+    name: document.getElementById("newSectionName").value,
+    color: document.getElementById("newSectionColor").value,
+    table_ids: tableIds,
   });
+  if (added) {
+    document.getElementById("newSectionName").value = "";
+    document.getElementById("newSectionTables").value = "";
+  }
 }
 
-function populateMenuSelection() {
-  const container = document.getElementById("menu-selection");
-  const groupedItems = groupBy(
-    menuItems.filter((item) => item.available),
-    "category"
-  );
+function deleteServerSection(sectionId) {
+  const section = serverSections.find((s) => s.id === sectionId);
+  if (!confirm(`Delete ${section.name}? Its tables will have no section.`)) return;
+  sendSectionRequest(`/api/floor/sections/${sectionId}`, "DELETE");
+}
 
-  container.innerHTML = Object.keys(groupedItems)
-    .map(
-      (category) => `
-    <div class="mb-3">
-      <h6 class="text-primary">${category}</h6>
-      <div class="row">
-        ${groupedItems[category]
-          .map(
-            (item) => `
-          <div class="col-md-6 mb-2">
-            <div class="card menu-select-card" onclick="toggleMenuItem(${
-              item.id
-            })">
-              <div class="card-body p-2">
-                <div class="d-flex justify-content-between align-items-center">
-                  <div>
-                    <strong>${item.name}</strong>
-                    <br><small class="text-muted">${
-                      item.description || ""
-                    }</small>
-                  </div>
-                  <div class="text-end">
-                    <div class="price-tag">$${item.price}</div>
-                    <div class="quantity-controls" id="qty-controls-${
-                      item.id
-                    }" style="display: none;">
-                      <button type="button" class="btn btn-sm btn-outline-secondary" onclick="event.stopPropagation(); changeQuantity(${
-                        item.id
-                      }, -1)">-</button>
-                      <span class="mx-2" id="qty-${item.id}">1</span>
-                      <button type="button" class="btn btn-sm btn-outline-secondary" onclick="event.stopPropagation(); changeQuantity(${
-                        item.id
-                      }, 1)">+</button>
-                    </div>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
-        `
-          )
-          .join("")}
-      </div>
-    </div>
-  `
-    )
-    .join("");
+function getStatusColor(status) {
+  const colors = {
+    available: "success",
+    occupied: "danger",
+    reserved: "warning",
+    cleaning: "secondary",
+  };
+  return colors[status] || "secondary";
 }
 
-function toggleMenuItem(itemId) {
-  const item = menuItems.find((m) => m.id === itemId);
-  const existingIndex = selectedItems.findIndex(
-    (s) => s.menu_item_id === itemId
-  );
+async function toggleTableStatus(tableId) {
+  const table = tables.find((t) => t.id === tableId);
+  const statuses = ["available", "occupied", "reserved", "cleaning"];
+  const currentIndex = statuses.indexOf(table.status);
+  const newStatus = statuses[(currentIndex + 1) % statuses.length];
 
-  if (existingIndex >= 0) {
-    // Remove item
-    selectedItems.splice(existingIndex, 1);
-    document.getElementById(`qty-controls-${itemId}`).style.display = "none";
-    document
-      .querySelector(`[onclick="toggleMenuItem(${itemId})"]`)
-      .classList.remove("selected");
-  } else {
-    // Add item
-    selectedItems.push({
-      menu_item_id: itemId,
-      name: item.name,
-      price: item.price,
-      quantity: 1,
+  try {
+    const response = await fetch(`/api/tables/${tableId}/status`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ status: newStatus }),
     });
-    document.getElementById(`qty-controls-${itemId}`).style.display = "block";
-    document
-      .querySelector(`[onclick="toggleMenuItem(${itemId})"]`)
-      .classList.add("selected");
-  }
 
-  updateOrderSummary();
-}
-
-function changeQuantity(itemId, change) {
-  const itemIndex = selectedItems.findIndex((s) => s.menu_item_id === itemId);
-  if (itemIndex >= 0) {
-    selectedItems[itemIndex].quantity += change;
-    if (selectedItems[itemIndex].quantity <= 0) {
-      selectedItems.splice(itemIndex, 1);
-      document.getElementById(`qty-controls-${itemId}`).style.display = "none";
-      document
-        .querySelector(`[onclick="toggleMenuItem(${itemId})"]`)
-        .classList.remove("selected");
-    } else {
-      document.getElementById(`qty-${itemId}`).textContent =
-        selectedItems[itemIndex].quantity;
+    if (response.ok) {
+      table.status = newStatus;
+      renderTables();
     }
-    updateOrderSummary();
-  }
-}
-
-function updateOrderSummary() {
-  const summaryContainer = document.getElementById("selected-items");
-  const totalElement = document.getElementById("order-total");
-  const saveBtn = document.getElementById("saveOrderBtn");
-
-  if (selectedItems.length === 0) {
-    summaryContainer.innerHTML = '<p class="text-muted">No items selected</p>';
-    totalElement.textContent = "0.00";
-    saveBtn.disabled = true;
-  } else {
-    summaryContainer.innerHTML = selectedItems
-      .map(
-        (item) => `
-      <div class="d-flex justify-content-between align-items-center mb-2">
-        <span>${item.quantity}x ${item.name}</span>
-        <span>$${(item.price * item.quantity).toFixed(2)}</span>
-      </div>
-    `
-      )
-      .join("");
-
-    const total = selectedItems.reduce(
-      (sum, item) => sum + item.price * item.quantity,
-      0
-    );
-    totalElement.textContent = total.toFixed(2);
-    saveBtn.disabled = false;
+  } catch (error) {
+    console.error("Error updating table status:", error);
   }
 }
 
-async function saveOrder() {
-  const tableId = document.getElementById("orderTable").value;
-  const customerName = document.getElementById("customerName").value;
-
-  if (!tableId || selectedItems.length === 0) {
-    alert("Please select a table and at least one menu item.");
-    return;
-  }
+// Checks functionality
+let currentCheck = null;
 
-  const orderData = {
-    table_id: parseInt(tableId),
-    customer_name: customerName || null,
-    items: selectedItems,
-  };
+async function openCheck(tableId) {
+  const guests = prompt("Number of guests:", "2");
+  if (guests === null) return;
 
   try {
-    const response = await fetch("/api/orders", {
+    const response = await fetch("/api/checks", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(orderData),
+      body: JSON.stringify({
+        table_id: tableId,
+        guest_count: parseInt(guests) || null,
+      }),
     });
+    const data = await response.json();
 
     if (response.ok) {
-      bootstrap.Modal.getInstance(document.getElementById("orderModal")).hide();
-      loadOrders();
-      // Update table status to occupied if it was available
-      const table = tables.find((t) => t.id === parseInt(tableId));
-      if (table && table.status === "available") {
-        await fetch(`/api/tables/${tableId}/status`, {
-          method: "PUT",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ status: "occupied" }),
-        });
-        loadTables();
-      }
+      loadTables();
+      showCheck(data.check.id);
     } else {
-      alert("Error creating order. Please try again.");
+      alert("Error opening check: " + describeApiError(data));
     }
   } catch (error) {
-    console.error("Error saving order:", error);
-    alert("Error creating order. Please try again.");
+    console.error("Error opening check:", error);
+    alert("Error opening check. Please try again.");
   }
 }
 
-// Recipe functionality
-async function loadRecipes() {
+async function showCheck(checkId) {
   try {
-    const response = await fetch("/api/recipes");
-    const data = await response.json();
-    recipes = data.recipes || data;
-    renderRecipes();
+    const response = await fetch(`/api/checks/${checkId}`);
+    if (!response.ok) {
+      alert("Check not found.");
+      return;
+    }
 
-    // Also load available recipes for menu creation
-    const availableResponse = await fetch("/api/menu/available-recipes");
-    availableRecipes = await availableResponse.json();
+    currentCheck = await response.json();
+    renderCheck(currentCheck);
+    bootstrap.Modal.getOrCreateInstance(
+      document.getElementById("checkModal")
+    ).show();
   } catch (error) {
-    console.error("Error loading recipes:", error);
+    console.error("Error loading check:", error);
   }
 }
 
-function renderRecipes() {
-  const container = document.getElementById("recipes-list");
-  const groupedRecipes = groupBy(recipes, "category");
+function renderCheck(check) {
+  document.getElementById(
+    "checkModalTitle"
+  ).textContent = `Check #${check.id} - Table ${check.table_number}`;
 
-  container.innerHTML = Object.keys(groupedRecipes)
+  const orders = check.orders
     .map(
-      (category) => `
-    <div class="col-12">
-      <h4 class="mt-4 mb-3">${
-        category.charAt(0).toUpperCase() + category.slice(1)
-      }</h4>
-      <div class="row">
-        ${groupedRecipes[category]
-          .map(
-            (recipe) => `
-          <div class="col-md-6 col-lg-4">
-            <div class="recipe-card">
-              <div class="d-flex justify-content-between align-items-start mb-2">
-                <h5>${recipe.name}</h5>
-                <span class="badge bg-${
-                  recipe.already_in_menu ? "success" : "secondary"
-                }">
-                  ${recipe.already_in_menu ? "In Menu" : "Available"}
-                </span>
-              </div>
-              <p class="text-muted">${recipe.description || ""}</p>
-              <div class="recipe-meta mb-3">
-                <small class="text-info">
-                  ⏱️ ${recipe.prep_time || 0}min prep, ${
-              recipe.cook_time || 0
-            }min cook
-                  <br>👥 Serves ${recipe.servings || 1}
-                  ${recipe.difficulty ? `<br>⭐ ${recipe.difficulty}` : ""}
-                </small>
-              </div>
-              <div class="d-flex gap-2">
-                <button class="btn btn-sm btn-outline-primary" onclick="viewRecipe(${
-                  recipe.id
-                })">
-                  View Details
-                </button>
-                ${
-                  !recipe.already_in_menu
-                    ? `
-                  <button class="btn btn-sm btn-primary" onclick="createMenuFromRecipe(${recipe.id})">
-                    Add to Menu
-                  </button>
-                `
-                    : ""
-                }
-              </div>
-            </div>
+      (order) => `
+        <div class="border rounded p-2 mb-2">
+          <div class="d-flex justify-content-between">
+            <strong>Order #${order.id}</strong>
+            <span class="order-status status-${order.status}">${order.status.toUpperCase()}</span>
           </div>
-        `
-          )
-          .join("")}
-      </div>
-    </div>
-  `
+          ${order.items
+            .map(
+              (item) => `
+                <div class="form-check">
+                  <input class="form-check-input check-split-item" type="checkbox" value="${item.id}" id="check-item-${item.id}">
+                  <label class="form-check-label" for="check-item-${item.id}">
+                    ${item.quantity}x ${item.name} - $${(item.price * item.quantity).toFixed(2)}
+                  </label>
+                </div>
+              `
+            )
+            .join("")}
+        </div>
+      `
     )
     .join("");
+
+  const evenSplit = check.even_split
+    ? `<p class="mb-0">Split ${check.split_guests} ways: ${check.even_split
+        .map((share) => `$${share.toFixed(2)}`)
+        .join(", ")}</p>`
+    : "";
+
+  document.getElementById("check-details").innerHTML = `
+    <p class="mb-2">Guests: ${check.guest_count || "-"} &middot; Opened ${new Date(
+      check.opened_at
+    ).toLocaleTimeString()}</p>
+    ${orders || '<p class="text-muted">No orders yet</p>'}
+    <div class="d-flex justify-content-between mt-3">
+      <strong>Total: $${check.total.toFixed(2)}</strong>
+    </div>
+    ${evenSplit}
+  `;
 }
 
-function showAddMenuModal() {
-  document.getElementById("menuForm").reset();
-  populateRecipeDropdown();
-  new bootstrap.Modal(document.getElementById("menuModal")).show();
+/**
+ * Build a readable message from an API error response, including validation details
+ */
+function describeApiError(data) {
+  if (Array.isArray(data.details) && data.details.length > 0) {
+    return `${data.error}: ${data.details
+      .map((detail) => {
+        if (detail.message) return detail.message;
+        if (detail.purchase_order_id) return `purchase order ${detail.purchase_order_id} is ${detail.status}`;
+        if (detail.reservation_id) return `reservation for ${detail.customer_name}`;
+        if (detail.recipe_id) return `${detail.recipe_name} uses ${detail.unit}`;
+        return `order ${detail.order_id} is ${detail.status}`;
+      })
+      .join("; ")}`;
+  }
+  return data.error || "Unknown error";
 }
 
-function populateRecipeDropdown() {
-  const recipeSelect = document.getElementById("itemRecipe");
-  recipeSelect.innerHTML =
-    '<option value="">Create standalone menu item</option>';
+async function postCheckAction(path, body, successMessage) {
+  try {
+    const response = await fetch(`/api/checks/${currentCheck.id}/${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
 
-  availableRecipes.forEach((recipe) => {
-    if (!recipe.already_in_menu) {
-      const option = document.createElement("option");
-      option.value = recipe.id;
-      option.textContent = `${recipe.name} (${recipe.category})`;
-      recipeSelect.appendChild(option);
+    if (!response.ok) {
+      alert(describeApiError(data));
+      return null;
     }
-  });
+
+    console.log(successMessage);
+    loadTables();
+    return data;
+  } catch (error) {
+    console.error(`Error on check ${path}:`, error);
+    alert("Error updating check. Please try again.");
+    return null;
+  }
 }
 
-function onRecipeSelect() {
-  const recipeId = document.getElementById("itemRecipe").value;
-  const recipeInfo = document.getElementById("recipe-info");
-  const recipeDetails = document.getElementById("recipe-details");
+function findTableByNumber(tableNumber) {
+  return tables.find((t) => t.table_number === parseInt(tableNumber));
+}
 
-  if (recipeId) {
-    const recipe = availableRecipes.find((r) => r.id == recipeId);
-    if (recipe) {
-      // Auto-fill form with recipe data
-      document.getElementById("itemName").value = recipe.name;
-      document.getElementById("itemDescription").value =
-        recipe.description || "";
-      document.getElementById("itemCategory").value =
-        recipe.category === "food" ? "Main Course" : "Beverages";
+async function transferCurrentCheck() {
+  const tableNumber = prompt("Move this check to table number:");
+  if (tableNumber === null) return;
 
-      // Show recipe info
-      recipeDetails.innerHTML = `
-        <strong>${recipe.name}</strong><br>
-        <small>⏱️ ${recipe.prep_time || 0}min prep, ${
-        recipe.cook_time || 0
-      }min cook | 👥 Serves ${recipe.servings || 1}</small>
-      `;
-      recipeInfo.style.display = "block";
-    }
-  } else {
-    recipeInfo.style.display = "none";
-    // Clear auto-filled data
-    document.getElementById("itemName").value = "";
-    document.getElementById("itemDescription").value = "";
+  const table = findTableByNumber(tableNumber);
+  if (!table) {
+    alert(`Table ${tableNumber} does not exist.`);
+    return;
+  }
+
+  const data = await postCheckAction(
+    "transfer",
+    { table_id: table.id },
+    "Check transferred"
+  );
+  if (data) {
+    currentCheck = data.check;
+    renderCheck(currentCheck);
   }
 }
 
-async function saveMenuItem() {
-  const formData = {
-    recipe_id: document.getElementById("itemRecipe").value || null,
-    name: document.getElementById("itemName").value,
-    description: document.getElementById("itemDescription").value,
-    price: parseFloat(document.getElementById("itemPrice").value),
-    category: document.getElementById("itemCategory").value,
-    cost_per_serving:
-      parseFloat(document.getElementById("itemCost").value) || 0,
-    profit_margin:
-      parseFloat(document.getElementById("itemMargin").value) / 100 || 0.3,
-    available: true,
+async function mergeIntoCurrentCheck() {
+  const tableNumber = prompt("Merge the check from table number:");
+  if (tableNumber === null) return;
+
+  const table = findTableByNumber(tableNumber);
+  if (!table || !table.check_id) {
+    alert(`Table ${tableNumber} has no open check.`);
+    return;
+  }
+
+  const data = await postCheckAction(
+    "merge",
+    { check_id: table.check_id },
+    "Checks merged"
+  );
+  if (data) {
+    currentCheck = data.check;
+    renderCheck(currentCheck);
+  }
+}
+
+async function splitCurrentCheckEvenly() {
+  const guests = prompt("Split evenly between how many guests?", "2");
+  if (guests === null) return;
+
+  const data = await postCheckAction(
+    "split",
+    { guests: parseInt(guests) },
+    "Check split evenly"
+  );
+  if (data) {
+    currentCheck = data.check;
+    renderCheck(currentCheck);
+  }
+}
+
+async function splitCurrentCheckByItems() {
+  const items = Array.from(
+    document.querySelectorAll(".check-split-item:checked")
+  ).map((input) => ({ order_item_id: parseInt(input.value) }));
+
+  if (items.length === 0) {
+    alert("Select the items to move onto a new check.");
+    return;
+  }
+
+  const data = await postCheckAction("split", { items }, "Check split by items");
+  if (data) {
+    alert(`Selected items moved to check #${data.split.id}.`);
+    currentCheck = data.original;
+    renderCheck(currentCheck);
+  }
+}
+
+async function closeCurrentCheck() {
+  const data = await postCheckAction("close", {}, "Check closed");
+  if (data) {
+    bootstrap.Modal.getInstance(document.getElementById("checkModal")).hide();
+    currentCheck = null;
+  }
+}
+
+// Reservations and waitlist functionality
+let reservations = [];
+let waitlist = [];
+
+/**
+ * Format a date for a date or datetime-local input in the browser's time zone
+ */
+function toLocalInputValue(date) {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Turn "4, 6" into table IDs; returns null if a table number does not exist
+ */
+function parseTableNumbers(text) {
+  const numbers = text.split(",").map((value) => value.trim()).filter(Boolean);
+  const ids = numbers.map((number) => findTableByNumber(number)?.id);
+  if (ids.some((id) => !id)) {
+    alert(`Unknown table number in "${text}".`);
+    return null;
+  }
+  return ids;
+}
+
+async function loadReservations() {
+  const dateInput = document.getElementById("reservation-date");
+  if (!dateInput.value) dateInput.value = toLocalInputValue(new Date()).slice(0, 10);
+
+  try {
+    const response = await fetch(`/api/reservations?date=${dateInput.value}`);
+    reservations = await response.json();
+    renderReservations();
+  } catch (error) {
+    console.error("Error loading reservations:", error);
+  }
+  loadWaitlist();
+}
+
+function renderReservations() {
+  const list = document.getElementById("reservations-list");
+  if (reservations.length === 0) {
+    list.innerHTML = '<p class="text-muted">No reservations for this day</p>';
+    return;
+  }
+
+  list.innerHTML = reservations
+    .map(
+      (reservation) => `
+        <div class="card mb-2 reservation-${reservation.status}">
+          <div class="card-body py-2">
+            <div class="d-flex justify-content-between">
+              <div>
+                <strong>${new Date(reservation.reserved_for).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}</strong>
+                &middot; ${reservation.customer_name} &middot; ${reservation.party_size} guests
+                &middot; Table ${reservation.tables.map((table) => table.table_number).join(" + ")}
+                ${reservation.no_show_count > 0 ? `<span class="badge bg-danger ms-1">${reservation.no_show_count} no-show${reservation.no_show_count > 1 ? "s" : ""}</span>` : ""}
+              </div>
+              <span class="badge bg-secondary">${reservation.status.replace("_", "-").toUpperCase()}</span>
+            </div>
+            ${reservation.phone ? `<div class="small text-muted">${reservation.phone}</div>` : ""}
+            ${reservation.notes ? `<div class="small">${reservation.notes}</div>` : ""}
+            ${
+              reservation.status === "booked"
+                ? `<div class="mt-2">
+                    <button class="btn btn-sm btn-success" onclick="seatReservation(${reservation.id})">Seat</button>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="showReservationModal(${reservation.id})">Edit</button>
+                    <button class="btn btn-sm btn-outline-warning" onclick="markReservationNoShow(${reservation.id})">No-show</button>
+                    <button class="btn btn-sm btn-outline-danger" onclick="cancelReservation(${reservation.id})">Cancel</button>
+                  </div>`
+                : ""
+            }
+          </div>
+        </div>
+      `
+    )
+    .join("");
+}
+
+function showReservationModal(reservationId) {
+  const reservation = reservations.find((r) => r.id === reservationId);
+  document.getElementById("reservationForm").reset();
+  document.getElementById("reservationModalTitle").textContent = reservation ? "Change Reservation" : "Book Table";
+  document.getElementById("reservationId").value = reservation ? reservation.id : "";
+
+  if (reservation) {
+    document.getElementById("reservationName").value = reservation.customer_name;
+    document.getElementById("reservationPhone").value = reservation.phone || "";
+    document.getElementById("reservationEmail").value = reservation.email || "";
+    document.getElementById("reservationPartySize").value = reservation.party_size;
+    document.getElementById("reservationTime").value = toLocalInputValue(reservation.reserved_for);
+    document.getElementById("reservationTables").value = reservation.tables.map((table) => table.table_number).join(", ");
+    document.getElementById("reservationNotes").value = reservation.notes || "";
+  }
+
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("reservationModal")).show();
+}
+
+async function saveReservation() {
+  const reservationId = document.getElementById("reservationId").value;
+  const time = document.getElementById("reservationTime").value;
+  const tablesText = document.getElementById("reservationTables").value;
+  const tableIds = tablesText.trim() ? parseTableNumbers(tablesText) : null;
+  if (tablesText.trim() && !tableIds) return;
+
+  const body = {
+    customer_name: document.getElementById("reservationName").value,
+    phone: document.getElementById("reservationPhone").value || null,
+    email: document.getElementById("reservationEmail").value || null,
+    party_size: parseInt(document.getElementById("reservationPartySize").value),
+    reserved_for: time ? new Date(time).toISOString() : null,
+    notes: document.getElementById("reservationNotes").value || null,
   };
+  if (tableIds) body.table_ids = tableIds;
 
   try {
-    const response = await fetch("/api/menu", {
-      method: "POST",
+    const response = await fetch(reservationId ? `/api/reservations/${reservationId}` : "/api/reservations", {
+      method: reservationId ? "PUT" : "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(formData),
+      body: JSON.stringify(body),
     });
+    const data = await response.json();
 
-    if (response.ok) {
-      bootstrap.Modal.getInstance(document.getElementById("menuModal")).hide();
-      loadMenuItems();
-      loadRecipes(); // Refresh to update "already_in_menu" status
-    } else {
-      const error = await response.json();
-      alert("Error saving menu item: " + error.error);
+    if (!response.ok) {
+      alert("Error saving reservation: " + describeApiError(data));
+      return;
     }
+
+    bootstrap.Modal.getInstance(document.getElementById("reservationModal")).hide();
+    document.getElementById("reservation-date").value = toLocalInputValue(data.reservation.reserved_for).slice(0, 10);
+    loadReservations();
   } catch (error) {
-    console.error("Error saving menu item:", error);
-    alert("Error saving menu item. Please try again.");
+    console.error("Error saving reservation:", error);
+    alert("Error saving reservation. Please try again.");
   }
 }
 
-async function createMenuFromRecipe(recipeId) {
-  const recipe = availableRecipes.find((r) => r.id === recipeId);
-  if (!recipe) return;
+async function postReservationAction(path, body) {
+  try {
+    const response = await fetch(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
 
-  // Pre-fill modal with recipe data
-  document.getElementById("itemRecipe").value = recipeId;
-  document.getElementById("itemName").value = recipe.name;
-  document.getElementById("itemDescription").value = recipe.description || "";
-  document.getElementById("itemCategory").value =
-    recipe.category === "food" ? "Main Course" : "Beverages";
+    if (!response.ok) {
+      alert(describeApiError(data));
+      return null;
+    }
 
-  // Show recipe info
-  const recipeInfo = document.getElementById("recipe-info");
-  const recipeDetails = document.getElementById("recipe-details");
-  recipeDetails.innerHTML = `
-    <strong>${recipe.name}</strong><br>
-    <small>⏱️ ${recipe.prep_time || 0}min prep, ${
-    recipe.cook_time || 0
-  }min cook | 👥 Serves ${recipe.servings || 1}</small>
-  `;
-  recipeInfo.style.display = "block";
+    loadReservations();
+    loadTables();
+    return data;
+  } catch (error) {
+    console.error(`Error on ${path}:`, error);
+    alert("Error updating reservation. Please try again.");
+    return null;
+  }
+}
 
-  new bootstrap.Modal(document.getElementById("menuModal")).show();
+async function seatReservation(reservationId) {
+  const data = await postReservationAction(`/api/reservations/${reservationId}/seat`, {});
+  if (data) showCheck(data.reservation.check_id);
 }
 
-async function viewRecipe(recipeId) {
+function cancelReservation(reservationId) {
+  const reason = prompt("Reason for cancelling (optional):");
+  if (reason === null) return;
+  postReservationAction(`/api/reservations/${reservationId}/cancel`, { reason: reason || null });
+}
+
+function markReservationNoShow(reservationId) {
+  if (!confirm("Mark this party as a no-show and release its tables?")) return;
+  postReservationAction(`/api/reservations/${reservationId}/no-show`, {});
+}
+
+async function loadWaitlist() {
   try {
-    const response = await fetch(`/api/recipes/${recipeId}`);
-    const data = await response.json();
-    const recipe = data.recipe;
+    const response = await fetch("/api/waitlist");
+    waitlist = await response.json();
+    renderWaitlist();
+  } catch (error) {
+    console.error("Error loading waitlist:", error);
+  }
+}
 
-    // Create a modal to show recipe details
-    const modalHtml = `
-      <div class="modal fade" id="recipeViewModal" tabindex="-1">
-        <div class="modal-dialog modal-lg">
-          <div class="modal-content">
-            <div class="modal-header">
-              <h5 class="modal-title">${recipe.name}</h5>
-              <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
-            </div>
-            <div class="modal-body">
-              <p class="lead">${recipe.description || ""}</p>
-              <div class="row mb-4">
-                <div class="col-md-3">
-                  <strong>Prep Time:</strong><br>${
-                    recipe.prep_time || 0
-                  } minutes
-                </div>
-                <div class="col-md-3">
-                  <strong>Cook Time:</strong><br>${
-                    recipe.cook_time || 0
-                  } minutes
-                </div>
-                <div class="col-md-3">
-                  <strong>Servings:</strong><br>${recipe.servings || 1}
-                </div>
-                <div class="col-md-3">
-                  <strong>Difficulty:</strong><br>${
-                    recipe.difficulty || "Not specified"
-                  }
-                </div>
-              </div>
-              
-              ${
-                recipe.ingredients && recipe.ingredients.length > 0
-                  ? `
-                <h6>Ingredients:</h6>
-                <ul class="list-group mb-4">
-                  ${recipe.ingredients
-                    .map(
-                      (ing) => `
-                    <li class="list-group-item">
-                      ${ing.quantity ? ing.quantity + " " : ""}${
-                        ing.unit ? ing.unit + " " : ""
-                      }${ing.name}
-                      ${
-                        ing.notes
-                          ? `<small class="text-muted"> - ${ing.notes}</small>`
-                          : ""
-                      }
-                    </li>
-                  `
-                    )
-                    .join("")}
-                </ul>
-              `
-                  : ""
-              }
-              
-              ${
-                recipe.steps && recipe.steps.length > 0
-                  ? `
-                <h6>Instructions:</h6>
-                <ol class="list-group list-group-numbered">
-                  ${recipe.steps
-                    .map(
-                      (step) => `
-                    <li class="list-group-item">
-                      ${step.instruction}
-                      ${
-                        step.timing
-                          ? `<br><small class="text-info">⏱️ ${step.timing} minutes</small>`
-                          : ""
-                      }
-                    </li>
-                  `
-                    )
-                    .join("")}
-                </ol>
-              `
-                  : ""
-              }
-            </div>
-            <div class="modal-footer">
-              <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
-            </div>
+function renderWaitlist() {
+  const container = document.getElementById("waitlist");
+  if (waitlist.length === 0) {
+    container.innerHTML = '<p class="text-muted mb-0">Nobody is waiting</p>';
+    return;
+  }
+
+  container.innerHTML = waitlist
+    .map(
+      (entry) => `
+        <div class="border-bottom pb-2 mb-2 ${entry.waited_minutes > entry.quoted_wait_minutes ? "waitlist-overdue" : ""}">
+          <div class="d-flex justify-content-between">
+            <strong>${entry.position}. ${entry.customer_name} (${entry.party_size})</strong>
+            <span class="small">${entry.waited_minutes} / ${entry.quoted_wait_minutes} min</span>
+          </div>
+          ${entry.notes ? `<div class="small">${entry.notes}</div>` : ""}
+          <div class="mt-1">
+            <button class="btn btn-sm btn-success" onclick="seatWaitlistParty(${entry.id})">Seat</button>
+            ${
+              entry.status === "waiting"
+                ? `<button class="btn btn-sm btn-outline-primary" onclick="notifyWaitlistParty(${entry.id})">Notify</button>`
+                : '<span class="badge bg-info">Notified</span>'
+            }
+            <button class="btn btn-sm btn-outline-danger" onclick="removeFromWaitlist(${entry.id})">Left</button>
           </div>
         </div>
-      </div>
-    `;
-
-    // Remove existing modal if any
-    const existingModal = document.getElementById("recipeViewModal");
-    if (existingModal) existingModal.remove();
+      `
+    )
+    .join("");
+}
 
-    // Add modal to page
-    document.body.insertAdjacentHTML("beforeend", modalHtml);
+async function addToWaitlist() {
+  const name = prompt("Party name:");
+  if (!name) return;
+  const partySize = parseInt(prompt("Number of guests:", "2"));
+  if (!partySize) return;
 
-    // Show modal
-    new bootstrap.Modal(document.getElementById("recipeViewModal")).show();
-  } catch (error) {
-    console.error("Error loading recipe details:", error);
-    alert("Error loading recipe details.");
-  }
+  const data = await postReservationAction("/api/waitlist", {
+    customer_name: name,
+    party_size: partySize,
+  });
+  if (data) alert(`Quoted wait: ${data.entry.quoted_wait_minutes} minutes (${data.estimate.parties_ahead} parties ahead).`);
 }
 
-// Recipe creation functionality
-function showAddRecipeModal() {
-  document.getElementById("recipeForm").reset();
+async function seatWaitlistParty(entryId) {
+  const tablesText = prompt("Seat at table number(s), e.g. 4 or 4, 6:");
+  if (!tablesText) return;
+  const tableIds = parseTableNumbers(tablesText);
+  if (!tableIds) return;
 
-  // Reset dynamic containers to have one empty row each
-  document.getElementById("ingredients-container").innerHTML = `
-    <div class="ingredient-row mb-2">
-      <div class="row">
-        <div class="col-md-4">
-          <input type="text" class="form-control" placeholder="Ingredient name" name="ingredient-name" />
-        </div>
-        <div class="col-md-3">
-          <input type="number" step="0.01" class="form-control" placeholder="Quantity" name="ingredient-quantity" />
-        </div>
-        <div class="col-md-3">
-          <input type="text" class="form-control" placeholder="Unit" name="ingredient-unit" />
-        </div>
-        <div class="col-md-2">
-          <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeIngredient(this)">×</button>
-        </div>
-      </div>
-      <div class="row mt-1">
-        <div class="col-md-10">
-          <input type="text" class="form-control form-control-sm" placeholder="Notes (optional)" name="ingredient-notes" />
-        </div>
-      </div>
-    </div>
-  `;
+  const data = await postReservationAction(`/api/waitlist/${entryId}/seat`, { table_ids: tableIds });
+  if (data) showCheck(data.entry.check_id);
+}
 
-  document.getElementById("steps-container").innerHTML = `
-    <div class="step-row mb-2">
-      <div class="row">
-        <div class="col-md-10">
-          <textarea class="form-control" placeholder="Step instruction" name="step-instruction" rows="2"></textarea>
-        </div>
-        <div class="col-md-2">
-          <input type="number" class="form-control mb-1" placeholder="Time (min)" name="step-timing" />
-          <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeStep(this)">×</button>
-        </div>
-      </div>
-    </div>
-  `;
+function notifyWaitlistParty(entryId) {
+  postReservationAction(`/api/waitlist/${entryId}/notify`, {});
+}
 
-  new bootstrap.Modal(document.getElementById("recipeModal")).show();
+function removeFromWaitlist(entryId) {
+  if (!confirm("Remove this party from the waitlist?")) return;
+  postReservationAction(`/api/waitlist/${entryId}/leave`, {});
 }
 
-function addIngredient() {
-  const container = document.getElementById("ingredients-container");
-  const newIngredient = document.createElement("div");
-  newIngredient.className = "ingredient-row mb-2";
-  newIngredient.innerHTML = `
-    <div class="row">
-      <div class="col-md-4">
-        <input type="text" class="form-control" placeholder="Ingredient name" name="ingredient-name" />
-      </div>
-      <div class="col-md-3">
-        <input type="number" step="0.01" class="form-control" placeholder="Quantity" name="ingredient-quantity" />
-      </div>
-      <div class="col-md-3">
-        <input type="text" class="form-control" placeholder="Unit" name="ingredient-unit" />
-      </div>
-      <div class="col-md-2">
-        <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeIngredient(this)">×</button>
-      </div>
-    </div>
-    <div class="row mt-1">
-      <div class="col-md-10">
-        <input type="text" class="form-control form-control-sm" placeholder="Notes (optional)" name="ingredient-notes" />
-      </div>
-    </div>
-  `;
-  container.appendChild(newIngredient);
+// Menu functionality
+async function loadMenuItems() {
+  try {
+    const response = await fetch("/api/menu");
+    menuItems = await response.json();
+    await loadMenuPricing();
+    renderMenuItems();
+  } catch (error) {
+    console.error("Error loading menu items:", error);
+  }
 }
 
-function removeIngredient(button) {
-  const container = document.getElementById("ingredients-container");
-  if (container.children.length > 1) {
-    button.closest(".ingredient-row").remove();
+// Food cost and suggested prices are only shown to roles allowed to see costs
+async function loadMenuPricing() {
+  try {
+    const response = await fetch("/api/menu/pricing");
+    const pricing = response.ok ? await response.json() : { items: [] };
+    menuPricing = new Map(pricing.items.map((item) => [item.id, item]));
+  } catch (error) {
+    console.error("Error loading menu pricing:", error);
+    menuPricing = new Map();
   }
 }
 
-function addStep() {
-  const container = document.getElementById("steps-container");
-  const newStep = document.createElement("div");
-  newStep.className = "step-row mb-2";
-  newStep.innerHTML = `
-    <div class="row">
-      <div class="col-md-10">
-        <textarea class="form-control" placeholder="Step instruction" name="step-instruction" rows="2"></textarea>
-      </div>
-      <div class="col-md-2">
-        <input type="number" class="form-control mb-1" placeholder="Time (min)" name="step-timing" />
-        <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeStep(this)">×</button>
-      </div>
+function renderMenuPricing(item) {
+  const pricing = menuPricing.get(item.id);
+  if (!pricing || pricing.food_cost_percent === null) {
+    return "";
+  }
+  return `
+    <div class="small text-muted mt-2">
+      Food cost ${pricing.food_cost_percent}% (target ${pricing.target_food_cost_percent}%)
+      ${
+        pricing.below_target
+          ? `<span class="badge bg-warning text-dark ms-1" title="Suggested price $${pricing.suggested_price.toFixed(2)}">Below target</span>`
+          : ""
+      }
     </div>
   `;
-  container.appendChild(newStep);
 }
 
-function removeStep(button) {
-  const container = document.getElementById("steps-container");
-  if (container.children.length > 1) {
-    button.closest(".step-row").remove();
-  }
+function renderMenuItems() {
+  const container = document.getElementById("menu-items");
+  const groupedItems = groupBy(menuItems, "category");
+
+  container.innerHTML = Object.keys(groupedItems)
+    .map(
+      (category) => `
+        <div class="col-12">
+            <h4 class="mt-4 mb-3">${category}</h4>
+            <div class="row">
+                ${groupedItems[category]
+                  .map(
+                    (item) => `
+                    <div class="col-md-6 col-lg-4">
+                        <div class="menu-item-card">
+                            <h5>${item.name}</h5>
+                            <p class="text-muted">${item.description || ""}</p>
+                            <div class="d-flex justify-content-between align-items-center">
+                                <span class="price-tag">$${item.price}</span>
+                                <div>
+                                    <span class="badge bg-${
+                                      item.available ? "success" : "danger"
+                                    }">
+                                        ${
+                                          item.available
+                                            ? "Available"
+                                            : "Unavailable"
+                                        }
+                                    </span>
+                                </div>
+                            </div>
+                            ${renderMenuPricing(item)}
+                        </div>
+                    </div>
+                `
+                  )
+                  .join("")}
+            </div>
+        </div>
+    `
+    )
+    .join("");
 }
 
-async function saveRecipe() {
-  // Collect form data
-  const recipeData = {
-    name: document.getElementById("recipeName").value,
-    description: document.getElementById("recipeDescription").value,
-    category: document.getElementById("recipeCategory").value,
-    prep_time:
-      parseInt(document.getElementById("recipePrepTime").value) || null,
-    cook_time:
-      parseInt(document.getElementById("recipeCookTime").value) || null,
-    servings: parseInt(document.getElementById("recipeServings").value) || null,
-    difficulty: document.getElementById("recipeDifficulty").value || null,
-    ingredients: [],
-    steps: [],
-  };
+function showAddMenuModal() {
+  document.getElementById("menuForm").reset();
+  new bootstrap.Modal(document.getElementById("menuModal")).show();
+}
 
-  // Collect ingredients
-  const ingredientRows = document.querySelectorAll(".ingredient-row");
-  ingredientRows.forEach((row, index) => {
-    const name = row.querySelector('input[name="ingredient-name"]').value;
-    const quantity = row.querySelector(
-      'input[name="ingredient-quantity"]'
-    ).value;
-    const unit = row.querySelector('input[name="ingredient-unit"]').value;
-    const notes = row.querySelector('input[name="ingredient-notes"]').value;
+async function saveMenuItem() {
+  const formData = {
+    name: document.getElementById("itemName").value,
+    description: document.getElementById("itemDescription").value,
+    price: parseFloat(document.getElementById("itemPrice").value),
+    category: document.getElementById("itemCategory").value,
+    available: true,
+  };
 
-    if (name.trim()) {
-      recipeData.ingredients.push({
-        name: name.trim(),
-        quantity: quantity ? parseFloat(quantity) : null,
-        unit: unit.trim() || null,
-        notes: notes.trim() || null,
-        order_index: index + 1,
-      });
+  try {
+    const response = await fetch("/api/menu", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(formData),
+    });
+
+    if (response.ok) {
+      bootstrap.Modal.getInstance(document.getElementById("menuModal")).hide();
+      loadMenuItems();
     }
-  });
+  } catch (error) {
+    console.error("Error saving menu item:", error);
+  }
+}
 
-  // Collect steps
-  const stepRows = document.querySelectorAll(".step-row");
-  stepRows.forEach((row, index) => {
-    const instruction = row.querySelector(
-      'textarea[name="step-instruction"]'
-    ).value;
-    const timing = row.querySelector('input[name="step-timing"]').value;
+// Orders functionality
+async function loadOrders() {
+  try {
+    const response = await fetch("/api/orders");
+    const orderData = await response.json();
+    orders = processOrderData(orderData);
+    renderOrders();
+  } catch (error) {
+    console.error("Error loading orders:", error);
+  }
+}
 
-    if (instruction.trim()) {
-      recipeData.steps.push({
-        step_number: index + 1,
-        instruction: instruction.trim(),
-        timing: timing ? parseInt(timing) : null,
+function processOrderData(data) {
+  const ordersMap = {};
+
+  data.forEach((row) => {
+    if (!ordersMap[row.id]) {
+      ordersMap[row.id] = {
+        id: row.id,
+        table_id: row.table_id,
+        customer_name: row.customer_name,
+        status: row.status,
+        subtotal: parseFloat(row.subtotal),
+        discount_total: parseFloat(row.discount_total),
+        service_charge_total: parseFloat(row.service_charge_total),
+        tax_total: parseFloat(row.tax_total),
+        total: row.total,
+        created_at: row.created_at,
+        items: [],
+      };
+    }
+
+    if (row.menu_item_id) {
+      ordersMap[row.id].items.push({
+        id: row.order_item_id,
+        name: row.item_name,
+        quantity: row.quantity,
+        price: row.price,
+        modifiers: row.modifiers,
+        notes: row.notes,
+        voided: Boolean(row.voided_at),
       });
     }
   });
 
-  // Validate required fields
-  if (!recipeData.name || !recipeData.category) {
-    alert("Please fill in the recipe name and category.");
+  return Object.values(ordersMap);
+}
+
+function renderOrders() {
+  const container = document.getElementById("orders-list");
+  container.innerHTML = orders.map(renderOrderCard).join("");
+}
+
+function renderOrderCard(order) {
+  return `
+        <div class="order-card" id="order-card-${order.id}">
+            <div class="d-flex justify-content-between align-items-start mb-3">
+                <div>
+                    <h5>Order #${order.id}</h5>
+                    <p class="mb-1">Table: ${order.table_id} | Customer: ${
+        order.customer_name || "Walk-in"
+      }</p>
+                    <small class="text-muted">${new Date(
+                      order.created_at
+                    ).toLocaleString()}</small>
+                </div>
+                <div>
+                    <span class="order-status status-${
+                      order.status
+                    }">${order.status.toUpperCase()}</span>
+                    <select class="form-select form-select-sm mt-2" onchange="updateOrderStatus(${
+                      order.id
+                    }, this.value)" ${ORDER_TRANSITIONS[order.status].length === 0 ? "disabled" : ""}>
+                        ${[order.status, ...ORDER_TRANSITIONS[order.status]]
+                          .map(
+                            (status) =>
+                              `<option value="${status}" ${
+                                status === order.status ? "selected" : ""
+                              }>${status.charAt(0).toUpperCase() + status.slice(1)}</option>`
+                          )
+                          .join("")}
+                    </select>
+                </div>
+            </div>
+            <div class="order-items">
+                ${order.items
+                  .map(
+                    (item) => `
+                    <div class="d-flex justify-content-between ${item.voided ? "item-voided" : ""}">
+                        <span>${item.quantity}x ${item.name}</span>
+                        <span>$${(item.price * item.quantity).toFixed(2)}${
+                          !item.voided && VOIDABLE_STATUSES.includes(order.status)
+                            ? ` <button class="btn btn-link btn-sm p-0 text-danger" title="Take off the order" onclick="voidOrderItem(${
+                                order.id
+                              }, ${item.id}, '${order.status === "served" ? "void" : "cancel"}')">&times;</button>`
+                            : ""
+                        }</span>
+                    </div>
+                    ${
+                      item.modifiers || item.notes
+                        ? `<div class="small text-muted ms-3">${[item.modifiers, item.notes]
+                            .filter(Boolean)
+                            .join(" | ")}</div>`
+                        : ""
+                    }
+                `
+                  )
+                  .join("")}
+            </div>
+            <hr>
+            ${renderOrderBreakdown(order)}
+            <div class="d-flex justify-content-between align-items-center">
+                <strong>Total: $${order.total}</strong>
+                <div>
+                    <button class="btn btn-sm btn-outline-secondary" onclick="applyOrderDiscount(${
+                      order.id
+                    })">Discount</button>
+                    <button class="btn btn-sm btn-outline-success" onclick="showPayments(${
+                      order.id
+                    })">Payments</button>
+                    <button class="btn btn-sm btn-outline-dark" onclick="toggleOrderHistory(${
+                      order.id
+                    })">History</button>
+                    ${
+                      VOIDABLE_STATUSES.includes(order.status)
+                        ? `<button class="btn btn-sm btn-outline-danger" onclick="voidOrder(${order.id}, '${
+                            order.status === "served" ? "void" : "cancel"
+                          }')">${order.status === "served" ? "Void" : "Cancel"}</button>`
+                        : ""
+                    }
+                </div>
+            </div>
+            <div id="order-history-${order.id}" class="order-history small mt-2" style="display: none"></div>
+        </div>
+    `;
+}
+
+// Statuses an order can move to, matching the server's state machine (models/Order.js).
+// Cancelling and voiding need a reason, so they have their own button instead.
+const ORDER_TRANSITIONS = {
+  pending: ["preparing", "ready"],
+  preparing: ["ready"],
+  ready: ["preparing", "served"],
+  served: ["paid"],
+  paid: [],
+  cancelled: [],
+  voided: [],
+};
+
+// Orders (and their items) that can still be cancelled, or voided once served
+const VOIDABLE_STATUSES = ["pending", "preparing", "ready", "served"];
+
+async function toggleOrderHistory(orderId) {
+  const container = document.getElementById(`order-history-${orderId}`);
+  if (container.style.display !== "none") {
+    container.style.display = "none";
     return;
   }
 
-  if (recipeData.ingredients.length === 0) {
-    alert("Please add at least one ingredient.");
-    return;
+  try {
+    const response = await fetch(`/api/orders/${orderId}/history`);
+    const data = await response.json();
+    if (!response.ok) {
+      alert("Error loading order history: " + describeApiError(data));
+      return;
+    }
+
+    container.innerHTML = data.history
+      .map(
+        (entry) => `
+          <div class="d-flex justify-content-between">
+            <span>${entry.from_status ? `${entry.from_status} → ` : "Placed as "}${entry.to_status}</span>
+            <span class="text-muted">${entry.changed_by_name || entry.changed_by_username || ""} ${new Date(
+          entry.changed_at
+        ).toLocaleTimeString()}</span>
+          </div>
+        `
+      )
+      .join("");
+    container.style.display = "block";
+  } catch (error) {
+    console.error("Error loading order history:", error);
   }
+}
+
+// Ask why food is coming off the bill and whether it was thrown away
+function promptVoidDetails(action) {
+  const reason = prompt(`Reason to ${action}:`);
+  if (!reason) return null;
+  const wasted = confirm(
+    "Was the food made? OK records its ingredients as waste, Cancel returns them to stock."
+  );
+  return { reason, disposition: wasted ? "waste" : "return" };
+}
+
+async function postOrderVoid(path, action) {
+  const body = promptVoidDetails(action);
+  if (!body) return;
 
   try {
-    const response = await fetch("/api/recipes", {
+    const response = await fetch(`/api/orders/${path}`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(recipeData),
+      body: JSON.stringify(body),
     });
-
-    if (response.ok) {
-      bootstrap.Modal.getInstance(
-        document.getElementById("recipeModal")
-      ).hide();
-      loadRecipes(); // Refresh the recipes list
-      alert("Recipe saved successfully!");
-    } else {
-      const error = await response.json();
-      alert("Error saving recipe: " + (error.error || "Unknown error"));
+    if (!response.ok) {
+      alert(`Could not ${action}: ` + describeApiError(await response.json()));
     }
+    loadOrders();
   } catch (error) {
-    console.error("Error saving recipe:", error);
-    alert("Error saving recipe. Please try again.");
+    console.error(`Error trying to ${action}:`, error);
   }
 }
 
-// Database Management Functions
-function logOperation(message, type = "info") {
-  const logContainer = document.getElementById("operation-log");
-  const timestamp = new Date().toLocaleTimeString();
-  const logEntry = document.createElement("div");
-  logEntry.className = `log-entry log-${type}`;
-  logEntry.innerHTML = `<span class="timestamp">[${timestamp}]</span> ${message}`;
-  logContainer.appendChild(logEntry);
-  logContainer.scrollTop = logContainer.scrollHeight;
+function voidOrder(orderId, action) {
+  postOrderVoid(`${orderId}/${action}`, `${action} order #${orderId}`);
 }
 
-async function checkDatabaseStatus() {
+function voidOrderItem(orderId, orderItemId, action) {
+  postOrderVoid(`${orderId}/items/${orderItemId}/${action}`, `${action} this item`);
+}
+
+async function updateOrderStatus(orderId, newStatus) {
   try {
-    logOperation("Checking database status...", "info");
-    const response = await fetch("/api/database/status");
-    const data = await response.json();
+    const response = await fetch(`/api/orders/${orderId}/status`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ status: newStatus }),
+    });
 
-    if (data.success) {
-      displayDatabaseStatus(data);
-      logOperation("Database status check completed successfully", "success");
+    if (response.ok) {
+      loadOrders();
     } else {
-      logOperation("Database status check failed: " + data.error, "error");
+      const data = await response.json();
+      if (response.status === 409 && data.balance_due !== undefined) {
+        alert(
+          `${data.error}. Balance due: $${data.balance_due.toFixed(2)}`
+        );
+        showPayments(orderId);
+      } else {
+        alert("Error updating order status: " + describeApiError(data));
+      }
+      loadOrders();
     }
   } catch (error) {
-    console.error("Error checking database status:", error);
-    logOperation("Error checking database status: " + error.message, "error");
+    console.error("Error updating order status:", error);
   }
 }
 
-function displayDatabaseStatus(data) {
-  const statusContainer = document.getElementById("database-status");
+function renderOrderBreakdown(order) {
+  const lines = [
+    ["Subtotal", order.subtotal],
+    ["Discounts", -order.discount_total],
+    ["Service charge", order.service_charge_total],
+    ["Tax", order.tax_total],
+  ].filter(([, amount], index) => index === 0 || amount);
 
-  let html = `
-    <div class="alert alert-success">
-      <strong>✅ Database Status:</strong> ${data.database_status}
-      <br><small>Last checked: ${new Date(
-        data.timestamp
-      ).toLocaleString()}</small>
-    </div>
-  `;
+  return lines
+    .map(
+      ([label, amount]) => `
+        <div class="d-flex justify-content-between text-muted small">
+            <span>${label}</span>
+            <span>${amount < 0 ? "-" : ""}$${Math.abs(amount).toFixed(2)}</span>
+        </div>
+      `
+    )
+    .join("");
+}
 
-  data.checks.forEach((check) => {
-    html += `<div class="mb-3">`;
-    html += `<h6>${check.check}</h6>`;
+// Discounts and comps
+async function applyOrderDiscount(orderId) {
+  try {
+    const response = await fetch("/api/pricing/discounts");
+    const discounts = (await response.json()).filter(
+      (discount) =>
+        discount.active && discount.scope === "order" && !discount.starts_at
+    );
 
-    if (check.check === "Data counts") {
-      html += '<div class="row">';
-      Object.entries(check.details).forEach(([table, count]) => {
-        html += `
-          <div class="col-md-4 mb-2">
-            <div class="card card-body p-2">
-              <strong>${table}:</strong> ${count}
-            </div>
-          </div>
-        `;
-      });
-      html += "</div>";
-    } else if (check.check === "Tables exist") {
-      html += `<div class="badge-container">`;
-      check.details.forEach((table) => {
-        html += `<span class="badge bg-primary me-1">${table}</span>`;
-      });
-      html += `</div>`;
-    } else if (check.check === "Foreign key constraints") {
-      html += `<small class="text-muted">${check.details.length} foreign key constraints active</small>`;
+    const choice = prompt(
+      `Enter a discount number, "comp" to comp the order, or "custom":\n${discounts
+        .map((discount) => `${discount.id}: ${discount.name}`)
+        .join("\n")}`
+    );
+    if (!choice) return;
+
+    let body;
+    if (choice === "comp" || choice === "custom") {
+      const reason = prompt("Reason (required):");
+      if (!reason) return;
+      body = { reason };
+      if (choice === "comp") {
+        body.comp = true;
+      } else {
+        const amount = prompt("Discount, e.g. 15% or 5.00:");
+        if (!amount) return;
+        body.discount_type = amount.endsWith("%") ? "percentage" : "fixed";
+        body.value = parseFloat(amount);
+      }
+    } else {
+      body = { discount_id: parseInt(choice) };
     }
 
-    html += `</div>`;
-  });
+    const applyResponse = await fetch(`/api/orders/${orderId}/pricing/discounts`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await applyResponse.json();
 
-  statusContainer.innerHTML = html;
+    if (!applyResponse.ok) {
+      alert("Error applying discount: " + describeApiError(data));
+      return;
+    }
+    loadOrders();
+  } catch (error) {
+    console.error("Error applying discount:", error);
+    alert("Error applying discount. Please try again.");
+  }
 }
 
-async function resetDatabase() {
-  if (
-    !confirm(
-      "⚠️ WARNING: This will completely reset your database and delete ALL existing data!\n\nAre you sure you want to continue?"
-    )
-  ) {
-    return;
-  }
+// Payments functionality
+let currentPaymentOrderId = null;
+
+async function showPayments(orderId) {
+  currentPaymentOrderId = orderId;
+  document.getElementById("paymentForm").reset();
+  updatePaymentFields();
+  await loadPayments();
+  bootstrap.Modal.getOrCreateInstance(
+    document.getElementById("paymentModal")
+  ).show();
+}
 
-  if (
-    !confirm(
-      "This action cannot be undone. Please confirm you want to reset the database."
-    )
-  ) {
-    return;
+async function loadPayments() {
+  try {
+    const response = await fetch(
+      `/api/orders/${currentPaymentOrderId}/payments`
+    );
+    if (!response.ok) {
+      alert("Order not found.");
+      return;
+    }
+
+    renderPayments(await response.json());
+  } catch (error) {
+    console.error("Error loading payments:", error);
   }
+}
 
-  try {
-    logOperation("Starting database reset...", "warning");
-    const response = await fetch("/api/database/reset", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-    });
+function renderPayments(summary) {
+  document.getElementById(
+    "paymentModalTitle"
+  ).textContent = `Payments - Order #${summary.order_id}`;
+  document.getElementById("paymentAmount").value =
+    summary.balance_due > 0 ? summary.balance_due.toFixed(2) : "";
+
+  const payments = summary.payments
+    .map((payment) => {
+      const tender =
+        payment.tender_type === "card"
+          ? `Card ${payment.card_brand || ""} ****${payment.card_last4 || ""}`
+          : payment.tender_type === "gift_card"
+          ? "Gift Card"
+          : "Cash";
+      const actions =
+        payment.status === "completed" ||
+        payment.status === "partially_refunded"
+          ? `
+            ${
+              payment.status === "completed"
+                ? `<button class="btn btn-sm btn-outline-danger" onclick="voidPayment(${payment.id})">Void</button>`
+                : ""
+            }
+            <button class="btn btn-sm btn-outline-warning" onclick="refundPayment(${payment.id})">Refund</button>
+          `
+          : "";
+
+      return `
+        <div class="d-flex justify-content-between align-items-center border rounded p-2 mb-2">
+          <div>
+            <strong>${tender}</strong> $${payment.amount.toFixed(2)}
+            ${payment.tip_amount > 0 ? `+ $${payment.tip_amount.toFixed(2)} tip` : ""}
+            ${payment.change_due > 0 ? `<small class="text-muted">(change $${payment.change_due.toFixed(2)})</small>` : ""}
+            ${payment.refunded_amount > 0 ? `<small class="text-danger">refunded $${payment.refunded_amount.toFixed(2)}</small>` : ""}
+            <span class="badge bg-secondary ms-1">${payment.status.replace("_", " ")}</span>
+          </div>
+          <div>${actions}</div>
+        </div>
+      `;
+    })
+    .join("");
 
+  document.getElementById("payment-details").innerHTML = `
+    <div class="d-flex justify-content-between mb-3">
+      <span>Total: $${summary.order_total.toFixed(2)}</span>
+      <span>Paid: $${summary.amount_paid.toFixed(2)}</span>
+      <span>Tips: $${summary.tips.toFixed(2)}</span>
+      <strong>Balance due: $${summary.balance_due.toFixed(2)}</strong>
+    </div>
+    ${payments || '<p class="text-muted">No payments yet</p>'}
+  `;
+}
+
+function updatePaymentFields() {
+  const tender = document.getElementById("paymentTender").value;
+  document.querySelectorAll(".payment-field").forEach((field) => {
+    field.classList.toggle("d-none", field.dataset.tender !== tender);
+  });
+}
+
+async function postPaymentAction(path, body) {
+  try {
+    const response = await fetch(
+      `/api/orders/${currentPaymentOrderId}/payments${path}`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      }
+    );
     const data = await response.json();
 
-    if (data.success) {
-      logOperation("✅ Database reset completed successfully!", "success");
-      logOperation(
-        "Database has been recreated with fresh sample data",
-        "info"
-      );
+    if (!response.ok) {
+      alert(describeApiError(data));
+      return null;
+    }
 
-      // Refresh all data
-      loadTables();
-      loadMenuItems();
-      loadOrders();
-      loadRecipes();
-      checkDatabaseStatus();
+    await loadPayments();
+    return data;
+  } catch (error) {
+    console.error(`Error on payment ${path}:`, error);
+    alert("Error updating payment. Please try again.");
+    return null;
+  }
+}
 
-      alert(
-        "Database reset completed successfully! All sections have been refreshed with sample data."
-      );
+async function submitPayment() {
+  const tenderType = document.getElementById("paymentTender").value;
+  const amount = document.getElementById("paymentAmount").value;
+  const tip = document.getElementById("paymentTip").value;
+  const body = { tender_type: tenderType };
+
+  if (amount) body.amount = parseFloat(amount);
+  if (tip) body.tip_amount = parseFloat(tip);
+  if (tenderType === "cash") {
+    const tendered = document.getElementById("paymentTendered").value;
+    if (tendered) body.amount_tendered = parseFloat(tendered);
+  } else if (tenderType === "card") {
+    body.card_token = document.getElementById("paymentCardToken").value;
+  } else {
+    body.gift_card_code = document.getElementById("paymentGiftCard").value;
+  }
+
+  const data = await postPaymentAction("", body);
+  if (data && data.payment.change_due > 0) {
+    alert(`Change due: $${data.payment.change_due.toFixed(2)}`);
+  }
+}
+
+async function voidPayment(paymentId) {
+  const reason = prompt("Reason for voiding this payment:");
+  if (!reason) return;
+
+  await postPaymentAction(`/${paymentId}/void`, { reason });
+}
+
+async function refundPayment(paymentId) {
+  const amount = prompt("Refund amount (leave blank to refund everything):");
+  if (amount === null) return;
+  const reason = prompt("Reason for the refund:");
+  if (!reason) return;
+
+  const body = { reason };
+  if (amount) body.amount = parseFloat(amount);
+  await postPaymentAction(`/${paymentId}/refund`, body);
+}
+
+// Order creation functionality
+let selectedItems = [];
+
+function showNewOrderModal() {
+  // Reset form and selected items
+  document.getElementById("orderForm").reset();
+  selectedItems = [];
+  updateOrderSummary();
+
+  // Populate tables dropdown
+  populateTablesDropdown();
+
+  // Populate menu items for selection
+  populateMenuSelection();
+
+  // Show modal
+  new bootstrap.Modal(document.getElementById("orderModal")).show();
+}
+
+function populateTablesDropdown() {
+  const tableSelect = document.getElementById("orderTable");
+  tableSelect.innerHTML = '<option value="">Select Table</option>';
+
+  tables.forEach((table) => {
+    const option = document.createElement("option");
+    option.value = table.id;
+    option.textContent = `Table ${table.table_number} (${table.status})`;
+    option.disabled = table.status === "cleaning";
+    tableSelect.appendChild(option);
+  });
+}
+
+function populateMenuSelection() {
+  const container = document.getElementById("menu-selection");
+  const groupedItems = groupBy(
+    menuItems.filter((item) => item.available),
+    "category"
+  );
+
+  container.innerHTML = Object.keys(groupedItems)
+    .map(
+      (category) => `
+    <div class="mb-3">
+      <h6 class="text-primary">${category}</h6>
+      <div class="row">
+        ${groupedItems[category]
+          .map(
+            (item) => `
+          <div class="col-md-6 mb-2">
+            <div class="card menu-select-card" onclick="toggleMenuItem(${
+              item.id
+            })">
+              <div class="card-body p-2">
+                <div class="d-flex justify-content-between align-items-center">
+                  <div>
+                    <strong>${item.name}</strong>
+                    <br><small class="text-muted">${
+                      item.description || ""
+                    }</small>
+                  </div>
+                  <div class="text-end">
+                    <div class="price-tag">$${item.price}</div>
+                    <div class="quantity-controls" id="qty-controls-${
+                      item.id
+                    }" style="display: none;">
+                      <button type="button" class="btn btn-sm btn-outline-secondary" onclick="event.stopPropagation(); changeQuantity(${
+                        item.id
+                      }, -1)">-</button>
+                      <span class="mx-2" id="qty-${item.id}">1</span>
+                      <button type="button" class="btn btn-sm btn-outline-secondary" onclick="event.stopPropagation(); changeQuantity(${
+                        item.id
+                      }, 1)">+</button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+    </div>
+  `
+    )
+    .join("");
+}
+
+function toggleMenuItem(itemId) {
+  const item = menuItems.find((m) => m.id === itemId);
+  const existingIndex = selectedItems.findIndex(
+    (s) => s.menu_item_id === itemId
+  );
+
+  if (existingIndex >= 0) {
+    // Remove item
+    selectedItems.splice(existingIndex, 1);
+    document.getElementById(`qty-controls-${itemId}`).style.display = "none";
+    document
+      .querySelector(`[onclick="toggleMenuItem(${itemId})"]`)
+      .classList.remove("selected");
+  } else {
+    // Add item
+    selectedItems.push({
+      menu_item_id: itemId,
+      name: item.name,
+      price: item.price,
+      quantity: 1,
+      modifiers: [],
+      notes: "",
+    });
+    document.getElementById(`qty-controls-${itemId}`).style.display = "block";
+    document
+      .querySelector(`[onclick="toggleMenuItem(${itemId})"]`)
+      .classList.add("selected");
+  }
+
+  updateOrderSummary();
+}
+
+function changeQuantity(itemId, change) {
+  const itemIndex = selectedItems.findIndex((s) => s.menu_item_id === itemId);
+  if (itemIndex >= 0) {
+    selectedItems[itemIndex].quantity += change;
+    if (selectedItems[itemIndex].quantity <= 0) {
+      selectedItems.splice(itemIndex, 1);
+      document.getElementById(`qty-controls-${itemId}`).style.display = "none";
+      document
+        .querySelector(`[onclick="toggleMenuItem(${itemId})"]`)
+        .classList.remove("selected");
     } else {
-      logOperation("❌ Database reset failed: " + data.error, "error");
-      alert("Database reset failed: " + data.error);
+      document.getElementById(`qty-${itemId}`).textContent =
+        selectedItems[itemIndex].quantity;
     }
-  } catch (error) {
-    console.error("Error resetting database:", error);
-    logOperation("❌ Error resetting database: " + error.message, "error");
-    alert("Error resetting database: " + error.message);
+    updateOrderSummary();
   }
 }
 
-async function seedDatabase() {
-  if (
-    !confirm(
-      "This will clear existing data and add sample recipes, menu items, and tables.\n\nContinue?"
+/**
+ * Price of one selected item including its modifiers' price deltas
+ */
+function selectedItemUnitPrice(item) {
+  const menuItem = menuItems.find((m) => m.id === item.menu_item_id);
+  const modifiers = (menuItem.modifier_groups || []).flatMap((g) => g.modifiers);
+  return item.modifiers.reduce((sum, modifierId) => {
+    const modifier = modifiers.find((m) => m.id === modifierId);
+    return sum + (modifier ? parseFloat(modifier.price_delta) : 0);
+  }, parseFloat(item.price));
+}
+
+function renderModifierChoices(item) {
+  const menuItem = menuItems.find((m) => m.id === item.menu_item_id);
+  return (menuItem.modifier_groups || [])
+    .map(
+      (group) => `
+      <div class="small ms-3">
+        <span class="text-muted">${group.name}${
+        group.is_required ? " (required)" : ""
+      }${group.max_selections ? ` - up to ${group.max_selections}` : ""}:</span>
+        ${group.modifiers
+          .filter((modifier) => modifier.available)
+          .map((modifier) => {
+            const delta = parseFloat(modifier.price_delta);
+            return `
+          <label class="ms-2">
+            <input type="checkbox" ${
+              item.modifiers.includes(modifier.id) ? "checked" : ""
+            } onchange="toggleModifier(${item.menu_item_id}, ${group.id}, ${
+              modifier.id
+            }, this.checked)">
+            ${modifier.name}${
+              delta ? ` (${delta > 0 ? "+" : "-"}$${Math.abs(delta).toFixed(2)})` : ""
+            }
+          </label>`;
+          })
+          .join("")}
+      </div>
+    `
     )
-  ) {
-    return;
+    .join("");
+}
+
+function toggleModifier(itemId, groupId, modifierId, checked) {
+  const item = selectedItems.find((s) => s.menu_item_id === itemId);
+  const group = menuItems
+    .find((m) => m.id === itemId)
+    .modifier_groups.find((g) => g.id === groupId);
+
+  item.modifiers = item.modifiers.filter((id) => id !== modifierId);
+  if (checked) {
+    // Single-choice groups swap the previous choice for the new one
+    if (group.max_selections === 1) {
+      const groupModifierIds = group.modifiers.map((m) => m.id);
+      item.modifiers = item.modifiers.filter((id) => !groupModifierIds.includes(id));
+    }
+    item.modifiers.push(modifierId);
   }
 
-  try {
-    logOperation("Seeding database with sample data...", "info");
-    const response = await fetch("/api/database/seed", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-    });
+  updateOrderSummary();
+}
 
-    const data = await response.json();
+function setItemNotes(itemId, notes) {
+  selectedItems.find((s) => s.menu_item_id === itemId).notes = notes;
+}
 
-    if (data.success) {
-      logOperation("✅ Database seeded successfully!", "success");
+function updateOrderSummary() {
+  const summaryContainer = document.getElementById("selected-items");
+  const totalElement = document.getElementById("order-total");
+  const saveBtn = document.getElementById("saveOrderBtn");
+
+  if (selectedItems.length === 0) {
+    summaryContainer.innerHTML = '<p class="text-muted">No items selected</p>';
+    totalElement.textContent = "0.00";
+    saveBtn.disabled = true;
+  } else {
+    summaryContainer.innerHTML = selectedItems
+      .map(
+        (item) => `
+      <div class="mb-2">
+        <div class="d-flex justify-content-between align-items-center">
+          <span>${item.quantity}x ${item.name}</span>
+          <span>$${(selectedItemUnitPrice(item) * item.quantity).toFixed(2)}</span>
+        </div>
+        ${renderModifierChoices(item)}
+        <input type="text" class="form-control form-control-sm mt-1" placeholder="Notes (e.g. well done)"
+          value="${item.notes}" onchange="setItemNotes(${item.menu_item_id}, this.value)">
+      </div>
+    `
+      )
+      .join("");
+
+    const total = selectedItems.reduce(
+      (sum, item) => sum + selectedItemUnitPrice(item) * item.quantity,
+      0
+    );
+    totalElement.textContent = total.toFixed(2);
+    saveBtn.disabled = false;
+  }
+}
+
+async function saveOrder() {
+  const tableId = document.getElementById("orderTable").value;
+  const customerName = document.getElementById("customerName").value;
+
+  if (!tableId || selectedItems.length === 0) {
+    alert("Please select a table and at least one menu item.");
+    return;
+  }
+
+  const orderData = {
+    table_id: parseInt(tableId),
+    customer_name: customerName || null,
+    items: selectedItems.map((item) => ({
+      menu_item_id: item.menu_item_id,
+      quantity: item.quantity,
+      modifiers: item.modifiers,
+      notes: item.notes || null,
+    })),
+  };
+
+  try {
+    const response = await fetch("/api/orders", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(orderData),
+    });
+
+    if (response.ok) {
+      bootstrap.Modal.getInstance(document.getElementById("orderModal")).hide();
+      loadOrders();
+      // The order joins the table's open check, which marks the table occupied
+      loadTables();
+    } else {
+      const data = await response.json();
+      alert("Error creating order: " + describeApiError(data));
+    }
+  } catch (error) {
+    console.error("Error saving order:", error);
+    alert("Error creating order. Please try again.");
+  }
+}
+
+// Recipe functionality
+async function loadRecipes() {
+  try {
+    const response = await fetch("/api/recipes");
+    const data = await response.json();
+    recipes = data.recipes || data;
+    renderRecipes();
+
+    // Also load available recipes for menu creation
+    const availableResponse = await fetch("/api/menu/available-recipes");
+    availableRecipes = await availableResponse.json();
+  } catch (error) {
+    console.error("Error loading recipes:", error);
+  }
+}
+
+function renderRecipes() {
+  const container = document.getElementById("recipes-list");
+  const groupedRecipes = groupBy(recipes, "category");
+
+  container.innerHTML = Object.keys(groupedRecipes)
+    .map(
+      (category) => `
+    <div class="col-12">
+      <h4 class="mt-4 mb-3">${
+        category.charAt(0).toUpperCase() + category.slice(1)
+      }</h4>
+      <div class="row">
+        ${groupedRecipes[category]
+          .map(
+            (recipe) => `
+          <div class="col-md-6 col-lg-4">
+            <div class="recipe-card">
+              <div class="d-flex justify-content-between align-items-start mb-2">
+                <h5>${recipe.name}</h5>
+                <span class="badge bg-${
+                  recipe.already_in_menu ? "success" : "secondary"
+                }">
+                  ${recipe.already_in_menu ? "In Menu" : "Available"}
+                </span>
+              </div>
+              <p class="text-muted">${recipe.description || ""}</p>
+              <div class="recipe-meta mb-3">
+                <small class="text-info">
+                  ⏱️ ${recipe.prep_time || 0}min prep, ${
+              recipe.cook_time || 0
+            }min cook
+                  <br>👥 Serves ${recipe.servings || 1}
+                  ${recipe.difficulty ? `<br>⭐ ${recipe.difficulty}` : ""}
+                </small>
+              </div>
+              <div class="d-flex gap-2">
+                <button class="btn btn-sm btn-outline-primary" onclick="viewRecipe(${
+                  recipe.id
+                })">
+                  View Details
+                </button>
+                ${
+                  !recipe.already_in_menu
+                    ? `
+                  <button class="btn btn-sm btn-primary" onclick="createMenuFromRecipe(${recipe.id})">
+                    Add to Menu
+                  </button>
+                `
+                    : ""
+                }
+              </div>
+            </div>
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+    </div>
+  `
+    )
+    .join("");
+}
+
+function showAddMenuModal() {
+  document.getElementById("menuForm").reset();
+  populateRecipeDropdown();
+  new bootstrap.Modal(document.getElementById("menuModal")).show();
+}
+
+function populateRecipeDropdown() {
+  const recipeSelect = document.getElementById("itemRecipe");
+  recipeSelect.innerHTML =
+    '<option value="">Create standalone menu item</option>';
+
+  availableRecipes.forEach((recipe) => {
+    if (!recipe.already_in_menu) {
+      const option = document.createElement("option");
+      option.value = recipe.id;
+      option.textContent = `${recipe.name} (${recipe.category})`;
+      recipeSelect.appendChild(option);
+    }
+  });
+}
+
+function onRecipeSelect() {
+  const recipeId = document.getElementById("itemRecipe").value;
+  const recipeInfo = document.getElementById("recipe-info");
+  const recipeDetails = document.getElementById("recipe-details");
+
+  if (recipeId) {
+    const recipe = availableRecipes.find((r) => r.id == recipeId);
+    if (recipe) {
+      // Auto-fill form with recipe data
+      document.getElementById("itemName").value = recipe.name;
+      document.getElementById("itemDescription").value =
+        recipe.description || "";
+      document.getElementById("itemCategory").value =
+        recipe.category === "food" ? "Main Course" : "Beverages";
+
+      // Show recipe info
+      recipeDetails.innerHTML = `
+        <strong>${recipe.name}</strong><br>
+        <small>⏱️ ${recipe.prep_time || 0}min prep, ${
+        recipe.cook_time || 0
+      }min cook | 👥 Serves ${recipe.servings || 1}</small>
+      `;
+      recipeInfo.style.display = "block";
+    }
+  } else {
+    recipeInfo.style.display = "none";
+    // Clear auto-filled data
+    document.getElementById("itemName").value = "";
+    document.getElementById("itemDescription").value = "";
+  }
+}
+
+async function saveMenuItem() {
+  const formData = {
+    recipe_id: document.getElementById("itemRecipe").value || null,
+    name: document.getElementById("itemName").value,
+    description: document.getElementById("itemDescription").value,
+    price: parseFloat(document.getElementById("itemPrice").value),
+    category: document.getElementById("itemCategory").value,
+    cost_per_serving:
+      parseFloat(document.getElementById("itemCost").value) || 0,
+    target_food_cost_percent:
+      parseFloat(document.getElementById("itemTargetFoodCost").value) || null,
+    station: document.getElementById("itemStation").value.trim() || null,
+    available: true,
+  };
+
+  try {
+    const response = await fetch("/api/menu", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(formData),
+    });
+
+    if (response.ok) {
+      bootstrap.Modal.getInstance(document.getElementById("menuModal")).hide();
+      loadMenuItems();
+      loadRecipes(); // Refresh to update "already_in_menu" status
+    } else {
+      const error = await response.json();
+      alert("Error saving menu item: " + error.error);
+    }
+  } catch (error) {
+    console.error("Error saving menu item:", error);
+    alert("Error saving menu item. Please try again.");
+  }
+}
+
+async function createMenuFromRecipe(recipeId) {
+  const recipe = availableRecipes.find((r) => r.id === recipeId);
+  if (!recipe) return;
+
+  // Pre-fill modal with recipe data
+  document.getElementById("itemRecipe").value = recipeId;
+  document.getElementById("itemName").value = recipe.name;
+  document.getElementById("itemDescription").value = recipe.description || "";
+  document.getElementById("itemCategory").value =
+    recipe.category === "food" ? "Main Course" : "Beverages";
+
+  // Show recipe info
+  const recipeInfo = document.getElementById("recipe-info");
+  const recipeDetails = document.getElementById("recipe-details");
+  recipeDetails.innerHTML = `
+    <strong>${recipe.name}</strong><br>
+    <small>⏱️ ${recipe.prep_time || 0}min prep, ${
+    recipe.cook_time || 0
+  }min cook | 👥 Serves ${recipe.servings || 1}</small>
+  `;
+  recipeInfo.style.display = "block";
+
+  new bootstrap.Modal(document.getElementById("menuModal")).show();
+}
+
+async function viewRecipe(recipeId) {
+  try {
+    const response = await fetch(`/api/recipes/${recipeId}`);
+    const data = await response.json();
+    const recipe = data.recipe;
+
+    // Create a modal to show recipe details
+    const modalHtml = `
+      <div class="modal fade" id="recipeViewModal" tabindex="-1">
+        <div class="modal-dialog modal-lg">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h5 class="modal-title">${recipe.name}</h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+            </div>
+            <div class="modal-body">
+              <p class="lead">${recipe.description || ""}</p>
+              <div class="row mb-4">
+                <div class="col-md-3">
+                  <strong>Prep Time:</strong><br>${
+                    recipe.prep_time || 0
+                  } minutes
+                </div>
+                <div class="col-md-3">
+                  <strong>Cook Time:</strong><br>${
+                    recipe.cook_time || 0
+                  } minutes
+                </div>
+                <div class="col-md-3">
+                  <strong>Servings:</strong><br>${recipe.servings || 1}
+                </div>
+                <div class="col-md-3">
+                  <strong>Difficulty:</strong><br>${
+                    recipe.difficulty || "Not specified"
+                  }
+                </div>
+              </div>
+              
+              ${
+                recipe.ingredients && recipe.ingredients.length > 0
+                  ? `
+                <h6>Ingredients:</h6>
+                <ul class="list-group mb-4">
+                  ${recipe.ingredients
+                    .map(
+                      (ing) => `
+                    <li class="list-group-item">
+                      ${ing.quantity ? ing.quantity + " " : ""}${
+                        ing.unit ? ing.unit + " " : ""
+                      }${ing.name}
+                      ${
+                        ing.notes
+                          ? `<small class="text-muted"> - ${ing.notes}</small>`
+                          : ""
+                      }
+                    </li>
+                  `
+                    )
+                    .join("")}
+                </ul>
+              `
+                  : ""
+              }
+              
+              ${
+                recipe.steps && recipe.steps.length > 0
+                  ? `
+                <h6>Instructions:</h6>
+                <ol class="list-group list-group-numbered">
+                  ${recipe.steps
+                    .map(
+                      (step) => `
+                    <li class="list-group-item">
+                      ${step.instruction}
+                      ${
+                        step.timing
+                          ? `<br><small class="text-info">⏱️ ${step.timing} minutes</small>`
+                          : ""
+                      }
+                    </li>
+                  `
+                    )
+                    .join("")}
+                </ol>
+              `
+                  : ""
+              }
+            </div>
+            <div class="modal-footer">
+              <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Remove existing modal if any
+    const existingModal = document.getElementById("recipeViewModal");
+    if (existingModal) existingModal.remove();
+
+    // Add modal to page
+    document.body.insertAdjacentHTML("beforeend", modalHtml);
+
+    // Show modal
+    new bootstrap.Modal(document.getElementById("recipeViewModal")).show();
+  } catch (error) {
+    console.error("Error loading recipe details:", error);
+    alert("Error loading recipe details.");
+  }
+}
+
+// Recipe creation functionality
+function showAddRecipeModal() {
+  document.getElementById("recipeForm").reset();
+
+  // Reset dynamic containers to have one empty row each
+  document.getElementById("ingredients-container").innerHTML = `
+    <div class="ingredient-row mb-2">
+      <div class="row">
+        <div class="col-md-4">
+          <input type="text" class="form-control" placeholder="Ingredient name" name="ingredient-name" />
+        </div>
+        <div class="col-md-3">
+          <input type="number" step="0.01" class="form-control" placeholder="Quantity" name="ingredient-quantity" />
+        </div>
+        <div class="col-md-3">
+          <input type="text" class="form-control" placeholder="Unit" name="ingredient-unit" />
+        </div>
+        <div class="col-md-2">
+          <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeIngredient(this)">×</button>
+        </div>
+      </div>
+      <div class="row mt-1">
+        <div class="col-md-10">
+          <input type="text" class="form-control form-control-sm" placeholder="Notes (optional)" name="ingredient-notes" />
+        </div>
+      </div>
+    </div>
+  `;
+
+  document.getElementById("steps-container").innerHTML = `
+    <div class="step-row mb-2">
+      <div class="row">
+        <div class="col-md-10">
+          <textarea class="form-control" placeholder="Step instruction" name="step-instruction" rows="2"></textarea>
+        </div>
+        <div class="col-md-2">
+          <input type="number" class="form-control mb-1" placeholder="Time (min)" name="step-timing" />
+          <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeStep(this)">×</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  new bootstrap.Modal(document.getElementById("recipeModal")).show();
+}
+
+function addIngredient() {
+  const container = document.getElementById("ingredients-container");
+  const newIngredient = document.createElement("div");
+  newIngredient.className = "ingredient-row mb-2";
+  newIngredient.innerHTML = `
+    <div class="row">
+      <div class="col-md-4">
+        <input type="text" class="form-control" placeholder="Ingredient name" name="ingredient-name" />
+      </div>
+      <div class="col-md-3">
+        <input type="number" step="0.01" class="form-control" placeholder="Quantity" name="ingredient-quantity" />
+      </div>
+      <div class="col-md-3">
+        <input type="text" class="form-control" placeholder="Unit" name="ingredient-unit" />
+      </div>
+      <div class="col-md-2">
+        <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeIngredient(this)">×</button>
+      </div>
+    </div>
+    <div class="row mt-1">
+      <div class="col-md-10">
+        <input type="text" class="form-control form-control-sm" placeholder="Notes (optional)" name="ingredient-notes" />
+      </div>
+    </div>
+  `;
+  container.appendChild(newIngredient);
+}
+
+function removeIngredient(button) {
+  const container = document.getElementById("ingredients-container");
+  if (container.children.length > 1) {
+    button.closest(".ingredient-row").remove();
+  }
+}
+
+function addStep() {
+  const container = document.getElementById("steps-container");
+  const newStep = document.createElement("div");
+  newStep.className = "step-row mb-2";
+  newStep.innerHTML = `
+    <div class="row">
+      <div class="col-md-10">
+        <textarea class="form-control" placeholder="Step instruction" name="step-instruction" rows="2"></textarea>
+      </div>
+      <div class="col-md-2">
+        <input type="number" class="form-control mb-1" placeholder="Time (min)" name="step-timing" />
+        <button type="button" class="btn btn-outline-danger btn-sm" onclick="removeStep(this)">×</button>
+      </div>
+    </div>
+  `;
+  container.appendChild(newStep);
+}
+
+function removeStep(button) {
+  const container = document.getElementById("steps-container");
+  if (container.children.length > 1) {
+    button.closest(".step-row").remove();
+  }
+}
+
+async function saveRecipe() {
+  // Collect form data
+  const recipeData = {
+    name: document.getElementById("recipeName").value,
+    description: document.getElementById("recipeDescription").value,
+    category: document.getElementById("recipeCategory").value,
+    prep_time:
+      parseInt(document.getElementById("recipePrepTime").value) || null,
+    cook_time:
+      parseInt(document.getElementById("recipeCookTime").value) || null,
+    servings: parseInt(document.getElementById("recipeServings").value) || null,
+    difficulty: document.getElementById("recipeDifficulty").value || null,
+    ingredients: [],
+    steps: [],
+  };
+
+  // Collect ingredients
+  const ingredientRows = document.querySelectorAll(".ingredient-row");
+  ingredientRows.forEach((row, index) => {
+    const name = row.querySelector('input[name="ingredient-name"]').value;
+    const quantity = row.querySelector(
+      'input[name="ingredient-quantity"]'
+    ).value;
+    const unit = row.querySelector('input[name="ingredient-unit"]').value;
+    const notes = row.querySelector('input[name="ingredient-notes"]').value;
+
+    if (name.trim()) {
+      recipeData.ingredients.push({
+        name: name.trim(),
+        quantity: quantity ? parseFloat(quantity) : null,
+        unit: unit.trim() || null,
+        notes: notes.trim() || null,
+        order_index: index + 1,
+      });
+    }
+  });
+
+  // Collect steps
+  const stepRows = document.querySelectorAll(".step-row");
+  stepRows.forEach((row, index) => {
+    const instruction = row.querySelector(
+      'textarea[name="step-instruction"]'
+    ).value;
+    const timing = row.querySelector('input[name="step-timing"]').value;
+
+    if (instruction.trim()) {
+      recipeData.steps.push({
+        step_number: index + 1,
+        instruction: instruction.trim(),
+        timing: timing ? parseInt(timing) : null,
+      });
+    }
+  });
+
+  // Validate required fields
+  if (!recipeData.name || !recipeData.category) {
+    alert("Please fill in the recipe name and category.");
+    return;
+  }
+
+  if (recipeData.ingredients.length === 0) {
+    alert("Please add at least one ingredient.");
+    return;
+  }
+
+  try {
+    const response = await fetch("/api/recipes", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(recipeData),
+    });
+
+    if (response.ok) {
+      bootstrap.Modal.getInstance(
+        document.getElementById("recipeModal")
+      ).hide();
+      loadRecipes(); // Refresh the recipes list
+      alert("Recipe saved successfully!");
+    } else {
+      const error = await response.json();
+      alert("Error saving recipe: " + (error.error || "Unknown error"));
+    }
+  } catch (error) {
+    console.error("Error saving recipe:", error);
+    alert("Error saving recipe. Please try again.");
+  }
+}
+
+// Database Management Functions
+function logOperation(message, type = "info") {
+  const logContainer = document.getElementById("operation-log");
+  const timestamp = new Date().toLocaleTimeString();
+  const logEntry = document.createElement("div");
+  logEntry.className = `log-entry log-${type}`;
+  logEntry.innerHTML = `<span class="timestamp">[${timestamp}]</span> ${message}`;
+  logContainer.appendChild(logEntry);
+  logContainer.scrollTop = logContainer.scrollHeight;
+}
+
+async function checkDatabaseStatus() {
+  try {
+    logOperation("Checking database status...", "info");
+    const response = await fetch("/api/database/status");
+    const data = await response.json();
+
+    if (data.success) {
+      displayDatabaseStatus(data);
+      logOperation("Database status check completed successfully", "success");
+    } else {
+      logOperation("Database status check failed: " + data.error, "error");
+    }
+  } catch (error) {
+    console.error("Error checking database status:", error);
+    logOperation("Error checking database status: " + error.message, "error");
+  }
+}
+
+function displayDatabaseStatus(data) {
+  const statusContainer = document.getElementById("database-status");
+
+  let html = `
+    <div class="alert alert-success">
+      <strong>✅ Database Status:</strong> ${data.database_status}
+      <br><small>Last checked: ${new Date(
+        data.timestamp
+      ).toLocaleString()}</small>
+    </div>
+  `;
+
+  data.checks.forEach((check) => {
+    html += `<div class="mb-3">`;
+    html += `<h6>${check.check}</h6>`;
+
+    if (check.check === "Data counts") {
+      html += '<div class="row">';
+      Object.entries(check.details).forEach(([table, count]) => {
+        html += `
+          <div class="col-md-4 mb-2">
+            <div class="card card-body p-2">
+              <strong>${table}:</strong> ${count}
+            </div>
+          </div>
+        `;
+      });
+      html += "</div>";
+    } else if (check.check === "Tables exist") {
+      html += `<div class="badge-container">`;
+      check.details.forEach((table) => {
+        html += `<span class="badge bg-primary me-1">${table}</span>`;
+      });
+      html += `</div>`;
+    } else if (check.check === "Foreign key constraints") {
+      html += `<small class="text-muted">${check.details.length} foreign key constraints active</small>`;
+    } else if (check.check === "Schema migrations") {
+      const { current_version, pending, modified, missing } = check.details;
+      html += `<small class="text-muted">Version ${current_version}</small>`;
+      [...pending.map((m) => `${m} (pending)`), ...modified.map((m) => `${m} (modified)`), ...missing.map((m) => `${m} (missing)`)]
+        .forEach((problem) => {
+          html += `<div><span class="badge bg-warning text-dark">${problem}</span></div>`;
+        });
+    }
+
+    html += `</div>`;
+  });
+
+  statusContainer.innerHTML = html;
+}
+
+// Reset and seed need a short-lived confirmation token requested first
+async function requestConfirmationToken(action) {
+  const response = await fetch("/api/database/confirmation-token", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ action }),
+  });
+
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || data.details || "Could not get confirmation token");
+  }
+  return data.confirmation_token;
+}
+
+async function resetDatabase() {
+  if (
+    !confirm(
+      "⚠️ WARNING: This will completely reset your database and delete ALL existing data!\n\nAre you sure you want to continue?"
+    )
+  ) {
+    return;
+  }
+
+  if (
+    !confirm(
+      "This action cannot be undone. Please confirm you want to reset the database."
+    )
+  ) {
+    return;
+  }
+
+  try {
+    logOperation("Starting database reset...", "warning");
+    const confirmationToken = await requestConfirmationToken("reset");
+    const response = await fetch("/api/database/reset", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ confirmation_token: confirmationToken }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      logOperation("✅ Database reset completed successfully!", "success");
+      logOperation(
+        "Database has been cleared and reloaded with sample data",
+        "info"
+      );
+      logOperation("Previous data backed up to " + data.backup_file, "info");
+
+      // Refresh all data
+      loadTables();
+      loadMenuItems();
+      loadOrders();
+      loadRecipes();
+      checkDatabaseStatus();
+
+      alert(
+        "Database reset completed successfully! All sections have been refreshed with sample data."
+      );
+    } else {
+      logOperation("❌ Database reset failed: " + data.error, "error");
+      alert("Database reset failed: " + data.error);
+    }
+  } catch (error) {
+    console.error("Error resetting database:", error);
+    logOperation("❌ Error resetting database: " + error.message, "error");
+    alert("Error resetting database: " + error.message);
+  }
+}
+
+async function seedDatabase() {
+  if (
+    !confirm(
+      "This will clear existing data and add sample recipes, menu items, and tables.\n\nContinue?"
+    )
+  ) {
+    return;
+  }
+
+  try {
+    logOperation("Seeding database with sample data...", "info");
+    const confirmationToken = await requestConfirmationToken("seed");
+    const response = await fetch("/api/database/seed", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ confirmation_token: confirmationToken }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      logOperation("✅ Database seeded successfully!", "success");
+      logOperation("Previous data backed up to " + data.backup_file, "info");
+
+      // Refresh all data
+      loadTables();
+      loadMenuItems();
+      loadOrders();
+      loadRecipes();
+      checkDatabaseStatus();
+
+      alert("Database seeded successfully! All sections have been refreshed.");
+    } else {
+      logOperation("❌ Database seeding failed: " + data.error, "error");
+      alert("Database seeding failed: " + data.error);
+    }
+  } catch (error) {
+    console.error("Error seeding database:", error);
+    logOperation("❌ Error seeding database: " + error.message, "error");
+    alert("Error seeding database: " + error.message);
+  }
+}
+
+async function backupDatabase() {
+  try {
+    logOperation("Creating database backup...", "info");
+
+    const response = await fetch("/api/database/backup");
+
+    if (response.ok) {
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `restaurant_backup_${
+        new Date().toISOString().split("T")[0]
+      }.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      window.URL.revokeObjectURL(url);
+
+      logOperation("✅ Database backup downloaded successfully!", "success");
+    } else {
+      const error = await response.json();
+      logOperation("❌ Database backup failed: " + error.error, "error");
+      alert("Database backup failed: " + error.error);
+    }
+  } catch (error) {
+    console.error("Error backing up database:", error);
+    logOperation("❌ Error backing up database: " + error.message, "error");
+    alert("Error backing up database: " + error.message);
+  }
+}
+
+async function restoreDatabase(fileInput) {
+  const file = fileInput.files[0];
+  fileInput.value = "";
+  if (!file) {
+    return;
+  }
+
+  try {
+    const backup = JSON.parse(await file.text());
+
+    logOperation("Checking backup file with a dry run...", "info");
+    const dryRunResponse = await fetch("/api/database/restore", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ backup, dry_run: true }),
+    });
+    const dryRun = await dryRunResponse.json();
+
+    if (!dryRun.success) {
+      const details = (dryRun.details || [])
+        .slice(0, 5)
+        .map((d) => `${d.field}: ${d.message}`)
+        .join("\n");
+      logOperation("❌ Backup file rejected: " + dryRun.error, "error");
+      alert("Backup file rejected: " + dryRun.error + (details ? "\n\n" + details : ""));
+      return;
+    }
+
+    const summary = dryRun.report.tables
+      .map((t) => `${t.table}: ${t.current_rows} → ${t.restored_rows} rows`)
+      .join("\n");
+    if (
+      !confirm(
+        `⚠️ This will replace ALL current data with the backup from ${dryRun.report.backup_timestamp}:\n\n${summary}\n\nContinue?`
+      )
+    ) {
+      return;
+    }
+
+    logOperation("Restoring database from backup...", "warning");
+    const confirmationToken = await requestConfirmationToken("restore");
+    const response = await fetch("/api/database/restore", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ backup, confirmation_token: confirmationToken }),
+    });
+
+    const data = await response.json();
+
+    if (data.success) {
+      logOperation("✅ Database restored successfully!", "success");
+      logOperation("Previous data backed up to " + data.backup_file, "info");
+
+      // Refresh all data
+      loadTables();
+      loadMenuItems();
+      loadOrders();
+      loadRecipes();
+      checkDatabaseStatus();
+
+      alert("Database restored successfully! All sections have been refreshed.");
+    } else {
+      logOperation("❌ Database restore failed: " + data.error, "error");
+      alert("Database restore failed: " + data.error);
+    }
+  } catch (error) {
+    console.error("Error restoring database:", error);
+    logOperation("❌ Error restoring database: " + error.message, "error");
+    alert("Error restoring database: " + error.message);
+  }
+}
+
+// Utility functions
+function groupBy(array, key) {
+  return array.reduce((result, item) => {
+    const group = item[key];
+    if (!result[group]) result[group] = [];
+    result[group].push(item);
+    return result;
+  }, {});
+}
+
+// Inventory Management Functionality
+
+let currentProductPage = 1;
+let productsPerPage = 25;
+let filteredProducts = [];
+let inventoryValuation = null;
+
+async function loadInventoryData() {
+  try {
+    // The location filter and forms list locations, so they are loaded first
+    await loadLocations();
+    await Promise.all([
+      loadTransfers(),
+      loadProducts(),
+      loadInventoryAlerts(),
+      loadInventoryTransactions(),
+      loadRecipeLinks(),
+      loadPurchasing(),
+      loadStockCounts()
+    ]);
+    // The waste form lists products, so it is loaded once they are
+    await loadWaste();
+    await loadInventoryValuation();
+    updateInventoryDashboard();
+    updateProductStatistics();
+  } catch (error) {
+    console.error("Error loading inventory data:", error);
+  }
+}
+
+async function loadProducts() {
+  try {
+    const response = await fetch(`/api/inventory/products${locationQuery()}`);
+    if (response.ok) {
+      const data = await response.json();
+      // Handle both array format and object format with products property
+      if (Array.isArray(data)) {
+        products = data;
+      } else if (data.products && Array.isArray(data.products)) {
+        products = data.products;
+      } else {
+        products = [];
+      }
+      filteredProducts = [...products]; // Initialize filteredProducts with all products
+    } else {
+      products = [];
+      filteredProducts = [];
+    }
+    renderProductsList();
+  } catch (error) {
+    console.error("Error loading products:", error);
+    products = [];
+    filteredProducts = [];
+    renderProductsList();
+  }
+}
+
+async function loadInventoryAlerts() {
+  try {
+    // The dashboard summary alerts on what the filtered location holds
+    const response = await fetch(`/api/inventory/dashboard${locationQuery()}`);
+    const summary = response.ok ? await response.json() : {};
+    inventoryAlerts.lowStock = Array.isArray(summary.low_stock_alerts) ? summary.low_stock_alerts : [];
+    inventoryAlerts.outOfStock = Array.isArray(summary.out_of_stock_alerts) ? summary.out_of_stock_alerts : [];
+    inventoryAlerts.expiringSoon = Array.isArray(summary.expiring_soon_alerts) ? summary.expiring_soon_alerts : [];
+    
+    renderInventoryAlerts();
+    updateOutOfStockBanner();
+  } catch (error) {
+    console.error("Error loading inventory alerts:", error);
+    inventoryAlerts.lowStock = [];
+    inventoryAlerts.outOfStock = [];
+    inventoryAlerts.expiringSoon = [];
+    renderInventoryAlerts();
+    updateOutOfStockBanner();
+  }
+}
+
+async function loadInventoryTransactions() {
+  try {
+    const response = await fetch("/api/inventory/transactions");
+    if (response.ok) {
+      const data = await response.json();
+      inventoryTransactions = Array.isArray(data) ? data : [];
+    } else {
+      inventoryTransactions = [];
+    }
+    renderTransactionsList();
+  } catch (error) {
+    console.error("Error loading inventory transactions:", error);
+    inventoryTransactions = [];
+    renderTransactionsList();
+  }
+}
+
+async function loadRecipeLinks() {
+  try {
+    const response = await fetch("/api/inventory/recipe-links");
+    if (response.ok) {
+      const data = await response.json();
+      recipeLinks = Array.isArray(data) ? data : [];
+    } else {
+      recipeLinks = [];
+    }
+    populateRecipeDropdowns();
+  } catch (error) {
+    console.error("Error loading recipe links:", error);
+    recipeLinks = [];
+    populateRecipeDropdowns();
+  }
+}
+
+/**
+ * Load the stock valuation as of the chosen date (today by default)
+ * Only managers can see it; everyone else, and a location filter, falls back to quantity x cost
+ */
+async function loadInventoryValuation() {
+  const asOf = document.getElementById("valuation-as-of").value;
+  try {
+    const response = await fetch(`/api/inventory/valuation${asOf ? `?as_of=${asOf}` : ""}`);
+    inventoryValuation = response.ok ? await response.json() : null;
+  } catch (error) {
+    console.error("Error loading inventory valuation:", error);
+    inventoryValuation = null;
+  }
+  updateInventoryDashboard();
+}
+
+function updateInventoryDashboard() {
+  // Update summary cards
+  const totalProducts = products.length;
+  const lowStockCount = inventoryAlerts.lowStock ? inventoryAlerts.lowStock.length : 0;
+  const outOfStockCount = inventoryAlerts.outOfStock ? inventoryAlerts.outOfStock.length : 0;
+  const valuation = locationQuery() ? null : inventoryValuation;
+  const totalValue = valuation ? valuation.total_value : products.reduce((sum, product) => {
+    return sum + (displayedQuantity(product) * (product.cost_per_unit || 0));
+  }, 0);
+
+  document.getElementById("total-products").textContent = totalProducts;
+  document.getElementById("low-stock-count").textContent = lowStockCount;
+  document.getElementById("out-of-stock-count").textContent = outOfStockCount;
+  document.getElementById("total-value").textContent = `$${totalValue.toFixed(2)}`;
+  document.getElementById("valuation-cogs").textContent = valuation
+    ? `Cost of goods sold since ${valuation.from}: $${valuation.cost_of_goods_sold.toFixed(2)}`
+    : "";
+}
+
+function updateOutOfStockBanner() {
+  const banner = document.getElementById("out-of-stock-banner");
+  const itemsContainer = document.getElementById("out-of-stock-items");
+  
+  if (inventoryAlerts.outOfStock && inventoryAlerts.outOfStock.length > 0) {
+    const itemsList = inventoryAlerts.outOfStock.map(item => item.name).join(", ");
+    itemsContainer.textContent = `The following items are out of stock: ${itemsList}`;
+    banner.classList.remove("d-none");
+  } else {
+    banner.classList.add("d-none");
+  }
+}
+
+function renderProductsList() {
+  const container = document.getElementById("products-list");
+  
+  // Ensure filteredProducts is an array
+  if (!Array.isArray(filteredProducts)) filteredProducts = [];
+  
+  if (filteredProducts.length === 0) {
+    if (container) {
+      container.innerHTML = '<p class="text-muted text-center">No products found. <a href="#" onclick="showAddProductModal()">Add your first product</a></p>';
+    }
+    updateProductStatistics();
+    return;
+  }
+
+  // Calculate pagination
+  const startIndex = (currentProductPage - 1) * productsPerPage;
+  const endIndex = startIndex + productsPerPage;
+  const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
+
+  const tableHtml = `
+    <table class="table table-hover">
+      <thead class="table-light">
+        <tr>
+          <th>
+            <input type="checkbox" id="select-all-products" onchange="toggleAllProducts(this.checked)">
+          </th>
+          <th>Product Name</th>
+          <th>Current Quantity</th>
+          <th>Unit</th>
+          <th>Status</th>
+          <th>Cost per Unit</th>
+          <th>Total Value</th>
+          <th>Last Updated</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${paginatedProducts.map(renderProductRow).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  container.innerHTML = tableHtml;
+  renderProductsPagination();
+  updateProductStatistics();
+}
+
+function renderProductRow(product) {
+  const status = getProductStatus(product);
+  const totalValue = (displayedQuantity(product) * (product.cost_per_unit || 0)).toFixed(2);
+  const lastUpdated = product.updated_at ? new Date(product.updated_at).toLocaleDateString() : '-';
+  
+  return `
+    <tr id="product-row-${product.id}">
+      <td>
+        <input type="checkbox" class="product-checkbox" value="${product.id}">
+      </td>
+      <td>
+        <div class="d-flex align-items-center">
+          <div>
+            <strong>${product.name}</strong>
+            ${product.description ? `<br><small class="text-muted">${product.description}</small>` : ''}
+            ${product.supplier_info ? `<br><small class="text-info"><i class="fas fa-truck"></i> ${product.supplier_info.substring(0, 30)}${product.supplier_info.length > 30 ? '...' : ''}</small>` : ''}
+          </div>
+        </div>
+      </td>
+      <td>
+        <span class="fw-bold">${displayedQuantity(product)}</span>
+        ${product.location_name ? `<br><small class="text-muted"><i class="fas fa-warehouse"></i> ${product.location_name}</small>` : ''}
+        ${product.low_stock_threshold ? `<br><small class="text-muted">Threshold: ${product.low_stock_threshold}</small>` : ''}
+      </td>
+      <td>${product.unit_of_measure}</td>
+      <td>
+        <span class="badge product-quantity-badge ${status.class}">
+          ${status.text}
+        </span>
+      </td>
+      <td>${product.cost_per_unit ? `$${parseFloat(product.cost_per_unit).toFixed(2)}` : '-'}</td>
+      <td class="fw-bold text-success">$${totalValue}</td>
+      <td>${lastUpdated}</td>
+      <td>
+        <div class="btn-group" role="group">
+          <button class="btn btn-sm btn-outline-primary inventory-action-btn" onclick="showAdjustmentModal(${product.id})" title="Adjust Quantity">
+            <i class="fas fa-edit"></i> Adjust
+          </button>
+          <button class="btn btn-sm btn-outline-success inventory-action-btn" onclick="quickRestock(${product.id})" title="Quick Restock">
+            <i class="fas fa-plus"></i> Restock
+          </button>
+          <button class="btn btn-sm btn-outline-info inventory-action-btn" onclick="editProduct(${product.id})" title="Edit Product">
+            <i class="fas fa-cog"></i> Edit
+          </button>
+          <button class="btn btn-sm btn-outline-danger inventory-action-btn" onclick="deleteProduct(${product.id})" title="Delete Product">
+            <i class="fas fa-trash"></i> Delete
+          </button>
+        </div>
+      </td>
+    </tr>
+  `;
+}
+
+function getProductStatus(product) {
+  if (product.current_quantity <= 0) {
+    return { class: 'out-of-stock', text: 'Out of Stock' };
+  } else if (product.current_quantity <= product.low_stock_threshold) {
+    return { class: 'low-stock', text: 'Low Stock' };
+  } else {
+    return { class: 'in-stock', text: 'In Stock' };
+  }
+}
+
+function renderInventoryAlerts() {
+  // Render low stock alerts
+  const lowStockContainer = document.getElementById("low-stock-alerts");
+  if (inventoryAlerts.lowStock && inventoryAlerts.lowStock.length > 0) {
+    lowStockContainer.innerHTML = inventoryAlerts.lowStock.map(item => `
+      <div class="inventory-alert-item low-stock">
+        <div class="d-flex justify-content-between align-items-center">
+          <div>
+            <strong>${item.name}</strong>
+            <br><small>Current: ${item.current_quantity} ${item.unit_of_measure} | Threshold: ${item.low_stock_threshold}</small>
+          </div>
+          <button class="btn btn-sm btn-warning" onclick="showAdjustmentModal(${item.id})">
+            Restock
+          </button>
+        </div>
+      </div>
+    `).join('');
+  } else {
+    lowStockContainer.innerHTML = '<p class="text-muted">No low stock alerts</p>';
+  }
+
+  // Render out of stock alerts
+  const outOfStockContainer = document.getElementById("out-of-stock-alerts");
+  if (inventoryAlerts.outOfStock && inventoryAlerts.outOfStock.length > 0) {
+    outOfStockContainer.innerHTML = inventoryAlerts.outOfStock.map(item => `
+      <div class="inventory-alert-item out-of-stock">
+        <div class="d-flex justify-content-between align-items-center">
+          <div>
+            <strong>${item.name}</strong>
+            <br><small class="text-danger">Out of stock!</small>
+          </div>
+          <button class="btn btn-sm btn-danger" onclick="showAdjustmentModal(${item.id})">
+            Restock Now
+          </button>
+        </div>
+      </div>
+    `).join('');
+  } else {
+    outOfStockContainer.innerHTML = '<p class="text-muted">No out of stock items</p>';
+  }
+
+  // Render lots expired or expiring soon
+  const expiringContainer = document.getElementById("expiring-lots-alerts");
+  if (inventoryAlerts.expiringSoon && inventoryAlerts.expiringSoon.length > 0) {
+    expiringContainer.innerHTML = inventoryAlerts.expiringSoon.map(item => `
+      <div class="inventory-alert-item ${item.days_until_expiry < 0 ? 'out-of-stock' : 'low-stock'}">
+        <div class="d-flex justify-content-between align-items-center">
+          <div>
+            <strong>${item.name}</strong>${item.lot_code ? ` <small class="text-muted">(${item.lot_code})</small>` : ''}
+            <br><small class="${item.days_until_expiry < 0 ? 'text-danger' : ''}">${item.message}</small>
+          </div>
+          <span class="badge bg-${item.severity === 'critical' ? 'danger' : item.severity === 'high' ? 'warning' : 'secondary'}">
+            ${String(item.expires_on).slice(0, 10)}
+          </span>
+        </div>
+      </div>
+    `).join('');
+  } else {
+    expiringContainer.innerHTML = '<p class="text-muted">No lots expiring soon</p>';
+  }
+}
+
+async function wasteExpiredLots() {
+  if (!confirm("Move everything left in expired lots to waste?")) return;
+
+  try {
+    const response = await fetch("/api/inventory/waste/expired-lots", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({}),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(`Error wasting expired lots: ${describeApiError(data)}`);
+      return;
+    }
+
+    alert(data.message);
+    loadInventoryData();
+  } catch (error) {
+    console.error("Error wasting expired lots:", error);
+    alert("Error wasting expired lots. Please try again.");
+  }
+}
+
+function renderTransactionsList() {
+  const container = document.getElementById("transactions-list");
+  
+  if (inventoryTransactions.length === 0) {
+    container.innerHTML = '<p class="text-muted text-center">No transactions found.</p>';
+    return;
+  }
+
+  const tableHtml = `
+    <table class="table table-hover">
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Product</th>
+          <th>Type</th>
+          <th>Quantity Change</th>
+          <th>Reference</th>
+          <th>Notes</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${inventoryTransactions.map(transaction => `
+          <tr>
+            <td>${new Date(transaction.created_at).toLocaleString()}</td>
+            <td>${transaction.product_name || 'Unknown Product'}</td>
+            <td>
+              <span class="badge transaction-type-badge transaction-type-${transaction.transaction_type}">
+                ${transaction.transaction_type.toUpperCase()}
+              </span>
+            </td>
+            <td class="${transaction.quantity_change >= 0 ? 'text-success' : 'text-danger'}">
+              ${transaction.quantity_change >= 0 ? '+' : ''}${transaction.quantity_change}
+            </td>
+            <td>${transaction.reference_type || '-'} ${transaction.reference_id || ''}</td>
+            <td>${transaction.notes || '-'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  container.innerHTML = tableHtml;
+}
+
+// Product Management Functions
+function showAddProductModal() {
+  document.getElementById("productForm").reset();
+  document.getElementById("productId").value = "";
+  document.getElementById("productModalTitle").textContent = "Add Product";
+  new bootstrap.Modal(document.getElementById("productModal")).show();
+}
+
+function editProduct(productId) {
+  const product = products.find(p => p.id === productId);
+  if (!product) return;
+
+  document.getElementById("productId").value = product.id;
+  document.getElementById("productName").value = product.name;
+  document.getElementById("productDescription").value = product.description || "";
+  document.getElementById("productUnit").value = product.unit_of_measure;
+  document.getElementById("productQuantity").value = product.current_quantity;
+  document.getElementById("productThreshold").value = product.low_stock_threshold;
+  document.getElementById("productParLevel").value = product.par_level ?? "";
+  document.getElementById("productDensity").value = product.density_g_per_ml ?? "";
+  document.getElementById("productPieceWeight").value = product.piece_weight_g ?? "";
+  document.getElementById("productCategory").value = product.category || "";
+  document.getElementById("productLocation").value = product.location_id ?? "";
+  document.getElementById("productLotRotation").value = product.lot_rotation || "fifo";
+  document.getElementById("productCost").value = product.cost_per_unit || "";
+  document.getElementById("productSupplier").value = product.supplier_info || "";
+  
+  document.getElementById("productModalTitle").textContent = "Edit Product";
+  new bootstrap.Modal(document.getElementById("productModal")).show();
+}
+
+async function saveProduct() {
+  const productId = document.getElementById("productId").value;
+  const formData = {
+    name: document.getElementById("productName").value,
+    description: document.getElementById("productDescription").value,
+    unit_of_measure: document.getElementById("productUnit").value,
+    current_quantity: parseFloat(document.getElementById("productQuantity").value),
+    low_stock_threshold: parseInt(document.getElementById("productThreshold").value),
+    cost_per_unit: parseFloat(document.getElementById("productCost").value) || null,
+    par_level: document.getElementById("productParLevel").value === ""
+      ? null
+      : parseFloat(document.getElementById("productParLevel").value),
+    density_g_per_ml: parseFloat(document.getElementById("productDensity").value) || null,
+    piece_weight_g: parseFloat(document.getElementById("productPieceWeight").value) || null,
+    category: document.getElementById("productCategory").value.trim() || null,
+    location_id: parseInt(document.getElementById("productLocation").value) || null,
+    lot_rotation: document.getElementById("productLotRotation").value,
+    supplier_info: document.getElementById("productSupplier").value
+  };
+
+  try {
+    const url = productId ? `/api/inventory/products/${productId}` : "/api/inventory/products";
+    const method = productId ? "PUT" : "POST";
+    
+    const response = await fetch(url, {
+      method: method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(formData)
+    });
+
+    if (response.ok) {
+      bootstrap.Modal.getInstance(document.getElementById("productModal")).hide();
+      loadInventoryData();
+    } else {
+      const error = await response.json();
+      alert("Error saving product: " + describeApiError(error));
+    }
+  } catch (error) {
+    console.error("Error saving product:", error);
+    alert("Error saving product. Please try again.");
+  }
+}
+
+async function deleteProduct(productId) {
+  const product = products.find(p => p.id === productId);
+  if (!product) return;
+
+  if (!confirm(`Are you sure you want to delete "${product.name}"? This action cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/inventory/products/${productId}`, {
+      method: "DELETE"
+    });
+
+    if (response.ok) {
+      loadInventoryData();
+    } else {
+      const error = await response.json();
+      alert("Error deleting product: " + error.error);
+    }
+  } catch (error) {
+    console.error("Error deleting product:", error);
+    alert("Error deleting product. Please try again.");
+  }
+}
+
+// Inventory Adjustment Functions
+function showAdjustmentModal(productId) {
+  const product = products.find(p => p.id === productId);
+  if (!product) return;
+
+  document.getElementById("adjustmentForm").reset();
+  document.getElementById("adjustmentProductId").value = product.id;
+  document.getElementById("adjustmentProductName").value = product.name;
+  document.getElementById("adjustmentCurrentQuantity").value = `${product.current_quantity} ${product.unit_of_measure}`;
+  
+  new bootstrap.Modal(document.getElementById("adjustmentModal")).show();
+}
+
+async function quickRestock(productId) {
+  const quantity = prompt("Enter quantity to add:");
+  if (!quantity || isNaN(quantity) || parseFloat(quantity) <= 0) return;
+
+  try {
+    const response = await fetch(`/api/inventory/products/${productId}/restock`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        quantity: parseFloat(quantity),
+        notes: "Quick restock from dashboard"
+      })
+    });
+
+    if (response.ok) {
+      loadInventoryData();
+    } else {
+      const error = await response.json();
+      alert("Error restocking product: " + error.error);
+    }
+  } catch (error) {
+    console.error("Error restocking product:", error);
+    alert("Error restocking product. Please try again.");
+  }
+}
+
+async function saveAdjustment() {
+  const productId = document.getElementById("adjustmentProductId").value;
+  const type = document.getElementById("adjustmentType").value;
+  const quantity = parseFloat(document.getElementById("adjustmentQuantity").value);
+  const notes = document.getElementById("adjustmentNotes").value;
+  const expiresOn = document.getElementById("adjustmentExpiresOn").value;
+  const lotCode = document.getElementById("adjustmentLotCode").value.trim();
+  const unitCost = document.getElementById("adjustmentUnitCost").value;
+
+  if (!quantity || isNaN(quantity)) {
+    alert("Please enter a valid quantity.");
+    return;
+  }
+
+  try {
+    const endpoint = type === "restock" ? "restock" : "adjust";
+    const response = await fetch(`/api/inventory/products/${productId}/${endpoint}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        quantity: quantity,
+        transaction_type: type,
+        notes: notes,
+        // Restocks come in as a lot, optionally with an expiry date, lot code and the price paid
+        expires_on: type === "restock" && expiresOn ? expiresOn : undefined,
+        lot_code: type === "restock" && lotCode ? lotCode : undefined,
+        unit_cost: type === "restock" && unitCost !== "" ? parseFloat(unitCost) : undefined
+      })
+    });
+
+    if (response.ok) {
+      bootstrap.Modal.getInstance(document.getElementById("adjustmentModal")).hide();
+      loadInventoryData();
+    } else {
+      const error = await response.json();
+      alert("Error adjusting inventory: " + error.error);
+    }
+  } catch (error) {
+    console.error("Error adjusting inventory:", error);
+    alert("Error adjusting inventory. Please try again.");
+  }
+}
+
+// Recipe Linking Functions
+function populateRecipeDropdowns() {
+  // Populate recipe select in main tab
+  const recipeSelect = document.getElementById("recipe-select");
+  recipeSelect.innerHTML = '<option value="">Select a recipe to view links...</option>';
+  
+  // Populate recipe select in modal
+  const modalRecipeSelect = document.getElementById("linkRecipeId");
+  modalRecipeSelect.innerHTML = '<option value="">Select recipe...</option>';
+  
+  // Populate product select in modal
+  const productSelect = document.getElementById("linkProductId");
+  productSelect.innerHTML = '<option value="">Select product...</option>';
+  
+  recipes.forEach(recipe => {
+    const option1 = document.createElement("option");
+    option1.value = recipe.id;
+    option1.textContent = recipe.name;
+    recipeSelect.appendChild(option1);
+    
+    const option2 = document.createElement("option");
+    option2.value = recipe.id;
+    option2.textContent = recipe.name;
+    modalRecipeSelect.appendChild(option2);
+  });
+  
+  products.forEach(product => {
+    const option = document.createElement("option");
+    option.value = product.id;
+    option.textContent = `${product.name} (${product.unit_of_measure})`;
+    productSelect.appendChild(option);
+  });
+}
+
+function showRecipeLinkModal() {
+  document.getElementById("recipeLinkForm").reset();
+  populateRecipeDropdowns();
+  new bootstrap.Modal(document.getElementById("recipeLinkModal")).show();
+}
+
+async function loadRecipeIngredients() {
+  const recipeId = document.getElementById("linkRecipeId").value;
+  const ingredientSelect = document.getElementById("linkIngredientId");
+  
+  ingredientSelect.innerHTML = '<option value="">Select ingredient...</option>';
+  
+  if (!recipeId) return;
+
+  try {
+    const response = await fetch(`/api/recipes/${recipeId}`);
+    const data = await response.json();
+    const recipe = data.recipe;
+    
+    if (recipe.ingredients) {
+      recipe.ingredients.forEach(ingredient => {
+        const option = document.createElement("option");
+        option.value = ingredient.id;
+        option.textContent = `${ingredient.name} (${ingredient.quantity || ''} ${ingredient.unit || ''})`;
+        ingredientSelect.appendChild(option);
+      });
+    }
+  } catch (error) {
+    console.error("Error loading recipe ingredients:", error);
+  }
+}
+
+async function saveRecipeLink() {
+  const formData = {
+    recipe_ingredient_id: parseInt(document.getElementById("linkIngredientId").value),
+    product_id: parseInt(document.getElementById("linkProductId").value),
+    quantity_per_serving: parseFloat(document.getElementById("linkQuantityPerServing").value)
+  };
+
+  try {
+    const response = await fetch("/api/inventory/recipe-links", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(formData)
+    });
+
+    if (response.ok) {
+      bootstrap.Modal.getInstance(document.getElementById("recipeLinkModal")).hide();
+      loadRecipeLinks();
+    } else {
+      const error = await response.json();
+      alert("Error saving recipe link: " + error.error);
+    }
+  } catch (error) {
+    console.error("Error saving recipe link:", error);
+    alert("Error saving recipe link. Please try again.");
+  }
+}
+
+// Search and Filter Functions
+document.addEventListener("DOMContentLoaded", function() {
+  // Product search functionality
+  const productSearch = document.getElementById("product-search");
+  if (productSearch) {
+    productSearch.addEventListener("input", filterProducts);
+  }
+  
+  const productFilter = document.getElementById("product-filter");
+  if (productFilter) {
+    productFilter.addEventListener("change", filterProducts);
+  }
+});
+
+function filterProducts() {
+  const searchTerm = document.getElementById("product-search").value.toLowerCase();
+  const filterType = document.getElementById("product-filter").value;
+  
+  let filteredProducts = products.filter(product => {
+    const matchesSearch = product.name.toLowerCase().includes(searchTerm) ||
+                         (product.description && product.description.toLowerCase().includes(searchTerm));
+    
+    let matchesFilter = true;
+    if (filterType === "low-stock") {
+      matchesFilter = product.current_quantity <= product.low_stock_threshold && product.current_quantity > 0;
+    } else if (filterType === "out-of-stock") {
+      matchesFilter = product.current_quantity <= 0;
+    } else if (filterType === "in-stock") {
+      matchesFilter = product.current_quantity > product.low_stock_threshold;
+    }
+    
+    return matchesSearch && matchesFilter;
+  });
+  
+  // Temporarily replace products array for rendering
+  const originalProducts = products;
+  products = filteredProducts;
+  renderProductsList();
+  products = originalProducts;
+}
+
+// Utility Functions
+function showBulkRestockModal() {
+  alert("Bulk restock functionality coming soon!");
+}
+
+function showInventoryReports() {
+  alert("Inventory reports functionality coming soon!");
+}
+
+function showRecipeLinking() {
+  // Switch to recipe links tab
+  const recipeLinkTab = document.getElementById("recipe-links-tab");
+  recipeLinkTab.click();
+}
+
+// Enhanced Inventory Management Functions
+
+function updateProductStatistics() {
+  // Ensure arrays are initialized
+  if (!Array.isArray(filteredProducts)) filteredProducts = [];
+  if (!Array.isArray(products)) products = [];
+  
+  const showing = Math.min(filteredProducts.length, productsPerPage);
+  const total = products.length;
+  const totalValue = filteredProducts.reduce((sum, product) => {
+    return sum + (product.current_quantity * (product.cost_per_unit || 0));
+  }, 0);
+  const avgCost = filteredProducts.length > 0 ? 
+    filteredProducts.reduce((sum, product) => sum + (product.cost_per_unit || 0), 0) / filteredProducts.length : 0;
+
+  const showingElement = document.getElementById("products-showing");
+  const totalElement = document.getElementById("products-total");
+  const valueElement = document.getElementById("products-value");
+  const avgCostElement = document.getElementById("products-avg-cost");
+  
+  if (showingElement) showingElement.textContent = showing;
+  if (totalElement) totalElement.textContent = total;
+  if (valueElement) valueElement.textContent = `$${totalValue.toFixed(2)}`;
+  if (avgCostElement) avgCostElement.textContent = `$${avgCost.toFixed(2)}`;
+}
+
+function renderProductsPagination() {
+  const totalPages = Math.ceil(filteredProducts.length / productsPerPage);
+  const pagination = document.getElementById("products-pagination");
+  
+  if (totalPages <= 1) {
+    pagination.innerHTML = '';
+    return;
+  }
+
+  let paginationHtml = '';
+  
+  // Previous button
+  paginationHtml += `
+    <li class="page-item ${currentProductPage === 1 ? 'disabled' : ''}">
+      <a class="page-link" href="#" onclick="changeProductPage(${currentProductPage - 1})">Previous</a>
+    </li>
+  `;
+  
+  // Page numbers
+  for (let i = 1; i <= totalPages; i++) {
+    if (i === 1 || i === totalPages || (i >= currentProductPage - 2 && i <= currentProductPage + 2)) {
+      paginationHtml += `
+        <li class="page-item ${i === currentProductPage ? 'active' : ''}">
+          <a class="page-link" href="#" onclick="changeProductPage(${i})">${i}</a>
+        </li>
+      `;
+    } else if (i === currentProductPage - 3 || i === currentProductPage + 3) {
+      paginationHtml += '<li class="page-item disabled"><span class="page-link">...</span></li>';
+    }
+  }
+  
+  // Next button
+  paginationHtml += `
+    <li class="page-item ${currentProductPage === totalPages ? 'disabled' : ''}">
+      <a class="page-link" href="#" onclick="changeProductPage(${currentProductPage + 1})">Next</a>
+    </li>
+  `;
+  
+  pagination.innerHTML = paginationHtml;
+}
+
+function changeProductPage(page) {
+  const totalPages = Math.ceil(filteredProducts.length / productsPerPage);
+  if (page >= 1 && page <= totalPages) {
+    currentProductPage = page;
+    renderProductsList();
+  }
+}
+
+function changeProductsPerPage() {
+  productsPerPage = parseInt(document.getElementById("products-per-page").value);
+  currentProductPage = 1;
+  renderProductsList();
+}
+
+function toggleAllProducts(checked) {
+  const checkboxes = document.querySelectorAll('.product-checkbox');
+  checkboxes.forEach(checkbox => checkbox.checked = checked);
+}
+
+function getSelectedProducts() {
+  const checkboxes = document.querySelectorAll('.product-checkbox:checked');
+  return Array.from(checkboxes).map(cb => parseInt(cb.value));
+}
+
+// Enhanced filtering
+function filterProducts() {
+  // Ensure products is an array
+  if (!Array.isArray(products)) products = [];
+  
+  const searchTerm = document.getElementById("product-search")?.value?.toLowerCase() || "";
+  const filterType = document.getElementById("product-filter")?.value || "";
+  const unitFilter = document.getElementById("unit-filter")?.value || "";
+  
+  filteredProducts = products.filter(product => {
+    const matchesSearch = product.name.toLowerCase().includes(searchTerm) ||
+                         (product.description && product.description.toLowerCase().includes(searchTerm)) ||
+                         (product.supplier_info && product.supplier_info.toLowerCase().includes(searchTerm));
+    
+    let matchesFilter = true;
+    if (filterType === "low-stock") {
+      matchesFilter = product.current_quantity <= product.low_stock_threshold && product.current_quantity > 0;
+    } else if (filterType === "out-of-stock") {
+      matchesFilter = product.current_quantity <= 0;
+    } else if (filterType === "in-stock") {
+      matchesFilter = product.current_quantity > product.low_stock_threshold;
+    }
+    
+    let matchesUnit = true;
+    if (unitFilter) {
+      matchesUnit = product.unit_of_measure === unitFilter;
+    }
+    
+    return matchesSearch && matchesFilter && matchesUnit;
+  });
+  
+  currentProductPage = 1;
+  renderProductsList();
+}
+
+// Recipe linking enhancements
+async function loadRecipeLinks() {
+  const recipeId = document.getElementById("recipe-select").value;
+  if (!recipeId) {
+    document.getElementById("recipe-links-list").innerHTML = '<p class="text-muted">Select a recipe to view its ingredient links.</p>';
+    document.getElementById("recipe-info-card").style.display = 'none';
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/inventory/recipe-links/${recipeId}`);
+    const links = await response.json();
+    
+    // Load recipe details
+    const recipeResponse = await fetch(`/api/recipes/${recipeId}`);
+    const recipeData = await recipeResponse.json();
+    const recipe = recipeData.recipe;
+    
+    renderRecipeInfo(recipe);
+    renderRecipeLinks(links, recipe);
+    await calculateRecipeCost(links, recipe);
+  } catch (error) {
+    console.error("Error loading recipe links:", error);
+  }
+}
+
+function renderRecipeInfo(recipe) {
+  const card = document.getElementById("recipe-info-card");
+  const title = document.getElementById("recipe-info-title");
+  const details = document.getElementById("recipe-info-details");
+  
+  title.textContent = recipe.name;
+  details.innerHTML = `
+    <p class="mb-2">${recipe.description || 'No description available'}</p>
+    <div class="row">
+      <div class="col-md-3">
+        <small class="text-muted">Prep Time</small>
+        <div>${recipe.prep_time || 0} min</div>
+      </div>
+      <div class="col-md-3">
+        <small class="text-muted">Cook Time</small>
+        <div>${recipe.cook_time || 0} min</div>
+      </div>
+      <div class="col-md-3">
+        <small class="text-muted">Servings</small>
+        <div>${recipe.servings || 1}</div>
+      </div>
+      <div class="col-md-3">
+        <small class="text-muted">Difficulty</small>
+        <div>${recipe.difficulty || 'Not specified'}</div>
+      </div>
+    </div>
+  `;
+  
+  card.style.display = 'block';
+}
+
+function renderRecipeLinks(links, recipe) {
+  const container = document.getElementById("recipe-links-list");
+  
+  if (links.length === 0) {
+    container.innerHTML = `
+      <div class="alert alert-info">
+        <h6>No ingredient links found</h6>
+        <p class="mb-0">This recipe doesn't have any ingredients linked to inventory products yet. 
+        <a href="#" onclick="showRecipeLinkModal()">Add the first link</a></p>
+      </div>
+    `;
+    return;
+  }
+
+  const tableHtml = `
+    <table class="table table-hover">
+      <thead class="table-light">
+        <tr>
+          <th>Recipe Ingredient</th>
+          <th>Linked Product</th>
+          <th>Quantity per Serving</th>
+          <th>Available Stock</th>
+          <th>Cost per Serving</th>
+          <th>Actions</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${links.map(link => {
+          const costPerServing = (link.quantity_per_serving * (link.product_cost_per_unit || 0)).toFixed(3);
+          const stockStatus = getProductStatus({ current_quantity: link.product_current_quantity, low_stock_threshold: link.product_low_stock_threshold });
+          
+          return `
+            <tr>
+              <td>
+                <strong>${link.ingredient_name}</strong>
+                ${link.ingredient_notes ? `<br><small class="text-muted">${link.ingredient_notes}</small>` : ''}
+              </td>
+              <td>
+                <strong>${link.product_name}</strong>
+                <br><small class="text-muted">${link.product_unit_of_measure}</small>
+              </td>
+              <td>${link.quantity_per_serving} ${link.product_unit_of_measure}</td>
+              <td>
+                <span class="badge product-quantity-badge ${stockStatus.class}">
+                  ${link.product_current_quantity} ${link.product_unit_of_measure}
+                </span>
+              </td>
+              <td class="text-success">$${costPerServing}</td>
+              <td>
+                <div class="btn-group" role="group">
+                  <button class="btn btn-sm btn-outline-primary" onclick="editRecipeLink(${link.id})" title="Edit Link">
+                    <i class="fas fa-edit"></i>
+                  </button>
+                  <button class="btn btn-sm btn-outline-danger" onclick="deleteRecipeLink(${link.id})" title="Delete Link">
+                    <i class="fas fa-trash"></i>
+                  </button>
+                </div>
+              </td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+  
+  container.innerHTML = tableHtml;
+}
 
-      // Refresh all data
-      loadTables();
-      loadMenuItems();
-      loadOrders();
-      loadRecipes();
-      checkDatabaseStatus();
+// The server's cost converts each ingredient into its product's unit; fall back to the
+// links when costs cannot be viewed
+async function calculateRecipeCost(links, recipe) {
+  let costPerServing = links.reduce((sum, link) => {
+    return sum + (link.quantity_per_serving * (link.product_cost_per_unit || 0));
+  }, 0);
 
-      alert("Database seeded successfully! All sections have been refreshed.");
-    } else {
-      logOperation("❌ Database seeding failed: " + data.error, "error");
-      alert("Database seeding failed: " + data.error);
+  try {
+    const response = await fetch(`/api/recipes/${recipe.id}/cost`);
+    if (response.ok) {
+      costPerServing = (await response.json()).cost_per_serving;
     }
   } catch (error) {
-    console.error("Error seeding database:", error);
-    logOperation("❌ Error seeding database: " + error.message, "error");
-    alert("Error seeding database: " + error.message);
+    console.error("Error loading recipe cost:", error);
   }
+
+  const totalRecipeCost = costPerServing * (recipe.servings || 1);
+  
+  document.getElementById("recipe-cost-per-serving").textContent = `$${costPerServing.toFixed(2)}`;
+  document.getElementById("recipe-total-cost").textContent = `$${totalRecipeCost.toFixed(2)}`;
 }
 
-async function backupDatabase() {
-  try {
-    logOperation("Creating database backup...", "info");
+// Bulk operations
+function showBulkRestockModal() {
+  populateBulkRestockProducts();
+  new bootstrap.Modal(document.getElementById("bulkOperationsModal")).show();
+}
 
-    const response = await fetch("/api/database/backup");
+function populateBulkRestockProducts() {
+  const container = document.getElementById("bulk-restock-products");
+  
+  const productsHtml = products.map(product => {
+    const status = getProductStatus(product);
+    return `
+      <div class="form-check mb-2">
+        <input class="form-check-input" type="checkbox" value="${product.id}" id="bulk-product-${product.id}">
+        <label class="form-check-label d-flex justify-content-between align-items-center" for="bulk-product-${product.id}">
+          <div>
+            <strong>${product.name}</strong>
+            <br><small class="text-muted">${product.current_quantity} ${product.unit_of_measure}</small>
+          </div>
+          <span class="badge product-quantity-badge ${status.class}">${status.text}</span>
+        </label>
+      </div>
+    `;
+  }).join('');
+  
+  container.innerHTML = productsHtml;
+}
 
-    if (response.ok) {
-      const blob = await response.blob();
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `restaurant_backup_${
-        new Date().toISOString().split("T")[0]
-      }.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      window.URL.revokeObjectURL(url);
+async function executeBulkOperation() {
+  const activeTab = document.querySelector('#bulkTabs .nav-link.active').id;
+  
+  if (activeTab === 'bulk-restock-tab') {
+    await executeBulkRestock();
+  } else if (activeTab === 'bulk-adjust-tab') {
+    await executeBulkAdjust();
+  } else if (activeTab === 'bulk-import-tab') {
+    await executeBulkImport();
+  }
+}
 
-      logOperation("✅ Database backup downloaded successfully!", "success");
-    } else {
-      const error = await response.json();
-      logOperation("❌ Database backup failed: " + error.error, "error");
-      alert("Database backup failed: " + error.error);
-    }
+async function executeBulkRestock() {
+  const selectedProducts = Array.from(document.querySelectorAll('#bulk-restock-products input:checked')).map(cb => cb.value);
+  const quantity = parseFloat(document.getElementById("bulkRestockQuantity").value);
+  const reference = document.getElementById("bulkRestockReference").value;
+  const notes = document.getElementById("bulkRestockNotes").value;
+  
+  if (selectedProducts.length === 0 || !quantity || quantity <= 0) {
+    alert("Please select products and enter a valid quantity.");
+    return;
+  }
+  
+  try {
+    const promises = selectedProducts.map(productId => 
+      fetch(`/api/inventory/products/${productId}/restock`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          quantity: quantity,
+          notes: `${notes} (Bulk restock${reference ? ` - ${reference}` : ''})`
+        })
+      })
+    );
+    
+    await Promise.all(promises);
+    bootstrap.Modal.getInstance(document.getElementById("bulkOperationsModal")).hide();
+    loadInventoryData();
+    alert(`Successfully restocked ${selectedProducts.length} products.`);
   } catch (error) {
-    console.error("Error backing up database:", error);
-    logOperation("❌ Error backing up database: " + error.message, "error");
-    alert("Error backing up database: " + error.message);
+    console.error("Error executing bulk restock:", error);
+    alert("Error executing bulk restock. Please try again.");
   }
 }
 
-// Utility functions
-function groupBy(array, key) {
-  return array.reduce((result, item) => {
-    const group = item[key];
-    if (!result[group]) result[group] = [];
-    result[group].push(item);
-    return result;
-  }, {});
+// Export functionality
+function exportProductsCSV() {
+  const csvContent = generateProductsCSV();
+  downloadCSV(csvContent, 'inventory-products.csv');
 }
 
-// Inventory Management Functionality
-
-let currentProductPage = 1;
-let productsPerPage = 25;
-let filteredProducts = [];
+function generateProductsCSV() {
+  const headers = ['Name', 'Description', 'Unit of Measure', 'Current Quantity', 'Low Stock Threshold', 'Cost per Unit', 'Total Value', 'Supplier Info'];
+  const rows = filteredProducts.map(product => [
+    product.name,
+    product.description || '',
+    product.unit_of_measure,
+    product.current_quantity,
+    product.low_stock_threshold,
+    product.cost_per_unit || '',
+    (product.current_quantity * (product.cost_per_unit || 0)).toFixed(2),
+    product.supplier_info || ''
+  ]);
+  
+  return [headers, ...rows].map(row => 
+    row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',')
+  ).join('\n');
+}
 
-async function loadInventoryData() {
-  try {
-    await Promise.all([
-      loadProducts(),
-      loadInventoryAlerts(),
-      loadInventoryTransactions(),
-      loadRecipeLinks()
-    ]);
-    updateInventoryDashboard();
-    updateProductStatistics();
-  } catch (error) {
-    console.error("Error loading inventory data:", error);
+function downloadCSV(content, filename) {
+  const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+  if (link.download !== undefined) {
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
   }
 }
 
-async function loadProducts() {
-  try {
-    const response = await fetch("/api/inventory/products");
-    if (response.ok) {
-      const data = await response.json();
-      // Handle both array format and object format with products property
-      if (Array.isArray(data)) {
-        products = data;
-      } else if (data.products && Array.isArray(data.products)) {
-        products = data.products;
-      } else {
-        products = [];
-      }
-      filteredProducts = [...products]; // Initialize filteredProducts with all products
-    } else {
-      products = [];
-      filteredProducts = [];
-    }
-    renderProductsList();
-  } catch (error) {
-    console.error("Error loading products:", error);
-    products = [];
-    filteredProducts = [];
-    renderProductsList();
-  }
+function downloadCSVTemplate() {
+  const template = 'name,description,unit_of_measure,current_quantity,low_stock_threshold,cost_per_unit\n"Sample Product","Sample description","kg",100,10,5.99';
+  downloadCSV(template, 'product-import-template.csv');
 }
 
-async function loadInventoryAlerts() {
-  try {
-    const [lowStockResponse, outOfStockResponse] = await Promise.all([
-      fetch("/api/inventory/alerts/low-stock"),
-      fetch("/api/inventory/alerts/out-of-stock")
-    ]);
-    
-    if (lowStockResponse.ok) {
-      const lowStockData = await lowStockResponse.json();
-      inventoryAlerts.lowStock = Array.isArray(lowStockData) ? lowStockData : [];
-    } else {
-      inventoryAlerts.lowStock = [];
-    }
-    
-    if (outOfStockResponse.ok) {
-      const outOfStockData = await outOfStockResponse.json();
-      inventoryAlerts.outOfStock = Array.isArray(outOfStockData) ? outOfStockData : [];
-    } else {
-      inventoryAlerts.outOfStock = [];
-    }
-    
-    renderInventoryAlerts();
-    updateOutOfStockBanner();
-  } catch (error) {
-    console.error("Error loading inventory alerts:", error);
-    inventoryAlerts.lowStock = [];
-    inventoryAlerts.outOfStock = [];
-    renderInventoryAlerts();
-    updateOutOfStockBanner();
+// Recipe cost analysis
+function showRecipeCostAnalysis() {
+  const recipeId = document.getElementById("recipe-select").value;
+  if (!recipeId) {
+    alert("Please select a recipe first.");
+    return;
   }
+  
+  // This would load detailed cost analysis
+  new bootstrap.Modal(document.getElementById("recipeCostModal")).show();
 }
 
-async function loadInventoryTransactions() {
-  try {
-    const response = await fetch("/api/inventory/transactions");
-    if (response.ok) {
-      const data = await response.json();
-      inventoryTransactions = Array.isArray(data) ? data : [];
-    } else {
-      inventoryTransactions = [];
-    }
-    renderTransactionsList();
-  } catch (error) {
-    console.error("Error loading inventory transactions:", error);
-    inventoryTransactions = [];
-    renderTransactionsList();
-  }
+// Purchasing Functions
+
+let suppliers = [];
+let purchaseOrders = [];
+let currentSupplier = null;
+let purchaseOrderLines = [];
+let receivingOrder = null;
+let reorderSuggestions = null;
+
+const PURCHASE_ORDER_BADGES = {
+  draft: "secondary",
+  sent: "primary",
+  partially_received: "warning",
+  received: "success",
+  cancelled: "dark",
+};
+
+async function loadPurchasing() {
+  await Promise.all([loadSuppliers(), loadPurchaseOrders(), loadReorderSuggestions()]);
 }
 
-async function loadRecipeLinks() {
+async function loadReorderSuggestions() {
+  const lookbackDays = document.getElementById("reorder-lookback-days").value;
   try {
-    const response = await fetch("/api/inventory/recipe-links");
-    if (response.ok) {
-      const data = await response.json();
-      recipeLinks = Array.isArray(data) ? data : [];
-    } else {
-      recipeLinks = [];
-    }
-    populateRecipeDropdowns();
-  } catch (error) {
-    console.error("Error loading recipe links:", error);
-    recipeLinks = [];
-    populateRecipeDropdowns();
+    const response = await fetch(`/api/purchase-orders/suggestions?lookback_days=${lookbackDays}`);
+    reorderSuggestions = response.ok ? await response.json() : null;
+  } catch (error) {
+    console.error("Error loading reorder suggestions:", error);
+    reorderSuggestions = null;
   }
+  renderReorderSuggestions();
 }
 
-function updateInventoryDashboard() {
-  // Update summary cards
-  const totalProducts = products.length;
-  const lowStockCount = inventoryAlerts.lowStock ? inventoryAlerts.lowStock.length : 0;
-  const outOfStockCount = inventoryAlerts.outOfStock ? inventoryAlerts.outOfStock.length : 0;
-  const totalValue = products.reduce((sum, product) => {
-    return sum + (product.current_quantity * (product.cost_per_unit || 0));
-  }, 0);
-
-  document.getElementById("total-products").textContent = totalProducts;
-  document.getElementById("low-stock-count").textContent = lowStockCount;
-  document.getElementById("out-of-stock-count").textContent = outOfStockCount;
-  document.getElementById("total-value").textContent = `$${totalValue.toFixed(2)}`;
+async function loadSuppliers() {
+  try {
+    const response = await fetch("/api/suppliers");
+    suppliers = response.ok ? await response.json() : [];
+  } catch (error) {
+    console.error("Error loading suppliers:", error);
+    suppliers = [];
+  }
+  renderSuppliersList();
 }
 
-function updateOutOfStockBanner() {
-  const banner = document.getElementById("out-of-stock-banner");
-  const itemsContainer = document.getElementById("out-of-stock-items");
-  
-  if (inventoryAlerts.outOfStock && inventoryAlerts.outOfStock.length > 0) {
-    const itemsList = inventoryAlerts.outOfStock.map(item => item.name).join(", ");
-    itemsContainer.textContent = `The following items are out of stock: ${itemsList}`;
-    banner.classList.remove("d-none");
-  } else {
-    banner.classList.add("d-none");
+async function loadPurchaseOrders() {
+  const status = document.getElementById("purchase-order-filter").value;
+  try {
+    const response = await fetch(`/api/purchase-orders${status ? `?status=${status}` : ""}`);
+    purchaseOrders = response.ok ? await response.json() : [];
+  } catch (error) {
+    console.error("Error loading purchase orders:", error);
+    purchaseOrders = [];
   }
+  renderPurchaseOrdersList();
 }
 
-function renderProductsList() {
-  const container = document.getElementById("products-list");
-  
-  // Ensure filteredProducts is an array
-  if (!Array.isArray(filteredProducts)) filteredProducts = [];
-  
-  if (filteredProducts.length === 0) {
-    if (container) {
-      container.innerHTML = '<p class="text-muted text-center">No products found. <a href="#" onclick="showAddProductModal()">Add your first product</a></p>';
-    }
-    updateProductStatistics();
+function renderSuppliersList() {
+  const container = document.getElementById("suppliers-list");
+  if (suppliers.length === 0) {
+    container.innerHTML = '<p class="text-muted">No suppliers yet.</p>';
     return;
   }
 
-  // Calculate pagination
-  const startIndex = (currentProductPage - 1) * productsPerPage;
-  const endIndex = startIndex + productsPerPage;
-  const paginatedProducts = filteredProducts.slice(startIndex, endIndex);
-
-  const tableHtml = `
-    <table class="table table-hover">
-      <thead class="table-light">
+  container.innerHTML = `
+    <table class="table table-sm table-hover">
+      <thead>
         <tr>
-          <th>
-            <input type="checkbox" id="select-all-products" onchange="toggleAllProducts(this.checked)">
-          </th>
-          <th>Product Name</th>
-          <th>Current Quantity</th>
-          <th>Unit</th>
-          <th>Status</th>
-          <th>Cost per Unit</th>
-          <th>Total Value</th>
-          <th>Last Updated</th>
-          <th>Actions</th>
+          <th>Name</th>
+          <th>Contact</th>
+          <th>Lead Time</th>
+          <th>Minimum Order</th>
+          <th>Products</th>
+          <th>Open Orders</th>
+          <th></th>
         </tr>
       </thead>
       <tbody>
-        ${paginatedProducts.map(product => {
-          const status = getProductStatus(product);
-          const totalValue = (product.current_quantity * (product.cost_per_unit || 0)).toFixed(2);
-          const lastUpdated = product.updated_at ? new Date(product.updated_at).toLocaleDateString() : '-';
-          
-          return `
-            <tr>
-              <td>
-                <input type="checkbox" class="product-checkbox" value="${product.id}">
-              </td>
-              <td>
-                <div class="d-flex align-items-center">
-                  <div>
-                    <strong>${product.name}</strong>
-                    ${product.description ? `<br><small class="text-muted">${product.description}</small>` : ''}
-                    ${product.supplier_info ? `<br><small class="text-info"><i class="fas fa-truck"></i> ${product.supplier_info.substring(0, 30)}${product.supplier_info.length > 30 ? '...' : ''}</small>` : ''}
-                  </div>
-                </div>
-              </td>
-              <td>
-                <span class="fw-bold">${product.current_quantity}</span>
-                ${product.low_stock_threshold ? `<br><small class="text-muted">Threshold: ${product.low_stock_threshold}</small>` : ''}
-              </td>
-              <td>${product.unit_of_measure}</td>
-              <td>
-                <span class="badge product-quantity-badge ${status.class}">
-                  ${status.text}
-                </span>
-              </td>
-              <td>${product.cost_per_unit ? `$${parseFloat(product.cost_per_unit).toFixed(2)}` : '-'}</td>
-              <td class="fw-bold text-success">$${totalValue}</td>
-              <td>${lastUpdated}</td>
-              <td>
-                <div class="btn-group" role="group">
-                  <button class="btn btn-sm btn-outline-primary inventory-action-btn" onclick="showAdjustmentModal(${product.id})" title="Adjust Quantity">
-                    <i class="fas fa-edit"></i> Adjust
-                  </button>
-                  <button class="btn btn-sm btn-outline-success inventory-action-btn" onclick="quickRestock(${product.id})" title="Quick Restock">
-                    <i class="fas fa-plus"></i> Restock
-                  </button>
-                  <button class="btn btn-sm btn-outline-info inventory-action-btn" onclick="editProduct(${product.id})" title="Edit Product">
-                    <i class="fas fa-cog"></i> Edit
-                  </button>
-                  <button class="btn btn-sm btn-outline-danger inventory-action-btn" onclick="deleteProduct(${product.id})" title="Delete Product">
-                    <i class="fas fa-trash"></i> Delete
-                  </button>
-                </div>
-              </td>
-            </tr>
-          `;
-        }).join('')}
+        ${suppliers
+          .map(
+            (supplier) => `
+          <tr class="${supplier.active ? "" : "text-muted"}">
+            <td>${supplier.name} ${supplier.active ? "" : '<span class="badge bg-secondary">Inactive</span>'}</td>
+            <td>${[supplier.contact_name, supplier.email, supplier.phone].filter(Boolean).join("<br>") || "-"}</td>
+            <td>${supplier.lead_time_days} days</td>
+            <td>$${parseFloat(supplier.minimum_order_amount).toFixed(2)}</td>
+            <td>${supplier.product_count}</td>
+            <td>${supplier.open_order_count}</td>
+            <td class="text-end">
+              <button class="btn btn-sm btn-outline-primary" onclick="showSupplierModal(${supplier.id})">
+                <i class="fas fa-edit"></i>
+              </button>
+              <button class="btn btn-sm btn-outline-danger" onclick="deleteSupplier(${supplier.id})">
+                <i class="fas fa-trash"></i>
+              </button>
+            </td>
+          </tr>
+        `
+          )
+          .join("")}
       </tbody>
     </table>
   `;
-  
-  container.innerHTML = tableHtml;
-  renderProductsPagination();
-  updateProductStatistics();
-}
-
-function getProductStatus(product) {
-  if (product.current_quantity <= 0) {
-    return { class: 'out-of-stock', text: 'Out of Stock' };
-  } else if (product.current_quantity <= product.low_stock_threshold) {
-    return { class: 'low-stock', text: 'Low Stock' };
-  } else {
-    return { class: 'in-stock', text: 'In Stock' };
-  }
-}
-
-function renderInventoryAlerts() {
-  // Render low stock alerts
-  const lowStockContainer = document.getElementById("low-stock-alerts");
-  if (inventoryAlerts.lowStock && inventoryAlerts.lowStock.length > 0) {
-    lowStockContainer.innerHTML = inventoryAlerts.lowStock.map(item => `
-      <div class="inventory-alert-item low-stock">
-        <div class="d-flex justify-content-between align-items-center">
-          <div>
-            <strong>${item.name}</strong>
-            <br><small>Current: ${item.current_quantity} ${item.unit_of_measure} | Threshold: ${item.low_stock_threshold}</small>
-          </div>
-          <button class="btn btn-sm btn-warning" onclick="showAdjustmentModal(${item.id})">
-            Restock
-          </button>
-        </div>
-      </div>
-    `).join('');
-  } else {
-    lowStockContainer.innerHTML = '<p class="text-muted">No low stock alerts</p>';
-  }
-
-  // Render out of stock alerts
-  const outOfStockContainer = document.getElementById("out-of-stock-alerts");
-  if (inventoryAlerts.outOfStock && inventoryAlerts.outOfStock.length > 0) {
-    outOfStockContainer.innerHTML = inventoryAlerts.outOfStock.map(item => `
-      <div class="inventory-alert-item out-of-stock">
-        <div class="d-flex justify-content-between align-items-center">
-          <div>
-            <strong>${item.name}</strong>
-            <br><small class="text-danger">Out of stock!</small>
-          </div>
-          <button class="btn btn-sm btn-danger" onclick="showAdjustmentModal(${item.id})">
-            Restock Now
-          </button>
-        </div>
-      </div>
-    `).join('');
-  } else {
-    outOfStockContainer.innerHTML = '<p class="text-muted">No out of stock items</p>';
-  }
 }
 
-function renderTransactionsList() {
-  const container = document.getElementById("transactions-list");
-  
-  if (inventoryTransactions.length === 0) {
-    container.innerHTML = '<p class="text-muted text-center">No transactions found.</p>';
+function renderPurchaseOrdersList() {
+  const container = document.getElementById("purchase-orders-list");
+  if (purchaseOrders.length === 0) {
+    container.innerHTML = '<p class="text-muted">No purchase orders found.</p>';
     return;
   }
 
-  const tableHtml = `
-    <table class="table table-hover">
+  container.innerHTML = `
+    <table class="table table-sm table-hover">
       <thead>
         <tr>
-          <th>Date</th>
-          <th>Product</th>
-          <th>Type</th>
-          <th>Quantity Change</th>
-          <th>Reference</th>
-          <th>Notes</th>
+          <th>#</th>
+          <th>Supplier</th>
+          <th>Status</th>
+          <th>Expected</th>
+          <th>Total</th>
+          <th></th>
         </tr>
       </thead>
       <tbody>
-        ${inventoryTransactions.map(transaction => `
+        ${purchaseOrders
+          .map(
+            (order) => `
           <tr>
-            <td>${new Date(transaction.created_at).toLocaleString()}</td>
-            <td>${transaction.product_name || 'Unknown Product'}</td>
-            <td>
-              <span class="badge transaction-type-badge transaction-type-${transaction.transaction_type}">
-                ${transaction.transaction_type.toUpperCase()}
-              </span>
-            </td>
-            <td class="${transaction.quantity_change >= 0 ? 'text-success' : 'text-danger'}">
-              ${transaction.quantity_change >= 0 ? '+' : ''}${transaction.quantity_change}
+            <td>${order.id}</td>
+            <td>${order.supplier_name}</td>
+            <td><span class="badge bg-${PURCHASE_ORDER_BADGES[order.status]}">${order.status.replace("_", " ")}</span></td>
+            <td>${order.expected_at ? new Date(order.expected_at).toLocaleDateString() : "-"}</td>
+            <td>$${parseFloat(order.total).toFixed(2)}</td>
+            <td class="text-end">
+              ${order.status === "draft" ? `
+                <button class="btn btn-sm btn-outline-primary" onclick="showPurchaseOrderModal(${order.id})">Edit</button>
+                <button class="btn btn-sm btn-primary" onclick="sendPurchaseOrder(${order.id})">Send</button>
+              ` : ""}
+              ${["sent", "partially_received"].includes(order.status) ? `
+                <button class="btn btn-sm btn-success" onclick="showReceiveModal(${order.id})">Receive</button>
+              ` : ""}
+              ${["draft", "sent", "partially_received"].includes(order.status) ? `
+                <button class="btn btn-sm btn-outline-danger" onclick="cancelPurchaseOrder(${order.id})">Cancel</button>
+              ` : ""}
             </td>
-            <td>${transaction.reference_type || '-'} ${transaction.reference_id || ''}</td>
-            <td>${transaction.notes || '-'}</td>
           </tr>
-        `).join('')}
+        `
+          )
+          .join("")}
       </tbody>
     </table>
   `;
-  
-  container.innerHTML = tableHtml;
-}
-
-// Product Management Functions
-function showAddProductModal() {
-  document.getElementById("productForm").reset();
-  document.getElementById("productId").value = "";
-  document.getElementById("productModalTitle").textContent = "Add Product";
-  new bootstrap.Modal(document.getElementById("productModal")).show();
 }
 
-function editProduct(productId) {
-  const product = products.find(p => p.id === productId);
-  if (!product) return;
+function renderReorderSuggestions() {
+  const container = document.getElementById("reorder-suggestions-list");
+  if (!reorderSuggestions || reorderSuggestions.suppliers.length === 0) {
+    container.innerHTML = '<p class="text-muted">Nothing needs reordering.</p>';
+    return;
+  }
 
-  document.getElementById("productId").value = product.id;
-  document.getElementById("productName").value = product.name;
-  document.getElementById("productDescription").value = product.description || "";
-  document.getElementById("productUnit").value = product.unit_of_measure;
-  document.getElementById("productQuantity").value = product.current_quantity;
-  document.getElementById("productThreshold").value = product.low_stock_threshold;
-  document.getElementById("productCost").value = product.cost_per_unit || "";
-  document.getElementById("productSupplier").value = product.supplier_info || "";
-  
-  document.getElementById("productModalTitle").textContent = "Edit Product";
-  new bootstrap.Modal(document.getElementById("productModal")).show();
+  container.innerHTML = reorderSuggestions.suppliers
+    .map(
+      (group) => `
+    <div class="border rounded p-2 mb-2">
+      <div class="d-flex justify-content-between align-items-center mb-1">
+        <div>
+          <strong>${group.supplier_name || "No supplier"}</strong>
+          ${group.supplier_id ? `<small class="text-muted ms-2">${group.lead_time_days} day lead time</small>` : ""}
+          ${group.meets_minimum ? "" : `<span class="badge bg-warning text-dark ms-2">Below $${group.minimum_order_amount.toFixed(2)} minimum</span>`}
+        </div>
+        <div>
+          <span class="me-2">$${group.total.toFixed(2)}</span>
+          ${group.supplier_id ? `
+            <button class="btn btn-sm btn-primary" onclick="draftOrderFromSuggestions(${group.supplier_id})">Draft Order</button>
+          ` : '<small class="text-muted">Link these products to a supplier to order them</small>'}
+        </div>
+      </div>
+      <table class="table table-sm mb-0">
+        <thead>
+          <tr>
+            <th>Product</th>
+            <th>In Stock</th>
+            <th>On Order</th>
+            <th>Daily Usage</th>
+            <th>Days Left</th>
+            <th>Suggested</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${group.lines
+            .map(
+              (line) => `
+            <tr class="${line.urgent ? "table-danger" : ""}">
+              <td>${line.product_name}</td>
+              <td>${line.current_quantity} ${line.unit_of_measure}</td>
+              <td>${line.on_order || "-"}</td>
+              <td>${line.average_daily_usage}</td>
+              <td>${line.days_of_stock ?? "-"}</td>
+              <td>${line.suggested_quantity} ${line.unit_of_measure}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    </div>
+  `
+    )
+    .join("");
 }
 
-async function saveProduct() {
-  const productId = document.getElementById("productId").value;
-  const formData = {
-    name: document.getElementById("productName").value,
-    description: document.getElementById("productDescription").value,
-    unit_of_measure: document.getElementById("productUnit").value,
-    current_quantity: parseFloat(document.getElementById("productQuantity").value),
-    low_stock_threshold: parseInt(document.getElementById("productThreshold").value),
-    cost_per_unit: parseFloat(document.getElementById("productCost").value) || null,
-    supplier_info: document.getElementById("productSupplier").value
-  };
-
+/**
+ * Send a purchasing API request and refresh the purchasing lists
+ * @returns {Promise<Object|null>} - Response body, or null after showing the error
+ */
+async function sendPurchasingRequest(path, method, body, action) {
   try {
-    const url = productId ? `/api/inventory/products/${productId}` : "/api/inventory/products";
-    const method = productId ? "PUT" : "POST";
-    
-    const response = await fetch(url, {
-      method: method,
+    const response = await fetch(path, {
+      method,
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(formData)
+      body: body ? JSON.stringify(body) : undefined,
     });
+    const data = await response.json();
 
-    if (response.ok) {
-      bootstrap.Modal.getInstance(document.getElementById("productModal")).hide();
-      loadInventoryData();
-    } else {
-      const error = await response.json();
-      alert("Error saving product: " + error.error);
+    if (!response.ok) {
+      alert(`Error ${action}: ${describeApiError(data)}`);
+      return null;
     }
+
+    await loadPurchasing();
+    return data;
   } catch (error) {
-    console.error("Error saving product:", error);
-    alert("Error saving product. Please try again.");
+    console.error(`Error ${action}:`, error);
+    alert(`Error ${action}. Please try again.`);
+    return null;
+  }
+}
+
+async function showSupplierModal(supplierId) {
+  currentSupplier = null;
+  if (supplierId) {
+    const response = await fetch(`/api/suppliers/${supplierId}`);
+    if (!response.ok) return;
+    currentSupplier = await response.json();
+  }
+
+  document.getElementById("supplierId").value = currentSupplier ? currentSupplier.id : "";
+  document.getElementById("supplierName").value = currentSupplier ? currentSupplier.name : "";
+  document.getElementById("supplierContact").value = currentSupplier?.contact_name || "";
+  document.getElementById("supplierEmail").value = currentSupplier?.email || "";
+  document.getElementById("supplierPhone").value = currentSupplier?.phone || "";
+  document.getElementById("supplierLeadTime").value = currentSupplier ? currentSupplier.lead_time_days : 0;
+  document.getElementById("supplierMinimumOrder").value = currentSupplier ? currentSupplier.minimum_order_amount : 0;
+  document.getElementById("supplierModalTitle").textContent = currentSupplier ? "Edit Supplier" : "Add Supplier";
+  document.getElementById("supplier-products-section").style.display = currentSupplier ? "" : "none";
+  renderSupplierProducts();
+
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("supplierModal")).show();
+}
+
+function renderSupplierProducts() {
+  if (!currentSupplier) return;
+
+  const list = document.getElementById("supplier-products-list");
+  list.innerHTML = currentSupplier.products.length === 0
+    ? '<p class="text-muted">No products linked yet.</p>'
+    : currentSupplier.products
+        .map(
+          (link) => `
+        <div class="d-flex justify-content-between align-items-center border-bottom py-1">
+          <div>
+            ${link.is_preferred ? '<i class="fas fa-star text-warning" title="Preferred supplier"></i>' : ""}
+            <strong>${link.product_name}</strong>
+            ${link.supplier_sku ? `<small class="text-muted">(${link.supplier_sku})</small>` : ""}
+            <br><small>Pack of ${parseFloat(link.pack_size)} ${link.unit_of_measure}${link.pack_cost !== null ? ` at $${parseFloat(link.pack_cost).toFixed(2)}` : ""}</small>
+          </div>
+          <button class="btn btn-sm btn-outline-danger" onclick="unlinkSupplierProduct(${link.product_id})">Unlink</button>
+        </div>
+      `
+        )
+        .join("");
+
+  const linked = new Set(currentSupplier.products.map((link) => link.product_id));
+  document.getElementById("newSupplierProduct").innerHTML = products
+    .filter((product) => !linked.has(product.id))
+    .map((product) => `<option value="${product.id}">${product.name} (${product.unit_of_measure})</option>`)
+    .join("");
+}
+
+async function saveSupplier() {
+  const supplierId = document.getElementById("supplierId").value;
+  const body = {
+    name: document.getElementById("supplierName").value,
+    contact_name: document.getElementById("supplierContact").value,
+    email: document.getElementById("supplierEmail").value,
+    phone: document.getElementById("supplierPhone").value,
+    lead_time_days: parseInt(document.getElementById("supplierLeadTime").value) || 0,
+    minimum_order_amount: parseFloat(document.getElementById("supplierMinimumOrder").value) || 0,
+  };
+
+  const data = await sendPurchasingRequest(
+    supplierId ? `/api/suppliers/${supplierId}` : "/api/suppliers",
+    supplierId ? "PUT" : "POST",
+    body,
+    "saving supplier"
+  );
+  if (!data) return;
+
+  if (supplierId) {
+    bootstrap.Modal.getInstance(document.getElementById("supplierModal")).hide();
+  } else {
+    // Stay open so the new supplier's products can be linked
+    showSupplierModal(data.supplier.id);
   }
 }
 
-async function deleteProduct(productId) {
-  const product = products.find(p => p.id === productId);
-  if (!product) return;
+async function deleteSupplier(supplierId) {
+  const supplier = suppliers.find((s) => s.id === supplierId);
+  if (!confirm(`Remove ${supplier.name}? Suppliers with purchase orders are deactivated instead.`)) return;
+  await sendPurchasingRequest(`/api/suppliers/${supplierId}`, "DELETE", null, "removing supplier");
+}
 
-  if (!confirm(`Are you sure you want to delete "${product.name}"? This action cannot be undone.`)) {
-    return;
+async function linkSupplierProduct() {
+  const productId = document.getElementById("newSupplierProduct").value;
+  if (!productId) return;
+
+  const packSize = parseFloat(document.getElementById("newSupplierPackSize").value);
+  const packCost = parseFloat(document.getElementById("newSupplierPackCost").value);
+  const body = {
+    supplier_sku: document.getElementById("newSupplierSku").value || null,
+    is_preferred: !currentSupplier.products.length,
+  };
+  if (!isNaN(packSize)) body.pack_size = packSize;
+  if (!isNaN(packCost)) body.pack_cost = packCost;
+
+  const data = await sendPurchasingRequest(
+    `/api/suppliers/${currentSupplier.id}/products/${productId}`,
+    "PUT",
+    body,
+    "linking product"
+  );
+  if (data) {
+    document.getElementById("newSupplierSku").value = "";
+    document.getElementById("newSupplierPackSize").value = "";
+    document.getElementById("newSupplierPackCost").value = "";
+    showSupplierModal(currentSupplier.id);
   }
+}
 
-  try {
-    const response = await fetch(`/api/inventory/products/${productId}`, {
-      method: "DELETE"
-    });
+async function unlinkSupplierProduct(productId) {
+  const data = await sendPurchasingRequest(
+    `/api/suppliers/${currentSupplier.id}/products/${productId}`,
+    "DELETE",
+    null,
+    "unlinking product"
+  );
+  if (data) showSupplierModal(currentSupplier.id);
+}
 
-    if (response.ok) {
-      loadInventoryData();
-    } else {
-      const error = await response.json();
-      alert("Error deleting product: " + error.error);
-    }
-  } catch (error) {
-    console.error("Error deleting product:", error);
-    alert("Error deleting product. Please try again.");
+async function showPurchaseOrderModal(orderId) {
+  let order = null;
+  if (orderId) {
+    const response = await fetch(`/api/purchase-orders/${orderId}`);
+    if (!response.ok) return;
+    order = await response.json();
   }
+
+  document.getElementById("purchaseOrderSupplier").innerHTML = suppliers
+    .filter((supplier) => supplier.active)
+    .map((supplier) => `<option value="${supplier.id}">${supplier.name}</option>`)
+    .join("");
+  document.getElementById("purchaseOrderId").value = order ? order.id : "";
+  if (order) document.getElementById("purchaseOrderSupplier").value = order.supplier_id;
+  document.getElementById("purchaseOrderExpected").value = order?.expected_at ? order.expected_at.slice(0, 10) : "";
+  document.getElementById("purchaseOrderNotes").value = order?.notes || "";
+  document.getElementById("purchaseOrderModalTitle").textContent = order ? `Purchase Order #${order.id}` : "New Purchase Order";
+
+  purchaseOrderLines = order
+    ? order.lines.map((line) => ({
+        product_id: line.product_id,
+        quantity_ordered: parseFloat(line.quantity_ordered),
+        unit_cost: parseFloat(line.unit_cost),
+      }))
+    : [{ product_id: products[0]?.id, quantity_ordered: 1, unit_cost: null }];
+  renderPurchaseOrderLines();
+
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("purchaseOrderModal")).show();
 }
 
-// Inventory Adjustment Functions
-function showAdjustmentModal(productId) {
-  const product = products.find(p => p.id === productId);
-  if (!product) return;
+function renderPurchaseOrderLines() {
+  document.getElementById("purchase-order-lines").innerHTML = purchaseOrderLines
+    .map(
+      (line, index) => `
+      <div class="row g-2 mb-2">
+        <div class="col-6">
+          <select class="form-select form-select-sm" onchange="updatePurchaseOrderLine(${index}, 'product_id', parseInt(this.value))">
+            ${products
+              .map(
+                (product) =>
+                  `<option value="${product.id}" ${product.id === line.product_id ? "selected" : ""}>${product.name} (${product.unit_of_measure})</option>`
+              )
+              .join("")}
+          </select>
+        </div>
+        <div class="col-2">
+          <input type="number" class="form-control form-control-sm" min="0" step="0.001" value="${line.quantity_ordered}"
+                 placeholder="Quantity" onchange="updatePurchaseOrderLine(${index}, 'quantity_ordered', parseFloat(this.value))">
+        </div>
+        <div class="col-3">
+          <input type="number" class="form-control form-control-sm" min="0" step="0.0001" value="${line.unit_cost ?? ""}"
+                 placeholder="Unit cost (from supplier)" onchange="updatePurchaseOrderLine(${index}, 'unit_cost', this.value === '' ? null : parseFloat(this.value))">
+        </div>
+        <div class="col-1">
+          <button class="btn btn-sm btn-outline-danger w-100" onclick="removePurchaseOrderLine(${index})">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+      </div>
+    `
+    )
+    .join("");
+}
 
-  document.getElementById("adjustmentForm").reset();
-  document.getElementById("adjustmentProductId").value = product.id;
-  document.getElementById("adjustmentProductName").value = product.name;
-  document.getElementById("adjustmentCurrentQuantity").value = `${product.current_quantity} ${product.unit_of_measure}`;
-  
-  new bootstrap.Modal(document.getElementById("adjustmentModal")).show();
+function updatePurchaseOrderLine(index, field, value) {
+  purchaseOrderLines[index][field] = value;
 }
 
-async function quickRestock(productId) {
-  const quantity = prompt("Enter quantity to add:");
-  if (!quantity || isNaN(quantity) || parseFloat(quantity) <= 0) return;
+function addPurchaseOrderLine() {
+  purchaseOrderLines.push({ product_id: products[0]?.id, quantity_ordered: 1, unit_cost: null });
+  renderPurchaseOrderLines();
+}
 
-  try {
-    const response = await fetch(`/api/inventory/products/${productId}/restock`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        quantity: parseFloat(quantity),
-        notes: "Quick restock from dashboard"
-      })
-    });
+function removePurchaseOrderLine(index) {
+  purchaseOrderLines.splice(index, 1);
+  renderPurchaseOrderLines();
+}
 
-    if (response.ok) {
-      loadInventoryData();
-    } else {
-      const error = await response.json();
-      alert("Error restocking product: " + error.error);
-    }
-  } catch (error) {
-    console.error("Error restocking product:", error);
-    alert("Error restocking product. Please try again.");
-  }
+async function savePurchaseOrder() {
+  const orderId = document.getElementById("purchaseOrderId").value;
+  const body = {
+    supplier_id: parseInt(document.getElementById("purchaseOrderSupplier").value),
+    expected_at: document.getElementById("purchaseOrderExpected").value || null,
+    notes: document.getElementById("purchaseOrderNotes").value || null,
+    lines: purchaseOrderLines.map((line) => ({
+      product_id: line.product_id,
+      quantity_ordered: line.quantity_ordered,
+      unit_cost: line.unit_cost,
+    })),
+  };
+
+  const data = await sendPurchasingRequest(
+    orderId ? `/api/purchase-orders/${orderId}` : "/api/purchase-orders",
+    orderId ? "PUT" : "POST",
+    body,
+    "saving purchase order"
+  );
+  if (data) bootstrap.Modal.getInstance(document.getElementById("purchaseOrderModal")).hide();
 }
 
-async function saveAdjustment() {
-  const productId = document.getElementById("adjustmentProductId").value;
-  const type = document.getElementById("adjustmentType").value;
-  const quantity = parseFloat(document.getElementById("adjustmentQuantity").value);
-  const notes = document.getElementById("adjustmentNotes").value;
+async function draftOrderFromSuggestions(supplierId) {
+  const data = await sendPurchasingRequest(
+    "/api/purchase-orders/from-suggestions",
+    "POST",
+    {
+      supplier_id: supplierId,
+      lookback_days: parseInt(document.getElementById("reorder-lookback-days").value),
+    },
+    "drafting purchase order"
+  );
+  if (data) showPurchaseOrderModal(data.purchase_order.id);
+}
 
-  if (!quantity || isNaN(quantity)) {
-    alert("Please enter a valid quantity.");
-    return;
-  }
+async function sendPurchaseOrder(orderId) {
+  if (!confirm(`Mark purchase order #${orderId} as sent to the supplier?`)) return;
+  await sendPurchasingRequest(`/api/purchase-orders/${orderId}/send`, "POST", null, "sending purchase order");
+}
 
-  try {
-    const endpoint = type === "restock" ? "restock" : "adjust";
-    const response = await fetch(`/api/inventory/products/${productId}/${endpoint}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        quantity: quantity,
-        transaction_type: type,
-        notes: notes
+async function cancelPurchaseOrder(orderId) {
+  const reason = prompt(`Why is purchase order #${orderId} being cancelled?`);
+  if (!reason) return;
+  await sendPurchasingRequest(`/api/purchase-orders/${orderId}/cancel`, "POST", { reason }, "cancelling purchase order");
+}
+
+async function showReceiveModal(orderId) {
+  const response = await fetch(`/api/purchase-orders/${orderId}`);
+  if (!response.ok) return;
+  receivingOrder = await response.json();
+
+  document.getElementById("receivePurchaseOrderTitle").textContent =
+    `Receive Purchase Order #${receivingOrder.id} from ${receivingOrder.supplier_name}`;
+  document.getElementById("receiveNotes").value = "";
+  document.getElementById("receive-lines").innerHTML = `
+    <div class="row g-2 fw-bold small mb-1">
+      <div class="col-5">Product</div>
+      <div class="col-3">Received now</div>
+      <div class="col-4">Unit cost</div>
+    </div>
+    ${receivingOrder.lines
+      .map((line) => {
+        const remaining = Math.max(parseFloat(line.quantity_ordered) - parseFloat(line.quantity_received), 0);
+        return `
+        <div class="row g-2 mb-2 align-items-center">
+          <div class="col-5">
+            ${line.product_name}
+            <br><small class="text-muted">${parseFloat(line.quantity_received)} of ${parseFloat(line.quantity_ordered)} ${line.unit_of_measure} received</small>
+          </div>
+          <div class="col-3">
+            <input type="number" class="form-control form-control-sm" id="receive-quantity-${line.id}" min="0" max="${remaining}" step="0.001" value="${remaining}" ${remaining === 0 ? "disabled" : ""}>
+          </div>
+          <div class="col-4">
+            <input type="number" class="form-control form-control-sm" id="receive-cost-${line.id}" min="0" step="0.0001" value="${parseFloat(line.unit_cost)}" ${remaining === 0 ? "disabled" : ""}>
+          </div>
+        </div>
+      `;
       })
-    });
+      .join("")}
+  `;
 
-    if (response.ok) {
-      bootstrap.Modal.getInstance(document.getElementById("adjustmentModal")).hide();
-      loadInventoryData();
-    } else {
-      const error = await response.json();
-      alert("Error adjusting inventory: " + error.error);
-    }
-  } catch (error) {
-    console.error("Error adjusting inventory:", error);
-    alert("Error adjusting inventory. Please try again.");
-  }
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("receivePurchaseOrderModal")).show();
 }
 
-// Recipe Linking Functions
-function populateRecipeDropdowns() {
-  // Populate recipe select in main tab
-  const recipeSelect = document.getElementById("recipe-select");
-  recipeSelect.innerHTML = '<option value="">Select a recipe to view links...</option>';
-  
-  // Populate recipe select in modal
-  const modalRecipeSelect = document.getElementById("linkRecipeId");
-  modalRecipeSelect.innerHTML = '<option value="">Select recipe...</option>';
-  
-  // Populate product select in modal
-  const productSelect = document.getElementById("linkProductId");
-  productSelect.innerHTML = '<option value="">Select product...</option>';
-  
-  recipes.forEach(recipe => {
-    const option1 = document.createElement("option");
-    option1.value = recipe.id;
-    option1.textContent = recipe.name;
-    recipeSelect.appendChild(option1);
-    
-    const option2 = document.createElement("option");
-    option2.value = recipe.id;
-    option2.textContent = recipe.name;
-    modalRecipeSelect.appendChild(option2);
-  });
-  
-  products.forEach(product => {
-    const option = document.createElement("option");
-    option.value = product.id;
-    option.textContent = `${product.name} (${product.unit_of_measure})`;
-    productSelect.appendChild(option);
-  });
-}
+async function receivePurchaseOrder() {
+  const lines = receivingOrder.lines
+    .map((line) => ({
+      line_id: line.id,
+      quantity_received: parseFloat(document.getElementById(`receive-quantity-${line.id}`).value),
+      unit_cost: parseFloat(document.getElementById(`receive-cost-${line.id}`).value),
+    }))
+    .filter((line) => line.quantity_received > 0)
+    .map((line) => (isNaN(line.unit_cost) ? { line_id: line.line_id, quantity_received: line.quantity_received } : line));
+  if (lines.length === 0) {
+    alert("Enter the quantity received for at least one line.");
+    return;
+  }
 
-function showRecipeLinkModal() {
-  document.getElementById("recipeLinkForm").reset();
-  populateRecipeDropdowns();
-  new bootstrap.Modal(document.getElementById("recipeLinkModal")).show();
+  const data = await sendPurchasingRequest(
+    `/api/purchase-orders/${receivingOrder.id}/receive`,
+    "POST",
+    { lines, notes: document.getElementById("receiveNotes").value || null },
+    "receiving delivery"
+  );
+  if (data) {
+    bootstrap.Modal.getInstance(document.getElementById("receivePurchaseOrderModal")).hide();
+    loadProducts();
+    loadInventoryTransactions();
+  }
 }
 
-async function loadRecipeIngredients() {
-  const recipeId = document.getElementById("linkRecipeId").value;
-  const ingredientSelect = document.getElementById("linkIngredientId");
-  
-  ingredientSelect.innerHTML = '<option value="">Select ingredient...</option>';
-  
-  if (!recipeId) return;
+// Stock Count Functions
+
+let stockCounts = [];
+let currentStockCount = null;
 
+const STOCK_COUNT_BADGES = {
+  open: "primary",
+  posted: "success",
+  cancelled: "dark",
+};
+
+async function loadStockCounts() {
+  const status = document.getElementById("stock-count-filter").value;
   try {
-    const response = await fetch(`/api/recipes/${recipeId}`);
-    const data = await response.json();
-    const recipe = data.recipe;
-    
-    if (recipe.ingredients) {
-      recipe.ingredients.forEach(ingredient => {
-        const option = document.createElement("option");
-        option.value = ingredient.id;
-        option.textContent = `${ingredient.name} (${ingredient.quantity || ''} ${ingredient.unit || ''})`;
-        ingredientSelect.appendChild(option);
-      });
-    }
+    const response = await fetch(`/api/inventory/counts${status ? `?status=${status}` : ""}`);
+    stockCounts = response.ok ? await response.json() : [];
   } catch (error) {
-    console.error("Error loading recipe ingredients:", error);
+    console.error("Error loading stock counts:", error);
+    stockCounts = [];
   }
+  renderStockCountsList();
+  loadUsageReport();
 }
 
-async function saveRecipeLink() {
-  const formData = {
-    recipe_ingredient_id: parseInt(document.getElementById("linkIngredientId").value),
-    product_id: parseInt(document.getElementById("linkProductId").value),
-    quantity_per_serving: parseFloat(document.getElementById("linkQuantityPerServing").value)
-  };
+let usageReport = null;
 
-  try {
-    const response = await fetch("/api/inventory/recipe-links", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(formData)
-    });
+async function loadUsageReport() {
+  const params = new URLSearchParams();
+  const startDate = document.getElementById("usage-start-date").value;
+  const endDate = document.getElementById("usage-end-date").value;
+  if (startDate) params.set("start_date", startDate);
+  if (endDate) params.set("end_date", endDate);
 
-    if (response.ok) {
-      bootstrap.Modal.getInstance(document.getElementById("recipeLinkModal")).hide();
-      loadRecipeLinks();
-    } else {
-      const error = await response.json();
-      alert("Error saving recipe link: " + error.error);
-    }
+  try {
+    const response = await fetch(`/api/inventory/usage?${params}`);
+    // Only managers can see the usage report
+    usageReport = response.ok ? await response.json() : null;
   } catch (error) {
-    console.error("Error saving recipe link:", error);
-    alert("Error saving recipe link. Please try again.");
+    console.error("Error loading usage report:", error);
+    usageReport = null;
   }
+  renderUsageReport();
 }
 
-// Search and Filter Functions
-document.addEventListener("DOMContentLoaded", function() {
-  // Product search functionality
-  const productSearch = document.getElementById("product-search");
-  if (productSearch) {
-    productSearch.addEventListener("input", filterProducts);
+function renderUsageReport() {
+  const container = document.getElementById("usage-report");
+  if (!usageReport) {
+    container.innerHTML = '<p class="text-muted">The usage report is available to managers.</p>';
+    return;
   }
-  
-  const productFilter = document.getElementById("product-filter");
-  if (productFilter) {
-    productFilter.addEventListener("change", filterProducts);
+
+  const report = usageReport;
+  const quantity = (value, product) => `${value} ${product.unit_of_measure}`;
+  const rows = report.products
+    .filter((product) => product.opening_quantity || product.purchased_quantity || product.theoretical_quantity || product.closing_quantity)
+    .map(
+      (product) => `
+        <tr class="${product.variance_quantity > 0 ? "table-warning" : ""}">
+          <td>${product.name}${product.counted_at ? ' <i class="fas fa-clipboard-check text-success" title="Counted"></i>' : ""}</td>
+          <td>${quantity(product.opening_quantity, product)}</td>
+          <td>${quantity(product.purchased_quantity, product)}</td>
+          <td>${quantity(product.theoretical_quantity, product)}</td>
+          <td>${quantity(product.waste_quantity, product)}</td>
+          <td>${quantity(product.closing_quantity, product)}</td>
+          <td>${quantity(product.variance_quantity, product)}</td>
+          <td>$${product.variance_cost.toFixed(2)}</td>
+        </tr>
+      `
+    )
+    .join("");
+
+  container.innerHTML = `
+    <p>
+      From ${report.start_date} to ${report.end_date}: $${report.theoretical_cost.toFixed(2)} used by sales,
+      $${report.waste_cost.toFixed(2)} wasted and <strong>$${report.variance_cost.toFixed(2)}</strong> unexplained
+      ${
+        report.undeducted_orders.length > 0
+          ? `<br><small class="text-danger">${report.undeducted_orders.length} served orders have not had their ingredients deducted</small>`
+          : ""
+      }
+    </p>
+    <table class="table table-sm">
+      <thead>
+        <tr><th>Product</th><th>Opening</th><th>Purchased</th><th>Theoretical</th><th>Waste</th><th>Closing</th><th>Variance</th><th>Cost</th></tr>
+      </thead>
+      <tbody>${rows || '<tr><td colspan="8" class="text-muted">No stock movements</td></tr>'}</tbody>
+    </table>
+  `;
+}
+
+function renderStockCountsList() {
+  // Suggest the categories products already use
+  document.getElementById("product-categories").innerHTML = [...new Set(products.map((product) => product.category).filter(Boolean))]
+    .sort()
+    .map((value) => `<option value="${value}">`)
+    .join("");
+
+  const container = document.getElementById("stock-counts-list");
+  if (stockCounts.length === 0) {
+    container.innerHTML = '<p class="text-muted">No stock counts found.</p>';
+    return;
   }
-});
 
-function filterProducts() {
-  const searchTerm = document.getElementById("product-search").value.toLowerCase();
-  const filterType = document.getElementById("product-filter").value;
-  
-  let filteredProducts = products.filter(product => {
-    const matchesSearch = product.name.toLowerCase().includes(searchTerm) ||
-                         (product.description && product.description.toLowerCase().includes(searchTerm));
-    
-    let matchesFilter = true;
-    if (filterType === "low-stock") {
-      matchesFilter = product.current_quantity <= product.low_stock_threshold && product.current_quantity > 0;
-    } else if (filterType === "out-of-stock") {
-      matchesFilter = product.current_quantity <= 0;
-    } else if (filterType === "in-stock") {
-      matchesFilter = product.current_quantity > product.low_stock_threshold;
+  container.innerHTML = `
+    <table class="table table-sm table-hover">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Covers</th>
+          <th>Status</th>
+          <th>Started</th>
+          <th>Counted</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${stockCounts
+          .map(
+            (count) => `
+          <tr>
+            <td>${count.id}</td>
+            <td>${[count.category, count.location_name].filter(Boolean).join(" / ") || "All products"}</td>
+            <td><span class="badge bg-${STOCK_COUNT_BADGES[count.status]}">${count.status}</span></td>
+            <td>${new Date(count.started_at).toLocaleString()}${count.started_by_name ? ` by ${count.started_by_name}` : ""}</td>
+            <td>${count.counted_count} of ${count.product_count}</td>
+            <td class="text-end">
+              <button class="btn btn-sm btn-outline-primary" onclick="showStockCountModal(${count.id})">
+                ${count.status === "open" ? "Count" : "Variances"}
+              </button>
+            </td>
+          </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Send a stock count API request and refresh the open count and the list
+ * @returns {Promise<Object|null>} - Response body, or null after showing the error
+ */
+async function sendStockCountRequest(path, method, body, action, contentType = "application/json") {
+  try {
+    const response = await fetch(path, {
+      method,
+      headers: { "Content-Type": contentType },
+      body: body === undefined ? undefined : contentType === "application/json" ? JSON.stringify(body) : body,
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(`Error ${action}: ${describeApiError(data)}`);
+      return null;
     }
-    
-    return matchesSearch && matchesFilter;
-  });
-  
-  // Temporarily replace products array for rendering
-  const originalProducts = products;
-  products = filteredProducts;
-  renderProductsList();
-  products = originalProducts;
-}
 
-// Utility Functions
-function showBulkRestockModal() {
-  alert("Bulk restock functionality coming soon!");
+    if (data.stock_count) {
+      currentStockCount = data.stock_count;
+      renderStockCount();
+    }
+    await loadStockCounts();
+    return data;
+  } catch (error) {
+    console.error(`Error ${action}:`, error);
+    alert(`Error ${action}. Please try again.`);
+    return null;
+  }
 }
 
-function showInventoryReports() {
-  alert("Inventory reports functionality coming soon!");
+async function startStockCount() {
+  const data = await sendStockCountRequest(
+    "/api/inventory/counts",
+    "POST",
+    {
+      category: document.getElementById("stock-count-category").value.trim() || null,
+      location_id: parseInt(document.getElementById("stock-count-location").value) || null,
+    },
+    "starting stock count"
+  );
+  if (data) {
+    bootstrap.Modal.getOrCreateInstance(document.getElementById("stockCountModal")).show();
+  }
 }
 
-function showRecipeLinking() {
-  // Switch to recipe links tab
-  const recipeLinkTab = document.getElementById("recipe-links-tab");
-  recipeLinkTab.click();
+async function showStockCountModal(stockCountId) {
+  const response = await fetch(`/api/inventory/counts/${stockCountId}`);
+  if (!response.ok) return;
+  currentStockCount = await response.json();
+  renderStockCount();
+  bootstrap.Modal.getOrCreateInstance(document.getElementById("stockCountModal")).show();
 }
 
-// Enhanced Inventory Management Functions
+function renderStockCount() {
+  const count = currentStockCount;
+  const open = count.status === "open";
+  const summary = count.summary;
+  const formatCost = (value) => `${value < 0 ? "-" : ""}$${Math.abs(value).toFixed(2)}`;
+
+  document.getElementById("stockCountModalTitle").textContent =
+    `Stock Count #${count.id}: ${[count.category, count.location_name].filter(Boolean).join(" / ") || "All products"}`;
+  document.getElementById("stock-count-import").style.display = open ? "" : "none";
+  document.getElementById("stock-count-actions").querySelectorAll(".btn-primary, .btn-success, .btn-outline-danger")
+    .forEach((button) => (button.style.display = open ? "" : "none"));
+
+  document.getElementById("stock-count-summary").innerHTML = `
+    <span class="badge bg-${STOCK_COUNT_BADGES[count.status]} me-2">${count.status}</span>
+    Counted ${summary.counted_count} of ${summary.product_count} products,
+    ${summary.variance_count} with a variance:
+    <span class="text-danger">${formatCost(-summary.shortage_cost)} short</span>,
+    <span class="text-success">${formatCost(summary.overage_cost)} over</span>,
+    <strong>${formatCost(summary.net_variance_cost)} net</strong>
+    <br><small class="text-muted">Expected quantities are stock when the count started on ${new Date(count.started_at).toLocaleString()}</small>
+  `;
 
-function updateProductStatistics() {
-  // Ensure arrays are initialized
-  if (!Array.isArray(filteredProducts)) filteredProducts = [];
-  if (!Array.isArray(products)) products = [];
-  
-  const showing = Math.min(filteredProducts.length, productsPerPage);
-  const total = products.length;
-  const totalValue = filteredProducts.reduce((sum, product) => {
-    return sum + (product.current_quantity * (product.cost_per_unit || 0));
-  }, 0);
-  const avgCost = filteredProducts.length > 0 ? 
-    filteredProducts.reduce((sum, product) => sum + (product.cost_per_unit || 0), 0) / filteredProducts.length : 0;
+  document.getElementById("stock-count-lines").innerHTML = `
+    <table class="table table-sm align-middle">
+      <thead>
+        <tr>
+          <th>Product</th>
+          <th>Location</th>
+          <th>Expected</th>
+          <th style="width: 140px;">Counted</th>
+          <th>Variance</th>
+          <th>Cost</th>
+          <th>Notes</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${count.lines
+          .map(
+            (line) => `
+          <tr class="${line.variance < 0 ? "table-danger" : line.variance > 0 ? "table-warning" : ""}">
+            <td>${line.product_name}</td>
+            <td>${line.location_name || "-"}</td>
+            <td>${parseFloat(line.expected_quantity)} ${line.unit_of_measure}</td>
+            <td>
+              <input type="number" class="form-control form-control-sm" id="count-quantity-${line.product_id}" min="0" step="0.001"
+                value="${line.counted_quantity === null ? "" : parseFloat(line.counted_quantity)}" ${open ? "" : "disabled"}>
+            </td>
+            <td>${line.variance === null ? "-" : `${line.variance > 0 ? "+" : ""}${line.variance}`}</td>
+            <td>${line.variance_cost === null ? "-" : formatCost(line.variance_cost)}</td>
+            <td>
+              <input type="text" class="form-control form-control-sm" id="count-notes-${line.product_id}"
+                value="${line.notes || ""}" ${open ? "" : "disabled"}>
+            </td>
+          </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
 
-  const showingElement = document.getElementById("products-showing");
-  const totalElement = document.getElementById("products-total");
-  const valueElement = document.getElementById("products-value");
-  const avgCostElement = document.getElementById("products-avg-cost");
-  
-  if (showingElement) showingElement.textContent = showing;
-  if (totalElement) totalElement.textContent = total;
-  if (valueElement) valueElement.textContent = `$${totalValue.toFixed(2)}`;
-  if (avgCostElement) avgCostElement.textContent = `$${avgCost.toFixed(2)}`;
+async function saveStockCounts() {
+  const lines = currentStockCount.lines
+    .map((line) => ({
+      product_id: line.product_id,
+      quantity: document.getElementById(`count-quantity-${line.product_id}`).value,
+      notes: document.getElementById(`count-notes-${line.product_id}`).value.trim() || null,
+    }))
+    .filter((line) => line.quantity !== "")
+    .map((line) => ({ product_id: line.product_id, counted_quantity: parseFloat(line.quantity), notes: line.notes }));
+  if (lines.length === 0) {
+    alert("Enter a counted quantity for at least one product.");
+    return null;
+  }
+
+  return sendStockCountRequest(`/api/inventory/counts/${currentStockCount.id}/lines`, "PUT", { lines }, "saving counts");
 }
 
-function renderProductsPagination() {
-  const totalPages = Math.ceil(filteredProducts.length / productsPerPage);
-  const pagination = document.getElementById("products-pagination");
-  
-  if (totalPages <= 1) {
-    pagination.innerHTML = '';
+async function importStockCountCsv() {
+  const file = document.getElementById("stockCountCsv").files[0];
+  if (!file) {
+    alert("Choose a count sheet to import.");
     return;
   }
 
-  let paginationHtml = '';
-  
-  // Previous button
-  paginationHtml += `
-    <li class="page-item ${currentProductPage === 1 ? 'disabled' : ''}">
-      <a class="page-link" href="#" onclick="changeProductPage(${currentProductPage - 1})">Previous</a>
-    </li>
-  `;
-  
-  // Page numbers
-  for (let i = 1; i <= totalPages; i++) {
-    if (i === 1 || i === totalPages || (i >= currentProductPage - 2 && i <= currentProductPage + 2)) {
-      paginationHtml += `
-        <li class="page-item ${i === currentProductPage ? 'active' : ''}">
-          <a class="page-link" href="#" onclick="changeProductPage(${i})">${i}</a>
-        </li>
-      `;
-    } else if (i === currentProductPage - 3 || i === currentProductPage + 3) {
-      paginationHtml += '<li class="page-item disabled"><span class="page-link">...</span></li>';
-    }
+  const data = await sendStockCountRequest(
+    `/api/inventory/counts/${currentStockCount.id}/import`,
+    "POST",
+    await file.text(),
+    "importing count sheet",
+    "text/csv"
+  );
+  if (data) {
+    document.getElementById("stockCountCsv").value = "";
   }
-  
-  // Next button
-  paginationHtml += `
-    <li class="page-item ${currentProductPage === totalPages ? 'disabled' : ''}">
-      <a class="page-link" href="#" onclick="changeProductPage(${currentProductPage + 1})">Next</a>
-    </li>
-  `;
-  
-  pagination.innerHTML = paginationHtml;
 }
 
-function changeProductPage(page) {
-  const totalPages = Math.ceil(filteredProducts.length / productsPerPage);
-  if (page >= 1 && page <= totalPages) {
-    currentProductPage = page;
-    renderProductsList();
-  }
+function downloadStockCountSheet() {
+  const quote = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+  const rows = currentStockCount.lines.map((line) =>
+    [line.product_id, quote(line.product_name), quote(line.location_name), line.unit_of_measure, line.counted_quantity ?? "", ""].join(",")
+  );
+  downloadCSV(
+    ["product_id,product_name,location,unit_of_measure,counted_quantity,notes", ...rows].join("\n"),
+    `stock-count-${currentStockCount.id}.csv`
+  );
 }
 
-function changeProductsPerPage() {
-  productsPerPage = parseInt(document.getElementById("products-per-page").value);
-  currentProductPage = 1;
-  renderProductsList();
-}
+async function postStockCount() {
+  const saved = await saveStockCounts();
+  if (!saved) return;
 
-function toggleAllProducts(checked) {
-  const checkboxes = document.querySelectorAll('.product-checkbox');
-  checkboxes.forEach(checkbox => checkbox.checked = checked);
-}
+  const summary = currentStockCount.summary;
+  if (!confirm(
+    `Post ${summary.variance_count} adjustments (net ${summary.net_variance_cost.toFixed(2)})? ` +
+    `${summary.product_count - summary.counted_count} uncounted products will be left as they are.`
+  )) {
+    return;
+  }
 
-function getSelectedProducts() {
-  const checkboxes = document.querySelectorAll('.product-checkbox:checked');
-  return Array.from(checkboxes).map(cb => parseInt(cb.value));
+  const data = await sendStockCountRequest(`/api/inventory/counts/${currentStockCount.id}/post`, "POST", undefined, "posting stock count");
+  if (data) {
+    loadProducts();
+    loadInventoryTransactions();
+  }
 }
 
-// Enhanced filtering
-function filterProducts() {
-  // Ensure products is an array
-  if (!Array.isArray(products)) products = [];
-  
-  const searchTerm = document.getElementById("product-search")?.value?.toLowerCase() || "";
-  const filterType = document.getElementById("product-filter")?.value || "";
-  const unitFilter = document.getElementById("unit-filter")?.value || "";
-  
-  filteredProducts = products.filter(product => {
-    const matchesSearch = product.name.toLowerCase().includes(searchTerm) ||
-                         (product.description && product.description.toLowerCase().includes(searchTerm)) ||
-                         (product.supplier_info && product.supplier_info.toLowerCase().includes(searchTerm));
-    
-    let matchesFilter = true;
-    if (filterType === "low-stock") {
-      matchesFilter = product.current_quantity <= product.low_stock_threshold && product.current_quantity > 0;
-    } else if (filterType === "out-of-stock") {
-      matchesFilter = product.current_quantity <= 0;
-    } else if (filterType === "in-stock") {
-      matchesFilter = product.current_quantity > product.low_stock_threshold;
-    }
-    
-    let matchesUnit = true;
-    if (unitFilter) {
-      matchesUnit = product.unit_of_measure === unitFilter;
-    }
-    
-    return matchesSearch && matchesFilter && matchesUnit;
-  });
-  
-  currentProductPage = 1;
-  renderProductsList();
+async function cancelStockCount() {
+  if (!confirm("Cancel this stock count? Stock will not be changed.")) return;
+  await sendStockCountRequest(`/api/inventory/counts/${currentStockCount.id}/cancel`, "POST", undefined, "cancelling stock count");
 }
 
-// Recipe linking enhancements
-async function loadRecipeLinks() {
-  const recipeId = document.getElementById("recipe-select").value;
-  if (!recipeId) {
-    document.getElementById("recipe-links-list").innerHTML = '<p class="text-muted">Select a recipe to view its ingredient links.</p>';
-    document.getElementById("recipe-info-card").style.display = 'none';
-    return;
-  }
+// Waste Functions
+
+let wasteItems = [];
+let wasteLogs = [];
+let wasteReport = null;
+
+async function loadWaste() {
+  const params = new URLSearchParams();
+  const startDate = document.getElementById("waste-start-date").value;
+  const endDate = document.getElementById("waste-end-date").value;
+  if (startDate) params.set("start_date", startDate);
+  if (endDate) params.set("end_date", endDate);
 
   try {
-    const response = await fetch(`/api/inventory/recipe-links/${recipeId}`);
-    const links = await response.json();
-    
-    // Load recipe details
-    const recipeResponse = await fetch(`/api/recipes/${recipeId}`);
-    const recipeData = await recipeResponse.json();
-    const recipe = recipeData.recipe;
-    
-    renderRecipeInfo(recipe);
-    renderRecipeLinks(links, recipe);
-    calculateRecipeCost(links, recipe);
+    const [logsResponse, reportResponse] = await Promise.all([
+      fetch(`/api/inventory/waste?${params}`),
+      fetch(`/api/inventory/waste/report?${params}`),
+    ]);
+    wasteLogs = logsResponse.ok ? await logsResponse.json() : [];
+    // Only managers can see waste costs
+    wasteReport = reportResponse.ok ? await reportResponse.json() : null;
   } catch (error) {
-    console.error("Error loading recipe links:", error);
+    console.error("Error loading waste:", error);
+    wasteLogs = [];
+    wasteReport = null;
   }
+
+  if (wasteItems.length === 0) addWasteItem();
+  renderWasteLogs();
+  renderWasteReport();
 }
 
-function renderRecipeInfo(recipe) {
-  const card = document.getElementById("recipe-info-card");
-  const title = document.getElementById("recipe-info-title");
-  const details = document.getElementById("recipe-info-details");
-  
-  title.textContent = recipe.name;
-  details.innerHTML = `
-    <p class="mb-2">${recipe.description || 'No description available'}</p>
-    <div class="row">
-      <div class="col-md-3">
-        <small class="text-muted">Prep Time</small>
-        <div>${recipe.prep_time || 0} min</div>
-      </div>
-      <div class="col-md-3">
-        <small class="text-muted">Cook Time</small>
-        <div>${recipe.cook_time || 0} min</div>
-      </div>
-      <div class="col-md-3">
-        <small class="text-muted">Servings</small>
-        <div>${recipe.servings || 1}</div>
-      </div>
-      <div class="col-md-3">
-        <small class="text-muted">Difficulty</small>
-        <div>${recipe.difficulty || 'Not specified'}</div>
+function renderWasteItems() {
+  const options = (item) =>
+    item.type === "menu_item_id"
+      ? menuItems
+          .map((menuItem) => `<option value="${menuItem.id}" ${menuItem.id === item.id ? "selected" : ""}>${menuItem.name}</option>`)
+          .join("")
+      : products
+          .map(
+            (product) =>
+              `<option value="${product.id}" ${product.id === item.id ? "selected" : ""}>${product.name} (${product.unit_of_measure})</option>`
+          )
+          .join("");
+
+  document.getElementById("waste-items").innerHTML = wasteItems
+    .map(
+      (item, index) => `
+      <div class="row g-2 mb-2">
+        <div class="col-3">
+          <select class="form-select form-select-sm" onchange="updateWasteItem(${index}, 'type', this.value)">
+            <option value="product_id" ${item.type === "product_id" ? "selected" : ""}>Product</option>
+            <option value="menu_item_id" ${item.type === "menu_item_id" ? "selected" : ""}>Menu item</option>
+          </select>
+        </div>
+        <div class="col-5">
+          <select class="form-select form-select-sm" onchange="updateWasteItem(${index}, 'id', parseInt(this.value))">
+            ${options(item)}
+          </select>
+        </div>
+        <div class="col-3">
+          <input type="number" class="form-control form-control-sm" min="0" step="0.001" value="${item.quantity}"
+                 placeholder="${item.type === "menu_item_id" ? "Portions" : "Quantity"}" onchange="updateWasteItem(${index}, 'quantity', parseFloat(this.value))">
+        </div>
+        <div class="col-1">
+          <button class="btn btn-sm btn-outline-danger w-100" onclick="removeWasteItem(${index})">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
       </div>
-    </div>
-  `;
-  
-  card.style.display = 'block';
+    `
+    )
+    .join("");
+}
+
+function updateWasteItem(index, field, value) {
+  wasteItems[index][field] = value;
+  if (field === "type") {
+    wasteItems[index].id = (value === "menu_item_id" ? menuItems : products)[0]?.id;
+    renderWasteItems();
+  }
+}
+
+function addWasteItem() {
+  wasteItems.push({ type: "product_id", id: products[0]?.id, quantity: 1 });
+  renderWasteItems();
+}
+
+function removeWasteItem(index) {
+  wasteItems.splice(index, 1);
+  renderWasteItems();
+}
+
+async function recordWaste() {
+  const body = {
+    reason: document.getElementById("waste-reason").value,
+    location_id: parseInt(document.getElementById("waste-location").value) || null,
+    notes: document.getElementById("waste-notes").value.trim() || null,
+    items: wasteItems.map((item) => ({ [item.type]: item.id, quantity: item.quantity })),
+  };
+
+  try {
+    const response = await fetch("/api/inventory/waste", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(`Error recording waste: ${describeApiError(data)}`);
+      return;
+    }
+
+    wasteItems = [];
+    document.getElementById("waste-notes").value = "";
+    await Promise.all([loadWaste(), loadProducts(), loadInventoryTransactions()]);
+  } catch (error) {
+    console.error("Error recording waste:", error);
+    alert("Error recording waste. Please try again.");
+  }
 }
 
-function renderRecipeLinks(links, recipe) {
-  const container = document.getElementById("recipe-links-list");
-  
-  if (links.length === 0) {
-    container.innerHTML = `
-      <div class="alert alert-info">
-        <h6>No ingredient links found</h6>
-        <p class="mb-0">This recipe doesn't have any ingredients linked to inventory products yet. 
-        <a href="#" onclick="showRecipeLinkModal()">Add the first link</a></p>
-      </div>
-    `;
+function renderWasteLogs() {
+  const container = document.getElementById("waste-logs-list");
+  if (wasteLogs.length === 0) {
+    container.innerHTML = '<p class="text-muted">No waste logged in this period.</p>';
     return;
   }
 
-  const tableHtml = `
-    <table class="table table-hover">
-      <thead class="table-light">
+  container.innerHTML = `
+    <table class="table table-sm">
+      <thead>
         <tr>
-          <th>Recipe Ingredient</th>
-          <th>Linked Product</th>
-          <th>Quantity per Serving</th>
-          <th>Available Stock</th>
-          <th>Cost per Serving</th>
-          <th>Actions</th>
+          <th>#</th>
+          <th>Logged</th>
+          <th>Reason</th>
+          <th>Products</th>
+          <th>Cost</th>
+          <th>Notes</th>
         </tr>
       </thead>
       <tbody>
-        ${links.map(link => {
-          const costPerServing = (link.quantity_per_serving * (link.product_cost_per_unit || 0)).toFixed(3);
-          const stockStatus = getProductStatus({ current_quantity: link.product_current_quantity, low_stock_threshold: link.product_low_stock_threshold });
-          
-          return `
-            <tr>
-              <td>
-                <strong>${link.ingredient_name}</strong>
-                ${link.ingredient_notes ? `<br><small class="text-muted">${link.ingredient_notes}</small>` : ''}
-              </td>
-              <td>
-                <strong>${link.product_name}</strong>
-                <br><small class="text-muted">${link.product_unit_of_measure}</small>
-              </td>
-              <td>${link.quantity_per_serving} ${link.product_unit_of_measure}</td>
-              <td>
-                <span class="badge product-quantity-badge ${stockStatus.class}">
-                  ${link.product_current_quantity} ${link.product_unit_of_measure}
-                </span>
-              </td>
-              <td class="text-success">$${costPerServing}</td>
-              <td>
-                <div class="btn-group" role="group">
-                  <button class="btn btn-sm btn-outline-primary" onclick="editRecipeLink(${link.id})" title="Edit Link">
-                    <i class="fas fa-edit"></i>
-                  </button>
-                  <button class="btn btn-sm btn-outline-danger" onclick="deleteRecipeLink(${link.id})" title="Delete Link">
-                    <i class="fas fa-trash"></i>
-                  </button>
-                </div>
-              </td>
-            </tr>
-          `;
-        }).join('')}
+        ${wasteLogs
+          .map(
+            (log) => `
+          <tr>
+            <td>${log.id}</td>
+            <td>${new Date(log.created_at).toLocaleString()}${log.recorded_by_name ? ` by ${log.recorded_by_name}` : ""}</td>
+            <td><span class="badge bg-secondary">${log.reason}</span></td>
+            <td>${log.line_count}</td>
+            <td>$${parseFloat(log.total_cost).toFixed(2)}</td>
+            <td>${log.notes || ""}</td>
+          </tr>
+        `
+          )
+          .join("")}
       </tbody>
     </table>
   `;
-  
-  container.innerHTML = tableHtml;
 }
 
-function calculateRecipeCost(links, recipe) {
-  const totalCost = links.reduce((sum, link) => {
-    return sum + (link.quantity_per_serving * (link.product_cost_per_unit || 0));
-  }, 0);
-  
-  const costPerServing = totalCost;
-  const totalRecipeCost = totalCost * (recipe.servings || 1);
-  
-  document.getElementById("recipe-cost-per-serving").textContent = `$${costPerServing.toFixed(2)}`;
-  document.getElementById("recipe-total-cost").textContent = `$${totalRecipeCost.toFixed(2)}`;
+function renderWasteReport() {
+  const container = document.getElementById("waste-report");
+  if (!wasteReport) {
+    container.innerHTML = '<p class="text-muted">The waste report is available to managers.</p>';
+    return;
+  }
+
+  const report = wasteReport;
+  const table = (headings, rows) => `
+    <table class="table table-sm mb-3">
+      <thead><tr>${headings.map((heading) => `<th>${heading}</th>`).join("")}</tr></thead>
+      <tbody>${rows.join("") || `<tr><td colspan="${headings.length}" class="text-muted">None</td></tr>`}</tbody>
+    </table>
+  `;
+
+  container.innerHTML = `
+    <p>
+      <strong>$${report.total_cost.toFixed(2)}</strong> wasted in ${report.entry_count} logs
+      from ${report.start_date} to ${report.end_date}
+    </p>
+    <div class="row">
+      <div class="col-md-6">
+        ${table(
+          ["Reason", "Logs", "Cost"],
+          report.by_reason.map((row) => `<tr><td>${row.reason}</td><td>${row.entry_count}</td><td>$${row.cost.toFixed(2)}</td></tr>`)
+        )}
+        ${table(
+          ["Staff", "Logs", "Cost"],
+          report.by_staff.map(
+            (row) => `<tr><td>${row.staff_name || "Unknown"}</td><td>${row.entry_count}</td><td>$${row.cost.toFixed(2)}</td></tr>`
+          )
+        )}
+      </div>
+      <div class="col-md-6">
+        ${table(
+          ["Product", "Quantity", "Cost"],
+          report.by_product
+            .slice(0, 10)
+            .map(
+              (row) =>
+                `<tr><td>${row.product_name}</td><td>${row.quantity} ${row.unit_of_measure}</td><td>$${row.cost.toFixed(2)}</td></tr>`
+            )
+        )}
+        ${table(
+          ["Day", "Logs", "Cost"],
+          report.by_day.map((row) => `<tr><td>${row.date}</td><td>${row.entry_count}</td><td>$${row.cost.toFixed(2)}</td></tr>`)
+        )}
+      </div>
+    </div>
+  `;
 }
 
-// Bulk operations
-function showBulkRestockModal() {
-  populateBulkRestockProducts();
-  new bootstrap.Modal(document.getElementById("bulkOperationsModal")).show();
+// Storage locations and transfers
+
+let storageLocations = [];
+let stockTransfers = [];
+let transferItems = [];
+
+/**
+ * Query string for the inventory location filter, or "" for every location
+ */
+function locationQuery() {
+  const locationId = document.getElementById("inventory-location-filter").value;
+  return locationId ? `?location_id=${locationId}` : "";
 }
 
-function populateBulkRestockProducts() {
-  const container = document.getElementById("bulk-restock-products");
-  
-  const productsHtml = products.map(product => {
-    const status = getProductStatus(product);
-    return `
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" value="${product.id}" id="bulk-product-${product.id}">
-        <label class="form-check-label d-flex justify-content-between align-items-center" for="bulk-product-${product.id}">
-          <div>
-            <strong>${product.name}</strong>
-            <br><small class="text-muted">${product.current_quantity} ${product.unit_of_measure}</small>
-          </div>
-          <span class="badge product-quantity-badge ${status.class}">${status.text}</span>
-        </label>
-      </div>
-    `;
-  }).join('');
-  
-  container.innerHTML = productsHtml;
+/**
+ * Quantity shown for a product: what the filtered location holds, otherwise the total
+ */
+function displayedQuantity(product) {
+  return product.location_quantity ?? product.current_quantity;
 }
 
-async function executeBulkOperation() {
-  const activeTab = document.querySelector('#bulkTabs .nav-link.active').id;
-  
-  if (activeTab === 'bulk-restock-tab') {
-    await executeBulkRestock();
-  } else if (activeTab === 'bulk-adjust-tab') {
-    await executeBulkAdjust();
-  } else if (activeTab === 'bulk-import-tab') {
-    await executeBulkImport();
+async function loadLocations() {
+  try {
+    const response = await fetch("/api/inventory/locations");
+    storageLocations = response.ok ? await response.json() : [];
+  } catch (error) {
+    console.error("Error loading locations:", error);
+    storageLocations = [];
   }
+
+  const active = storageLocations.filter((location) => location.active);
+  const fillLocations = (id, emptyLabel) => {
+    const select = document.getElementById(id);
+    const selected = select.value;
+    select.innerHTML =
+      (emptyLabel !== undefined ? `<option value="">${emptyLabel}</option>` : "") +
+      active.map((location) => `<option value="${location.id}">${location.name}</option>`).join("");
+    if ([...select.options].some((option) => option.value === selected)) select.value = selected;
+  };
+  fillLocations("inventory-location-filter", "All Locations");
+  fillLocations("productLocation");
+  fillLocations("stock-count-location", "All locations");
+  fillLocations("waste-location", "Usual locations");
+  fillLocations("transfer-from");
+  fillLocations("transfer-to");
+  renderLocationsList();
 }
 
-async function executeBulkRestock() {
-  const selectedProducts = Array.from(document.querySelectorAll('#bulk-restock-products input:checked')).map(cb => cb.value);
-  const quantity = parseFloat(document.getElementById("bulkRestockQuantity").value);
-  const reference = document.getElementById("bulkRestockReference").value;
-  const notes = document.getElementById("bulkRestockNotes").value;
-  
-  if (selectedProducts.length === 0 || !quantity || quantity <= 0) {
-    alert("Please select products and enter a valid quantity.");
-    return;
+async function loadTransfers() {
+  try {
+    const response = await fetch("/api/inventory/transfers");
+    stockTransfers = response.ok ? await response.json() : [];
+  } catch (error) {
+    console.error("Error loading transfers:", error);
+    stockTransfers = [];
   }
-  
+
+  if (transferItems.length === 0) addTransferItem();
+  renderTransfersList();
+}
+
+function renderLocationsList() {
+  const container = document.getElementById("locations-list");
+  container.innerHTML = `
+    <table class="table table-sm">
+      <thead>
+        <tr>
+          <th>Location</th>
+          <th>Supplies</th>
+          <th>Products</th>
+          <th>Stock Value</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${storageLocations
+          .map(
+            (location) => `
+          <tr class="${location.active ? "" : "text-muted"}">
+            <td>${location.name}${location.active ? "" : " (inactive)"}</td>
+            <td>${location.recipe_category ? `${location.recipe_category} recipes` : "-"}</td>
+            <td>${location.product_count}</td>
+            <td>$${parseFloat(location.stock_value || 0).toFixed(2)}</td>
+            <td class="text-end">
+              <button class="btn btn-sm btn-outline-secondary" onclick="toggleLocation(${location.id}, ${!location.active})">
+                ${location.active ? "Deactivate" : "Reactivate"}
+              </button>
+            </td>
+          </tr>
+        `
+          )
+          .join("")}
+        <tr>
+          <td><input type="text" class="form-control form-control-sm" id="new-location-name" maxlength="100" placeholder="New location"></td>
+          <td>
+            <select class="form-select form-select-sm" id="new-location-category">
+              <option value="">-</option>
+              <option value="food">food recipes</option>
+              <option value="drink">drink recipes</option>
+            </select>
+          </td>
+          <td colspan="3" class="text-end">
+            <button class="btn btn-sm btn-outline-primary" onclick="addLocation()">Add</button>
+          </td>
+        </tr>
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Send a location or transfer API request and reload inventory data
+ * @returns {Promise<Object|null>} - Response body, or null after showing the error
+ */
+async function sendLocationRequest(path, method, body, action) {
   try {
-    const promises = selectedProducts.map(productId => 
-      fetch(`/api/inventory/products/${productId}/restock`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          quantity: quantity,
-          notes: `${notes} (Bulk restock${reference ? ` - ${reference}` : ''})`
-        })
-      })
-    );
-    
-    await Promise.all(promises);
-    bootstrap.Modal.getInstance(document.getElementById("bulkOperationsModal")).hide();
-    loadInventoryData();
-    alert(`Successfully restocked ${selectedProducts.length} products.`);
+    const response = await fetch(path, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(`Error ${action}: ${describeApiError(data)}`);
+      return null;
+    }
+
+    await loadInventoryData();
+    return data;
   } catch (error) {
-    console.error("Error executing bulk restock:", error);
-    alert("Error executing bulk restock. Please try again.");
+    console.error(`Error ${action}:`, error);
+    alert(`Error ${action}. Please try again.`);
+    return null;
   }
 }
 
-// Export functionality
-function exportProductsCSV() {
-  const csvContent = generateProductsCSV();
-  downloadCSV(csvContent, 'inventory-products.csv');
+async function addLocation() {
+  await sendLocationRequest(
+    "/api/inventory/locations",
+    "POST",
+    {
+      name: document.getElementById("new-location-name").value.trim(),
+      recipe_category: document.getElementById("new-location-category").value || null,
+    },
+    "adding location"
+  );
 }
 
-function generateProductsCSV() {
-  const headers = ['Name', 'Description', 'Unit of Measure', 'Current Quantity', 'Low Stock Threshold', 'Cost per Unit', 'Total Value', 'Supplier Info'];
-  const rows = filteredProducts.map(product => [
-    product.name,
-    product.description || '',
-    product.unit_of_measure,
-    product.current_quantity,
-    product.low_stock_threshold,
-    product.cost_per_unit || '',
-    (product.current_quantity * (product.cost_per_unit || 0)).toFixed(2),
-    product.supplier_info || ''
-  ]);
-  
-  return [headers, ...rows].map(row => 
-    row.map(field => `"${String(field).replace(/"/g, '""')}"`).join(',')
-  ).join('\n');
+async function toggleLocation(locationId, active) {
+  await sendLocationRequest(`/api/inventory/locations/${locationId}`, "PUT", { active }, "changing location");
 }
 
-function downloadCSV(content, filename) {
-  const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
-  const link = document.createElement('a');
-  if (link.download !== undefined) {
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  }
+function renderTransferItems() {
+  document.getElementById("transfer-items").innerHTML = transferItems
+    .map(
+      (item, index) => `
+      <div class="row g-2 mb-2">
+        <div class="col-8">
+          <select class="form-select form-select-sm" onchange="transferItems[${index}].product_id = parseInt(this.value)">
+            ${products
+              .map(
+                (product) =>
+                  `<option value="${product.id}" ${product.id === item.product_id ? "selected" : ""}>${product.name} (${product.unit_of_measure})</option>`
+              )
+              .join("")}
+          </select>
+        </div>
+        <div class="col-3">
+          <input type="number" class="form-control form-control-sm" min="0" step="0.001" value="${item.quantity}"
+                 onchange="transferItems[${index}].quantity = parseFloat(this.value)">
+        </div>
+        <div class="col-1">
+          <button class="btn btn-sm btn-outline-danger w-100" onclick="removeTransferItem(${index})">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+      </div>
+    `
+    )
+    .join("");
 }
 
-function downloadCSVTemplate() {
-  const template = 'name,description,unit_of_measure,current_quantity,low_stock_threshold,cost_per_unit\n"Sample Product","Sample description","kg",100,10,5.99';
-  downloadCSV(template, 'product-import-template.csv');
+function addTransferItem() {
+  transferItems.push({ product_id: products[0]?.id, quantity: 1 });
+  renderTransferItems();
 }
 
-// Recipe cost analysis
-function showRecipeCostAnalysis() {
-  const recipeId = document.getElementById("recipe-select").value;
-  if (!recipeId) {
-    alert("Please select a recipe first.");
+function removeTransferItem(index) {
+  transferItems.splice(index, 1);
+  renderTransferItems();
+}
+
+async function transferStock() {
+  const data = await sendLocationRequest(
+    "/api/inventory/transfers",
+    "POST",
+    {
+      from_location_id: parseInt(document.getElementById("transfer-from").value),
+      to_location_id: parseInt(document.getElementById("transfer-to").value),
+      notes: document.getElementById("transfer-notes").value.trim() || null,
+      items: transferItems,
+    },
+    "transferring stock"
+  );
+  if (data) {
+    transferItems = [];
+    document.getElementById("transfer-notes").value = "";
+    addTransferItem();
+  }
+}
+
+function renderTransfersList() {
+  const container = document.getElementById("transfers-list");
+  if (stockTransfers.length === 0) {
+    container.innerHTML = '<p class="text-muted">No transfers yet.</p>';
     return;
   }
-  
-  // This would load detailed cost analysis
-  new bootstrap.Modal(document.getElementById("recipeCostModal")).show();
+
+  container.innerHTML = `
+    <table class="table table-sm">
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>From</th>
+          <th>To</th>
+          <th>Products</th>
+          <th>When</th>
+          <th>Notes</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${stockTransfers
+          .map(
+            (transfer) => `
+          <tr>
+            <td>${transfer.id}</td>
+            <td>${transfer.from_location_name}</td>
+            <td>${transfer.to_location_name}</td>
+            <td>${transfer.item_count}</td>
+            <td>${new Date(transfer.created_at).toLocaleString()}${transfer.transferred_by_name ? ` by ${transfer.transferred_by_name}` : ""}</td>
+            <td>${transfer.notes || ""}</td>
+          </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
 }
 
 // Initialize enhanced filtering
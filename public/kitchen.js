@@ -0,0 +1,161 @@
+// Kitchen display: per-station tickets with age timers, bump/recall and per-item ready state
+
+// Order and ticket changes are pushed over /api/events; reload the tickets when one arrives
+const KITCHEN_EVENT_TYPES = ["order.created", "order.status_changed", "kitchen.tickets_changed"];
+
+let kitchenTickets = [];
+let kitchenStation = new URLSearchParams(window.location.search).get("station") || "";
+let loadedAt = Date.now();
+
+document.addEventListener("DOMContentLoaded", function () {
+  loadTickets();
+  subscribeToKitchenEvents();
+  // Timers tick locally between refreshes
+  setInterval(renderTickets, 1000);
+});
+
+function subscribeToKitchenEvents() {
+  const source = new EventSource(`/api/events?types=${KITCHEN_EVENT_TYPES.join(",")}`);
+  KITCHEN_EVENT_TYPES.forEach((type) => source.addEventListener(type, loadTickets));
+  // Catch up on anything missed while the connection was down
+  source.addEventListener("open", loadTickets);
+}
+
+async function loadTickets() {
+  try {
+    const query = kitchenStation ? `?station=${encodeURIComponent(kitchenStation)}` : "";
+    const response = await fetch(`/api/kitchen/tickets${query}`);
+    if (response.status === 401) {
+      // Sign in on the main page first
+      window.location.href = "/";
+      return;
+    }
+
+    const data = await response.json();
+    kitchenTickets = data.tickets;
+    loadedAt = Date.now();
+    renderStations(data.stations);
+    renderTickets();
+    document.getElementById("lastUpdated").textContent =
+      "Updated " + new Date().toLocaleTimeString();
+  } catch (error) {
+    console.error("Error loading kitchen tickets:", error);
+  }
+}
+
+function renderStations(stations) {
+  const select = document.getElementById("stationFilter");
+  select.innerHTML =
+    '<option value="">All stations</option>' +
+    stations
+      .map(
+        (station) =>
+          `<option value="${station}" ${station === kitchenStation ? "selected" : ""}>${formatStation(station)}</option>`
+      )
+      .join("");
+}
+
+function changeStation(station) {
+  kitchenStation = station;
+  const url = station ? `?station=${encodeURIComponent(station)}` : window.location.pathname;
+  window.history.replaceState(null, "", url);
+  loadTickets();
+}
+
+function formatStation(station) {
+  return station.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+function formatAge(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Timer state from the ticket's age now, matching the API's 'ok' / 'warning' / 'late'
+ */
+function currentTimerStatus(ageSeconds, targetSeconds) {
+  if (!targetSeconds) return "ok";
+  if (ageSeconds > targetSeconds) return "late";
+  return ageSeconds >= targetSeconds * 0.8 ? "warning" : "ok";
+}
+
+function renderTicket(ticket) {
+  const age = ticket.age_seconds + Math.floor((Date.now() - loadedAt) / 1000);
+  const timerStatus = ticket.bumped ? "ok" : currentTimerStatus(age, ticket.target_seconds);
+  const station = JSON.stringify(ticket.station).replace(/"/g, "&quot;");
+
+  return `
+    <div class="card kitchen-ticket timer-${timerStatus}">
+      <div class="card-header d-flex justify-content-between">
+        <strong>#${ticket.order_id} ${ticket.table_number ? `· Table ${ticket.table_number}` : ""}</strong>
+        <span>${formatStation(ticket.station)}</span>
+      </div>
+      <div class="card-body p-2">
+        <div class="d-flex justify-content-between mb-2">
+          <span class="order-status status-${ticket.status}">${ticket.status.toUpperCase()}</span>
+          <span class="kitchen-timer">${formatAge(age)}${
+    ticket.target_seconds ? ` / ${formatAge(ticket.target_seconds)}` : ""
+  }</span>
+        </div>
+        ${ticket.items
+          .map(
+            (item) => `
+          <div class="kitchen-item ${item.ready ? "ready" : ""}" onclick="toggleItemReady(${item.id}, ${!item.ready})">
+            <div>${item.ready ? "✓" : "○"} <strong>${item.quantity}x ${item.name}</strong></div>
+            ${item.modifiers ? `<div class="small ms-3">${item.modifiers}</div>` : ""}
+            ${item.notes ? `<div class="small ms-3 fst-italic">${item.notes}</div>` : ""}
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+      <div class="card-footer d-flex gap-2">
+        ${
+          ticket.bumped
+            ? `<button class="btn btn-sm btn-outline-warning w-100" onclick="ticketAction(${ticket.order_id}, 'recall', ${station})">Recall</button>`
+            : `${
+                ticket.status === "pending"
+                  ? `<button class="btn btn-sm btn-outline-primary" onclick="ticketAction(${ticket.order_id}, 'start', null)">Start</button>`
+                  : ""
+              }
+              <button class="btn btn-sm btn-success flex-grow-1" onclick="ticketAction(${ticket.order_id}, 'bump', ${station})">Bump</button>`
+        }
+      </div>
+    </div>
+  `;
+}
+
+function renderTickets() {
+  const active = kitchenTickets.filter((ticket) => !ticket.bumped);
+  const bumped = kitchenTickets.filter((ticket) => ticket.bumped);
+
+  document.getElementById("kitchen-tickets").innerHTML =
+    active.map(renderTicket).join("") || '<p class="text-muted">No open tickets</p>';
+  document.getElementById("kitchen-bumped").innerHTML = bumped.map(renderTicket).join("");
+}
+
+async function postKitchenAction(method, path, body) {
+  try {
+    const response = await fetch(path, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    if (!response.ok) {
+      const data = await response.json();
+      alert(data.error || "Kitchen action failed");
+    }
+  } catch (error) {
+    console.error("Kitchen action failed:", error);
+  }
+  loadTickets();
+}
+
+function ticketAction(orderId, action, station) {
+  postKitchenAction("POST", `/api/kitchen/tickets/${orderId}/${action}`, station ? { station } : {});
+}
+
+function toggleItemReady(itemId, ready) {
+  postKitchenAction("PUT", `/api/kitchen/items/${itemId}/ready`, { ready });
+}
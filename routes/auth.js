@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const {
+  StaffUser,
+  validateStaffUserForCreation,
+  validateStaffUserForUpdate
+} = require('../models/StaffUser');
+const { StaffUserQueries } = require('../utils/staff-user-database');
+const { verifyPassword, createToken, getTokenTtlSeconds } = require('../utils/auth');
+const { requireAuth, authorize } = require('../middleware/auth');
+const {
+  createValidationError,
+  createAuthenticationError
+} = require('../middleware/errorHandler');
+
+/**
+ * Build the auth cookie header value
+ * @param {string} token - Signed token (empty string clears the cookie)
+ * @param {number} maxAge - Cookie lifetime in seconds
+ * @returns {string}
+ */
+function buildAuthCookie(token, maxAge) {
+  const parts = [
+    `auth_token=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAge}`
+  ];
+  if (process.env.NODE_ENV === 'production') {
+    parts.push('Secure');
+  }
+  return parts.join('; ');
+}
+
+/**
+ * POST /api/auth/login - Sign in with username and password
+ *
+ * Request body should contain:
+ * - username (required)
+ * - password (required)
+ *
+ * Returns the signed token and also sets it as an HttpOnly auth_token cookie
+ */
+router.post('/login', async (req, res, next) => {
+  try {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      throw createValidationError([
+        ...(!username ? [{ field: 'username', message: 'Username is required' }] : []),
+        ...(!password ? [{ field: 'password', message: 'Password is required' }] : [])
+      ]);
+    }
+
+    const credentials = await StaffUserQueries.getUserCredentials(username);
+    const passwordMatches = credentials
+      ? await verifyPassword(password, credentials.password_hash)
+      : false;
+
+    if (!credentials || !credentials.active || !passwordMatches) {
+      throw createAuthenticationError('Invalid username or password');
+    }
+
+    await StaffUserQueries.recordLogin(credentials.id);
+    const user = new StaffUser(credentials);
+    const { token, expires_at } = createToken(user);
+
+    console.log('Staff user signed in:', user.username);
+
+    res.setHeader('Set-Cookie', buildAuthCookie(token, getTokenTtlSeconds()));
+    res.json({
+      message: 'Signed in successfully',
+      token,
+      expires_at,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout - Clear the auth cookie
+ */
+router.post('/logout', (req, res) => {
+  res.setHeader('Set-Cookie', buildAuthCookie('', 0));
+  res.json({ message: 'Signed out successfully' });
+});
+
+/**
+ * GET /api/auth/me - Get the signed-in staff user
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * GET /api/auth/users - List staff users
+ */
+router.get('/users', requireAuth, authorize('staff:manage'), async (req, res, next) => {
+  try {
+    const users = await StaffUserQueries.getUsers();
+    res.json({ users });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/users - Create a staff user
+ *
+ * Request body should contain:
+ * - username (required): 3-50 characters
+ * - password (required): at least 8 characters
+ * - role (required): owner, manager, server, cook or bartender
+ * - full_name (optional)
+ */
+router.post('/users', requireAuth, authorize('staff:manage'), async (req, res, next) => {
+  try {
+    const validation = validateStaffUserForCreation(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const existing = await StaffUserQueries.getUserCredentials(req.body.username);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Username already exists'
+      });
+    }
+
+    const user = await StaffUserQueries.createUser(req.body);
+
+    console.log('Staff user created:', user.username, 'role:', user.role);
+
+    res.status(201).json({
+      message: 'Staff user created successfully',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/users/:id - Update a staff user (password, full_name, role, active)
+ */
+router.put('/users/:id', requireAuth, authorize('staff:manage'), async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId) || userId < 1) {
+      return res.status(400).json({
+        error: 'Invalid user ID. Must be a positive integer.'
+      });
+    }
+
+    const validation = validateStaffUserForUpdate(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const current = await StaffUserQueries.getUserById(userId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Staff user not found'
+      });
+    }
+
+    // Never leave the restaurant without an active owner
+    const losesOwner = current.role === 'owner' && current.active &&
+      ((req.body.role !== undefined && req.body.role !== 'owner') || req.body.active === false);
+    if (losesOwner && await StaffUserQueries.countActiveUsersWithRole('owner') <= 1) {
+      return res.status(409).json({
+        error: 'Cannot demote or deactivate the last active owner'
+      });
+    }
+
+    const user = await StaffUserQueries.updateUser(userId, req.body);
+
+    res.json({
+      message: 'Staff user updated successfully',
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateCheckForOpen,
+  validateCheckTransfer,
+  validateCheckMerge,
+  validateItemSplit,
+  validateEvenSplit,
+  VALID_CHECK_STATUSES
+} = require('../models/Check');
+const { CheckQueries } = require('../utils/check-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Check ID or null if invalid
+ */
+function parseCheckId(req) {
+  const checkId = parseInt(req.params.id);
+  return isNaN(checkId) || checkId < 1 ? null : checkId;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidCheckId(res) {
+  return res.status(400).json({
+    error: 'Invalid check ID. Must be a positive integer.'
+  });
+}
+
+/**
+ * GET /api/checks - List checks
+ *
+ * Query parameters:
+ * - status (optional): open, closed or merged
+ * - table_id (optional): Only checks for this table
+ */
+router.get('/', authorize('checks:read'), async (req, res, next) => {
+  try {
+    const { status, table_id } = req.query;
+
+    if (status && !VALID_CHECK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status parameter. Must be one of: ${VALID_CHECK_STATUSES.join(', ')}.`
+      });
+    }
+
+    const tableId = table_id !== undefined ? parseInt(table_id) : null;
+    if (table_id !== undefined && (isNaN(tableId) || tableId < 1)) {
+      return res.status(400).json({
+        error: 'Invalid table_id parameter. Must be a positive integer.'
+      });
+    }
+
+    const checks = await CheckQueries.getChecks({ status: status || null, table_id: tableId });
+    res.json(checks);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/checks/:id - Get a check with its orders and items
+ */
+router.get('/:id', authorize('checks:read'), async (req, res, next) => {
+  try {
+    const checkId = parseCheckId(req);
+    if (!checkId) {
+      return invalidCheckId(res);
+    }
+
+    const check = await CheckQueries.getCheckById(checkId);
+    if (!check) {
+      return res.status(404).json({
+        error: 'Check not found'
+      });
+    }
+
+    res.json(check);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/checks - Open a check when a party sits down
+ *
+ * Request body should contain:
+ * - table_id (required)
+ * - guest_count (optional)
+ *
+ * The table becomes occupied. Add rounds with POST /api/orders and check_id.
+ */
+router.post('/', authorize('checks:write'), async (req, res, next) => {
+  try {
+    const validation = validateCheckForOpen(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const check = await CheckQueries.openCheck({
+      table_id: parseInt(req.body.table_id),
+      guest_count: req.body.guest_count
+    }, req.user);
+
+    if (!check) {
+      return res.status(404).json({
+        error: 'Table not found'
+      });
+    }
+
+    console.log('Check opened:', check.id, 'at table', check.table_number);
+
+    res.status(201).json({
+      message: 'Check opened successfully',
+      check
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/checks/:id/transfer - Move a check and its orders to another table
+ *
+ * Request body should contain:
+ * - table_id (required): Destination table, which must not have an open check
+ */
+router.post('/:id/transfer', authorize('checks:write'), async (req, res, next) => {
+  try {
+    const checkId = parseCheckId(req);
+    if (!checkId) {
+      return invalidCheckId(res);
+    }
+
+    const validation = validateCheckTransfer(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const check = await CheckQueries.transferCheck(checkId, parseInt(req.body.table_id));
+    if (!check) {
+      return res.status(404).json({
+        error: 'Check not found'
+      });
+    }
+
+    res.json({
+      message: 'Check transferred successfully',
+      check
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/checks/:id/merge - Merge another table's check into this one
+ *
+ * Request body should contain:
+ * - check_id (required): Check whose orders move onto this check
+ */
+router.post('/:id/merge', authorize('checks:write'), async (req, res, next) => {
+  try {
+    const checkId = parseCheckId(req);
+    if (!checkId) {
+      return invalidCheckId(res);
+    }
+
+    const validation = validateCheckMerge(req.body, checkId);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const check = await CheckQueries.mergeChecks(checkId, parseInt(req.body.check_id));
+    if (!check) {
+      return res.status(404).json({
+        error: 'Check not found'
+      });
+    }
+
+    res.json({
+      message: 'Checks merged successfully',
+      check
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/checks/:id/split - Split a check
+ *
+ * Request body should contain either:
+ * - items: [{ order_item_id, quantity }] to move onto a new check (quantity defaults to the whole line)
+ * - guests: number of guests to divide the total between evenly
+ */
+router.post('/:id/split', authorize('checks:write'), async (req, res, next) => {
+  try {
+    const checkId = parseCheckId(req);
+    if (!checkId) {
+      return invalidCheckId(res);
+    }
+
+    if (req.body.guests !== undefined) {
+      const validation = validateEvenSplit(req.body);
+      if (!validation.isValid) {
+        throw createValidationError(validation.errors);
+      }
+
+      const check = await CheckQueries.splitCheckEvenly(checkId, req.body.guests);
+      if (!check) {
+        return res.status(404).json({
+          error: 'Check not found'
+        });
+      }
+
+      return res.json({
+        message: `Check split evenly between ${req.body.guests} guests`,
+        check
+      });
+    }
+
+    const validation = validateItemSplit(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const result = await CheckQueries.splitCheckByItems(checkId, req.body.items, req.user);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Check not found'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Check split successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/checks/:id/close - Close a check once every order on it is paid
+ *
+ * The table (and any table merged into the check) is set to cleaning
+ */
+router.post('/:id/close', authorize('checks:write'), async (req, res, next) => {
+  try {
+    const checkId = parseCheckId(req);
+    if (!checkId) {
+      return invalidCheckId(res);
+    }
+
+    const check = await CheckQueries.closeCheck(checkId, req.user);
+    if (!check) {
+      return res.status(404).json({
+        error: 'Check not found'
+      });
+    }
+
+    console.log('Check closed:', check.id);
+
+    res.json({
+      message: 'Check closed successfully',
+      check
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
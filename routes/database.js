@@ -3,30 +3,237 @@ const router = express.Router();
 const { pool } = require("../utils/db-connection");
 const fs = require("fs");
 const path = require("path");
-
-// Reset database - WARNING: This will delete all data!
-router.post("/reset", async (req, res) => {
+const { authorize } = require("../middleware/auth");
+const {
+  createBackup,
+  saveBackupToFile,
+  validateBackup,
+  restoreBackup,
+} = require("../utils/database-backup");
+const { DatabaseAuditQueries } = require("../utils/database-audit");
+const { getMigrationStatus } = require("../utils/migration-runner");
+const {
+  DESTRUCTIVE_ACTIONS,
+  isDestructiveOperationAllowed,
+  issueConfirmationToken,
+  consumeConfirmationToken,
+} = require("../utils/database-safety");
+
+/**
+ * Record a destructive operation in the audit log without masking the outcome
+ */
+async function recordAudit(entry) {
   try {
-    console.log("🔄 Starting database reset...");
+    await DatabaseAuditQueries.recordOperation(entry);
+  } catch (auditError) {
+    console.error("❌ Failed to write database audit log:", auditError);
+  }
+}
+
+/**
+ * Run reset/seed/restore behind the environment guard, confirmation token,
+ * automatic backup and audit log
+ * @param {string} action - 'reset', 'seed' or 'restore'
+ * @param {Function} operation - Async function (req) performing the wipe; its result is merged into the response
+ */
+function guardedOperation(action, operation) {
+  return async (req, res) => {
+    if (!isDestructiveOperationAllowed()) {
+      return res.status(403).json({
+        success: false,
+        error: `Database ${action} is disabled in production. Set ALLOW_DATABASE_RESET=true to override.`,
+        timestamp: new Date().toISOString(),
+      });
+    }
 
-    // Read the reset script
-    const resetScript = fs.readFileSync(
-      path.join(__dirname, "../database/reset-database.sql"),
-      "utf8"
+    const confirmation = consumeConfirmationToken(
+      req.body && req.body.confirmation_token,
+      action,
+      req.user
     );
+    if (!confirmation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: confirmation.reason,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const user = req.user || null;
+    let backupFile = null;
+
+    try {
+      // Always keep a copy of the data we are about to wipe
+      backupFile = saveBackupToFile(await createBackup(), `pre-${action}`);
+      console.log(`📦 Pre-${action} backup written to ${backupFile}`);
+
+      const result = await operation(req);
+
+      await recordAudit({ action, status: "succeeded", user, backupFile });
+
+      res.json({
+        success: true,
+        ...result,
+        backup_file: backupFile,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`❌ Database ${action} failed:`, error);
+      await recordAudit({
+        action,
+        status: "failed",
+        user,
+        backupFile,
+        details: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        backup_file: backupFile,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  };
+}
+
+/**
+ * POST /api/database/confirmation-token - Request a confirmation token for reset or seed
+ *
+ * Request body should contain:
+ * - action (required): 'reset', 'seed' or 'restore'
+ *
+ * The token is single-use, bound to the requesting user and expires after
+ * DATABASE_CONFIRMATION_TTL_SECONDS (default 60)
+ */
+router.post("/confirmation-token", authorize("database:admin"), (req, res) => {
+  const action = req.body && req.body.action;
+
+  if (!DESTRUCTIVE_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      success: false,
+      error: `Action must be one of: ${DESTRUCTIVE_ACTIONS.join(", ")}`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (!isDestructiveOperationAllowed()) {
+    return res.status(403).json({
+      success: false,
+      error: `Database ${action} is disabled in production. Set ALLOW_DATABASE_RESET=true to override.`,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const confirmation = issueConfirmationToken(action, req.user);
+
+  res.json({
+    success: true,
+    confirmation_token: confirmation.token,
+    action: confirmation.action,
+    expires_at: confirmation.expires_at,
+  });
+});
+
+/**
+ * Clear all restaurant data and load the sample data
+ * Both scripts run as one multi-statement query, so a failure leaves the data untouched.
+ * The schema is managed by database/migrations and is not changed here.
+ */
+async function loadSampleData() {
+  const resetScript = fs.readFileSync(
+    path.join(__dirname, "../database/reset-database.sql"),
+    "utf8"
+  );
+  const seedScript = fs.readFileSync(
+    path.join(__dirname, "../database/seed-data.sql"),
+    "utf8"
+  );
+
+  await pool.query(`${resetScript}\n${seedScript}`);
+}
 
-    // Execute the reset script
-    await pool.query(resetScript);
+// Reset database - WARNING: This will delete all data!
+// Requires a confirmation_token from POST /api/database/confirmation-token
+router.post(
+  "/reset",
+  authorize("database:admin"),
+  guardedOperation("reset", async () => {
+    console.log("🔄 Starting database reset...");
+
+    await loadSampleData();
 
     console.log("✅ Database reset completed successfully");
 
+    return { message: "Database reset completed successfully" };
+  })
+);
+
+const restoreFromBackup = guardedOperation("restore", async (req) => {
+  console.log("♻️ Restoring database from backup...");
+
+  const report = await restoreBackup(req.body.backup);
+
+  console.log("✅ Database restore completed successfully");
+
+  return {
+    message: "Database restored from backup successfully",
+    report,
+  };
+});
+
+/**
+ * POST /api/database/restore - Replace all data with the contents of a /backup JSON file
+ *
+ * Request body should contain:
+ * - backup (required): the JSON produced by GET /api/database/backup
+ * - dry_run (optional): true to report what would change without writing anything
+ * - confirmation_token (required unless dry_run): from POST /api/database/confirmation-token
+ */
+router.post("/restore", authorize("database:admin"), async (req, res) => {
+  const backup = req.body && req.body.backup;
+  const validation = validateBackup(backup);
+
+  if (!validation.isValid) {
+    return res.status(422).json({
+      success: false,
+      error: "Invalid backup file",
+      details: validation.errors,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (req.body.dry_run !== true) {
+    return restoreFromBackup(req, res);
+  }
+
+  try {
+    const report = await restoreBackup(backup, { dryRun: true });
     res.json({
       success: true,
-      message: "Database reset completed successfully",
+      message: "Dry run completed; no changes were made",
+      report,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("❌ Database restore dry run failed:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
       timestamp: new Date().toISOString(),
     });
+  }
+});
+
+// List recent reset/seed/restore operations
+router.get("/audit", authorize("database:read"), async (req, res) => {
+  try {
+    const entries = await DatabaseAuditQueries.getRecentOperations();
+    res.json({
+      success: true,
+      entries,
+    });
   } catch (error) {
-    console.error("❌ Database reset failed:", error);
+    console.error("Database audit lookup failed:", error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -36,7 +243,7 @@ router.post("/reset", async (req, res) => {
 });
 
 // Check database status
-router.get("/status", async (req, res) => {
+router.get("/status", authorize("database:read"), async (req, res) => {
   try {
     const checks = [];
 
@@ -54,6 +261,23 @@ router.get("/status", async (req, res) => {
       details: tablesResult.rows.map((r) => r.table_name),
     });
 
+    // Check schema migrations
+    const migrationStatus = await getMigrationStatus();
+    const migrationsCurrent =
+      migrationStatus.pending.length === 0 &&
+      migrationStatus.modified.length === 0 &&
+      migrationStatus.missing.length === 0;
+    checks.push({
+      check: "Schema migrations",
+      status: migrationsCurrent ? "success" : "warning",
+      details: {
+        current_version: migrationStatus.current_version,
+        pending: migrationStatus.pending.map((m) => `${m.version}_${m.name}`),
+        modified: migrationStatus.modified.map((m) => `${m.version}_${m.name}`),
+        missing: migrationStatus.missing.map((m) => `${m.version}_${m.name}`),
+      },
+    });
+
     // Check data counts
     const counts = {};
     const tableNames = [
@@ -123,55 +347,11 @@ router.get("/status", async (req, res) => {
 });
 
 // Backup current data (export as JSON)
-router.get("/backup", async (req, res) => {
+router.get("/backup", authorize("database:read"), async (req, res) => {
   try {
     console.log("📦 Creating database backup...");
 
-    const backup = {
-      timestamp: new Date().toISOString(),
-      tables: {},
-      recipes: {},
-      menu_items: {},
-      orders: {},
-      order_items: {},
-    };
-
-    // Backup tables
-    const tablesResult = await pool.query("SELECT * FROM tables ORDER BY id");
-    backup.tables = tablesResult.rows;
-
-    // Backup recipes with ingredients and steps
-    const recipesResult = await pool.query("SELECT * FROM recipes ORDER BY id");
-    for (const recipe of recipesResult.rows) {
-      const ingredientsResult = await pool.query(
-        "SELECT * FROM recipe_ingredients WHERE recipe_id = $1 ORDER BY order_index",
-        [recipe.id]
-      );
-      const stepsResult = await pool.query(
-        "SELECT * FROM recipe_steps WHERE recipe_id = $1 ORDER BY step_number",
-        [recipe.id]
-      );
-
-      backup.recipes[recipe.id] = {
-        ...recipe,
-        ingredients: ingredientsResult.rows,
-        steps: stepsResult.rows,
-      };
-    }
-
-    // Backup menu items
-    const menuResult = await pool.query("SELECT * FROM menu_items ORDER BY id");
-    backup.menu_items = menuResult.rows;
-
-    // Backup orders
-    const ordersResult = await pool.query("SELECT * FROM orders ORDER BY id");
-    backup.orders = ordersResult.rows;
-
-    // Backup order items
-    const orderItemsResult = await pool.query(
-      "SELECT * FROM order_items ORDER BY id"
-    );
-    backup.order_items = orderItemsResult.rows;
+    const backup = await createBackup();
 
     console.log("✅ Database backup created successfully");
 
@@ -191,36 +371,15 @@ router.get("/backup", async (req, res) => {
   }
 });
 
-// Initialize database with sample data only (doesn't drop tables)
-router.post("/seed", async (req, res) => {
-  try {
+// Replace all data with sample data and report the resulting row counts
+// Requires a confirmation_token from POST /api/database/confirmation-token
+router.post(
+  "/seed",
+  authorize("database:admin"),
+  guardedOperation("seed", async () => {
     console.log("🌱 Seeding database with sample data...");
 
-    // Clear existing data
-    await pool.query(
-      "TRUNCATE order_items, orders, menu_items, recipe_steps, recipe_ingredients, recipes, tables RESTART IDENTITY CASCADE"
-    );
-
-    // Read the reset script
-    const resetScript = fs.readFileSync(
-      path.join(__dirname, "../database/reset-database.sql"),
-      "utf8"
-    );
-
-    // Split script into individual statements and filter for INSERT statements
-    const statements = resetScript
-      .split(";")
-      .map((stmt) => stmt.trim())
-      .filter((stmt) => stmt.startsWith("INSERT INTO") && stmt.length > 0);
-
-    console.log(`Found ${statements.length} INSERT statements to execute`);
-
-    // Execute each INSERT statement
-    for (const statement of statements) {
-      if (statement.trim()) {
-        await pool.query(statement);
-      }
-    }
+    await loadSampleData();
 
     // Get data counts for confirmation
     const counts = {};
@@ -246,20 +405,11 @@ router.post("/seed", async (req, res) => {
     console.log("✅ Database seeded successfully");
     console.log("📊 Data counts:", counts);
 
-    res.json({
-      success: true,
+    return {
       message: "Database seeded with sample data successfully",
       data_counts: counts,
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    console.error("❌ Database seeding failed:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString(),
-    });
-  }
-});
+    };
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const { EventBus, EVENT_TYPES } = require('../utils/event-bus');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+// Comment lines sent while idle so proxies do not close the connection
+const HEARTBEAT_INTERVAL_MS = 25000;
+// How long the browser waits before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+/**
+ * Format an event as a Server-Sent Events message
+ * @param {Object} event - Event from EventBus
+ * @returns {string}
+ */
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+/**
+ * Parse the optional ?types= filter, throwing a validation error for unknown types
+ * @param {string|undefined} value - Comma-separated event types
+ * @returns {Array<string>|null} - Types, or null for every type
+ */
+function parseTypes(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw createValidationError([{
+      field: 'types',
+      message: `Unknown event types: ${unknown.join(', ')}. Valid types: ${EVENT_TYPES.join(', ')}`
+    }]);
+  }
+  return types;
+}
+
+/**
+ * GET /api/events - Server-Sent Events stream of order, table, kitchen and inventory changes
+ * Query: ?types=order.created,order.status_changed to receive only some event types
+ * Each message has the event type as its SSE event name and a JSON payload. A client reconnecting with
+ * a Last-Event-ID header first receives the events it missed, as far as the recent history goes.
+ */
+router.get('/', authorize('events:read'), (req, res, next) => {
+  let types;
+  try {
+    types = parseTypes(req.query.types);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const send = (event) => {
+    if (!types || types.includes(event.type)) {
+      res.write(formatEvent(event));
+    }
+  };
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'));
+  if (!isNaN(lastEventId)) {
+    EventBus.getEventsSince(lastEventId).forEach(send);
+  }
+
+  const unsubscribe = EventBus.subscribe(send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
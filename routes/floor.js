@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const { validateFloorArea, validateServerSection } = require('../models/Table');
+const { FloorPlanQueries } = require('../utils/floor-plan-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Area or section ID or null if invalid
+ */
+function parseId(req) {
+  const id = parseInt(req.params.id);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidId(res, label) {
+  return res.status(400).json({
+    error: `Invalid ${label} ID. Must be a positive integer.`
+  });
+}
+
+/**
+ * Send the standard not-found response
+ */
+function notFound(res, label) {
+  return res.status(404).json({
+    error: `${label} not found`
+  });
+}
+
+/**
+ * GET /api/floor/areas - Dining areas in display order, with how many tables each has
+ */
+router.get('/areas', authorize('tables:read'), async (req, res, next) => {
+  try {
+    const areas = await FloorPlanQueries.getAreas();
+    res.json(areas);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/floor/areas - Add a dining area (e.g. Patio)
+ *
+ * Request body should contain:
+ * - name (required): Unique
+ * - sort_order (optional): Areas are shown in ascending order
+ */
+router.post('/areas', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const validation = validateFloorArea(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const area = await FloorPlanQueries.createArea(req.body);
+
+    res.status(201).json({
+      message: 'Area added successfully',
+      area
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/floor/areas/:id - Rename or reorder a dining area
+ */
+router.put('/areas/:id', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const areaId = parseId(req);
+    if (!areaId) {
+      return invalidId(res, 'area');
+    }
+
+    const validation = validateFloorArea(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const area = await FloorPlanQueries.updateArea(areaId, req.body);
+    if (!area) {
+      return notFound(res, 'Area');
+    }
+
+    res.json({
+      message: 'Area updated successfully',
+      area
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/floor/areas/:id - Delete an empty dining area
+ *
+ * Returns 409 while tables stand in it.
+ */
+router.delete('/areas/:id', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const areaId = parseId(req);
+    if (!areaId) {
+      return invalidId(res, 'area');
+    }
+
+    const area = await FloorPlanQueries.deleteArea(areaId);
+    if (!area) {
+      return notFound(res, 'Area');
+    }
+
+    res.json({
+      message: 'Area deleted successfully',
+      area
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/floor/servers - Active staff who can be given a section
+ */
+router.get('/servers', authorize('tables:read'), async (req, res, next) => {
+  try {
+    const servers = await FloorPlanQueries.getServers();
+    res.json(servers);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/floor/sections - Server sections with their server and table IDs
+ */
+router.get('/sections', authorize('tables:read'), async (req, res, next) => {
+  try {
+    const sections = await FloorPlanQueries.getSections();
+    res.json(sections);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/floor/sections - Add a server section
+ *
+ * Request body should contain:
+ * - name (required): Unique
+ * - staff_user_id (optional): Server looking after the section
+ * - color (optional): Hex color the section is outlined with on the floor plan
+ * - table_ids (optional): Tables in the section; they leave any section they were in
+ */
+router.post('/sections', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const validation = validateServerSection(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const section = await FloorPlanQueries.createSection(req.body);
+
+    res.status(201).json({
+      message: 'Section added successfully',
+      section
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/floor/sections/:id - Rename a section, assign its server or change its tables
+ *
+ * Accepts the same fields as adding a section, all optional. staff_user_id can be null to
+ * leave the section without a server; table_ids replaces the section's tables.
+ */
+router.put('/sections/:id', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const sectionId = parseId(req);
+    if (!sectionId) {
+      return invalidId(res, 'section');
+    }
+
+    const validation = validateServerSection(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const section = await FloorPlanQueries.updateSection(sectionId, req.body);
+    if (!section) {
+      return notFound(res, 'Section');
+    }
+
+    res.json({
+      message: 'Section updated successfully',
+      section
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/floor/sections/:id - Delete a section; its tables are left without one
+ */
+router.delete('/sections/:id', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const sectionId = parseId(req);
+    if (!sectionId) {
+      return invalidId(res, 'section');
+    }
+
+    const section = await FloorPlanQueries.deleteSection(sectionId);
+    if (!section) {
+      return notFound(res, 'Section');
+    }
+
+    res.json({
+      message: 'Section deleted successfully',
+      section
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
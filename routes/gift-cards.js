@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { validateGiftCardForIssue } = require('../models/Payment');
+const { PaymentQueries } = require('../utils/payment-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * GET /api/gift-cards/:code - Look up a gift card's balance
+ */
+router.get('/:code', authorize('payments:read'), async (req, res, next) => {
+  try {
+    const giftCard = await PaymentQueries.getGiftCardByCode(req.params.code);
+    if (!giftCard) {
+      return res.status(404).json({
+        error: 'Gift card not found'
+      });
+    }
+
+    res.json(giftCard);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/gift-cards - Issue a gift card
+ *
+ * Request body should contain:
+ * - amount (required): Starting balance
+ * - code (optional): Generated when omitted
+ */
+router.post('/', authorize('gift_cards:manage'), async (req, res, next) => {
+  try {
+    const validation = validateGiftCardForIssue(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const giftCard = await PaymentQueries.issueGiftCard(req.body);
+
+    console.log('Gift card issued:', giftCard.code);
+
+    res.status(201).json({
+      message: 'Gift card issued successfully',
+      gift_card: giftCard
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,11 +4,52 @@ const {
   validateProductForCreation,
   validateProductForUpdate,
 } = require("../models/Product");
+const {
+  validateLotDetails,
+  DEFAULT_EXPIRY_WARNING_DAYS,
+  MAX_EXPIRY_WARNING_DAYS,
+} = require("../models/StockLot");
+const { conversionProblem } = require("../models/UnitConversion");
+const { resolveValuationPeriod } = require("../models/Costing");
+const { resolveReportRange } = require("../models/Waste");
 const { ProductQueries } = require("../utils/product-database");
-const { createValidationError } = require("../middleware/errorHandler");
+const { LocationQueries } = require("../utils/location-database");
+const { AlertService } = require("../utils/alert-service");
+const { CostingQueries } = require("../utils/costing-database");
+const { UsageQueries } = require("../utils/usage-database");
+const {
+  createValidationError,
+  createConflictError,
+} = require("../middleware/errorHandler");
+const { authorize } = require("../middleware/auth");
 
 console.log("Inventory router module loaded");
 
+/**
+ * Parse an optional location_id
+ * @param {*} value - Query parameter or body field
+ * @returns {number|null|undefined} - Location ID, null when not given, or undefined if invalid
+ */
+function parseLocationId(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const locationId = Number(value);
+  return Number.isInteger(locationId) && locationId > 0 ? locationId : undefined;
+}
+
+/**
+ * Require a location_id given for a product or stock change to be an active location
+ * @param {number|null} locationId - Location ID
+ */
+async function assertActiveLocation(locationId) {
+  if (locationId && !(await LocationQueries.getActiveLocation(locationId))) {
+    throw createValidationError([
+      { field: "location_id", message: `Location ${locationId} not found or inactive` },
+    ]);
+  }
+}
+
 /**
  * GET /api/inventory/products - List all products with optional filtering and pagination
  * Requirements: 1.1, 1.3
@@ -18,12 +59,14 @@ console.log("Inventory router module loaded");
  * - unit (optional): Filter by unit of measure
  * - lowStock (optional): Filter products with low stock (boolean)
  * - outOfStock (optional): Filter products that are out of stock (boolean)
+ * - location_id (optional): Only products held at or kept at this location, with location_quantity;
+ *   lowStock, outOfStock and sorting by current_quantity then use what the location holds
  * - page (optional): Page number for pagination (default: 1)
  * - limit (optional): Number of products per page (default: 20, max: 100)
  * - sortBy (optional): Sort field (name, current_quantity, low_stock_threshold, cost_per_unit, created_at)
  * - sortOrder (optional): Sort order (ASC, DESC)
  */
-router.get("/products", async (req, res, next) => {
+router.get("/products", authorize("inventory:read"), async (req, res, next) => {
   try {
     console.log("GET /api/inventory/products called with query:", req.query);
 
@@ -33,6 +76,7 @@ router.get("/products", async (req, res, next) => {
       unit,
       lowStock,
       outOfStock,
+      location_id,
       page = 1,
       limit = 20,
       sortBy = "name",
@@ -55,6 +99,13 @@ router.get("/products", async (req, res, next) => {
       });
     }
 
+    const locationId = parseLocationId(location_id);
+    if (locationId === undefined) {
+      return res.status(400).json({
+        error: "Invalid location_id parameter. Must be a positive integer.",
+      });
+    }
+
     // Validate sort parameters
     const validSortFields = [
       "name",
@@ -85,6 +136,7 @@ router.get("/products", async (req, res, next) => {
       unit: unit || null,
       lowStock: lowStock === "true",
       outOfStock: outOfStock === "true",
+      location_id: locationId,
       page: pageNum,
       limit: limitNum,
       sortBy,
@@ -99,6 +151,7 @@ router.get("/products", async (req, res, next) => {
         unit: options.unit,
         lowStock: options.lowStock,
         outOfStock: options.outOfStock,
+        location_id: options.location_id,
       }),
     ]);
 
@@ -140,9 +193,16 @@ router.get("/products", async (req, res, next) => {
  * - current_quantity (required): Current quantity (non-negative number)
  * - low_stock_threshold (optional): Low stock threshold (default: 10)
  * - cost_per_unit (optional): Cost per unit
+ * - par_level (optional): Quantity reorder suggestions restock up to
+ * - density_g_per_ml (optional): Grams per millilitre, to convert recipe volumes to and from weight
+ * - piece_weight_g (optional): Grams per piece, to convert recipe counts to and from weight
+ * - category (optional): Stock category, e.g. Dairy or Dry Goods
+ * - location_id (optional): Home location, where stock lands when no location is given
+ *   (default: the first active location); its opening quantity is held there
+ * - lot_rotation (optional): 'fifo' (default) or 'fefo' to use up the soonest expiring lots first
  * - supplier_info (optional): Supplier information
  */
-router.post("/products", async (req, res, next) => {
+router.post("/products", authorize("inventory:products"), async (req, res, next) => {
   try {
     console.log("POST /api/inventory/products called with data:", req.body);
 
@@ -152,6 +212,8 @@ router.post("/products", async (req, res, next) => {
       throw createValidationError(validation.errors);
     }
 
+    await assertActiveLocation(req.body.location_id);
+
     // Check for duplicate product name
     const existingProduct = await ProductQueries.getProductByName(
       req.body.name
@@ -184,7 +246,7 @@ router.post("/products", async (req, res, next) => {
  *
  * Returns complete product data
  */
-router.get("/products/:id", async (req, res, next) => {
+router.get("/products/:id", authorize("inventory:read"), async (req, res, next) => {
   try {
     const productId = parseInt(req.params.id);
 
@@ -230,12 +292,21 @@ router.get("/products/:id", async (req, res, next) => {
  * - name: Product name (must be unique if changed)
  * - description: Product description
  * - unit_of_measure: Unit of measure from valid list
- * - current_quantity: Current quantity (non-negative number)
+ * - current_quantity: Current quantity (non-negative number); the difference is taken up or down at
+ *   the home location
  * - low_stock_threshold: Low stock threshold
  * - cost_per_unit: Cost per unit
+ * - par_level: Quantity reorder suggestions restock up to (null to clear)
+ * - density_g_per_ml: Grams per millilitre (null to clear)
+ * - piece_weight_g: Grams per piece (null to clear)
+ * - category: Stock category (null to clear)
+ * - location_id: Home location; stock already held elsewhere stays there until transferred
+ * - lot_rotation: 'fifo' or 'fefo'
  * - supplier_info: Supplier information
+ *
+ * Returns 409 if a recipe's unit for the product could no longer be converted to its unit of measure.
  */
-router.put("/products/:id", async (req, res, next) => {
+router.put("/products/:id", authorize("inventory:products"), async (req, res, next) => {
   try {
     const productId = parseInt(req.params.id);
 
@@ -259,6 +330,8 @@ router.put("/products/:id", async (req, res, next) => {
       throw createValidationError(validation.errors);
     }
 
+    await assertActiveLocation(req.body.location_id);
+
     // Check for duplicate product name if name is being updated
     if (req.body.name) {
       const existingProduct = await ProductQueries.getProductByName(
@@ -272,6 +345,39 @@ router.put("/products/:id", async (req, res, next) => {
       }
     }
 
+    // Recipes must still convert to the product's unit after a unit, density or piece weight change
+    if (
+      ["unit_of_measure", "density_g_per_ml", "piece_weight_g"].some(
+        (field) => req.body[field] !== undefined
+      )
+    ) {
+      const currentProduct = await ProductQueries.getProductById(productId);
+      if (currentProduct) {
+        const changedProduct = { ...currentProduct, ...req.body };
+        const ingredients = await ProductQueries.getRecipeIngredientUnits(productId);
+        const broken = ingredients.filter((ingredient) =>
+          conversionProblem(ingredient.unit, changedProduct)
+        );
+        if (broken.length > 0) {
+          throw createConflictError(
+            `Recipes measure ${changedProduct.name} in units that could no longer be converted: ` +
+              conversionProblem(broken[0].unit, changedProduct),
+            broken.map((ingredient) => ({
+              recipe_id: ingredient.recipe_id,
+              recipe_name: ingredient.recipe_name,
+              unit: ingredient.unit,
+            }))
+          );
+        }
+      }
+    }
+
+    // Editing the quantity is a stock change, so remember the old one for the event
+    const previousProduct =
+      req.body.current_quantity !== undefined
+        ? await ProductQueries.getProductById(productId)
+        : null;
+
     // Update product
     const updatedProduct = await ProductQueries.updateProduct(
       productId,
@@ -285,6 +391,15 @@ router.put("/products/:id", async (req, res, next) => {
       });
     }
 
+    if (previousProduct) {
+      const quantityChange =
+        parseFloat(updatedProduct.current_quantity) -
+        parseFloat(previousProduct.current_quantity);
+      if (quantityChange !== 0) {
+        AlertService.publishStockChange(null, updatedProduct, quantityChange);
+      }
+    }
+
     console.log("Product updated successfully:", updatedProduct.id);
 
     // Return updated product
@@ -304,7 +419,7 @@ router.put("/products/:id", async (req, res, next) => {
  *
  * Permanently removes a product from inventory.
  */
-router.delete("/products/:id", async (req, res, next) => {
+router.delete("/products/:id", authorize("inventory:products"), async (req, res, next) => {
   try {
     const productId = parseInt(req.params.id);
 
@@ -346,12 +461,14 @@ router.delete("/products/:id", async (req, res, next) => {
  * POST /api/inventory/recipe-links - Create ingredient-product link
  * Requirements: 2.1, 2.2, 2.3
  *
+ * Points the recipe ingredient at the product, in the product's unit, and recosts the recipe
+ *
  * Request body should contain:
  * - recipe_ingredient_id (required): Recipe ingredient ID (positive integer)
  * - product_id (required): Product ID (positive integer)
- * - quantity_per_serving (required): Quantity per serving (positive number)
+ * - quantity_per_serving (required): Quantity per serving in the product's unit (positive number)
  */
-router.post("/recipe-links", async (req, res, next) => {
+router.post("/recipe-links", authorize("inventory:links"), async (req, res, next) => {
   try {
     console.log("POST /api/inventory/recipe-links called with data:", req.body);
 
@@ -387,9 +504,9 @@ router.post("/recipe-links", async (req, res, next) => {
  * GET /api/inventory/recipe-links/:recipeId - Get product links for a recipe
  * Requirements: 2.1, 2.2, 2.3
  *
- * Returns array of links with ingredient and product information
+ * Returns array of links with ingredient and product information, one per recipe ingredient
  */
-router.get("/recipe-links/:recipeId", async (req, res, next) => {
+router.get("/recipe-links/:recipeId", authorize("inventory:read"), async (req, res, next) => {
   try {
     const recipeId = parseInt(req.params.recipeId);
 
@@ -433,9 +550,9 @@ router.get("/recipe-links/:recipeId", async (req, res, next) => {
  * DELETE /api/inventory/recipe-links/:id - Remove ingredient-product link
  * Requirements: 2.1, 2.2, 2.3
  *
- * Permanently removes a link between recipe ingredient and product
+ * An ingredient always uses a product, so this removes the ingredient from its recipe
  */
-router.delete("/recipe-links/:id", async (req, res, next) => {
+router.delete("/recipe-links/:id", authorize("inventory:links"), async (req, res, next) => {
   try {
     const linkId = parseInt(req.params.id);
 
@@ -485,11 +602,17 @@ router.delete("/recipe-links/:id", async (req, res, next) => {
  * - quantity (required): Quantity to add (positive number)
  * - notes (optional): Notes about the restock operation
  * - reference_id (optional): Reference ID for tracking
+ * - location_id (optional): Location receiving the stock (default: the product's home location)
+ * - expires_on (optional): Expiry date of the lot received (YYYY-MM-DD)
+ * - lot_code (optional): Supplier's lot or batch code
+ * - unit_cost (optional): Price paid per unit (default: the product's current cost)
+ *
+ * The stock is received as a lot at its unit cost, which is averaged into the product's cost.
  */
-router.post("/products/:id/restock", async (req, res, next) => {
+router.post("/products/:id/restock", authorize("inventory:stock"), async (req, res, next) => {
   try {
     const productId = parseInt(req.params.id);
-    const { quantity, notes, reference_id } = req.body;
+    const { quantity, notes, reference_id, location_id, expires_on, lot_code, unit_cost } = req.body;
 
     console.log(
       "POST /api/inventory/products/:id/restock called with ID:",
@@ -512,6 +635,18 @@ router.post("/products/:id/restock", async (req, res, next) => {
       });
     }
 
+    const locationId = parseLocationId(location_id);
+    if (locationId === undefined) {
+      return res.status(400).json({
+        error: "Invalid location_id. Must be a positive integer.",
+      });
+    }
+    const lotErrors = validateLotDetails({ expires_on, lot_code, unit_cost });
+    if (lotErrors.length > 0) {
+      throw createValidationError(lotErrors);
+    }
+    await assertActiveLocation(locationId);
+
     const { InventoryTransactionQueries } = await import(
       "../utils/inventory-database.js"
     );
@@ -535,6 +670,10 @@ router.post("/products/:id/restock", async (req, res, next) => {
         reference_type: "manual",
         reference_id: reference_id || null,
         notes: notes || null,
+        location_id: locationId,
+        expires_on: expires_on || null,
+        lot_code: lot_code || null,
+        unit_cost: unit_cost ?? null,
       }
     );
 
@@ -565,11 +704,12 @@ router.post("/products/:id/restock", async (req, res, next) => {
  * - quantity_change (required): Quantity change (positive or negative number)
  * - notes (optional): Notes about the adjustment
  * - reference_id (optional): Reference ID for tracking
+ * - location_id (optional): Location whose stock is adjusted (default: the product's home location)
  */
-router.post("/products/:id/adjust", async (req, res, next) => {
+router.post("/products/:id/adjust", authorize("inventory:stock"), async (req, res, next) => {
   try {
     const productId = parseInt(req.params.id);
-    const { quantity_change, notes, reference_id } = req.body;
+    const { quantity_change, notes, reference_id, location_id } = req.body;
 
     console.log(
       "POST /api/inventory/products/:id/adjust called with ID:",
@@ -598,6 +738,14 @@ router.post("/products/:id/adjust", async (req, res, next) => {
 
     const quantityChangeNum = parseFloat(quantity_change);
 
+    const locationId = parseLocationId(location_id);
+    if (locationId === undefined) {
+      return res.status(400).json({
+        error: "Invalid location_id. Must be a positive integer.",
+      });
+    }
+    await assertActiveLocation(locationId);
+
     const { InventoryTransactionQueries } = await import(
       "../utils/inventory-database.js"
     );
@@ -621,6 +769,7 @@ router.post("/products/:id/adjust", async (req, res, next) => {
         reference_type: "manual",
         reference_id: reference_id || null,
         notes: notes || null,
+        location_id: locationId,
       }
     );
 
@@ -649,19 +798,21 @@ router.post("/products/:id/adjust", async (req, res, next) => {
  *
  * Query parameters:
  * - product_id (optional): Filter by product ID
- * - transaction_type (optional): Filter by transaction type (sale, restock, adjustment, waste)
- * - reference_type (optional): Filter by reference type (order, manual, recipe)
+ * - transaction_type (optional): Filter by transaction type (sale, restock, adjustment, waste, transfer)
+ * - reference_type (optional): Filter by reference type (order, manual, recipe, purchase_order, stock_count, waste_log, transfer)
+ * - location_id (optional): Filter by the location whose stock changed
  * - start_date (optional): Filter transactions from this date (ISO format)
  * - end_date (optional): Filter transactions to this date (ISO format)
  * - page (optional): Page number for pagination (default: 1)
  * - limit (optional): Number of transactions per page (default: 50, max: 200)
  */
-router.get("/transactions", async (req, res, next) => {
+router.get("/transactions", authorize("inventory:read"), async (req, res, next) => {
   try {
     const {
       product_id,
       transaction_type,
       reference_type,
+      location_id,
       start_date,
       end_date,
       page = 1,
@@ -690,7 +841,7 @@ router.get("/transactions", async (req, res, next) => {
     }
 
     // Validate transaction_type if provided
-    const validTransactionTypes = ["sale", "restock", "adjustment", "waste"];
+    const validTransactionTypes = ["sale", "restock", "adjustment", "waste", "transfer"];
     if (transaction_type && !validTransactionTypes.includes(transaction_type)) {
       return res.status(400).json({
         error: `Invalid transaction_type. Must be one of: ${validTransactionTypes.join(
@@ -700,7 +851,7 @@ router.get("/transactions", async (req, res, next) => {
     }
 
     // Validate reference_type if provided
-    const validReferenceTypes = ["order", "manual", "recipe"];
+    const validReferenceTypes = ["order", "manual", "recipe", "purchase_order", "stock_count", "waste_log", "transfer"];
     if (reference_type && !validReferenceTypes.includes(reference_type)) {
       return res.status(400).json({
         error: `Invalid reference_type. Must be one of: ${validReferenceTypes.join(
@@ -719,6 +870,13 @@ router.get("/transactions", async (req, res, next) => {
       });
     }
 
+    const locationId = parseLocationId(location_id);
+    if (locationId === undefined) {
+      return res.status(400).json({
+        error: "Invalid location_id. Must be a positive integer.",
+      });
+    }
+
     const { InventoryTransactionQueries } = await import(
       "../utils/inventory-database.js"
     );
@@ -728,6 +886,7 @@ router.get("/transactions", async (req, res, next) => {
     if (product_id) filters.product_id = parseInt(product_id);
     if (transaction_type) filters.transaction_type = transaction_type;
     if (reference_type) filters.reference_type = reference_type;
+    if (locationId) filters.location_id = locationId;
     if (start_date) filters.start_date = start_date;
     if (end_date) filters.end_date = end_date;
 
@@ -776,7 +935,7 @@ router.get("/transactions", async (req, res, next) => {
  *
  * Returns array of products that are below their low stock threshold
  */
-router.get("/alerts/low-stock", async (req, res, next) => {
+router.get("/alerts/low-stock", authorize("inventory:read"), async (req, res, next) => {
   try {
     console.log("GET /api/inventory/alerts/low-stock called");
 
@@ -804,7 +963,7 @@ router.get("/alerts/low-stock", async (req, res, next) => {
  *
  * Returns array of products that are completely out of stock
  */
-router.get("/alerts/out-of-stock", async (req, res, next) => {
+router.get("/alerts/out-of-stock", authorize("inventory:read"), async (req, res, next) => {
   try {
     console.log("GET /api/inventory/alerts/out-of-stock called");
 
@@ -826,24 +985,80 @@ router.get("/alerts/out-of-stock", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/inventory/alerts/expiring-soon - Get alerts for lots that have expired or expire soon
+ *
+ * Returns one alert per lot with stock left, soonest expiry first
+ *
+ * Query parameters:
+ * - days (optional): Days ahead to look (default: 3, max: 90); 0 for lots expiring today or earlier
+ * - location_id (optional): Only lots of products held at or kept at this location
+ */
+router.get("/alerts/expiring-soon", authorize("inventory:read"), async (req, res, next) => {
+  try {
+    console.log("GET /api/inventory/alerts/expiring-soon called");
+
+    let days = DEFAULT_EXPIRY_WARNING_DAYS;
+    if (req.query.days !== undefined) {
+      days = Number(req.query.days);
+      if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRY_WARNING_DAYS) {
+        return res.status(400).json({
+          error: `Invalid days parameter. Must be a whole number from 0 to ${MAX_EXPIRY_WARNING_DAYS}.`,
+        });
+      }
+    }
+
+    const locationId = parseLocationId(req.query.location_id);
+    if (locationId === undefined) {
+      return res.status(400).json({
+        error: "Invalid location_id parameter. Must be a positive integer.",
+      });
+    }
+
+    const alerts = await AlertService.getExpiringSoonAlerts(days, locationId);
+
+    console.log(`Retrieved ${alerts.length} expiring soon alerts`);
+
+    res.json({
+      alerts,
+      count: alerts.length,
+      days,
+    });
+  } catch (error) {
+    // Pass error to error handling middleware
+    next(error);
+  }
+});
+
 /**
  * GET /api/inventory/dashboard - Get dashboard summary data
  * Requirements: 4.1, 4.2, 4.3, 5.1, 5.2, 5.3
  *
  * Returns comprehensive dashboard data including:
  * - Total product count
- * - Low stock and out-of-stock counts
+ * - Low stock and out-of-stock counts, and lots expired or expiring within 3 days
  * - Alert arrays
  * - Summary message
+ *
+ * Query parameters:
+ * - location_id (optional): Only products held at or kept at this location, alerting on what the
+ *   location holds
  */
-router.get("/dashboard", async (req, res, next) => {
+router.get("/dashboard", authorize("inventory:read"), async (req, res, next) => {
   try {
     console.log("GET /api/inventory/dashboard called");
 
+    const locationId = parseLocationId(req.query.location_id);
+    if (locationId === undefined) {
+      return res.status(400).json({
+        error: "Invalid location_id parameter. Must be a positive integer.",
+      });
+    }
+
     const { AlertService } = require("../utils/alert-service");
 
     // Get comprehensive dashboard summary
-    const summary = await AlertService.getDashboardSummary();
+    const summary = await AlertService.getDashboardSummary({ location_id: locationId });
 
     console.log(
       `Dashboard summary generated: ${summary.total_products} products, ${summary.low_stock_count} low stock, ${summary.out_of_stock_count} out of stock`
@@ -857,5 +1072,72 @@ router.get("/dashboard", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/inventory/valuation - Value of the stock on hand at the end of a day
+ *
+ * Query parameters:
+ * - as_of (optional): Day valued, YYYY-MM-DD (default: today)
+ * - from (optional): First day of the cost of goods sold period, YYYY-MM-DD (default: the first of
+ *   as_of's month)
+ *
+ * Returns each product's quantity, value and cost of goods sold, with totals. Stock is valued at the
+ * weighted-average cost, or at the cost of the lots still holding it when INVENTORY_COSTING_METHOD is
+ * 'fifo'; cost of goods sold is the cost of the 'sale' transactions in the period.
+ */
+router.get("/valuation", authorize("inventory:reports"), async (req, res, next) => {
+  try {
+    console.log("GET /api/inventory/valuation called with query:", req.query);
+
+    const period = resolveValuationPeriod({ as_of: req.query.as_of, from: req.query.from });
+    if (period.errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid ${period.errors[0].field} parameter. ${period.errors[0].message}.`,
+      });
+    }
+
+    const valuation = await CostingQueries.getValuation({ as_of: period.as_of, from: period.from });
+
+    console.log(`Valuation as of ${valuation.as_of}: ${valuation.total_value}`);
+
+    res.json(valuation);
+  } catch (error) {
+    // Pass error to error handling middleware
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/usage - Theoretical vs. actual usage of each product over a date range
+ *
+ * Query parameters:
+ * - start_date, end_date (optional): YYYY-MM-DD, inclusive (default: the 30 days up to today)
+ *
+ * Returns each product's opening stock, purchases, theoretical usage (the recipe quantities of the items
+ * on the orders served), waste and closing stock (from the last stock count in the range when there is
+ * one), with the unexplained variance in units and cost. Served orders whose ingredients were never
+ * deducted are listed as undeducted_orders.
+ */
+router.get("/usage", authorize("inventory:reports"), async (req, res, next) => {
+  try {
+    console.log("GET /api/inventory/usage called with query:", req.query);
+
+    const range = resolveReportRange({ start_date: req.query.start_date, end_date: req.query.end_date });
+    if (range.errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid ${range.errors[0].field} parameter. ${range.errors[0].message}.`,
+      });
+    }
+
+    const report = await UsageQueries.getUsageReport({ start_date: range.start_date, end_date: range.end_date });
+
+    console.log(`Usage from ${report.start_date} to ${report.end_date}: ${report.variance_cost} unexplained`);
+
+    res.json(report);
+  } catch (error) {
+    // Pass error to error handling middleware
+    next(error);
+  }
+});
+
 console.log("Inventory router configured");
 module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { validateStation } = require('../models/Kitchen');
+const { KitchenQueries } = require('../utils/kitchen-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - ID or null if invalid
+ */
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+/**
+ * Read an optional station name from the request body, throwing a validation error when malformed
+ * @returns {string|null}
+ */
+function getStation(body) {
+  const station = body ? body.station : undefined;
+  const error = validateStation(station);
+  if (error) {
+    throw createValidationError([error]);
+  }
+  return station || null;
+}
+
+/**
+ * Register a POST /tickets/:orderId/<action> route
+ * @param {string} action - Path segment
+ * @param {Function} run - (orderId, req) => Promise<Object|null>
+ */
+function ticketAction(action, run) {
+  router.post(`/tickets/:orderId/${action}`, authorize('kitchen:bump'), async (req, res, next) => {
+    try {
+      const orderId = parseId(req.params.orderId);
+      if (!orderId) {
+        return res.status(400).json({ error: 'Invalid order ID. Must be a positive integer.' });
+      }
+
+      const result = await run(orderId, req);
+      if (!result) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+/**
+ * GET /api/kitchen/tickets - Open tickets, one per order and station, oldest first
+ * Query: ?station=bar to show one station
+ * Each ticket has age_seconds, target_seconds (longest prep + cook time of its items),
+ * timer_status ('ok', 'warning' or 'late'), bumped and its items with their ready state
+ */
+router.get('/tickets', authorize('kitchen:read'), async (req, res, next) => {
+  try {
+    const error = validateStation(req.query.station);
+    if (error) {
+      throw createValidationError([error]);
+    }
+
+    res.json(await KitchenQueries.getTickets({ station: req.query.station || null }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/kitchen/tickets/:orderId/start - Start cooking; a pending order moves to preparing
+ */
+ticketAction('start', (orderId, req) => KitchenQueries.startOrder(orderId, req.user));
+
+/**
+ * POST /api/kitchen/tickets/:orderId/bump - Mark a station's items ready; body { station } (omit for every item)
+ * The order moves to ready once every item is ready
+ */
+ticketAction('bump', (orderId, req) => KitchenQueries.bumpTicket(orderId, getStation(req.body), req.user));
+
+/**
+ * POST /api/kitchen/tickets/:orderId/recall - Bring a bumped ticket back; body { station } (omit for every item)
+ * A ready order moves back to preparing
+ */
+ticketAction('recall', (orderId, req) => KitchenQueries.recallTicket(orderId, getStation(req.body), req.user));
+
+/**
+ * PUT /api/kitchen/items/:itemId/ready - Mark one item ready or not; body { ready: true|false }
+ */
+router.put('/items/:itemId/ready', authorize('kitchen:bump'), async (req, res, next) => {
+  try {
+    const itemId = parseId(req.params.itemId);
+    if (!itemId) {
+      return res.status(400).json({ error: 'Invalid order item ID. Must be a positive integer.' });
+    }
+
+    if (typeof req.body.ready !== 'boolean') {
+      throw createValidationError([{ field: 'ready', message: 'Ready must be true or false' }]);
+    }
+
+    const result = await KitchenQueries.setItemReady(itemId, req.body.ready, req.user);
+    if (!result) {
+      return res.status(404).json({ error: 'Order item not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const { validateLocation } = require('../models/Location');
+const { LocationQueries } = require('../utils/location-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the location ID route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Location ID or null if invalid
+ */
+function parseLocationId(req) {
+  const locationId = parseInt(req.params.id);
+  return isNaN(locationId) || locationId < 1 ? null : locationId;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidLocationId(res) {
+  return res.status(400).json({
+    error: 'Invalid location ID. Must be a positive integer.'
+  });
+}
+
+/**
+ * Send the standard not-found response
+ */
+function locationNotFound(res) {
+  return res.status(404).json({
+    error: 'Location not found'
+  });
+}
+
+/**
+ * GET /api/inventory/locations - List storage locations with how many products they hold and the
+ * value of their stock
+ *
+ * Query parameters:
+ * - active (optional): true or false
+ */
+router.get('/', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const { active } = req.query;
+
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      return res.status(400).json({
+        error: 'Invalid active parameter. Must be true or false.'
+      });
+    }
+
+    const locations = await LocationQueries.getLocations(
+      active !== undefined ? { active: active === 'true' } : {}
+    );
+    res.json(locations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/locations/:id - A location with what it holds of each product
+ */
+router.get('/:id', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const locationId = parseLocationId(req);
+    if (!locationId) {
+      return invalidLocationId(res);
+    }
+
+    const location = await LocationQueries.getLocationById(locationId);
+    if (!location) {
+      return locationNotFound(res);
+    }
+
+    res.json(location);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/locations - Add a storage location
+ *
+ * Request body should contain:
+ * - name (required): Unique
+ * - recipe_category (optional): food or drink; recipes of this category take their ingredients from
+ *   this location when it holds them. Only one active location can serve each category.
+ * - sort_order (optional): Position in lists, default 0
+ */
+router.post('/', authorize('inventory:locations'), async (req, res, next) => {
+  try {
+    const validation = validateLocation(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const location = await LocationQueries.createLocation(req.body);
+
+    res.status(201).json({
+      message: 'Location added successfully',
+      location
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/inventory/locations/:id - Change a storage location
+ *
+ * Accepts the same fields as adding a location, all optional, plus active to reactivate or
+ * deactivate it. Returns 409 for deactivating a location that still holds stock or is a product's
+ * home location.
+ */
+router.put('/:id', authorize('inventory:locations'), async (req, res, next) => {
+  try {
+    const locationId = parseLocationId(req);
+    if (!locationId) {
+      return invalidLocationId(res);
+    }
+
+    const validation = validateLocation(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const location = await LocationQueries.updateLocation(locationId, req.body);
+    if (!location) {
+      return locationNotFound(res);
+    }
+
+    res.json({
+      message: 'Location updated successfully',
+      location
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
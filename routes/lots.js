@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { LotQueries } = require('../utils/lot-database');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * GET /api/inventory/lots - List stock lots, in the order each product uses them up
+ *
+ * Query parameters:
+ * - product_id (optional): Only this product's lots
+ * - include_empty (optional): 'true' to also list lots that have been used up
+ *
+ * Each lot has its received date, expiry date, unit cost, what it held and what it has left, and
+ * days_until_expiry (negative once expired).
+ */
+router.get('/', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const options = {};
+    if (req.query.product_id !== undefined) {
+      options.product_id = parseInt(req.query.product_id);
+      if (isNaN(options.product_id) || options.product_id < 1) {
+        return res.status(400).json({
+          error: 'Invalid product_id parameter. Must be a positive integer.'
+        });
+      }
+    }
+    if (req.query.include_empty !== undefined) {
+      if (!['true', 'false'].includes(req.query.include_empty)) {
+        return res.status(400).json({
+          error: 'Invalid include_empty parameter. Must be true or false.'
+        });
+      }
+      options.include_empty = req.query.include_empty === 'true';
+    }
+
+    const lots = await LotQueries.getLots(options);
+    res.json(lots);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validateModifierGroup, validateModifier } = require('../models/Modifier');
+const { ModifierQueries } = require('../utils/modifier-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - ID or null if invalid
+ */
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+/**
+ * Parse the route's IDs, answering 400 when any is invalid
+ * @returns {Array<number>|null} - IDs in the order given, or null if a response was sent
+ */
+function parseIds(req, res, names) {
+  const ids = names.map(name => parseId(req.params[name]));
+  if (ids.some(id => !id)) {
+    res.status(400).json({ error: 'Invalid menu item, group or modifier ID. Must be positive integers.' });
+    return null;
+  }
+  return ids;
+}
+
+/**
+ * GET /api/menu/:menuItemId/modifier-groups - Groups with their modifiers and ingredient changes
+ */
+router.get('/', authorize('menu:read'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res, ['menuItemId']);
+    if (!ids) return;
+
+    const groups = await ModifierQueries.getGroups(ids[0]);
+    if (!groups) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    res.json(groups);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/menu/:menuItemId/modifier-groups - Create a group
+ *
+ * Request body:
+ * - name: Group name, e.g. "Cheese" (required)
+ * - is_required, min_selections, max_selections (null for no limit), sort_order
+ * - modifiers: [{ name, price_delta, available, sort_order,
+ *                 ingredients: [{ product_id, action ('add' or 'remove'), quantity }] }]
+ *   Ingredient quantities are per serving in the product's unit; a 'remove' without a
+ *   quantity leaves out all of the recipe's amount of that product
+ */
+router.post('/', authorize('menu:write'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res, ['menuItemId']);
+    if (!ids) return;
+
+    const validation = validateModifierGroup(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const group = await ModifierQueries.createGroup(ids[0], req.body);
+    if (!group) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    res.status(201).json(group);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/menu/:menuItemId/modifier-groups/:groupId - Change a group's name, limits or sort order
+ */
+router.put('/:groupId', authorize('menu:write'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res, ['menuItemId', 'groupId']);
+    if (!ids) return;
+
+    const validation = validateModifierGroup(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const group = await ModifierQueries.updateGroup(ids[0], ids[1], req.body);
+    if (!group) {
+      return res.status(404).json({ error: 'Modifier group not found' });
+    }
+
+    res.json(group);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/menu/:menuItemId/modifier-groups/:groupId - Delete a group and its modifiers
+ */
+router.delete('/:groupId', authorize('menu:write'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res, ['menuItemId', 'groupId']);
+    if (!ids) return;
+
+    const deleted = await ModifierQueries.deleteGroup(ids[0], ids[1]);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Modifier group not found' });
+    }
+
+    res.json({ message: 'Modifier group deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/menu/:menuItemId/modifier-groups/:groupId/modifiers - Add a modifier to a group
+ */
+router.post('/:groupId/modifiers', authorize('menu:write'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res, ['menuItemId', 'groupId']);
+    if (!ids) return;
+
+    const validation = validateModifier(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const modifier = await ModifierQueries.createModifier(ids[0], ids[1], req.body);
+    if (!modifier) {
+      return res.status(404).json({ error: 'Modifier group not found' });
+    }
+
+    res.status(201).json(modifier);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/menu/:menuItemId/modifier-groups/:groupId/modifiers/:modifierId - Update a modifier
+ * Sending ingredients replaces the modifier's ingredient changes
+ */
+router.put('/:groupId/modifiers/:modifierId', authorize('menu:write'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res, ['menuItemId', 'groupId', 'modifierId']);
+    if (!ids) return;
+
+    const validation = validateModifier(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const modifier = await ModifierQueries.updateModifier(ids[0], ids[1], ids[2], req.body);
+    if (!modifier) {
+      return res.status(404).json({ error: 'Modifier not found' });
+    }
+
+    res.json(modifier);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/menu/:menuItemId/modifier-groups/:groupId/modifiers/:modifierId - Delete a modifier
+ */
+router.delete('/:groupId/modifiers/:modifierId', authorize('menu:write'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res, ['menuItemId', 'groupId', 'modifierId']);
+    if (!ids) return;
+
+    const deleted = await ModifierQueries.deleteModifier(ids[0], ids[1], ids[2]);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Modifier not found' });
+    }
+
+    res.json({ message: 'Modifier deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../utils/db-connection');
+const { authorize } = require('../middleware/auth');
+const { ModifierQueries } = require('../utils/modifier-database');
+const { validateStation } = require('../models/Kitchen');
+const { profitMargin, validateTargetFoodCost } = require('../models/RecipeCost');
+const { RecipeCostQueries } = require('../utils/recipe-cost-database');
 
-// Get all menu items with recipe information
-router.get('/', async (req, res) => {
+/**
+ * Cost per serving of a menu item: its recipe's cost once the recipe has been costed, otherwise the
+ * cost typed in for it
+ * @param {number|null} recipeId - Recipe the item is made from
+ * @param {number|null} typedCost - cost_per_serving sent with the item
+ * @returns {Promise<number>}
+ */
+async function servingCost(recipeId, typedCost) {
+  if (recipeId) {
+    const result = await pool.query('SELECT cost_per_serving FROM recipes WHERE id = $1', [recipeId]);
+    if (result.rows.length > 0 && result.rows[0].cost_per_serving !== null) {
+      return Math.round(parseFloat(result.rows[0].cost_per_serving) * 100) / 100;
+    }
+  }
+  return typedCost || 0;
+}
+
+// Get all menu items with recipe information and modifier groups
+router.get('/', authorize('menu:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -23,15 +45,29 @@ router.get('/', async (req, res) => {
       LEFT JOIN recipes r ON mi.recipe_id = r.id
       ORDER BY mi.category, mi.name
     `);
-    res.json(result.rows);
+    const modifierGroups = await ModifierQueries.getGroupsForMenuItems(pool, result.rows.map(item => item.id));
+    res.json(result.rows.map(item => ({ ...item, modifier_groups: modifierGroups.get(item.id) })));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Add new menu item (can be recipe-based or standalone)
-router.post('/', async (req, res) => {
-  const { recipe_id, name, description, price, category, available, cost_per_serving, profit_margin } = req.body;
+// station is the kitchen display station; without one, drinks go to 'bar' and everything else to 'kitchen'
+// Recipe-based items are costed from their recipe; profit_margin is worked out from the price and cost
+router.post('/', authorize('menu:write'), async (req, res) => {
+  const { recipe_id, name, description, price, category, available, cost_per_serving, station, target_food_cost_percent } = req.body;
+  
+  const stationError = validateStation(station);
+  if (stationError) {
+    return res.status(400).json({ error: stationError.message });
+  }
+
+  const targetErrors = validateTargetFoodCost(target_food_cost_percent);
+  if (targetErrors.length > 0) {
+    return res.status(400).json({ error: targetErrors[0].message });
+  }
+  const target = target_food_cost_percent === '' ? null : target_food_cost_percent ?? null;
   
   try {
     let query, values;
@@ -44,9 +80,10 @@ router.post('/', async (req, res) => {
       }
       
       const recipe = recipeResult.rows[0];
+      const cost = await servingCost(recipe_id, cost_per_serving);
       query = `
-        INSERT INTO menu_items (recipe_id, name, description, price, category, available, cost_per_serving, profit_margin) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+        INSERT INTO menu_items (recipe_id, name, description, price, category, available, cost_per_serving, profit_margin, station, target_food_cost_percent) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *
       `;
       values = [
         recipe_id,
@@ -55,16 +92,19 @@ router.post('/', async (req, res) => {
         price,
         category || recipe.category,
         available !== undefined ? available : true,
-        cost_per_serving || 0,
-        profit_margin || 0.30
+        cost,
+        profitMargin(price, cost),
+        station || null,
+        target
       ];
     } else {
       // Standalone menu item
+      const cost = cost_per_serving || 0;
       query = `
-        INSERT INTO menu_items (name, description, price, category, available, cost_per_serving, profit_margin) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
+        INSERT INTO menu_items (name, description, price, category, available, cost_per_serving, profit_margin, station, target_food_cost_percent) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *
       `;
-      values = [name, description, price, category, available || true, cost_per_serving || 0, profit_margin || 0.30];
+      values = [name, description, price, category, available || true, cost, profitMargin(price, cost), station || null, target];
     }
     
     const result = await pool.query(query, values);
@@ -75,11 +115,24 @@ router.post('/', async (req, res) => {
 });
 
 // Update menu item
-router.put('/:id', async (req, res) => {
+// station is left unchanged when omitted; send "" to go back to the station derived from the recipe
+// target_food_cost_percent is also left unchanged when omitted; send null to go back to the default target
+router.put('/:id', authorize('menu:write'), async (req, res) => {
   const { id } = req.params;
-  const { recipe_id, name, description, price, category, available, cost_per_serving, profit_margin } = req.body;
+  const { recipe_id, name, description, price, category, available, cost_per_serving, station, target_food_cost_percent } = req.body;
+  
+  const stationError = validateStation(station);
+  if (stationError) {
+    return res.status(400).json({ error: stationError.message });
+  }
+
+  const targetErrors = validateTargetFoodCost(target_food_cost_percent);
+  if (targetErrors.length > 0) {
+    return res.status(400).json({ error: targetErrors[0].message });
+  }
   
   try {
+    const cost = await servingCost(recipe_id, cost_per_serving);
     const result = await pool.query(
       `UPDATE menu_items SET 
         recipe_id = $1, 
@@ -90,9 +143,16 @@ router.put('/:id', async (req, res) => {
         available = $6,
         cost_per_serving = $7,
         profit_margin = $8,
+        station = CASE WHEN $10::text IS NULL THEN station ELSE NULLIF($10, '') END,
+        target_food_cost_percent = CASE WHEN $11 THEN $12::numeric ELSE target_food_cost_percent END,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = $9 RETURNING *`,
-      [recipe_id, name, description, price, category, available, cost_per_serving, profit_margin, id]
+      [
+        recipe_id, name, description, price, category, available, cost, profitMargin(price, cost), id,
+        station === undefined ? null : station,
+        target_food_cost_percent !== undefined,
+        target_food_cost_percent === '' ? null : target_food_cost_percent ?? null
+      ]
     );
     
     if (result.rows.length === 0) {
@@ -106,7 +166,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete menu item
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('menu:write'), async (req, res) => {
   const { id } = req.params;
   try {
     await pool.query('DELETE FROM menu_items WHERE id = $1', [id]);
@@ -116,8 +176,32 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Price every menu item against its target food cost, with a suggested price for each
+// below_target=true lists only the items whose margin has slipped below target
+router.get('/pricing', authorize('menu:costs'), async (req, res, next) => {
+  try {
+    const pricing = await RecipeCostQueries.getMenuPricing({ below_target: req.query.below_target === 'true' });
+    res.json(pricing);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Recalculate every recipe's cost from its products' current costs
+router.post('/pricing/recalculate', authorize('menu:costs'), async (req, res, next) => {
+  try {
+    const changed = await RecipeCostQueries.recalculateAll();
+    res.json({
+      message: `${changed.length} recipe ${changed.length === 1 ? 'cost' : 'costs'} changed`,
+      recipes: changed
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Get available recipes for menu creation
-router.get('/available-recipes', async (req, res) => {
+router.get('/available-recipes', authorize('menu:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT 
@@ -137,7 +221,7 @@ router.get('/available-recipes', async (req, res) => {
 });
 
 // Get menu item with full recipe details
-router.get('/:id/recipe', async (req, res) => {
+router.get('/:id/recipe', authorize('menu:read'), async (req, res) => {
   const { id } = req.params;
   try {
     const result = await pool.query(`
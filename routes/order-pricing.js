@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validateOrderDiscount } = require('../models/Pricing');
+const { PricingQueries } = require('../utils/pricing-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - ID or null if invalid
+ */
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+const applyDiscount = authorize('discounts:apply');
+const overrideDiscount = authorize('discounts:override');
+
+/**
+ * Configured discounts can be applied by front-of-house staff;
+ * ad-hoc discounts and comps need a manager
+ */
+function authorizeDiscount(req, res, next) {
+  const usesConfiguredDiscount = req.body && req.body.discount_id !== undefined;
+  return (usesConfiguredDiscount ? applyDiscount : overrideDiscount)(req, res, next);
+}
+
+/**
+ * GET /api/orders/:orderId/pricing - Subtotal, discount, service charge, tax and total,
+ * with each item's price, tax rate, discount and tax, and the discounts applied
+ */
+router.get('/', authorize('orders:read'), async (req, res, next) => {
+  try {
+    const orderId = parseId(req.params.orderId);
+    if (!orderId) {
+      return res.status(400).json({ error: 'Invalid order ID. Must be a positive integer.' });
+    }
+
+    const pricing = await PricingQueries.getOrderPricing(orderId);
+    if (!pricing) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    res.json(pricing);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/pricing/discounts - Discount or comp an order or one of its items
+ *
+ * Request body contains one of:
+ * - discount_id: A configured discount (happy hour discounts only during their window)
+ * - discount_type ('percentage' or 'fixed') and value, with a reason (manager)
+ * - comp: true with a reason (manager); takes the whole order or item off
+ * and optionally:
+ * - order_item_id: Apply to one item instead of the whole order
+ *
+ * Returns 409 once the order is paid
+ */
+router.post('/discounts', authorizeDiscount, async (req, res, next) => {
+  try {
+    const orderId = parseId(req.params.orderId);
+    if (!orderId) {
+      return res.status(400).json({ error: 'Invalid order ID. Must be a positive integer.' });
+    }
+
+    const validation = validateOrderDiscount(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const result = await PricingQueries.addOrderDiscount(orderId, req.body, req.user);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    console.log('Discount applied:', result.discount.name, 'to order', orderId);
+
+    res.status(201).json({
+      message: result.discount.is_comp ? 'Comp applied successfully' : 'Discount applied successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/orders/:orderId/pricing/discounts/:discountId - Remove a discount or comp
+ * (:discountId is the applied discount's ID from GET /pricing)
+ */
+router.delete('/discounts/:discountId', authorize('discounts:override'), async (req, res, next) => {
+  try {
+    const orderId = parseId(req.params.orderId);
+    const discountId = parseId(req.params.discountId);
+    if (!orderId || !discountId) {
+      return res.status(400).json({ error: 'Invalid order or discount ID. Must be positive integers.' });
+    }
+
+    const pricing = await PricingQueries.removeOrderDiscount(orderId, discountId);
+    if (!pricing) {
+      return res.status(404).json({
+        error: 'Discount not found on this order'
+      });
+    }
+
+    res.json({
+      message: 'Discount removed successfully',
+      pricing
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
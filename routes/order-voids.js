@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validateOrderVoid } = require('../models/OrderVoid');
+const { OrderVoidQueries } = require('../utils/order-void-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - ID or null if invalid
+ */
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+/**
+ * Handler that takes a whole order off the bill
+ * @param {string} voidType - 'cancel' or 'void'
+ * @returns {Function} - Express handler
+ */
+function voidOrderHandler(voidType) {
+  return async (req, res, next) => {
+    try {
+      const orderId = parseId(req.params.orderId);
+      if (!orderId) {
+        return res.status(400).json({ error: 'Invalid order ID. Must be a positive integer.' });
+      }
+
+      const validation = validateOrderVoid(req.body);
+      if (!validation.isValid) {
+        throw createValidationError(validation.errors);
+      }
+
+      const result = await OrderVoidQueries.voidOrder(orderId, voidType, req.body, req.user);
+      if (!result) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      console.log(`Order ${orderId} ${result.order.status}:`, result.void.reason);
+
+      res.json({
+        message: `Order ${result.order.status} successfully`,
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Handler that takes one item off an order
+ * @param {string} voidType - 'cancel' or 'void'
+ * @returns {Function} - Express handler
+ */
+function voidItemHandler(voidType) {
+  return async (req, res, next) => {
+    try {
+      const orderId = parseId(req.params.orderId);
+      const orderItemId = parseId(req.params.itemId);
+      if (!orderId || !orderItemId) {
+        return res.status(400).json({ error: 'Invalid order or item ID. Must be positive integers.' });
+      }
+
+      const validation = validateOrderVoid(req.body);
+      if (!validation.isValid) {
+        throw createValidationError(validation.errors);
+      }
+
+      const result = await OrderVoidQueries.voidOrderItem(orderId, orderItemId, voidType, req.body, req.user);
+      if (!result) {
+        return res.status(404).json({ error: 'Order item not found' });
+      }
+
+      res.json({
+        message: voidType === 'cancel' ? 'Item cancelled successfully' : 'Item voided successfully',
+        ...result
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * POST /api/orders/:orderId/cancel - Cancel an order that has not been served
+ * POST /api/orders/:orderId/void - Void a served order
+ *
+ * Request body:
+ * - reason: Why (required)
+ * - disposition: 'return' (default) puts the ingredients back into stock, 'waste' records them as waste
+ *
+ * Every item comes off the bill and the total drops to zero. Returns 409 when the order is in the wrong
+ * status for the operation or has payments against it.
+ */
+router.post('/cancel', authorize('orders:cancel'), voidOrderHandler('cancel'));
+router.post('/void', authorize('orders:void'), voidOrderHandler('void'));
+
+/**
+ * POST /api/orders/:orderId/items/:itemId/cancel - Cancel one item on an order that has not been served
+ * POST /api/orders/:orderId/items/:itemId/void - Void one item on a served order
+ *
+ * Same body as cancelling the order. Returns the order's new pricing; 409 for the order's last item
+ * or when payments already taken would exceed the new total.
+ */
+router.post('/items/:itemId/cancel', authorize('orders:cancel'), voidItemHandler('cancel'));
+router.post('/items/:itemId/void', authorize('orders:void'), voidItemHandler('void'));
+
+/**
+ * GET /api/orders/:orderId/voids - Cancels and voids on an order, with reasons and who made them
+ */
+router.get('/voids', authorize('orders:read'), async (req, res, next) => {
+  try {
+    const orderId = parseId(req.params.orderId);
+    if (!orderId) {
+      return res.status(400).json({ error: 'Invalid order ID. Must be a positive integer.' });
+    }
+
+    const voids = await OrderVoidQueries.getVoids(orderId);
+    if (!voids) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({ order_id: orderId, voids });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,17 +2,36 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../utils/db-connection');
 const OrderInventoryService = require('../utils/order-inventory-service-cjs.js');
+const { CheckQueries } = require('../utils/check-database');
+const { PaymentQueries } = require('../utils/payment-database');
+const { PricingQueries } = require('../utils/pricing-database');
+const { ModifierQueries } = require('../utils/modifier-database');
+const { OrderStatusQueries } = require('../utils/order-status-database');
+const { validateModifierSelections } = require('../models/Modifier');
+const { validateOrderStatus, canTransition } = require('../models/Order');
+const { createValidationError } = require('../middleware/errorHandler');
+const { EventBus } = require('../utils/event-bus');
+const { authorize } = require('../middleware/auth');
 
-// Get all orders
-router.get('/', async (req, res) => {
+// Get all orders, one row per order item
+// Query: ?order_id=5 to get a single order's rows (used to refresh one order card after an event)
+router.get('/', authorize('orders:read'), async (req, res) => {
   try {
+    const orderId = req.query.order_id !== undefined ? parseInt(req.query.order_id) : null;
+    if (orderId !== null && (isNaN(orderId) || orderId < 1)) {
+      return res.status(400).json({ error: 'Invalid order ID. Must be a positive integer.' });
+    }
+
     const result = await pool.query(`
-      SELECT o.*, oi.menu_item_id, oi.quantity, mi.name as item_name, mi.price
+      SELECT o.*, oi.id as order_item_id, oi.menu_item_id, oi.quantity, mi.name as item_name,
+        COALESCE(oi.unit_price, mi.price) as price, oi.notes, oi.voided_at,
+        (SELECT string_agg(oim.name, ', ' ORDER BY oim.id) FROM order_item_modifiers oim WHERE oim.order_item_id = oi.id) as modifiers
       FROM orders o
       LEFT JOIN order_items oi ON o.id = oi.order_id
       LEFT JOIN menu_items mi ON oi.menu_item_id = mi.id
+      WHERE $1::int IS NULL OR o.id = $1
       ORDER BY o.created_at DESC
-    `);
+    `, [orderId]);
     res.json(result.rows);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -20,41 +39,94 @@ router.get('/', async (req, res) => {
 });
 
 // Create new order
-router.post('/', async (req, res) => {
-  const { table_id, items, customer_name } = req.body;
+// Orders for a table join its open check (opening one if needed); pass check_id to add a round to a specific check
+// Items are priced at the current menu price and tax rate, happy hour discounts are applied and the
+// party's service charge rate is copied onto the order
+// Each item may carry modifiers (IDs from the menu item's modifier groups, whose price deltas are added
+// to the item price) and free-text notes
+router.post('/', authorize('orders:write'), async (req, res, next) => {
+  const { table_id, check_id, items, customer_name } = req.body;
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
+    const seating = await CheckQueries.resolveCheckForOrder(client, { table_id, check_id }, req.user);
+    
+    const itemPricing = await PricingQueries.getMenuItemPricing(client, items.map(item => parseInt(item.menu_item_id)));
+    const modifierGroups = await ModifierQueries.getGroupsForMenuItems(client, [...itemPricing.keys()]);
+    const itemErrors = [];
+    const itemModifiers = items.map((item, index) => {
+      const menuItemId = parseInt(item.menu_item_id);
+      if (!itemPricing.has(menuItemId)) {
+        itemErrors.push({ field: `items[${index}].menu_item_id`, message: `Menu item ${item.menu_item_id} not found` });
+        return [];
+      }
+      if (item.notes !== undefined && item.notes !== null && (typeof item.notes !== 'string' || item.notes.length > 500)) {
+        itemErrors.push({ field: `items[${index}].notes`, message: 'Notes must be text of 500 characters or less' });
+      }
+      const selection = validateModifierSelections(modifierGroups.get(menuItemId), item.modifiers, `items[${index}].modifiers`);
+      itemErrors.push(...selection.errors);
+      return selection.modifiers;
+    });
+    if (itemErrors.length > 0) {
+      throw createValidationError(itemErrors);
+    }
+    
+    const serviceChargeRate = await PricingQueries.getServiceChargeRate(client, seating.check_id);
+    
     // Create order
     const orderResult = await client.query(
-      'INSERT INTO orders (table_id, customer_name, status, total) VALUES ($1, $2, $3, $4) RETURNING *',
-      [table_id, customer_name, 'pending', 0]
+      'INSERT INTO orders (table_id, customer_name, status, total, check_id, service_charge_rate) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [seating.table_id, customer_name, 'pending', 0, seating.check_id, serviceChargeRate]
     );
     const orderId = orderResult.rows[0].id;
-    
-    let total = 0;
+    await OrderStatusQueries.recordTransition(client, orderId, null, 'pending', req.user);
     
     // Add order items
-    for (const item of items) {
-      const menuItem = await client.query('SELECT price FROM menu_items WHERE id = $1', [item.menu_item_id]);
-      const itemTotal = menuItem.rows[0].price * item.quantity;
-      total += itemTotal;
-      
-      await client.query(
-        'INSERT INTO order_items (order_id, menu_item_id, quantity) VALUES ($1, $2, $3)',
-        [orderId, item.menu_item_id, item.quantity]
+    for (const [index, item] of items.entries()) {
+      const pricing = itemPricing.get(parseInt(item.menu_item_id));
+      const modifiers = itemModifiers[index];
+      // Modifier price deltas are part of the item price, so discounts and tax apply to them too
+      const priceCents = modifiers.reduce(
+        (sum, modifier) => sum + Math.round(parseFloat(modifier.price_delta) * 100),
+        Math.round(pricing.price * 100)
+      );
+      const itemResult = await client.query(
+        'INSERT INTO order_items (order_id, menu_item_id, quantity, unit_price, tax_rate, notes) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        [orderId, item.menu_item_id, item.quantity, Math.max(0, priceCents) / 100, pricing.tax_rate, item.notes || null]
       );
+      await ModifierQueries.addOrderItemModifiers(client, itemResult.rows[0].id, modifiers);
     }
     
-    // Update order total
-    await client.query('UPDATE orders SET total = $1 WHERE id = $2', [total, orderId]);
+    // Apply happy hour discounts and work out the totals
+    await PricingQueries.applyAutomaticDiscounts(client, orderId, new Date(orderResult.rows[0].created_at));
+    const totals = await PricingQueries.recalculateOrder(client, orderId);
     
     await client.query('COMMIT');
-    res.status(201).json({ ...orderResult.rows[0], total });
+    EventBus.commit(client);
+    EventBus.publish('order.created', {
+      order_id: orderId,
+      table_id: seating.table_id,
+      check_id: seating.check_id,
+      status: 'pending',
+      total: totals.total
+    });
+    res.status(201).json({
+      ...orderResult.rows[0],
+      subtotal: totals.subtotal,
+      discount_total: totals.discount_total,
+      service_charge_total: totals.service_charge_total,
+      tax_total: totals.tax_total,
+      total: totals.total
+    });
   } catch (err) {
     await client.query('ROLLBACK');
+    EventBus.discard(client);
+    // Validation and conflict errors from check handling get their own status codes
+    if (err.type === 'validation' || err.status === 409) {
+      return next(err);
+    }
     res.status(500).json({ error: err.message });
   } finally {
     client.release();
@@ -62,87 +134,162 @@ router.post('/', async (req, res) => {
 });
 
 // Update order status
-router.put('/:id/status', async (req, res) => {
+// Changes follow the state machine in models/Order.js (pending → preparing → ready → served → paid); anything
+// else is refused with 409. Setting the current status again changes nothing. Orders are cancelled and voided
+// through routes/order-voids.js.
+// An order can only be marked 'paid' once its payments cover the total, and its inventory is deducted when served
+router.put('/:id/status', authorize('orders:status'), async (req, res, next) => {
   const { id } = req.params;
   const { status } = req.body;
+
+  const statusErrors = validateOrderStatus(status);
+  if (statusErrors.length > 0) {
+    return next(createValidationError(statusErrors));
+  }
+  // Cancelling and voiding need a reason and settle the order's inventory and total
+  if (status === 'cancelled' || status === 'voided') {
+    return next(createValidationError([{
+      field: 'status',
+      message: `Use POST /api/orders/${id}/${status === 'cancelled' ? 'cancel' : 'void'} with a reason to mark an order ${status}`
+    }]));
+  }
+
   const client = await pool.connect();
   
   try {
     await client.query('BEGIN');
     
-    // Get current order status
-    const currentOrderResult = await client.query('SELECT status FROM orders WHERE id = $1', [id]);
+    // Get current order (locked so a payment cannot change the balance underneath us)
+    const currentOrderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
     if (currentOrderResult.rows.length === 0) {
       await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Order not found' });
     }
     
-    const currentStatus = currentOrderResult.rows[0].status;
-    
-    // Update order status
-    const result = await client.query(
-      'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
-      [status, id]
-    );
+    const order = currentOrderResult.rows[0];
+    if (order.status === status) {
+      await client.query('COMMIT');
+      return res.json(order);
+    }
     
-    // If order is being marked as 'served' or 'paid' and wasn't already processed, update inventory
-    if ((status === 'served' || status === 'paid') && 
-        currentStatus !== 'served' && currentStatus !== 'paid') {
-      
-      try {
-        // Process inventory updates for the order
-        const inventoryResult = await OrderInventoryService.processExistingOrderInventoryUpdate(id, {
-          skipInventoryCheck: false // Check inventory by default
+    if (status === 'paid' && canTransition(order.status, status)) {
+      const paymentSummary = await PaymentQueries.getPaymentSummary(id, client);
+      if (paymentSummary.balance_due > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Payments do not cover the order total',
+          order_total: paymentSummary.order_total,
+          amount_paid: paymentSummary.amount_paid,
+          balance_due: paymentSummary.balance_due
         });
-        
-        if (!inventoryResult.success) {
-          // Log inventory update failure but don't fail the order status update
-          console.warn(`Inventory update failed for order ${id}:`, inventoryResult.errors);
-          
-          // Check if it's an insufficient inventory error
-          const hasInsufficientInventory = inventoryResult.errors.some(
-            error => error.type === 'insufficient_inventory'
-          );
-          
-          if (hasInsufficientInventory) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({
-              error: 'Insufficient inventory to complete order',
-              details: inventoryResult.errors[0].details
-            });
-          }
-        } else {
-          console.log(`Successfully updated inventory for order ${id}:`, inventoryResult.transactions.length, 'transactions created');
+      }
+    }
+    
+    const updatedOrder = await OrderStatusQueries.changeStatus(client, order, status, req.user);
+    
+    // An order marked ready outside the kitchen display bumps all of its kitchen tickets
+    if (status === 'ready') {
+      await client.query(
+        'UPDATE order_items SET ready_at = COALESCE(ready_at, CURRENT_TIMESTAMP) WHERE order_id = $1',
+        [id]
+      );
+    }
+    
+    // An order is served only once, so that is when its ingredients come out of inventory. The deduction
+    // uses this transaction, so the order is never served without it (or deducted without being served)
+    if (status === 'served') {
+      const inventoryResult = await OrderInventoryService.deductOrderInventory(client, order.id, {
+        user: req.user
+      });
+
+      if (!inventoryResult.success) {
+        const insufficient = inventoryResult.errors.find(error => error.type === 'insufficient_inventory');
+        if (insufficient) {
+          await client.query('ROLLBACK');
+          EventBus.discard(client);
+          return res.status(400).json({
+            error: 'Insufficient inventory to complete order',
+            details: insufficient.details
+          });
         }
-      } catch (inventoryError) {
-        console.error(`Inventory update error for order ${id}:`, inventoryError);
-        // Continue with order status update even if inventory update fails
+        // An order without items has nothing to deduct
+        console.warn(`Inventory update skipped for order ${id}:`, inventoryResult.errors);
+      } else {
+        console.log(`Successfully updated inventory for order ${id}:`, inventoryResult.transactions.length, 'transactions created');
       }
     }
     
     await client.query('COMMIT');
-    res.json(result.rows[0]);
+    EventBus.commit(client);
+    res.json(updatedOrder);
   } catch (err) {
     await client.query('ROLLBACK');
+    EventBus.discard(client);
+    // Illegal transitions are conflicts; ingredients whose units cannot be converted are validation errors
+    if (err.type === 'validation' || err.status === 409) {
+      return next(err);
+    }
     res.status(500).json({ error: err.message });
   } finally {
     client.release();
   }
 });
 
+/**
+ * GET /api/orders/inventory-reconciliation - Orders whose inventory deduction is missing (served or paid
+ * but never deducted) or duplicated (sale transactions outside the order's recorded deduction)
+ */
+router.get('/inventory-reconciliation', authorize('orders:inventory'), async (req, res, next) => {
+  try {
+    const report = await OrderInventoryService.reconcileOrderDeductions();
+    res.json({
+      ...report,
+      issue_count: report.missing.length + report.duplicated.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/orders/:id/history - Every status change of an order, oldest first, with who made it
+ */
+router.get('/:id/history', authorize('orders:read'), async (req, res, next) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    if (isNaN(orderId) || orderId < 1) {
+      return res.status(400).json({ error: 'Invalid order ID. Must be a positive integer.' });
+    }
+
+    const history = await OrderStatusQueries.getHistory(orderId);
+    if (!history) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.json({ order_id: orderId, history });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Process inventory updates for an order (manual trigger)
-router.post('/:id/process-inventory', async (req, res) => {
+// Inventory is deducted once per order: calling this again (or after the order was served) returns the
+// existing deduction with alreadyProcessed: true
+router.post('/:id/process-inventory', authorize('orders:inventory'), async (req, res) => {
   const { id } = req.params;
   const { skipInventoryCheck = false } = req.body;
   
   try {
     const result = await OrderInventoryService.processExistingOrderInventoryUpdate(id, {
-      skipInventoryCheck
+      skipInventoryCheck,
+      user: req.user
     });
     
     if (result.success) {
       res.json({
         message: result.message,
+        alreadyProcessed: result.already_processed,
+        deduction: result.deduction,
         transactions: result.transactions,
         transactionCount: result.transactions.length
       });
@@ -159,7 +306,7 @@ router.post('/:id/process-inventory', async (req, res) => {
 });
 
 // Check inventory availability for an order
-router.get('/:id/inventory-check', async (req, res) => {
+router.get('/:id/inventory-check', authorize('orders:read'), async (req, res) => {
   const { id } = req.params;
   
   try {
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  validatePaymentForCreation,
+  validatePaymentVoid,
+  validatePaymentRefund
+} = require('../models/Payment');
+const { PaymentQueries } = require('../utils/payment-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse a positive integer route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number|null} - ID or null if invalid
+ */
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+/**
+ * Parse :orderId and :paymentId, sending a 400 when either is invalid
+ * @returns {Object|null} - { orderId, paymentId } or null once a response was sent
+ */
+function parseIds(req, res) {
+  const orderId = parseId(req.params.orderId);
+  if (!orderId) {
+    res.status(400).json({ error: 'Invalid order ID. Must be a positive integer.' });
+    return null;
+  }
+
+  const paymentId = req.params.paymentId !== undefined ? parseId(req.params.paymentId) : undefined;
+  if (paymentId === null) {
+    res.status(400).json({ error: 'Invalid payment ID. Must be a positive integer.' });
+    return null;
+  }
+
+  return { orderId, paymentId };
+}
+
+/**
+ * GET /api/orders/:orderId/payments - Payments on an order with its balance
+ *
+ * Response: { order_id, order_status, order_total, amount_paid, tips, balance_due, payments }
+ */
+router.get('/', authorize('payments:read'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) {
+      return;
+    }
+
+    const summary = await PaymentQueries.getPaymentSummary(ids.orderId);
+    if (!summary) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/payments - Take a payment
+ *
+ * Request body should contain:
+ * - tender_type (required): cash, card or gift_card
+ * - amount (optional): Applied to the balance; defaults to the full balance due
+ * - tip_amount (optional): Tip on top of the amount
+ * - amount_tendered (cash only, optional): Cash handed over; change_due is calculated from it
+ * - card_token (card only, required): Token from the card reader, charged through the processor
+ * - gift_card_code (gift card only, required)
+ *
+ * Returns 402 if the card is declined and 409 if the order has nothing left to pay
+ */
+router.post('/', authorize('payments:write'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) {
+      return;
+    }
+
+    const validation = validatePaymentForCreation(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const result = await PaymentQueries.recordPayment(ids.orderId, req.body, req.user);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Order not found'
+      });
+    }
+
+    console.log('Payment recorded:', result.payment.id, result.payment.tender_type, 'for order', ids.orderId);
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/payments/:paymentId/void - Void a payment, including its tip
+ *
+ * Request body should contain:
+ * - reason (required)
+ */
+router.post('/:paymentId/void', authorize('payments:write'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) {
+      return;
+    }
+
+    const validation = validatePaymentVoid(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const result = await PaymentQueries.voidPayment(ids.orderId, ids.paymentId, req.body.reason, req.user);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Payment not found'
+      });
+    }
+
+    console.log('Payment voided:', ids.paymentId, 'on order', ids.orderId);
+
+    res.json({
+      message: 'Payment voided successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/orders/:orderId/payments/:paymentId/refund - Refund a payment
+ *
+ * Request body should contain:
+ * - reason (required)
+ * - amount (optional): Defaults to everything not yet refunded
+ */
+router.post('/:paymentId/refund', authorize('payments:refund'), async (req, res, next) => {
+  try {
+    const ids = parseIds(req, res);
+    if (!ids) {
+      return;
+    }
+
+    const validation = validatePaymentRefund(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const result = await PaymentQueries.refundPayment(ids.orderId, ids.paymentId, req.body, req.user);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Payment not found'
+      });
+    }
+
+    console.log('Payment refunded:', ids.paymentId, 'amount', result.refund.amount);
+
+    res.status(201).json({
+      message: 'Payment refunded successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateTaxRate,
+  validateServiceChargeRule,
+  validateDiscount
+} = require('../models/Pricing');
+const { PricingQueries } = require('../utils/pricing-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - ID or null if invalid
+ */
+function parseId(req) {
+  const id = parseInt(req.params.id);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+/**
+ * Register list, create and update routes for one pricing setting
+ * Changes only affect orders placed afterwards; existing orders keep the values they were priced with.
+ * @param {string} path - Route path, e.g. '/tax-rates'
+ * @param {Object} options - { label, validate, list, create, update }
+ */
+function settingRoutes(path, { label, validate, list, create, update }) {
+  // GET - List every setting, active and inactive
+  router.get(path, authorize('pricing:read'), async (req, res, next) => {
+    try {
+      res.json(await list());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // POST - Create a setting
+  router.post(path, authorize('pricing:manage'), async (req, res, next) => {
+    try {
+      const validation = validate(req.body, false);
+      if (!validation.isValid) {
+        throw createValidationError(validation.errors);
+      }
+
+      const created = await create(req.body);
+      res.status(201).json(created);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // PUT /:id - Change some fields of a setting, or deactivate it with { "active": false }
+  router.put(`${path}/:id`, authorize('pricing:manage'), async (req, res, next) => {
+    try {
+      const id = parseId(req);
+      if (!id) {
+        return res.status(400).json({
+          error: `Invalid ${label} ID. Must be a positive integer.`
+        });
+      }
+
+      const validation = validate(req.body, true);
+      if (!validation.isValid) {
+        throw createValidationError(validation.errors);
+      }
+
+      const updated = await update(id, req.body);
+      if (!updated) {
+        return res.status(404).json({
+          error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`
+        });
+      }
+
+      res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+/**
+ * /api/pricing/tax-rates
+ * Body: { name, rate (e.g. 0.0825), menu_category | recipe_category ('food' or 'drink'), active }
+ * A rate for a menu category beats one for the recipe's food/drink category, which beats
+ * the default rate (neither category set). Only one active rate per category.
+ */
+settingRoutes('/tax-rates', {
+  label: 'tax rate',
+  validate: validateTaxRate,
+  list: () => PricingQueries.getTaxRates(),
+  create: data => PricingQueries.createTaxRate(data),
+  update: (id, data) => PricingQueries.updateTaxRate(id, data)
+});
+
+/**
+ * /api/pricing/service-charges
+ * Body: { name, rate (e.g. 0.18), min_guests, active }
+ * Orders on a check with at least min_guests guests get the rate of the largest matching rule
+ */
+settingRoutes('/service-charges', {
+  label: 'service charge rule',
+  validate: validateServiceChargeRule,
+  list: () => PricingQueries.getServiceChargeRules(),
+  create: data => PricingQueries.createServiceChargeRule(data),
+  update: (id, data) => PricingQueries.updateServiceChargeRule(id, data)
+});
+
+/**
+ * /api/pricing/discounts
+ * Body: { name, discount_type ('percentage' or 'fixed'), value, scope ('order' or 'item'),
+ *         menu_item_id, menu_category, starts_at, ends_at, days_of_week, active }
+ * Discounts with starts_at/ends_at are happy hours, applied automatically to orders placed in the window
+ */
+settingRoutes('/discounts', {
+  label: 'discount',
+  validate: validateDiscount,
+  list: () => PricingQueries.getDiscounts(),
+  create: data => PricingQueries.createDiscount(data),
+  update: (id, data) => PricingQueries.updateDiscount(id, data)
+});
+
+module.exports = router;
@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validatePurchaseOrder,
+  validateReceipt,
+  validatePurchaseOrderCancel,
+  PURCHASE_ORDER_STATUSES
+} = require('../models/PurchaseOrder');
+const { validateSuggestionOptions, validateSuggestionOrder } = require('../models/Reorder');
+const { PurchaseOrderQueries } = require('../utils/purchase-order-database');
+const { ReorderQueries } = require('../utils/reorder-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Purchase order ID or null if invalid
+ */
+function parsePurchaseOrderId(req) {
+  const purchaseOrderId = parseInt(req.params.id);
+  return isNaN(purchaseOrderId) || purchaseOrderId < 1 ? null : purchaseOrderId;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidPurchaseOrderId(res) {
+  return res.status(400).json({
+    error: 'Invalid purchase order ID. Must be a positive integer.'
+  });
+}
+
+/**
+ * Send the standard not-found response
+ */
+function purchaseOrderNotFound(res) {
+  return res.status(404).json({
+    error: 'Purchase order not found'
+  });
+}
+
+/**
+ * GET /api/purchase-orders - List purchase orders, newest first
+ *
+ * Query parameters:
+ * - status (optional): draft, sent, partially_received, received or cancelled
+ * - supplier_id (optional)
+ */
+router.get('/', authorize('purchasing:read'), async (req, res, next) => {
+  try {
+    const { status, supplier_id } = req.query;
+
+    if (status && !PURCHASE_ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status parameter. Must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}.`
+      });
+    }
+
+    const supplierId = supplier_id !== undefined ? parseInt(supplier_id) : null;
+    if (supplier_id !== undefined && (isNaN(supplierId) || supplierId < 1)) {
+      return res.status(400).json({
+        error: 'Invalid supplier_id parameter. Must be a positive integer.'
+      });
+    }
+
+    const orders = await PurchaseOrderQueries.getPurchaseOrders({ status: status || null, supplier_id: supplierId });
+    res.json(orders);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/purchase-orders/suggestions - What to reorder, grouped by supplier
+ *
+ * Average daily usage is taken from sale and waste transactions. A product is suggested once its stock
+ * plus what is already on order falls to its low stock threshold plus usage over the supplier's lead
+ * time; it is ordered up to its par level, or without one, to cover cover_days more of usage, in whole
+ * supplier packs.
+ *
+ * Query parameters:
+ * - lookback_days (optional): Days of usage to average, 1-365 (default: 28)
+ * - cover_days (optional): Days of usage to order beyond the lead time without a par level, 0-90 (default: 7)
+ */
+router.get('/suggestions', authorize('purchasing:read'), async (req, res, next) => {
+  try {
+    const options = {};
+    for (const field of ['lookback_days', 'cover_days']) {
+      if (req.query[field] !== undefined) {
+        options[field] = /^\d+$/.test(req.query[field]) ? parseInt(req.query[field]) : NaN;
+      }
+    }
+
+    const errors = validateSuggestionOptions(options);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid ${errors[0].field} parameter. ${errors[0].message}.`
+      });
+    }
+
+    const suggestions = await ReorderQueries.getSuggestions(options);
+    res.json(suggestions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/purchase-orders/from-suggestions - Draft a purchase order from a supplier's suggestions
+ *
+ * Request body should contain:
+ * - supplier_id (required): Supplier whose suggested lines to order
+ * - product_ids (optional): Only order these of the suggested products
+ * - lookback_days, cover_days (optional): As for the suggestions
+ *
+ * Returns 422 if nothing (or not one of product_ids) is suggested for the supplier.
+ */
+router.post('/from-suggestions', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const validation = validateSuggestionOrder(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const order = await ReorderQueries.createPurchaseOrderFromSuggestions(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Purchase order drafted from suggestions',
+      purchase_order: order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/purchase-orders/:id - A purchase order with its lines and the stock received against it
+ */
+router.get('/:id', authorize('purchasing:read'), async (req, res, next) => {
+  try {
+    const purchaseOrderId = parsePurchaseOrderId(req);
+    if (!purchaseOrderId) {
+      return invalidPurchaseOrderId(res);
+    }
+
+    const order = await PurchaseOrderQueries.getPurchaseOrderById(purchaseOrderId);
+    if (!order) {
+      return purchaseOrderNotFound(res);
+    }
+
+    res.json(order);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/purchase-orders - Draft a purchase order
+ *
+ * Request body should contain:
+ * - supplier_id (required): An active supplier
+ * - lines (required): [{ product_id, quantity_ordered, unit_cost (optional) }]; quantities are in the
+ *   product's unit of measure and a line without a unit cost is priced from the supplier's pack cost
+ * - expected_at (optional): YYYY-MM-DD delivery date
+ * - notes (optional)
+ */
+router.post('/', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const validation = validatePurchaseOrder(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const order = await PurchaseOrderQueries.createPurchaseOrder(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Purchase order created successfully',
+      purchase_order: order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/purchase-orders/:id - Change a draft purchase order
+ *
+ * Accepts the same fields as drafting an order, all optional; lines replace the order's lines.
+ * Returns 409 once the order has been sent.
+ */
+router.put('/:id', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const purchaseOrderId = parsePurchaseOrderId(req);
+    if (!purchaseOrderId) {
+      return invalidPurchaseOrderId(res);
+    }
+
+    const validation = validatePurchaseOrder(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const order = await PurchaseOrderQueries.updatePurchaseOrder(purchaseOrderId, req.body);
+    if (!order) {
+      return purchaseOrderNotFound(res);
+    }
+
+    res.json({
+      message: 'Purchase order updated successfully',
+      purchase_order: order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/send - Mark a draft as sent to the supplier
+ *
+ * Returns 409 if the order is not a draft or is below the supplier's minimum order.
+ */
+router.post('/:id/send', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const purchaseOrderId = parsePurchaseOrderId(req);
+    if (!purchaseOrderId) {
+      return invalidPurchaseOrderId(res);
+    }
+
+    const order = await PurchaseOrderQueries.sendPurchaseOrder(purchaseOrderId);
+    if (!order) {
+      return purchaseOrderNotFound(res);
+    }
+
+    res.json({
+      message: 'Purchase order sent successfully',
+      purchase_order: order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/receive - Receive a delivery into stock
+ *
+ * Request body should contain:
+ * - lines (required): [{ line_id, quantity_received, unit_cost (optional, defaults to the line's cost),
+ *   expires_on (optional, YYYY-MM-DD), lot_code (optional) }]; each line received is a stock lot
+ * - notes (optional): Added to the restock transactions
+ *
+ * Returns 409 unless the order has been sent, and 422 if a line would be received beyond what was ordered.
+ */
+router.post('/:id/receive', authorize('purchasing:receive'), async (req, res, next) => {
+  try {
+    const purchaseOrderId = parsePurchaseOrderId(req);
+    if (!purchaseOrderId) {
+      return invalidPurchaseOrderId(res);
+    }
+
+    const validation = validateReceipt(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const result = await PurchaseOrderQueries.receivePurchaseOrder(purchaseOrderId, req.body);
+    if (!result) {
+      return purchaseOrderNotFound(res);
+    }
+
+    res.json({
+      message: 'Delivery received successfully',
+      purchase_order: result.purchase_order,
+      transactions: result.transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/purchase-orders/:id/cancel - Cancel an open purchase order
+ *
+ * Request body should contain:
+ * - reason (required)
+ *
+ * Stock already received stays in stock.
+ */
+router.post('/:id/cancel', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const purchaseOrderId = parsePurchaseOrderId(req);
+    if (!purchaseOrderId) {
+      return invalidPurchaseOrderId(res);
+    }
+
+    const validation = validatePurchaseOrderCancel(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const order = await PurchaseOrderQueries.cancelPurchaseOrder(purchaseOrderId, req.body.reason);
+    if (!order) {
+      return purchaseOrderNotFound(res);
+    }
+
+    res.json({
+      message: 'Purchase order cancelled successfully',
+      purchase_order: order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { validateCompleteRecipe, validateProductsExist } = require('../utils/validation');
+const { validateCompleteRecipe, validateProductsExist, validateIngredientUnits } = require('../utils/validation');
 const { RecipeQueries } = require('../utils/database');
+const { RecipeCostQueries } = require('../utils/recipe-cost-database');
 const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
 
 console.log('Recipes router module loaded');
 
@@ -16,7 +18,7 @@ console.log('Recipes router module loaded');
  * - page (optional): Page number for pagination (default: 1)
  * - limit (optional): Number of recipes per page (default: 20, max: 100)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', authorize('recipes:read'), async (req, res, next) => {
   try {
     console.log('GET /api/recipes called with query:', req.query);
     
@@ -98,10 +100,10 @@ router.get('/', async (req, res, next) => {
  * - cook_time (optional): Cooking time in minutes
  * - servings (optional): Number of servings
  * - difficulty (optional): 'easy', 'medium', or 'hard'
- * - ingredients (required): Array of ingredient objects
+ * - ingredients (required): Array of ingredient objects; each unit must convert to its product's unit of measure
  * - steps (optional): Array of step objects
  */
-router.post('/', async (req, res, next) => {
+router.post('/', authorize('recipes:write'), async (req, res, next) => {
   try {
     console.log('POST /api/recipes called with data:', req.body);
     
@@ -117,6 +119,12 @@ router.post('/', async (req, res, next) => {
       throw createValidationError(productValidation.errors);
     }
 
+    // Ingredient units must convert to the unit their product is stocked in
+    const unitValidation = await validateIngredientUnits(req.body.ingredients);
+    if (!unitValidation.isValid) {
+      throw createValidationError(unitValidation.errors);
+    }
+
     // Create recipe using database transaction
     const createdRecipe = await RecipeQueries.createRecipe(req.body);
     
@@ -140,7 +148,7 @@ router.post('/', async (req, res, next) => {
  * 
  * Returns complete recipe data including ingredients and steps
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authorize('recipes:read'), async (req, res, next) => {
   try {
     const recipeId = parseInt(req.params.id);
     
@@ -176,6 +184,36 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/recipes/:id/cost - Get a recipe's cost per serving
+ * 
+ * Returns the cost of each ingredient in one serving at its product's current cost, anything that
+ * could not be costed, the recipe's recent cost history and the pricing of the menu items made from it
+ */
+router.get('/:id/cost', authorize('menu:costs'), async (req, res, next) => {
+  try {
+    const recipeId = parseInt(req.params.id);
+    
+    if (isNaN(recipeId) || recipeId < 1) {
+      return res.status(400).json({
+        error: 'Invalid recipe ID. Must be a positive integer.'
+      });
+    }
+    
+    const cost = await RecipeCostQueries.getRecipeCost(recipeId);
+    if (!cost) {
+      return res.status(404).json({
+        error: 'Recipe not found'
+      });
+    }
+    
+    res.json(cost);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * PUT /api/recipes/:id - Update existing recipe
  * Requirements: 3.1, 3.2, 3.3, 3.4, 3.5, 3.6, 5.4
@@ -191,10 +229,10 @@ router.get('/:id', async (req, res, next) => {
  * - cook_time (optional): Cooking time in minutes
  * - servings (optional): Number of servings
  * - difficulty (optional): 'easy', 'medium', or 'hard'
- * - ingredients (required): Array of ingredient objects
+ * - ingredients (required): Array of ingredient objects; each unit must convert to its product's unit of measure
  * - steps (optional): Array of step objects
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authorize('recipes:write'), async (req, res, next) => {
   try {
     const recipeId = parseInt(req.params.id);
     
@@ -219,6 +257,12 @@ router.put('/:id', async (req, res, next) => {
       throw createValidationError(productValidation.errors);
     }
 
+    // Ingredient units must convert to the unit their product is stocked in
+    const unitValidation = await validateIngredientUnits(req.body.ingredients);
+    if (!unitValidation.isValid) {
+      throw createValidationError(unitValidation.errors);
+    }
+
     // Update recipe using database transaction (Requirement 3.2, 3.3, 3.4)
     const updatedRecipe = await RecipeQueries.updateRecipe(recipeId, req.body);
     
@@ -250,7 +294,7 @@ router.put('/:id', async (req, res, next) => {
  * Permanently removes a recipe and all associated ingredients and steps.
  * Uses CASCADE delete to ensure referential integrity.
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authorize('recipes:write'), async (req, res, next) => {
   try {
     const recipeId = parseInt(req.params.id);
     
@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateReservation,
+  validateReservationCancel,
+  validateSeating,
+  RESERVATION_STATUSES,
+  DEFAULT_DURATION_MINUTES,
+  MAX_PARTY_SIZE
+} = require('../models/Reservation');
+const { ReservationQueries } = require('../utils/reservation-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Reservation ID or null if invalid
+ */
+function parseReservationId(req) {
+  const reservationId = parseInt(req.params.id);
+  return isNaN(reservationId) || reservationId < 1 ? null : reservationId;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidReservationId(res) {
+  return res.status(400).json({
+    error: 'Invalid reservation ID. Must be a positive integer.'
+  });
+}
+
+/**
+ * Send the standard not-found response
+ */
+function reservationNotFound(res) {
+  return res.status(404).json({
+    error: 'Reservation not found'
+  });
+}
+
+/**
+ * GET /api/reservations - List reservations with their tables
+ *
+ * Query parameters:
+ * - date (optional): YYYY-MM-DD, only bookings on that day
+ * - status (optional): booked, seated, cancelled or no_show
+ *
+ * Each reservation has no_show_count: earlier no-shows from the same phone number.
+ */
+router.get('/', authorize('reservations:read'), async (req, res, next) => {
+  try {
+    const { date, status } = req.query;
+
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({
+        error: 'Invalid date parameter. Must be YYYY-MM-DD.'
+      });
+    }
+
+    if (status && !RESERVATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status parameter. Must be one of: ${RESERVATION_STATUSES.join(', ')}.`
+      });
+    }
+
+    const reservations = await ReservationQueries.getReservations({ date: date || null, status: status || null });
+    res.json(reservations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reservations/availability - Suggest tables for a party without booking them
+ *
+ * Query parameters:
+ * - party_size (required)
+ * - reserved_for (required): Start time
+ * - duration_minutes (optional, default 90)
+ *
+ * tables is null when no free table or combination of tables seats the party.
+ */
+router.get('/availability', authorize('reservations:read'), async (req, res, next) => {
+  try {
+    const partySize = parseInt(req.query.party_size);
+    if (isNaN(partySize) || partySize < 1 || partySize > MAX_PARTY_SIZE) {
+      return res.status(400).json({
+        error: `Invalid party_size parameter. Must be an integer between 1 and ${MAX_PARTY_SIZE}.`
+      });
+    }
+
+    const reservedFor = new Date(req.query.reserved_for);
+    if (!req.query.reserved_for || isNaN(reservedFor.getTime())) {
+      return res.status(400).json({
+        error: 'Invalid reserved_for parameter. Must be a date and time.'
+      });
+    }
+
+    const durationMinutes = req.query.duration_minutes !== undefined
+      ? parseInt(req.query.duration_minutes)
+      : DEFAULT_DURATION_MINUTES;
+    if (isNaN(durationMinutes) || durationMinutes < 15 || durationMinutes > 480) {
+      return res.status(400).json({
+        error: 'Invalid duration_minutes parameter. Must be an integer between 15 and 480.'
+      });
+    }
+
+    const availability = await ReservationQueries.getAvailability({
+      party_size: partySize,
+      reserved_for: reservedFor,
+      duration_minutes: durationMinutes
+    });
+
+    res.json({
+      party_size: partySize,
+      reserved_for: reservedFor.toISOString(),
+      duration_minutes: durationMinutes,
+      ...availability
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/reservations/:id - Get a reservation with its tables
+ */
+router.get('/:id', authorize('reservations:read'), async (req, res, next) => {
+  try {
+    const reservationId = parseReservationId(req);
+    if (!reservationId) {
+      return invalidReservationId(res);
+    }
+
+    const reservation = await ReservationQueries.getReservationById(reservationId);
+    if (!reservation) {
+      return reservationNotFound(res);
+    }
+
+    res.json(reservation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reservations - Book a reservation
+ *
+ * Request body should contain:
+ * - customer_name (required)
+ * - party_size (required)
+ * - reserved_for (required): Start time, in the future
+ * - duration_minutes (optional, default 90)
+ * - phone, email, notes (optional)
+ * - table_ids (optional): Tables chosen by hand; otherwise the smallest free table that seats the party,
+ *   or the fewest free tables combined, is picked
+ *
+ * Returns 409 when no tables are free for the party at that time.
+ */
+router.post('/', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const validation = validateReservation(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const reservation = await ReservationQueries.createReservation(req.body, req.user);
+
+    console.log('Reservation booked:', reservation.id, 'for', reservation.customer_name);
+
+    res.status(201).json({
+      message: 'Reservation booked successfully',
+      reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/reservations/:id - Change a booked reservation
+ *
+ * Accepts the same fields as booking, all optional. The tables are kept while they still seat
+ * the party at the new time; otherwise new ones are picked.
+ */
+router.put('/:id', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const reservationId = parseReservationId(req);
+    if (!reservationId) {
+      return invalidReservationId(res);
+    }
+
+    const validation = validateReservation(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const reservation = await ReservationQueries.updateReservation(reservationId, req.body);
+    if (!reservation) {
+      return reservationNotFound(res);
+    }
+
+    res.json({
+      message: 'Reservation updated successfully',
+      reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reservations/:id/cancel - Cancel a booked reservation and release its tables
+ *
+ * Request body may contain:
+ * - reason (optional)
+ */
+router.post('/:id/cancel', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const reservationId = parseReservationId(req);
+    if (!reservationId) {
+      return invalidReservationId(res);
+    }
+
+    const validation = validateReservationCancel(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const reservation = await ReservationQueries.cancelReservation(reservationId, req.body.reason);
+    if (!reservation) {
+      return reservationNotFound(res);
+    }
+
+    res.json({
+      message: 'Reservation cancelled successfully',
+      reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reservations/:id/no-show - Record that the party did not arrive and release its tables
+ *
+ * Returns 409 before the booking's start time.
+ */
+router.post('/:id/no-show', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const reservationId = parseReservationId(req);
+    if (!reservationId) {
+      return invalidReservationId(res);
+    }
+
+    const reservation = await ReservationQueries.markNoShow(reservationId);
+    if (!reservation) {
+      return reservationNotFound(res);
+    }
+
+    res.json({
+      message: 'Reservation marked as a no-show',
+      reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/reservations/:id/seat - Seat the party and open its check
+ *
+ * Request body may contain:
+ * - table_ids (optional): Seat at these tables instead of the booked ones
+ *
+ * Combined tables share one check and stay occupied until it closes.
+ */
+router.post('/:id/seat', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const reservationId = parseReservationId(req);
+    if (!reservationId) {
+      return invalidReservationId(res);
+    }
+
+    const validation = validateSeating(req.body, false);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const reservation = await ReservationQueries.seatReservation(reservationId, req.body.table_ids || null, req.user);
+    if (!reservation) {
+      return reservationNotFound(res);
+    }
+
+    res.json({
+      message: 'Reservation seated successfully',
+      reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
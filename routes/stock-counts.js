@@ -0,0 +1,239 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateStockCountStart,
+  validateCountEntries,
+  STOCK_COUNT_STATUSES
+} = require('../models/StockCount');
+const { StockCountQueries } = require('../utils/stock-count-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Stock count ID or null if invalid
+ */
+function parseStockCountId(req) {
+  const stockCountId = parseInt(req.params.id);
+  return isNaN(stockCountId) || stockCountId < 1 ? null : stockCountId;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidStockCountId(res) {
+  return res.status(400).json({
+    error: 'Invalid stock count ID. Must be a positive integer.'
+  });
+}
+
+/**
+ * Send the standard not-found response
+ */
+function stockCountNotFound(res) {
+  return res.status(404).json({
+    error: 'Stock count not found'
+  });
+}
+
+/**
+ * GET /api/inventory/counts - List stock counts, newest first
+ *
+ * Query parameters:
+ * - status (optional): open, posted or cancelled
+ */
+router.get('/', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !STOCK_COUNT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status parameter. Must be one of: ${STOCK_COUNT_STATUSES.join(', ')}.`
+      });
+    }
+
+    const counts = await StockCountQueries.getStockCounts({ status: status || null });
+    res.json(counts);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/counts/:id - A stock count with each product's expected and counted quantity,
+ * the variance in units and cost, and the adjustments posted from it
+ */
+router.get('/:id', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const stockCountId = parseStockCountId(req);
+    if (!stockCountId) {
+      return invalidStockCountId(res);
+    }
+
+    const count = await StockCountQueries.getStockCountById(stockCountId);
+    if (!count) {
+      return stockCountNotFound(res);
+    }
+
+    res.json(count);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/counts - Start a stock count
+ *
+ * Request body can contain:
+ * - category (optional): Only count products in this category
+ * - location_id (optional): Only count what this location holds; it is compared against and adjusted
+ *   by the count
+ * - notes (optional)
+ *
+ * Every product covered has its current quantity and cost recorded as what the count is compared
+ * against. Returns 422 for an unknown or inactive location or if no products match.
+ */
+router.post('/', authorize('inventory:stock'), async (req, res, next) => {
+  try {
+    const validation = validateStockCountStart(req.body || {});
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const count = await StockCountQueries.startStockCount(req.body || {}, req.user);
+
+    res.status(201).json({
+      message: 'Stock count started successfully',
+      stock_count: count
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/inventory/counts/:id/lines - Enter counted quantities
+ *
+ * Request body should contain:
+ * - lines (required): [{ product_id, counted_quantity, notes (optional) }]; quantities are in the
+ *   product's unit of measure and counting a product again replaces its earlier count
+ *
+ * Returns 409 unless the count is open and 422 for products not on the count.
+ */
+router.put('/:id/lines', authorize('inventory:stock'), async (req, res, next) => {
+  try {
+    const stockCountId = parseStockCountId(req);
+    if (!stockCountId) {
+      return invalidStockCountId(res);
+    }
+
+    const validation = validateCountEntries(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const count = await StockCountQueries.recordCounts(stockCountId, req.body.lines, req.user);
+    if (!count) {
+      return stockCountNotFound(res);
+    }
+
+    res.json({
+      message: 'Counts recorded successfully',
+      stock_count: count
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/counts/:id/import - Enter counted quantities from a CSV count sheet
+ *
+ * Send the CSV as a text/csv body, or as JSON { csv }. The first row names the columns: product_id
+ * or product_name, counted_quantity and optionally notes. Rows with a blank quantity are skipped.
+ *
+ * Returns 422 listing the rows that could not be read or name products not on the count;
+ * nothing is recorded unless every row is good.
+ */
+router.post(
+  '/:id/import',
+  authorize('inventory:stock'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  async (req, res, next) => {
+    try {
+      const stockCountId = parseStockCountId(req);
+      if (!stockCountId) {
+        return invalidStockCountId(res);
+      }
+
+      const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+      const count = await StockCountQueries.importCountCsv(stockCountId, csv, req.user);
+      if (!count) {
+        return stockCountNotFound(res);
+      }
+
+      res.json({
+        message: 'Count sheet imported successfully',
+        stock_count: count
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/inventory/counts/:id/post - Post a stock count's differences to stock
+ *
+ * Each counted product whose count differs from its quantity when the count started gets an
+ * 'adjustment' transaction for the difference. Uncounted products are left as they are.
+ * Returns 409 unless the count is open and 422 if nothing has been counted.
+ */
+router.post('/:id/post', authorize('inventory:post_counts'), async (req, res, next) => {
+  try {
+    const stockCountId = parseStockCountId(req);
+    if (!stockCountId) {
+      return invalidStockCountId(res);
+    }
+
+    const result = await StockCountQueries.postStockCount(stockCountId, req.user);
+    if (!result) {
+      return stockCountNotFound(res);
+    }
+
+    res.json({
+      message: 'Stock count posted successfully',
+      stock_count: result.stock_count,
+      transactions: result.transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/counts/:id/cancel - Abandon an open stock count without changing stock
+ */
+router.post('/:id/cancel', authorize('inventory:post_counts'), async (req, res, next) => {
+  try {
+    const stockCountId = parseStockCountId(req);
+    if (!stockCountId) {
+      return invalidStockCountId(res);
+    }
+
+    const count = await StockCountQueries.cancelStockCount(stockCountId);
+    if (!count) {
+      return stockCountNotFound(res);
+    }
+
+    res.json({
+      message: 'Stock count cancelled successfully',
+      stock_count: count
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const { validateSupplier, validateProductSupplier } = require('../models/Supplier');
+const { SupplierQueries } = require('../utils/supplier-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate a positive integer route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} - ID or null if invalid
+ */
+function parseId(value) {
+  const id = parseInt(value);
+  return isNaN(id) || id < 1 ? null : id;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidId(res, label) {
+  return res.status(400).json({
+    error: `Invalid ${label} ID. Must be a positive integer.`
+  });
+}
+
+/**
+ * Send the standard not-found response
+ */
+function supplierNotFound(res) {
+  return res.status(404).json({
+    error: 'Supplier not found'
+  });
+}
+
+/**
+ * GET /api/suppliers - List suppliers with how many products they sell and their open orders
+ *
+ * Query parameters:
+ * - active (optional): true or false
+ */
+router.get('/', authorize('purchasing:read'), async (req, res, next) => {
+  try {
+    const { active } = req.query;
+
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      return res.status(400).json({
+        error: 'Invalid active parameter. Must be true or false.'
+      });
+    }
+
+    const suppliers = await SupplierQueries.getSuppliers(
+      active !== undefined ? { active: active === 'true' } : {}
+    );
+    res.json(suppliers);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/suppliers/products/:productId - Suppliers a product can be bought from, preferred first
+ */
+router.get('/products/:productId', authorize('purchasing:read'), async (req, res, next) => {
+  try {
+    const productId = parseId(req.params.productId);
+    if (!productId) {
+      return invalidId(res, 'product');
+    }
+
+    const suppliers = await SupplierQueries.getProductSuppliers(productId);
+    res.json(suppliers);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/suppliers/:id - A supplier with the products it sells
+ */
+router.get('/:id', authorize('purchasing:read'), async (req, res, next) => {
+  try {
+    const supplierId = parseId(req.params.id);
+    if (!supplierId) {
+      return invalidId(res, 'supplier');
+    }
+
+    const supplier = await SupplierQueries.getSupplierById(supplierId);
+    if (!supplier) {
+      return supplierNotFound(res);
+    }
+
+    res.json(supplier);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/suppliers - Add a supplier
+ *
+ * Request body should contain:
+ * - name (required): Unique
+ * - contact_name, email, phone, notes (optional)
+ * - lead_time_days (optional): Days between sending an order and its delivery, default 0
+ * - minimum_order_amount (optional): Smallest order the supplier accepts, default 0
+ */
+router.post('/', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const validation = validateSupplier(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const supplier = await SupplierQueries.createSupplier(req.body);
+
+    res.status(201).json({
+      message: 'Supplier added successfully',
+      supplier
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/suppliers/:id - Change a supplier's details
+ *
+ * Accepts the same fields as adding a supplier, all optional, plus active to reactivate or
+ * deactivate it.
+ */
+router.put('/:id', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const supplierId = parseId(req.params.id);
+    if (!supplierId) {
+      return invalidId(res, 'supplier');
+    }
+
+    const validation = validateSupplier(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const supplier = await SupplierQueries.updateSupplier(supplierId, req.body);
+    if (!supplier) {
+      return supplierNotFound(res);
+    }
+
+    res.json({
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/suppliers/:id - Remove a supplier
+ *
+ * A supplier with purchase orders is deactivated instead of deleted; the response says which.
+ * Returns 409 while it has open purchase orders.
+ */
+router.delete('/:id', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const supplierId = parseId(req.params.id);
+    if (!supplierId) {
+      return invalidId(res, 'supplier');
+    }
+
+    const result = await SupplierQueries.deleteSupplier(supplierId);
+    if (!result) {
+      return supplierNotFound(res);
+    }
+
+    res.json({
+      message: result.deactivated ? 'Supplier deactivated successfully' : 'Supplier deleted successfully',
+      supplier: result.supplier,
+      deactivated: result.deactivated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/suppliers/:id/products/:productId - Link a product to the supplier, or change the link
+ *
+ * Request body can contain:
+ * - supplier_sku (optional): The supplier's code for the product
+ * - pack_size (optional): Units of the product in one pack, default 1
+ * - pack_cost (optional): Price of one pack
+ * - is_preferred (optional): Make this the product's preferred supplier
+ */
+router.put('/:id/products/:productId', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const supplierId = parseId(req.params.id);
+    if (!supplierId) {
+      return invalidId(res, 'supplier');
+    }
+    const productId = parseId(req.params.productId);
+    if (!productId) {
+      return invalidId(res, 'product');
+    }
+
+    const validation = validateProductSupplier(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const link = await SupplierQueries.linkProduct(supplierId, productId, req.body);
+    if (!link) {
+      return supplierNotFound(res);
+    }
+
+    res.json({
+      message: 'Product linked successfully',
+      link
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/suppliers/:id/products/:productId - Stop buying a product from the supplier
+ */
+router.delete('/:id/products/:productId', authorize('purchasing:manage'), async (req, res, next) => {
+  try {
+    const supplierId = parseId(req.params.id);
+    if (!supplierId) {
+      return invalidId(res, 'supplier');
+    }
+    const productId = parseId(req.params.productId);
+    if (!productId) {
+      return invalidId(res, 'product');
+    }
+
+    const link = await SupplierQueries.unlinkProduct(supplierId, productId);
+    if (!link) {
+      return res.status(404).json({
+        error: 'Product is not linked to this supplier'
+      });
+    }
+
+    res.json({
+      message: 'Product unlinked successfully',
+      link
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,184 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../utils/db-connection');
+const { CheckQueries, tableEvent } = require('../utils/check-database');
+const { TableQueries } = require('../utils/table-database');
+const { validateTable, validateLayout } = require('../models/Table');
+const { EventBus } = require('../utils/event-bus');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
 
-// Get all tables
-router.get('/', async (req, res) => {
+/**
+ * Parse and validate the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Table ID or null if invalid
+ */
+function parseTableId(req) {
+  const tableId = parseInt(req.params.id);
+  return isNaN(tableId) || tableId < 1 ? null : tableId;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidTableId(res) {
+  return res.status(400).json({
+    error: 'Invalid table ID. Must be a positive integer.'
+  });
+}
+
+/**
+ * Send the standard not-found response
+ */
+function tableNotFound(res) {
+  return res.status(404).json({
+    error: 'Table not found'
+  });
+}
+
+// Get the tables on the floor with their area, section, server, active check and when the party sat down
+router.get('/', authorize('tables:read'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM tables ORDER BY table_number');
-    res.json(result.rows);
+    const tables = await TableQueries.getTables();
+    res.json(tables);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * POST /api/tables - Add a table to the floor
+ *
+ * Request body should contain:
+ * - table_number (required): Unique among the tables on the floor
+ * - capacity (required)
+ * - area_id (optional): Dining area; the first area when omitted
+ * - section_id (optional): Server section
+ * - pos_x, pos_y (optional): Position on the area's plan in pixels
+ * - shape (optional): square, round or rectangle
+ * - rotation (optional): Degrees, 0-359
+ */
+router.post('/', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const validation = validateTable(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const table = await TableQueries.createTable(req.body);
+
+    res.status(201).json({
+      message: 'Table added successfully',
+      table
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/tables/layout - Save table positions from the floor plan editor
+ *
+ * Request body should contain:
+ * - tables (required): [{ id, pos_x, pos_y, rotation (optional), area_id (optional) }]
+ */
+router.put('/layout', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const validation = validateLayout(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const tables = await TableQueries.updateLayout(req.body.tables);
+
+    res.json({
+      message: 'Floor plan saved successfully',
+      tables
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/tables/:id - Change a table
+ *
+ * Accepts the same fields as adding a table, all optional. section_id can be null to take the
+ * table out of its section.
+ */
+router.put('/:id', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const tableId = parseTableId(req);
+    if (!tableId) {
+      return invalidTableId(res);
+    }
+
+    const validation = validateTable(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const table = await TableQueries.updateTable(tableId, req.body);
+    if (!table) {
+      return tableNotFound(res);
+    }
+
+    res.json({
+      message: 'Table updated successfully',
+      table
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/tables/:id - Take a table off the floor
+ *
+ * Tables with past checks, orders or bookings are retired rather than deleted (retired is true).
+ * Returns 409 while the table has an open check or is booked for a reservation.
+ */
+router.delete('/:id', authorize('tables:manage'), async (req, res, next) => {
+  try {
+    const tableId = parseTableId(req);
+    if (!tableId) {
+      return invalidTableId(res);
+    }
+
+    const result = await TableQueries.deleteTable(tableId);
+    if (!result) {
+      return tableNotFound(res);
+    }
+
+    res.json({
+      message: result.retired ? 'Table retired successfully' : 'Table deleted successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Update table status
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', authorize('tables:status'), async (req, res) => {
   const { id } = req.params;
   const { status } = req.body;
   try {
+    // Occupancy follows checks; a seated table is freed by closing or transferring its check
+    const activeCheckId = await CheckQueries.getActiveCheckId(pool, id);
+    if (status !== 'occupied' && activeCheckId) {
+      return res.status(409).json({
+        error: `Table has an open check (${activeCheckId}); close or transfer it first`
+      });
+    }
+
     const result = await pool.query(
-      'UPDATE tables SET status = $1 WHERE id = $2 RETURNING *',
+      'UPDATE tables SET status = $1 WHERE id = $2 AND retired_at IS NULL RETURNING *',
       [status, id]
     );
+    if (result.rows.length > 0) {
+      EventBus.publish('table.status_changed', tableEvent(result.rows[0], activeCheckId));
+    }
     res.json(result.rows[0]);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const { validateTransfer } = require('../models/Location');
+const { LocationQueries } = require('../utils/location-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the transfer ID route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Transfer ID or null if invalid
+ */
+function parseTransferId(req) {
+  const transferId = parseInt(req.params.id);
+  return isNaN(transferId) || transferId < 1 ? null : transferId;
+}
+
+/**
+ * GET /api/inventory/transfers - List stock transfers, newest first
+ *
+ * Query parameters:
+ * - location_id (optional): Only transfers into or out of this location
+ */
+router.get('/', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const options = {};
+    if (req.query.location_id !== undefined) {
+      options.location_id = parseInt(req.query.location_id);
+      if (isNaN(options.location_id) || options.location_id < 1) {
+        return res.status(400).json({
+          error: 'Invalid location_id parameter. Must be a positive integer.'
+        });
+      }
+    }
+
+    const transfers = await LocationQueries.getTransfers(options);
+    res.json(transfers);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/transfers/:id - A transfer with the products it moved
+ */
+router.get('/:id', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const transferId = parseTransferId(req);
+    if (!transferId) {
+      return res.status(400).json({
+        error: 'Invalid transfer ID. Must be a positive integer.'
+      });
+    }
+
+    const transfer = await LocationQueries.getTransferById(transferId);
+    if (!transfer) {
+      return res.status(404).json({
+        error: 'Transfer not found'
+      });
+    }
+
+    res.json(transfer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/transfers - Move stock from one location to another
+ *
+ * Request body should contain:
+ * - from_location_id (required): Location the stock leaves
+ * - to_location_id (required): Location the stock arrives at
+ * - items (required): [{ product_id, quantity }] in the product's unit of measure
+ * - notes (optional)
+ *
+ * Each product is moved with a pair of 'transfer' transactions referencing the transfer, so product
+ * totals are unchanged. Returns 422 for unknown or inactive locations, unknown products and when the
+ * source location holds less than is being moved.
+ */
+router.post('/', authorize('inventory:stock'), async (req, res, next) => {
+  try {
+    const validation = validateTransfer(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const result = await LocationQueries.transferStock(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Stock transferred successfully',
+      transfer: result.transfer,
+      transactions: result.transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const { validateWaitlistEntry, WAITLIST_STATUSES } = require('../models/Waitlist');
+const { validateSeating, MAX_PARTY_SIZE } = require('../models/Reservation');
+const { WaitlistQueries } = require('../utils/waitlist-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Parse and validate the :id route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} - Entry ID or null if invalid
+ */
+function parseEntryId(req) {
+  const entryId = parseInt(req.params.id);
+  return isNaN(entryId) || entryId < 1 ? null : entryId;
+}
+
+/**
+ * Send the standard invalid-ID response
+ */
+function invalidEntryId(res) {
+  return res.status(400).json({
+    error: 'Invalid waitlist entry ID. Must be a positive integer.'
+  });
+}
+
+/**
+ * Send the standard not-found response
+ */
+function entryNotFound(res) {
+  return res.status(404).json({
+    error: 'Waitlist entry not found'
+  });
+}
+
+/**
+ * GET /api/waitlist - Parties on the waitlist in arrival order
+ *
+ * Query parameters:
+ * - status (optional): waiting, notified, seated or left (parties still waiting or notified when omitted)
+ */
+router.get('/', authorize('reservations:read'), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !WAITLIST_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status parameter. Must be one of: ${WAITLIST_STATUSES.join(', ')}.`
+      });
+    }
+
+    const entries = await WaitlistQueries.getWaitlist({ status: status || null });
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/waitlist/quote - Wait a party would be quoted if it joined now
+ *
+ * Query parameters:
+ * - party_size (required)
+ */
+router.get('/quote', authorize('reservations:read'), async (req, res, next) => {
+  try {
+    const partySize = parseInt(req.query.party_size);
+    if (isNaN(partySize) || partySize < 1 || partySize > MAX_PARTY_SIZE) {
+      return res.status(400).json({
+        error: `Invalid party_size parameter. Must be an integer between 1 and ${MAX_PARTY_SIZE}.`
+      });
+    }
+
+    const quote = await WaitlistQueries.quoteWait(partySize);
+    res.json({ party_size: partySize, ...quote });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/waitlist - Add a walk-in party
+ *
+ * Request body should contain:
+ * - customer_name (required)
+ * - party_size (required)
+ * - phone, notes (optional)
+ * - quoted_wait_minutes (optional): Wait told to the party; calculated when omitted
+ */
+router.post('/', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const validation = validateWaitlistEntry(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const { entry, estimate } = await WaitlistQueries.addEntry(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Party added to the waitlist',
+      entry,
+      estimate
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/waitlist/:id - Change a waiting party's details
+ *
+ * Accepts the same fields as adding a party, all optional.
+ */
+router.put('/:id', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const entryId = parseEntryId(req);
+    if (!entryId) {
+      return invalidEntryId(res);
+    }
+
+    const validation = validateWaitlistEntry(req.body, true);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const entry = await WaitlistQueries.updateEntry(entryId, req.body);
+    if (!entry) {
+      return entryNotFound(res);
+    }
+
+    res.json({
+      message: 'Waitlist entry updated successfully',
+      entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/waitlist/:id/notify - Record that the party was told its table is ready
+ */
+router.post('/:id/notify', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const entryId = parseEntryId(req);
+    if (!entryId) {
+      return invalidEntryId(res);
+    }
+
+    const entry = await WaitlistQueries.notifyEntry(entryId);
+    if (!entry) {
+      return entryNotFound(res);
+    }
+
+    res.json({
+      message: 'Party notified',
+      entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/waitlist/:id/seat - Seat the party and open its check
+ *
+ * Request body should contain:
+ * - table_ids (required): Tables to seat the party at; combined tables share one check
+ */
+router.post('/:id/seat', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const entryId = parseEntryId(req);
+    if (!entryId) {
+      return invalidEntryId(res);
+    }
+
+    const validation = validateSeating(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const entry = await WaitlistQueries.seatEntry(entryId, req.body.table_ids, req.user);
+    if (!entry) {
+      return entryNotFound(res);
+    }
+
+    res.json({
+      message: 'Party seated successfully',
+      entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/waitlist/:id/leave - Take a party off the list without seating it
+ */
+router.post('/:id/leave', authorize('reservations:write'), async (req, res, next) => {
+  try {
+    const entryId = parseEntryId(req);
+    if (!entryId) {
+      return invalidEntryId(res);
+    }
+
+    const entry = await WaitlistQueries.removeEntry(entryId);
+    if (!entry) {
+      return entryNotFound(res);
+    }
+
+    res.json({
+      message: 'Party removed from the waitlist',
+      entry
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const { validateWasteLog, resolveReportRange, WASTE_REASONS } = require('../models/Waste');
+const { validateOptionalText } = require('../models/Supplier');
+const { WasteQueries } = require('../utils/waste-database');
+const { createValidationError } = require('../middleware/errorHandler');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Read the start_date and end_date query parameters
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - { start_date, end_date }, or null after sending a 400
+ */
+function parseDateRange(req, res) {
+  const range = resolveReportRange({ start_date: req.query.start_date, end_date: req.query.end_date });
+  if (range.errors.length > 0) {
+    res.status(400).json({
+      error: `Invalid ${range.errors[0].field} parameter. ${range.errors[0].message}.`
+    });
+    return null;
+  }
+  return { start_date: range.start_date, end_date: range.end_date };
+}
+
+/**
+ * GET /api/inventory/waste - List waste logs, newest first
+ *
+ * Query parameters:
+ * - start_date, end_date (optional): YYYY-MM-DD, inclusive (default: the 30 days up to today)
+ * - reason (optional): spoiled, dropped, overcooked, comp or expired
+ */
+router.get('/', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const { reason } = req.query;
+
+    if (reason && !WASTE_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: `Invalid reason parameter. Must be one of: ${WASTE_REASONS.join(', ')}.`
+      });
+    }
+
+    const range = parseDateRange(req, res);
+    if (!range) {
+      return;
+    }
+
+    const logs = await WasteQueries.getWasteLogs({ ...range, reason: reason || null });
+    res.json(logs);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/waste/report - Waste cost by reason, product, day and staff member
+ *
+ * Query parameters:
+ * - start_date, end_date (optional): YYYY-MM-DD, inclusive (default: the 30 days up to today)
+ *
+ * Costs use each product's cost when the waste was recorded. Food wasted by voiding an order is
+ * recorded with the order's voids and not included.
+ */
+router.get('/report', authorize('inventory:reports'), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req, res);
+    if (!range) {
+      return;
+    }
+
+    const report = await WasteQueries.getWasteReport(range);
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inventory/waste/:id - A waste log with the products it took out of stock
+ */
+router.get('/:id', authorize('inventory:read'), async (req, res, next) => {
+  try {
+    const wasteLogId = parseInt(req.params.id);
+    if (isNaN(wasteLogId) || wasteLogId < 1) {
+      return res.status(400).json({
+        error: 'Invalid waste log ID. Must be a positive integer.'
+      });
+    }
+
+    const log = await WasteQueries.getWasteLogById(wasteLogId);
+    if (!log) {
+      return res.status(404).json({
+        error: 'Waste log not found'
+      });
+    }
+
+    res.json(log);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/waste - Record waste and take it out of stock
+ *
+ * Request body should contain:
+ * - reason (required): spoiled, dropped, overcooked, comp or expired
+ * - items (required): [{ product_id, quantity }] in the product's unit of measure, or
+ *   [{ menu_item_id, quantity }] / [{ recipe_id, quantity }] in portions, which are expanded into
+ *   the ingredients their recipe uses
+ * - location_id (optional): Location the waste is taken from (default: the bar or line location for
+ *   ingredients of drink or food recipes it holds, otherwise each product's home location)
+ * - notes (optional)
+ *
+ * Every product is taken out of stock with a 'waste' transaction referencing the log. Returns 422
+ * for products, menu items, recipes or locations that do not exist and for menu items without a recipe.
+ */
+router.post('/', authorize('inventory:stock'), async (req, res, next) => {
+  try {
+    const validation = validateWasteLog(req.body);
+    if (!validation.isValid) {
+      throw createValidationError(validation.errors);
+    }
+
+    const result = await WasteQueries.recordWaste(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Waste recorded successfully',
+      waste_log: result.waste_log,
+      transactions: result.transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inventory/waste/expired-lots - Waste everything left in lots that have expired
+ *
+ * Request body may contain:
+ * - notes (optional)
+ *
+ * Lots that expired before today are emptied into one 'expired' waste log, a line per lot at the lot's
+ * cost, taken from each product's home location. Returns 200 with a null waste_log when no lot has expired.
+ */
+router.post('/expired-lots', authorize('inventory:stock'), async (req, res, next) => {
+  try {
+    const errors = validateOptionalText(req.body ? req.body.notes : undefined, 'notes', 'Notes', 1000);
+    if (errors.length > 0) {
+      throw createValidationError(errors);
+    }
+
+    const result = await WasteQueries.recordExpiredLots(req.body || {}, req.user);
+    if (!result.waste_log) {
+      return res.json({
+        message: 'No expired lots to waste',
+        waste_log: null,
+        transactions: [],
+        lots: []
+      });
+    }
+
+    res.status(201).json({
+      message: `${result.lots.length} expired lot${result.lots.length > 1 ? 's' : ''} wasted`,
+      waste_log: result.waste_log,
+      transactions: result.transactions,
+      lots: result.lots
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
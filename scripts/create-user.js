@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/**
+ * Create a staff login from the command line
+ * Usage: npm run user:create -- <username> <password> <role> ["Full Name"]
+ * The first owner account has to be created this way, since the API requires a signed-in owner.
+ */
+
+const { pool } = require('../utils/db-connection');
+const { StaffUserQueries } = require('../utils/staff-user-database');
+const { validateStaffUserForCreation, VALID_ROLES } = require('../models/StaffUser');
+
+async function createUser(args) {
+  const [username, password, role, full_name] = args;
+
+  const validation = validateStaffUserForCreation({ username, password, role, full_name });
+  if (!validation.isValid) {
+    console.error('❌ Invalid user data:');
+    validation.errors.forEach(error => console.error(`   ${error.field}: ${error.message}`));
+    console.error(`\nUsage: npm run user:create -- <username> <password> <${VALID_ROLES.join('|')}> ["Full Name"]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const existing = await StaffUserQueries.getUserCredentials(username);
+    if (existing) {
+      console.error(`❌ Username '${username}' already exists`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = await StaffUserQueries.createUser({ username, password, role, full_name });
+    console.log(`✅ Created ${user.role} '${user.username}' (id ${user.id})`);
+  } catch (error) {
+    console.error('❌ Failed to create user:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  createUser(process.argv.slice(2));
+}
+
+module.exports = { createUser };
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Apply or revert schema migrations from database/migrations
+ * Usage: npm run migrate -- <status|up|down|to <version>>
+ *   status         List applied, pending and modified migrations
+ *   up             Apply every pending migration
+ *   down           Revert the most recently applied migration
+ *   to <version>   Migrate up or down to exactly <version> (0 reverts everything)
+ */
+
+const { pool } = require('../utils/db-connection');
+const {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  migrateTo
+} = require('../utils/migration-runner');
+
+const USAGE = 'Usage: npm run migrate -- <status|up|down|to <version>>';
+
+function printStatus(status) {
+  console.log(`📋 Current version: ${status.current_version}`);
+
+  const modifiedVersions = new Set(status.modified.map(m => m.version));
+  status.applied.forEach(m => {
+    const flag = modifiedVersions.has(m.version) ? '  ⚠️  modified since it was applied' : '';
+    console.log(`   ✅ ${m.version}_${m.name}${flag}`);
+  });
+  status.pending.forEach(m => console.log(`   ⏳ ${m.version}_${m.name} (pending)`));
+  status.missing.forEach(m => console.log(`   ❓ ${m.version}_${m.name} (applied but missing from disk)`));
+}
+
+async function migrate(args) {
+  const [command, versionArg] = args;
+
+  try {
+    switch (command) {
+      case 'status': {
+        const status = await getMigrationStatus();
+        printStatus(status);
+        if (status.pending.length > 0 || status.modified.length > 0 || status.missing.length > 0) {
+          process.exitCode = 1;
+        }
+        break;
+      }
+      case 'up': {
+        const applied = await migrateUp();
+        console.log(applied.length > 0
+          ? `✅ Applied ${applied.length} migration(s)`
+          : '✅ Database is up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrateDown();
+        console.log(reverted.length > 0
+          ? `✅ Reverted ${reverted[0].version}_${reverted[0].name}`
+          : '✅ No migrations to revert');
+        break;
+      }
+      case 'to': {
+        const version = Number(versionArg);
+        if (versionArg === undefined || !Number.isInteger(version)) {
+          console.error(`❌ Missing or invalid version\n${USAGE}`);
+          process.exitCode = 1;
+          break;
+        }
+        const result = await migrateTo(version);
+        console.log(`✅ ${result.direction === 'up' ? 'Applied' : 'Reverted'} ${result.migrations.length} migration(s); now at version ${version}`);
+        break;
+      }
+      default:
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  migrate(process.argv.slice(2));
+}
+
+module.exports = { migrate };
@@ -18,21 +18,25 @@ async function resetDatabase() {
   try {
     console.log('🔄 Starting database reset...');
     
-    // Read the reset script
+    // Clear all restaurant data, then load the sample data (the schema comes from npm run migrate)
     const resetScript = fs.readFileSync(
       path.join(__dirname, '../database/reset-database.sql'), 
       'utf8'
     );
+    const seedScript = fs.readFileSync(
+      path.join(__dirname, '../database/seed-data.sql'),
+      'utf8'
+    );
     
-    // Execute the reset script
-    await pool.query(resetScript);
+    // Run both as one query so a failure leaves the data untouched
+    await pool.query(`${resetScript}\n${seedScript}`);
     
     console.log('✅ Database reset completed successfully');
     console.log('📊 Sample data has been inserted');
     
     // Show summary
     const counts = {};
-    const tableNames = ['tables', 'recipes', 'menu_items', 'orders'];
+    const tableNames = ['tables', 'products', 'recipes', 'menu_items', 'orders'];
     
     for (const tableName of tableNames) {
       const result = await pool.query(`SELECT COUNT(*) as count FROM ${tableName}`);
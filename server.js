@@ -8,11 +8,15 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Backup files are much larger than normal requests, so restores get their own body limit
+app.use('/api/database/restore', express.json({ limit: process.env.RESTORE_MAX_BODY_SIZE || '50mb' }));
 app.use(express.json());
 app.use(express.static('public'));
 
 // Database connection
 const { pool } = require('./utils/db-connection');
+const { assertMigrationsCurrent } = require('./utils/migration-runner');
+const { startReservationScheduler } = require('./utils/reservation-database');
 
 // Error handling middleware
 const {
@@ -20,17 +24,42 @@ const {
   databaseErrorHandler,
   validationErrorHandler,
   authErrorHandler,
+  conflictErrorHandler,
+  paymentDeclinedErrorHandler,
   globalErrorHandler,
   notFoundHandler
 } = require('./middleware/errorHandler');
 
+// Authentication (per-route permissions are checked inside each router)
+const { requireAuth } = require('./middleware/auth');
+
 // Routes
-app.use('/api/menu', require('./routes/menu'));
-app.use('/api/orders', require('./routes/orders'));
-app.use('/api/tables', require('./routes/tables'));
-app.use('/api/recipes', require('./routes/recipes'));
-app.use('/api/database', require('./routes/database'));
-app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/menu/:menuItemId/modifier-groups', requireAuth, require('./routes/menu-modifiers'));
+app.use('/api/menu', requireAuth, require('./routes/menu'));
+app.use('/api/orders/:orderId/payments', requireAuth, require('./routes/payments'));
+app.use('/api/orders/:orderId/pricing', requireAuth, require('./routes/order-pricing'));
+app.use('/api/orders/:orderId', requireAuth, require('./routes/order-voids'));
+app.use('/api/orders', requireAuth, require('./routes/orders'));
+app.use('/api/tables', requireAuth, require('./routes/tables'));
+app.use('/api/floor', requireAuth, require('./routes/floor'));
+app.use('/api/checks', requireAuth, require('./routes/checks'));
+app.use('/api/reservations', requireAuth, require('./routes/reservations'));
+app.use('/api/waitlist', requireAuth, require('./routes/waitlist'));
+app.use('/api/gift-cards', requireAuth, require('./routes/gift-cards'));
+app.use('/api/kitchen', requireAuth, require('./routes/kitchen'));
+app.use('/api/events', requireAuth, require('./routes/events'));
+app.use('/api/pricing', requireAuth, require('./routes/pricing'));
+app.use('/api/recipes', requireAuth, require('./routes/recipes'));
+app.use('/api/database', requireAuth, require('./routes/database'));
+app.use('/api/inventory/counts', requireAuth, require('./routes/stock-counts'));
+app.use('/api/inventory/waste', requireAuth, require('./routes/waste'));
+app.use('/api/inventory/locations', requireAuth, require('./routes/locations'));
+app.use('/api/inventory/transfers', requireAuth, require('./routes/transfers'));
+app.use('/api/inventory/lots', requireAuth, require('./routes/lots'));
+app.use('/api/inventory', requireAuth, require('./routes/inventory'));
+app.use('/api/suppliers', requireAuth, require('./routes/suppliers'));
+app.use('/api/purchase-orders', requireAuth, require('./routes/purchase-orders'));
 
 // Serve main page
 app.get('/', (req, res) => {
@@ -67,6 +96,8 @@ app.use(jsonErrorHandler);
 app.use(databaseErrorHandler);
 app.use(validationErrorHandler);
 app.use(authErrorHandler);
+app.use(conflictErrorHandler);
+app.use(paymentDeclinedErrorHandler);
 
 // 404 handler for unmatched routes
 app.use(notFoundHandler);
@@ -74,8 +105,25 @@ app.use(notFoundHandler);
 // Global error handler (must be last)
 app.use(globalErrorHandler);
 
-app.listen(PORT, () => {
-  console.log(`Restaurant server running on port ${PORT}`);
-});
+/**
+ * Refuse to start on an out-of-date schema, then start listening
+ * and holding tables for upcoming reservations
+ */
+async function startServer() {
+  await assertMigrationsCurrent();
+  startReservationScheduler();
+
+  return app.listen(PORT, () => {
+    console.log(`Restaurant server running on port ${PORT}`);
+  });
+}
+
+// Start only when run directly; tests import the app without a database
+if (require.main === module) {
+  startServer().catch((error) => {
+    console.error('❌ Server not started:', error.message);
+    process.exit(1);
+  });
+}
 
-module.exports = { app, pool };
\ No newline at end of file
+module.exports = { app, pool, startServer };
\ No newline at end of file
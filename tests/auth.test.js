@@ -0,0 +1,201 @@
+/**
+ * Tests for staff authentication and role-based access control
+ * Covers password hashing, signed tokens, permission checks and the 401/403 API paths
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+const {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  getTokenFromRequest
+} = require('../utils/auth');
+const { hasPermission, PERMISSIONS } = require('../middleware/auth');
+const { StaffUserQueries } = require('../utils/staff-user-database');
+const { StaffUser, validateStaffUserForCreation, VALID_ROLES } = require('../models/StaffUser');
+
+function mockRequest(headers = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    headers: lowered,
+    get: (name) => lowered[name.toLowerCase()]
+  };
+}
+
+describe('Authentication utilities', () => {
+  describe('hashPassword / verifyPassword', () => {
+    it('should verify the original password and reject others', async () => {
+      const hash = await hashPassword('correct horse');
+
+      expect(hash).toMatch(/^scrypt\$[0-9a-f]+\$[0-9a-f]+$/);
+      expect(await verifyPassword('correct horse', hash)).toBe(true);
+      expect(await verifyPassword('wrong horse', hash)).toBe(false);
+    });
+
+    it('should salt each hash differently', async () => {
+      const first = await hashPassword('same password');
+      const second = await hashPassword('same password');
+      expect(first).not.toBe(second);
+    });
+
+    it('should reject malformed stored hashes', async () => {
+      expect(await verifyPassword('anything', 'not-a-hash')).toBe(false);
+      expect(await verifyPassword('anything', null)).toBe(false);
+    });
+  });
+
+  describe('createToken / verifyToken', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should round-trip the user id and role', () => {
+      const { token, expires_at } = createToken({ id: 7, role: 'server' });
+      const payload = verifyToken(token);
+
+      expect(payload.sub).toBe(7);
+      expect(payload.role).toBe('server');
+      expect(new Date(expires_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject a token whose payload was tampered with', () => {
+      const { token } = createToken({ id: 7, role: 'server' });
+      const [, signature] = token.split('.');
+      const forgedPayload = Buffer.from(JSON.stringify({ sub: 7, role: 'owner', exp: 9999999999 })).toString('base64url');
+
+      expect(verifyToken(`${forgedPayload}.${signature}`)).toBeNull();
+    });
+
+    it('should reject expired tokens', () => {
+      const { token } = createToken({ id: 7, role: 'server' });
+      vi.useFakeTimers();
+      vi.setSystemTime(Date.now() + 13 * 3600 * 1000);
+
+      expect(verifyToken(token)).toBeNull();
+    });
+
+    it('should reject missing or malformed tokens', () => {
+      expect(verifyToken(null)).toBeNull();
+      expect(verifyToken('abc')).toBeNull();
+    });
+  });
+
+  describe('getTokenFromRequest', () => {
+    it('should read a bearer token from the Authorization header', () => {
+      expect(getTokenFromRequest(mockRequest({ Authorization: 'Bearer abc.def' }))).toBe('abc.def');
+    });
+
+    it('should read the auth_token cookie', () => {
+      const req = mockRequest({ Cookie: 'theme=dark; auth_token=abc.def' });
+      expect(getTokenFromRequest(req)).toBe('abc.def');
+    });
+
+    it('should return null when no token is present', () => {
+      expect(getTokenFromRequest(mockRequest())).toBeNull();
+    });
+  });
+});
+
+describe('StaffUser model', () => {
+  it('should never serialize the password hash', () => {
+    const user = new StaffUser({ id: 1, username: 'alice', role: 'owner', password_hash: 'scrypt$x$y' });
+    expect(JSON.stringify(user)).not.toContain('password_hash');
+  });
+
+  it('should validate username, password and role', () => {
+    const result = validateStaffUserForCreation({ username: 'a', password: 'short', role: 'chef' });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors.map(e => e.field)).toEqual(['username', 'password', 'role']);
+  });
+
+  it('should accept valid staff data', () => {
+    const result = validateStaffUserForCreation({ username: 'bob.server', password: 'longenough', role: 'server' });
+    expect(result.isValid).toBe(true);
+  });
+});
+
+describe('Role permissions', () => {
+  it('should only grant every permission to a known role', () => {
+    for (const roles of Object.values(PERMISSIONS)) {
+      roles.forEach(role => expect(VALID_ROLES).toContain(role));
+    }
+  });
+
+  it('should let only the owner reset the database', () => {
+    expect(hasPermission('owner', 'database:admin')).toBe(true);
+    VALID_ROLES.filter(role => role !== 'owner').forEach(role => {
+      expect(hasPermission(role, 'database:admin')).toBe(false);
+    });
+  });
+
+  it('should not let a server edit product costs', () => {
+    expect(hasPermission('server', 'inventory:products')).toBe(false);
+    expect(hasPermission('manager', 'inventory:products')).toBe(true);
+  });
+
+  it('should throw for unknown permissions', () => {
+    expect(() => hasPermission('owner', 'nope:nothing')).toThrow('Unknown permission');
+  });
+});
+
+describe('API authentication', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    process.env.AUTH_ENABLED = 'false';
+    vi.restoreAllMocks();
+  });
+
+  it('should return 401 for API requests without a login', async () => {
+    process.env.AUTH_ENABLED = 'true';
+
+    const response = await request(app).post('/api/database/reset');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Authentication required');
+  });
+
+  it('should return 401 for a token belonging to a deactivated user', async () => {
+    process.env.AUTH_ENABLED = 'true';
+    vi.spyOn(StaffUserQueries, 'getUserById').mockResolvedValue(
+      new StaffUser({ id: 3, username: 'former', role: 'manager', active: false })
+    );
+    const { token } = createToken({ id: 3, role: 'manager' });
+
+    const response = await request(app)
+      .get('/api/tables')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should return 403 when a server tries to reset the database', async () => {
+    process.env.AUTH_ENABLED = 'true';
+    vi.spyOn(StaffUserQueries, 'getUserById').mockResolvedValue(
+      new StaffUser({ id: 5, username: 'waiter', role: 'server', active: true })
+    );
+    const { token } = createToken({ id: 5, role: 'server' });
+
+    const response = await request(app)
+      .post('/api/database/reset')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Insufficient permissions');
+  });
+
+  it('should return 422 when login credentials are missing', async () => {
+    const response = await request(app).post('/api/auth/login').send({});
+
+    expect(response.status).toBe(422);
+    expect(response.body.details.map(d => d.field)).toEqual(['username', 'password']);
+  });
+});
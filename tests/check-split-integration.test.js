@@ -0,0 +1,142 @@
+/**
+ * Integration tests for splitting checks
+ * Runs a served order through the API and splits part of it onto a new check, then checks how the
+ * divided order's inventory deduction is recorded and that voiding the moved items returns the stock
+ * their original order deducted
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import { DatabaseUtils } from '../utils/database.js';
+const { ProductQueries } = require('../utils/product-database');
+
+let app;
+beforeAll(async () => {
+  const serverModule = await import('../server.js');
+  app = serverModule.app;
+});
+
+describe('Check Split Integration', () => {
+  const TABLE_NUMBER = 9101;
+  let productId, tableId, checkId, orderId, orderItemId;
+
+  async function cleanUp() {
+    await DatabaseUtils.query('DELETE FROM orders WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM checks WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM tables WHERE table_number = $1', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Split%']);
+    await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Split%']);
+  }
+
+  async function currentQuantity() {
+    const result = await DatabaseUtils.query('SELECT current_quantity FROM products WHERE id = $1', [productId]);
+    return parseFloat(result.rows[0].current_quantity);
+  }
+
+  beforeEach(async () => {
+    await cleanUp();
+
+    const product = await ProductQueries.createProduct({
+      name: 'Test Split Dough',
+      unit_of_measure: 'kg',
+      current_quantity: 10,
+      cost_per_unit: 2
+    });
+    productId = product.id;
+
+    // One serving of the flatbread uses 0.5 kg of dough
+    const recipeResult = await DatabaseUtils.query(`
+      INSERT INTO recipes (name, category, servings) VALUES ($1, 'food', 1) RETURNING id
+    `, ['Test Split Flatbread']);
+    await DatabaseUtils.query(`
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index) VALUES ($1, $2, 0.5, 'kg', 1)
+    `, [recipeResult.rows[0].id, productId]);
+    const menuItemResult = await DatabaseUtils.query(`
+      INSERT INTO menu_items (recipe_id, name, price, category) VALUES ($1, $2, 10.00, 'Test') RETURNING id
+    `, [recipeResult.rows[0].id, 'Test Split Flatbread']);
+
+    const tableResult = await DatabaseUtils.query(
+      'INSERT INTO tables (table_number, capacity) VALUES ($1, 4) RETURNING id',
+      [TABLE_NUMBER]
+    );
+    tableId = tableResult.rows[0].id;
+
+    // Three flatbreads, served, so 1.5 kg of dough is deducted
+    const order = await request(app)
+      .post('/api/orders')
+      .send({ table_id: tableId, customer_name: 'Test Split Guest', items: [{ menu_item_id: menuItemResult.rows[0].id, quantity: 3 }] })
+      .expect(201);
+    orderId = order.body.id;
+    checkId = order.body.check_id;
+    const itemResult = await DatabaseUtils.query('SELECT id FROM order_items WHERE order_id = $1', [orderId]);
+    orderItemId = itemResult.rows[0].id;
+
+    await request(app).put(`/api/orders/${orderId}/status`).send({ status: 'ready' }).expect(200);
+    await request(app).put(`/api/orders/${orderId}/status`).send({ status: 'served' }).expect(200);
+  });
+
+  afterEach(async () => {
+    await cleanUp();
+  });
+
+  /**
+   * Move one flatbread onto a new check
+   * @returns {Promise<number>} - ID of the order divided off onto the new check
+   */
+  async function splitOneFlatbread() {
+    const response = await request(app)
+      .post(`/api/checks/${checkId}/split`)
+      .send({ items: [{ order_item_id: orderItemId, quantity: 1 }] })
+      .expect(201);
+
+    const splitResult = await DatabaseUtils.query('SELECT id FROM orders WHERE check_id = $1', [response.body.split.id]);
+    return splitResult.rows[0].id;
+  }
+
+  it('should record the divided order as deducted with its original order', async () => {
+    expect(await currentQuantity()).toBe(8.5);
+
+    const splitOrderId = await splitOneFlatbread();
+
+    const deductions = await DatabaseUtils.query(
+      'SELECT order_id, transaction_count FROM order_inventory_deductions WHERE order_id = ANY($1::integer[]) ORDER BY order_id',
+      [[orderId, splitOrderId]]
+    );
+    expect(deductions.rows).toEqual([
+      { order_id: orderId, transaction_count: 1 },
+      { order_id: splitOrderId, transaction_count: 0 }
+    ]);
+
+    const reconciliation = await request(app).get('/api/orders/inventory-reconciliation').expect(200);
+    expect(reconciliation.body.missing.map(order => order.order_id)).not.toContain(splitOrderId);
+
+    // Deducting it again finds the shared deduction and takes nothing more from stock
+    const reprocess = await request(app).post(`/api/orders/${splitOrderId}/process-inventory`).send({}).expect(200);
+    expect(reprocess.body.alreadyProcessed).toBe(true);
+    expect(await currentQuantity()).toBe(8.5);
+  });
+
+  it('should return the stock of moved items that are voided', async () => {
+    const splitOrderId = await splitOneFlatbread();
+
+    const response = await request(app)
+      .post(`/api/orders/${splitOrderId}/void`)
+      .send({ reason: 'Sent back', disposition: 'return' })
+      .expect(200);
+
+    expect(await currentQuantity()).toBe(9);
+    const [reversal] = response.body.inventory_transactions;
+    const sale = await DatabaseUtils.query('SELECT reference_id, total_cost FROM inventory_transactions WHERE id = $1', [reversal.reverses_transaction_id]);
+    expect(sale.rows[0].reference_id).toBe(orderId);
+    // The returned dough goes back at the cost it was taken out at
+    expect(parseFloat(reversal.quantity_change)).toBe(0.5);
+    expect(parseFloat(reversal.total_cost)).toBe(1);
+
+    // The original order's own items can still be returned in full
+    await request(app)
+      .post(`/api/orders/${orderId}/void`)
+      .send({ reason: 'Sent back', disposition: 'return' })
+      .expect(200);
+    expect(await currentQuantity()).toBe(10);
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * Tests for table checks
+ * Covers check validation, even splits, the transaction logic in CheckQueries (against a fake client)
+ * and the API's validation and conflict responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const {
+  Check,
+  validateCheckForOpen,
+  validateCheckMerge,
+  validateItemSplit,
+  validateEvenSplit,
+  calculateEvenShares
+} = require('../models/Check');
+const { CheckQueries } = require('../utils/check-database');
+
+describe('Check validation', () => {
+  it('should require a table to open a check', () => {
+    const result = validateCheckForOpen({ guest_count: 2 });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([{ field: 'table_id', message: 'Table ID is required' }]);
+  });
+
+  it('should reject a non-integer guest count', () => {
+    const result = validateCheckForOpen({ table_id: 1, guest_count: 0 });
+
+    expect(result.errors[0].field).toBe('guest_count');
+  });
+
+  it('should not merge a check into itself', () => {
+    const result = validateCheckMerge({ check_id: 4 }, 4);
+
+    expect(result.errors).toEqual([{ field: 'check_id', message: 'A check cannot be merged into itself' }]);
+  });
+
+  it('should reject duplicate and invalid split items', () => {
+    const result = validateItemSplit({
+      items: [{ order_item_id: 3 }, { order_item_id: 3, quantity: 0 }]
+    });
+
+    expect(result.errors.map(e => e.field)).toEqual(['items[1].quantity', 'items[1].order_item_id']);
+  });
+
+  it('should limit even splits to between 2 and 50 guests', () => {
+    expect(validateEvenSplit({ guests: 1 }).isValid).toBe(false);
+    expect(validateEvenSplit({ guests: 51 }).isValid).toBe(false);
+    expect(validateEvenSplit({ guests: 3 }).isValid).toBe(true);
+  });
+});
+
+describe('calculateEvenShares', () => {
+  it('should give leftover cents to the first shares', () => {
+    expect(calculateEvenShares(10, 3)).toEqual([3.34, 3.33, 3.33]);
+  });
+
+  it('should always add up to the total', () => {
+    const shares = calculateEvenShares(87.53, 7);
+    const totalCents = shares.reduce((sum, share) => sum + Math.round(share * 100), 0);
+
+    expect(totalCents).toBe(8753);
+  });
+
+  it('should be included on checks that were split evenly', () => {
+    const check = new Check({ id: 1, total: '20.00', split_guests: 4 });
+
+    expect(check.even_split).toEqual([5, 5, 5, 5]);
+  });
+});
+
+describe('CheckQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should refuse to open a second check on an occupied table', async () => {
+    createFakeClient([
+      ['FROM tables WHERE id = $1 AND retired_at IS NULL FOR UPDATE', [{ id: 2, table_number: 5 }]],
+      ['COALESCE(target.id, c.id) AS check_id', [{ check_id: 9 }]]
+    ], { transaction: true });
+
+    await expect(CheckQueries.openCheck({ table_id: 2 }, null)).rejects.toMatchObject({
+      status: 409,
+      message: 'Table 5 already has an open check'
+    });
+  });
+
+  it('should mark the table occupied when a check opens', async () => {
+    let checkOpened = false;
+    const client = createFakeClient([
+      ['FROM tables WHERE id = $1 AND retired_at IS NULL FOR UPDATE', [{ id: 2, table_number: 5 }]],
+      ['COALESCE(target.id, c.id) AS check_id', () => (checkOpened ? [{ check_id: 11 }] : [])],
+      ['INSERT INTO checks', () => {
+        checkOpened = true;
+        return [{ id: 11, table_id: 2, status: 'open', guest_count: 3 }];
+      }]
+    ], { transaction: true });
+
+    const check = await CheckQueries.openCheck({ table_id: 2, guest_count: 3 }, { id: 4 });
+
+    expect(check.id).toBe(11);
+    expect(check.table_number).toBe(5);
+    expect(client.queries.find(q => q.sql.includes('INSERT INTO checks')).params).toEqual([2, 3, 4]);
+    expect(client.queries.some(q => q.sql.includes(`SET status = 'occupied'`))).toBe(true);
+  });
+
+  it('should not close a check with unpaid orders', async () => {
+    const client = createFakeClient([
+      ['FROM checks WHERE id = $1 FOR UPDATE', [{ id: 3, table_id: 1, status: 'open' }]],
+      ['status <> ALL', [{ id: 20, status: 'served' }]]
+    ], { transaction: true });
+
+    await expect(CheckQueries.closeCheck(3, null)).rejects.toMatchObject({
+      status: 409,
+      details: [{ order_id: 20, status: 'served' }]
+    });
+    expect(client.queries.find(q => q.sql.includes('status <> ALL')).params).toEqual([3, ['paid', 'cancelled', 'voided']]);
+    expect(client.queries.some(q => q.sql.includes(`status = 'closed'`))).toBe(false);
+  });
+
+  it('should free the check table and merged tables for cleaning when closing', async () => {
+    const client = createFakeClient([
+      ['FROM checks WHERE id = $1 FOR UPDATE', [{ id: 3, table_id: 1, status: 'open' }]],
+      ['WHERE merged_into_check_id = $1', [{ table_id: 2 }]],
+      ['JOIN tables t ON t.id = c.table_id', [{ id: 3, table_id: 1, status: 'closed', table_number: 1 }]]
+    ], { transaction: true });
+
+    const check = await CheckQueries.closeCheck(3, null);
+
+    expect(check.status).toBe('closed');
+    const cleaned = client.queries
+      .filter(q => q.sql.includes(`SET status = 'cleaning'`))
+      .map(q => q.params[0]);
+    expect(cleaned).toEqual([1, 2]);
+  });
+
+  it('should reject merging a check that is not open', async () => {
+    createFakeClient([
+      ['WHERE id = ANY($1::integer[]) ORDER BY id FOR UPDATE', [
+        { id: 3, table_id: 1, status: 'open' },
+        { id: 4, table_id: 2, status: 'closed' }
+      ]]
+    ], { transaction: true });
+
+    await expect(CheckQueries.mergeChecks(3, 4)).rejects.toMatchObject({
+      status: 409,
+      message: 'Check 4 is closed'
+    });
+  });
+
+  it('should move orders and flatten earlier merges onto the target check', async () => {
+    const client = createFakeClient([
+      ['WHERE id = ANY($1::integer[]) ORDER BY id FOR UPDATE', [
+        { id: 3, table_id: 1, status: 'open', guest_count: 2 },
+        { id: 4, table_id: 2, status: 'open', guest_count: 3 }
+      ]],
+      ['JOIN tables t ON t.id = c.table_id', [{ id: 3, table_id: 1, status: 'open', table_number: 1 }]]
+    ], { transaction: true });
+
+    await CheckQueries.mergeChecks(3, 4);
+
+    const sql = client.queries.map(q => q.sql);
+    expect(client.queries.find(q => q.sql.includes('UPDATE orders SET check_id')).params).toEqual([3, 4]);
+    expect(client.queries.find(q => q.sql.includes('SET merged_into_check_id = $1 WHERE merged_into_check_id')).params).toEqual([3, 4]);
+    expect(sql.some(s => s.includes(`SET status = 'merged'`))).toBe(true);
+    expect(client.queries.find(q => q.sql.includes('guest_count = COALESCE')).params).toEqual([3, 3]);
+  });
+
+  describe('splitCheckByItems', () => {
+    const lines = [
+      { id: 1, order_id: 10, quantity: 2 },
+      { id: 2, order_id: 10, quantity: 1 },
+      { id: 3, order_id: 11, quantity: 1 }
+    ];
+
+    function createSplitClient() {
+      return createFakeClient([
+        ['FROM checks WHERE id = $1 FOR UPDATE', [{ id: 3, table_id: 1, status: 'open' }]],
+        ['FOR UPDATE OF oi', lines],
+        ['INSERT INTO checks', [{ id: 8 }]],
+        ['INSERT INTO orders', [{ id: 12 }]],
+        ['JOIN tables t ON t.id = c.table_id', params => [{ id: params[0], table_id: 1, status: 'open', table_number: 1 }]]
+      ], { transaction: true });
+    }
+
+    it('should reject items that are not on the check or quantities that are too large', async () => {
+      createSplitClient();
+
+      await expect(CheckQueries.splitCheckByItems(3, [
+        { order_item_id: 99 },
+        { order_item_id: 1, quantity: 5 }
+      ], null)).rejects.toMatchObject({
+        type: 'validation',
+        details: [
+          { field: 'items[0].order_item_id', message: 'Order item 99 is not on check 3' },
+          { field: 'items[1].quantity', message: 'Only 2 of order item 1 can be moved' }
+        ]
+      });
+    });
+
+    it('should leave at least one item on the original check', async () => {
+      createSplitClient();
+
+      await expect(CheckQueries.splitCheckByItems(3, [
+        { order_item_id: 1 }, { order_item_id: 2 }, { order_item_id: 3 }
+      ], null)).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should move whole orders and divide partly moved ones', async () => {
+      const client = createSplitClient();
+
+      const result = await CheckQueries.splitCheckByItems(3, [
+        { order_item_id: 3 },
+        { order_item_id: 1, quantity: 1 }
+      ], null);
+
+      expect(result.split.id).toBe(8);
+      const params = sql => client.queries.filter(q => q.sql.includes(sql)).map(q => q.params);
+      expect(params('UPDATE orders SET check_id = $1 WHERE id = $2')).toEqual([[8, 11]]);
+      expect(params('SET quantity = quantity - $1')).toEqual([[1, 1]]);
+      expect(params('INSERT INTO order_items')).toEqual([[12, 1, 1]]);
+      // Both halves of the divided order are re-priced
+      expect(params('SET subtotal = $1').map(p => p[5])).toEqual([10, 12]);
+    });
+  });
+});
+
+describe('Checks API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return 422 when opening a check without a table', async () => {
+    const response = await request(app)
+      .post('/api/checks')
+      .send({ guest_count: 2 });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('table_id');
+  });
+
+  it('should return 400 for an invalid check ID', async () => {
+    const response = await request(app).post('/api/checks/abc/close');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 422 for an even split with one guest', async () => {
+    const response = await request(app)
+      .post('/api/checks/1/split')
+      .send({ guests: 1 });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('guests');
+  });
+
+  it('should return 409 with unpaid orders when closing', async () => {
+    const { createConflictError } = require('../middleware/errorHandler');
+    vi.spyOn(CheckQueries, 'closeCheck').mockRejectedValue(
+      createConflictError('Check has unpaid orders', [{ order_id: 20, status: 'served' }])
+    );
+
+    const response = await request(app).post('/api/checks/3/close');
+
+    expect(response.status).toBe(409);
+    expect(response.body).toEqual({
+      error: 'Check has unpaid orders',
+      details: [{ order_id: 20, status: 'served' }]
+    });
+  });
+
+  it('should return 404 for a missing check', async () => {
+    vi.spyOn(CheckQueries, 'transferCheck').mockResolvedValue(null);
+
+    const response = await request(app)
+      .post('/api/checks/3/transfer')
+      .send({ table_id: 2 });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Check not found');
+  });
+});
@@ -0,0 +1,328 @@
+/**
+ * Tests for backup validation and restore
+ * Uses a recording fake client so the restore order and transaction handling can be checked without a database
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const {
+  BACKUP_VERSION,
+  RESTORE_ORDER,
+  flattenBackup,
+  validateBackup,
+  restoreBackup
+} = require('../utils/database-backup');
+const { DatabaseUtils } = require('../utils/database');
+
+function sampleBackup() {
+  return {
+    version: BACKUP_VERSION,
+    timestamp: '2026-01-15T10:00:00.000Z',
+    tax_rates: [{ id: 1, name: 'Sales tax', rate: '0.0800' }],
+    service_charge_rules: [],
+    floor_areas: [{ id: 1, name: 'Dining Room', sort_order: 0 }],
+    server_sections: [],
+    tables: [{ id: 1, table_number: 1, capacity: 4, status: 'available', area_id: 1, pos_x: 40, pos_y: 40 }],
+    checks: [{ id: 1, table_id: 1, status: 'closed' }],
+    reservations: [{ id: 3, customer_name: 'Ada', party_size: 2, status: 'seated', check_id: 1 }],
+    reservation_tables: [{ id: 4, reservation_id: 3, table_id: 1 }],
+    waitlist_entries: [],
+    storage_locations: [{ id: 1, name: 'Dry Store', recipe_category: null, sort_order: 1, active: true }],
+    products: [{ id: 3, name: 'Flour', unit_of_measure: 'kg', current_quantity: '10.000', location_id: 1 }],
+    location_stock: [{ id: 1, product_id: 3, location_id: 1, quantity: '10.000' }],
+    stock_transfers: [],
+    suppliers: [{ id: 1, name: 'Mill Co', lead_time_days: 2, active: true }],
+    product_suppliers: [{ id: 1, product_id: 3, supplier_id: 1, pack_size: '25.000', is_preferred: true }],
+    purchase_orders: [],
+    purchase_order_lines: [],
+    stock_counts: [],
+    stock_count_lines: [],
+    recipes: {
+      5: {
+        id: 5,
+        name: 'Bread',
+        category: 'food',
+        ingredients: [{ id: 8, recipe_id: 5, product_id: 3, quantity: '0.500', unit: 'kg' }],
+        steps: [{ id: 9, recipe_id: 5, step_number: 1, instruction: 'Bake' }]
+      }
+    },
+    recipe_links: [],
+    recipe_cost_history: [{ id: 1, recipe_id: 5, cost_per_serving: '0.6000', previous_cost: null, reason: 'recipe', product_id: null }],
+    menu_items: [{ id: 2, recipe_id: 5, name: 'Bread', price: '4.00', category: 'Bakery' }],
+    discounts: [],
+    modifier_groups: [],
+    modifiers: [],
+    modifier_ingredients: [],
+    orders: [{ id: 4, table_id: 1, check_id: 1, status: 'paid', total: '4.00' }],
+    order_items: [{ id: 6, order_id: 4, menu_item_id: 2, quantity: 1 }],
+    order_item_modifiers: [],
+    order_status_history: [{ id: 1, order_id: 4, from_status: null, to_status: 'pending' }],
+    order_voids: [],
+    order_discounts: [],
+    gift_cards: [],
+    payments: [{ id: 10, order_id: 4, tender_type: 'cash', amount: '4.00', status: 'completed' }],
+    payment_refunds: [],
+    order_inventory_deductions: [{ id: 2, order_id: 4, transaction_count: 1 }],
+    waste_logs: [],
+    waste_log_lines: [],
+    inventory_transactions: [{ id: 7, product_id: 3, transaction_type: 'sale', quantity_change: '-0.500', deduction_id: 2 }],
+    stock_lots: [{ id: 5, product_id: 3, expires_on: '2024-06-14', quantity_received: '10.000', quantity_remaining: '9.500', transaction_id: null }],
+    lot_consumptions: [{ id: 6, lot_id: 5, transaction_id: 7, quantity: '0.500' }]
+  };
+}
+
+const RESTORE_COLUMNS = ['id', 'table_number', 'capacity', 'status', 'name', 'unit_of_measure', 'current_quantity',
+  'category', 'recipe_id', 'product_id', 'quantity', 'unit', 'step_number', 'instruction', 'price',
+  'table_id', 'check_id', 'total', 'order_id', 'menu_item_id', 'tender_type', 'amount', 'rate',
+  'transaction_type', 'quantity_change', 'opened_by', 'closed_by', 'changed_by'];
+
+/**
+ * Fake pg client: every table except recipe_ingredient_products exists, has the columns in the
+ * sample backup and starts with 2 rows; recipe_ingredients has no name column (product-based schema)
+ * and the only staff user has id 1
+ */
+function createRestoreClient() {
+  return createFakeClient([
+    ['to_regclass', params => [{ oid: params[0] === 'public.recipe_ingredient_products' ? null : 1 }]],
+    ['COUNT(*)', [{ count: '2' }]],
+    ['FROM staff_users', [{ id: 1 }]],
+    ['information_schema.columns', params => RESTORE_COLUMNS
+      .filter(column => !(params[0] === 'recipe_ingredients' && column === 'name'))
+      .map(column_name => ({ column_name }))]
+  ]);
+}
+
+describe('Database backup validation', () => {
+  it('should accept a well-formed backup', () => {
+    expect(validateBackup(sampleBackup())).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('should reject backups without a version or from a later version', () => {
+    const backup = sampleBackup();
+    delete backup.version;
+
+    const result = validateBackup(backup);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toEqual({
+      field: 'version',
+      message: `Unsupported backup version (missing); expected ${BACKUP_VERSION} or earlier`
+    });
+    expect(validateBackup({ ...sampleBackup(), version: BACKUP_VERSION + 1 }).errors[0].field).toBe('version');
+  });
+
+  it('should accept an older backup without the collections added since', () => {
+    const backup = sampleBackup();
+    backup.version = 12;
+    delete backup.stock_lots;
+    delete backup.lot_consumptions;
+    delete backup.storage_locations;
+    delete backup.location_stock;
+    delete backup.stock_transfers;
+    delete backup.products[0].location_id;
+
+    expect(validateBackup(backup)).toEqual({ isValid: true, errors: [] });
+    const rows = flattenBackup(backup);
+    expect(rows.stock_lots).toEqual([]);
+    expect(rows.storage_locations).toEqual([]);
+  });
+
+  it('should reject collections that are not arrays', () => {
+    const backup = sampleBackup();
+    backup.products = { 3: { id: 3 } };
+    backup.recipes = [];
+
+    const fields = validateBackup(backup).errors.map(e => e.field);
+
+    expect(fields).toEqual(['products', 'recipes']);
+  });
+
+  it('should reject rows that reference ids missing from the backup', () => {
+    const backup = sampleBackup();
+    backup.order_items.push({ id: 10, order_id: 99, menu_item_id: 2, quantity: 1 });
+
+    const result = validateBackup(backup);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([{
+      field: 'order_items[1].order_id',
+      message: 'References orders id 99, which is not in the backup'
+    }]);
+  });
+
+  it('should reject duplicate and missing ids', () => {
+    const backup = sampleBackup();
+    backup.tables.push({ id: 1, table_number: 2, capacity: 2 }, { table_number: 3, capacity: 2 });
+
+    const fields = validateBackup(backup).errors.map(e => e.field);
+
+    expect(fields).toEqual(['tables[1].id', 'tables[2].id']);
+  });
+
+  it('should reject non-object input', () => {
+    expect(validateBackup(null).isValid).toBe(false);
+    expect(validateBackup([]).isValid).toBe(false);
+  });
+});
+
+describe('flattenBackup', () => {
+  it('should split nested recipes into recipe, ingredient and step rows', () => {
+    const rows = flattenBackup(sampleBackup());
+
+    expect(rows.recipes).toEqual([{ id: 5, name: 'Bread', category: 'food' }]);
+    expect(rows.recipe_ingredients.map(r => r.id)).toEqual([8]);
+    expect(rows.recipe_steps.map(r => r.id)).toEqual([9]);
+    expect(Object.keys(rows)).toEqual(RESTORE_ORDER);
+  });
+});
+
+describe('restoreBackup', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should insert tables in foreign-key order and commit', async () => {
+    const client = createRestoreClient();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+
+    const report = await restoreBackup(sampleBackup());
+
+    const insertedTables = client.queries
+      .filter(q => q.sql.startsWith('INSERT INTO'))
+      .map(q => q.sql.split(' ')[2]);
+    expect(insertedTables).toEqual([
+      'tax_rates', 'floor_areas', 'tables', 'checks', 'reservations', 'reservation_tables', 'storage_locations', 'products',
+      'location_stock', 'suppliers',
+      'product_suppliers', 'recipes', 'recipe_ingredients', 'recipe_steps', 'recipe_cost_history', 'menu_items', 'orders', 'order_items', 'order_status_history',
+      'payments', 'order_inventory_deductions', 'inventory_transactions', 'stock_lots', 'lot_consumptions'
+    ]);
+    expect(client.queries[0].sql).toBe('BEGIN');
+    expect(client.queries[client.queries.length - 1].sql).toBe('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+
+    const ordersReport = report.tables.find(t => t.table === 'orders');
+    expect(ordersReport).toEqual({ table: 'orders', current_rows: 2, restored_rows: 1, skipped_columns: [] });
+  });
+
+  it('should reset every restored sequence', async () => {
+    const client = createRestoreClient();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+
+    await restoreBackup(sampleBackup());
+
+    const sequenceTables = client.queries.filter(q => q.sql.includes('setval')).map(q => q.params[0]);
+    expect(sequenceTables).toEqual(RESTORE_ORDER.filter(t => t !== 'recipe_ingredient_products'));
+  });
+
+  it('should roll back a dry run', async () => {
+    const client = createRestoreClient();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+
+    const report = await restoreBackup(sampleBackup(), { dryRun: true });
+
+    expect(report.dry_run).toBe(true);
+    expect(client.queries[client.queries.length - 1].sql).toBe('ROLLBACK');
+    expect(client.queries.some(q => q.sql === 'COMMIT')).toBe(false);
+  });
+
+  it('should skip and report columns the database no longer has', async () => {
+    const client = createRestoreClient();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+    const backup = sampleBackup();
+    backup.recipes[5].ingredients[0].name = 'Flour';
+
+    const report = await restoreBackup(backup);
+
+    expect(report.tables.find(t => t.table === 'recipe_ingredients').skipped_columns).toEqual(['name']);
+  });
+
+  it('should report backup rows for tables the database does not have', async () => {
+    const client = createRestoreClient();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+    const backup = sampleBackup();
+    backup.recipe_links.push({ id: 1, recipe_ingredient_id: 8, product_id: 3, quantity_per_serving: '0.5' });
+
+    const report = await restoreBackup(backup, { dryRun: true });
+
+    expect(report.missing_tables).toEqual([{ table: 'recipe_ingredient_products', backup_rows: 1 }]);
+  });
+
+  it('should restore staff ids the database does not have as NULL', async () => {
+    const client = createRestoreClient();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+    const backup = sampleBackup();
+    backup.checks[0] = { ...backup.checks[0], opened_by: 1, closed_by: 7 };
+    backup.order_status_history[0].changed_by = 7;
+
+    const report = await restoreBackup(backup);
+
+    const checkInsert = client.queries.find(q => q.sql.startsWith('INSERT INTO checks'));
+    expect(checkInsert.params.slice(-2)).toEqual([1, null]);
+    const historyInsert = client.queries.find(q => q.sql.startsWith('INSERT INTO order_status_history'));
+    expect(historyInsert.params[historyInsert.params.length - 1]).toBeNull();
+    expect(report.cleared_staff_references).toEqual([
+      { table: 'checks', column: 'closed_by', rows: 1 },
+      { table: 'order_status_history', column: 'changed_by', rows: 1 }
+    ]);
+  });
+
+  it('should restore an older backup with the collections it lacks left empty', async () => {
+    const client = createRestoreClient();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+    const backup = sampleBackup();
+    backup.version = 12;
+    delete backup.stock_lots;
+    delete backup.lot_consumptions;
+
+    const report = await restoreBackup(backup);
+
+    expect(client.queries.some(q => q.sql.startsWith('INSERT INTO stock_lots'))).toBe(false);
+    expect(client.queries.find(q => q.sql.startsWith('TRUNCATE')).sql).toContain('stock_lots');
+    expect(report.tables.find(t => t.table === 'stock_lots')).toMatchObject({ current_rows: 2, restored_rows: 0 });
+    expect(client.queries[client.queries.length - 1].sql).toBe('COMMIT');
+  });
+
+  it('should roll back and rethrow when an insert fails', async () => {
+    const client = createRestoreClient();
+    const baseQuery = client.query.getMockImplementation();
+    client.query.mockImplementation(async (sql, params) => {
+      if (sql.startsWith('INSERT INTO orders')) {
+        throw new Error('insert failed');
+      }
+      return baseQuery(sql, params);
+    });
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+
+    await expect(restoreBackup(sampleBackup())).rejects.toThrow('insert failed');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('Database restore API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  it('should return 422 for an invalid backup file', async () => {
+    const response = await request(app)
+      .post('/api/database/restore')
+      .send({ backup: { version: BACKUP_VERSION + 1 }, dry_run: true });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('version');
+  });
+
+  it('should require a confirmation token for a real restore', async () => {
+    const response = await request(app)
+      .post('/api/database/restore')
+      .send({ backup: sampleBackup() });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Confirmation token is required');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the database reset/seed safeguards
+ * Covers the production guard, confirmation tokens and the API paths that reject a reset
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+const {
+  isDestructiveOperationAllowed,
+  getConfirmationTtlSeconds,
+  issueConfirmationToken,
+  consumeConfirmationToken
+} = require('../utils/database-safety');
+
+const owner = { id: 1, username: 'owner', role: 'owner' };
+
+describe('Database safety', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.useRealTimers();
+  });
+
+  describe('isDestructiveOperationAllowed', () => {
+    it('should allow reset outside production', () => {
+      vi.stubEnv('NODE_ENV', 'development');
+      expect(isDestructiveOperationAllowed()).toBe(true);
+    });
+
+    it('should block reset in production without the override', () => {
+      vi.stubEnv('NODE_ENV', 'production');
+      vi.stubEnv('ALLOW_DATABASE_RESET', '');
+      expect(isDestructiveOperationAllowed()).toBe(false);
+    });
+
+    it('should allow reset in production with ALLOW_DATABASE_RESET=true', () => {
+      vi.stubEnv('NODE_ENV', 'production');
+      vi.stubEnv('ALLOW_DATABASE_RESET', 'true');
+      expect(isDestructiveOperationAllowed()).toBe(true);
+    });
+  });
+
+  describe('confirmation tokens', () => {
+    it('should default to a 60 second lifetime', () => {
+      vi.stubEnv('DATABASE_CONFIRMATION_TTL_SECONDS', '');
+      expect(getConfirmationTtlSeconds()).toBe(60);
+    });
+
+    it('should accept a token once for the same action and user', () => {
+      const { token } = issueConfirmationToken('reset', owner);
+
+      expect(consumeConfirmationToken(token, 'reset', owner)).toEqual({ valid: true });
+      expect(consumeConfirmationToken(token, 'reset', owner).valid).toBe(false);
+    });
+
+    it('should reject a token issued for another action', () => {
+      const { token } = issueConfirmationToken('seed', owner);
+      const result = consumeConfirmationToken(token, 'reset', owner);
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain("'seed'");
+    });
+
+    it('should reject a token issued to another user', () => {
+      const { token } = issueConfirmationToken('reset', owner);
+      const result = consumeConfirmationToken(token, 'reset', { id: 2, username: 'other' });
+
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject an expired token', () => {
+      vi.stubEnv('DATABASE_CONFIRMATION_TTL_SECONDS', '30');
+      const { token } = issueConfirmationToken('reset', owner);
+
+      vi.useFakeTimers();
+      vi.setSystemTime(Date.now() + 31 * 1000);
+
+      expect(consumeConfirmationToken(token, 'reset', owner)).toEqual({
+        valid: false,
+        reason: 'Confirmation token has expired'
+      });
+    });
+
+    it('should refuse to issue tokens for unknown actions', () => {
+      expect(() => issueConfirmationToken('drop', owner)).toThrow('Unknown destructive action');
+    });
+  });
+});
+
+describe('Database reset API safeguards', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('should reject a reset without a confirmation token', async () => {
+    const response = await request(app).post('/api/database/reset').send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Confirmation token is required');
+  });
+
+  it('should issue a confirmation token for reset', async () => {
+    const response = await request(app)
+      .post('/api/database/confirmation-token')
+      .send({ action: 'reset' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.action).toBe('reset');
+    expect(response.body.confirmation_token).toMatch(/^[0-9a-f]{48}$/);
+  });
+
+  it('should reject a seed token used for a reset', async () => {
+    const tokenResponse = await request(app)
+      .post('/api/database/confirmation-token')
+      .send({ action: 'seed' });
+
+    const response = await request(app)
+      .post('/api/database/reset')
+      .send({ confirmation_token: tokenResponse.body.confirmation_token });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should reject unknown actions when requesting a token', async () => {
+    const response = await request(app)
+      .post('/api/database/confirmation-token')
+      .send({ action: 'drop' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should block reset and seed in production without the override', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('ALLOW_DATABASE_RESET', '');
+
+    const tokenResponse = await request(app)
+      .post('/api/database/confirmation-token')
+      .send({ action: 'reset' });
+    const seedResponse = await request(app).post('/api/database/seed').send({});
+
+    expect(tokenResponse.status).toBe(403);
+    expect(seedResponse.status).toBe(403);
+    expect(seedResponse.body.error).toContain('ALLOW_DATABASE_RESET');
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Tests for real-time events
+ * Covers the event bus (including holding events until commit), stock alert detection,
+ * table events from check handling and the /api/events Server-Sent Events stream
+ */
+
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import http from 'http';
+import { createFakeClient } from './helpers/fake-client.js';
+const { EventBus } = require('../utils/event-bus');
+const { AlertService } = require('../utils/alert-service');
+const { CheckQueries } = require('../utils/check-database');
+const { DatabaseUtils } = require('../utils/database');
+
+/**
+ * Subscribe for the duration of a test and collect the events received
+ */
+function collectEvents() {
+  const events = [];
+  const unsubscribe = EventBus.subscribe(event => events.push(event));
+  return { events, unsubscribe };
+}
+
+const flour = {
+  id: 4,
+  name: 'Flour',
+  current_quantity: '8.000',
+  low_stock_threshold: 10,
+  unit_of_measure: 'kg'
+};
+
+describe('EventBus', () => {
+  let subscription;
+
+  afterEach(() => {
+    subscription.unsubscribe();
+  });
+
+  it('should deliver events to subscribers with increasing IDs', () => {
+    subscription = collectEvents();
+
+    const first = EventBus.publish('order.created', { order_id: 1 });
+    const second = EventBus.publish('order.status_changed', { order_id: 1, status: 'preparing' });
+
+    expect(subscription.events.map(e => e.type)).toEqual(['order.created', 'order.status_changed']);
+    expect(second.id).toBe(first.id + 1);
+    expect(EventBus.getEventsSince(first.id)).toEqual([second]);
+  });
+
+  it('should stop delivering after unsubscribing', () => {
+    subscription = collectEvents();
+    subscription.unsubscribe();
+
+    EventBus.publish('order.created', { order_id: 2 });
+
+    expect(subscription.events).toHaveLength(0);
+  });
+
+  it('should reject unknown event types', () => {
+    subscription = collectEvents();
+
+    expect(() => EventBus.publish('order.deleted', {})).toThrow('Unknown event type: order.deleted');
+  });
+
+  it('should hold events raised in a transaction until it commits', () => {
+    subscription = collectEvents();
+    const client = {};
+
+    EventBus.publishOnCommit(client, 'order.created', { order_id: 3 });
+    expect(subscription.events).toHaveLength(0);
+
+    EventBus.commit(client);
+    EventBus.commit(client);
+    expect(subscription.events.map(e => e.data)).toEqual([{ order_id: 3 }]);
+  });
+
+  it('should drop held events when the transaction rolls back', () => {
+    subscription = collectEvents();
+    const client = {};
+
+    EventBus.publishOnCommit(client, 'order.created', { order_id: 4 });
+    EventBus.discard(client);
+    EventBus.commit(client);
+
+    expect(subscription.events).toHaveLength(0);
+  });
+});
+
+describe('DatabaseUtils.transaction events', () => {
+  let subscription;
+
+  afterEach(() => {
+    subscription.unsubscribe();
+    vi.restoreAllMocks();
+  });
+
+  it('should publish after COMMIT', async () => {
+    subscription = collectEvents();
+    const client = createFakeClient();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(client);
+
+    await DatabaseUtils.transaction(async (db) => {
+      EventBus.publishOnCommit(db, 'kitchen.tickets_changed', { order_id: 5 });
+      expect(subscription.events).toHaveLength(0);
+    });
+
+    expect(client.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'COMMIT']);
+    expect(subscription.events.map(e => e.type)).toEqual(['kitchen.tickets_changed']);
+  });
+
+  it('should not publish when the transaction fails', async () => {
+    subscription = collectEvents();
+    vi.spyOn(DatabaseUtils, 'getClient').mockResolvedValue(createFakeClient());
+
+    await expect(DatabaseUtils.transaction(async (db) => {
+      EventBus.publishOnCommit(db, 'kitchen.tickets_changed', { order_id: 6 });
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+
+    expect(subscription.events).toHaveLength(0);
+  });
+});
+
+describe('Stock alerts', () => {
+  it('should alert when a product drops to its threshold', () => {
+    const alert = AlertService.getNewAlert(flour, -3);
+
+    expect(alert).toMatchObject({ id: 4, alert_type: 'low_stock', current_quantity: 8 });
+  });
+
+  it('should alert when a product runs out', () => {
+    const alert = AlertService.getNewAlert({ ...flour, current_quantity: '0.000' }, -2.5);
+
+    expect(alert).toMatchObject({ id: 4, alert_type: 'out_of_stock', severity: 'critical' });
+  });
+
+  it('should not alert again for a product that was already low', () => {
+    expect(AlertService.getNewAlert(flour, -1)).toBeNull();
+  });
+
+  it('should not alert when stock goes up', () => {
+    expect(AlertService.getNewAlert(flour, 8)).toBeNull();
+    expect(AlertService.getNewAlert({ ...flour, current_quantity: '25.000' }, 20)).toBeNull();
+  });
+
+  it('should ignore floating point noise in the previous quantity', () => {
+    expect(AlertService.getNewAlert({ ...flour, current_quantity: '10.300' }, 0.1)).toBeNull();
+  });
+
+  it('should publish the stock change and its alert', () => {
+    const subscription = collectEvents();
+
+    AlertService.publishStockChange(null, flour, -3);
+    subscription.unsubscribe();
+
+    expect(subscription.events.map(e => e.type)).toEqual(['stock.changed', 'inventory.alert']);
+    expect(subscription.events[0].data).toEqual({
+      product_id: 4,
+      name: 'Flour',
+      current_quantity: 8,
+      low_stock_threshold: 10,
+      unit_of_measure: 'kg',
+      quantity_change: -3
+    });
+  });
+});
+
+describe('Table events', () => {
+  it('should publish the table status once the check change commits', async () => {
+    const subscription = collectEvents();
+    const client = createFakeClient([
+      ['AS check_id', [{ check_id: 12 }]],
+      ['UPDATE tables', [{ id: 3, table_number: 3, status: 'occupied' }]]
+    ]);
+
+    await CheckQueries.syncTableStatus(client, 3);
+    expect(subscription.events).toHaveLength(0);
+    EventBus.commit(client);
+    subscription.unsubscribe();
+
+    expect(subscription.events.map(e => [e.type, e.data])).toEqual([
+      ['table.status_changed', { table_id: 3, table_number: 3, status: 'occupied', check_id: 12 }]
+    ]);
+  });
+
+  it('should not publish when the table status was left alone', async () => {
+    const subscription = collectEvents();
+    const client = createFakeClient();
+
+    await CheckQueries.syncTableStatus(client, 3);
+    EventBus.commit(client);
+    subscription.unsubscribe();
+
+    expect(subscription.events).toHaveLength(0);
+  });
+});
+
+describe('Events API', () => {
+  let app;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Open the stream and resolve with the text received once it contains `until`
+   */
+  function readStream(path, headers, until, onOpen = () => {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          body += chunk;
+          if (body.includes('retry:') && !res.opened) {
+            res.opened = true;
+            onOpen();
+          }
+          if (body.includes(until)) {
+            req.destroy();
+            resolve({ status: res.statusCode, type: res.headers['content-type'], body });
+          }
+        });
+      });
+      req.on('error', reject);
+      req.setTimeout(5000, () => {
+        req.destroy();
+        reject(new Error(`Timed out waiting for ${until}`));
+      });
+    });
+  }
+
+  it('should stream published events', async () => {
+    const result = await readStream('/api/events', {}, 'event: order.created', () => {
+      EventBus.publish('order.created', { order_id: 42, status: 'pending' });
+    });
+
+    expect(result.status).toBe(200);
+    expect(result.type).toContain('text/event-stream');
+    expect(result.body).toMatch(/id: \d+\nevent: order.created\ndata: {"order_id":42,"status":"pending"}\n\n/);
+  });
+
+  it('should only send the requested types', async () => {
+    const result = await readStream('/api/events?types=table.status_changed', {}, 'event: table.status_changed', () => {
+      EventBus.publish('order.created', { order_id: 43 });
+      EventBus.publish('table.status_changed', { table_id: 1, status: 'cleaning' });
+    });
+
+    expect(result.body).not.toContain('order.created');
+  });
+
+  it('should replay events missed since Last-Event-ID', async () => {
+    const missed = EventBus.publish('order.status_changed', { order_id: 44, status: 'ready' });
+
+    const result = await readStream('/api/events', { 'Last-Event-ID': String(missed.id - 1) }, 'order_id":44');
+
+    expect(result.body).toContain(`id: ${missed.id}\nevent: order.status_changed`);
+  });
+
+  it('should unsubscribe when the client disconnects', async () => {
+    let connected;
+    await readStream('/api/events', {}, 'event: kitchen.tickets_changed', () => {
+      connected = EventBus.getSubscriberCount();
+      EventBus.publish('kitchen.tickets_changed', { order_id: 45 });
+    });
+
+    await vi.waitFor(() => expect(EventBus.getSubscriberCount()).toBe(connected - 1));
+  });
+
+  it('should return 422 for unknown event types', async () => {
+    const response = await request(app).get('/api/events?types=order.deleted');
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('types');
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Tests for the floor plan
+ * Covers table, layout and section validation, the table and section logic in TableQueries and
+ * FloorPlanQueries (against a fake client) and the API's routing and validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { validateTable, validateLayout, validateServerSection } = require('../models/Table');
+const { TableQueries } = require('../utils/table-database');
+const { FloorPlanQueries } = require('../utils/floor-plan-database');
+const { CheckQueries } = require('../utils/check-database');
+const { DatabaseUtils } = require('../utils/database');
+const { EventBus } = require('../utils/event-bus');
+
+const LOCK_TABLE = 'FROM tables WHERE id = $1 AND retired_at IS NULL FOR UPDATE';
+
+describe('Table validation', () => {
+  it('should require a number and capacity for a new table', () => {
+    const result = validateTable({});
+
+    expect(result.errors.map(error => error.field)).toEqual(['table_number', 'capacity']);
+  });
+
+  it('should reject unknown shapes, off-plan positions and rotations past 359', () => {
+    const result = validateTable({ shape: 'oval', pos_x: -10, pos_y: 5000, rotation: 360 }, true);
+
+    expect(result.errors.map(error => error.field)).toEqual(['shape', 'pos_x', 'pos_y', 'rotation']);
+  });
+
+  it('should let a table leave its section but not its area', () => {
+    expect(validateTable({ section_id: null }, true).isValid).toBe(true);
+    expect(validateTable({ area_id: null }, true).errors[0].field).toBe('area_id');
+  });
+
+  it('should require positions for every table in a layout and reject duplicates', () => {
+    expect(validateLayout({ tables: [] }).errors[0].field).toBe('tables');
+    expect(validateLayout({ tables: [{ id: 1, pos_x: 10 }] }).errors[0].field).toBe('tables[0].pos_x');
+    expect(validateLayout({
+      tables: [{ id: 1, pos_x: 10, pos_y: 10 }, { id: 1, pos_x: 20, pos_y: 20 }]
+    }).errors).toEqual([{ field: 'tables', message: 'Each table can only be listed once' }]);
+  });
+
+  it('should validate a section color and its tables', () => {
+    const result = validateServerSection({ name: 'Patio', color: 'blue', table_ids: [1, 1] });
+
+    expect(result.errors.map(error => error.field)).toEqual(['color', 'table_ids']);
+    expect(validateServerSection({ staff_user_id: null }, true).isValid).toBe(true);
+  });
+});
+
+describe('TableQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should list tables with their active check and when the party sat down', async () => {
+    vi.spyOn(DatabaseUtils, 'query').mockResolvedValue({
+      rows: [
+        { id: 1, table_number: 1, capacity: 2, status: 'occupied', area_id: 1 },
+        { id: 2, table_number: 2, capacity: 4, status: 'available', area_id: 1 }
+      ]
+    });
+    vi.spyOn(CheckQueries, 'getActiveChecksByTable').mockResolvedValue(
+      new Map([[1, { check_id: 12, seated_at: '2026-05-01T19:00:00.000Z' }]])
+    );
+
+    const tables = await TableQueries.getTables();
+
+    expect(tables.map(table => [table.id, table.check_id, table.seated_at])).toEqual([
+      [1, 12, '2026-05-01T19:00:00.000Z'],
+      [2, null, null]
+    ]);
+    expect(DatabaseUtils.query.mock.calls[0][0]).toContain('t.retired_at IS NULL');
+  });
+
+  it('should put a new table in the first area and announce it', async () => {
+    const client = createFakeClient([
+      ['FROM floor_areas ORDER BY', [{ id: 3 }]],
+      ['INSERT INTO tables', [{ id: 9 }]],
+      ['WHERE t.id = $1', [{ id: 9, table_number: 7, capacity: 4, area_id: 3 }]]
+    ], { transaction: true, commitEvents: true });
+    const published = vi.spyOn(EventBus, 'publish');
+
+    const table = await TableQueries.createTable({ table_number: 7, capacity: 4 });
+
+    expect(table.id).toBe(9);
+    const insert = client.queries.find(q => q.sql.includes('INSERT INTO tables'));
+    expect(insert.params).toEqual([7, 4, 3, null, 0, 0, 'square', 0]);
+    expect(published).toHaveBeenCalledWith('floor.changed', { change: 'table_created', table_ids: [9] });
+  });
+
+  it('should reject a table number already used on the floor', async () => {
+    createFakeClient([
+      ['WHERE table_number = $1', [{ id: 2 }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(TableQueries.createTable({ table_number: 2, capacity: 4 }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should reject a layout naming tables that are not on the floor', async () => {
+    createFakeClient([
+      ['ORDER BY id FOR UPDATE', [{ id: 1 }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(TableQueries.updateLayout([
+      { id: 1, pos_x: 0, pos_y: 0 },
+      { id: 8, pos_x: 50, pos_y: 0 }
+    ])).rejects.toMatchObject({ type: 'validation' });
+  });
+
+  it('should not remove a table that has an open check', async () => {
+    createFakeClient([
+      [LOCK_TABLE, [{ id: 2, table_number: 2 }]],
+      ['AS check_id', [{ check_id: 5 }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(TableQueries.deleteTable(2)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should not remove a table booked for a reservation', async () => {
+    createFakeClient([
+      [LOCK_TABLE, [{ id: 4, table_number: 4 }]],
+      ['JOIN reservations r', [{ id: 2, customer_name: 'Chen family' }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(TableQueries.deleteTable(4)).rejects.toMatchObject({
+      status: 409,
+      details: [{ reservation_id: 2, customer_name: 'Chen family' }]
+    });
+  });
+
+  it('should retire a table with history and delete one without', async () => {
+    let used = true;
+    const client = createFakeClient([
+      [LOCK_TABLE, [{ id: 5, table_number: 5 }]],
+      ['AS used', () => [{ used }]]
+    ], { transaction: true, commitEvents: true });
+
+    const retired = await TableQueries.deleteTable(5);
+    used = false;
+    const deleted = await TableQueries.deleteTable(5);
+
+    expect(retired.retired).toBe(true);
+    expect(deleted.retired).toBe(false);
+    expect(client.queries.filter(q => q.sql.includes('SET retired_at = CURRENT_TIMESTAMP'))).toHaveLength(1);
+    expect(client.queries.filter(q => q.sql.includes('DELETE FROM tables'))).toHaveLength(1);
+  });
+});
+
+describe('FloorPlanQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should not delete an area that still has tables', async () => {
+    createFakeClient([
+      ['FROM floor_areas WHERE id = $1 FOR UPDATE', [{ id: 2, name: 'Patio' }]],
+      ['SELECT table_number FROM tables', [{ table_number: 5 }, { table_number: 6 }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(FloorPlanQueries.deleteArea(2)).rejects.toThrow('Area still has tables: 5, 6');
+  });
+
+  it('should only give sections to active staff', async () => {
+    createFakeClient([
+      ['SELECT active FROM staff_users', [{ active: false }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(FloorPlanQueries.createSection({ name: 'Patio', staff_user_id: 3 }))
+      .rejects.toMatchObject({ type: 'validation' });
+  });
+
+  it('should move tables into a section and out of the one they were in', async () => {
+    const client = createFakeClient([
+      ['FROM server_sections WHERE id = $1 FOR UPDATE', [{ id: 1, name: 'Section A', staff_user_id: null, color: '#0d6efd' }]],
+      ['SELECT id FROM tables WHERE id = ANY', [{ id: 3 }, { id: 4 }]],
+      ['SET section_id = NULL', [{ id: 1 }]],
+      ['SET section_id = $1', [{ id: 4 }]],
+      ['WHERE s.id = $1', [{ id: 1, name: 'Section A', table_ids: [3, 4] }]]
+    ], { transaction: true, commitEvents: true });
+    const published = vi.spyOn(EventBus, 'publish');
+
+    const section = await FloorPlanQueries.updateSection(1, { table_ids: [3, 4] });
+
+    expect(section.table_ids).toEqual([3, 4]);
+    const update = client.queries.find(q => q.sql.includes('UPDATE server_sections'));
+    expect(update.params).toEqual(['Section A', null, '#0d6efd', 1]);
+    expect(published).toHaveBeenCalledWith('floor.changed', { change: 'sections', table_ids: [1, 4] });
+  });
+
+  it('should reject section tables that are not on the floor', async () => {
+    createFakeClient([
+      ['FROM server_sections WHERE id = $1 FOR UPDATE', [{ id: 1, name: 'Section A' }]],
+      ['SELECT id FROM tables WHERE id = ANY', [{ id: 3 }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(FloorPlanQueries.updateSection(1, { table_ids: [3, 9] }))
+      .rejects.toMatchObject({ type: 'validation', details: [{ field: 'table_ids', message: 'Tables not found: 9' }] });
+  });
+});
+
+describe('Floor plan API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject an invalid table', async () => {
+    const response = await request(app).post('/api/tables').send({ table_number: 7, shape: 'oval' });
+
+    expect(response.status).toBe(422);
+  });
+
+  it('should save the layout rather than treat it as a table ID', async () => {
+    vi.spyOn(TableQueries, 'updateLayout').mockResolvedValue([{ id: 1, pos_x: 40, pos_y: 200 }]);
+
+    const response = await request(app)
+      .put('/api/tables/layout')
+      .send({ tables: [{ id: 1, pos_x: 40, pos_y: 200 }] });
+
+    expect(response.status).toBe(200);
+    expect(TableQueries.updateLayout).toHaveBeenCalledWith([{ id: 1, pos_x: 40, pos_y: 200 }]);
+  });
+
+  it('should report whether a removed table was retired', async () => {
+    vi.spyOn(TableQueries, 'deleteTable').mockResolvedValue({ table: { id: 3 }, retired: true });
+
+    const response = await request(app).delete('/api/tables/3');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ message: 'Table retired successfully', retired: true });
+  });
+
+  it('should return 404 when changing a table that does not exist', async () => {
+    vi.spyOn(TableQueries, 'updateTable').mockResolvedValue(null);
+
+    const response = await request(app).put('/api/tables/99').send({ capacity: 4 });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should list server sections', async () => {
+    vi.spyOn(FloorPlanQueries, 'getSections').mockResolvedValue([{ id: 1, name: 'Section A', table_ids: [1, 2] }]);
+
+    const response = await request(app).get('/api/floor/sections');
+
+    expect(response.status).toBe(200);
+    expect(response.body[0].table_ids).toEqual([1, 2]);
+  });
+});
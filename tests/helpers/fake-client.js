@@ -0,0 +1,47 @@
+/**
+ * Fake pg client shared by the query class tests
+ * Answers queries from a list of [sql fragment, rows or function] handlers and records every query it
+ * receives, so tests can check the statements a transaction runs without a database
+ */
+
+import { vi } from 'vitest';
+const { DatabaseUtils } = require('../../utils/database');
+const { EventBus } = require('../../utils/event-bus');
+
+/**
+ * Create a fake pg client
+ * @param {Array} handlers - [sql fragment, rows or (params) => rows]; the first fragment the SQL
+ *   contains answers it, anything else returns no rows
+ * @param {Object} options - Options
+ * @param {boolean} options.transaction - Run DatabaseUtils.transaction callbacks on this client
+ * @param {boolean} options.commitEvents - With transaction, deliver events published on commit as
+ *   the real transaction does
+ * @returns {Object} - Client with query and release mocks and the recorded queries
+ */
+export function createFakeClient(handlers = [], { transaction = false, commitEvents = false } = {}) {
+  const queries = [];
+  const client = {
+    queries,
+    query: vi.fn(async (sql, params = []) => {
+      queries.push({ sql, params });
+      const handler = handlers.find(([fragment]) => sql.includes(fragment));
+      if (!handler) {
+        return { rows: [] };
+      }
+      const rows = typeof handler[1] === 'function' ? handler[1](params) : handler[1];
+      return { rows };
+    }),
+    release: vi.fn()
+  };
+
+  if (transaction) {
+    vi.spyOn(DatabaseUtils, 'transaction').mockImplementation(async (callback) => {
+      const result = await callback(client);
+      if (commitEvents) {
+        EventBus.commit(client);
+      }
+      return result;
+    });
+  }
+  return client;
+}
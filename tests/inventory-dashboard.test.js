@@ -98,7 +98,7 @@ describe('Inventory Dashboard Frontend Integration', () => {
       const response = await request(app).get('/app.js');
       expect(response.status).toBe(200);
       expect(response.text).toContain('let products = []');
-      expect(response.text).toContain('let inventoryAlerts = { lowStock: [], outOfStock: [] }');
+      expect(response.text).toContain('let inventoryAlerts = { lowStock: [], outOfStock: [], expiringSoon: [] }');
       expect(response.text).toContain('let inventoryTransactions = []');
       expect(response.text).toContain('let recipeLinks = []');
     });
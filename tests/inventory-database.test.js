@@ -9,11 +9,16 @@ import {
   RecipeIngredientProductQueries, 
   AlertQueries 
 } from '../utils/inventory-database.js';
+import { DatabaseUtils } from '../utils/database.js';
 
 describe('Inventory Database Utilities', () => {
   let testProductIds = [];
+  let testRecipeIds = [];
 
   afterAll(async () => {
+    for (const recipeId of testRecipeIds) {
+      await DatabaseUtils.query('DELETE FROM recipes WHERE id = $1', [recipeId]);
+    }
     // Clean up test products
     for (const productId of testProductIds) {
       try {
@@ -184,9 +189,17 @@ describe('Inventory Database Utilities', () => {
       const product = await ProductQueries.createProduct(productData);
       testProductIds.push(product.id);
 
-      // Create link (using existing recipe ingredient)
+      // A two-serving test recipe whose one ingredient uses sample product 1
+      const recipeResult = await DatabaseUtils.query(`
+        INSERT INTO recipes (name, category, servings) VALUES ('Test Link Recipe - Inventory', 'food', 2) RETURNING id
+      `);
+      testRecipeIds.push(recipeResult.rows[0].id);
+      const ingredientResult = await DatabaseUtils.query(`
+        INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index) VALUES ($1, 1, 1, 'pieces', 1) RETURNING id
+      `, [recipeResult.rows[0].id]);
+
       const linkData = {
-        recipe_ingredient_id: 1, // Should exist from sample data
+        recipe_ingredient_id: ingredientResult.rows[0].id,
         product_id: product.id,
         quantity_per_serving: 5.0
       };
@@ -198,8 +211,15 @@ describe('Inventory Database Utilities', () => {
       expect(link.product_id).toBe(linkData.product_id);
       expect(parseFloat(link.quantity_per_serving)).toBe(linkData.quantity_per_serving);
 
-      // Clean up link
-      await RecipeIngredientProductQueries.deleteLink(link.id);
+      // The ingredient now uses the product, in its unit, for both servings
+      const ingredient = await DatabaseUtils.query('SELECT product_id, quantity, unit FROM recipe_ingredients WHERE id = $1', [link.id]);
+      expect(ingredient.rows[0]).toMatchObject({ product_id: product.id, quantity: '10.000', unit: 'grams' });
+      const [listed] = await RecipeIngredientProductQueries.getRecipeProductLinks(recipeResult.rows[0].id);
+      expect(listed.quantity_per_serving).toBe(5);
+
+      // Deleting the link removes the ingredient, freeing the product for clean up
+      expect(await RecipeIngredientProductQueries.deleteLink(link.id)).toBe(true);
+      expect(await RecipeIngredientProductQueries.getRecipeProductLinks(recipeResult.rows[0].id)).toEqual([]);
     });
   });
 
@@ -123,7 +123,7 @@ describe('Inventory Quantity Update Operations', () => {
 
   describe('Transaction Type Validation', () => {
     it('should use correct transaction types', () => {
-      const validTransactionTypes = ['sale', 'restock', 'adjustment', 'waste'];
+      const validTransactionTypes = ['sale', 'restock', 'adjustment', 'waste', 'transfer'];
       
       expect(validTransactionTypes).toContain('restock');
       expect(validTransactionTypes).toContain('adjustment');
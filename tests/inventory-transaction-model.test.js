@@ -96,11 +96,11 @@ describe('InventoryTransaction Model', () => {
       });
 
       const errors = transaction.validate();
-      expect(errors).toContain('Transaction type must be one of: sale, restock, adjustment, waste');
+      expect(errors).toContain('Transaction type must be one of: sale, restock, adjustment, waste, transfer');
     });
 
     it('should allow all valid transaction types', () => {
-      const validTypes = ['sale', 'restock', 'adjustment', 'waste'];
+      const validTypes = ['sale', 'restock', 'adjustment', 'waste', 'transfer'];
       
       validTypes.forEach(type => {
         const transaction = new InventoryTransaction({
@@ -144,11 +144,11 @@ describe('InventoryTransaction Model', () => {
       });
 
       const errors = transaction.validate();
-      expect(errors).toContain('Reference type must be one of: order, manual, recipe');
+      expect(errors).toContain('Reference type must be one of: order, manual, recipe, purchase_order, stock_count, waste_log, transfer');
     });
 
     it('should allow all valid reference types', () => {
-      const validRefTypes = ['order', 'manual', 'recipe'];
+      const validRefTypes = ['order', 'manual', 'recipe', 'purchase_order', 'stock_count', 'waste_log', 'transfer'];
       
       validRefTypes.forEach(refType => {
         const transaction = new InventoryTransaction({
@@ -224,11 +224,11 @@ describe('InventoryTransaction Model', () => {
 
   describe('constants', () => {
     it('should have correct TRANSACTION_TYPES', () => {
-      expect(InventoryTransaction.TRANSACTION_TYPES).toEqual(['sale', 'restock', 'adjustment', 'waste']);
+      expect(InventoryTransaction.TRANSACTION_TYPES).toEqual(['sale', 'restock', 'adjustment', 'waste', 'transfer']);
     });
 
     it('should have correct REFERENCE_TYPES', () => {
-      expect(InventoryTransaction.REFERENCE_TYPES).toEqual(['order', 'manual', 'recipe']);
+      expect(InventoryTransaction.REFERENCE_TYPES).toEqual(['order', 'manual', 'recipe', 'purchase_order', 'stock_count', 'waste_log', 'transfer']);
     });
   });
 });
\ No newline at end of file
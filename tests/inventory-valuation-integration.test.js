@@ -0,0 +1,141 @@
+/**
+ * Integration tests for inventory costing and valuation
+ * Receives a product at two prices and takes stock out through the API, checking the cost of goods
+ * sold and the stock valuation under average and FIFO costing, including a FIFO take spanning both lots
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import { DatabaseUtils } from '../utils/database.js';
+const { ProductQueries } = require('../utils/product-database');
+
+let app;
+beforeAll(async () => {
+  const serverModule = await import('../server.js');
+  app = serverModule.app;
+});
+
+describe('Inventory Valuation Integration', () => {
+  const TABLE_NUMBER = 9104;
+  let productId, tableId, menuItemId;
+
+  async function cleanUp() {
+    await DatabaseUtils.query('DELETE FROM orders WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM checks WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM tables WHERE table_number = $1', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Valuation%']);
+    await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Valuation%']);
+  }
+
+  /**
+   * Serve two servings, taking 1 kg of the product out of stock
+   * @returns {Promise<Object>} - The order's sale transaction
+   */
+  async function serveTwo() {
+    const order = await request(app)
+      .post('/api/orders')
+      .send({ table_id: tableId, customer_name: 'Test Valuation Guest', items: [{ menu_item_id: menuItemId, quantity: 2 }] })
+      .expect(201);
+    await request(app).put(`/api/orders/${order.body.id}/status`).send({ status: 'ready' }).expect(200);
+    await request(app).put(`/api/orders/${order.body.id}/status`).send({ status: 'served' }).expect(200);
+
+    const sale = await DatabaseUtils.query(
+      `SELECT unit_cost, total_cost FROM inventory_transactions WHERE reference_type = 'order' AND reference_id = $1`,
+      [order.body.id]
+    );
+    return sale.rows[0];
+  }
+
+  /**
+   * The product's line in today's valuation
+   * @returns {Promise<Object>}
+   */
+  async function productValuation() {
+    const response = await request(app).get('/api/inventory/valuation').expect(200);
+    return response.body.products.find(product => product.product_id === productId);
+  }
+
+  beforeEach(async () => {
+    await cleanUp();
+
+    const product = await ProductQueries.createProduct({
+      name: 'Test Valuation Beef',
+      unit_of_measure: 'kg',
+      current_quantity: 0,
+      cost_per_unit: 4
+    });
+    productId = product.id;
+
+    // 4 kg at 4.00 and 4 kg at 5.00 average out at 4.50
+    await request(app)
+      .post(`/api/inventory/products/${productId}/restock`)
+      .send({ quantity: 4, unit_cost: 4 })
+      .expect(200);
+    await request(app)
+      .post(`/api/inventory/products/${productId}/restock`)
+      .send({ quantity: 4, unit_cost: 5 })
+      .expect(200);
+
+    // A burger takes 0.5 kg of beef
+    const recipeResult = await DatabaseUtils.query(`
+      INSERT INTO recipes (name, category, servings) VALUES ($1, 'food', 1) RETURNING id
+    `, ['Test Valuation Burger']);
+    await DatabaseUtils.query(`
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index) VALUES ($1, $2, 0.5, 'kg', 1)
+    `, [recipeResult.rows[0].id, productId]);
+    const menuItemResult = await DatabaseUtils.query(`
+      INSERT INTO menu_items (recipe_id, name, price, category) VALUES ($1, $2, 14.00, 'Test') RETURNING id
+    `, [recipeResult.rows[0].id, 'Test Valuation Burger']);
+    menuItemId = menuItemResult.rows[0].id;
+
+    const tableResult = await DatabaseUtils.query(
+      'INSERT INTO tables (table_number, capacity) VALUES ($1, 4) RETURNING id',
+      [TABLE_NUMBER]
+    );
+    tableId = tableResult.rows[0].id;
+  });
+
+  afterEach(async () => {
+    delete process.env.INVENTORY_COSTING_METHOD;
+    await cleanUp();
+  });
+
+  it('should cost sales and value stock at the average cost', async () => {
+    const product = await DatabaseUtils.query('SELECT cost_per_unit FROM products WHERE id = $1', [productId]);
+    expect(parseFloat(product.rows[0].cost_per_unit)).toBe(4.5);
+
+    const sale = await serveTwo();
+
+    expect(parseFloat(sale.unit_cost)).toBe(4.5);
+    expect(parseFloat(sale.total_cost)).toBe(-4.5);
+    expect(await productValuation()).toMatchObject({ quantity: 7, unit_cost: 4.5, value: 31.5, cost_of_goods_sold: 4.5 });
+  });
+
+  it('should cost sales and value stock at lot cost under FIFO', async () => {
+    process.env.INVENTORY_COSTING_METHOD = 'fifo';
+
+    const sale = await serveTwo();
+
+    // The kilo sold came out of the first lot, at 4.00
+    expect(parseFloat(sale.total_cost)).toBe(-4);
+    // 3 kg left at 4.00 and 4 kg at 5.00
+    expect(await productValuation()).toMatchObject({ quantity: 7, value: 32, cost_of_goods_sold: 4 });
+  });
+
+  it('should cost stock taken across two lots at each lot\'s cost under FIFO', async () => {
+    process.env.INVENTORY_COSTING_METHOD = 'fifo';
+
+    await request(app)
+      .post(`/api/inventory/products/${productId}/adjust`)
+      .send({ quantity_change: -5, notes: 'Test Valuation spoilage' })
+      .expect(200);
+
+    // All 4 kg of the first lot at 4.00 and 1 kg of the second at 5.00
+    const adjustment = await DatabaseUtils.query(
+      `SELECT total_cost FROM inventory_transactions WHERE product_id = $1 AND transaction_type = 'adjustment'`,
+      [productId]
+    );
+    expect(parseFloat(adjustment.rows[0].total_cost)).toBe(-21);
+    expect(await productValuation()).toMatchObject({ quantity: 3, value: 15 });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tests for inventory costing and valuation
+ * Covers costing stock changes at average and FIFO cost, valuation periods and totals, costing
+ * transactions and revaluing products in CostingQueries (against a fake client), and the API's
+ * routing and validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { costStockChange, resolveValuationPeriod, summarizeValuation } = require('../models/Costing');
+const { CostingQueries, getCostingMethod } = require('../utils/costing-database');
+
+const MOZZARELLA = { current_quantity: '6.000', cost_per_unit: '8.0000' };
+
+describe('Costing stock changes', () => {
+  it('should cost stock coming in at the price paid and average it into the product cost', () => {
+    expect(costStockChange({ method: 'average', quantity: 6, on_hand: '6.000', product_cost: '8.0000', unit_cost: 9 }))
+      .toEqual({ unit_cost: 9, total_cost: 54, product_cost: 8.5 });
+    expect(costStockChange({ method: 'average', quantity: 2, on_hand: '0.000', product_cost: null }))
+      .toEqual({ unit_cost: 0, total_cost: 0, product_cost: null });
+  });
+
+  it('should cost stock going out at the average cost, or at lot cost under FIFO', () => {
+    expect(costStockChange({ method: 'average', quantity: -3, on_hand: '12.000', product_cost: '8.5000' }))
+      .toEqual({ unit_cost: 8.5, total_cost: -25.5, product_cost: 8.5 });
+    // 2 units from an 8.00 lot, the last unit beyond the lots at the 8.50 average
+    expect(costStockChange({
+      method: 'fifo',
+      quantity: -3,
+      on_hand: '12.000',
+      product_cost: '8.5000',
+      lots: { quantity: '2.000', cost: '16.0000' }
+    })).toEqual({ unit_cost: 8.1667, total_cost: -24.5, product_cost: 8.5 });
+  });
+
+  it('should read the costing method from the environment', () => {
+    vi.stubEnv('INVENTORY_COSTING_METHOD', 'FIFO');
+    expect(getCostingMethod()).toBe('fifo');
+    vi.stubEnv('INVENTORY_COSTING_METHOD', 'lifo');
+    expect(getCostingMethod()).toBe('average');
+    vi.unstubAllEnvs();
+  });
+});
+
+describe('Valuation periods and totals', () => {
+  const today = new Date(2026, 9, 19);
+
+  it('should value today with cost of goods sold for the month so far', () => {
+    expect(resolveValuationPeriod({}, today)).toEqual({ as_of: '2026-10-19', from: '2026-10-01', errors: [] });
+    expect(resolveValuationPeriod({ as_of: '2026-09-30' }, today)).toEqual({ as_of: '2026-09-30', from: '2026-09-01', errors: [] });
+  });
+
+  it('should reject bad dates and a period starting after the valuation date', () => {
+    expect(resolveValuationPeriod({ as_of: '2026-02-30' }, today).errors).toEqual([{ field: 'as_of', message: 'Must be YYYY-MM-DD' }]);
+    expect(resolveValuationPeriod({ as_of: '2026-10-01', from: '2026-10-02' }, today).errors)
+      .toEqual([{ field: 'from', message: 'Must not be after as_of' }]);
+  });
+
+  it('should total product values and cost of goods sold', () => {
+    const summary = summarizeValuation([
+      { product_id: 3, name: 'Fresh Mozzarella', category: 'Dairy', unit_of_measure: 'kg', quantity: '12.000', value: '102.0000', cost_of_goods_sold: '25.5000' },
+      { product_id: 7, name: 'Fresh Lemons', category: 'Produce', unit_of_measure: 'pieces', quantity: '0.000', value: '0', cost_of_goods_sold: '1.2' }
+    ]);
+
+    expect(summary.total_value).toBe(102);
+    expect(summary.cost_of_goods_sold).toBe(26.7);
+    expect(summary.products.map(product => product.unit_cost)).toEqual([8.5, null]);
+  });
+});
+
+describe('CostingQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllEnvs();
+  });
+
+  it('should cost a restock at the price paid and move the average cost', async () => {
+    const client = createFakeClient([
+      ['SELECT current_quantity, cost_per_unit FROM products', [MOZZARELLA]]
+    ], { transaction: true });
+    const transaction = { id: 40, product_id: 3, transaction_type: 'restock', quantity_change: '6.000' };
+
+    await CostingQueries.costTransaction(client, transaction, { unit_cost: 9 });
+
+    expect(client.queries.find(q => q.sql.includes('UPDATE inventory_transactions')).params).toEqual([9, 54, 40]);
+    expect(client.queries.find(q => q.sql.includes('UPDATE products')).params).toEqual([8.5, 3]);
+    expect(transaction).toMatchObject({ unit_cost: 9, total_cost: 54 });
+  });
+
+  it('should cost a sale from the lots it took under FIFO', async () => {
+    vi.stubEnv('INVENTORY_COSTING_METHOD', 'fifo');
+    const client = createFakeClient([
+      ['SELECT current_quantity, cost_per_unit FROM products', [MOZZARELLA]],
+      ['FROM lot_consumptions c', [{ quantity: '2.000', cost: '16.8000' }]]
+    ], { transaction: true });
+
+    const cost = await CostingQueries.costTransaction(client, {
+      id: 41, product_id: 3, transaction_type: 'sale', quantity_change: '-2.000'
+    });
+
+    expect(client.queries.find(q => q.sql.includes('FROM lot_consumptions c')).params).toEqual([41, '8.0000']);
+    expect(cost).toEqual({ unit_cost: 8.4, total_cost: -16.8 });
+    expect(client.queries.some(q => q.sql.includes('UPDATE products'))).toBe(false);
+  });
+
+  it('should bring reversed stock back at the cost it went out at and leave transfers uncosted', async () => {
+    const client = createFakeClient([
+      ['SELECT current_quantity, cost_per_unit FROM products', [MOZZARELLA]],
+      ['SELECT unit_cost FROM inventory_transactions', [{ unit_cost: '8.4000' }]]
+    ], { transaction: true });
+
+    expect(await CostingQueries.costTransaction(client, {
+      id: 50, product_id: 3, transaction_type: 'transfer', quantity_change: '-2.000'
+    })).toBeNull();
+    const cost = await CostingQueries.costTransaction(client, {
+      id: 51, product_id: 3, transaction_type: 'sale', quantity_change: '2.000', reverses_transaction_id: 41
+    });
+
+    expect(client.queries[0].params).toEqual([3]);
+    expect(cost).toEqual({ unit_cost: 8.4, total_cost: 16.8 });
+  });
+
+  it('should record a cost change as a revaluation of the stock on hand', async () => {
+    const client = createFakeClient([
+      ['WHERE p.id = $1', [{ id: 3, current_quantity: '12.000', cost_per_unit: '8.5000', location_id: 1, value: '102.0000' }]],
+      ['INSERT INTO inventory_transactions', params => [{ id: 60, notes: params[1], total_cost: params[4] }]]
+    ], { transaction: true });
+
+    const transaction = await CostingQueries.revalueProduct(client, 3, 9);
+
+    const insert = client.queries.find(q => q.sql.includes('INSERT INTO inventory_transactions'));
+    expect(insert.sql).toContain("'adjustment', 0");
+    expect(insert.params).toEqual([3, 'Cost revalued from 8.5000 to 9.0000 per unit', 1, 9, 6]);
+    expect(transaction.id).toBe(60);
+    expect(await CostingQueries.revalueProduct(client, 3, '8.5')).toBeNull();
+  });
+});
+
+describe('Inventory valuation API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should value stock as of a date', async () => {
+    const valuation = vi.spyOn(CostingQueries, 'getValuation').mockResolvedValue({
+      as_of: '2026-09-30', from: '2026-09-01', costing_method: 'average', total_value: 102, cost_of_goods_sold: 25.5, products: []
+    });
+
+    const response = await request(app).get('/api/inventory/valuation?as_of=2026-09-30');
+
+    expect(response.status).toBe(200);
+    expect(response.body.total_value).toBe(102);
+    expect(valuation).toHaveBeenCalledWith({ as_of: '2026-09-30', from: '2026-09-01' });
+  });
+
+  it('should validate valuation dates and restock costs', async () => {
+    const valuation = await request(app).get('/api/inventory/valuation?as_of=30/09/2026');
+    const restock = await request(app).post('/api/inventory/products/3/restock').send({ quantity: 2, unit_cost: -1 });
+
+    expect(valuation.status).toBe(400);
+    expect(valuation.body.error).toBe('Invalid as_of parameter. Must be YYYY-MM-DD.');
+    expect(restock.status).toBe(422);
+    expect(restock.body.details[0].field).toBe('unit_cost');
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests for the kitchen display
+ * Covers station resolution, ticket building and timers, the status implied by item ready state,
+ * KitchenQueries against a fake client and the API's validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const {
+  validateStation,
+  resolveStation,
+  getTimerStatus,
+  buildTickets,
+  statusForReadyItems
+} = require('../models/Kitchen');
+const { KitchenQueries } = require('../utils/kitchen-database');
+
+const placedAt = new Date('2026-01-14T18:00:00');
+
+/**
+ * Order item row as returned by the ticket query
+ */
+function itemRow(overrides) {
+  return {
+    order_id: 5,
+    status: 'preparing',
+    created_at: placedAt,
+    table_number: 3,
+    customer_name: null,
+    order_item_id: 1,
+    name: 'Classic Margherita Pizza',
+    quantity: 1,
+    notes: null,
+    modifiers: null,
+    ready_at: null,
+    station: 'pizza_oven',
+    recipe_category: 'food',
+    target_minutes: 35,
+    ...overrides
+  };
+}
+
+describe('Kitchen stations', () => {
+  it('should use the menu item station, then bar for drinks, then kitchen', () => {
+    expect(resolveStation({ station: 'grill', recipe_category: 'food' })).toBe('grill');
+    expect(resolveStation({ station: null, recipe_category: 'drink' })).toBe('bar');
+    expect(resolveStation({ station: null, recipe_category: null })).toBe('kitchen');
+  });
+
+  it('should only accept lowercase station names', () => {
+    expect(validateStation('pizza_oven')).toBeNull();
+    expect(validateStation('')).toBeNull();
+    expect(validateStation('Pizza Oven').field).toBe('station');
+  });
+});
+
+describe('buildTickets', () => {
+  it('should split an order into one ticket per station', () => {
+    const tickets = buildTickets([
+      itemRow({ order_item_id: 1 }),
+      itemRow({ order_item_id: 2, name: 'Fresh Lemonade', station: null, recipe_category: 'drink', target_minutes: 10 }),
+      itemRow({ order_item_id: 3, name: 'Caesar Salad', station: null, recipe_category: null, target_minutes: 0 })
+    ], new Date('2026-01-14T18:05:00'));
+
+    expect(tickets.map(t => [t.station, t.items.map(i => i.id)])).toEqual([
+      ['pizza_oven', [1]],
+      ['bar', [2]],
+      ['kitchen', [3]]
+    ]);
+    expect(tickets[0]).toMatchObject({ age_seconds: 300, target_seconds: 2100, timer_status: 'ok', bumped: false });
+    expect(tickets[2].target_seconds).toBeNull();
+  });
+
+  it('should use the longest item time as the target and flag late tickets', () => {
+    const tickets = buildTickets([
+      itemRow({ order_item_id: 1, target_minutes: 10 }),
+      itemRow({ order_item_id: 2, target_minutes: 20 })
+    ], new Date('2026-01-14T18:25:00'));
+
+    expect(tickets).toHaveLength(1);
+    expect(tickets[0].target_seconds).toBe(1200);
+    expect(tickets[0].timer_status).toBe('late');
+  });
+
+  it('should mark a ticket bumped when every item is ready', () => {
+    const tickets = buildTickets([
+      itemRow({ order_item_id: 1, ready_at: new Date('2026-01-14T18:20:00') }),
+      itemRow({ order_item_id: 2, station: 'grill', ready_at: null })
+    ], new Date('2026-01-14T18:25:00'));
+
+    expect(tickets.map(t => [t.station, t.bumped])).toEqual([['pizza_oven', true], ['grill', false]]);
+    expect(tickets[0].items[0].ready).toBe(true);
+  });
+
+  it('should warn at 80% of the target time', () => {
+    expect(getTimerStatus(790, 1000)).toBe('ok');
+    expect(getTimerStatus(800, 1000)).toBe('warning');
+    expect(getTimerStatus(1001, 1000)).toBe('late');
+    expect(getTimerStatus(5000, null)).toBe('ok');
+  });
+});
+
+describe('statusForReadyItems', () => {
+  it('should follow the items through preparing and ready', () => {
+    expect(statusForReadyItems('pending', [{ ready: false }, { ready: false }])).toBe('pending');
+    expect(statusForReadyItems('pending', [{ ready: true }, { ready: false }])).toBe('preparing');
+    expect(statusForReadyItems('preparing', [{ ready: true }, { ready: true }])).toBe('ready');
+    expect(statusForReadyItems('ready', [{ ready: false }, { ready: true }])).toBe('preparing');
+  });
+
+  it('should leave orders that left the kitchen alone', () => {
+    expect(statusForReadyItems('served', [{ ready: false }])).toBe('served');
+  });
+});
+
+describe('KitchenQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should bump one station and move the order to ready once everything is ready', async () => {
+    let readyIds = [2];
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 5, status: 'preparing' }]],
+      ['WHERE o.id = $1', () => [
+        itemRow({ order_item_id: 1, ready_at: readyIds.includes(1) ? placedAt : null }),
+        itemRow({ order_item_id: 2, station: 'bar', ready_at: placedAt })
+      ]],
+      ['SET ready_at = CURRENT_TIMESTAMP', params => {
+        readyIds = [...readyIds, ...params[0]];
+        return [];
+      }],
+      ['ready_at IS NOT NULL AS ready', () => [1, 2].map(id => ({ id, ready: readyIds.includes(id) }))]
+    ], { transaction: true });
+
+    const result = await KitchenQueries.bumpTicket(5, 'pizza_oven', { id: 7 });
+
+    const params = sql => client.queries.filter(q => q.sql.includes(sql)).map(q => q.params);
+    expect(params('SET ready_at = CURRENT_TIMESTAMP')).toEqual([[[1], 7]]);
+    expect(params('UPDATE orders SET status')).toEqual([['ready', 5]]);
+    expect(result.status).toBe('ready');
+  });
+
+  it('should move a ready order back to preparing when a ticket is recalled', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 5, status: 'ready' }]],
+      ['WHERE o.id = $1', [itemRow({ order_item_id: 1, ready_at: placedAt }), itemRow({ order_item_id: 2, station: 'bar', ready_at: placedAt })]],
+      ['ready_at IS NOT NULL AS ready', [{ id: 1, ready: false }, { id: 2, ready: true }]]
+    ], { transaction: true });
+
+    await KitchenQueries.recallTicket(5, 'pizza_oven');
+
+    const params = sql => client.queries.filter(q => q.sql.includes(sql)).map(q => q.params);
+    expect(params('SET ready_at = NULL')).toEqual([[[1]]]);
+    expect(params('UPDATE orders SET status')).toEqual([['preparing', 5]]);
+  });
+
+  it('should reject a station the order has no items for', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 5, status: 'preparing' }]],
+      ['WHERE o.id = $1', [itemRow({ order_item_id: 1 })]]
+    ], { transaction: true });
+
+    await expect(KitchenQueries.bumpTicket(5, 'grill', null)).rejects.toMatchObject({
+      type: 'validation',
+      details: [{ field: 'station', message: 'Order 5 has no items for the grill station' }]
+    });
+  });
+
+  it('should not change orders that have been served', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 5, status: 'served' }]]
+    ], { transaction: true });
+
+    await expect(KitchenQueries.startOrder(5)).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('Kitchen API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return 422 for a malformed station', async () => {
+    const response = await request(app)
+      .post('/api/kitchen/tickets/5/bump')
+      .send({ station: 'Pizza Oven' });
+
+    expect(response.status).toBe(422);
+  });
+
+  it('should return 422 when ready is not a boolean', async () => {
+    const response = await request(app)
+      .put('/api/kitchen/items/3/ready')
+      .send({ ready: 'yes' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('ready');
+  });
+
+  it('should return 404 for a missing order', async () => {
+    vi.spyOn(KitchenQueries, 'startOrder').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/kitchen/tickets/999/start');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should filter tickets by station', async () => {
+    const getTickets = vi.spyOn(KitchenQueries, 'getTickets').mockResolvedValue({ stations: ['bar'], tickets: [] });
+
+    const response = await request(app).get('/api/kitchen/tickets?station=bar');
+
+    expect(response.status).toBe(200);
+    expect(getTickets).toHaveBeenCalledWith({ station: 'bar' });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Integration tests for taking order ingredients from storage locations
+ * Moves some of a drink ingredient to the bar and serves drink orders through the API, checking the
+ * bar supplies an order while it holds enough and the product's home location supplies it otherwise
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import { DatabaseUtils } from '../utils/database.js';
+const { ProductQueries } = require('../utils/product-database');
+
+let app;
+beforeAll(async () => {
+  const serverModule = await import('../server.js');
+  app = serverModule.app;
+});
+
+describe('Location Deduction Integration', () => {
+  const TABLE_NUMBER = 9102;
+  let productId, homeLocationId, barLocationId, tableId, menuItemId;
+
+  async function cleanUp() {
+    await DatabaseUtils.query('DELETE FROM orders WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM checks WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM tables WHERE table_number = $1', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM stock_transfers WHERE notes = $1', ['Test Location transfer']);
+    await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Location%']);
+    await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Location%']);
+  }
+
+  async function locationQuantities() {
+    const result = await DatabaseUtils.query(
+      'SELECT location_id, quantity FROM location_stock WHERE product_id = $1',
+      [productId]
+    );
+    return Object.fromEntries(result.rows.map(row => [row.location_id, parseFloat(row.quantity)]));
+  }
+
+  /**
+   * Serve an order of martinis
+   * @param {number} quantity - Martinis ordered
+   * @returns {Promise<number|null>} - Location the gin was taken from
+   */
+  async function serveMartinis(quantity) {
+    const order = await request(app)
+      .post('/api/orders')
+      .send({ table_id: tableId, customer_name: 'Test Location Guest', items: [{ menu_item_id: menuItemId, quantity }] })
+      .expect(201);
+    await request(app).put(`/api/orders/${order.body.id}/status`).send({ status: 'ready' }).expect(200);
+    await request(app).put(`/api/orders/${order.body.id}/status`).send({ status: 'served' }).expect(200);
+
+    const sale = await DatabaseUtils.query(
+      `SELECT location_id FROM inventory_transactions WHERE reference_type = 'order' AND reference_id = $1 AND product_id = $2`,
+      [order.body.id, productId]
+    );
+    return sale.rows[0].location_id;
+  }
+
+  beforeEach(async () => {
+    await cleanUp();
+
+    const product = await ProductQueries.createProduct({
+      name: 'Test Location Gin',
+      unit_of_measure: 'l',
+      current_quantity: 2,
+      cost_per_unit: 20
+    });
+    productId = product.id;
+    homeLocationId = product.location_id;
+
+    const barResult = await DatabaseUtils.query(
+      `SELECT id FROM storage_locations WHERE active AND recipe_category = 'drink'`
+    );
+    barLocationId = barResult.rows[0].id;
+
+    // Half a litre goes to the bar; the rest stays home
+    await request(app)
+      .post('/api/inventory/transfers')
+      .send({
+        from_location_id: homeLocationId,
+        to_location_id: barLocationId,
+        items: [{ product_id: productId, quantity: 0.5 }],
+        notes: 'Test Location transfer'
+      })
+      .expect(201);
+
+    // A martini takes 0.1 l of gin
+    const recipeResult = await DatabaseUtils.query(`
+      INSERT INTO recipes (name, category, servings) VALUES ($1, 'drink', 1) RETURNING id
+    `, ['Test Location Martini']);
+    await DatabaseUtils.query(`
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index) VALUES ($1, $2, 0.1, 'l', 1)
+    `, [recipeResult.rows[0].id, productId]);
+    const menuItemResult = await DatabaseUtils.query(`
+      INSERT INTO menu_items (recipe_id, name, price, category) VALUES ($1, $2, 12.00, 'Test') RETURNING id
+    `, [recipeResult.rows[0].id, 'Test Location Martini']);
+    menuItemId = menuItemResult.rows[0].id;
+
+    const tableResult = await DatabaseUtils.query(
+      'INSERT INTO tables (table_number, capacity) VALUES ($1, 4) RETURNING id',
+      [TABLE_NUMBER]
+    );
+    tableId = tableResult.rows[0].id;
+  });
+
+  afterEach(async () => {
+    await cleanUp();
+  });
+
+  it('should take a drink ingredient from the bar while it holds enough', async () => {
+    expect(await locationQuantities()).toEqual({ [homeLocationId]: 1.5, [barLocationId]: 0.5 });
+
+    expect(await serveMartinis(3)).toBe(barLocationId);
+
+    expect(await locationQuantities()).toEqual({ [homeLocationId]: 1.5, [barLocationId]: 0.2 });
+  });
+
+  it('should take it from the home location when the bar holds too little', async () => {
+    await serveMartinis(3);
+
+    // The bar holds 0.2 l, short of the 0.3 l three more martinis need
+    expect(await serveMartinis(3)).toBe(homeLocationId);
+
+    expect(await locationQuantities()).toEqual({ [homeLocationId]: 1.2, [barLocationId]: 0.2 });
+    const product = await DatabaseUtils.query('SELECT current_quantity FROM products WHERE id = $1', [productId]);
+    expect(parseFloat(product.rows[0].current_quantity)).toBe(1.4);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for storage locations and stock transfers
+ * Covers location and transfer validation, moving stock and the deduction rules in LocationQueries
+ * (against a fake client) and the API's routing and validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { validateLocation, validateTransfer } = require('../models/Location');
+const { LocationQueries } = require('../utils/location-database');
+
+const LOCATIONS = [
+  { id: 1, name: 'Walk-in', active: true },
+  { id: 4, name: 'Bar', active: true }
+];
+
+describe('Location validation', () => {
+  it('should require a name and a known recipe category', () => {
+    expect(validateLocation({ name: 'Bar', recipe_category: 'drink', sort_order: 4 }).isValid).toBe(true);
+    expect(validateLocation({ name: ' ', recipe_category: 'dessert', sort_order: 1.5 }).errors.map(error => error.field))
+      .toEqual(['name', 'recipe_category', 'sort_order']);
+    expect(validateLocation({ active: false }, true).isValid).toBe(true);
+  });
+
+  it('should require two different locations and each product once', () => {
+    expect(validateTransfer({ from_location_id: 1, to_location_id: 1, items: [{ product_id: 7, quantity: 2 }] }).errors)
+      .toEqual([{ field: 'to_location_id', message: 'Stock must move to a different location' }]);
+    expect(validateTransfer({
+      from_location_id: 1,
+      to_location_id: 4,
+      items: [{ product_id: 7, quantity: 2 }, { product_id: 7, quantity: 0.0005 }]
+    }).errors.map(error => error.field)).toEqual(['items[1].quantity']);
+    expect(validateTransfer({
+      from_location_id: 1,
+      to_location_id: 4,
+      items: [{ product_id: 7, quantity: 2 }, { product_id: 7, quantity: 1 }]
+    }).errors[0].message).toBe('Each product can only be listed once per transfer');
+  });
+});
+
+describe('LocationQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should move stock with a transfer transaction out of one location and into the other', async () => {
+    const client = createFakeClient([
+      ['FROM storage_locations WHERE id = ANY', LOCATIONS],
+      ['FROM products p', [{ id: 7, name: 'Fresh Lemons', unit_of_measure: 'pieces', available: '45.000' }]],
+      ['INSERT INTO stock_transfers', [{ id: 3, from_location_id: 1, to_location_id: 4, notes: null }]],
+      ['INSERT INTO location_stock', params => [{ location_id: params[2] }]],
+      ['INSERT INTO inventory_transactions', params => [{ id: 80, product_id: params[0], quantity_change: params[1] }]],
+      ['FROM stock_transfers st', [{ id: 3 }]]
+    ], { transaction: true });
+
+    const result = await LocationQueries.transferStock({
+      from_location_id: 1,
+      to_location_id: 4,
+      items: [{ product_id: 7, quantity: 12 }]
+    }, { id: 2 });
+
+    const transactions = client.queries.filter(q => q.sql.includes('INSERT INTO inventory_transactions'));
+    expect(transactions[0].sql).toContain("'transfer', $2, 'transfer'");
+    expect(transactions.map(q => q.params)).toEqual([
+      [7, -12, 3, 'Transfer #3: Walk-in to Bar', 1],
+      [7, 12, 3, 'Transfer #3: Walk-in to Bar', 4]
+    ]);
+    expect(client.queries.some(q => q.sql.includes('UPDATE products'))).toBe(false);
+    expect(result.transactions).toHaveLength(2);
+  });
+
+  it('should refuse to move more than the source holds', async () => {
+    const client = createFakeClient([
+      ['FROM storage_locations WHERE id = ANY', LOCATIONS],
+      ['FROM products p', [{ id: 7, name: 'Fresh Lemons', unit_of_measure: 'pieces', available: '5.000' }]]
+    ], { transaction: true });
+
+    await expect(LocationQueries.transferStock({
+      from_location_id: 1,
+      to_location_id: 4,
+      items: [{ product_id: 7, quantity: 12 }, { product_id: 99, quantity: 1 }]
+    }, null)).rejects.toMatchObject({
+      type: 'validation',
+      details: [
+        { field: 'items[0].quantity', message: 'Walk-in only holds 5 pieces of Fresh Lemons' },
+        { field: 'items[1].product_id', message: 'Product 99 not found' }
+      ]
+    });
+    expect(client.queries.some(q => q.sql.includes('INSERT INTO stock_transfers'))).toBe(false);
+  });
+
+  it('should refuse inactive locations', async () => {
+    createFakeClient([['FROM storage_locations WHERE id = ANY', [LOCATIONS[0], { id: 4, name: 'Bar', active: false }]]], { transaction: true });
+
+    await expect(LocationQueries.transferStock({
+      from_location_id: 1,
+      to_location_id: 4,
+      items: [{ product_id: 7, quantity: 1 }]
+    }, null)).rejects.toMatchObject({ details: [{ field: 'to_location_id', message: 'Bar is inactive' }] });
+  });
+
+  it('should take a drink ingredient from the bar only when the bar holds enough of it', async () => {
+    const client = createFakeClient([
+      ['l.recipe_category = $2', params => (params[0] === 7 ? [{ id: 4 }] : [])]
+    ], { transaction: true });
+
+    expect(await LocationQueries.getDeductionLocationId(client, 7, 'drink', 0.25)).toBe(4);
+    expect(await LocationQueries.getDeductionLocationId(client, 8, 'drink', 0.25)).toBeNull();
+    expect(await LocationQueries.getDeductionLocationId(client, 7, null, 0.25)).toBeNull();
+    expect(client.queries).toHaveLength(2);
+    expect(client.queries[0].sql).toContain('s.quantity > 0 AND s.quantity >= $3');
+    expect(client.queries[0].params).toEqual([7, 'drink', 0.25]);
+  });
+});
+
+describe('Locations API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should add a location', async () => {
+    const create = vi.spyOn(LocationQueries, 'createLocation').mockResolvedValue({ id: 5, name: 'Patio Bar' });
+    const body = { name: 'Patio Bar', sort_order: 5 };
+
+    const response = await request(app).post('/api/inventory/locations').send(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body.location.id).toBe(5);
+    expect(create).toHaveBeenCalledWith(body);
+  });
+
+  it('should return 404 for a missing location', async () => {
+    vi.spyOn(LocationQueries, 'getLocationById').mockResolvedValue(null);
+
+    expect((await request(app).get('/api/inventory/locations/99')).status).toBe(404);
+    expect((await request(app).get('/api/inventory/locations/abc')).status).toBe(400);
+  });
+
+  it('should transfer stock', async () => {
+    const transfer = vi.spyOn(LocationQueries, 'transferStock').mockResolvedValue({ transfer: { id: 3 }, transactions: [] });
+    const body = { from_location_id: 1, to_location_id: 4, items: [{ product_id: 7, quantity: 12 }] };
+
+    const response = await request(app).post('/api/inventory/transfers').send(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body.transfer.id).toBe(3);
+    expect(transfer).toHaveBeenCalledWith(body, null);
+  });
+
+  it('should validate transfers and location filters', async () => {
+    const response = await request(app).post('/api/inventory/transfers').send({ from_location_id: 1, to_location_id: 1, items: [] });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details.map(detail => detail.field)).toEqual(['to_location_id', 'items']);
+    expect((await request(app).get('/api/inventory/transfers?location_id=bar')).status).toBe(400);
+    expect((await request(app).get('/api/inventory/products?location_id=0')).status).toBe(400);
+  });
+});
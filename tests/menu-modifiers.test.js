@@ -0,0 +1,262 @@
+/**
+ * Tests for menu item modifiers
+ * Covers group, modifier and selection validation, how modifiers change ingredient quantities,
+ * ModifierQueries against a fake client and the API's validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const {
+  validateModifierGroup,
+  validateModifier,
+  validateModifierSelections,
+  applyIngredientModifiers
+} = require('../models/Modifier');
+const { ModifierQueries } = require('../utils/modifier-database');
+
+describe('Modifier validation', () => {
+  it('should accept a group with nested modifiers and ingredient changes', () => {
+    const result = validateModifierGroup({
+      name: 'Cheese',
+      max_selections: 1,
+      modifiers: [
+        { name: 'No mozzarella', price_delta: -1, ingredients: [{ product_id: 3, action: 'remove' }] },
+        { name: 'Extra mozzarella', price_delta: 2, ingredients: [{ product_id: 3, action: 'add', quantity: 0.05 }] }
+      ]
+    });
+
+    expect(result.isValid).toBe(true);
+  });
+
+  it('should reject selection limits that cannot be met', () => {
+    expect(validateModifierGroup({ name: 'Size', is_required: true, min_selections: 0 }).errors[0].field)
+      .toBe('min_selections');
+    expect(validateModifierGroup({ name: 'Sides', min_selections: 3, max_selections: 2 }).errors[0].field)
+      .toBe('max_selections');
+    // Checked against the stored group when only one limit changes
+    expect(validateModifierGroup({ max_selections: 1 }, true, { min_selections: 2 }).isValid).toBe(false);
+  });
+
+  it('should prefix errors of nested modifiers with their position', () => {
+    const result = validateModifierGroup({
+      name: 'Toppings',
+      modifiers: [{ name: 'Add bacon', ingredients: [{ product_id: 11, action: 'add' }] }]
+    });
+
+    expect(result.errors).toEqual([{
+      field: 'modifiers[0].ingredients[0].quantity',
+      message: 'Quantity is required when adding an ingredient'
+    }]);
+  });
+
+  it('should reject unknown actions and repeated products', () => {
+    const result = validateModifier({
+      name: 'Swap',
+      ingredients: [
+        { product_id: 3, action: 'replace' },
+        { product_id: 3, action: 'remove' }
+      ]
+    });
+
+    expect(result.errors.map(e => e.field)).toEqual(['ingredients[0].action', 'ingredients[1].product_id']);
+  });
+});
+
+describe('validateModifierSelections', () => {
+  const groups = [
+    {
+      id: 1, name: 'Cooking', is_required: true, min_selections: 1, max_selections: 1,
+      modifiers: [
+        { id: 10, name: 'Medium', price_delta: '0.00', available: true },
+        { id: 11, name: 'Well done', price_delta: '0.00', available: true }
+      ]
+    },
+    {
+      id: 2, name: 'Toppings', is_required: false, min_selections: 0, max_selections: 2,
+      modifiers: [
+        { id: 20, name: 'Add bacon', price_delta: '3.00', available: true },
+        { id: 21, name: 'Add egg', price_delta: '1.50', available: true },
+        { id: 22, name: 'Add truffle', price_delta: '6.00', available: false }
+      ]
+    }
+  ];
+
+  it('should return the chosen modifiers with their group names', () => {
+    const result = validateModifierSelections(groups, [11, 20], 'items[0].modifiers');
+
+    expect(result.errors).toEqual([]);
+    expect(result.modifiers.map(m => [m.name, m.group_name])).toEqual([
+      ['Well done', 'Cooking'],
+      ['Add bacon', 'Toppings']
+    ]);
+  });
+
+  it('should require a selection from required groups', () => {
+    expect(validateModifierSelections(groups, undefined, 'items[0].modifiers').errors).toEqual([
+      { field: 'items[0].modifiers', message: 'Cooking requires a selection' }
+    ]);
+  });
+
+  it('should reject too many selections, unavailable, foreign and repeated modifiers', () => {
+    const messages = validateModifierSelections(groups, [10, 11, 22, 99, 10]).errors.map(e => e.message);
+
+    expect(messages).toEqual([
+      'Add truffle is not available',
+      'Modifier 99 is not available for this menu item',
+      'Modifier 10 is chosen more than once',
+      'Cooking allows at most 1 selections'
+    ]);
+  });
+});
+
+describe('applyIngredientModifiers', () => {
+  // A Margherita serving: 0.05 kg mozzarella and 0.25 dough balls (recipe / 4 servings)
+  const ingredients = [
+    { product_id: 1, product_name: 'Pizza Dough Balls', quantity_per_serving: '0.25', total_quantity_needed: '0.5' },
+    { product_id: 3, product_name: 'Fresh Mozzarella', quantity_per_serving: '0.05', total_quantity_needed: '0.1' }
+  ];
+
+  it('should leave removed ingredients out entirely', () => {
+    const result = applyIngredientModifiers(ingredients, [{ product_id: 3, action: 'remove', quantity: null }], 2);
+
+    expect(result.map(i => i.product_id)).toEqual([1]);
+  });
+
+  it('should reduce an ingredient by a partial removal without going below zero', () => {
+    const light = applyIngredientModifiers(ingredients, [{ product_id: 3, action: 'remove', quantity: '0.02' }], 2);
+    expect(light.find(i => i.product_id === 3).total_quantity_needed).toBeCloseTo(0.06, 10);
+
+    const none = applyIngredientModifiers(ingredients, [{ product_id: 3, action: 'remove', quantity: '0.5' }], 2);
+    expect(none.find(i => i.product_id === 3)).toBeUndefined();
+  });
+
+  it('should add to recipe ingredients and add new products per serving', () => {
+    const result = applyIngredientModifiers(ingredients, [
+      { product_id: 3, action: 'add', quantity: '0.05' },
+      { product_id: 11, action: 'add', quantity: '0.04', product_name: 'Bacon Strips', unit_of_measure: 'kg', current_quantity: '3.2' }
+    ], 2);
+
+    expect(result.find(i => i.product_id === 3).total_quantity_needed).toBeCloseTo(0.2, 10);
+    expect(result.find(i => i.product_id === 11)).toMatchObject({
+      ingredient_name: 'Bacon Strips',
+      unit_of_measure: 'kg',
+      total_quantity_needed: 0.08
+    });
+  });
+
+  it('should apply removals before additions so swaps work in any order', () => {
+    const result = applyIngredientModifiers(ingredients, [
+      { product_id: 3, action: 'add', quantity: '0.03' },
+      { product_id: 3, action: 'remove', quantity: null }
+    ], 1);
+
+    expect(result.find(i => i.product_id === 3).total_quantity_needed).toBeCloseTo(0.03, 10);
+  });
+});
+
+describe('ModifierQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should default required groups to one selection and insert nested modifiers', async () => {
+    const client = createFakeClient([
+      ['SELECT id FROM menu_items', [{ id: 1 }]],
+      ['INSERT INTO modifier_groups', [{ id: 4 }]],
+      ['INSERT INTO modifiers', [{ id: 9 }]],
+      ['SELECT id FROM products', [{ id: 3 }]],
+      ['SELECT * FROM modifier_groups', [{ id: 4, menu_item_id: 1, name: 'Cooking' }]]
+    ], { transaction: true });
+
+    const group = await ModifierQueries.createGroup(1, {
+      name: 'Cooking',
+      is_required: true,
+      modifiers: [{ name: 'No cheese', price_delta: -1, ingredients: [{ product_id: 3, action: 'remove' }] }]
+    });
+
+    expect(group.id).toBe(4);
+    const params = sql => client.queries.filter(q => q.sql.includes(sql)).map(q => q.params);
+    expect(params('INSERT INTO modifier_groups')).toEqual([[1, 'Cooking', true, 1]]);
+    expect(params('INSERT INTO modifiers')).toEqual([[4, 'No cheese', -1]]);
+    expect(params('INSERT INTO modifier_ingredients')).toEqual([[9, 3, 'remove', null]]);
+  });
+
+  it('should reject ingredient changes for products that do not exist', async () => {
+    createFakeClient([
+      ['SELECT id FROM menu_items', [{ id: 1 }]],
+      ['INSERT INTO modifier_groups', [{ id: 4 }]],
+      ['INSERT INTO modifiers', [{ id: 9 }]],
+      ['SELECT id FROM products', []]
+    ], { transaction: true });
+
+    await expect(ModifierQueries.createGroup(1, {
+      name: 'Toppings',
+      modifiers: [{ name: 'Add bacon', ingredients: [{ product_id: 99, action: 'add', quantity: 0.04 }] }]
+    })).rejects.toMatchObject({
+      type: 'validation',
+      details: [{ field: 'modifiers[0].ingredients[0].product_id', message: 'Product 99 not found' }]
+    });
+  });
+
+  it('should check updated limits against the stored group', async () => {
+    createFakeClient([
+      ['FROM modifier_groups WHERE id = $1 AND menu_item_id = $2 FOR UPDATE', [
+        { id: 4, menu_item_id: 1, name: 'Sides', is_required: false, min_selections: 2, max_selections: 3 }
+      ]]
+    ], { transaction: true });
+
+    await expect(ModifierQueries.updateGroup(1, 4, { max_selections: 1 })).rejects.toMatchObject({
+      type: 'validation',
+      details: [{ field: 'max_selections', message: 'Maximum selections cannot be less than minimum selections' }]
+    });
+  });
+
+  it('should copy chosen modifiers onto the order item', async () => {
+    const client = createFakeClient([], { transaction: true });
+
+    await ModifierQueries.addOrderItemModifiers(client, 12, [
+      { id: 1, group_name: 'Cheese', name: 'No mozzarella', price_delta: '-1.00' }
+    ]);
+
+    expect(client.queries[0].params).toEqual([12, 1, 'Cheese', 'No mozzarella', '-1.00']);
+  });
+});
+
+describe('Menu Modifiers API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return 422 for a group without a name', async () => {
+    const response = await request(app)
+      .post('/api/menu/1/modifier-groups')
+      .send({ max_selections: 1 });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('name');
+  });
+
+  it('should return 400 for an invalid modifier ID', async () => {
+    const response = await request(app)
+      .put('/api/menu/1/modifier-groups/2/modifiers/abc')
+      .send({ price_delta: 1 });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for groups of a missing menu item', async () => {
+    vi.spyOn(ModifierQueries, 'getGroups').mockResolvedValue(null);
+
+    const response = await request(app).get('/api/menu/999/modifier-groups');
+
+    expect(response.status).toBe(404);
+  });
+});
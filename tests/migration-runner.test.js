@@ -0,0 +1,218 @@
+/**
+ * Tests for the schema migration runner
+ * Migration files are read from disk; the database is replaced by a fake client that tracks schema_migrations
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+const {
+  MIGRATIONS_DIRECTORY,
+  computeChecksum,
+  loadMigrations,
+  compareMigrations,
+  migrateUp,
+  migrateDown,
+  migrateTo,
+  assertMigrationsCurrent
+} = require('../utils/migration-runner');
+const { DatabaseUtils } = require('../utils/database');
+
+const quiet = () => {};
+
+/**
+ * Fake pg client that keeps schema_migrations rows in memory and records migration SQL it runs
+ * @param {Array<Object>} rows - Initially applied rows: { version, name, checksum }
+ */
+function createFakeDatabase(rows = []) {
+  const applied = new Map(rows.map(row => [row.version, row]));
+  const executed = [];
+
+  const client = {
+    query: vi.fn(async (sql, params) => {
+      if (sql.includes('FROM schema_migrations ORDER BY version')) {
+        return { rows: [...applied.values()].sort((a, b) => a.version - b.version) };
+      }
+      if (sql.startsWith('SELECT version FROM schema_migrations WHERE version')) {
+        return { rows: applied.has(params[0]) ? [{ version: params[0] }] : [] };
+      }
+      if (sql.startsWith('INSERT INTO schema_migrations')) {
+        applied.set(params[0], { version: params[0], name: params[1], checksum: params[2] });
+        return { rows: [] };
+      }
+      if (sql.startsWith('DELETE FROM schema_migrations')) {
+        applied.delete(params[0]);
+        return { rows: [] };
+      }
+      if (!sql.includes('schema_migrations') && !sql.includes('pg_advisory_xact_lock')) {
+        executed.push(sql);
+      }
+      return { rows: [] };
+    })
+  };
+
+  vi.spyOn(DatabaseUtils, 'transaction').mockImplementation(async (callback) => callback(client));
+
+  return { applied, executed };
+}
+
+function writeMigration(directory, version, name, up = 'SELECT 1;', down = 'SELECT 1;') {
+  const prefix = String(version).padStart(3, '0');
+  fs.writeFileSync(path.join(directory, `${prefix}_${name}.up.sql`), up);
+  fs.writeFileSync(path.join(directory, `${prefix}_${name}.down.sql`), down);
+}
+
+describe('loadMigrations', () => {
+  let tempDirectory;
+
+  beforeEach(() => {
+    tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+  });
+
+  it('should load the repository migrations in version order with both directions', () => {
+    const migrations = loadMigrations(MIGRATIONS_DIRECTORY);
+    const versions = migrations.map(m => m.version);
+
+    expect(versions[0]).toBe(1);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    for (const migration of migrations) {
+      expect(migration.up.length).toBeGreaterThan(0);
+      expect(migration.down.length).toBeGreaterThan(0);
+      expect(migration.checksum).toBe(computeChecksum(migration.up));
+    }
+  });
+
+  it('should sort numerically rather than by filename', () => {
+    writeMigration(tempDirectory, 10, 'tenth');
+    writeMigration(tempDirectory, 2, 'second');
+
+    expect(loadMigrations(tempDirectory).map(m => m.version)).toEqual([2, 10]);
+  });
+
+  it('should reject files that do not follow the naming pattern', () => {
+    fs.writeFileSync(path.join(tempDirectory, 'add-things.sql'), 'SELECT 1;');
+
+    expect(() => loadMigrations(tempDirectory)).toThrow('Invalid migration filename: add-things.sql');
+  });
+
+  it('should require a down file for every up file', () => {
+    fs.writeFileSync(path.join(tempDirectory, '001_only_up.up.sql'), 'SELECT 1;');
+
+    expect(() => loadMigrations(tempDirectory)).toThrow('Migration 1_only_up needs both an up and a down file');
+  });
+});
+
+describe('compareMigrations', () => {
+  const migrations = [
+    { version: 1, name: 'first', checksum: computeChecksum('a') },
+    { version: 2, name: 'second', checksum: computeChecksum('b') }
+  ];
+
+  it('should report pending migrations and the current version', () => {
+    const status = compareMigrations(migrations, [{ version: 1, name: 'first', checksum: computeChecksum('a') }]);
+
+    expect(status.current_version).toBe(1);
+    expect(status.pending.map(m => m.version)).toEqual([2]);
+    expect(status.modified).toEqual([]);
+  });
+
+  it('should flag applied migrations whose checksum changed', () => {
+    const status = compareMigrations(migrations, [{ version: 1, name: 'first', checksum: computeChecksum('edited') }]);
+
+    expect(status.modified.map(m => m.version)).toEqual([1]);
+  });
+
+  it('should report applied migrations that are missing from disk', () => {
+    const status = compareMigrations(migrations, [{ version: 3, name: 'third', checksum: computeChecksum('c') }]);
+
+    expect(status.missing).toEqual([{ version: 3, name: 'third' }]);
+    expect(status.current_version).toBe(3);
+  });
+});
+
+describe('Migration runner', () => {
+  let tempDirectory;
+
+  beforeEach(() => {
+    tempDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigration(tempDirectory, 1, 'create_a', 'CREATE TABLE a ();', 'DROP TABLE a;');
+    writeMigration(tempDirectory, 2, 'create_b', 'CREATE TABLE b ();', 'DROP TABLE b;');
+    writeMigration(tempDirectory, 3, 'create_c', 'CREATE TABLE c ();', 'DROP TABLE c;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDirectory, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  it('should apply pending migrations in order and record them', async () => {
+    const database = createFakeDatabase();
+
+    const applied = await migrateUp({ directory: tempDirectory, log: quiet });
+
+    expect(applied.map(m => m.version)).toEqual([1, 2, 3]);
+    expect(database.executed).toEqual(['CREATE TABLE a ();', 'CREATE TABLE b ();', 'CREATE TABLE c ();']);
+    expect([...database.applied.keys()]).toEqual([1, 2, 3]);
+  });
+
+  it('should stop at the target version', async () => {
+    const database = createFakeDatabase();
+
+    await migrateUp({ target: 2, directory: tempDirectory, log: quiet });
+
+    expect([...database.applied.keys()]).toEqual([1, 2]);
+  });
+
+  it('should revert only the latest migration by default', async () => {
+    const migrations = loadMigrations(tempDirectory);
+    const database = createFakeDatabase(migrations.map(({ version, name, checksum }) => ({ version, name, checksum })));
+
+    const reverted = await migrateDown({ directory: tempDirectory, log: quiet });
+
+    expect(reverted.map(m => m.version)).toEqual([3]);
+    expect(database.executed).toEqual(['DROP TABLE c;']);
+  });
+
+  it('should migrate down to an earlier version newest first', async () => {
+    const migrations = loadMigrations(tempDirectory);
+    const database = createFakeDatabase(migrations.map(({ version, name, checksum }) => ({ version, name, checksum })));
+
+    const result = await migrateTo(1, { directory: tempDirectory, log: quiet });
+
+    expect(result.direction).toBe('down');
+    expect(database.executed).toEqual(['DROP TABLE c;', 'DROP TABLE b;']);
+    expect([...database.applied.keys()]).toEqual([1]);
+  });
+
+  it('should reject unknown target versions', async () => {
+    createFakeDatabase();
+
+    await expect(migrateTo(9, { directory: tempDirectory, log: quiet })).rejects.toThrow('Unknown migration version: 9');
+  });
+
+  it('should refuse to run when an applied migration was edited', async () => {
+    const database = createFakeDatabase([{ version: 1, name: 'create_a', checksum: computeChecksum('CREATE TABLE old ();') }]);
+
+    await expect(migrateUp({ directory: tempDirectory, log: quiet })).rejects.toThrow('Applied migrations were modified after being run: 1_create_a');
+    expect(database.executed).toEqual([]);
+  });
+
+  it('should report pending migrations before the server starts', async () => {
+    const [first] = loadMigrations(tempDirectory);
+    createFakeDatabase([{ version: 1, name: first.name, checksum: first.checksum }]);
+
+    await expect(assertMigrationsCurrent({ directory: tempDirectory })).rejects.toThrow('Pending database migrations: 2_create_b, 3_create_c');
+  });
+
+  it('should pass when every migration is applied', async () => {
+    const migrations = loadMigrations(tempDirectory);
+    createFakeDatabase(migrations.map(({ version, name, checksum }) => ({ version, name, checksum })));
+
+    await expect(assertMigrationsCurrent({ directory: tempDirectory })).resolves.toBeUndefined();
+  });
+});
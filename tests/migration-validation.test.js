@@ -8,7 +8,7 @@ const __dirname = path.dirname(__filename);
 
 describe('Migration Validation', () => {
   it('should validate that migration script exists and is readable', () => {
-    const migrationPath = path.join(__dirname, '../database/recipe-ingredients-product-migration.sql');
+    const migrationPath = path.join(__dirname, '../database/migrations/003_recipe_ingredients_product_reference.up.sql');
     expect(fs.existsSync(migrationPath)).toBe(true);
     
     const stats = fs.statSync(migrationPath);
@@ -16,32 +16,24 @@ describe('Migration Validation', () => {
     expect(stats.size).toBeGreaterThan(0);
   });
 
-  it('should validate that updated schema exists and contains product references', () => {
-    const schemaPath = path.join(__dirname, '../database/schema-updated.sql');
-    expect(fs.existsSync(schemaPath)).toBe(true);
-    
-    const schemaContent = fs.readFileSync(schemaPath, 'utf8');
-    
-    // Check that recipe_ingredients table has product_id and NOT NULL constraint
-    expect(schemaContent).toContain('product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT');
-    
-    // Check that recipe_ingredients table does NOT have name column
-    const recipeIngredientsTableMatch = schemaContent.match(/CREATE TABLE IF NOT EXISTS recipe_ingredients \([^)]+\)/s);
-    expect(recipeIngredientsTableMatch).toBeTruthy();
-    expect(recipeIngredientsTableMatch[0]).not.toContain('name VARCHAR');
-    
-    // Check that products table is created before recipe_ingredients
-    const productsIndex = schemaContent.indexOf('CREATE TABLE IF NOT EXISTS products');
-    const recipeIngredientsIndex = schemaContent.indexOf('CREATE TABLE IF NOT EXISTS recipe_ingredients');
-    expect(productsIndex).toBeLessThan(recipeIngredientsIndex);
-    
+  it('should validate that seed data references products instead of ingredient names', () => {
+    const migrationsDir = path.join(__dirname, '../database/migrations');
+    const seedPath = path.join(__dirname, '../database/seed-data.sql');
+    expect(fs.existsSync(seedPath)).toBe(true);
+
+    // Check that products are created by an earlier migration than the product reference
+    const productsMigration = fs.readFileSync(path.join(migrationsDir, '002_inventory.up.sql'), 'utf8');
+    expect(productsMigration).toContain('CREATE TABLE IF NOT EXISTS products');
+
+    const seedContent = fs.readFileSync(seedPath, 'utf8');
+
     // Check that sample data uses product_id instead of name
-    expect(schemaContent).toContain('INSERT INTO recipe_ingredients (recipe_id, product_id');
-    expect(schemaContent).not.toContain('INSERT INTO recipe_ingredients (recipe_id, name');
+    expect(seedContent).toContain('INSERT INTO recipe_ingredients (recipe_id, product_id');
+    expect(seedContent).not.toContain('INSERT INTO recipe_ingredients (recipe_id, name');
   });
 
   it('should validate that migration preserves data integrity', () => {
-    const migrationPath = path.join(__dirname, '../database/recipe-ingredients-product-migration.sql');
+    const migrationPath = path.join(__dirname, '../database/migrations/003_recipe_ingredients_product_reference.up.sql');
     const migrationScript = fs.readFileSync(migrationPath, 'utf8');
     
     // Check that migration updates existing data before adding constraints
@@ -62,7 +54,7 @@ describe('Migration Validation', () => {
   });
 
   it('should validate that foreign key constraint prevents product deletion', () => {
-    const migrationPath = path.join(__dirname, '../database/recipe-ingredients-product-migration.sql');
+    const migrationPath = path.join(__dirname, '../database/migrations/003_recipe_ingredients_product_reference.up.sql');
     const migrationScript = fs.readFileSync(migrationPath, 'utf8');
     
     // Check that the foreign key uses ON DELETE RESTRICT
@@ -73,7 +65,7 @@ describe('Migration Validation', () => {
   });
 
   it('should validate that indexes are properly created', () => {
-    const migrationPath = path.join(__dirname, '../database/recipe-ingredients-product-migration.sql');
+    const migrationPath = path.join(__dirname, '../database/migrations/003_recipe_ingredients_product_reference.up.sql');
     const migrationScript = fs.readFileSync(migrationPath, 'utf8');
     
     // Check that index is created on product_id
@@ -81,13 +73,13 @@ describe('Migration Validation', () => {
   });
 
   it('should validate that cleanup is performed', () => {
-    const migrationPath = path.join(__dirname, '../database/recipe-ingredients-product-migration.sql');
+    const migrationPath = path.join(__dirname, '../database/migrations/003_recipe_ingredients_product_reference.up.sql');
     const migrationScript = fs.readFileSync(migrationPath, 'utf8');
     
     // Check that the linking table is dropped
     expect(migrationScript).toContain('DROP TABLE IF EXISTS recipe_ingredient_products');
     
     // Check that the name column is dropped
-    expect(migrationScript).toContain('DROP COLUMN name');
+    expect(migrationScript).toContain('DROP COLUMN IF EXISTS name');
   });
 });
\ No newline at end of file
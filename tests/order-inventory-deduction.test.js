@@ -0,0 +1,197 @@
+/**
+ * Tests for exactly-once order inventory deduction
+ * Covers OrderInventoryService.deductOrderInventory against a fake client, the status route deducting
+ * inside its own transaction and the process-inventory and reconciliation endpoints
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { OrderInventoryService } from '../utils/order-inventory-service.js';
+import { createFakeClient } from './helpers/fake-client.js';
+const OrderInventoryServiceCjs = require('../utils/order-inventory-service-cjs.js');
+const { pool } = require('../utils/db-connection');
+
+const flour = {
+  product_id: 3,
+  product_name: 'Flour',
+  ingredient_name: 'Flour',
+  unit_of_measure: 'kg',
+  current_quantity: 10,
+  total_quantity_needed: 0.5
+};
+
+/**
+ * Stub one bread order item needing 0.5 kg of flour
+ */
+function stubIngredients(current_quantity = 10) {
+  vi.spyOn(OrderInventoryService, 'getOrderItems').mockResolvedValue([{ id: 6, menu_item_id: 2, quantity: 1 }]);
+  vi.spyOn(OrderInventoryService, 'calculateOrderIngredientQuantities').mockResolvedValue([{ ...flour, current_quantity }]);
+}
+
+describe('OrderInventoryService.deductOrderInventory', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should record the deduction with its sale transactions', async () => {
+    stubIngredients();
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4 }]],
+      ['INSERT INTO order_inventory_deductions', [{ id: 9, order_id: 4, transaction_count: 0 }]],
+      ['INSERT INTO inventory_transactions', (params) => [{ id: 30, product_id: params[0], quantity_change: params[2], deduction_id: params[6] }]],
+      ['UPDATE products', [{ id: 3, name: 'Flour', current_quantity: '9.500', low_stock_threshold: 2 }]],
+      ['UPDATE order_inventory_deductions', (params) => [{ id: 9, order_id: 4, transaction_count: params[0] }]]
+    ]);
+
+    const result = await OrderInventoryService.deductOrderInventory(client, 4, { user: { id: 2 } });
+
+    expect(result.success).toBe(true);
+    expect(result.already_processed).toBe(false);
+    expect(result.deduction).toEqual({ id: 9, order_id: 4, transaction_count: 1 });
+    expect(result.transactions).toEqual([{ id: 30, product_id: 3, quantity_change: -0.5, deduction_id: 9 }]);
+    const recordInsert = client.queries.find(q => q.sql.includes('INSERT INTO order_inventory_deductions'));
+    expect(recordInsert.params).toEqual([4, 2]);
+  });
+
+  it('should skip an ingredient too small to register in stock', async () => {
+    vi.spyOn(OrderInventoryService, 'getOrderItems').mockResolvedValue([{ id: 6, menu_item_id: 2, quantity: 1 }]);
+    vi.spyOn(OrderInventoryService, 'calculateOrderIngredientQuantities').mockResolvedValue([
+      flour,
+      // A pinch of salt is 0.0003 kg, 0.000 at the three decimal places stock is kept to
+      { ...flour, product_id: 5, product_name: 'Salt', ingredient_name: 'Salt', total_quantity_needed: 0.0003 }
+    ]);
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4 }]],
+      ['INSERT INTO order_inventory_deductions', [{ id: 9, order_id: 4, transaction_count: 0 }]],
+      ['INSERT INTO inventory_transactions', (params) => [{ id: 30, product_id: params[0], quantity_change: params[2], deduction_id: params[6] }]],
+      ['UPDATE products', [{ id: 3, name: 'Flour', current_quantity: '9.500', low_stock_threshold: 2 }]],
+      ['UPDATE order_inventory_deductions', (params) => [{ id: 9, order_id: 4, transaction_count: params[0] }]]
+    ]);
+
+    const result = await OrderInventoryService.deductOrderInventory(client, 4);
+
+    expect(result.transactions).toEqual([{ id: 30, product_id: 3, quantity_change: -0.5, deduction_id: 9 }]);
+    expect(result.deduction.transaction_count).toBe(1);
+    expect(client.queries.filter(q => q.sql.includes('UPDATE products'))).toHaveLength(1);
+  });
+
+  it('should return the existing deduction instead of deducting again', async () => {
+    stubIngredients();
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4 }]],
+      ['FROM order_inventory_deductions WHERE order_id', [{ id: 9, order_id: 4, transaction_count: 1 }]],
+      ['FROM inventory_transactions WHERE deduction_id', [{ id: 30, deduction_id: 9 }]]
+    ]);
+
+    const result = await OrderInventoryService.deductOrderInventory(client, 4);
+
+    expect(result).toMatchObject({ success: true, already_processed: true, transactions: [{ id: 30 }] });
+    expect(client.queries.some(q => q.sql.includes('INSERT'))).toBe(false);
+    expect(client.queries.some(q => q.sql.includes('UPDATE products'))).toBe(false);
+  });
+
+  it('should write nothing when inventory is insufficient', async () => {
+    stubIngredients(0.2);
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4 }]]
+    ]);
+
+    const result = await OrderInventoryService.deductOrderInventory(client, 4);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0].type).toBe('insufficient_inventory');
+    expect(result.errors[0].details[0]).toMatchObject({ product_id: 3, shortage: 0.3 });
+    expect(client.queries.some(q => q.sql.includes('INSERT'))).toBe(false);
+  });
+
+  it('should report a missing order', async () => {
+    const client = createFakeClient();
+
+    const result = await OrderInventoryService.deductOrderInventory(client, 99);
+
+    expect(result.errors[0].type).toBe('order_not_found');
+  });
+});
+
+describe('Order inventory API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Fake connection for the status route with order 4 ready to be served
+   */
+  function connectReadyOrder() {
+    const client = createFakeClient([
+      ['FOR UPDATE', [{ id: 4, status: 'ready' }]],
+      ['UPDATE orders SET status', [{ id: 4, status: 'served' }]]
+    ]);
+    vi.spyOn(pool, 'connect').mockResolvedValue(client);
+    return client;
+  }
+
+  it('should deduct inventory in the same transaction as serving the order', async () => {
+    const client = connectReadyOrder();
+    const deduct = vi.spyOn(OrderInventoryServiceCjs, 'deductOrderInventory').mockResolvedValue({
+      success: true,
+      transactions: [{ id: 30 }]
+    });
+
+    const response = await request(app).put('/api/orders/4/status').send({ status: 'served' });
+
+    expect(response.status).toBe(200);
+    expect(deduct).toHaveBeenCalledWith(client, 4, { user: null });
+    const statements = client.queries.map(q => q.sql);
+    expect(statements.indexOf('COMMIT')).toBeGreaterThan(statements.findIndex(sql => sql.includes('UPDATE orders')));
+  });
+
+  it('should not serve the order when inventory is insufficient', async () => {
+    const client = connectReadyOrder();
+    vi.spyOn(OrderInventoryServiceCjs, 'deductOrderInventory').mockResolvedValue({
+      success: false,
+      errors: [{ type: 'insufficient_inventory', details: [{ product_id: 3, shortage: 0.3 }] }]
+    });
+
+    const response = await request(app).put('/api/orders/4/status').send({ status: 'served' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([{ product_id: 3, shortage: 0.3 }]);
+    expect(client.queries.map(q => q.sql)).toContain('ROLLBACK');
+    expect(client.queries.map(q => q.sql)).not.toContain('COMMIT');
+  });
+
+  it('should report a repeated manual deduction as already processed', async () => {
+    vi.spyOn(OrderInventoryServiceCjs, 'processExistingOrderInventoryUpdate').mockResolvedValue({
+      success: true,
+      already_processed: true,
+      deduction: { id: 9, order_id: 4 },
+      transactions: [{ id: 30 }],
+      message: 'Inventory for order #4 was already deducted'
+    });
+
+    const response = await request(app).post('/api/orders/4/process-inventory').send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ alreadyProcessed: true, transactionCount: 1, deduction: { id: 9 } });
+  });
+
+  it('should list orders with missing or duplicated deductions', async () => {
+    vi.spyOn(OrderInventoryServiceCjs, 'reconcileOrderDeductions').mockResolvedValue({
+      missing: [{ order_id: 5, status: 'paid' }],
+      duplicated: [{ order_id: 1, deduction_id: 1, extra_transaction_count: 3 }]
+    });
+
+    const response = await request(app).get('/api/orders/inventory-reconciliation');
+
+    expect(response.status).toBe(200);
+    expect(response.body.issue_count).toBe(2);
+    expect(response.body.missing[0].order_id).toBe(5);
+  });
+});
@@ -23,7 +23,6 @@ describe('Order-Inventory Integration', () => {
     await DatabaseUtils.query('DELETE FROM order_items WHERE order_id IN (SELECT id FROM orders WHERE customer_name LIKE $1)', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM orders WHERE customer_name LIKE $1', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM menu_items WHERE name LIKE $1', ['Test Integration%']);
-    await DatabaseUtils.query('DELETE FROM recipe_ingredient_products WHERE product_id IN (SELECT id FROM products WHERE name LIKE $1)', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM recipe_ingredients WHERE recipe_id IN (SELECT id FROM recipes WHERE name LIKE $1)', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Integration%']);
@@ -51,29 +50,16 @@ describe('Order-Inventory Integration', () => {
 
     testProductIds = [product1Result.rows[0].id, product2Result.rows[0].id];
 
-    // Create test recipe ingredients
-    const ingredient1Result = await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredients (recipe_id, name, quantity, unit, order_index)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id
-    `, [testRecipeId, 'Flour', 2.0, 'kg', 1]);
-
-    const ingredient2Result = await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredients (recipe_id, name, quantity, unit, order_index)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id
-    `, [testRecipeId, 'Cheese', 0.8, 'kg', 2]);
-
-    // Create recipe ingredient product links
+    // Create test recipe ingredients (quantities are per recipe; the recipe serves 4)
     await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-      VALUES ($1, $2, $3)
-    `, [ingredient1Result.rows[0].id, testProductIds[0], 0.5]); // 2kg / 4 servings = 0.5kg per serving
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [testRecipeId, testProductIds[0], 2.0, 'kg', 1]);
 
     await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-      VALUES ($1, $2, $3)
-    `, [ingredient2Result.rows[0].id, testProductIds[1], 0.2]); // 0.8kg / 4 servings = 0.2kg per serving
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [testRecipeId, testProductIds[1], 0.8, 'kg', 2]);
 
     // Create test menu item
     const menuItemResult = await DatabaseUtils.query(`
@@ -83,12 +69,12 @@ describe('Order-Inventory Integration', () => {
     `, [testRecipeId, 'Test Integration Pizza', 'Test pizza menu item for integration', 18.99, 'Pizza']);
     testMenuItemId = menuItemResult.rows[0].id;
 
-    // Create test order
+    // Create test order, ready to be served
     const orderResult = await DatabaseUtils.query(`
       INSERT INTO orders (customer_name, status, total)
       VALUES ($1, $2, $3)
       RETURNING id
-    `, ['Test Integration Customer', 'pending', 0]);
+    `, ['Test Integration Customer', 'ready', 0]);
     testOrderId = orderResult.rows[0].id;
 
     // Add order items
@@ -104,7 +90,6 @@ describe('Order-Inventory Integration', () => {
     await DatabaseUtils.query('DELETE FROM order_items WHERE order_id IN (SELECT id FROM orders WHERE customer_name LIKE $1)', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM orders WHERE customer_name LIKE $1', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM menu_items WHERE name LIKE $1', ['Test Integration%']);
-    await DatabaseUtils.query('DELETE FROM recipe_ingredient_products WHERE product_id IN (SELECT id FROM products WHERE name LIKE $1)', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM recipe_ingredients WHERE recipe_id IN (SELECT id FROM recipes WHERE name LIKE $1)', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Integration%']);
     await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Integration%']);
@@ -134,17 +119,17 @@ describe('Order-Inventory Integration', () => {
       expect(transactions.rows).toHaveLength(2);
     });
 
-    it('should automatically update inventory when order status changes to paid', async () => {
+    it('should refuse to mark an order paid before it is served', async () => {
       const response = await request(app)
         .put(`/api/orders/${testOrderId}/status`)
         .send({ status: 'paid' })
-        .expect(200);
+        .expect(409);
 
-      expect(response.body.status).toBe('paid');
+      expect(response.body.error).toBe('Cannot change an order from ready to paid; it can move to preparing, served, cancelled');
 
-      // Verify inventory was deducted
+      // Verify inventory was not deducted
       const flourProduct = await DatabaseUtils.query('SELECT current_quantity FROM products WHERE id = $1', [testProductIds[0]]);
-      expect(parseFloat(flourProduct.rows[0].current_quantity)).toBe(99.0); // 100 - (0.5 * 2 pizzas)
+      expect(parseFloat(flourProduct.rows[0].current_quantity)).toBe(100.0);
     });
 
     it('should not update inventory twice if order status changes from served to paid', async () => {
@@ -189,7 +174,7 @@ describe('Order-Inventory Integration', () => {
 
       // Verify order status was not changed
       const orderResult = await DatabaseUtils.query('SELECT status FROM orders WHERE id = $1', [testOrderId]);
-      expect(orderResult.rows[0].status).toBe('pending');
+      expect(orderResult.rows[0].status).toBe('ready');
 
       // Verify no inventory transactions were created
       const transactions = await DatabaseUtils.query(
@@ -16,7 +16,6 @@ describe('OrderInventoryService', () => {
     await DatabaseUtils.query('DELETE FROM order_items WHERE order_id IN (SELECT id FROM orders WHERE customer_name LIKE $1)', ['Test Customer%']);
     await DatabaseUtils.query('DELETE FROM orders WHERE customer_name LIKE $1', ['Test Customer%']);
     await DatabaseUtils.query('DELETE FROM menu_items WHERE name LIKE $1', ['Test Menu%']);
-    await DatabaseUtils.query('DELETE FROM recipe_ingredient_products WHERE product_id IN (SELECT id FROM products WHERE name LIKE $1)', ['Test Product%']);
     await DatabaseUtils.query('DELETE FROM recipe_ingredients WHERE recipe_id IN (SELECT id FROM recipes WHERE name LIKE $1)', ['Test Recipe%']);
     await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Recipe%']);
     await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Product%']);
@@ -44,29 +43,16 @@ describe('OrderInventoryService', () => {
 
     testProductIds = [product1Result.rows[0].id, product2Result.rows[0].id];
 
-    // Create test recipe ingredients
-    const ingredient1Result = await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredients (recipe_id, name, quantity, unit, order_index)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id
-    `, [testRecipeId, 'Flour', 0.5, 'kg', 1]);
-
-    const ingredient2Result = await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredients (recipe_id, name, quantity, unit, order_index)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id
-    `, [testRecipeId, 'Cheese', 0.2, 'kg', 2]);
-
-    // Create recipe ingredient product links
+    // Create test recipe ingredients (quantities are per recipe; the recipe serves 4)
     await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-      VALUES ($1, $2, $3)
-    `, [ingredient1Result.rows[0].id, testProductIds[0], 0.125]); // 0.5kg / 4 servings = 0.125kg per serving
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [testRecipeId, testProductIds[0], 0.5, 'kg', 1]);
 
     await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-      VALUES ($1, $2, $3)
-    `, [ingredient2Result.rows[0].id, testProductIds[1], 0.05]); // 0.2kg / 4 servings = 0.05kg per serving
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [testRecipeId, testProductIds[1], 0.2, 'kg', 2]);
 
     // Create test menu item
     const menuItemResult = await DatabaseUtils.query(`
@@ -91,7 +77,6 @@ describe('OrderInventoryService', () => {
     await DatabaseUtils.query('DELETE FROM order_items WHERE order_id IN (SELECT id FROM orders WHERE customer_name LIKE $1)', ['Test Customer%']);
     await DatabaseUtils.query('DELETE FROM orders WHERE customer_name LIKE $1', ['Test Customer%']);
     await DatabaseUtils.query('DELETE FROM menu_items WHERE name LIKE $1', ['Test Menu%']);
-    await DatabaseUtils.query('DELETE FROM recipe_ingredient_products WHERE product_id IN (SELECT id FROM products WHERE name LIKE $1)', ['Test Product%']);
     await DatabaseUtils.query('DELETE FROM recipe_ingredients WHERE recipe_id IN (SELECT id FROM recipes WHERE name LIKE $1)', ['Test Recipe%']);
     await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Recipe%']);
     await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Product%']);
@@ -168,6 +153,30 @@ describe('OrderInventoryService', () => {
       expect(result).toHaveLength(2);
       expect(result.every(r => r.product_name.includes('Test Product'))).toBe(true);
     });
+
+    it('should apply ingredient changes from modifiers', async () => {
+      const groupResult = await DatabaseUtils.query(`
+        INSERT INTO modifier_groups (menu_item_id, name) VALUES ($1, $2) RETURNING id
+      `, [testMenuItemId, 'Cheese']);
+      const modifierResult = await DatabaseUtils.query(`
+        INSERT INTO modifiers (group_id, name, price_delta) VALUES ($1, $2, $3) RETURNING id
+      `, [groupResult.rows[0].id, 'No cheese', -1.00]);
+      await DatabaseUtils.query(`
+        INSERT INTO modifier_ingredients (modifier_id, product_id, action) VALUES ($1, $2, $3)
+      `, [modifierResult.rows[0].id, testProductIds[1], 'remove']);
+
+      const orderItems = [
+        { menu_item_id: testMenuItemId, quantity: 2, modifier_ids: [modifierResult.rows[0].id] },
+        { menu_item_id: testMenuItemId, quantity: 1 }
+      ];
+
+      const result = await OrderInventoryService.calculateOrderIngredientQuantities(orderItems);
+
+      const flourIngredient = result.find(r => r.product_name === 'Test Product Flour');
+      expect(flourIngredient.total_quantity_needed).toBe(0.375); // 0.125 * 3 pizzas
+      const cheeseIngredient = result.find(r => r.product_name === 'Test Product Cheese');
+      expect(cheeseIngredient.total_quantity_needed).toBe(0.05); // only the pizza without the modifier
+    });
   });
 
   describe('checkInventoryAvailability', () => {
@@ -0,0 +1,330 @@
+/**
+ * Tests for order pricing
+ * Covers the totals calculation, tax and service charge selection, happy hour windows, validation,
+ * PricingQueries against a fake client and the API's validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const {
+  calculateOrderTotals,
+  selectTaxRate,
+  selectServiceChargeRate,
+  isWithinDiscountWindow,
+  validateTaxRate,
+  validateDiscount,
+  validateOrderDiscount
+} = require('../models/Pricing');
+const { PricingQueries } = require('../utils/pricing-database');
+
+describe('calculateOrderTotals', () => {
+  const items = [
+    { id: 1, unit_price: '16.99', quantity: 2, tax_rate: '0.0800' },
+    { id: 2, unit_price: '4.99', quantity: 1, tax_rate: '0.1000' }
+  ];
+
+  it('should tax each line at its own rate', () => {
+    const totals = calculateOrderTotals({ items });
+
+    expect(totals).toMatchObject({
+      subtotal: 38.97,
+      discount_total: 0,
+      service_charge_total: 0,
+      tax_total: 3.22, // 2.72 + 0.50
+      total: 42.19
+    });
+  });
+
+  it('should take item discounts off their line before order discounts', () => {
+    const totals = calculateOrderTotals({
+      items,
+      discounts: [
+        { id: 7, order_item_id: 2, discount_type: 'percentage', value: '50' },
+        { id: 8, order_item_id: null, discount_type: 'fixed', value: '5.00' }
+      ]
+    });
+
+    expect(totals.discounts).toEqual([{ id: 7, amount: 2.5 }, { id: 8, amount: 5 }]);
+    expect(totals.discount_total).toBe(7.5);
+    const lineDiscounts = totals.items.map(item => item.discount_amount);
+    expect(Math.round((lineDiscounts[0] + lineDiscounts[1]) * 100)).toBe(750);
+    expect(totals.total).toBe(
+      Math.round((totals.subtotal - totals.discount_total + totals.tax_total) * 100) / 100
+    );
+  });
+
+  it('should never discount a line below zero', () => {
+    const totals = calculateOrderTotals({
+      items: [{ id: 1, unit_price: '4.00', quantity: 1, tax_rate: '0.08' }],
+      discounts: [{ id: 1, order_item_id: 1, discount_type: 'fixed', value: '10.00' }]
+    });
+
+    expect(totals.discounts[0].amount).toBe(4);
+    expect(totals.total).toBe(0);
+  });
+
+  it('should treat a 100% comp as taking everything off, tax included', () => {
+    const totals = calculateOrderTotals({
+      items,
+      discounts: [{ id: 1, order_item_id: null, discount_type: 'percentage', value: '100' }],
+      service_charge_rate: '0.18'
+    });
+
+    expect(totals.total).toBe(0);
+  });
+
+  it('should add the service charge on the discounted subtotal without taxing it', () => {
+    const totals = calculateOrderTotals({
+      items: [{ id: 1, unit_price: '100.00', quantity: 1, tax_rate: '0.08' }],
+      discounts: [{ id: 1, order_item_id: null, discount_type: 'percentage', value: '10' }],
+      service_charge_rate: '0.18'
+    });
+
+    expect(totals).toMatchObject({ discount_total: 10, service_charge_total: 16.2, tax_total: 7.2, total: 113.4 });
+  });
+
+  it('should give the same result every time', () => {
+    const input = {
+      items,
+      discounts: [{ id: 3, order_item_id: null, discount_type: 'percentage', value: '15' }],
+      service_charge_rate: '0.18'
+    };
+
+    expect(calculateOrderTotals(input)).toEqual(calculateOrderTotals(input));
+  });
+});
+
+describe('Rate selection', () => {
+  const taxRates = [
+    { rate: '0.0800', menu_category: null, recipe_category: null },
+    { rate: '0.1000', menu_category: null, recipe_category: 'drink' },
+    { rate: '0.0500', menu_category: 'Desserts', recipe_category: null }
+  ];
+
+  it('should prefer the menu category, then the recipe category, then the default', () => {
+    expect(selectTaxRate(taxRates, { category: 'Desserts', recipe_category: 'food' })).toBe(0.05);
+    expect(selectTaxRate(taxRates, { category: 'Beverages', recipe_category: 'drink' })).toBe(0.1);
+    expect(selectTaxRate(taxRates, { category: 'Pizza', recipe_category: 'food' })).toBe(0.08);
+    expect(selectTaxRate([], { category: 'Pizza' })).toBe(0);
+  });
+
+  it('should use the largest service charge rule the party reaches', () => {
+    const rules = [{ rate: '0.18', min_guests: 6 }, { rate: '0.20', min_guests: 10 }];
+
+    expect(selectServiceChargeRate(rules, 4)).toBe(0);
+    expect(selectServiceChargeRate(rules, 8)).toBe(0.18);
+    expect(selectServiceChargeRate(rules, 12)).toBe(0.2);
+    expect(selectServiceChargeRate(rules, null)).toBe(0);
+  });
+});
+
+describe('isWithinDiscountWindow', () => {
+  // 2026-01-14 is a Wednesday
+  const at = (time, day = 14) => new Date(`2026-01-${day}T${time}:00`);
+
+  it('should match times inside the window on listed days', () => {
+    const happyHour = { starts_at: '16:00:00', ends_at: '18:00:00', days_of_week: [1, 2, 3, 4, 5] };
+
+    expect(isWithinDiscountWindow(happyHour, at('16:30'))).toBe(true);
+    expect(isWithinDiscountWindow(happyHour, at('18:00'))).toBe(false);
+    expect(isWithinDiscountWindow(happyHour, at('16:30', 17))).toBe(false); // Saturday
+  });
+
+  it('should handle windows that run past midnight', () => {
+    const lateNight = { starts_at: '22:00', ends_at: '02:00', days_of_week: [5] }; // Friday night
+
+    expect(isWithinDiscountWindow(lateNight, at('23:00', 16))).toBe(true); // Friday
+    expect(isWithinDiscountWindow(lateNight, at('01:00', 17))).toBe(true); // early Saturday
+    expect(isWithinDiscountWindow(lateNight, at('01:00', 16))).toBe(false); // early Friday
+  });
+
+  it('should always match discounts without a window', () => {
+    expect(isWithinDiscountWindow({ starts_at: null }, at('03:00'))).toBe(true);
+  });
+});
+
+describe('Pricing validation', () => {
+  it('should reject a tax rate written as a percentage', () => {
+    expect(validateTaxRate({ name: 'Sales tax', rate: 8 }).errors[0].field).toBe('rate');
+  });
+
+  it('should not let a tax rate cover both kinds of category', () => {
+    const result = validateTaxRate({ name: 'Mixed', rate: 0.1, menu_category: 'Beverages', recipe_category: 'drink' });
+
+    expect(result.errors[0].field).toBe('menu_category');
+  });
+
+  it('should require both ends of a happy hour and item scope for category discounts', () => {
+    const result = validateDiscount({
+      name: 'Happy hour',
+      discount_type: 'percentage',
+      value: 50,
+      menu_category: 'Beverages',
+      starts_at: '16:00'
+    });
+
+    expect(result.errors.map(e => e.field)).toEqual(['scope', 'ends_at']);
+  });
+
+  it('should require a reason for comps and ad-hoc discounts but not configured ones', () => {
+    expect(validateOrderDiscount({ comp: true }).errors).toEqual([
+      { field: 'reason', message: 'Reason is required for comps and ad-hoc discounts' }
+    ]);
+    expect(validateOrderDiscount({ discount_type: 'percentage', value: 120, reason: 'x' }).errors[0].field).toBe('value');
+    expect(validateOrderDiscount({ discount_id: 2 }).isValid).toBe(true);
+  });
+});
+
+describe('PricingQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should store every total and line amount when recalculating', async () => {
+    const client = createFakeClient([
+      ['SELECT service_charge_rate FROM orders', [{ service_charge_rate: '0.1800' }]],
+      ['SELECT id, unit_price, quantity, tax_rate FROM order_items', [
+        { id: 1, unit_price: '100.00', quantity: 1, tax_rate: '0.0800' }
+      ]],
+      ['FROM order_discounts WHERE order_id', [
+        { id: 5, order_item_id: null, discount_type: 'percentage', value: '10.00' }
+      ]]
+    ], { transaction: true });
+
+    await PricingQueries.recalculateOrder(client, 4);
+
+    const params = sql => client.queries.filter(q => q.sql.includes(sql)).map(q => q.params);
+    expect(params('SET unit_price = mi.price')).toEqual([[4]]);
+    expect(params('SET discount_amount = $1, tax_amount = $2')).toEqual([[10, 7.2, 1]]);
+    expect(params('UPDATE order_discounts SET amount')).toEqual([[10, 5]]);
+    expect(params('SET subtotal = $1')).toEqual([[100, 10, 16.2, 7.2, 113.4, 4]]);
+  });
+
+  it('should apply happy hour discounts only to matching items inside the window', async () => {
+    const client = createFakeClient([
+      ['FROM discounts WHERE active AND starts_at IS NOT NULL', [
+        { id: 1, name: 'Happy hour drinks', discount_type: 'percentage', value: '50', scope: 'item',
+          menu_category: 'Beverages', starts_at: '16:00:00', ends_at: '18:00:00', days_of_week: null },
+        { id: 2, name: 'Brunch', discount_type: 'fixed', value: '5', scope: 'order',
+          starts_at: '10:00:00', ends_at: '12:00:00', days_of_week: null }
+      ]],
+      ['FROM order_items oi', [
+        { id: 10, menu_item_id: 1, category: 'Pizza' },
+        { id: 11, menu_item_id: 2, category: 'Beverages' }
+      ]]
+    ], { transaction: true });
+
+    const applied = await PricingQueries.applyAutomaticDiscounts(client, 4, new Date('2026-01-14T17:00:00'));
+
+    expect(applied).toBe(1);
+    const insert = client.queries.find(q => q.sql.includes('INSERT INTO order_discounts'));
+    expect(insert.params.slice(0, 6)).toEqual([4, 11, 1, 'Happy hour drinks', 'percentage', '50']);
+  });
+
+  it('should not change discounts on a paid, cancelled or voided order', async () => {
+    for (const status of ['paid', 'cancelled', 'voided']) {
+      createFakeClient([
+        ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status }]]
+      ], { transaction: true });
+
+      await expect(PricingQueries.addOrderDiscount(4, { comp: true, reason: 'Birthday' }, null)).rejects.toMatchObject({
+        status: 409,
+        message: `Order 4 is ${status}; its discounts can no longer change`
+      });
+      await expect(PricingQueries.removeOrderDiscount(4, 1)).rejects.toMatchObject({ status: 409 });
+    }
+  });
+
+  it('should refuse a happy hour discount outside its window', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served', created_at: new Date('2026-01-14T20:00:00') }]],
+      ['FROM discounts WHERE id = $1 AND active', [
+        { id: 1, name: 'Happy hour', discount_type: 'percentage', value: '50', scope: 'order',
+          starts_at: '16:00:00', ends_at: '18:00:00', days_of_week: null }
+      ]]
+    ], { transaction: true });
+
+    await expect(PricingQueries.addOrderDiscount(4, { discount_id: 1 }, null)).rejects.toMatchObject({
+      status: 409,
+      message: 'Happy hour only applies to orders placed during its happy hour'
+    });
+  });
+
+  it('should record a comp with its reason and who applied it', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served', created_at: new Date() }]],
+      ['FROM order_items oi', [{ id: 10, menu_item_id: 1, category: 'Pizza', name: 'Pizza' }]],
+      ['INSERT INTO order_discounts', params => [{ id: 3, order_item_id: params[1], is_comp: params[6], name: params[3] }]],
+      ['FROM orders\n      WHERE id = $1', [{ id: 4, status: 'served', subtotal: '0', discount_total: '0',
+        service_charge_rate: '0', service_charge_total: '0', tax_total: '0', total: '0' }]]
+    ], { transaction: true });
+
+    const result = await PricingQueries.addOrderDiscount(4, { comp: true, order_item_id: 10, reason: 'Burnt' }, { id: 2 });
+
+    const insert = client.queries.find(q => q.sql.includes('INSERT INTO order_discounts'));
+    expect(insert.params).toEqual([4, 10, null, 'Comp', 'percentage', 100, true, 'Burnt', 2]);
+    expect(result.discount.is_comp).toBe(true);
+  });
+
+  it('should reject an item that is not on the order', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served' }]],
+      ['FROM order_items oi', [{ id: 10, menu_item_id: 1, category: 'Pizza' }]]
+    ], { transaction: true });
+
+    await expect(PricingQueries.addOrderDiscount(4, { comp: true, order_item_id: 99, reason: 'x' }, null))
+      .rejects.toMatchObject({ type: 'validation' });
+  });
+});
+
+describe('Pricing API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return 422 for a comp without a reason', async () => {
+    const response = await request(app)
+      .post('/api/orders/4/pricing/discounts')
+      .send({ comp: true });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('reason');
+  });
+
+  it('should return 422 for an invalid tax rate', async () => {
+    const response = await request(app)
+      .post('/api/pricing/tax-rates')
+      .send({ name: 'Sales tax', rate: 8.25 });
+
+    expect(response.status).toBe(422);
+  });
+
+  it('should return 404 for pricing on a missing order', async () => {
+    vi.spyOn(PricingQueries, 'getOrderPricing').mockResolvedValue(null);
+
+    const response = await request(app).get('/api/orders/999/pricing');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return 409 when a second active rate covers the same category', async () => {
+    const { createConflictError } = require('../middleware/errorHandler');
+    vi.spyOn(PricingQueries, 'createTaxRate').mockRejectedValue(
+      createConflictError("Active tax rate 'Sales tax' already covers this category")
+    );
+
+    const response = await request(app)
+      .post('/api/pricing/tax-rates')
+      .send({ name: 'Another tax', rate: 0.07 });
+
+    expect(response.status).toBe(409);
+  });
+});
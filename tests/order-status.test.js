@@ -0,0 +1,142 @@
+/**
+ * Tests for the order status state machine
+ * Covers allowed transitions, OrderStatusQueries against a fake client and the order status API responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { canTransition, validateOrderStatus, getTransitionError, FINAL_ORDER_STATUSES } = require('../models/Order');
+const { OrderStatusQueries } = require('../utils/order-status-database');
+const { EventBus } = require('../utils/event-bus');
+const { pool } = require('../utils/db-connection');
+
+describe('Order state machine', () => {
+  it('should allow the normal flow', () => {
+    expect(canTransition('pending', 'preparing')).toBe(true);
+    expect(canTransition('preparing', 'ready')).toBe(true);
+    expect(canTransition('ready', 'served')).toBe(true);
+    expect(canTransition('served', 'paid')).toBe(true);
+  });
+
+  it('should allow kitchen bumps and recalls', () => {
+    expect(canTransition('pending', 'ready')).toBe(true);
+    expect(canTransition('ready', 'preparing')).toBe(true);
+  });
+
+  it('should only cancel orders that have not been served', () => {
+    expect(canTransition('preparing', 'cancelled')).toBe(true);
+    expect(canTransition('served', 'cancelled')).toBe(false);
+    expect(canTransition('served', 'voided')).toBe(true);
+    expect(canTransition('pending', 'voided')).toBe(false);
+  });
+
+  it('should refuse skipping steps and leaving final statuses', () => {
+    expect(canTransition('pending', 'paid')).toBe(false);
+    expect(canTransition('preparing', 'served')).toBe(false);
+    expect(FINAL_ORDER_STATUSES).toEqual(['paid', 'cancelled', 'voided']);
+    expect(getTransitionError('paid', 'pending')).toBe('Cannot change an order from paid to pending; paid orders are final');
+  });
+
+  it('should explain where an order can go instead', () => {
+    expect(getTransitionError('pending', 'served'))
+      .toBe('Cannot change an order from pending to served; it can move to preparing, ready, cancelled');
+    expect(getTransitionError('pending', 'preparing')).toBeNull();
+  });
+
+  it('should validate the requested status', () => {
+    expect(validateOrderStatus('voided')).toEqual([]);
+    expect(validateOrderStatus('done')[0].field).toBe('status');
+    expect(validateOrderStatus(undefined)).toHaveLength(1);
+  });
+});
+
+describe('OrderStatusQueries.changeStatus', () => {
+  it('should update the order, record the change and publish once committed', async () => {
+    const events = [];
+    const unsubscribe = EventBus.subscribe(event => events.push(event));
+    const client = createFakeClient([
+      ['UPDATE orders', [{ id: 5, status: 'preparing' }]]
+    ]);
+
+    const order = await OrderStatusQueries.changeStatus(client, { id: 5, status: 'pending' }, 'preparing', { id: 2 });
+    expect(events).toHaveLength(0);
+    EventBus.commit(client);
+    unsubscribe();
+
+    expect(order).toEqual({ id: 5, status: 'preparing' });
+    expect(client.queries[0].params).toEqual(['preparing', 5]);
+    expect(client.queries[1].sql).toContain('INSERT INTO order_status_history');
+    expect(client.queries[1].params).toEqual([5, 'pending', 'preparing', 2]);
+    expect(events.map(e => e.data)).toEqual([{ order_id: 5, status: 'preparing', previous_status: 'pending' }]);
+  });
+
+  it('should throw a conflict for an illegal transition without touching the order', async () => {
+    const client = createFakeClient();
+
+    await expect(OrderStatusQueries.changeStatus(client, { id: 5, status: 'pending' }, 'paid', null))
+      .rejects.toMatchObject({
+        status: 409,
+        details: { from_status: 'pending', to_status: 'paid', allowed: ['preparing', 'ready', 'cancelled'] }
+      });
+    expect(client.queries).toHaveLength(0);
+  });
+});
+
+describe('Order Status API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return 422 for an unknown status', async () => {
+    const response = await request(app).put('/api/orders/5/status').send({ status: 'done' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('status');
+  });
+
+  it('should return 409 with the allowed statuses for an illegal jump', async () => {
+    const client = createFakeClient([
+      ['FOR UPDATE', [{ id: 5, status: 'pending' }]]
+    ]);
+    vi.spyOn(pool, 'connect').mockResolvedValue(client);
+
+    const response = await request(app).put('/api/orders/5/status').send({ status: 'served' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.details.allowed).toEqual(['preparing', 'ready', 'cancelled']);
+    expect(client.queries.map(q => q.sql)).toContain('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should return 400 for an invalid order ID in the history', async () => {
+    const response = await request(app).get('/api/orders/abc/history');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for the history of a missing order', async () => {
+    vi.spyOn(OrderStatusQueries, 'getHistory').mockResolvedValue(null);
+
+    const response = await request(app).get('/api/orders/999/history');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should return the history of an order', async () => {
+    const history = [{ id: 1, from_status: null, to_status: 'pending', changed_by_username: 'owner' }];
+    vi.spyOn(OrderStatusQueries, 'getHistory').mockResolvedValue(history);
+
+    const response = await request(app).get('/api/orders/4/history');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ order_id: 4, history });
+  });
+});
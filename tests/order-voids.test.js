@@ -0,0 +1,276 @@
+/**
+ * Tests for order cancellations and voids
+ * Covers request validation, planning which sale transactions to reverse, OrderVoidQueries against
+ * a fake client and the API's validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { validateOrderVoid, planInventoryReversal } = require('../models/OrderVoid');
+const { OrderVoidQueries } = require('../utils/order-void-database');
+const { PricingQueries } = require('../utils/pricing-database');
+const { PaymentQueries } = require('../utils/payment-database');
+const OrderInventoryService = require('../utils/order-inventory-service-cjs.js');
+
+const flour = { product_id: 3, total_quantity_needed: 0.5, ingredient_name: 'Flour', product_name: 'Flour' };
+
+/**
+ * Stub the inventory service and pricing so a void of a bread order settles 0.5 kg of flour
+ */
+function stubOrder({ newTotal = 0, amountPaid = 0 } = {}) {
+  vi.spyOn(OrderInventoryService, 'getOrderItems').mockResolvedValue([{ id: 6, menu_item_id: 2, quantity: 1 }]);
+  vi.spyOn(OrderInventoryService, 'calculateOrderIngredientQuantities').mockResolvedValue([flour]);
+  vi.spyOn(PricingQueries, 'recalculateOrder').mockResolvedValue({ total: newTotal });
+  vi.spyOn(PricingQueries, 'getOrderPricing').mockResolvedValue({ order_id: 4, total: newTotal });
+  vi.spyOn(PaymentQueries, 'getPaymentSummary').mockResolvedValue({ amount_paid: amountPaid });
+}
+
+// Inserted inventory_transactions rows, which are then tracked against the product's lots
+const TRANSACTION_INSERT = ['INSERT INTO inventory_transactions', (params) => [{
+  id: 30, product_id: params[0], transaction_type: params[1], quantity_change: params[2], reverses_transaction_id: params[5]
+}]];
+
+/**
+ * Stock changes written to inventory_transactions as [type, quantity, reversed transaction]
+ */
+function stockChanges(client) {
+  return client.queries
+    .filter(q => q.sql.includes('INSERT INTO inventory_transactions'))
+    .map(q => [q.params[1], q.params[2], q.params[5]]);
+}
+
+describe('Order void validation', () => {
+  it('should accept a reason with an optional disposition', () => {
+    expect(validateOrderVoid({ reason: 'Guest left' }).isValid).toBe(true);
+    expect(validateOrderVoid({ reason: 'Burnt', disposition: 'waste' }).isValid).toBe(true);
+  });
+
+  it('should require a reason and a known disposition', () => {
+    const result = validateOrderVoid({ reason: '  ', disposition: 'compost' });
+
+    expect(result.errors.map(e => e.field)).toEqual(['reason', 'disposition']);
+  });
+});
+
+describe('planInventoryReversal', () => {
+  it('should reverse the sale that deducted the ingredient', () => {
+    const plan = planInventoryReversal(
+      [{ id: 20, product_id: 3, quantity_change: '-1.000', reversed: '0' }],
+      [flour]
+    );
+
+    expect(plan).toEqual({
+      reversals: [{ transaction_id: 20, product_id: 3, quantity: 0.5 }],
+      undeducted: []
+    });
+  });
+
+  it('should not reverse more than is left of a sale', () => {
+    const plan = planInventoryReversal(
+      [{ id: 20, product_id: 3, quantity_change: '-1.000', reversed: '0.800' }],
+      [flour]
+    );
+
+    expect(plan.reversals).toEqual([{ transaction_id: 20, product_id: 3, quantity: 0.2 }]);
+    expect(plan.undeducted).toEqual([{ product_id: 3, quantity: 0.3 }]);
+  });
+
+  it('should spread a reversal over several sales oldest first', () => {
+    const plan = planInventoryReversal([
+      { id: 20, product_id: 3, quantity_change: '-0.300', reversed: '0' },
+      { id: 21, product_id: 3, quantity_change: '-0.300', reversed: '0' },
+      { id: 22, product_id: 4, quantity_change: '-2.000', reversed: '0' }
+    ], [flour]);
+
+    expect(plan.reversals).toEqual([
+      { transaction_id: 20, product_id: 3, quantity: 0.3 },
+      { transaction_id: 21, product_id: 3, quantity: 0.2 }
+    ]);
+  });
+
+  it('should report everything as undeducted before the order is served', () => {
+    expect(planInventoryReversal([], [flour])).toEqual({
+      reversals: [],
+      undeducted: [{ product_id: 3, quantity: 0.5 }]
+    });
+  });
+});
+
+describe('OrderVoidQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should void a served order and return its ingredients to stock', async () => {
+    stubOrder();
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served', total: '12.50' }]],
+      ['FROM order_items WHERE order_id = $1 AND voided_at IS NULL', [{ id: 6 }]],
+      ["t.transaction_type = 'sale'", [{ id: 20, product_id: 3, quantity_change: '-0.500', reversed: '0' }]],
+      ['INSERT INTO order_voids', (params) => [{ id: 1, amount: params[5], void_type: params[2] }]],
+      ['UPDATE orders SET status', (params) => [{ id: 4, status: params[0] }]],
+      ['FROM lot_consumptions c', [{ lot_id: 8, quantity: '0.500' }]],
+      TRANSACTION_INSERT
+    ], { transaction: true });
+
+    const result = await OrderVoidQueries.voidOrder(4, 'void', { reason: 'Wrong table' }, { id: 2 });
+
+    expect(result.order.status).toBe('voided');
+    expect(result.void).toEqual({ id: 1, amount: 12.5, void_type: 'void' });
+    expect(stockChanges(client)).toEqual([['sale', 0.5, 20]]);
+    // The reversal goes back into the lot the sale was taken from
+    expect(client.queries.find(q => q.sql.includes('INSERT INTO lot_consumptions')).params).toEqual([8, 30, -0.5]);
+    const voidInsert = client.queries.find(q => q.sql.includes('INSERT INTO order_voids'));
+    expect(voidInsert.params).toEqual([4, null, 'void', 'Wrong table', 'return', 12.5, 2]);
+  });
+
+  it('should record waste when a cancelled order was already made', async () => {
+    stubOrder();
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'ready', total: '12.50' }]],
+      ['FROM order_items WHERE order_id = $1 AND voided_at IS NULL', [{ id: 6 }]],
+      ['UPDATE orders SET status', (params) => [{ id: 4, status: params[0] }]],
+      TRANSACTION_INSERT
+    ], { transaction: true });
+
+    const result = await OrderVoidQueries.voidOrder(4, 'cancel', { reason: 'Guest left', disposition: 'waste' }, null);
+
+    expect(result.order.status).toBe('cancelled');
+    expect(stockChanges(client)).toEqual([['waste', -0.5, null]]);
+  });
+
+  it('should reverse the sale and record waste for a served order that was thrown away', async () => {
+    stubOrder();
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served', total: '12.50' }]],
+      ['FROM order_items WHERE order_id = $1 AND voided_at IS NULL', [{ id: 6 }]],
+      ["t.transaction_type = 'sale'", [{ id: 20, product_id: 3, quantity_change: '-0.500', reversed: '0' }]],
+      TRANSACTION_INSERT
+    ], { transaction: true });
+
+    await OrderVoidQueries.voidOrder(4, 'void', { reason: 'Cold', disposition: 'waste' }, null);
+
+    expect(stockChanges(client)).toEqual([['sale', 0.5, 20], ['waste', -0.5, null]]);
+  });
+
+  it('should refuse to void an order with payments', async () => {
+    stubOrder({ amountPaid: 5 });
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served', total: '12.50' }]]
+    ], { transaction: true });
+
+    await expect(OrderVoidQueries.voidOrder(4, 'void', { reason: 'Wrong table' }, null))
+      .rejects.toMatchObject({ status: 409, details: { amount_paid: 5 } });
+  });
+
+  it('should refuse to cancel a served order', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served', total: '12.50' }]]
+    ], { transaction: true });
+
+    await expect(OrderVoidQueries.voidOrder(4, 'cancel', { reason: 'Guest left' }, null))
+      .rejects.toThrow('Order 4 has been served; void it instead');
+  });
+
+  it('should reprice the order when one item is voided', async () => {
+    stubOrder({ newTotal: 8 });
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served', total: '12.50' }]],
+      ['SELECT id, voided_at FROM order_items', [{ id: 6, voided_at: null }, { id: 7, voided_at: null }]],
+      ['INSERT INTO order_voids', (params) => [{ id: 2, order_item_id: params[1], amount: params[5] }]]
+    ], { transaction: true });
+
+    const result = await OrderVoidQueries.voidOrderItem(4, 6, 'void', { reason: 'Wrong dish' }, null);
+
+    expect(result.void).toEqual({ id: 2, order_item_id: 6, amount: 4.5 });
+    expect(result.pricing.total).toBe(8);
+    const markVoided = client.queries.find(q => q.sql.includes('SET voided_at'));
+    expect(markVoided.params).toEqual([[6]]);
+  });
+
+  it('should refuse to void the last item on an order', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'pending', total: '12.50' }]],
+      ['SELECT id, voided_at FROM order_items', [{ id: 6, voided_at: null }, { id: 7, voided_at: new Date() }]]
+    ], { transaction: true });
+
+    await expect(OrderVoidQueries.voidOrderItem(4, 6, 'cancel', { reason: 'Changed mind' }, null))
+      .rejects.toThrow('Order item 6 is the last item on order 4; cancel the order instead');
+  });
+
+  it('should refuse an item void that leaves payments above the total', async () => {
+    stubOrder({ newTotal: 8, amountPaid: 10 });
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'served', total: '12.50' }]],
+      ['SELECT id, voided_at FROM order_items', [{ id: 6, voided_at: null }, { id: 7, voided_at: null }]]
+    ], { transaction: true });
+
+    await expect(OrderVoidQueries.voidOrderItem(4, 6, 'void', { reason: 'Wrong dish' }, null))
+      .rejects.toMatchObject({ status: 409, details: { amount_paid: 10, new_total: 8 } });
+  });
+
+  it('should return null for an item not on the order', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'pending', total: '12.50' }]],
+      ['SELECT id, voided_at FROM order_items', [{ id: 6, voided_at: null }]]
+    ], { transaction: true });
+
+    expect(await OrderVoidQueries.voidOrderItem(4, 99, 'cancel', { reason: 'Changed mind' }, null)).toBeNull();
+  });
+});
+
+describe('Order Void API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should require a reason', async () => {
+    const response = await request(app).post('/api/orders/4/cancel').send({});
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('reason');
+  });
+
+  it('should return 400 for an invalid item ID', async () => {
+    const response = await request(app).post('/api/orders/4/items/abc/void').send({ reason: 'Cold' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for a missing order', async () => {
+    vi.spyOn(OrderVoidQueries, 'voidOrder').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/orders/999/void').send({ reason: 'Wrong table' });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should pass the void type and user through', async () => {
+    const voidOrder = vi.spyOn(OrderVoidQueries, 'voidOrder').mockResolvedValue({
+      void: { id: 1, reason: 'Guest left' },
+      order: { id: 4, status: 'cancelled' },
+      inventory_transactions: []
+    });
+
+    const response = await request(app).post('/api/orders/4/cancel').send({ reason: 'Guest left' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('Order cancelled successfully');
+    expect(voidOrder).toHaveBeenCalledWith(4, 'cancel', { reason: 'Guest left' }, null);
+  });
+
+  it('should send cancellations through the cancel endpoint instead of the status endpoint', async () => {
+    const response = await request(app).put('/api/orders/4/status').send({ status: 'cancelled' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].message).toContain('POST /api/orders/4/cancel');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Integration tests for refunding a paid order
+ * Pays for a served order through the API, refunds the payment and voids the order, checking the
+ * refund moves the order back to served so it can be voided
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import { DatabaseUtils } from '../utils/database.js';
+
+let app;
+beforeAll(async () => {
+  const serverModule = await import('../server.js');
+  app = serverModule.app;
+});
+
+describe('Paid Order Refund Integration', () => {
+  const TABLE_NUMBER = 9105;
+  let tableId, menuItemId;
+
+  async function cleanUp() {
+    await DatabaseUtils.query('DELETE FROM orders WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM checks WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM tables WHERE table_number = $1', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM menu_items WHERE name LIKE $1', ['Test Refund%']);
+  }
+
+  beforeEach(async () => {
+    await cleanUp();
+
+    const menuItemResult = await DatabaseUtils.query(`
+      INSERT INTO menu_items (name, price, category) VALUES ($1, 18.00, 'Test') RETURNING id
+    `, ['Test Refund Steak']);
+    menuItemId = menuItemResult.rows[0].id;
+
+    const tableResult = await DatabaseUtils.query(
+      'INSERT INTO tables (table_number, capacity) VALUES ($1, 4) RETURNING id',
+      [TABLE_NUMBER]
+    );
+    tableId = tableResult.rows[0].id;
+  });
+
+  afterEach(async () => {
+    await cleanUp();
+  });
+
+  it('should reopen a paid order when its payment is refunded, so it can be voided', async () => {
+    const order = await request(app)
+      .post('/api/orders')
+      .send({ table_id: tableId, customer_name: 'Test Refund Guest', items: [{ menu_item_id: menuItemId, quantity: 1 }] })
+      .expect(201);
+    const orderId = order.body.id;
+    await request(app).put(`/api/orders/${orderId}/status`).send({ status: 'ready' }).expect(200);
+    await request(app).put(`/api/orders/${orderId}/status`).send({ status: 'served' }).expect(200);
+
+    const payment = await request(app)
+      .post(`/api/orders/${orderId}/payments`)
+      .send({ tender_type: 'cash' })
+      .expect(201);
+    await request(app).put(`/api/orders/${orderId}/status`).send({ status: 'paid' }).expect(200);
+
+    const refund = await request(app)
+      .post(`/api/orders/${orderId}/payments/${payment.body.payment.id}/refund`)
+      .send({ reason: 'Overcooked' })
+      .expect(201);
+    expect(refund.body.summary.amount_paid).toBe(0);
+
+    const history = await request(app).get(`/api/orders/${orderId}/history`).expect(200);
+    expect(history.body.history.at(-1)).toMatchObject({ from_status: 'paid', to_status: 'served' });
+
+    const voided = await request(app)
+      .post(`/api/orders/${orderId}/void`)
+      .send({ reason: 'Overcooked', disposition: 'waste' })
+      .expect(200);
+    expect(voided.body.order.status).toBe('voided');
+  });
+
+  it('should leave a paid order served and owing after a partial refund', async () => {
+    const order = await request(app)
+      .post('/api/orders')
+      .send({ table_id: tableId, customer_name: 'Test Refund Guest', items: [{ menu_item_id: menuItemId, quantity: 1 }] })
+      .expect(201);
+    const orderId = order.body.id;
+    await request(app).put(`/api/orders/${orderId}/status`).send({ status: 'ready' }).expect(200);
+    await request(app).put(`/api/orders/${orderId}/status`).send({ status: 'served' }).expect(200);
+    const payment = await request(app)
+      .post(`/api/orders/${orderId}/payments`)
+      .send({ tender_type: 'cash' })
+      .expect(201);
+    await request(app).put(`/api/orders/${orderId}/status`).send({ status: 'paid' }).expect(200);
+
+    await request(app)
+      .post(`/api/orders/${orderId}/payments/${payment.body.payment.id}/refund`)
+      .send({ reason: 'Missing side', amount: 5 })
+      .expect(201);
+
+    const summary = await request(app).get(`/api/orders/${orderId}/payments`).expect(200);
+    expect(summary.body).toMatchObject({ order_status: 'served', balance_due: 5 });
+
+    // Still paid for in part, so it cannot be voided until the rest is refunded
+    await request(app)
+      .post(`/api/orders/${orderId}/void`)
+      .send({ reason: 'Missing side' })
+      .expect(409);
+  });
+});
@@ -0,0 +1,381 @@
+/**
+ * Tests for payments
+ * Covers payment validation and balances, the fake card processor, the transaction logic in
+ * PaymentQueries (against a fake client) and the API's status codes, including the 'paid' status gate
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const {
+  Payment,
+  validatePaymentForCreation,
+  validatePaymentRefund,
+  validateGiftCardForIssue,
+  summarizePayments
+} = require('../models/Payment');
+const {
+  FakeCardProcessor,
+  registerPaymentProcessor,
+  getPaymentProcessor
+} = require('../utils/payment-processors');
+const { PaymentQueries } = require('../utils/payment-database');
+
+describe('Payment validation', () => {
+  it('should require a known tender type', () => {
+    expect(validatePaymentForCreation({}).errors).toEqual([
+      { field: 'tender_type', message: 'Tender type is required' }
+    ]);
+    expect(validatePaymentForCreation({ tender_type: 'cheque' }).errors[0].field).toBe('tender_type');
+  });
+
+  it('should require a card token for card payments and a code for gift cards', () => {
+    expect(validatePaymentForCreation({ tender_type: 'card' }).errors[0].field).toBe('card_token');
+    expect(validatePaymentForCreation({ tender_type: 'gift_card' }).errors[0].field).toBe('gift_card_code');
+  });
+
+  it('should reject fractional cents, negative tips and cash tendered on a card', () => {
+    const result = validatePaymentForCreation({
+      tender_type: 'card',
+      card_token: 'tok_visa',
+      amount: 10.005,
+      tip_amount: -1,
+      amount_tendered: 20
+    });
+
+    expect(result.errors.map(e => e.field)).toEqual(['amount', 'tip_amount', 'amount_tendered']);
+  });
+
+  it('should require a reason for refunds', () => {
+    expect(validatePaymentRefund({ amount: 5 }).errors).toEqual([
+      { field: 'reason', message: 'Reason is required' }
+    ]);
+  });
+
+  it('should require a starting amount for gift cards', () => {
+    expect(validateGiftCardForIssue({ code: 'GC-1234' }).errors[0].field).toBe('amount');
+    expect(validateGiftCardForIssue({ amount: 25, code: 'bad code!' }).errors[0].field).toBe('code');
+  });
+});
+
+describe('summarizePayments', () => {
+  it('should count refunds and voids against the amount paid but keep tips separate', () => {
+    const summary = summarizePayments('50.00', [
+      new Payment({ amount: '20.00', tip_amount: '3.00', status: 'completed' }),
+      new Payment({ amount: '15.00', refunded_amount: '5.00', status: 'partially_refunded' }),
+      new Payment({ amount: '30.00', tip_amount: '6.00', status: 'voided' })
+    ]);
+
+    expect(summary).toEqual({ order_total: 50, amount_paid: 30, tips: 3, balance_due: 20 });
+  });
+
+  it('should not report a negative balance', () => {
+    expect(summarizePayments(0, []).balance_due).toBe(0);
+  });
+});
+
+describe('Payment processors', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should approve test cards and decline the decline tokens', async () => {
+    const processor = new FakeCardProcessor();
+
+    const approved = await processor.charge({ amount: 10, card_token: 'tok_mastercard' });
+    const declined = await processor.charge({ amount: 10, card_token: 'tok_declined' });
+
+    expect(approved).toMatchObject({ approved: true, card_brand: 'mastercard', card_last4: '4444' });
+    expect(approved.reference).toMatch(/^fake_ch_/);
+    expect(declined).toEqual({ approved: false, decline_reason: 'Card declined' });
+  });
+
+  it('should refuse the fake processor in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.PAYMENT_PROCESSOR;
+
+    expect(() => getPaymentProcessor()).toThrow('cannot be used in production');
+  });
+
+  it('should use a registered processor named by PAYMENT_PROCESSOR', () => {
+    const gateway = { name: 'test-gateway', charge: vi.fn(), void: vi.fn(), refund: vi.fn() };
+    registerPaymentProcessor(gateway);
+    process.env.PAYMENT_PROCESSOR = 'test-gateway';
+
+    expect(getPaymentProcessor()).toBe(gateway);
+    expect(() => registerPaymentProcessor({ name: 'broken', charge: vi.fn() })).toThrow('void()');
+  });
+});
+
+describe('PaymentQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const order = { id: 4, status: 'served', total: '40.00' };
+
+  it('should refuse payments on an order with no balance due', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM payments p', [{ id: 1, order_id: 4, amount: '40.00', status: 'completed' }]]
+    ], { transaction: true });
+
+    await expect(PaymentQueries.recordPayment(4, { tender_type: 'cash' }, null)).rejects.toMatchObject({
+      status: 409,
+      message: 'Order 4 has no balance due'
+    });
+  });
+
+  it('should reject an amount larger than the balance due', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM payments p', [{ id: 1, order_id: 4, amount: '25.00', status: 'completed' }]]
+    ], { transaction: true });
+
+    await expect(PaymentQueries.recordPayment(4, { tender_type: 'cash', amount: 20 }, null)).rejects.toMatchObject({
+      type: 'validation',
+      details: [{ field: 'amount', message: 'Amount exceeds the balance due of 15.00' }]
+    });
+  });
+
+  it('should work out change due on cash and default the amount to the balance', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['INSERT INTO payments', params => [{ id: 9, order_id: 4, tender_type: 'cash', amount: params[2], tip_amount: params[3], change_due: params[5] }]]
+    ], { transaction: true });
+
+    const result = await PaymentQueries.recordPayment(4, {
+      tender_type: 'cash',
+      tip_amount: 4,
+      amount_tendered: 50
+    }, { id: 2 });
+
+    const insert = client.queries.find(q => q.sql.includes('INSERT INTO payments'));
+    expect(insert.params.slice(2, 6)).toEqual([40, 4, 50, 6]);
+    expect(insert.params[11]).toBe(2);
+    expect(result.summary).toEqual({ order_total: 40, amount_paid: 40, tips: 4, balance_due: 0 });
+  });
+
+  it('should return 402 and record nothing when a card is declined', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]]
+    ], { transaction: true });
+
+    await expect(PaymentQueries.recordPayment(4, {
+      tender_type: 'card',
+      card_token: 'tok_insufficient_funds'
+    }, null)).rejects.toMatchObject({ status: 402, message: 'Insufficient funds' });
+    expect(client.queries.some(q => q.sql.includes('INSERT INTO payments'))).toBe(false);
+  });
+
+  it('should void the card charge when the payment cannot be saved', async () => {
+    const processor = getPaymentProcessor();
+    const voidSpy = vi.spyOn(processor, 'void');
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['INSERT INTO payments', () => { throw new Error('insert failed'); }]
+    ], { transaction: true });
+
+    await expect(PaymentQueries.recordPayment(4, { tender_type: 'card', card_token: 'tok_visa' }, null))
+      .rejects.toThrow('insert failed');
+    expect(voidSpy).toHaveBeenCalledWith(expect.stringMatching(/^fake_ch_/));
+  });
+
+  it('should take amount and tip off a gift card', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM gift_cards', [{ id: 3, code: 'GC-WELCOME25', balance: '25.00', active: true }]],
+      ['INSERT INTO payments', [{ id: 9, amount: '20.00', tip_amount: '2.00' }]]
+    ], { transaction: true });
+
+    await PaymentQueries.recordPayment(4, {
+      tender_type: 'gift_card',
+      gift_card_code: 'gc-welcome25',
+      amount: 20,
+      tip_amount: 2
+    }, null);
+
+    expect(client.queries.find(q => q.sql.includes('UPDATE gift_cards')).params).toEqual([22, 3]);
+  });
+
+  it('should reject a gift card without enough balance', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM gift_cards', [{ id: 3, code: 'GC-HOLIDAY50', balance: '12.50', active: true }]]
+    ], { transaction: true });
+
+    await expect(PaymentQueries.recordPayment(4, { tender_type: 'gift_card', gift_card_code: 'GC-HOLIDAY50' }, null))
+      .rejects.toMatchObject({ type: 'validation' });
+  });
+
+  it('should mark a partial refund and record it', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM payments WHERE id = $1 AND order_id = $2 FOR UPDATE', [
+        { id: 9, order_id: 4, tender_type: 'cash', amount: '40.00', refunded_amount: '0', status: 'completed' }
+      ]],
+      ['INSERT INTO payment_refunds', [{ id: 1, payment_id: 9, amount: '10.00' }]],
+      ['UPDATE payments', params => [{ id: 9, amount: '40.00', refunded_amount: params[0], status: params[1] }]]
+    ], { transaction: true });
+
+    const result = await PaymentQueries.refundPayment(4, 9, { amount: 10, reason: 'Cold food' }, null);
+
+    expect(client.queries.find(q => q.sql.includes('UPDATE payments')).params).toEqual([10, 'partially_refunded', 9]);
+    expect(result.refund.id).toBe(1);
+  });
+
+  it('should not refund more than is left on a payment', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM payments WHERE id = $1 AND order_id = $2 FOR UPDATE', [
+        { id: 9, order_id: 4, tender_type: 'cash', amount: '40.00', refunded_amount: '35.00', status: 'partially_refunded' }
+      ]]
+    ], { transaction: true });
+
+    await expect(PaymentQueries.refundPayment(4, 9, { amount: 10, reason: 'Cold food' }, null)).rejects.toMatchObject({
+      details: [{ field: 'amount', message: 'Only 5.00 of payment 9 can be refunded' }]
+    });
+  });
+
+  it('should not void a payment that was refunded', async () => {
+    createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM payments WHERE id = $1 AND order_id = $2 FOR UPDATE', [
+        { id: 9, order_id: 4, tender_type: 'cash', amount: '40.00', status: 'partially_refunded' }
+      ]]
+    ], { transaction: true });
+
+    await expect(PaymentQueries.voidPayment(4, 9, 'Wrong table', null)).rejects.toMatchObject({
+      status: 409,
+      message: 'Payment 9 is partially_refunded and cannot be voided'
+    });
+  });
+
+  it('should move a paid order back to served when a refund leaves it owing', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [{ ...order, status: 'paid' }]],
+      ['FROM payments WHERE id = $1 AND order_id = $2 FOR UPDATE', [
+        { id: 9, order_id: 4, tender_type: 'cash', amount: '40.00', refunded_amount: '0.00', status: 'completed' }
+      ]],
+      ['INSERT INTO payment_refunds', [{ id: 1, payment_id: 9, amount: '40.00' }]],
+      ['UPDATE payments', [{ id: 9, amount: '40.00', refunded_amount: '40.00', status: 'refunded' }]],
+      ['FROM payments p', [
+        { id: 9, order_id: 4, tender_type: 'cash', amount: '40.00', refunded_amount: '40.00', status: 'refunded', refunds: [] }
+      ]]
+    ], { transaction: true });
+
+    const result = await PaymentQueries.refundPayment(4, 9, { reason: 'Cold food' }, { id: 2 });
+
+    expect(result.summary.balance_due).toBe(40);
+    expect(client.queries.find(q => q.sql.includes('UPDATE orders')).sql).toContain(`status = 'served'`);
+    expect(client.queries.find(q => q.sql.includes('INSERT INTO order_status_history')).params).toEqual([4, 'paid', 'served', 2]);
+  });
+
+  it('should leave a served order alone when a payment is voided', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM payments WHERE id = $1 AND order_id = $2 FOR UPDATE', [
+        { id: 9, order_id: 4, tender_type: 'cash', amount: '40.00', refunded_amount: '0.00', status: 'completed' }
+      ]],
+      ['UPDATE payments', [{ id: 9, status: 'voided' }]]
+    ], { transaction: true });
+
+    await PaymentQueries.voidPayment(4, 9, 'Wrong table', null);
+
+    expect(client.queries.some(q => q.sql.includes('UPDATE orders'))).toBe(false);
+  });
+
+  it('should put a voided gift card payment and its tip back on the card', async () => {
+    const client = createFakeClient([
+      ['FROM orders WHERE id = $1 FOR UPDATE', [order]],
+      ['FROM payments WHERE id = $1 AND order_id = $2 FOR UPDATE', [
+        { id: 9, order_id: 4, tender_type: 'gift_card', amount: '20.00', tip_amount: '2.50', gift_card_id: 3, status: 'completed' }
+      ]],
+      ['UPDATE payments', [{ id: 9, status: 'voided' }]]
+    ], { transaction: true });
+
+    await PaymentQueries.voidPayment(4, 9, 'Wrong table', { id: 1 });
+
+    expect(client.queries.find(q => q.sql.includes('UPDATE gift_cards')).params).toEqual([22.5, 3]);
+    expect(client.queries.find(q => q.sql.includes(`SET status = 'voided'`)).params).toEqual(['Wrong table', 1, 9]);
+  });
+});
+
+describe('Payments API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should return 422 for a payment without a tender type', async () => {
+    const response = await request(app)
+      .post('/api/orders/4/payments')
+      .send({ amount: 10 });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('tender_type');
+  });
+
+  it('should return 400 for an invalid order ID', async () => {
+    const response = await request(app).get('/api/orders/abc/payments');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 402 when the card is declined', async () => {
+    const { createPaymentDeclinedError } = require('../middleware/errorHandler');
+    vi.spyOn(PaymentQueries, 'recordPayment').mockRejectedValue(createPaymentDeclinedError('Card declined'));
+
+    const response = await request(app)
+      .post('/api/orders/4/payments')
+      .send({ tender_type: 'card', card_token: 'tok_declined' });
+
+    expect(response.status).toBe(402);
+    expect(response.body).toEqual({ error: 'Card declined' });
+  });
+
+  it('should return 404 when voiding a payment that is not on the order', async () => {
+    vi.spyOn(PaymentQueries, 'voidPayment').mockResolvedValue(null);
+
+    const response = await request(app)
+      .post('/api/orders/4/payments/99/void')
+      .send({ reason: 'Duplicate' });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Payment not found');
+  });
+
+  it('should refuse to mark an order paid until payments cover it', async () => {
+    const { pool } = require('../utils/db-connection');
+    const client = {
+      query: vi.fn(async (sql) => {
+        if (sql.includes('FROM orders WHERE id = $1 FOR UPDATE')) {
+          return { rows: [{ status: 'served' }] };
+        }
+        return { rows: [] };
+      }),
+      release: vi.fn()
+    };
+    vi.spyOn(pool, 'connect').mockResolvedValue(client);
+    vi.spyOn(PaymentQueries, 'getPaymentSummary').mockResolvedValue({
+      order_total: 40, amount_paid: 25, tips: 0, balance_due: 15, payments: []
+    });
+
+    const response = await request(app)
+      .put('/api/orders/4/status')
+      .send({ status: 'paid' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.balance_due).toBe(15);
+    expect(client.query.mock.calls.some(([sql]) => sql.startsWith('UPDATE orders'))).toBe(false);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
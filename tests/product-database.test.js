@@ -6,6 +6,8 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 const { ProductQueries } = require('../utils/product-database');
 const { DatabaseUtils } = require('../utils/database');
+const { LocationQueries } = require('../utils/location-database');
+const { LotQueries } = require('../utils/lot-database');
 
 describe('Product Database Operations', () => {
   // Test data
@@ -239,6 +241,110 @@ describe('Product Database Operations', () => {
       expect(updated.updated_at).not.toBe(created.updated_at);
     });
 
+    it('should work out an edited quantity from the stock a concurrent edit leaves', async () => {
+      const created = await ProductQueries.createProduct(testProduct);
+      createdProductIds.push(created.id);
+
+      // Another edit holds the product while it takes the stock up to 40
+      const client = await DatabaseUtils.getClient();
+      let update;
+      try {
+        await client.query('BEGIN');
+        await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [created.id]);
+        await client.query('UPDATE products SET current_quantity = 40 WHERE id = $1', [created.id]);
+        await LocationQueries.changeLocationStock(client, created.id, 14.5);
+        await LotQueries.trackChange(client, created.id, 14.5);
+
+        update = ProductQueries.updateProduct(created.id, { current_quantity: 20 });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        await client.query('COMMIT');
+      } finally {
+        client.release();
+      }
+      await update;
+
+      const result = await DatabaseUtils.query(`
+        SELECT p.current_quantity,
+               (SELECT SUM(quantity) FROM location_stock WHERE product_id = p.id) AS location_quantity,
+               (SELECT SUM(quantity_remaining) FROM stock_lots WHERE product_id = p.id) AS lot_quantity
+        FROM products p WHERE p.id = $1
+      `, [created.id]);
+      expect(result.rows[0]).toEqual({ current_quantity: '20.000', location_quantity: '20.000', lot_quantity: '20.000' });
+    });
+
+    it('should return null for non-existent product', async () => {
+      const result = await ProductQueries.getProductById(99999);
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getProductByName', () => {
+    it('should get a product by name', async () => {
+      const created = await ProductQueries.createProduct(testProduct);
+      createdProductIds.push(created.id);
+
+      const retrieved = await ProductQueries.getProductByName(testProduct.name);
+      
+      expect(retrieved).toBeDefined();
+      expect(retrieved.id).toBe(created.id);
+      expect(retrieved.name).toBe(testProduct.name);
+    });
+
+    it('should return null for non-existent product name', async () => {
+      const result = await ProductQueries.getProductByName('Non-existent Product');
+      expect(result).toBeNull();
+    });
+
+    it('should exclude specified ID when checking name uniqueness', async () => {
+      const created = await ProductQueries.createProduct(testProduct);
+      createdProductIds.push(created.id);
+
+      const result = await ProductQueries.getProductByName(testProduct.name, created.id);
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('updateProduct', () => {
+    it('should update a product with partial data', async () => {
+      const created = await ProductQueries.createProduct(testProduct);
+      createdProductIds.push(created.id);
+
+      const updateData = {
+        name: 'Updated Tomatoes',
+        current_quantity: 30
+      };
+
+      const updated = await ProductQueries.updateProduct(created.id, updateData);
+      
+      expect(updated).toBeDefined();
+      expect(updated.id).toBe(created.id);
+      expect(updated.name).toBe(updateData.name);
+      expect(updated.current_quantity).toBe(updateData.current_quantity);
+      expect(updated.description).toBe(testProduct.description); // Unchanged
+      expect(updated.updated_at).not.toBe(created.updated_at);
+    });
+
+    it('should keep location stock and lots in step with concurrent quantity edits', async () => {
+      const created = await ProductQueries.createProduct(testProduct);
+      createdProductIds.push(created.id);
+
+      await Promise.all([
+        ProductQueries.updateProduct(created.id, { current_quantity: 30 }),
+        ProductQueries.updateProduct(created.id, { current_quantity: 20 })
+      ]);
+
+      const result = await DatabaseUtils.query(`
+        SELECT p.current_quantity,
+               (SELECT SUM(quantity) FROM location_stock WHERE product_id = p.id) AS location_quantity,
+               (SELECT SUM(quantity_remaining) FROM stock_lots WHERE product_id = p.id) AS lot_quantity
+        FROM products p WHERE p.id = $1
+      `, [created.id]);
+      const { current_quantity, location_quantity, lot_quantity } = result.rows[0];
+      expect(['20.000', '30.000']).toContain(current_quantity);
+      expect(location_quantity).toBe(current_quantity);
+      expect(lot_quantity).toBe(current_quantity);
+    });
+
     it('should return null for non-existent product', async () => {
       const result = await ProductQueries.updateProduct(99999, { name: 'Test' });
       expect(result).toBeNull();
@@ -68,6 +68,14 @@ describe('Product Model', () => {
         current_quantity: 25,
         low_stock_threshold: 10,
         cost_per_unit: null,
+        par_level: null,
+        density_g_per_ml: null,
+        piece_weight_g: null,
+        category: null,
+        location_id: null,
+        location_name: null,
+        location_quantity: null,
+        lot_rotation: 'fifo',
         supplier_info: null,
         created_at: null,
         updated_at: null
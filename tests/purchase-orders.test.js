@@ -0,0 +1,317 @@
+/**
+ * Tests for suppliers and purchase orders
+ * Covers supplier and purchase order validation, costing, the receive, send and cancel logic in
+ * PurchaseOrderQueries and SupplierQueries (against a fake client) and the API's routing and validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { validateSupplier, validateProductSupplier } = require('../models/Supplier');
+const {
+  validatePurchaseOrder,
+  validateReceipt,
+  validatePurchaseOrderCancel,
+  averageCost,
+  receiptStatus,
+  orderTotal
+} = require('../models/PurchaseOrder');
+const { PurchaseOrderQueries } = require('../utils/purchase-order-database');
+const { SupplierQueries } = require('../utils/supplier-database');
+const { EventBus } = require('../utils/event-bus');
+
+const LOCK_ORDER = 'FROM purchase_orders WHERE id = $1 FOR UPDATE';
+
+describe('Supplier validation', () => {
+  it('should require a name and reject bad contact details and terms', () => {
+    const result = validateSupplier({ email: 'not-an-email', lead_time_days: -1, minimum_order_amount: 10.005 });
+
+    expect(result.errors.map(error => error.field)).toEqual(['name', 'email', 'lead_time_days', 'minimum_order_amount']);
+  });
+
+  it('should only check the fields given when changing a supplier', () => {
+    expect(validateSupplier({ active: false }, true).isValid).toBe(true);
+    expect(validateSupplier({ active: 'no' }, true).errors[0].field).toBe('active');
+  });
+
+  it('should require a positive pack size', () => {
+    const result = validateProductSupplier({ pack_size: 0, pack_cost: -1, is_preferred: 'yes' });
+
+    expect(result.errors.map(error => error.field)).toEqual(['pack_size', 'pack_cost', 'is_preferred']);
+  });
+});
+
+describe('Purchase order validation', () => {
+  it('should require a supplier and at least one line', () => {
+    const result = validatePurchaseOrder({ lines: [] });
+
+    expect(result.errors.map(error => error.field)).toEqual(['supplier_id', 'lines']);
+  });
+
+  it('should validate each line and reject a product ordered twice', () => {
+    expect(validatePurchaseOrder({
+      supplier_id: 1,
+      lines: [{ product_id: 3, quantity_ordered: 0 }]
+    }).errors[0].field).toBe('lines[0].quantity_ordered');
+    expect(validatePurchaseOrder({
+      supplier_id: 1,
+      lines: [{ product_id: 3, quantity_ordered: 2 }, { product_id: 3, quantity_ordered: 1 }]
+    }).errors).toEqual([{ field: 'lines', message: 'Each product can only be ordered once' }]);
+  });
+
+  it('should reject an expected date that is not a real day', () => {
+    const result = validatePurchaseOrder({ expected_at: '2026-02-30' }, true);
+
+    expect(result.errors[0].field).toBe('expected_at');
+  });
+
+  it('should validate deliveries and cancellations', () => {
+    expect(validateReceipt({ lines: [{ line_id: 1, quantity_received: -2 }] }).errors[0].field)
+      .toBe('lines[0].quantity_received');
+    expect(validatePurchaseOrderCancel({}).errors[0].field).toBe('reason');
+  });
+});
+
+describe('Purchase order costing', () => {
+  it('should average a delivery into the cost of the stock on hand', () => {
+    expect(averageCost(10, 8, 10, 10)).toBe(9);
+    expect(averageCost('4.000', '2.5000', 6, 3.1)).toBe(2.86);
+  });
+
+  it('should take the delivery cost when there is no stock or no cost yet', () => {
+    expect(averageCost(0, 8, 5, 9.5)).toBe(9.5);
+    expect(averageCost(-2, 8, 5, 9.5)).toBe(9.5);
+    expect(averageCost(10, null, 5, 9.5)).toBe(9.5);
+  });
+
+  it('should only mark an order received once every line has arrived', () => {
+    expect(receiptStatus([
+      { quantity_ordered: '6.000', quantity_received: '6.000' },
+      { quantity_ordered: '4.000', quantity_received: 1 }
+    ])).toBe('partially_received');
+    expect(receiptStatus([{ quantity_ordered: '6.000', quantity_received: 6 }])).toBe('received');
+  });
+
+  it('should total an order to cents', () => {
+    expect(orderTotal([
+      { quantity_ordered: '6.000', unit_cost: '8.5000' },
+      { quantity_ordered: '3.000', unit_cost: '0.3333' }
+    ])).toBe(52);
+  });
+});
+
+describe('PurchaseOrderQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should receive a delivery as restock transactions and average the cost', async () => {
+    const client = createFakeClient([
+      [LOCK_ORDER, [{ id: 5, status: 'sent', supplier_id: 2 }]],
+      ['FOR UPDATE OF l', [
+        { id: 11, product_id: 3, product_name: 'Fresh Mozzarella', quantity_ordered: '6.000', quantity_received: '0.000', unit_cost: '8.5000' },
+        { id: 12, product_id: 14, product_name: 'Heavy Cream', quantity_ordered: '4.000', quantity_received: '0.000', unit_cost: '4.2000' }
+      ]],
+      ['SELECT current_quantity, cost_per_unit FROM products', [{ current_quantity: '6.000', cost_per_unit: '8.0000' }]],
+      ['INSERT INTO inventory_transactions', params => [{ id: 40, product_id: params[0], quantity_change: params[1] }]],
+      ['UPDATE products', params => [{ id: params[1], name: 'Fresh Mozzarella', current_quantity: '12.000', low_stock_threshold: 3 }]],
+      ['WHERE po.id = $1', [{ id: 5, status: 'partially_received', supplier_id: 2 }]]
+    ], { transaction: true, commitEvents: true });
+    const published = vi.spyOn(EventBus, 'publish');
+
+    const result = await PurchaseOrderQueries.receivePurchaseOrder(5, {
+      lines: [{ line_id: 11, quantity_received: 6, unit_cost: 9 }],
+      notes: 'Invoice 1182'
+    });
+
+    expect(result.transactions).toHaveLength(1);
+    const insert = client.queries.find(q => q.sql.includes('INSERT INTO inventory_transactions'));
+    expect(insert.sql).toContain("'restock'");
+    expect(insert.sql).toContain("'purchase_order'");
+    expect(insert.params).toEqual([3, 6, 5, 'Received on purchase order #5 at 9.0000 per unit: Invoice 1182', null]);
+    const cost = client.queries.find(q => q.sql.includes('UPDATE products SET cost_per_unit'));
+    expect(cost.params).toEqual([8.5, 3]);
+    const product = client.queries.find(q => q.sql.includes('SET current_quantity = current_quantity + $1'));
+    expect(product.params).toEqual([6, 3]);
+    const status = client.queries.find(q => q.sql.includes('UPDATE purchase_orders'));
+    expect(status.params).toEqual(['partially_received', 5]);
+    expect(published).toHaveBeenCalledWith('stock.changed', expect.objectContaining({ product_id: 3, quantity_change: 6 }));
+  });
+
+  it('should not receive more of a line than is still to come', async () => {
+    const client = createFakeClient([
+      [LOCK_ORDER, [{ id: 5, status: 'partially_received', supplier_id: 2 }]],
+      ['FOR UPDATE OF l', [
+        { id: 11, product_id: 3, product_name: 'Fresh Mozzarella', quantity_ordered: '6.000', quantity_received: '4.000', unit_cost: '8.5000' }
+      ]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(PurchaseOrderQueries.receivePurchaseOrder(5, { lines: [{ line_id: 11, quantity_received: 3 }] }))
+      .rejects.toMatchObject({
+        type: 'validation',
+        details: [{ field: 'lines[0].quantity_received', message: 'Only 2 of Fresh Mozzarella remain to be received' }]
+      });
+    expect(client.queries.some(q => q.sql.includes('INSERT INTO inventory_transactions'))).toBe(false);
+  });
+
+  it('should only receive against orders that have been sent', async () => {
+    createFakeClient([
+      [LOCK_ORDER, [{ id: 5, status: 'draft', supplier_id: 2 }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(PurchaseOrderQueries.receivePurchaseOrder(5, { lines: [{ line_id: 11, quantity_received: 1 }] }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should not send an order below the supplier minimum', async () => {
+    createFakeClient([
+      [LOCK_ORDER, [{ id: 6, status: 'draft', supplier_id: 2 }]],
+      ['SELECT * FROM suppliers WHERE id = $1', [{ id: 2, name: 'Italian Imports Co', active: true, minimum_order_amount: '150.00', lead_time_days: 7 }]],
+      ['FROM purchase_order_lines WHERE purchase_order_id', [{ quantity_ordered: '20.000', unit_cost: '3.2000' }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(PurchaseOrderQueries.sendPurchaseOrder(6))
+      .rejects.toThrow("Order total of 64.00 is below Italian Imports Co's minimum order of 150.00");
+  });
+
+  it('should send a draft and expect it after the supplier lead time', async () => {
+    const client = createFakeClient([
+      [LOCK_ORDER, [{ id: 6, status: 'draft', supplier_id: 2 }]],
+      ['SELECT * FROM suppliers WHERE id = $1', [{ id: 2, name: 'Dairy Fresh Ltd', active: true, minimum_order_amount: '50.00', lead_time_days: 2 }]],
+      ['FROM purchase_order_lines WHERE purchase_order_id', [{ quantity_ordered: '6.000', unit_cost: '8.5000' }]],
+      ['WHERE po.id = $1', [{ id: 6, status: 'sent', supplier_id: 2 }]]
+    ], { transaction: true, commitEvents: true });
+
+    const order = await PurchaseOrderQueries.sendPurchaseOrder(6);
+
+    expect(order.status).toBe('sent');
+    const update = client.queries.find(q => q.sql.includes("SET status = 'sent'"));
+    expect(update.params).toEqual([2, 6]);
+  });
+
+  it('should price lines without a cost from the supplier pack', async () => {
+    const client = createFakeClient([
+      ['SELECT * FROM suppliers WHERE id = $1', [{ id: 4, active: true }]],
+      ['INSERT INTO purchase_orders', [{ id: 8, supplier_id: 4 }]],
+      ['LEFT JOIN product_suppliers ps ON ps.product_id = p.id', [
+        { id: 4, cost_per_unit: '0.0200', pack_size: '100.000', pack_cost: '2.50' },
+        { id: 15, cost_per_unit: '0.0100', pack_size: null, pack_cost: null }
+      ]]
+    ], { transaction: true, commitEvents: true });
+
+    await PurchaseOrderQueries.createPurchaseOrder({
+      supplier_id: 4,
+      lines: [{ product_id: 4, quantity_ordered: 200 }, { product_id: 15, quantity_ordered: 500 }]
+    }, { id: 1 });
+
+    const lines = client.queries.filter(q => q.sql.includes('INSERT INTO purchase_order_lines'));
+    expect(lines.map(q => q.params)).toEqual([[8, 4, 200, 0.025], [8, 15, 500, 0.01]]);
+  });
+
+  it('should not cancel an order that has already been received', async () => {
+    createFakeClient([
+      [LOCK_ORDER, [{ id: 5, status: 'received' }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(PurchaseOrderQueries.cancelPurchaseOrder(5, 'Duplicate'))
+      .rejects.toThrow('Purchase order 5 is already received');
+  });
+});
+
+describe('SupplierQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should not remove a supplier with open purchase orders', async () => {
+    createFakeClient([
+      ['SELECT * FROM suppliers WHERE id = $1 FOR UPDATE', [{ id: 3, name: 'Dairy Fresh Ltd' }]],
+      ['FROM purchase_orders', [{ id: 1, status: 'sent' }, { id: 2, status: 'received' }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(SupplierQueries.deleteSupplier(3)).rejects.toMatchObject({
+      status: 409,
+      details: [{ purchase_order_id: 1, status: 'sent' }]
+    });
+  });
+
+  it('should deactivate a supplier with past orders and delete one without', async () => {
+    let orders = [{ id: 2, status: 'received' }];
+    const client = createFakeClient([
+      ['SELECT * FROM suppliers WHERE id = $1 FOR UPDATE', [{ id: 3, name: 'Dairy Fresh Ltd', active: true }]],
+      ['FROM purchase_orders', () => orders]
+    ], { transaction: true, commitEvents: true });
+
+    const deactivated = await SupplierQueries.deleteSupplier(3);
+    orders = [];
+    const deleted = await SupplierQueries.deleteSupplier(3);
+
+    expect(deactivated).toMatchObject({ deactivated: true, supplier: { active: false } });
+    expect(deleted.deactivated).toBe(false);
+    expect(client.queries.filter(q => q.sql.includes('DELETE FROM suppliers'))).toHaveLength(1);
+  });
+
+  it('should move the preferred supplier when another is preferred', async () => {
+    const client = createFakeClient([
+      ['SELECT id FROM suppliers WHERE id = $1', [{ id: 2 }]],
+      ['SELECT id FROM products WHERE id = $1', [{ id: 3 }]],
+      ['WHERE ps.product_id = $1 AND ps.supplier_id = $2', [{ product_id: 3, supplier_id: 2, is_preferred: true }]]
+    ], { transaction: true, commitEvents: true });
+
+    const link = await SupplierQueries.linkProduct(2, 3, { pack_size: 2.5, is_preferred: true });
+
+    expect(link.is_preferred).toBe(true);
+    const cleared = client.queries.find(q => q.sql.includes('SET is_preferred = FALSE'));
+    expect(cleared.params).toEqual([3, 2]);
+    const upsert = client.queries.find(q => q.sql.includes('INSERT INTO product_suppliers'));
+    expect(upsert.params).toEqual([3, 2, null, 2.5, null, true]);
+  });
+});
+
+describe('Purchasing API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject an invalid supplier', async () => {
+    const response = await request(app).post('/api/suppliers').send({ name: '', lead_time_days: 'soon' });
+
+    expect(response.status).toBe(422);
+  });
+
+  it('should reject an unknown purchase order status filter', async () => {
+    const response = await request(app).get('/api/purchase-orders?status=shipped');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should receive a delivery and return the restock transactions', async () => {
+    vi.spyOn(PurchaseOrderQueries, 'receivePurchaseOrder').mockResolvedValue({
+      purchase_order: { id: 5, status: 'received' },
+      transactions: [{ id: 40, transaction_type: 'restock', reference_type: 'purchase_order', reference_id: 5 }]
+    });
+
+    const response = await request(app)
+      .post('/api/purchase-orders/5/receive')
+      .send({ lines: [{ line_id: 11, quantity_received: 6 }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.purchase_order.status).toBe('received');
+    expect(PurchaseOrderQueries.receivePurchaseOrder).toHaveBeenCalledWith(5, { lines: [{ line_id: 11, quantity_received: 6 }] });
+  });
+
+  it('should return 404 when sending a purchase order that does not exist', async () => {
+    vi.spyOn(PurchaseOrderQueries, 'sendPurchaseOrder').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/purchase-orders/99/send');
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for recipe costing and menu pricing
+ * Covers costing a serving across units, price recommendations and target validation, recosting recipes
+ * in RecipeCostQueries and when product costs move (against a fake client), and the API's routing and
+ * validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { costRecipe, profitMargin, priceRecommendation, validateTargetFoodCost } = require('../models/RecipeCost');
+const { RecipeCostQueries, getTargetFoodCostPercent } = require('../utils/recipe-cost-database');
+const { CostingQueries } = require('../utils/costing-database');
+const { DatabaseUtils } = require('../utils/database');
+
+// One serving of the margherita: a quarter of 8 oz of mozzarella and half a tablespoon of olive oil
+const MARGHERITA_SERVING = [
+  {
+    product_id: 3,
+    product_name: 'Fresh Mozzarella',
+    quantity_per_serving: '2.0000',
+    ingredient_unit: 'oz',
+    unit_of_measure: 'kg',
+    cost_per_unit: '8.5000'
+  },
+  {
+    product_id: 5,
+    product_name: 'Extra Virgin Olive Oil',
+    quantity_per_serving: '0.5000',
+    ingredient_unit: 'tbsp',
+    unit_of_measure: 'l',
+    cost_per_unit: '12.0000'
+  }
+];
+
+describe('Costing a serving', () => {
+  it('should convert each ingredient into its product unit and price it', () => {
+    const costing = costRecipe(MARGHERITA_SERVING);
+
+    expect(costing.ingredients.map(ingredient => ingredient.quantity)).toEqual([0.0567, 0.0074]);
+    expect(costing.ingredients.map(ingredient => ingredient.cost)).toEqual([0.4819, 0.0887]);
+    expect(costing.cost_per_serving).toBe(0.5707);
+    expect(costing.problems).toEqual([]);
+  });
+
+  it('should leave out and report ingredients it cannot cost', () => {
+    const costing = costRecipe([
+      ...MARGHERITA_SERVING,
+      { product_id: 13, product_name: 'Parmesan Cheese', quantity_per_serving: '0.25', ingredient_unit: 'cup', unit_of_measure: 'kg', cost_per_unit: '25.0000' },
+      { product_id: 4, product_name: 'Fresh Basil', quantity_per_serving: '1.25', ingredient_unit: 'g', unit_of_measure: 'g', cost_per_unit: null }
+    ]);
+
+    expect(costing.cost_per_serving).toBe(0.5707);
+    expect(costing.problems.map(problem => problem.product_id)).toEqual([13, 4]);
+    expect(costing.problems[1].message).toBe('Fresh Basil has no cost per unit');
+  });
+});
+
+describe('Menu pricing', () => {
+  it('should work out the margin, food cost and the lowest price meeting the target', () => {
+    expect(profitMargin('4.99', '1.56')).toBe(0.69);
+    expect(profitMargin(0, 1)).toBeNull();
+    expect(priceRecommendation({ price: '4.99', cost_per_serving: '1.56' }, 30)).toEqual({
+      food_cost_percent: 31.26,
+      profit_margin: 0.69,
+      target_food_cost_percent: 30,
+      suggested_price: 5.2,
+      below_target: true
+    });
+    expect(priceRecommendation({ price: '20.00', cost_per_serving: '6.00' }, '30.00')).toMatchObject({
+      suggested_price: 20,
+      below_target: false
+    });
+  });
+
+  it('should validate target food costs and read the default from the environment', () => {
+    expect(validateTargetFoodCost(28.5)).toEqual([]);
+    expect(validateTargetFoodCost(null)).toEqual([]);
+    expect(validateTargetFoodCost(100)[0].field).toBe('target_food_cost_percent');
+    expect(validateTargetFoodCost('30')).toHaveLength(1);
+
+    expect(getTargetFoodCostPercent()).toBe(30);
+    vi.stubEnv('MENU_TARGET_FOOD_COST_PERCENT', '28');
+    expect(getTargetFoodCostPercent()).toBe(28);
+    vi.stubEnv('MENU_TARGET_FOOD_COST_PERCENT', '120');
+    expect(getTargetFoodCostPercent()).toBe(30);
+    vi.unstubAllEnvs();
+  });
+});
+
+describe('RecipeCostQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should store a changed cost on the recipe, its history and its menu items', async () => {
+    const client = createFakeClient([
+      ['SELECT cost_per_serving FROM recipes', [{ cost_per_serving: '0.5000' }]],
+      ['FROM recipe_ingredients ri', MARGHERITA_SERVING]
+    ], { transaction: true });
+
+    const change = await RecipeCostQueries.recostRecipe(client, 1, 'product_cost', 3);
+
+    expect(change).toEqual({ recipe_id: 1, cost_per_serving: 0.5707, previous_cost: 0.5 });
+    expect(client.queries.find(q => q.sql.includes('UPDATE recipes')).params).toEqual([0.5707, 1]);
+    expect(client.queries.find(q => q.sql.includes('INSERT INTO recipe_cost_history')).params)
+      .toEqual([1, 0.5707, 0.5, 'product_cost', 3]);
+    expect(client.queries.find(q => q.sql.includes('UPDATE menu_items')).params).toEqual([0.5707, 1]);
+  });
+
+  it('should record nothing when the cost has not changed', async () => {
+    const client = createFakeClient([
+      ['SELECT cost_per_serving FROM recipes', [{ cost_per_serving: '0.5707' }]],
+      ['FROM recipe_ingredients ri', MARGHERITA_SERVING]
+    ], { transaction: true });
+
+    expect(await RecipeCostQueries.recostRecipe(client, 1, 'recipe')).toBeNull();
+    expect(client.queries.some(q => q.sql.includes('INSERT INTO recipe_cost_history'))).toBe(false);
+  });
+
+  it('should recost the recipes using a product when a restock moves its average cost', async () => {
+    const recost = vi.spyOn(RecipeCostQueries, 'recostProductRecipes').mockResolvedValue([]);
+    const client = createFakeClient([
+      ['SELECT current_quantity, cost_per_unit FROM products', [{ current_quantity: '6.000', cost_per_unit: '8.0000' }]]
+    ], { transaction: true });
+
+    await CostingQueries.costTransaction(client, { id: 40, product_id: 3, transaction_type: 'restock', quantity_change: '6.000' }, { unit_cost: 8 });
+    expect(recost).not.toHaveBeenCalled();
+
+    await CostingQueries.costTransaction(client, { id: 41, product_id: 3, transaction_type: 'restock', quantity_change: '6.000' }, { unit_cost: 9 });
+    expect(recost).toHaveBeenCalledWith(client, 3);
+  });
+
+  it('should flag only the menu items below target when asked', async () => {
+    vi.spyOn(DatabaseUtils, 'query').mockResolvedValue({
+      rows: [
+        { id: 2, name: 'Fresh Lemonade', price: '4.99', cost_per_serving: '1.56', target_food_cost_percent: null },
+        { id: 5, name: 'Grilled Chicken', price: '15.99', cost_per_serving: '7.50', target_food_cost_percent: '35.00' },
+        { id: 7, name: 'Coffee', price: '2.99', cost_per_serving: '0.85', target_food_cost_percent: null }
+      ]
+    });
+
+    const pricing = await RecipeCostQueries.getMenuPricing({ below_target: true });
+
+    expect(pricing.below_target_count).toBe(2);
+    expect(pricing.items.map(item => [item.id, item.target_food_cost_percent, item.suggested_price]))
+      .toEqual([[2, 30, 5.2], [5, 35, 21.43]]);
+  });
+});
+
+describe('Recipe costing API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should price the menu and recalculate recipe costs', async () => {
+    const pricing = vi.spyOn(RecipeCostQueries, 'getMenuPricing').mockResolvedValue({ target_food_cost_percent: 30, items: [], below_target_count: 0 });
+    vi.spyOn(RecipeCostQueries, 'recalculateAll').mockResolvedValue([{ recipe_id: 2, cost_per_serving: 1.5603, previous_cost: 1.2 }]);
+
+    const response = await request(app).get('/api/menu/pricing?below_target=true');
+    const recalculated = await request(app).post('/api/menu/pricing/recalculate').send({});
+
+    expect(response.status).toBe(200);
+    expect(pricing).toHaveBeenCalledWith({ below_target: true });
+    expect(recalculated.status).toBe(200);
+    expect(recalculated.body.message).toBe('1 recipe cost changed');
+  });
+
+  it('should validate recipe IDs and menu item targets', async () => {
+    vi.spyOn(RecipeCostQueries, 'getRecipeCost').mockResolvedValue(null);
+
+    expect((await request(app).get('/api/recipes/abc/cost')).status).toBe(400);
+    expect((await request(app).get('/api/recipes/99/cost')).status).toBe(404);
+    const menuItem = await request(app)
+      .post('/api/menu')
+      .send({ name: 'Espresso', price: 3, category: 'Beverages', target_food_cost_percent: 0 });
+    expect(menuItem.status).toBe(400);
+    expect(menuItem.body.error).toContain('Target food cost');
+  });
+});
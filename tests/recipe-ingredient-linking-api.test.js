@@ -10,9 +10,9 @@ import { DatabaseUtils } from '../utils/database.js';
 
 describe('Recipe Ingredient Linking API', () => {
   let testProductId;
+  let otherProductId;
   let testRecipeId;
   let testRecipeIngredientId;
-  let testLinkId;
 
   beforeAll(async () => {
     // Create test product
@@ -23,6 +23,13 @@ describe('Recipe Ingredient Linking API', () => {
     `);
     testProductId = productResult.rows[0].id;
 
+    const otherProductResult = await DatabaseUtils.query(`
+      INSERT INTO products (name, unit_of_measure, current_quantity)
+      VALUES ('Test Other Product for API', 'g', 500.0)
+      RETURNING id
+    `);
+    otherProductId = otherProductResult.rows[0].id;
+
     // Create test recipe and ingredient
     const recipeResult = await DatabaseUtils.query(`
       INSERT INTO recipes (name, description, category, servings, prep_time, cook_time)
@@ -32,34 +39,24 @@ describe('Recipe Ingredient Linking API', () => {
     testRecipeId = recipeResult.rows[0].id;
 
     const ingredientResult = await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredients (recipe_id, name, quantity, unit, order_index)
-      VALUES ($1, 'Test Ingredient for API', 3.0, 'kg', 1)
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index)
+      VALUES ($1, $2, 3.0, 'g', 1)
       RETURNING id
-    `, [testRecipeId]);
+    `, [testRecipeId, otherProductId]);
     testRecipeIngredientId = ingredientResult.rows[0].id;
   });
 
   afterAll(async () => {
-    // Clean up test data
-    if (testLinkId) {
-      await DatabaseUtils.query('DELETE FROM recipe_ingredient_products WHERE id = $1', [testLinkId]);
-    }
-    if (testRecipeIngredientId) {
-      await DatabaseUtils.query('DELETE FROM recipe_ingredients WHERE id = $1', [testRecipeIngredientId]);
-    }
-    if (testProductId) {
-      await DatabaseUtils.query('DELETE FROM products WHERE id = $1', [testProductId]);
-    }
-    // Clean up recipe (will cascade to ingredients)
+    // Clean up recipe (will cascade to ingredients), then the products they used
     await DatabaseUtils.query('DELETE FROM recipes WHERE id = $1', [testRecipeId]);
+    await DatabaseUtils.query('DELETE FROM products WHERE id = ANY($1)', [[testProductId, otherProductId]]);
   });
 
   beforeEach(async () => {
-    // Clean up any existing test links
+    // Point the test ingredient back at the other product, unlinking it from the test product
     await DatabaseUtils.query(`
-      DELETE FROM recipe_ingredient_products 
-      WHERE recipe_ingredient_id = $1 AND product_id = $2
-    `, [testRecipeIngredientId, testProductId]);
+      UPDATE recipe_ingredients SET product_id = $2, quantity = 3.0, unit = 'g' WHERE id = $1
+    `, [testRecipeIngredientId, otherProductId]);
   });
 
   describe('POST /api/inventory/recipe-links', () => {
@@ -80,9 +77,7 @@ describe('Recipe Ingredient Linking API', () => {
       expect(response.body.link.recipe_ingredient_id).toBe(testRecipeIngredientId);
       expect(response.body.link.product_id).toBe(testProductId);
       expect(parseFloat(response.body.link.quantity_per_serving)).toBe(2.5);
-      expect(response.body.link.id).toBeTruthy();
-
-      testLinkId = response.body.link.id; // Store for cleanup
+      expect(response.body.link.id).toBe(testRecipeIngredientId);
     });
 
     it('should reject invalid link data', async () => {
@@ -180,8 +175,7 @@ describe('Recipe Ingredient Linking API', () => {
         .post('/api/inventory/recipe-links')
         .send(linkData)
         .expect(201);
-
-      testLinkId = firstResponse.body.link.id;
+      expect(firstResponse.body.link.id).toBe(testRecipeIngredientId);
 
       // Try to create duplicate link
       const secondResponse = await request(app)
@@ -198,23 +192,11 @@ describe('Recipe Ingredient Linking API', () => {
   });
 
   describe('GET /api/inventory/recipe-links/:recipeId', () => {
-    it('should return empty array when no links exist', async () => {
-      const response = await request(app)
-        .get(`/api/inventory/recipe-links/${testRecipeId}`)
-        .expect(200);
-
-      expect(response.body.recipeId).toBe(testRecipeId);
-      expect(response.body.links).toEqual([]);
-    });
-
     it('should return links with ingredient and product info', async () => {
-      // Create a test link first
-      const linkResult = await DatabaseUtils.query(`
-        INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-        VALUES ($1, $2, $3)
-        RETURNING id
-      `, [testRecipeIngredientId, testProductId, 1.5]);
-      testLinkId = linkResult.rows[0].id;
+      // 6 kg over 4 servings is 1.5 kg of the test product per serving
+      await DatabaseUtils.query(`
+        UPDATE recipe_ingredients SET product_id = $2, quantity = 6.0, unit = 'kg' WHERE id = $1
+      `, [testRecipeIngredientId, testProductId]);
 
       const response = await request(app)
         .get(`/api/inventory/recipe-links/${testRecipeId}`)
@@ -226,11 +208,11 @@ describe('Recipe Ingredient Linking API', () => {
       const link = response.body.links[0];
       expect(link.recipe_ingredient_id).toBe(testRecipeIngredientId);
       expect(link.product_id).toBe(testProductId);
-      expect(parseFloat(link.quantity_per_serving)).toBe(1.5);
-      expect(link.ingredient_name).toBe('Test Ingredient for API');
+      expect(link.quantity_per_serving).toBe(1.5);
+      expect(link.ingredient_name).toBe('Test Product for API');
       expect(link.product_name).toBe('Test Product for API');
-      expect(link.unit_of_measure).toBe('kg');
-      expect(parseFloat(link.current_quantity)).toBe(15.0);
+      expect(link.product_unit_of_measure).toBe('kg');
+      expect(parseFloat(link.product_current_quantity)).toBe(15.0);
     });
 
     it('should reject invalid recipe ID', async () => {
@@ -260,13 +242,13 @@ describe('Recipe Ingredient Linking API', () => {
   });
 
   describe('DELETE /api/inventory/recipe-links/:id', () => {
-    it('should delete existing link', async () => {
-      // Create a test link first
+    it('should delete existing link, removing the ingredient from its recipe', async () => {
+      // A second ingredient to delete, keeping the one the other tests use
       const linkResult = await DatabaseUtils.query(`
-        INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-        VALUES ($1, $2, $3)
+        INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index)
+        VALUES ($1, $2, 2.0, 'kg', 2)
         RETURNING id
-      `, [testRecipeIngredientId, testProductId, 2.0]);
+      `, [testRecipeId, testProductId]);
       const linkId = linkResult.rows[0].id;
 
       const response = await request(app)
@@ -277,7 +259,7 @@ describe('Recipe Ingredient Linking API', () => {
 
       // Verify link was deleted
       const checkResult = await DatabaseUtils.query(`
-        SELECT id FROM recipe_ingredient_products WHERE id = $1
+        SELECT id FROM recipe_ingredients WHERE id = $1
       `, [linkId]);
       expect(checkResult.rows).toHaveLength(0);
     });
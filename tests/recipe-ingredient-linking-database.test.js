@@ -9,8 +9,18 @@ import { RecipeIngredientProductQueries } from '../utils/inventory-database.js';
 
 describe('Recipe Ingredient Linking Database Operations', () => {
   let testProductId;
+  let otherProductId;
+  let testRecipeId;
   let testRecipeIngredientId;
-  let testLinkId;
+
+  /**
+   * Point the test ingredient back at the other product, unlinking it from the test product
+   */
+  async function resetIngredient() {
+    await DatabaseUtils.query(`
+      UPDATE recipe_ingredients SET product_id = $2, quantity = 2.0, unit = 'g' WHERE id = $1
+    `, [testRecipeIngredientId, otherProductId]);
+  }
 
   beforeAll(async () => {
     // Create test product
@@ -21,35 +31,33 @@ describe('Recipe Ingredient Linking Database Operations', () => {
     `);
     testProductId = productResult.rows[0].id;
 
+    const otherProductResult = await DatabaseUtils.query(`
+      INSERT INTO products (name, unit_of_measure, current_quantity)
+      VALUES ('Test Other Product for Linking', 'g', 500.0)
+      RETURNING id
+    `);
+    otherProductId = otherProductResult.rows[0].id;
+
     // Create test recipe and ingredient
     const recipeResult = await DatabaseUtils.query(`
       INSERT INTO recipes (name, description, category, servings, prep_time, cook_time)
       VALUES ('Test Recipe for Linking', 'Test recipe', 'food', 4, 10, 20)
       RETURNING id
     `);
-    const testRecipeId = recipeResult.rows[0].id;
+    testRecipeId = recipeResult.rows[0].id;
 
     const ingredientResult = await DatabaseUtils.query(`
-      INSERT INTO recipe_ingredients (recipe_id, name, quantity, unit, order_index)
-      VALUES ($1, 'Test Ingredient', 2.0, 'kg', 1)
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index)
+      VALUES ($1, $2, 2.0, 'g', 1)
       RETURNING id
-    `, [testRecipeId]);
+    `, [testRecipeId, otherProductId]);
     testRecipeIngredientId = ingredientResult.rows[0].id;
   });
 
   afterAll(async () => {
-    // Clean up test data
-    if (testLinkId) {
-      await DatabaseUtils.query('DELETE FROM recipe_ingredient_products WHERE id = $1', [testLinkId]);
-    }
-    if (testRecipeIngredientId) {
-      await DatabaseUtils.query('DELETE FROM recipe_ingredients WHERE id = $1', [testRecipeIngredientId]);
-    }
-    if (testProductId) {
-      await DatabaseUtils.query('DELETE FROM products WHERE id = $1', [testProductId]);
-    }
-    // Clean up recipe (will cascade to ingredients)
+    // Clean up recipe (will cascade to ingredients), then the products they used
     await DatabaseUtils.query('DELETE FROM recipes WHERE name = $1', ['Test Recipe for Linking']);
+    await DatabaseUtils.query('DELETE FROM products WHERE id = ANY($1)', [[testProductId, otherProductId]]);
   });
 
   describe('validateRecipeIngredientExists', () => {
@@ -134,11 +142,8 @@ describe('Recipe Ingredient Linking Database Operations', () => {
 
   describe('linkExists', () => {
     beforeEach(async () => {
-      // Clean up any existing test links
-      await DatabaseUtils.query(`
-        DELETE FROM recipe_ingredient_products 
-        WHERE recipe_ingredient_id = $1 AND product_id = $2
-      `, [testRecipeIngredientId, testProductId]);
+      // Unlink the ingredient from the test product
+      await resetIngredient();
     });
 
     it('should return false when link does not exist', async () => {
@@ -150,33 +155,23 @@ describe('Recipe Ingredient Linking Database Operations', () => {
     });
 
     it('should return true when link exists', async () => {
-      // Create a test link
+      // Point the ingredient at the test product
       await DatabaseUtils.query(`
-        INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-        VALUES ($1, $2, $3)
-      `, [testRecipeIngredientId, testProductId, 2.5]);
+        UPDATE recipe_ingredients SET product_id = $2 WHERE id = $1
+      `, [testRecipeIngredientId, testProductId]);
 
       const exists = await RecipeIngredientProductQueries.linkExists(
         testRecipeIngredientId, 
         testProductId
       );
       expect(exists).toBe(true);
-
-      // Clean up
-      await DatabaseUtils.query(`
-        DELETE FROM recipe_ingredient_products 
-        WHERE recipe_ingredient_id = $1 AND product_id = $2
-      `, [testRecipeIngredientId, testProductId]);
     });
   });
 
   describe('createLinkWithValidation', () => {
     beforeEach(async () => {
-      // Clean up any existing test links
-      await DatabaseUtils.query(`
-        DELETE FROM recipe_ingredient_products 
-        WHERE recipe_ingredient_id = $1 AND product_id = $2
-      `, [testRecipeIngredientId, testProductId]);
+      // Unlink the ingredient from the test product
+      await resetIngredient();
     });
 
     it('should create valid link successfully', async () => {
@@ -193,8 +188,6 @@ describe('Recipe Ingredient Linking Database Operations', () => {
       expect(result.data.recipe_ingredient_id).toBe(testRecipeIngredientId);
       expect(result.data.product_id).toBe(testProductId);
       expect(parseFloat(result.data.quantity_per_serving)).toBe(2.5);
-
-      testLinkId = result.data.id; // Store for cleanup
     });
 
     it('should reject invalid link data', async () => {
@@ -259,7 +252,6 @@ describe('Recipe Ingredient Linking Database Operations', () => {
       // Create first link
       const firstResult = await RecipeIngredientProductQueries.createLinkWithValidation(linkData);
       expect(firstResult.success).toBe(true);
-      testLinkId = firstResult.data.id;
 
       // Try to create duplicate link
       const secondResult = await RecipeIngredientProductQueries.createLinkWithValidation(linkData);
@@ -274,11 +266,8 @@ describe('Recipe Ingredient Linking Database Operations', () => {
 
   describe('createLink (basic operation)', () => {
     beforeEach(async () => {
-      // Clean up any existing test links
-      await DatabaseUtils.query(`
-        DELETE FROM recipe_ingredient_products 
-        WHERE recipe_ingredient_id = $1 AND product_id = $2
-      `, [testRecipeIngredientId, testProductId]);
+      // Unlink the ingredient from the test product
+      await resetIngredient();
     });
 
     it('should create link with valid data', async () => {
@@ -294,45 +283,41 @@ describe('Recipe Ingredient Linking Database Operations', () => {
       expect(result.recipe_ingredient_id).toBe(testRecipeIngredientId);
       expect(result.product_id).toBe(testProductId);
       expect(parseFloat(result.quantity_per_serving)).toBe(3.0);
-      expect(result.id).toBeTruthy();
-      expect(result.created_at).toBeTruthy();
+      expect(result.id).toBe(testRecipeIngredientId);
 
-      testLinkId = result.id; // Store for cleanup
+      // The ingredient takes the product's unit, with the quantity the recipe's 4 servings need
+      const ingredient = await DatabaseUtils.query(`
+        SELECT product_id, quantity, unit FROM recipe_ingredients WHERE id = $1
+      `, [testRecipeIngredientId]);
+      expect(ingredient.rows[0]).toEqual({ product_id: testProductId, quantity: '12.000', unit: 'kg' });
     });
-  });
 
-  describe('getRecipeProductLinks', () => {
-    let testRecipeId;
-
-    beforeAll(async () => {
-      // Get the recipe ID for our test ingredient
-      const recipeResult = await DatabaseUtils.query(`
-        SELECT recipe_id FROM recipe_ingredients WHERE id = $1
-      `, [testRecipeIngredientId]);
-      testRecipeId = recipeResult.rows[0].recipe_id;
+    it('should return null for a non-existing recipe ingredient', async () => {
+      const result = await RecipeIngredientProductQueries.createLink({
+        recipe_ingredient_id: 99999,
+        product_id: testProductId,
+        quantity_per_serving: 3.0
+      });
+      expect(result).toBeNull();
     });
+  });
 
+  describe('getRecipeProductLinks', () => {
     beforeEach(async () => {
-      // Clean up any existing test links
-      await DatabaseUtils.query(`
-        DELETE FROM recipe_ingredient_products 
-        WHERE recipe_ingredient_id = $1
-      `, [testRecipeIngredientId]);
+      // Unlink the ingredient from the test product
+      await resetIngredient();
     });
 
-    it('should return empty array when no links exist', async () => {
-      const links = await RecipeIngredientProductQueries.getRecipeProductLinks(testRecipeId);
+    it('should return empty array for a recipe without ingredients', async () => {
+      const links = await RecipeIngredientProductQueries.getRecipeProductLinks(99999);
       expect(links).toEqual([]);
     });
 
     it('should return links with ingredient and product info', async () => {
-      // Create a test link
-      const linkResult = await DatabaseUtils.query(`
-        INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-        VALUES ($1, $2, $3)
-        RETURNING id
-      `, [testRecipeIngredientId, testProductId, 1.5]);
-      testLinkId = linkResult.rows[0].id;
+      // 6000 g over 4 servings is 1.5 kg of the test product per serving
+      await DatabaseUtils.query(`
+        UPDATE recipe_ingredients SET product_id = $2, quantity = 6000, unit = 'g' WHERE id = $1
+      `, [testRecipeIngredientId, testProductId]);
 
       const links = await RecipeIngredientProductQueries.getRecipeProductLinks(testRecipeId);
       
@@ -341,21 +326,31 @@ describe('Recipe Ingredient Linking Database Operations', () => {
       
       expect(link.recipe_ingredient_id).toBe(testRecipeIngredientId);
       expect(link.product_id).toBe(testProductId);
-      expect(parseFloat(link.quantity_per_serving)).toBe(1.5);
-      expect(link.ingredient_name).toBe('Test Ingredient');
+      expect(link.quantity_per_serving).toBe(1.5);
+      expect(link.ingredient_unit).toBe('g');
+      expect(link.conversion_problem).toBeNull();
+      expect(link.ingredient_name).toBe('Test Product for Linking');
       expect(link.product_name).toBe('Test Product for Linking');
-      expect(link.unit_of_measure).toBe('kg');
-      expect(parseFloat(link.current_quantity)).toBe(10.0);
+      expect(link.product_unit_of_measure).toBe('kg');
+      expect(parseFloat(link.product_current_quantity)).toBe(10.0);
+    });
+
+    it('should report an ingredient whose unit does not convert to its product\'s', async () => {
+      await DatabaseUtils.query(`
+        UPDATE recipe_ingredients SET product_id = $2, unit = 'cup' WHERE id = $1
+      `, [testRecipeIngredientId, testProductId]);
+
+      const [link] = await RecipeIngredientProductQueries.getRecipeProductLinks(testRecipeId);
+
+      expect(link.quantity_per_serving).toBeNull();
+      expect(link.conversion_problem).toBeTruthy();
     });
   });
 
   describe('deleteLink', () => {
     beforeEach(async () => {
-      // Clean up any existing test links
-      await DatabaseUtils.query(`
-        DELETE FROM recipe_ingredient_products 
-        WHERE recipe_ingredient_id = $1 AND product_id = $2
-      `, [testRecipeIngredientId, testProductId]);
+      // Unlink the ingredient from the test product
+      await resetIngredient();
     });
 
     it('should return false when trying to delete non-existing link', async () => {
@@ -363,13 +358,13 @@ describe('Recipe Ingredient Linking Database Operations', () => {
       expect(result).toBe(false);
     });
 
-    it('should delete existing link and return true', async () => {
-      // Create a test link
+    it('should remove the ingredient from its recipe and return true', async () => {
+      // A second ingredient to delete, keeping the one the other tests use
       const linkResult = await DatabaseUtils.query(`
-        INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-        VALUES ($1, $2, $3)
+        INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index)
+        VALUES ($1, $2, 2.0, 'kg', 2)
         RETURNING id
-      `, [testRecipeIngredientId, testProductId, 2.0]);
+      `, [testRecipeId, testProductId]);
       const linkId = linkResult.rows[0].id;
 
       const result = await RecipeIngredientProductQueries.deleteLink(linkId);
@@ -377,7 +372,7 @@ describe('Recipe Ingredient Linking Database Operations', () => {
 
       // Verify link was deleted
       const checkResult = await DatabaseUtils.query(`
-        SELECT id FROM recipe_ingredient_products WHERE id = $1
+        SELECT id FROM recipe_ingredients WHERE id = $1
       `, [linkId]);
       expect(checkResult.rows).toHaveLength(0);
     });
@@ -8,23 +8,23 @@ const __dirname = path.dirname(__filename);
 
 describe('Recipe Ingredients Product Migration SQL Syntax', () => {
   it('should have valid SQL syntax in migration script', () => {
-    const migrationPath = path.join(__dirname, '../database/recipe-ingredients-product-migration.sql');
+    const migrationPath = path.join(__dirname, '../database/migrations/003_recipe_ingredients_product_reference.up.sql');
     expect(fs.existsSync(migrationPath)).toBe(true);
     
     const migrationScript = fs.readFileSync(migrationPath, 'utf8');
     
     // Check that the script contains the expected SQL statements
     expect(migrationScript).toContain('ALTER TABLE recipe_ingredients');
-    expect(migrationScript).toContain('ADD COLUMN product_id INTEGER');
+    expect(migrationScript).toContain('ADD COLUMN IF NOT EXISTS product_id INTEGER');
     expect(migrationScript).toContain('FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT');
-    expect(migrationScript).toContain('DROP COLUMN name');
+    expect(migrationScript).toContain('DROP COLUMN IF EXISTS name');
     expect(migrationScript).toContain('CREATE INDEX');
     expect(migrationScript).toContain('idx_recipe_ingredients_product_id');
     expect(migrationScript).toContain('DROP TABLE IF EXISTS recipe_ingredient_products');
     
-    // Check that the script is wrapped in a transaction
-    expect(migrationScript).toContain('BEGIN;');
-    expect(migrationScript).toContain('COMMIT;');
+    // The migration runner wraps each migration in its own transaction
+    expect(migrationScript).not.toContain('BEGIN;');
+    expect(migrationScript).not.toContain('COMMIT;');
     
     // Check that it updates existing data
     expect(migrationScript).toContain('UPDATE recipe_ingredients');
@@ -35,7 +35,7 @@ describe('Recipe Ingredients Product Migration SQL Syntax', () => {
   });
 
   it('should have proper SQL statement order', () => {
-    const migrationPath = path.join(__dirname, '../database/recipe-ingredients-product-migration.sql');
+    const migrationPath = path.join(__dirname, '../database/migrations/003_recipe_ingredients_product_reference.up.sql');
     const migrationScript = fs.readFileSync(migrationPath, 'utf8');
     
     // Remove comments and empty lines for easier parsing
@@ -58,12 +58,12 @@ describe('Recipe Ingredients Product Migration SQL Syntax', () => {
     expect(setNotNullIndex).toBeLessThan(addConstraintIndex);
     
     // Check that DROP COLUMN comes after ADD CONSTRAINT
-    const dropColumnIndex = statements.indexOf('DROP COLUMN name');
+    const dropColumnIndex = statements.indexOf('DROP COLUMN IF EXISTS name');
     expect(addConstraintIndex).toBeLessThan(dropColumnIndex);
   });
 
   it('should properly handle the migration steps', () => {
-    const migrationPath = path.join(__dirname, '../database/recipe-ingredients-product-migration.sql');
+    const migrationPath = path.join(__dirname, '../database/migrations/003_recipe_ingredients_product_reference.up.sql');
     const migrationScript = fs.readFileSync(migrationPath, 'utf8');
     
     // Check for proper step comments
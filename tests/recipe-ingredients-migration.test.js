@@ -1,21 +1,28 @@
 import { describe, it, expect, beforeAll, afterAll } from 'vitest';
 import { DatabaseUtils } from '../utils/database.js';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+const { migrateTo, migrateUp } = require('../utils/migration-runner');
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const quiet = () => {};
 
 describe('Recipe Ingredients Product Migration', () => {
   beforeAll(async () => {
-    // Reset database to initial state
-    const resetScript = fs.readFileSync(path.join(__dirname, '../database/reset-database.sql'), 'utf8');
-    await DatabaseUtils.query(resetScript);
+    // Roll back to the schema before the product reference migration and load legacy name-based rows;
+    // identities restart so the rows get ids 1 and 2
+    await migrateTo(2, { log: quiet });
+    await DatabaseUtils.query('TRUNCATE recipe_ingredient_products, recipe_ingredients, recipe_steps, menu_items, recipes, products RESTART IDENTITY CASCADE');
+    await DatabaseUtils.query(`
+      INSERT INTO recipes (name, category, servings) VALUES ('Legacy Bread', 'food', 4);
+      INSERT INTO products (name, unit_of_measure, current_quantity) VALUES ('Flour', 'kg', 10), ('Yeast', 'kg', 1);
+      INSERT INTO recipe_ingredients (recipe_id, name, quantity, unit, order_index)
+      VALUES (1, 'Flour', 0.5, 'kg', 1), (1, 'Yeast', 0.01, 'kg', 2);
+      INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
+      VALUES (1, 1, 0.125), (2, 2, 0.0025);
+    `);
   });
 
   afterAll(async () => {
-    // Database connection cleanup is handled by the DatabaseUtils class
+    // Leave the schema fully migrated for the other suites even when a test above failed
+    await migrateUp({ log: quiet });
   });
 
   it('should successfully migrate recipe_ingredients to use product references', async () => {
@@ -32,9 +39,9 @@ describe('Recipe Ingredients Product Migration', () => {
     const initialIngredients = await DatabaseUtils.query('SELECT COUNT(*) as count FROM recipe_ingredients WHERE name IS NOT NULL');
     expect(parseInt(initialIngredients.rows[0].count)).toBeGreaterThan(0);
 
-    // Run the migration script
-    const migrationScript = fs.readFileSync(path.join(__dirname, '../database/recipe-ingredients-product-migration.sql'), 'utf8');
-    await DatabaseUtils.query(migrationScript);
+    // Run the remaining migrations
+    const applied = await migrateUp({ log: quiet });
+    expect(applied.map(m => m.version)).toContain(3);
 
     // Verify migration results
     
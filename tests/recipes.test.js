@@ -749,13 +749,13 @@ describe("Recipe API Integration Tests", () => {
           {
             product_id: 1, // Pizza Dough Balls
             quantity: 1,
-            unit: "cup",
+            unit: "pieces",
             notes: "Original notes",
           },
           {
             product_id: 2, // Tomato Sauce
             quantity: 2,
-            unit: "pieces",
+            unit: "cups",
           },
         ],
         steps: [
@@ -796,13 +796,13 @@ describe("Recipe API Integration Tests", () => {
           {
             product_id: 3, // Fresh Mozzarella
             quantity: 1.5,
-            unit: "liters",
+            unit: "kg",
             notes: "Updated notes",
           },
           {
             product_id: 4, // Fresh Basil
             quantity: 3,
-            unit: "tablespoons",
+            unit: "g",
           },
           {
             product_id: 5, // Extra Virgin Olive Oil
@@ -858,7 +858,7 @@ describe("Recipe API Integration Tests", () => {
       expect(ingredientsResult.rows).toHaveLength(3);
       expect(ingredientsResult.rows[0].product_id).toBe(3);
       expect(ingredientsResult.rows[0].quantity).toBe("1.500");
-      expect(ingredientsResult.rows[0].unit).toBe("liters");
+      expect(ingredientsResult.rows[0].unit).toBe("kg");
       expect(ingredientsResult.rows[2].product_id).toBe(5);
 
       // Verify steps were updated in database
@@ -879,7 +879,7 @@ describe("Recipe API Integration Tests", () => {
           {
             product_id: 6, // Sea Salt
             quantity: 1,
-            unit: "piece",
+            unit: "tsp",
           },
         ],
         steps: [
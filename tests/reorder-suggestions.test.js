@@ -0,0 +1,181 @@
+/**
+ * Tests for reorder suggestions
+ * Covers the usage, reorder point and pack rounding calculations, grouping by supplier, drafting a
+ * purchase order from the suggestions and the API's routing and validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+const {
+  validateSuggestionOrder,
+  roundUpToPacks,
+  suggestReorder,
+  groupBySupplier
+} = require('../models/Reorder');
+const { ReorderQueries } = require('../utils/reorder-database');
+const { PurchaseOrderQueries } = require('../utils/purchase-order-database');
+const { DatabaseUtils } = require('../utils/database');
+
+const MOZZARELLA = {
+  id: 3,
+  name: 'Fresh Mozzarella',
+  unit_of_measure: 'kg',
+  current_quantity: '4.000',
+  low_stock_threshold: 3,
+  par_level: null,
+  cost_per_unit: '8.5000',
+  consumed: '28.000',
+  on_order: '0',
+  supplier_id: 3,
+  supplier_name: 'Dairy Fresh Ltd',
+  lead_time_days: 2,
+  minimum_order_amount: '50.00',
+  pack_size: '1.000',
+  pack_cost: '8.50',
+  supplier_sku: 'DF-MOZ-1'
+};
+
+describe('Reorder calculations', () => {
+  it('should suggest covering the lead time and cover days once stock reaches the reorder point', () => {
+    // 1 kg a day over 28 days: reorder at 3 + 2 = 5 kg and order up to 5 + 7 = 12 kg
+    const suggestion = suggestReorder(MOZZARELLA, { lookback_days: 28, cover_days: 7 });
+
+    expect(suggestion).toEqual({
+      average_daily_usage: 1,
+      days_of_stock: 4,
+      reorder_point: 5,
+      order_up_to: 12,
+      suggested_quantity: 8,
+      urgent: false
+    });
+  });
+
+  it('should order up to the par level and count what is already on order', () => {
+    const product = { ...MOZZARELLA, par_level: '15.000', on_order: '6.000' };
+
+    expect(suggestReorder(product, { lookback_days: 28 }).suggested_quantity).toBe(0);
+    expect(suggestReorder({ ...product, on_order: '0.5', pack_size: '0.5' }, { lookback_days: 28 }).suggested_quantity).toBe(10.5);
+    expect(suggestReorder({ ...product, on_order: '0.5' }, { lookback_days: 28 }).suggested_quantity).toBe(11);
+  });
+
+  it('should not suggest a product with stock above its reorder point', () => {
+    expect(suggestReorder({ ...MOZZARELLA, current_quantity: '5.5' }, { lookback_days: 28 }).suggested_quantity).toBe(0);
+  });
+
+  it('should flag products that run out before a delivery could arrive', () => {
+    const suggestion = suggestReorder({ ...MOZZARELLA, current_quantity: '1.5' }, { lookback_days: 28 });
+
+    expect(suggestion.days_of_stock).toBe(1.5);
+    expect(suggestion.urgent).toBe(true);
+  });
+
+  it('should round up to whole supplier packs', () => {
+    expect(roundUpToPacks(30, 24)).toBe(48);
+    expect(roundUpToPacks(48, 24)).toBe(48);
+    expect(roundUpToPacks(0.3, 0.25)).toBe(0.5);
+  });
+
+  it('should group lines by supplier with products without a supplier last', () => {
+    const groups = groupBySupplier([
+      { product_id: 7, supplier_id: null, estimated_cost: 10 },
+      { product_id: 3, supplier_id: 3, supplier_name: 'Dairy Fresh Ltd', lead_time_days: 2, minimum_order_amount: '50.00', estimated_cost: 68 },
+      { product_id: 1, supplier_id: 1, supplier_name: 'Local Bakery Supply', lead_time_days: 1, minimum_order_amount: '25.00', estimated_cost: 12.5 },
+      { product_id: 14, supplier_id: 3, supplier_name: 'Dairy Fresh Ltd', lead_time_days: 2, minimum_order_amount: '50.00', estimated_cost: 16.8 }
+    ]);
+
+    expect(groups.map(group => group.supplier_id)).toEqual([3, 1, null]);
+    expect(groups[0]).toMatchObject({ total: 84.8, meets_minimum: true });
+    expect(groups[0].lines.map(line => line.product_id)).toEqual([3, 14]);
+    expect(groups[1]).toMatchObject({ total: 12.5, meets_minimum: false });
+  });
+
+  it('should require a supplier and distinct product IDs to draft an order', () => {
+    const result = validateSuggestionOrder({ product_ids: [3, 3], cover_days: 120 });
+
+    expect(result.errors.map(error => error.field)).toEqual(['supplier_id', 'product_ids', 'cover_days']);
+  });
+});
+
+describe('ReorderQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should read usage from sale and waste transactions over the lookback window', async () => {
+    const query = vi.spyOn(DatabaseUtils, 'query').mockResolvedValue({
+      rows: [MOZZARELLA, { ...MOZZARELLA, id: 14, name: 'Heavy Cream', current_quantity: '20.000' }]
+    });
+
+    const suggestions = await ReorderQueries.getSuggestions({ lookback_days: 28 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("transaction_type IN ('sale', 'waste')");
+    expect(params).toEqual([28, ['draft', 'sent', 'partially_received']]);
+    expect(suggestions).toMatchObject({ lookback_days: 28, cover_days: 7, product_count: 1, urgent_count: 0 });
+    expect(suggestions.suppliers[0].lines[0]).toMatchObject({
+      product_id: 3,
+      suggested_quantity: 8,
+      estimated_cost: 68
+    });
+  });
+
+  it('should draft the supplier\'s suggested lines as a purchase order', async () => {
+    vi.spyOn(DatabaseUtils, 'query').mockResolvedValue({ rows: [MOZZARELLA] });
+    const create = vi.spyOn(PurchaseOrderQueries, 'createPurchaseOrder').mockResolvedValue({ id: 9, status: 'draft' });
+
+    const order = await ReorderQueries.createPurchaseOrderFromSuggestions({ supplier_id: 3 }, { id: 2 });
+
+    expect(order.id).toBe(9);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      supplier_id: 3,
+      lines: [{ product_id: 3, quantity_ordered: 8 }]
+    }), { id: 2 });
+  });
+
+  it('should refuse to draft an order when nothing is suggested for the supplier', async () => {
+    vi.spyOn(DatabaseUtils, 'query').mockResolvedValue({ rows: [MOZZARELLA] });
+
+    await expect(ReorderQueries.createPurchaseOrderFromSuggestions({ supplier_id: 4 }, null))
+      .rejects.toMatchObject({ type: 'validation' });
+    await expect(ReorderQueries.createPurchaseOrderFromSuggestions({ supplier_id: 3, product_ids: [14] }, null))
+      .rejects.toMatchObject({ type: 'validation' });
+  });
+});
+
+describe('Reorder suggestions API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should pass the lookback and cover days to the suggestions', async () => {
+    const getSuggestions = vi.spyOn(ReorderQueries, 'getSuggestions').mockResolvedValue({ suppliers: [] });
+
+    const response = await request(app).get('/api/purchase-orders/suggestions?lookback_days=14&cover_days=3');
+
+    expect(response.status).toBe(200);
+    expect(getSuggestions).toHaveBeenCalledWith({ lookback_days: 14, cover_days: 3 });
+  });
+
+  it('should reject an invalid lookback', async () => {
+    const response = await request(app).get('/api/purchase-orders/suggestions?lookback_days=0');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('lookback_days');
+  });
+
+  it('should draft a purchase order from the suggestions', async () => {
+    vi.spyOn(ReorderQueries, 'createPurchaseOrderFromSuggestions').mockResolvedValue({ id: 9, status: 'draft' });
+
+    const response = await request(app).post('/api/purchase-orders/from-suggestions').send({ supplier_id: 3 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.purchase_order.id).toBe(9);
+  });
+});
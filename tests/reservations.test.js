@@ -0,0 +1,365 @@
+/**
+ * Tests for reservations and the waitlist
+ * Covers validation, table choice and wait quotes, the booking logic in ReservationQueries and
+ * WaitlistQueries (against a fake client) and the API's validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const {
+  validateReservation,
+  validateSeating,
+  chooseTables
+} = require('../models/Reservation');
+const { validateWaitlistEntry, estimateWaitMinutes } = require('../models/Waitlist');
+const { ReservationQueries } = require('../utils/reservation-database');
+const { WaitlistQueries } = require('../utils/waitlist-database');
+const { DatabaseUtils } = require('../utils/database');
+const { EventBus } = require('../utils/event-bus');
+
+const floor = [
+  { id: 1, table_number: 1, capacity: 2 },
+  { id: 2, table_number: 2, capacity: 4 },
+  { id: 3, table_number: 3, capacity: 4 },
+  { id: 4, table_number: 4, capacity: 6 },
+  { id: 5, table_number: 5, capacity: 2 }
+];
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+describe('Reservation validation', () => {
+  it('should require a name, party size and time', () => {
+    const result = validateReservation({});
+
+    expect(result.errors.map(error => error.field)).toEqual(['customer_name', 'party_size', 'reserved_for']);
+  });
+
+  it('should reject a booking in the past', () => {
+    const result = validateReservation({
+      customer_name: 'Ada',
+      party_size: 2,
+      reserved_for: '2020-01-01T19:00:00Z'
+    });
+
+    expect(result.errors).toEqual([{ field: 'reserved_for', message: 'Reservation time must be in the future' }]);
+  });
+
+  it('should only check the fields given when changing a booking', () => {
+    expect(validateReservation({ notes: 'Window seat' }, true).isValid).toBe(true);
+    expect(validateReservation({ party_size: 0 }, true).errors[0].field).toBe('party_size');
+  });
+
+  it('should reject tables listed twice', () => {
+    const result = validateReservation({ customer_name: 'Ada', party_size: 2, reserved_for: tomorrow(), table_ids: [2, 2] });
+
+    expect(result.errors).toEqual([{ field: 'table_ids', message: 'Each table can only be listed once' }]);
+  });
+
+  it('should only require tables for seating when asked to', () => {
+    expect(validateSeating({}, false).isValid).toBe(true);
+    expect(validateSeating({}).errors[0].field).toBe('table_ids');
+  });
+});
+
+describe('chooseTables', () => {
+  it('should pick the smallest table that seats the party', () => {
+    expect(chooseTables(floor, 3).map(table => table.id)).toEqual([2]);
+    expect(chooseTables(floor, 5).map(table => table.id)).toEqual([4]);
+  });
+
+  it('should combine the fewest tables, wasting as few seats as possible', () => {
+    expect(chooseTables(floor, 8).map(table => table.id)).toEqual([1, 4]);
+    expect(chooseTables(floor, 10).map(table => table.id)).toEqual([2, 4]);
+    expect(chooseTables(floor, 16).map(table => table.id)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should return null when the free tables cannot seat the party', () => {
+    expect(chooseTables(floor, 19)).toBeNull();
+    expect(chooseTables(floor.slice(0, 2), 8)).toBeNull();
+    expect(chooseTables([], 2)).toBeNull();
+  });
+});
+
+describe('Waitlist', () => {
+  const tables = [
+    { capacity: 2, status: 'occupied' },
+    { capacity: 4, status: 'available' },
+    { capacity: 4, status: 'occupied' },
+    { capacity: 4, status: 'occupied' }
+  ];
+
+  it('should quote no wait when a fitting table is free', () => {
+    expect(estimateWaitMinutes({ partySize: 4, partiesAhead: 0, tables, averageTurnMinutes: 60 })).toBe(0);
+  });
+
+  it('should spread the parties ahead over the busy tables that fit', () => {
+    // The free table goes to the party ahead; two busy four-tops free up over an hour
+    expect(estimateWaitMinutes({ partySize: 4, partiesAhead: 1, tables, averageTurnMinutes: 60 })).toBe(30);
+    expect(estimateWaitMinutes({ partySize: 4, partiesAhead: 4, tables, averageTurnMinutes: 60 })).toBe(120);
+  });
+
+  it('should count every table for a party no single table seats', () => {
+    expect(estimateWaitMinutes({ partySize: 10, partiesAhead: 0, tables, averageTurnMinutes: 50 })).toBe(0);
+    expect(estimateWaitMinutes({ partySize: 10, partiesAhead: 3, tables, averageTurnMinutes: 50 })).toBe(50);
+  });
+
+  it('should validate a waitlist entry', () => {
+    expect(validateWaitlistEntry({ customer_name: 'Tom', party_size: 2 }).isValid).toBe(true);
+    expect(validateWaitlistEntry({ customer_name: 'Tom', party_size: 2, quoted_wait_minutes: -5 }).errors[0].field)
+      .toBe('quoted_wait_minutes');
+  });
+});
+
+describe('ReservationQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should book the best fitting free table and hold it when the booking starts soon', async () => {
+    const client = createFakeClient([
+      ['FROM tables t', floor.map(table => ({ ...table, status: 'available' }))],
+      ['INSERT INTO reservations', [{ id: 7 }]],
+      ["SET status = 'reserved'", [{ id: 2, table_number: 2, status: 'reserved' }]],
+      ['FROM reservations r', [{ id: 7, customer_name: 'Ada', party_size: 3, status: 'booked', tables: [{ id: 2 }] }]]
+    ], { transaction: true, commitEvents: true });
+    const published = vi.spyOn(EventBus, 'publish');
+
+    const reservation = await ReservationQueries.createReservation({
+      customer_name: ' Ada ',
+      party_size: 3,
+      reserved_for: new Date(Date.now() + 10 * 60 * 1000).toISOString()
+    }, { id: 1 });
+
+    expect(reservation.id).toBe(7);
+    expect(client.queries[0].sql).toContain('FOR UPDATE');
+    const insert = client.queries.find(q => q.sql.includes('INSERT INTO reservations'));
+    expect(insert.params.slice(0, 4)).toEqual(['Ada', null, null, 3]);
+    expect(insert.params[5]).toBe(90);
+    const tables = client.queries.find(q => q.sql.includes('INSERT INTO reservation_tables'));
+    expect(tables.params).toEqual([7, [2]]);
+    expect(client.queries.find(q => q.sql.includes('FROM tables t')).params[3]).toBe(true);
+    expect(published).toHaveBeenCalledWith('table.status_changed', { table_id: 2, table_number: 2, status: 'reserved', check_id: null });
+    expect(published).toHaveBeenCalledWith('reservation.changed', { reservation_id: 7, status: 'booked' });
+  });
+
+  it('should refuse a booking when no tables are free', async () => {
+    const client = createFakeClient([
+      ['FROM tables t', floor.slice(0, 1)]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(ReservationQueries.createReservation({
+      customer_name: 'Ada',
+      party_size: 6,
+      reserved_for: tomorrow()
+    }, null)).rejects.toMatchObject({ status: 409 });
+    expect(client.queries.some(q => q.sql.includes('INSERT'))).toBe(false);
+  });
+
+  it('should refuse tables chosen by hand that are already booked', async () => {
+    createFakeClient([
+      ['FROM tables t', floor.slice(0, 2)],
+      ['SELECT id, table_number FROM tables', [{ id: 4, table_number: 4 }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(ReservationQueries.createReservation({
+      customer_name: 'Ada',
+      party_size: 6,
+      reserved_for: tomorrow(),
+      table_ids: [4]
+    }, null)).rejects.toMatchObject({ status: 409, details: [{ table_id: 4, table_number: 4 }] });
+  });
+
+  it('should keep the booked tables when a change still fits them', async () => {
+    const client = createFakeClient([
+      ['FROM reservations WHERE id = $1 FOR UPDATE', [{ id: 7, status: 'booked', party_size: 2, reserved_for: new Date(tomorrow()), duration_minutes: 90 }]],
+      ['FROM reservation_tables WHERE reservation_id', [{ table_id: 3 }]],
+      ['FROM tables t', floor],
+      ['FROM reservations r', [{ id: 7, party_size: 4, status: 'booked' }]]
+    ], { transaction: true, commitEvents: true });
+
+    await ReservationQueries.updateReservation(7, { party_size: 4, notes: 'Birthday' });
+
+    const update = client.queries.find(q => q.sql.includes('UPDATE reservations'));
+    expect(update.sql).toContain('notes = $4');
+    expect(update.params[0]).toBe(4);
+    expect(client.queries.find(q => q.sql.includes('INSERT INTO reservation_tables')).params).toEqual([7, [3]]);
+  });
+
+  it('should release the tables of a cancelled booking', async () => {
+    const client = createFakeClient([
+      ['FROM reservations WHERE id = $1 FOR UPDATE', [{ id: 7, status: 'booked', reserved_for: new Date() }]],
+      ['FROM reservation_tables WHERE reservation_id', [{ table_id: 4 }, { table_id: 6 }]],
+      ["SET status = 'available'", [{ id: 4, table_number: 4, status: 'available' }]],
+      ['FROM reservations r', [{ id: 7, status: 'cancelled' }]]
+    ], { transaction: true, commitEvents: true });
+
+    const reservation = await ReservationQueries.cancelReservation(7, 'Called to cancel');
+
+    expect(reservation.status).toBe('cancelled');
+    expect(client.queries.find(q => q.sql.includes("SET status = 'cancelled'")).params).toEqual(['Called to cancel', 7]);
+    expect(client.queries.find(q => q.sql.includes("SET status = 'available'")).params[0]).toEqual([4, 6]);
+  });
+
+  it('should only change bookings that are still booked', async () => {
+    createFakeClient([
+      ['FROM reservations WHERE id = $1 FOR UPDATE', [{ id: 7, status: 'seated' }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(ReservationQueries.cancelReservation(7)).rejects.toMatchObject({
+      status: 409,
+      message: 'Reservation 7 is seated'
+    });
+  });
+
+  it('should not mark a booking as a no-show before it starts', async () => {
+    createFakeClient([
+      ['FROM reservations WHERE id = $1 FOR UPDATE', [{ id: 7, status: 'booked', reserved_for: new Date(tomorrow()) }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(ReservationQueries.markNoShow(7)).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should seat a party at combined tables on one check', async () => {
+    const client = createFakeClient([
+      ['FROM reservations WHERE id = $1 FOR UPDATE', [{ id: 7, status: 'booked', party_size: 10 }]],
+      ['FROM reservation_tables WHERE reservation_id', [{ table_id: 4 }, { table_id: 6 }]],
+      ['FROM tables WHERE id = $1 AND retired_at IS NULL FOR UPDATE', (params) => [{ id: params[0], table_number: params[0] }]],
+      ['INSERT INTO checks (table_id, guest_count', [{ id: 12 }]],
+      ["UPDATE tables SET status = 'occupied'", (params) => [{ id: params[0], table_number: params[0], status: 'occupied' }]],
+      ['FROM reservations r', [{ id: 7, status: 'seated', check_id: 12 }]]
+    ], { transaction: true, commitEvents: true });
+
+    const reservation = await ReservationQueries.seatReservation(7, null, { id: 1 });
+
+    expect(reservation.check_id).toBe(12);
+    expect(client.queries.find(q => q.sql.includes('INSERT INTO checks (table_id, guest_count')).params).toEqual([4, 10, 1]);
+    const merged = client.queries.find(q => q.sql.includes("VALUES ($1, 'merged'"));
+    expect(merged.params).toEqual([6, 12, 1]);
+    expect(client.queries.find(q => q.sql.includes("SET status = 'seated'")).params).toEqual([12, 7]);
+  });
+
+  it('should mark late bookings as no-shows and hold tables for upcoming ones', async () => {
+    const client = createFakeClient([
+      ["SET status = 'no_show'", [{ id: 3 }]],
+      ['SELECT DISTINCT table_id FROM reservation_tables', [{ table_id: 5 }]],
+      ["SET status = 'available'", [{ id: 5, table_number: 5, status: 'available' }]],
+      ["SET status = 'reserved'", [{ id: 2, table_number: 2, status: 'reserved' }]]
+    ], { transaction: true, commitEvents: true });
+
+    const result = await ReservationQueries.syncReservedTables();
+
+    expect(result).toEqual({ no_shows: [3], held_tables: [2] });
+    expect(client.queries.find(q => q.sql.includes("SET status = 'no_show'")).params).toEqual([20]);
+  });
+});
+
+describe('WaitlistQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should quote a wait from the tables, the queue and recent seatings', async () => {
+    vi.spyOn(DatabaseUtils, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('FROM tables')) {
+        return { rows: [{ id: 1, capacity: 4, status: 'occupied' }, { id: 2, capacity: 4, status: 'occupied' }] };
+      }
+      if (sql.includes('FROM waitlist_entries')) {
+        return { rows: [{ count: '1' }] };
+      }
+      return { rows: [{ minutes: '48.6' }] };
+    });
+
+    const quote = await WaitlistQueries.quoteWait(2);
+
+    expect(quote).toEqual({ quoted_wait_minutes: 50, parties_ahead: 1, average_turn_minutes: 49 });
+  });
+
+  it('should fall back to the default seating length without history', async () => {
+    vi.spyOn(DatabaseUtils, 'query').mockResolvedValue({ rows: [{ minutes: null }] });
+
+    expect(await WaitlistQueries.getAverageTurnMinutes()).toBe(90);
+  });
+
+  it('should seat a waiting party and record its check', async () => {
+    const client = createFakeClient([
+      ['FROM waitlist_entries WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'waiting', party_size: 2 }]],
+      ['FROM tables WHERE id = $1 AND retired_at IS NULL FOR UPDATE', [{ id: 1, table_number: 1 }]],
+      ['INSERT INTO checks', [{ id: 20 }]],
+      ['FROM waitlist_entries w', [{ id: 4, status: 'seated', check_id: 20 }]]
+    ], { transaction: true, commitEvents: true });
+
+    const entry = await WaitlistQueries.seatEntry(4, [1], null);
+
+    expect(entry.check_id).toBe(20);
+    expect(client.queries.find(q => q.sql.includes("SET status = 'seated'")).params).toEqual([20, 4]);
+  });
+
+  it('should not seat a party that already left', async () => {
+    createFakeClient([
+      ['FROM waitlist_entries WHERE id = $1 FOR UPDATE', [{ id: 4, status: 'left' }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(WaitlistQueries.seatEntry(4, [1], null)).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('Reservations API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject an invalid booking', async () => {
+    const response = await request(app).post('/api/reservations').send({ customer_name: 'Ada' });
+
+    expect(response.status).toBe(422);
+  });
+
+  it('should reject an invalid date filter', async () => {
+    const response = await request(app).get('/api/reservations?date=tomorrow');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should suggest tables for a party', async () => {
+    vi.spyOn(ReservationQueries, 'getAvailability').mockResolvedValue({ tables: [{ id: 4 }], free_tables: [{ id: 4 }] });
+
+    const response = await request(app).get(`/api/reservations/availability?party_size=5&reserved_for=${tomorrow()}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ party_size: 5, duration_minutes: 90, tables: [{ id: 4 }] });
+  });
+
+  it('should return 404 when cancelling a reservation that does not exist', async () => {
+    vi.spyOn(ReservationQueries, 'cancelReservation').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/reservations/99/cancel').send({});
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should require tables to seat a waitlist party', async () => {
+    const response = await request(app).post('/api/waitlist/4/seat').send({});
+
+    expect(response.status).toBe(422);
+  });
+
+  it('should return the calculated quote with a new waitlist entry', async () => {
+    vi.spyOn(WaitlistQueries, 'addEntry').mockResolvedValue({
+      entry: { id: 4, quoted_wait_minutes: 25 },
+      estimate: { quoted_wait_minutes: 25, parties_ahead: 2, average_turn_minutes: 60 }
+    });
+
+    const response = await request(app).post('/api/waitlist').send({ customer_name: 'Tom', party_size: 2 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.estimate.parties_ahead).toBe(2);
+  });
+});
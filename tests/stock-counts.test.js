@@ -0,0 +1,264 @@
+/**
+ * Tests for stock counts
+ * Covers count validation, reading CSV count sheets, variance calculations, the start, import and post
+ * logic in StockCountQueries (against a fake client) and the API's routing and validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const {
+  validateStockCountStart,
+  validateCountEntries,
+  parseCountCsv,
+  lineVariance,
+  summarizeVariances
+} = require('../models/StockCount');
+const { StockCountQueries } = require('../utils/stock-count-database');
+
+const LOCK_COUNT = 'FROM stock_counts WHERE id = $1 FOR UPDATE';
+
+describe('Stock count validation', () => {
+  it('should accept a count of everything and reject overlong filters', () => {
+    expect(validateStockCountStart({}).isValid).toBe(true);
+    expect(validateStockCountStart({ category: 'x'.repeat(51), location_id: 'Walk-in' }).errors.map(error => error.field))
+      .toEqual(['category', 'location_id']);
+  });
+
+  it('should require non-negative counts and each product once', () => {
+    const result = validateCountEntries({ lines: [{ product_id: 3, counted_quantity: -1 }, { product_id: 0, counted_quantity: 1.0005 }] });
+    expect(result.errors.map(error => error.field)).toEqual([
+      'lines[0].counted_quantity', 'lines[1].product_id', 'lines[1].counted_quantity'
+    ]);
+
+    expect(validateCountEntries({ lines: [{ product_id: 3, counted_quantity: 0 }, { product_id: 3, counted_quantity: 2 }] }).errors)
+      .toEqual([{ field: 'lines', message: 'Each product can only be counted once per entry' }]);
+  });
+});
+
+describe('Count sheets', () => {
+  it('should read products by ID or name, with quoted fields and blank rows', () => {
+    const csv = [
+      'Product_ID,Product_Name,Counted_Quantity,Notes',
+      '3,Fresh Mozzarella,11.5,',
+      ',"Bacon Strips",2.25,"Opened pack, half used"',
+      '',
+      '14,Heavy Cream,,'
+    ].join('\r\n');
+
+    expect(parseCountCsv(csv)).toEqual({
+      entries: [
+        { row: 2, product_id: 3, product_name: 'Fresh Mozzarella', counted_quantity: 11.5, notes: null },
+        { row: 3, product_id: null, product_name: 'Bacon Strips', counted_quantity: 2.25, notes: 'Opened pack, half used' }
+      ],
+      errors: []
+    });
+  });
+
+  it('should report rows it cannot read', () => {
+    const { errors } = parseCountCsv('product_id,counted_quantity\nabc,1\n5,lots\n6,-2');
+
+    expect(errors.map(error => error.message)).toEqual([
+      'Row 2: Product ID must be a positive integer, or give the product name',
+      'Row 3: Counted quantity must be zero or a positive number with at most three decimal places',
+      'Row 4: Counted quantity must be zero or a positive number with at most three decimal places'
+    ]);
+  });
+
+  it('should require product and quantity columns', () => {
+    expect(parseCountCsv('sku,counted\nA1,3').errors[0].message).toBe('CSV needs a product_id or product_name column');
+    expect(parseCountCsv('product_id,on_hand\n3,3').errors[0].message).toBe('CSV needs a counted_quantity column');
+  });
+});
+
+describe('Count variances', () => {
+  it('should work out variances in units and cost', () => {
+    expect(lineVariance({ expected_quantity: '12.000', counted_quantity: '11.200', unit_cost: '8.5000' }))
+      .toEqual({ variance: -0.8, variance_cost: -6.8 });
+    expect(lineVariance({ expected_quantity: '12.000', counted_quantity: null, unit_cost: '8.5000' }))
+      .toEqual({ variance: null, variance_cost: null });
+  });
+
+  it('should total shortages and overages separately', () => {
+    const summary = summarizeVariances([
+      { variance: -0.8, variance_cost: -6.8 },
+      { variance: 4, variance_cost: 1.4 },
+      { variance: 0, variance_cost: 0 },
+      { variance: null, variance_cost: null }
+    ]);
+
+    expect(summary).toEqual({
+      product_count: 4,
+      counted_count: 3,
+      variance_count: 2,
+      shortage_cost: 6.8,
+      overage_cost: 1.4,
+      net_variance_cost: -5.4
+    });
+  });
+});
+
+describe('StockCountQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should snapshot the products in the chosen category and location', async () => {
+    const client = createFakeClient([
+      ['FROM storage_locations WHERE id = $1 AND active', [{ id: 1, name: 'Walk-in' }]],
+      ['INSERT INTO stock_counts', [{ id: 7, status: 'open' }]],
+      ['INSERT INTO stock_count_lines', [{ product_id: 3 }, { product_id: 14 }]],
+      ['FROM stock_counts sc', [{ id: 7, status: 'open' }]]
+    ], { transaction: true, commitEvents: true });
+
+    const count = await StockCountQueries.startStockCount({ category: ' Dairy ', location_id: 1 }, { id: 2 });
+
+    const snapshot = client.queries.find(q => q.sql.includes('INSERT INTO stock_count_lines'));
+    expect(snapshot.sql).toContain('COALESCE(ls.quantity, 0), p.cost_per_unit');
+    expect(snapshot.params).toEqual([7, 'Dairy', 1]);
+    expect(count.id).toBe(7);
+  });
+
+  it('should compare a count of every location against product totals', async () => {
+    const client = createFakeClient([
+      ['INSERT INTO stock_counts', [{ id: 7, status: 'open' }]],
+      ['INSERT INTO stock_count_lines', [{ product_id: 3 }]],
+      ['FROM stock_counts sc', [{ id: 7, status: 'open' }]]
+    ], { transaction: true, commitEvents: true });
+
+    await StockCountQueries.startStockCount({}, null);
+
+    const snapshot = client.queries.find(q => q.sql.includes('INSERT INTO stock_count_lines'));
+    expect(snapshot.sql).toContain('p.current_quantity, p.cost_per_unit');
+    expect(snapshot.params).toEqual([7, null, null]);
+  });
+
+  it('should refuse to count an inactive location', async () => {
+    const client = createFakeClient([], { transaction: true, commitEvents: true });
+
+    await expect(StockCountQueries.startStockCount({ location_id: 5 }, null)).rejects.toMatchObject({
+      type: 'validation',
+      details: [{ field: 'location_id', message: 'Location 5 not found or inactive' }]
+    });
+    expect(client.queries.some(q => q.sql.includes('INSERT INTO stock_counts'))).toBe(false);
+  });
+
+  it('should refuse to start a count that covers no products', async () => {
+    createFakeClient([['INSERT INTO stock_counts', [{ id: 7, status: 'open' }]]], { transaction: true, commitEvents: true });
+
+    await expect(StockCountQueries.startStockCount({ category: 'Frozen' }, null))
+      .rejects.toMatchObject({ type: 'validation' });
+  });
+
+  it('should post counted differences as adjustments referencing the count', async () => {
+    const client = createFakeClient([
+      [LOCK_COUNT, [{ id: 7, status: 'open' }]],
+      ['counted_quantity IS NOT NULL', [
+        { product_id: 3, expected_quantity: '12.000', counted_quantity: '11.200', unit_of_measure: 'kg', notes: null },
+        { product_id: 14, expected_quantity: '4.500', counted_quantity: '4.500', unit_of_measure: 'l', notes: null }
+      ]],
+      ['INSERT INTO inventory_transactions', params => [{ id: 50, product_id: params[0], quantity_change: params[1] }]],
+      ['UPDATE products', params => [{ id: params[1], name: 'Fresh Mozzarella', current_quantity: '10.400', low_stock_threshold: 3 }]],
+      ['FROM stock_counts sc', [{ id: 7, status: 'posted' }]]
+    ], { transaction: true, commitEvents: true });
+
+    const result = await StockCountQueries.postStockCount(7, { id: 1 });
+
+    const inserts = client.queries.filter(q => q.sql.includes('INSERT INTO inventory_transactions'));
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0].sql).toContain("'adjustment'");
+    expect(inserts[0].sql).toContain("'stock_count'");
+    expect(inserts[0].params.slice(0, 3)).toEqual([3, -0.8, 7]);
+    expect(client.queries.find(q => q.sql.includes('UPDATE products')).sql).toContain('current_quantity = current_quantity + $1');
+    expect(client.queries.find(q => q.sql.includes("SET status = 'posted'")).params).toEqual([1, 7]);
+    expect(result.transactions).toHaveLength(1);
+  });
+
+  it('should not post a count twice or one with nothing counted', async () => {
+    createFakeClient([[LOCK_COUNT, [{ id: 7, status: 'posted' }]]], { transaction: true, commitEvents: true });
+    await expect(StockCountQueries.postStockCount(7, null)).rejects.toMatchObject({ status: 409 });
+
+    vi.restoreAllMocks();
+    createFakeClient([[LOCK_COUNT, [{ id: 7, status: 'open' }]]], { transaction: true, commitEvents: true });
+    await expect(StockCountQueries.postStockCount(7, null)).rejects.toMatchObject({ type: 'validation' });
+  });
+
+  it('should match count sheet rows to the count\'s products by name', async () => {
+    vi.spyOn(StockCountQueries, 'getStockCountById').mockResolvedValue({
+      id: 7,
+      lines: [{ product_id: 3, product_name: 'Fresh Mozzarella' }, { product_id: 11, product_name: 'Bacon Strips' }]
+    });
+    const recordCounts = vi.spyOn(StockCountQueries, 'recordCounts').mockResolvedValue({ id: 7 });
+
+    await StockCountQueries.importCountCsv(7, 'product_name,counted_quantity\nfresh mozzarella,11\nBacon Strips,0', { id: 2 });
+
+    expect(recordCounts).toHaveBeenCalledWith(7, [
+      { product_id: 3, counted_quantity: 11, notes: null },
+      { product_id: 11, counted_quantity: 0, notes: null }
+    ], { id: 2 });
+
+    await expect(StockCountQueries.importCountCsv(7, 'product_id,counted_quantity\n3,1\n9,2\n3,4', null))
+      .rejects.toMatchObject({
+        details: [
+          { field: 'csv', message: 'Row 3: Product 9 is not on this count' },
+          { field: 'csv', message: 'Row 4: Product is already counted on row 2' }
+        ]
+      });
+  });
+});
+
+describe('Stock count API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should start a count', async () => {
+    const start = vi.spyOn(StockCountQueries, 'startStockCount').mockResolvedValue({ id: 7, status: 'open', lines: [] });
+
+    const response = await request(app).post('/api/inventory/counts').send({ location_id: 1 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.stock_count.id).toBe(7);
+    expect(start).toHaveBeenCalledWith({ location_id: 1 }, null);
+  });
+
+  it('should reject an invalid status filter', async () => {
+    const response = await request(app).get('/api/inventory/counts?status=done');
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should validate counted quantities', async () => {
+    const response = await request(app).put('/api/inventory/counts/7/lines').send({ lines: [{ product_id: 3 }] });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('lines[0].counted_quantity');
+  });
+
+  it('should accept a count sheet as CSV', async () => {
+    const importCsv = vi.spyOn(StockCountQueries, 'importCountCsv').mockResolvedValue({ id: 7 });
+
+    const response = await request(app)
+      .post('/api/inventory/counts/7/import')
+      .set('Content-Type', 'text/csv')
+      .send('product_id,counted_quantity\n3,11');
+
+    expect(response.status).toBe(200);
+    expect(importCsv).toHaveBeenCalledWith(7, 'product_id,counted_quantity\n3,11', null);
+  });
+
+  it('should return 404 when posting a missing count', async () => {
+    vi.spyOn(StockCountQueries, 'postStockCount').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/inventory/counts/99/post');
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Integration tests for stock lots
+ * Receives two lots of a product through the API and takes stock out of them, checking which lot
+ * FIFO and FEFO products use up first and that voiding a served order puts its stock back into the
+ * lot it came from
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import { DatabaseUtils } from '../utils/database.js';
+const { ProductQueries } = require('../utils/product-database');
+
+let app;
+beforeAll(async () => {
+  const serverModule = await import('../server.js');
+  app = serverModule.app;
+});
+
+describe('Stock Lots Integration', () => {
+  const TABLE_NUMBER = 9103;
+  let productId, tableId, menuItemId;
+
+  async function cleanUp() {
+    await DatabaseUtils.query('DELETE FROM orders WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM checks WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM tables WHERE table_number = $1', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Lot%']);
+    await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Lot%']);
+  }
+
+  /**
+   * What is left in each of the product's lots
+   * @returns {Promise<Object>} - { lot_code: quantity_remaining }
+   */
+  async function lotsRemaining() {
+    const response = await request(app)
+      .get(`/api/inventory/lots?product_id=${productId}&include_empty=true`)
+      .expect(200);
+    return Object.fromEntries(response.body.map(lot => [lot.lot_code, parseFloat(lot.quantity_remaining)]));
+  }
+
+  beforeEach(async () => {
+    await cleanUp();
+
+    const product = await ProductQueries.createProduct({
+      name: 'Test Lot Cream',
+      unit_of_measure: 'l',
+      current_quantity: 0,
+      cost_per_unit: 4
+    });
+    productId = product.id;
+
+    // The first lot received expires after the second
+    await request(app)
+      .post(`/api/inventory/products/${productId}/restock`)
+      .send({ quantity: 4, lot_code: 'EARLY', expires_on: '2027-01-10', unit_cost: 4 })
+      .expect(200);
+    await request(app)
+      .post(`/api/inventory/products/${productId}/restock`)
+      .send({ quantity: 4, lot_code: 'LATE', expires_on: '2027-01-05', unit_cost: 5 })
+      .expect(200);
+
+    // A panna cotta takes 0.5 l of cream
+    const recipeResult = await DatabaseUtils.query(`
+      INSERT INTO recipes (name, category, servings) VALUES ($1, 'food', 1) RETURNING id
+    `, ['Test Lot Panna Cotta']);
+    await DatabaseUtils.query(`
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index) VALUES ($1, $2, 0.5, 'l', 1)
+    `, [recipeResult.rows[0].id, productId]);
+    const menuItemResult = await DatabaseUtils.query(`
+      INSERT INTO menu_items (recipe_id, name, price, category) VALUES ($1, $2, 8.00, 'Test') RETURNING id
+    `, [recipeResult.rows[0].id, 'Test Lot Panna Cotta']);
+    menuItemId = menuItemResult.rows[0].id;
+
+    const tableResult = await DatabaseUtils.query(
+      'INSERT INTO tables (table_number, capacity) VALUES ($1, 4) RETURNING id',
+      [TABLE_NUMBER]
+    );
+    tableId = tableResult.rows[0].id;
+  });
+
+  afterEach(async () => {
+    await cleanUp();
+  });
+
+  it('should take stock from the lot received first', async () => {
+    expect(await lotsRemaining()).toEqual({ EARLY: 4, LATE: 4 });
+
+    await request(app)
+      .post(`/api/inventory/products/${productId}/adjust`)
+      .send({ quantity_change: -5, notes: 'Test Lot spill' })
+      .expect(200);
+
+    expect(await lotsRemaining()).toEqual({ EARLY: 0, LATE: 3 });
+  });
+
+  it('should take stock from the lot expiring first for FEFO products', async () => {
+    await DatabaseUtils.query(`UPDATE products SET lot_rotation = 'fefo' WHERE id = $1`, [productId]);
+
+    await request(app)
+      .post(`/api/inventory/products/${productId}/adjust`)
+      .send({ quantity_change: -5, notes: 'Test Lot spill' })
+      .expect(200);
+
+    expect(await lotsRemaining()).toEqual({ EARLY: 3, LATE: 0 });
+  });
+
+  it('should put a voided order\'s stock back into the lot it came from', async () => {
+    const order = await request(app)
+      .post('/api/orders')
+      .send({ table_id: tableId, customer_name: 'Test Lot Guest', items: [{ menu_item_id: menuItemId, quantity: 2 }] })
+      .expect(201);
+    await request(app).put(`/api/orders/${order.body.id}/status`).send({ status: 'ready' }).expect(200);
+    await request(app).put(`/api/orders/${order.body.id}/status`).send({ status: 'served' }).expect(200);
+    expect(await lotsRemaining()).toEqual({ EARLY: 3, LATE: 4 });
+
+    await request(app)
+      .post(`/api/orders/${order.body.id}/void`)
+      .send({ reason: 'Sent back', disposition: 'return' })
+      .expect(200);
+
+    expect(await lotsRemaining()).toEqual({ EARLY: 4, LATE: 4 });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for stock lots and expiry tracking
+ * Covers lot detail validation, expiring soon alerts, FIFO/FEFO consumption and reversals in LotQueries
+ * and wasting expired lots (against a fake client), and the API's routing and validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { validateLotDetails } = require('../models/StockLot');
+const { validateReceipt } = require('../models/PurchaseOrder');
+const { AlertService, ExpiringSoonAlert, DashboardSummary } = require('../utils/alert-service');
+const { LotQueries } = require('../utils/lot-database');
+const { WasteQueries } = require('../utils/waste-database');
+
+const CREAM_LOT = {
+  id: 5,
+  product_id: 14,
+  product_name: 'Heavy Cream',
+  unit_of_measure: 'l',
+  lot_code: 'DF-0988',
+  expires_on: '2026-10-18',
+  days_until_expiry: -1,
+  unit_cost: '4.1000',
+  quantity_remaining: '1.000'
+};
+
+describe('Lot validation', () => {
+  it('should accept an expiry date and a short lot code', () => {
+    expect(validateLotDetails({ expires_on: '2026-06-08', lot_code: 'DF-1102' })).toEqual([]);
+    expect(validateLotDetails({})).toEqual([]);
+    expect(validateLotDetails({ expires_on: '2026-02-30', lot_code: 'x'.repeat(51) }, 'lines[0].').map(error => error.field))
+      .toEqual(['lines[0].expires_on', 'lines[0].lot_code']);
+  });
+
+  it('should validate lot details on received purchase order lines', () => {
+    const result = validateReceipt({ lines: [{ line_id: 4, quantity_received: 6, expires_on: '08/06/2026' }] });
+
+    expect(result.errors).toEqual([{ field: 'lines[0].expires_on', message: 'Expiry date must be a date in YYYY-MM-DD format' }]);
+  });
+});
+
+describe('Expiring soon alerts', () => {
+  it('should rate expired lots critical and lots on their last day high', () => {
+    const expired = new ExpiringSoonAlert(CREAM_LOT);
+    const lastDay = new ExpiringSoonAlert({ ...CREAM_LOT, days_until_expiry: 1 });
+    const later = new ExpiringSoonAlert({ ...CREAM_LOT, days_until_expiry: 3 });
+
+    expect(expired).toMatchObject({ id: 14, lot_id: 5, current_quantity: 1, alert_type: 'expiring_soon', severity: 'critical' });
+    expect(expired.message).toBe('1 l of Heavy Cream has expired');
+    expect(lastDay.severity).toBe('high');
+    expect(later.message).toBe('1 l of Heavy Cream expires in 3 days');
+    expect(AlertService.validateAlert(later)).toBe(true);
+  });
+
+  it('should include expiring lots in the dashboard summary', () => {
+    const summary = new DashboardSummary({ low_stock_count: 1, expiring_soon_count: 2 });
+
+    expect(summary.alert_summary).toBe('1 product running low, 2 lots expired or expiring soon');
+  });
+});
+
+describe('LotQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should take stock from lots in rotation order and record each lot used', async () => {
+    const client = createFakeClient([
+      ['WHERE l.product_id = $1 AND l.quantity_remaining > 0', [
+        { id: 3, quantity_remaining: '4.000' },
+        { id: 4, quantity_remaining: '8.000' }
+      ]]
+    ], { transaction: true });
+
+    const consumptions = await LotQueries.trackTransaction(client, {
+      id: 90, product_id: 3, transaction_type: 'sale', quantity_change: '-5.500'
+    });
+
+    expect(client.queries[0].sql).toContain("CASE WHEN p.lot_rotation = 'fefo' THEN l.expires_on END NULLS LAST");
+    expect(consumptions).toEqual([{ lot_id: 3, quantity: 4 }, { lot_id: 4, quantity: 1.5 }]);
+    expect(client.queries.filter(q => q.sql.includes('INSERT INTO lot_consumptions')).map(q => q.params))
+      .toEqual([[3, 90, 4], [4, 90, 1.5]]);
+  });
+
+  it('should put reversed stock back into the lots it came from, latest first', async () => {
+    const client = createFakeClient([
+      ['FROM lot_consumptions c', [{ lot_id: 4, quantity: '1.500' }, { lot_id: 3, quantity: '4.000' }]]
+    ], { transaction: true });
+
+    const consumptions = await LotQueries.trackTransaction(client, {
+      id: 95, product_id: 3, transaction_type: 'sale', quantity_change: '2.000', reverses_transaction_id: 90
+    });
+
+    expect(client.queries[0].params).toEqual([90]);
+    expect(consumptions).toEqual([{ lot_id: 4, quantity: -1.5 }, { lot_id: 3, quantity: -0.5 }]);
+    expect(client.queries.some(q => q.sql.includes('INSERT INTO stock_lots'))).toBe(false);
+  });
+
+  it('should receive stock as a new lot and leave transfers alone', async () => {
+    const client = createFakeClient([
+      ['INSERT INTO stock_lots', params => [{ id: 9, product_id: params[0] }]]
+    ], { transaction: true });
+
+    await LotQueries.trackTransaction(client, { id: 96, product_id: 7, transaction_type: 'transfer', quantity_change: '-6.000' });
+    const lots = await LotQueries.trackTransaction(
+      client,
+      { id: 97, product_id: 7, transaction_type: 'restock', quantity_change: '24.000' },
+      { expires_on: '2026-11-02', lot_code: ' LB-77 ', unit_cost: 0.7 }
+    );
+
+    expect(client.queries).toHaveLength(1);
+    expect(client.queries[0].params).toEqual([7, 'LB-77', '2026-11-02', 0.7, 24, 97]);
+    expect(lots).toEqual([{ id: 9, product_id: 7 }]);
+  });
+});
+
+describe('WasteQueries.recordExpiredLots', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should waste each expired lot at its own cost and empty it', async () => {
+    const client = createFakeClient([
+      ['l.expires_on < CURRENT_DATE', [CREAM_LOT]],
+      ['INSERT INTO waste_logs', [{ id: 12, reason: 'expired', notes: null }]],
+      ['INSERT INTO location_stock', [{ location_id: 1 }]],
+      ['INSERT INTO inventory_transactions', params => [{ id: 101, product_id: params[0], quantity_change: params[1] }]],
+      ['UPDATE products', [{ id: 14, name: 'Heavy Cream', current_quantity: '3.500', low_stock_threshold: 2 }]],
+      ['FROM waste_logs w', [{ id: 12, reason: 'expired' }]]
+    ], { transaction: true });
+
+    const result = await WasteQueries.recordExpiredLots({}, { id: 2 });
+
+    const line = client.queries.find(q => q.sql.includes('INSERT INTO waste_log_lines'));
+    expect(line.params).toEqual([12, 14, 1, '4.1000']);
+    const transaction = client.queries.find(q => q.sql.includes('INSERT INTO inventory_transactions'));
+    expect(transaction.params).toEqual([14, -1, 12, 'Waste log #12 (expired) - lot DF-0988', 1]);
+    // The waste empties the expired lot rather than the product's oldest lot
+    expect(client.queries.find(q => q.sql.includes('INSERT INTO lot_consumptions')).params).toEqual([5, 101, 1]);
+    expect(client.queries.some(q => q.sql.includes('WHERE l.product_id = $1'))).toBe(false);
+    expect(result.transactions).toHaveLength(1);
+  });
+
+  it('should record nothing when no lot has expired', async () => {
+    const client = createFakeClient([], { transaction: true });
+
+    const result = await WasteQueries.recordExpiredLots({}, null);
+
+    expect(result).toEqual({ waste_log: null, transactions: [], lots: [] });
+    expect(client.queries).toHaveLength(1);
+  });
+});
+
+describe('Stock lots API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should list lots expiring within the days asked for', async () => {
+    const alerts = vi.spyOn(AlertService, 'getExpiringSoonAlerts').mockResolvedValue([new ExpiringSoonAlert(CREAM_LOT)]);
+
+    const response = await request(app).get('/api/inventory/alerts/expiring-soon?days=5');
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(alerts).toHaveBeenCalledWith(5, null);
+    expect((await request(app).get('/api/inventory/alerts/expiring-soon?days=91')).status).toBe(400);
+    expect((await request(app).get('/api/inventory/lots?product_id=abc')).status).toBe(400);
+  });
+
+  it('should waste expired lots in one go', async () => {
+    vi.spyOn(WasteQueries, 'recordExpiredLots').mockResolvedValue({ waste_log: { id: 12 }, transactions: [{ id: 101 }], lots: [CREAM_LOT] });
+
+    const response = await request(app).post('/api/inventory/waste/expired-lots').send({});
+
+    expect(response.status).toBe(201);
+    expect(response.body.message).toBe('1 expired lot wasted');
+  });
+
+  it('should answer 200 when nothing has expired', async () => {
+    vi.spyOn(WasteQueries, 'recordExpiredLots').mockResolvedValue({ waste_log: null, transactions: [], lots: [] });
+
+    const response = await request(app).post('/api/inventory/waste/expired-lots').send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.waste_log).toBeNull();
+  });
+
+  it('should validate lot details on restocks', async () => {
+    const response = await request(app)
+      .post('/api/inventory/products/3/restock')
+      .send({ quantity: 2, expires_on: 'tomorrow' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('expires_on');
+  });
+});
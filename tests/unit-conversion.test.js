@@ -0,0 +1,188 @@
+/**
+ * Tests for unit of measure conversion
+ * Covers conversions within and across unit families, the recipe unit validation, converting recipe
+ * quantities for inventory deduction, refusing product changes that would break a recipe's unit and
+ * refusing to serve orders whose ingredients cannot be converted
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { OrderInventoryService } from '../utils/order-inventory-service.js';
+const OrderInventoryServiceCjs = require('../utils/order-inventory-service-cjs.js');
+const {
+  normalizeUnit,
+  conversionFactor,
+  convertQuantity,
+  conversionProblem
+} = require('../models/UnitConversion');
+const { validateIngredientUnits } = require('../utils/validation');
+const { pool } = require('../utils/db-connection');
+const { ProductQueries } = require('../utils/product-database');
+const { OrderStatusQueries } = require('../utils/order-status-database');
+const { createValidationError } = require('../middleware/errorHandler');
+
+const SUGAR = { name: 'Granulated Sugar', unit_of_measure: 'kg', density_g_per_ml: '0.8500', piece_weight_g: null };
+const CHICKEN = { name: 'Chicken Breast', unit_of_measure: 'kg', density_g_per_ml: null, piece_weight_g: '225.000' };
+
+describe('Unit conversion', () => {
+  it('should convert within a family', () => {
+    expect(convertQuantity(250, 'g', 'kg')).toBeCloseTo(0.25, 10);
+    expect(convertQuantity(8, 'oz', 'kg')).toBeCloseTo(0.226796, 6);
+    expect(convertQuantity(2, 'tbsp', 'l')).toBeCloseTo(0.029574, 6);
+    expect(convertQuantity(3, 'pieces', 'units')).toBe(3);
+  });
+
+  it('should understand other spellings of units', () => {
+    expect(normalizeUnit('Grams')).toBe('g');
+    expect(normalizeUnit(' teaspoons ')).toBe('tsp');
+    expect(normalizeUnit('whole')).toBe('pieces');
+    expect(normalizeUnit('leaves')).toBeNull();
+    expect(conversionFactor('cup', 'liters')).toBeCloseTo(0.236588, 6);
+  });
+
+  it('should convert across families with the product density or piece weight', () => {
+    // Half a cup of sugar is 118.29 ml, or 100.55 g
+    expect(convertQuantity(0.5, 'cups', 'kg', SUGAR)).toBeCloseTo(0.10055, 5);
+    expect(convertQuantity(2, 'pieces', 'kg', CHICKEN)).toBeCloseTo(0.45, 10);
+    expect(convertQuantity(0.9, 'kg', 'pieces', CHICKEN)).toBeCloseTo(4, 10);
+  });
+
+  it('should take an ingredient without a unit, or in the product unit, as already converted', () => {
+    expect(conversionFactor(null, 'kg')).toBe(1);
+    expect(conversionFactor('', 'kg')).toBe(1);
+    expect(conversionFactor('Bunch', 'bunch')).toBe(1);
+  });
+
+  it('should not convert units without what the product needs to cross families', () => {
+    expect(conversionFactor('cups', 'kg', CHICKEN)).toBeNull();
+    expect(conversionFactor('boxes', 'kg', SUGAR)).toBeNull();
+    expect(conversionFactor('leaves', 'g', {})).toBeNull();
+    expect(conversionProblem('cups', CHICKEN)).toBe("cups cannot be converted to kg without Chicken Breast's density");
+    expect(conversionProblem('pieces', { ...SUGAR, unit_of_measure: 'l' }))
+      .toBe("pieces cannot be converted to l without Granulated Sugar's piece weight");
+    expect(conversionProblem('cups', SUGAR)).toBeNull();
+  });
+});
+
+describe('Recipe ingredient unit validation', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject units that cannot be converted to the product unit', async () => {
+    vi.spyOn(pool, 'query').mockResolvedValue({
+      rows: [{ id: 8, ...SUGAR }, { id: 10, ...CHICKEN }]
+    });
+
+    const result = await validateIngredientUnits([
+      { product_id: 8, quantity: 0.5, unit: 'cup' },
+      { product_id: 10, quantity: 1, unit: 'tbsp' },
+      { product_id: 10, quantity: 2 }
+    ]);
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      { field: 'ingredients[1].unit', message: "tbsp cannot be converted to kg without Chicken Breast's density" }
+    ]);
+  });
+});
+
+describe('OrderInventoryService unit conversion', () => {
+  it('should convert recipe quantities into the product unit', async () => {
+    const db = {
+      query: vi.fn().mockResolvedValue({
+        rows: [{
+          product_id: 3,
+          quantity_per_serving: '62.5000000000000000',
+          total_quantity_needed: '250.0000000000000000',
+          ingredient_unit: 'g',
+          recipe_name: 'Margherita',
+          product_name: 'Fresh Mozzarella',
+          unit_of_measure: 'kg',
+          density_g_per_ml: null,
+          piece_weight_g: null,
+          current_quantity: '12.000',
+          ingredient_name: 'Fresh Mozzarella'
+        }]
+      })
+    };
+
+    const [ingredient] = await OrderInventoryService.calculateIngredientQuantities(1, 4, db);
+
+    expect(ingredient.quantity_per_serving).toBeCloseTo(0.0625, 10);
+    expect(ingredient.total_quantity_needed).toBeCloseTo(0.25, 10);
+  });
+
+  it('should refuse to deduct an ingredient whose unit cannot be converted', async () => {
+    const db = {
+      query: vi.fn().mockResolvedValue({
+        rows: [{
+          product_id: 10,
+          quantity_per_serving: '1',
+          total_quantity_needed: '2',
+          ingredient_unit: 'cups',
+          recipe_name: 'Chicken Carbonara',
+          product_name: 'Chicken Breast',
+          unit_of_measure: 'kg',
+          density_g_per_ml: null,
+          piece_weight_g: '225.000',
+          current_quantity: '6.500',
+          ingredient_name: 'Chicken Breast'
+        }]
+      })
+    };
+
+    await expect(OrderInventoryService.calculateIngredientQuantities(3, 2, db)).rejects.toMatchObject({
+      type: 'validation',
+      details: [{ field: 'unit', message: expect.stringContaining('Chicken Carbonara') }]
+    });
+  });
+});
+
+describe('Product unit changes', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should not change a product unit that recipes could no longer convert from', async () => {
+    vi.spyOn(ProductQueries, 'getProductById').mockResolvedValue({ id: 10, ...CHICKEN });
+    vi.spyOn(ProductQueries, 'getRecipeIngredientUnits').mockResolvedValue([
+      { recipe_id: 3, recipe_name: 'Chicken Carbonara', unit: 'pieces' }
+    ]);
+    const updateProduct = vi.spyOn(ProductQueries, 'updateProduct');
+
+    const response = await request(app).put('/api/inventory/products/10').send({ piece_weight_g: null });
+
+    expect(response.status).toBe(409);
+    expect(response.body.details).toEqual([{ recipe_id: 3, recipe_name: 'Chicken Carbonara', unit: 'pieces' }]);
+    expect(updateProduct).not.toHaveBeenCalled();
+  });
+
+  it('should not serve an order with an ingredient whose unit cannot be converted', async () => {
+    const client = {
+      query: vi.fn(async (sql) => ({
+        rows: sql.includes('FROM orders WHERE id = $1 FOR UPDATE') ? [{ id: 7, status: 'ready' }] : []
+      })),
+      release: vi.fn()
+    };
+    vi.spyOn(pool, 'connect').mockResolvedValue(client);
+    vi.spyOn(OrderStatusQueries, 'changeStatus').mockResolvedValue({ id: 7, status: 'served' });
+    vi.spyOn(OrderInventoryServiceCjs, 'deductOrderInventory').mockRejectedValue(createValidationError([{
+      field: 'unit',
+      message: 'Chicken Carbonara: cups cannot be converted to kg without Chicken Breast\'s density'
+    }]));
+
+    const response = await request(app).put('/api/orders/7/status').send({ status: 'served' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].message).toContain('cannot be converted');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Integration tests for the theoretical vs. actual usage report
+ * Receives a product, serves orders of a recipe using it, wastes some and counts what is left through
+ * the API, checking theoretical usage comes from the recipes of the orders served and closing stock from
+ * the count
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import request from 'supertest';
+import { DatabaseUtils } from '../utils/database.js';
+const { ProductQueries } = require('../utils/product-database');
+
+let app;
+beforeAll(async () => {
+  const serverModule = await import('../server.js');
+  app = serverModule.app;
+});
+
+describe('Usage Report Integration', () => {
+  const TABLE_NUMBER = 9106;
+  const CATEGORY = 'Test Usage';
+  let productId, tableId, menuItemId, today;
+
+  async function cleanUp() {
+    await DatabaseUtils.query('DELETE FROM orders WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM checks WHERE table_id IN (SELECT id FROM tables WHERE table_number = $1)', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM tables WHERE table_number = $1', [TABLE_NUMBER]);
+    await DatabaseUtils.query('DELETE FROM stock_counts WHERE category = $1', [CATEGORY]);
+    await DatabaseUtils.query('DELETE FROM waste_logs WHERE notes = $1', ['Test Usage waste']);
+    await DatabaseUtils.query('DELETE FROM recipes WHERE name LIKE $1', ['Test Usage%']);
+    await DatabaseUtils.query('DELETE FROM products WHERE name LIKE $1', ['Test Usage%']);
+  }
+
+  /**
+   * Place an order of pizzas and take it to served
+   * @param {number} quantity - Pizzas ordered
+   * @returns {Promise<number>} - Order ID
+   */
+  async function servePizzas(quantity) {
+    const order = await request(app)
+      .post('/api/orders')
+      .send({ table_id: tableId, customer_name: 'Test Usage Guest', items: [{ menu_item_id: menuItemId, quantity }] })
+      .expect(201);
+    await request(app).put(`/api/orders/${order.body.id}/status`).send({ status: 'ready' }).expect(200);
+    await request(app).put(`/api/orders/${order.body.id}/status`).send({ status: 'served' }).expect(200);
+    return order.body.id;
+  }
+
+  /**
+   * The product's line in today's usage report
+   * @returns {Promise<Object>} - { product, report }
+   */
+  async function usage() {
+    const response = await request(app)
+      .get(`/api/inventory/usage?start_date=${today}&end_date=${today}`)
+      .expect(200);
+    return { product: response.body.products.find(line => line.product_id === productId), report: response.body };
+  }
+
+  beforeEach(async () => {
+    await cleanUp();
+
+    const dateResult = await DatabaseUtils.query('SELECT CURRENT_DATE::text AS today');
+    today = dateResult.rows[0].today;
+
+    const product = await ProductQueries.createProduct({
+      name: 'Test Usage Mozzarella',
+      unit_of_measure: 'kg',
+      current_quantity: 0,
+      cost_per_unit: 10,
+      category: CATEGORY
+    });
+    productId = product.id;
+
+    await request(app)
+      .post(`/api/inventory/products/${productId}/restock`)
+      .send({ quantity: 5, unit_cost: 10 })
+      .expect(200);
+
+    // A batch of four pizzas takes 1000 g of mozzarella, 0.25 kg a pizza
+    const recipeResult = await DatabaseUtils.query(`
+      INSERT INTO recipes (name, category, servings) VALUES ($1, 'food', 4) RETURNING id
+    `, ['Test Usage Pizza']);
+    await DatabaseUtils.query(`
+      INSERT INTO recipe_ingredients (recipe_id, product_id, quantity, unit, order_index) VALUES ($1, $2, 1000, 'g', 1)
+    `, [recipeResult.rows[0].id, productId]);
+    const menuItemResult = await DatabaseUtils.query(`
+      INSERT INTO menu_items (recipe_id, name, price, category) VALUES ($1, $2, 12.00, 'Test') RETURNING id
+    `, [recipeResult.rows[0].id, 'Test Usage Pizza']);
+    menuItemId = menuItemResult.rows[0].id;
+
+    const tableResult = await DatabaseUtils.query(
+      'INSERT INTO tables (table_number, capacity) VALUES ($1, 4) RETURNING id',
+      [TABLE_NUMBER]
+    );
+    tableId = tableResult.rows[0].id;
+  });
+
+  afterEach(async () => {
+    await cleanUp();
+  });
+
+  it('should compare the recipes served and the waste logged with what the count found', async () => {
+    await servePizzas(2);
+
+    // An order served without its ingredients being deducted still counts towards theoretical usage
+    const undeductedOrder = await request(app)
+      .post('/api/orders')
+      .send({ table_id: tableId, customer_name: 'Test Usage Guest', items: [{ menu_item_id: menuItemId, quantity: 1 }] })
+      .expect(201);
+    await DatabaseUtils.query(`UPDATE orders SET status = 'served' WHERE id = $1`, [undeductedOrder.body.id]);
+
+    await request(app)
+      .post('/api/inventory/waste')
+      .send({ reason: 'dropped', items: [{ product_id: productId, quantity: 0.3 }], notes: 'Test Usage waste' })
+      .expect(201);
+
+    // The count starts expecting the 4.2 kg on the books, and a pizza is served before the shelf is counted.
+    // Four pizzas and the waste leave 3.7 kg, and the count finds 3.6.
+    const count = await request(app).post('/api/inventory/counts').send({ category: CATEGORY }).expect(201);
+    await servePizzas(1);
+    await request(app)
+      .put(`/api/inventory/counts/${count.body.stock_count.id}/lines`)
+      .send({ lines: [{ product_id: productId, counted_quantity: 3.6 }] })
+      .expect(200);
+    await request(app).post(`/api/inventory/counts/${count.body.stock_count.id}/post`).expect(200);
+
+    // Delivered after the count, so it carries the counted stock forward
+    await request(app)
+      .post(`/api/inventory/products/${productId}/restock`)
+      .send({ quantity: 1, unit_cost: 10 })
+      .expect(200);
+
+    const { product, report } = await usage();
+
+    expect(product).toMatchObject({
+      opening_quantity: 0,
+      purchased_quantity: 6,
+      purchased_cost: 60,
+      // Four pizzas at 0.25 kg
+      theoretical_quantity: 1,
+      theoretical_cost: 10,
+      waste_quantity: 0.3,
+      // What the count found plus the delivery after it; the books, posted against the count's
+      // start, hold 4.35
+      closing_quantity: 4.6,
+      actual_quantity: 1.4,
+      variance_quantity: 0.1,
+      variance_cost: 1
+    });
+    expect(product.counted_at).toBeTruthy();
+    expect(report.undeducted_orders.map(order => order.order_id)).toContain(undeductedOrder.body.id);
+  });
+
+  it('should take closing stock from the books without a count', async () => {
+    await servePizzas(2);
+
+    const { product } = await usage();
+
+    expect(product).toMatchObject({
+      purchased_quantity: 5,
+      theoretical_quantity: 0.5,
+      closing_quantity: 4.5,
+      variance_quantity: 0,
+      counted_at: null
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for the theoretical vs. actual usage report
+ * Covers working out theoretical usage from recipes, actual usage and unexplained variance, reading the
+ * report in UsageQueries (against a mocked DatabaseUtils), and the API's routing and validation responses;
+ * usage-report-integration.test.js runs the report against the database
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+const { summarizeUsage, theoreticalUsage } = require('../models/Usage');
+const { UsageQueries } = require('../utils/usage-database');
+const { DatabaseUtils } = require('../utils/database');
+
+// Mozzarella over a week: 12 kg on hand, 6 delivered, orders should have used 9.5, 0.5 wasted,
+// and the count found 7.5 left, 0.5 kg short of the 8 the sales and waste account for
+const MOZZARELLA = {
+  product_id: 3,
+  name: 'Fresh Mozzarella',
+  category: 'Dairy',
+  unit_of_measure: 'kg',
+  cost_per_unit: '8.5000',
+  opening_quantity: '12.000',
+  purchased_quantity: '6.000',
+  purchased_cost: '54.0000',
+  theoretical_quantity: '9.500',
+  theoretical_cost: '80.7500',
+  waste_quantity: '0.500',
+  waste_cost: '4.2500',
+  closing_quantity: '7.500',
+  counted_at: '2026-10-18T22:00:00.000Z'
+};
+
+describe('Usage variance', () => {
+  it('should work out actual usage and the variance sales and waste do not explain', () => {
+    const report = summarizeUsage([MOZZARELLA]);
+
+    expect(report.products[0]).toMatchObject({
+      opening_quantity: 12,
+      actual_quantity: 10.5,
+      variance_quantity: 0.5,
+      variance_cost: 4.25,
+      variance_percent: 5.26,
+      counted_at: '2026-10-18T22:00:00.000Z'
+    });
+    expect(report).toMatchObject({ purchased_cost: 54, theoretical_cost: 80.75, waste_cost: 4.25, variance_cost: 4.25 });
+  });
+
+  it('should report stock found as a negative variance and leave the percentage out without sales', () => {
+    const report = summarizeUsage([
+      { ...MOZZARELLA, closing_quantity: '8.200' },
+      {
+        product_id: 6, name: 'Sea Salt', category: 'Dry Goods', unit_of_measure: 'kg', cost_per_unit: '2.5000',
+        opening_quantity: '5.000', purchased_quantity: '0', theoretical_quantity: '0', waste_quantity: '0', closing_quantity: '4.900'
+      }
+    ]);
+
+    expect(report.products.map(product => product.variance_quantity)).toEqual([-0.2, 0.1]);
+    expect(report.products[1].variance_percent).toBeNull();
+    expect(report.variance_cost).toBe(-1.45);
+  });
+});
+
+describe('Theoretical usage', () => {
+  // Two margheritas from a four-pizza batch of 1000 g of mozzarella, one with extra cheese
+  const mozzarellaLine = {
+    servings: 2, product_id: 3, quantity_per_serving: '250.000', ingredient_unit: 'g', recipe_name: 'Margherita',
+    product_name: 'Fresh Mozzarella', unit_of_measure: 'kg'
+  };
+
+  it('should convert recipe quantities into product units and apply modifiers per item', () => {
+    const { quantities, problems } = theoreticalUsage(
+      [{ ...mozzarellaLine, order_item_id: 1 }, { ...mozzarellaLine, order_item_id: 2, servings: 1 }],
+      [{ order_item_id: 2, servings: 1, product_id: 3, action: 'add', quantity: '0.100' }]
+    );
+
+    expect(quantities.get(3)).toBeCloseTo(0.85);
+    expect(problems).toEqual([]);
+  });
+
+  it('should leave out and report an ingredient whose unit does not convert', () => {
+    const { quantities, problems } = theoreticalUsage(
+      [{ ...mozzarellaLine, order_item_id: 1, ingredient_unit: 'cup' }],
+      []
+    );
+
+    expect(quantities.size).toBe(0);
+    expect(problems).toHaveLength(1);
+    expect(problems[0]).toContain('Margherita');
+  });
+});
+
+describe('UsageQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should cost the recipes of the items served and list undeducted orders', async () => {
+    const { theoretical_quantity, theoretical_cost, ...stock } = MOZZARELLA;
+    const query = vi.spyOn(DatabaseUtils, 'query')
+      .mockResolvedValueOnce({ rows: [stock] })
+      .mockResolvedValueOnce({ rows: [{
+        order_item_id: 7, servings: 38, product_id: 3, quantity_per_serving: '250.000', ingredient_unit: 'g',
+        recipe_name: 'Margherita', product_name: 'Fresh Mozzarella', unit_of_measure: 'kg'
+      }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ order_id: 41, status: 'served' }] });
+
+    const report = await UsageQueries.getUsageReport({ start_date: '2026-10-12', end_date: '2026-10-18' });
+
+    expect(query.mock.calls[0][0]).toContain('FROM inventory_transactions it');
+    expect(query.mock.calls[0][1]).toEqual(['2026-10-12', '2026-10-18']);
+    expect(query.mock.calls[1][0]).toContain('recipe_ingredients');
+    expect(query.mock.calls[2][0]).toContain('modifier_ingredients');
+    expect(query.mock.calls[3][0]).toContain('order_inventory_deductions');
+    expect(report.start_date).toBe('2026-10-12');
+    // 38 servings of 250 g is 9.5 kg, at 8.50 a kilo
+    expect(report.products[0]).toMatchObject({ theoretical_quantity: 9.5, theoretical_cost: 80.75 });
+    expect(report.variance_cost).toBe(4.25);
+    expect(report.undeducted_orders).toEqual([{ order_id: 41, status: 'served' }]);
+    expect(report.problems).toEqual([]);
+  });
+});
+
+describe('Usage report API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should report usage over the dates asked for', async () => {
+    const usage = vi.spyOn(UsageQueries, 'getUsageReport').mockResolvedValue({
+      start_date: '2026-10-12', end_date: '2026-10-18', variance_cost: 4.25, products: [], undeducted_orders: []
+    });
+
+    const response = await request(app).get('/api/inventory/usage?start_date=2026-10-12&end_date=2026-10-18');
+
+    expect(response.status).toBe(200);
+    expect(response.body.variance_cost).toBe(4.25);
+    expect(usage).toHaveBeenCalledWith({ start_date: '2026-10-12', end_date: '2026-10-18' });
+  });
+
+  it('should reject bad dates and ranges', async () => {
+    const badDate = await request(app).get('/api/inventory/usage?end_date=18/10/2026');
+    const backwards = await request(app).get('/api/inventory/usage?start_date=2026-10-19&end_date=2026-10-18');
+
+    expect(badDate.status).toBe(400);
+    expect(badDate.body.error).toBe('Invalid end_date parameter. Must be YYYY-MM-DD.');
+    expect(backwards.body.error).toBe('Invalid start_date parameter. Must not be after end_date.');
+  });
+});
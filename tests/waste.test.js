@@ -0,0 +1,188 @@
+/**
+ * Tests for waste logging
+ * Covers waste log validation, report date ranges and totals, recording waste in WasteQueries
+ * (against a fake client) and the API's routing and validation responses
+ */
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import { createFakeClient } from './helpers/fake-client.js';
+const { validateWasteLog, resolveReportRange, summarizeWaste } = require('../models/Waste');
+const { WasteQueries } = require('../utils/waste-database');
+
+describe('Waste log validation', () => {
+  it('should accept products, menu items and recipes with a reason', () => {
+    const result = validateWasteLog({
+      reason: 'dropped',
+      items: [{ product_id: 3, quantity: 0.25 }, { menu_item_id: 1, quantity: 2 }, { recipe_id: 4, quantity: 1 }]
+    });
+
+    expect(result).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('should require a known reason and one source per item', () => {
+    const result = validateWasteLog({
+      reason: 'burnt',
+      items: [{ product_id: 3, menu_item_id: 1, quantity: 1 }, { recipe_id: 0, quantity: 0 }, { quantity: 1 }]
+    });
+
+    expect(result.errors.map(error => error.field)).toEqual([
+      'reason', 'items[0]', 'items[1].recipe_id', 'items[1].quantity', 'items[2]'
+    ]);
+    expect(validateWasteLog({ reason: 'comp', items: [] }).errors)
+      .toEqual([{ field: 'items', message: 'Items must be a non-empty array' }]);
+  });
+});
+
+describe('Waste report', () => {
+  const today = new Date(2026, 5, 15, 18, 30);
+
+  it('should default to the 30 days up to today', () => {
+    expect(resolveReportRange({}, today)).toEqual({ start_date: '2026-05-17', end_date: '2026-06-15', errors: [] });
+    expect(resolveReportRange({ end_date: '2026-03-31' }, today))
+      .toEqual({ start_date: '2026-03-02', end_date: '2026-03-31', errors: [] });
+  });
+
+  it('should reject bad, reversed and overlong ranges', () => {
+    expect(resolveReportRange({ start_date: '2026-02-30' }, today).errors[0].field).toBe('start_date');
+    expect(resolveReportRange({ start_date: '2026-06-16' }, today).errors[0].message).toBe('Must not be after end_date');
+    expect(resolveReportRange({ start_date: '2025-01-01' }, today).errors[0].message).toBe('Report can cover at most 366 days');
+  });
+
+  it('should total cost by reason, product, day and staff member', () => {
+    const summary = summarizeWaste([
+      { waste_log_id: 1, reason: 'spoiled', product_id: 4, product_name: 'Fresh Basil', unit_of_measure: 'g',
+        quantity: '80.000', unit_cost: '0.0200', day: '2026-06-13', recorded_by: 2, recorded_by_name: 'Sam' },
+      { waste_log_id: 2, reason: 'dropped', product_id: 3, product_name: 'Fresh Mozzarella', unit_of_measure: 'kg',
+        quantity: '0.125', unit_cost: '8.5000', day: '2026-06-14', recorded_by: null, recorded_by_name: null },
+      { waste_log_id: 2, reason: 'dropped', product_id: 4, product_name: 'Fresh Basil', unit_of_measure: 'g',
+        quantity: '5.000', unit_cost: '0.0200', day: '2026-06-14', recorded_by: null, recorded_by_name: null }
+    ]);
+
+    expect(summary.total_cost).toBe(2.76);
+    expect(summary.entry_count).toBe(2);
+    expect(summary.by_reason.map(row => [row.reason, row.entry_count, row.cost])).toEqual([
+      ['spoiled', 1, 1.6], ['dropped', 1, 1.16], ['overcooked', 0, 0], ['comp', 0, 0], ['expired', 0, 0]
+    ]);
+    expect(summary.by_product).toEqual([
+      { product_id: 4, product_name: 'Fresh Basil', unit_of_measure: 'g', quantity: 85, cost: 1.7 },
+      { product_id: 3, product_name: 'Fresh Mozzarella', unit_of_measure: 'kg', quantity: 0.125, cost: 1.06 }
+    ]);
+    expect(summary.by_day.map(row => row.date)).toEqual(['2026-06-13', '2026-06-14']);
+    expect(summary.by_staff).toEqual([
+      { staff_user_id: 2, staff_name: 'Sam', entry_count: 1, cost: 1.6 },
+      { staff_user_id: null, staff_name: null, entry_count: 1, cost: 1.16 }
+    ]);
+  });
+});
+
+describe('WasteQueries', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should expand a menu item into its ingredients and take them out of stock', async () => {
+    const client = createFakeClient([
+      ['FROM menu_items WHERE id = $1', [{ id: 1, name: 'Classic Margherita Pizza', recipe_id: 1 }]],
+      ['FROM recipe_ingredients ri', [
+        { product_id: 3, quantity_per_serving: '0.125', total_quantity_needed: '0.25', ingredient_unit: 'kg',
+          unit_of_measure: 'kg', recipe_name: 'Margherita', product_name: 'Fresh Mozzarella', current_quantity: '12.000' }
+      ]],
+      ['FROM products WHERE id = ANY', [
+        { id: 3, name: 'Fresh Mozzarella', unit_of_measure: 'kg', cost_per_unit: '8.5000' },
+        { id: 4, name: 'Fresh Basil', unit_of_measure: 'g', cost_per_unit: '0.0200' }
+      ]],
+      ['INSERT INTO waste_logs', [{ id: 9, reason: 'dropped', notes: null }]],
+      ['INSERT INTO inventory_transactions', params => [{ id: 60, product_id: params[0], quantity_change: params[1] }]],
+      ['UPDATE products', params => [{ id: params[1], name: 'Product', current_quantity: '5.000', low_stock_threshold: 1 }]],
+      ['FROM waste_logs w', [{ id: 9, reason: 'dropped' }]]
+    ], { transaction: true, commitEvents: true });
+
+    const result = await WasteQueries.recordWaste({
+      reason: 'dropped',
+      items: [{ menu_item_id: 1, quantity: 2 }, { product_id: 4, quantity: 5 }]
+    }, { id: 2 });
+
+    const lines = client.queries.filter(q => q.sql.includes('INSERT INTO waste_log_lines'));
+    expect(lines.map(q => q.params)).toEqual([
+      [9, 3, 0.25, '8.5000', 1, 1],
+      [9, 4, 5, '0.0200', null, null]
+    ]);
+    const transactions = client.queries.filter(q => q.sql.includes('INSERT INTO inventory_transactions'));
+    expect(transactions[0].sql).toContain("'waste', $2, 'waste_log'");
+    expect(transactions[0].params).toEqual([3, -0.25, 9, 'Waste log #9 (dropped) - 2 x Classic Margherita Pizza', null]);
+    expect(client.queries.find(q => q.sql.includes('INSERT INTO waste_logs')).params).toEqual(['dropped', null, 2]);
+    expect(result.transactions).toHaveLength(2);
+  });
+
+  it('should refuse unknown products and menu items without a recipe', async () => {
+    const client = createFakeClient([
+      ['FROM menu_items WHERE id = $1', [{ id: 5, name: 'Garlic Bread', recipe_id: null }]]
+    ], { transaction: true, commitEvents: true });
+
+    await expect(WasteQueries.recordWaste({
+      reason: 'overcooked',
+      items: [{ menu_item_id: 5, quantity: 1 }, { product_id: 99, quantity: 1 }]
+    }, null)).rejects.toMatchObject({
+      type: 'validation',
+      details: [
+        { field: 'items[0].menu_item_id', message: 'Menu item "Garlic Bread" has no recipe to take ingredients from' },
+        { field: 'items[1].product_id', message: 'Product 99 not found' }
+      ]
+    });
+    expect(client.queries.some(q => q.sql.includes('INSERT INTO waste_logs'))).toBe(false);
+  });
+});
+
+describe('Waste API', () => {
+  let app;
+
+  beforeAll(async () => {
+    const serverModule = await import('../server.js');
+    app = serverModule.app;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should record waste', async () => {
+    const record = vi.spyOn(WasteQueries, 'recordWaste').mockResolvedValue({ waste_log: { id: 9 }, transactions: [] });
+    const body = { reason: 'expired', items: [{ product_id: 3, quantity: 1.5 }] };
+
+    const response = await request(app).post('/api/inventory/waste').send(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body.waste_log.id).toBe(9);
+    expect(record).toHaveBeenCalledWith(body, null);
+  });
+
+  it('should validate the reason', async () => {
+    const response = await request(app).post('/api/inventory/waste').send({ reason: 'lost', items: [{ product_id: 3, quantity: 1 }] });
+
+    expect(response.status).toBe(422);
+    expect(response.body.details[0].field).toBe('reason');
+  });
+
+  it('should run the report over the dates given', async () => {
+    const report = vi.spyOn(WasteQueries, 'getWasteReport').mockResolvedValue({ total_cost: 0 });
+
+    const response = await request(app).get('/api/inventory/waste/report?start_date=2026-06-01&end_date=2026-06-07');
+
+    expect(response.status).toBe(200);
+    expect(report).toHaveBeenCalledWith({ start_date: '2026-06-01', end_date: '2026-06-07' });
+  });
+
+  it('should reject an invalid date or reason filter', async () => {
+    expect((await request(app).get('/api/inventory/waste/report?end_date=June')).status).toBe(400);
+    expect((await request(app).get('/api/inventory/waste?reason=lost')).status).toBe(400);
+  });
+
+  it('should return 404 for a missing waste log', async () => {
+    vi.spyOn(WasteQueries, 'getWasteLogById').mockResolvedValue(null);
+
+    const response = await request(app).get('/api/inventory/waste/99');
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -5,6 +5,9 @@
  */
 
 const { ProductQueries } = require('./product-database');
+const { LotQueries } = require('./lot-database');
+const { DEFAULT_EXPIRY_WARNING_DAYS } = require('../models/StockLot');
+const { EventBus } = require('./event-bus');
 
 /**
  * Alert data structure for low stock alerts
@@ -52,21 +55,61 @@ class OutOfStockAlert {
   }
 }
 
+/**
+ * Alert data structure for lots that have expired or expire soon
+ * One alert per lot; current_quantity is what the lot has left
+ */
+class ExpiringSoonAlert {
+  constructor(lot) {
+    this.id = lot.product_id;
+    this.lot_id = lot.id;
+    this.name = lot.product_name;
+    this.current_quantity = parseFloat(lot.quantity_remaining);
+    this.unit_of_measure = lot.unit_of_measure;
+    this.lot_code = lot.lot_code || null;
+    this.expires_on = lot.expires_on;
+    this.days_until_expiry = parseInt(lot.days_until_expiry);
+    this.alert_type = 'expiring_soon';
+    this.severity = this.calculateSeverity(this.days_until_expiry);
+    this.message = this.generateMessage();
+  }
+
+  calculateSeverity(daysUntilExpiry) {
+    if (daysUntilExpiry < 0) return 'critical';
+    if (daysUntilExpiry <= 1) return 'high';
+    return 'medium';
+  }
+
+  generateMessage() {
+    const quantity = `${this.current_quantity} ${this.unit_of_measure}`;
+    if (this.days_until_expiry < 0) {
+      return `${quantity} of ${this.name} has expired`;
+    }
+    if (this.days_until_expiry === 0) {
+      return `${quantity} of ${this.name} expires today`;
+    }
+    return `${quantity} of ${this.name} expires in ${this.days_until_expiry} day${this.days_until_expiry > 1 ? 's' : ''}`;
+  }
+}
+
 /**
  * Dashboard summary data structure
  */
 class DashboardSummary {
   constructor(data) {
+    this.location_id = data.location_id || null;
     this.total_products = data.total_products || 0;
     this.low_stock_count = data.low_stock_count || 0;
     this.out_of_stock_count = data.out_of_stock_count || 0;
     this.low_stock_alerts = data.low_stock_alerts || [];
     this.out_of_stock_alerts = data.out_of_stock_alerts || [];
+    this.expiring_soon_count = data.expiring_soon_count || 0;
+    this.expiring_soon_alerts = data.expiring_soon_alerts || [];
     this.alert_summary = this.generateAlertSummary();
   }
 
   generateAlertSummary() {
-    const totalAlerts = this.low_stock_count + this.out_of_stock_count;
+    const totalAlerts = this.low_stock_count + this.out_of_stock_count + this.expiring_soon_count;
     
     if (totalAlerts === 0) {
       return 'All products are adequately stocked';
@@ -79,6 +122,9 @@ class DashboardSummary {
     if (this.low_stock_count > 0) {
       messages.push(`${this.low_stock_count} product${this.low_stock_count > 1 ? 's' : ''} running low`);
     }
+    if (this.expiring_soon_count > 0) {
+      messages.push(`${this.expiring_soon_count} lot${this.expiring_soon_count > 1 ? 's' : ''} expired or expiring soon`);
+    }
 
     return messages.join(', ');
   }
@@ -88,14 +134,26 @@ class DashboardSummary {
  * Alert service for inventory management
  */
 class AlertService {
+  /**
+   * Use what one location holds as a product's quantity, for alerts about that location
+   * @param {Object} product - Product listed for a location (see ProductQueries.buildProductQuery)
+   * @returns {Object}
+   */
+  static atLocation(product) {
+    return product.location_quantity !== null && product.location_quantity !== undefined
+      ? { ...product, current_quantity: product.location_quantity }
+      : product;
+  }
+
   /**
    * Detect and generate low stock alerts
+   * @param {number|null} locationId - Only this location's products, by what it holds
    * @returns {Promise<Array<LowStockAlert>>} - Array of low stock alerts
    */
-  static async getLowStockAlerts() {
+  static async getLowStockAlerts(locationId = null) {
     try {
-      const lowStockProducts = await ProductQueries.getLowStockProducts();
-      return lowStockProducts.map(product => new LowStockAlert(product));
+      const lowStockProducts = await ProductQueries.getLowStockProducts(locationId);
+      return lowStockProducts.map(product => new LowStockAlert(this.atLocation(product)));
     } catch (error) {
       throw new Error(`Failed to get low stock alerts: ${error.message}`);
     }
@@ -103,35 +161,57 @@ class AlertService {
 
   /**
    * Detect and generate out-of-stock alerts
+   * @param {number|null} locationId - Only this location's products, by what it holds
    * @returns {Promise<Array<OutOfStockAlert>>} - Array of out-of-stock alerts
    */
-  static async getOutOfStockAlerts() {
+  static async getOutOfStockAlerts(locationId = null) {
     try {
-      const outOfStockProducts = await ProductQueries.getOutOfStockProducts();
+      const outOfStockProducts = await ProductQueries.getOutOfStockProducts(locationId);
       return outOfStockProducts.map(product => new OutOfStockAlert(product));
     } catch (error) {
       throw new Error(`Failed to get out-of-stock alerts: ${error.message}`);
     }
   }
 
+  /**
+   * Detect lots with stock left that have expired or expire within a number of days
+   * @param {number} days - Days ahead to look
+   * @param {number|null} locationId - Only lots of products held at or kept at this location
+   * @returns {Promise<Array<ExpiringSoonAlert>>} - Alerts, soonest expiry first
+   */
+  static async getExpiringSoonAlerts(days = DEFAULT_EXPIRY_WARNING_DAYS, locationId = null) {
+    try {
+      const lots = await LotQueries.getExpiringLots(days, locationId);
+      return lots.map(lot => new ExpiringSoonAlert(lot));
+    } catch (error) {
+      throw new Error(`Failed to get expiring soon alerts: ${error.message}`);
+    }
+  }
+
   /**
    * Generate comprehensive dashboard summary with all alert data
+   * @param {Object} options - { location_id: only products held at or kept at this location }
    * @returns {Promise<DashboardSummary>} - Dashboard summary with alerts
    */
-  static async getDashboardSummary() {
+  static async getDashboardSummary(options = {}) {
+    const locationId = options.location_id || null;
     try {
-      const [lowStockAlerts, outOfStockAlerts, totalProducts] = await Promise.all([
-        this.getLowStockAlerts(),
-        this.getOutOfStockAlerts(),
-        ProductQueries.getProductCount()
+      const [lowStockAlerts, outOfStockAlerts, expiringSoonAlerts, totalProducts] = await Promise.all([
+        this.getLowStockAlerts(locationId),
+        this.getOutOfStockAlerts(locationId),
+        this.getExpiringSoonAlerts(DEFAULT_EXPIRY_WARNING_DAYS, locationId),
+        ProductQueries.getProductCount({ location_id: locationId })
       ]);
 
       return new DashboardSummary({
+        location_id: locationId,
         total_products: totalProducts,
         low_stock_count: lowStockAlerts.length,
         out_of_stock_count: outOfStockAlerts.length,
         low_stock_alerts: lowStockAlerts,
-        out_of_stock_alerts: outOfStockAlerts
+        out_of_stock_alerts: outOfStockAlerts,
+        expiring_soon_count: expiringSoonAlerts.length,
+        expiring_soon_alerts: expiringSoonAlerts
       });
     } catch (error) {
       throw new Error(`Failed to generate dashboard summary: ${error.message}`);
@@ -162,6 +242,61 @@ class AlertService {
     return product.current_quantity === 0;
   }
 
+  /**
+   * Alert raised by a stock change: an out-of-stock alert when the product has just run out, or a
+   * low stock alert when it has just dropped to its threshold. Products already alerting raise nothing.
+   * @param {Object} product - Product row after the change
+   * @param {number} quantityChange - Change that was applied to current_quantity
+   * @returns {LowStockAlert|OutOfStockAlert|null}
+   */
+  static getNewAlert(product, quantityChange) {
+    const current = {
+      ...product,
+      current_quantity: parseFloat(product.current_quantity),
+      low_stock_threshold: product.low_stock_threshold === null ? null : parseFloat(product.low_stock_threshold)
+    };
+    // Quantities are DECIMAL(10,3), so round away floating point noise from the subtraction
+    const previous = {
+      ...current,
+      current_quantity: Math.round((current.current_quantity - quantityChange) * 1000) / 1000
+    };
+
+    if (current.current_quantity <= 0 && previous.current_quantity > 0) {
+      return new OutOfStockAlert(current);
+    }
+    if (this.isLowStock(current) && !this.isLowStock(previous) && previous.current_quantity > 0) {
+      return new LowStockAlert(current);
+    }
+    return null;
+  }
+
+  /**
+   * Publish a stock.changed event, and an inventory.alert when the change raises a new alert
+   * @param {Object|null} client - Database client inside a transaction, to publish once it commits;
+   *   null to publish now
+   * @param {Object} product - Product row after the change
+   * @param {number} quantityChange - Change that was applied to current_quantity
+   */
+  static publishStockChange(client, product, quantityChange) {
+    const publish = (type, data) => client
+      ? EventBus.publishOnCommit(client, type, data)
+      : EventBus.publish(type, data);
+
+    publish('stock.changed', {
+      product_id: product.id,
+      name: product.name,
+      current_quantity: parseFloat(product.current_quantity),
+      low_stock_threshold: product.low_stock_threshold,
+      unit_of_measure: product.unit_of_measure,
+      quantity_change: quantityChange
+    });
+
+    const alert = this.getNewAlert(product, quantityChange);
+    if (alert) {
+      publish('inventory.alert', alert);
+    }
+  }
+
   /**
    * Validate alert data structure
    * @param {Object} alert - Alert object to validate
@@ -181,7 +316,7 @@ class AlertService {
     }
 
     // Validate alert_type
-    if (!['low_stock', 'out_of_stock'].includes(alert.alert_type)) {
+    if (!['low_stock', 'out_of_stock', 'expiring_soon'].includes(alert.alert_type)) {
       return false;
     }
 
@@ -246,5 +381,6 @@ module.exports = {
   AlertService, 
   LowStockAlert, 
   OutOfStockAlert, 
+  ExpiringSoonAlert,
   DashboardSummary 
 };
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Authentication utilities
+ * Provides password hashing and signed token helpers for staff logins
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+require('dotenv').config();
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_KEY_LENGTH = 64;
+const DEFAULT_TOKEN_TTL_HOURS = 12;
+
+// Tokens signed with a generated secret stop working when the process restarts
+let generatedSecret = null;
+
+/**
+ * Get the secret used to sign auth tokens
+ * @returns {string} - AUTH_SECRET from the environment, or a per-process random secret
+ */
+function getTokenSecret() {
+  if (process.env.AUTH_SECRET) {
+    return process.env.AUTH_SECRET;
+  }
+
+  if (!generatedSecret) {
+    console.warn('AUTH_SECRET is not set; using a random secret, sessions will not survive a restart');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+/**
+ * Get token lifetime in seconds
+ * @returns {number}
+ */
+function getTokenTtlSeconds() {
+  const hours = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS);
+  return Math.round((isNaN(hours) || hours <= 0 ? DEFAULT_TOKEN_TTL_HOURS : hours) * 3600);
+}
+
+/**
+ * Whether API routes require authentication (AUTH_ENABLED=false turns it off)
+ * @returns {boolean}
+ */
+function isAuthEnabled() {
+  return process.env.AUTH_ENABLED !== 'false';
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Hash in the form scrypt$<salt>$<hash>
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token for a staff user
+ * @param {Object} user - User with id and role
+ * @returns {Object} - { token, expires_at }
+ */
+function createToken(user) {
+  const expiresAt = Math.floor(Date.now() / 1000) + getTokenTtlSeconds();
+  const payload = Buffer.from(JSON.stringify({
+    sub: user.id,
+    role: user.role,
+    exp: expiresAt
+  })).toString('base64url');
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expires_at: new Date(expiresAt * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a signed token
+ * @param {string} token - Token produced by createToken
+ * @returns {Object|null} - Decoded payload, or null if invalid or expired
+ */
+function verifyToken(token) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!decoded.exp || decoded.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the auth token from the Authorization header or the auth_token cookie
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token or null
+ */
+function getTokenFromRequest(req) {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  const cookies = req.headers.cookie;
+  if (cookies) {
+    for (const cookie of cookies.split(';')) {
+      const [name, ...rest] = cookie.trim().split('=');
+      if (name === 'auth_token') {
+        return decodeURIComponent(rest.join('='));
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  getTokenFromRequest,
+  getTokenTtlSeconds,
+  isAuthEnabled
+};
@@ -0,0 +1,587 @@
+/**
+ * Database query utilities for table checks
+ * Opens, transfers, merges, splits and closes checks and keeps each table's status in step with them
+ */
+
+const { DatabaseUtils } = require('./database');
+const { Check } = require('../models/Check');
+const { PricingQueries } = require('./pricing-database');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+const { EventBus } = require('./event-bus');
+const { OrderStatusQueries } = require('./order-status-database');
+const { FINAL_ORDER_STATUSES } = require('../models/Order');
+
+// Checks that keep their table occupied: open ones, and ones merged into a check that is still open
+const ACTIVE_CHECK_CONDITION = `(c.status = 'open' OR (c.status = 'merged' AND target.status = 'open'))`;
+
+/**
+ * Payload of a table.status_changed event
+ * @param {Object} table - Table row
+ * @param {number|null} checkId - Table's active check
+ * @returns {Object}
+ */
+function tableEvent(table, checkId) {
+  return {
+    table_id: table.id,
+    table_number: table.table_number,
+    status: table.status,
+    check_id: checkId || null
+  };
+}
+
+/**
+ * Table check database operations
+ */
+class CheckQueries {
+  /**
+   * Find the open check that currently holds a table's orders
+   * A table whose check was merged resolves to the check it was merged into;
+   * a table with split checks resolves to the oldest one
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @param {number} tableId - Table ID
+   * @returns {Promise<number|null>} - Check ID or null if the table is free
+   */
+  static async getActiveCheckId(db, tableId) {
+    const result = await db.query(`
+      SELECT COALESCE(target.id, c.id) AS check_id
+      FROM checks c
+      LEFT JOIN checks target ON target.id = c.merged_into_check_id
+      WHERE c.table_id = $1 AND ${ACTIVE_CHECK_CONDITION}
+      ORDER BY c.opened_at, c.id
+      LIMIT 1
+    `, [tableId]);
+    return result.rows.length > 0 ? result.rows[0].check_id : null;
+  }
+
+  /**
+   * Active check for every occupied table and when its party sat down
+   * Tables combined for one party share the main check's seating time
+   * @returns {Promise<Map<number, Object>>} - Table ID to { check_id, seated_at }
+   */
+  static async getActiveChecksByTable() {
+    const result = await DatabaseUtils.query(`
+      SELECT DISTINCT ON (c.table_id) c.table_id, COALESCE(target.id, c.id) AS check_id,
+        COALESCE(target.opened_at, c.opened_at) AS seated_at
+      FROM checks c
+      LEFT JOIN checks target ON target.id = c.merged_into_check_id
+      WHERE ${ACTIVE_CHECK_CONDITION}
+      ORDER BY c.table_id, c.opened_at, c.id
+    `);
+    return new Map(result.rows.map(row => [row.table_id, { check_id: row.check_id, seated_at: row.seated_at }]));
+  }
+
+  /**
+   * Set a table to occupied while it has an active check, and to cleaning once it no longer does
+   * Reserved and available tables without a check are left alone
+   * Publishes table.status_changed once the transaction commits
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} tableId - Table ID
+   */
+  static async syncTableStatus(client, tableId) {
+    const checkId = await this.getActiveCheckId(client, tableId);
+    const result = checkId
+      ? await client.query(`UPDATE tables SET status = 'occupied' WHERE id = $1 RETURNING *`, [tableId])
+      : await client.query(`UPDATE tables SET status = 'cleaning' WHERE id = $1 AND status = 'occupied' RETURNING *`, [tableId]);
+
+    if (result.rows.length > 0) {
+      EventBus.publishOnCommit(client, 'table.status_changed', tableEvent(result.rows[0], checkId));
+    }
+  }
+
+  /**
+   * Lock a check for update and require it to be open
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} checkId - Check ID
+   * @returns {Promise<Object|null>} - Check row or null if not found
+   */
+  static async lockOpenCheck(client, checkId) {
+    const result = await client.query('SELECT * FROM checks WHERE id = $1 FOR UPDATE', [checkId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const check = result.rows[0];
+    if (check.status !== 'open') {
+      throw createConflictError(`Check ${checkId} is ${check.status}`);
+    }
+    return check;
+  }
+
+  /**
+   * Lock a table row so concurrent requests cannot seat two parties at once
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} tableId - Table ID
+   * @returns {Promise<Object|null>} - Table row or null if not found or retired
+   */
+  static async lockTable(client, tableId) {
+    const result = await client.query('SELECT * FROM tables WHERE id = $1 AND retired_at IS NULL FOR UPDATE', [tableId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Open a check for a party sitting down
+   * @param {Object} data - { table_id, guest_count }
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Check|null>} - New check or null if the table does not exist
+   */
+  static async openCheck(data, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const table = await this.lockTable(client, data.table_id);
+      if (!table) {
+        return null;
+      }
+
+      if (await this.getActiveCheckId(client, table.id)) {
+        throw createConflictError(`Table ${table.table_number} already has an open check`);
+      }
+
+      const result = await client.query(`
+        INSERT INTO checks (table_id, guest_count, opened_by)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [table.id, data.guest_count || null, user ? user.id : null]);
+
+      await this.syncTableStatus(client, table.id);
+
+      return new Check({ ...result.rows[0], table_number: table.table_number });
+    });
+  }
+
+  /**
+   * Seat one party at one or more tables inside the caller's transaction
+   * The first table gets the party's check; the others get checks merged into it, so every
+   * table stays occupied until the party's check closes
+   * @param {Object} client - Database client inside a transaction
+   * @param {Array<number>} tableIds - Tables to seat the party at, first one holding the check
+   * @param {number|null} guestCount - Guests in the party
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Object>} - { check_id, tables } with the table rows in the order given
+   */
+  static async openCheckAtTables(client, tableIds, guestCount, user) {
+    const tablesById = new Map();
+    // Lock in ID order so two parties seated at overlapping tables cannot deadlock
+    for (const tableId of [...tableIds].sort((a, b) => a - b)) {
+      const table = await this.lockTable(client, tableId);
+      if (!table) {
+        throw createValidationError([{ field: 'table_ids', message: `Table ${tableId} not found` }]);
+      }
+      if (await this.getActiveCheckId(client, table.id)) {
+        throw createConflictError(`Table ${table.table_number} already has an open check`);
+      }
+      tablesById.set(table.id, table);
+    }
+
+    const tables = tableIds.map(tableId => tablesById.get(tableId));
+    const openedBy = user ? user.id : null;
+    const result = await client.query(`
+      INSERT INTO checks (table_id, guest_count, opened_by)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `, [tables[0].id, guestCount || null, openedBy]);
+    const checkId = result.rows[0].id;
+
+    for (const table of tables.slice(1)) {
+      await client.query(`
+        INSERT INTO checks (table_id, status, merged_into_check_id, opened_by, closed_at)
+        VALUES ($1, 'merged', $2, $3, CURRENT_TIMESTAMP)
+      `, [table.id, checkId, openedBy]);
+    }
+
+    for (const table of tables) {
+      await this.syncTableStatus(client, table.id);
+    }
+
+    return { check_id: checkId, tables };
+  }
+
+  /**
+   * Work out which check a new order belongs to, opening one if the table has none
+   * Used by POST /api/orders inside its own transaction
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} data - { table_id, check_id } from the order request
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Object>} - { check_id, table_id } (both null for orders without a table)
+   */
+  static async resolveCheckForOrder(client, data, user) {
+    if (data.check_id) {
+      const check = await this.lockOpenCheck(client, data.check_id);
+      if (!check) {
+        throw createValidationError([{ field: 'check_id', message: 'Check not found' }]);
+      }
+      if (data.table_id && Number(data.table_id) !== check.table_id) {
+        throw createValidationError([{ field: 'table_id', message: `Check ${check.id} belongs to a different table` }]);
+      }
+      return { check_id: check.id, table_id: check.table_id };
+    }
+
+    if (!data.table_id) {
+      return { check_id: null, table_id: null };
+    }
+
+    const table = await this.lockTable(client, data.table_id);
+    if (!table) {
+      throw createValidationError([{ field: 'table_id', message: 'Table not found' }]);
+    }
+
+    const activeCheckId = await this.getActiveCheckId(client, table.id);
+    if (activeCheckId) {
+      return { check_id: activeCheckId, table_id: table.id };
+    }
+
+    const result = await client.query(
+      'INSERT INTO checks (table_id, opened_by) VALUES ($1, $2) RETURNING id',
+      [table.id, user ? user.id : null]
+    );
+    await this.syncTableStatus(client, table.id);
+
+    return { check_id: result.rows[0].id, table_id: table.id };
+  }
+
+  /**
+   * List checks with their table number, order count and total
+   * @param {Object} options - { status, table_id }
+   * @returns {Promise<Array<Check>>} - Checks, newest first
+   */
+  static async getChecks({ status = null, table_id = null } = {}) {
+    const result = await DatabaseUtils.query(`
+      SELECT c.*, t.table_number, COALESCE(SUM(o.total), 0) AS total, COUNT(o.id) AS order_count
+      FROM checks c
+      JOIN tables t ON t.id = c.table_id
+      LEFT JOIN orders o ON o.check_id = c.id
+      WHERE ($1::varchar IS NULL OR c.status = $1)
+        AND ($2::integer IS NULL OR c.table_id = $2)
+      GROUP BY c.id, t.table_number
+      ORDER BY c.opened_at DESC, c.id DESC
+    `, [status, table_id]);
+
+    return result.rows.map(row => new Check(row));
+  }
+
+  /**
+   * Get a check with its orders and their items
+   * @param {number} checkId - Check ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Check|null>} - Check or null if not found
+   */
+  static async getCheckById(checkId, db = DatabaseUtils) {
+    const checkResult = await db.query(`
+      SELECT c.*, t.table_number
+      FROM checks c
+      JOIN tables t ON t.id = c.table_id
+      WHERE c.id = $1
+    `, [checkId]);
+
+    if (checkResult.rows.length === 0) {
+      return null;
+    }
+
+    const ordersResult = await db.query(
+      'SELECT * FROM orders WHERE check_id = $1 ORDER BY created_at, id',
+      [checkId]
+    );
+    const itemsResult = await db.query(`
+      SELECT oi.id, oi.order_id, oi.menu_item_id, oi.quantity, mi.name, COALESCE(oi.unit_price, mi.price) AS price, oi.notes, oi.voided_at,
+        (SELECT string_agg(oim.name, ', ' ORDER BY oim.id) FROM order_item_modifiers oim WHERE oim.order_item_id = oi.id) AS modifiers
+      FROM order_items oi
+      JOIN orders o ON o.id = oi.order_id
+      JOIN menu_items mi ON mi.id = oi.menu_item_id
+      WHERE o.check_id = $1
+      ORDER BY oi.id
+    `, [checkId]);
+
+    const orders = ordersResult.rows.map(order => ({
+      ...order,
+      items: itemsResult.rows.filter(item => item.order_id === order.id)
+    }));
+    const total = orders.reduce((sum, order) => sum + parseFloat(order.total || 0), 0);
+
+    return new Check({ ...checkResult.rows[0], orders, total: total.toFixed(2) });
+  }
+
+  /**
+   * Move a check and its orders to another table
+   * @param {number} checkId - Check ID
+   * @param {number} tableId - Destination table ID
+   * @returns {Promise<Check|null>} - Updated check or null if the check does not exist
+   */
+  static async transferCheck(checkId, tableId) {
+    return DatabaseUtils.transaction(async (client) => {
+      const check = await this.lockOpenCheck(client, checkId);
+      if (!check) {
+        return null;
+      }
+
+      if (check.table_id === tableId) {
+        throw createConflictError('Check is already at that table');
+      }
+
+      const table = await this.lockTable(client, tableId);
+      if (!table) {
+        throw createValidationError([{ field: 'table_id', message: 'Table not found' }]);
+      }
+      if (await this.getActiveCheckId(client, table.id)) {
+        throw createConflictError(`Table ${table.table_number} already has an open check`);
+      }
+
+      await client.query('UPDATE checks SET table_id = $1 WHERE id = $2', [table.id, check.id]);
+      await client.query('UPDATE orders SET table_id = $1 WHERE check_id = $2', [table.id, check.id]);
+
+      await this.syncTableStatus(client, check.table_id);
+      await this.syncTableStatus(client, table.id);
+
+      return this.getCheckById(check.id, client);
+    });
+  }
+
+  /**
+   * Merge another check into this one
+   * The source check's orders move across and it is marked merged; its table stays
+   * occupied until the combined check closes
+   * @param {number} targetCheckId - Check receiving the orders
+   * @param {number} sourceCheckId - Check being merged in
+   * @returns {Promise<Check|null>} - Combined check or null if either check does not exist
+   */
+  static async mergeChecks(targetCheckId, sourceCheckId) {
+    return DatabaseUtils.transaction(async (client) => {
+      // Lock in ID order so two opposite merges cannot deadlock
+      const locked = await client.query(
+        'SELECT * FROM checks WHERE id = ANY($1::integer[]) ORDER BY id FOR UPDATE',
+        [[targetCheckId, sourceCheckId]]
+      );
+      const target = locked.rows.find(row => row.id === targetCheckId);
+      const source = locked.rows.find(row => row.id === sourceCheckId);
+      if (!target || !source) {
+        return null;
+      }
+
+      for (const check of [target, source]) {
+        if (check.status !== 'open') {
+          throw createConflictError(`Check ${check.id} is ${check.status}`);
+        }
+      }
+
+      await client.query('UPDATE orders SET check_id = $1 WHERE check_id = $2', [target.id, source.id]);
+
+      // Keep merge chains one level deep so table status only has to look at the direct target
+      await client.query(
+        'UPDATE checks SET merged_into_check_id = $1 WHERE merged_into_check_id = $2',
+        [target.id, source.id]
+      );
+      await client.query(`
+        UPDATE checks
+        SET status = 'merged', merged_into_check_id = $1, closed_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [target.id, source.id]);
+
+      if (source.guest_count) {
+        await client.query(
+          'UPDATE checks SET guest_count = COALESCE(guest_count, 0) + $1 WHERE id = $2',
+          [source.guest_count, target.id]
+        );
+      }
+
+      await this.syncTableStatus(client, source.table_id);
+
+      return this.getCheckById(target.id, client);
+    });
+  }
+
+  /**
+   * Move some order items onto a new check at the same table
+   * Whole orders move as they are; partly moved orders are divided into two orders. The new order records
+   * the order it came from (split_from_order_id) and is recorded as deducted when the original was (see
+   * order_inventory_deductions)
+   * @param {number} checkId - Check being split
+   * @param {Array<Object>} items - [{ order_item_id, quantity }]; quantity defaults to the full line
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Object|null>} - { original, split } checks, or null if the check does not exist
+   */
+  static async splitCheckByItems(checkId, items, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const check = await this.lockOpenCheck(client, checkId);
+      if (!check) {
+        return null;
+      }
+
+      const linesResult = await client.query(`
+        SELECT oi.id, oi.order_id, oi.quantity
+        FROM order_items oi
+        JOIN orders o ON o.id = oi.order_id
+        WHERE o.check_id = $1 AND oi.voided_at IS NULL
+        FOR UPDATE OF oi
+      `, [check.id]);
+      const linesById = new Map(linesResult.rows.map(line => [line.id, line]));
+
+      const errors = [];
+      const moves = items.map((item, index) => {
+        const line = linesById.get(Number(item.order_item_id));
+        if (!line) {
+          errors.push({ field: `items[${index}].order_item_id`, message: `Order item ${item.order_item_id} is not on check ${check.id}` });
+          return null;
+        }
+        const quantity = item.quantity || line.quantity;
+        if (quantity > line.quantity) {
+          errors.push({ field: `items[${index}].quantity`, message: `Only ${line.quantity} of order item ${line.id} can be moved` });
+        }
+        return { line, quantity };
+      });
+
+      if (errors.length > 0) {
+        throw createValidationError(errors);
+      }
+
+      const unitsOnCheck = linesResult.rows.reduce((sum, line) => sum + line.quantity, 0);
+      const unitsMoved = moves.reduce((sum, move) => sum + move.quantity, 0);
+      if (unitsMoved >= unitsOnCheck) {
+        throw createConflictError('A split must leave at least one item on the original check');
+      }
+
+      const splitResult = await client.query(`
+        INSERT INTO checks (table_id, split_from_check_id, opened_by)
+        VALUES ($1, $2, $3)
+        RETURNING id
+      `, [check.table_id, check.id, user ? user.id : null]);
+      const splitCheckId = splitResult.rows[0].id;
+
+      const touchedOrderIds = [];
+      const orderIds = [...new Set(moves.map(move => move.line.order_id))];
+
+      for (const orderId of orderIds) {
+        const orderMoves = moves.filter(move => move.line.order_id === orderId);
+        const orderLines = linesResult.rows.filter(line => line.order_id === orderId);
+        const movesWholeOrder = orderLines.every(line =>
+          orderMoves.some(move => move.line.id === line.id && move.quantity === line.quantity)
+        );
+
+        if (movesWholeOrder) {
+          await client.query('UPDATE orders SET check_id = $1 WHERE id = $2', [splitCheckId, orderId]);
+          continue;
+        }
+
+        const newOrderResult = await client.query(`
+          INSERT INTO orders (table_id, customer_name, status, total, check_id, service_charge_rate, created_at, split_from_order_id)
+          SELECT table_id, customer_name, status, 0, $2, service_charge_rate, created_at, id
+          FROM orders
+          WHERE id = $1
+          RETURNING id, status
+        `, [orderId, splitCheckId]);
+        const newOrderId = newOrderResult.rows[0].id;
+        await OrderStatusQueries.recordTransition(client, newOrderId, null, newOrderResult.rows[0].status, user);
+        // Items moved off a deducted order were deducted with it, so the new order shares its deduction;
+        // the sale transactions stay with the original order
+        await client.query(`
+          INSERT INTO order_inventory_deductions (order_id, deducted_by, deducted_at)
+          SELECT $1, deducted_by, deducted_at
+          FROM order_inventory_deductions
+          WHERE order_id = $2
+        `, [newOrderId, orderId]);
+
+        for (const move of orderMoves) {
+          if (move.quantity === move.line.quantity) {
+            await client.query('UPDATE order_items SET order_id = $1 WHERE id = $2', [newOrderId, move.line.id]);
+            // Item discounts and comps go with their item
+            await client.query('UPDATE order_discounts SET order_id = $1 WHERE order_item_id = $2', [newOrderId, move.line.id]);
+          } else {
+            await client.query('UPDATE order_items SET quantity = quantity - $1 WHERE id = $2', [move.quantity, move.line.id]);
+            // The moved units keep the item's price, notes and modifiers
+            await client.query(`
+              WITH copied AS (
+                INSERT INTO order_items (order_id, menu_item_id, quantity, unit_price, tax_rate, notes, created_at)
+                SELECT $1, menu_item_id, $2, unit_price, tax_rate, notes, created_at
+                FROM order_items
+                WHERE id = $3
+                RETURNING id
+              )
+              INSERT INTO order_item_modifiers (order_item_id, modifier_id, group_name, name, price_delta)
+              SELECT copied.id, oim.modifier_id, oim.group_name, oim.name, oim.price_delta
+              FROM copied
+              JOIN order_item_modifiers oim ON oim.order_item_id = $3
+            `, [newOrderId, move.quantity, move.line.id]);
+          }
+        }
+
+        touchedOrderIds.push(orderId, newOrderId);
+      }
+
+      // Divided orders are re-totalled from their remaining items at the prices they were ordered at;
+      // whole-order discounts stay with the original order
+      for (const orderId of touchedOrderIds) {
+        await PricingQueries.recalculateOrder(client, orderId);
+      }
+
+      return {
+        original: await this.getCheckById(check.id, client),
+        split: await this.getCheckById(splitCheckId, client)
+      };
+    });
+  }
+
+  /**
+   * Split a check evenly between a number of guests
+   * The share amounts are recalculated from the current total whenever the check is read
+   * @param {number} checkId - Check ID
+   * @param {number} guests - Number of equal shares
+   * @returns {Promise<Check|null>} - Check with even_split, or null if the check does not exist
+   */
+  static async splitCheckEvenly(checkId, guests) {
+    return DatabaseUtils.transaction(async (client) => {
+      const check = await this.lockOpenCheck(client, checkId);
+      if (!check) {
+        return null;
+      }
+
+      await client.query('UPDATE checks SET split_guests = $1 WHERE id = $2', [guests, check.id]);
+
+      return this.getCheckById(check.id, client);
+    });
+  }
+
+  /**
+   * Close a check once every order on it is paid, freeing its table (and any merged tables) for cleaning
+   * @param {number} checkId - Check ID
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Check|null>} - Closed check or null if not found
+   */
+  static async closeCheck(checkId, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const check = await this.lockOpenCheck(client, checkId);
+      if (!check) {
+        return null;
+      }
+
+      // Paid, cancelled and voided orders are settled
+      const unpaid = await client.query(
+        `SELECT id, status FROM orders WHERE check_id = $1 AND status <> ALL($2::varchar[]) ORDER BY id`,
+        [check.id, FINAL_ORDER_STATUSES]
+      );
+      if (unpaid.rows.length > 0) {
+        throw createConflictError(
+          'Check has unpaid orders',
+          unpaid.rows.map(order => ({ order_id: order.id, status: order.status }))
+        );
+      }
+
+      await client.query(`
+        UPDATE checks
+        SET status = 'closed', closed_at = CURRENT_TIMESTAMP, closed_by = $1
+        WHERE id = $2
+      `, [user ? user.id : null, check.id]);
+
+      const mergedTables = await client.query(
+        'SELECT DISTINCT table_id FROM checks WHERE merged_into_check_id = $1',
+        [check.id]
+      );
+      const tableIds = new Set([check.table_id, ...mergedTables.rows.map(row => row.table_id)]);
+      for (const tableId of tableIds) {
+        await this.syncTableStatus(client, tableId);
+      }
+
+      return this.getCheckById(check.id, client);
+    });
+  }
+}
+
+module.exports = {
+  CheckQueries,
+  tableEvent
+};
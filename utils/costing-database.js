@@ -0,0 +1,257 @@
+/**
+ * Database query utilities for inventory costing and valuation
+ * Every inventory transaction that changes stock is costed as it is written: unit_cost is what each
+ * unit moved is worth and total_cost the value it added (positive) or took out of stock (negative).
+ * Stock coming in moves the product's weighted-average cost (cost_per_unit); stock going out is costed
+ * at that average or, with FIFO costing, at the cost of the lots it was taken from. The total cost of
+ * 'sale' transactions is the cost of goods sold.
+ * Because every change in value is on a transaction, the value of stock on any date is today's value
+ * less what the transactions since then added.
+ */
+
+const { DatabaseUtils } = require('./database');
+const { LotQueries } = require('./lot-database');
+const { RecipeCostQueries } = require('./recipe-cost-database');
+const {
+  COSTING_METHODS,
+  DEFAULT_COSTING_METHOD,
+  roundCost,
+  costStockChange,
+  summarizeValuation
+} = require('../models/Costing');
+
+/**
+ * How stock going out is costed and stock on hand valued
+ * @returns {string} - INVENTORY_COSTING_METHOD ('average' or 'fifo'), default 'average'
+ */
+function getCostingMethod() {
+  const method = (process.env.INVENTORY_COSTING_METHOD || '').trim().toLowerCase();
+  return COSTING_METHODS.includes(method) ? method : DEFAULT_COSTING_METHOD;
+}
+
+/**
+ * SQL for the value of each product's stock on hand today
+ * Under FIFO, stock in lots is worth what the lots cost and stock the lots do not hold is valued at
+ * the average cost
+ * @param {string} method - Costing method
+ * @returns {Object} - { join: lateral join to add after FROM products p, value: value expression }
+ */
+function stockValueSql(method) {
+  if (method !== 'fifo') {
+    return { join: '', value: 'p.current_quantity * COALESCE(p.cost_per_unit, 0)' };
+  }
+  return {
+    join: `
+      LEFT JOIN LATERAL (
+        SELECT SUM(l.quantity_remaining) AS quantity,
+               SUM(l.quantity_remaining * COALESCE(l.unit_cost, p.cost_per_unit, 0)) AS value
+        FROM stock_lots l
+        WHERE l.product_id = p.id AND l.quantity_remaining > 0
+      ) lots ON TRUE
+    `,
+    value: `COALESCE(lots.value, 0) + (p.current_quantity - COALESCE(lots.quantity, 0)) * COALESCE(p.cost_per_unit, 0)`
+  };
+}
+
+/**
+ * A stored cost per unit as a number, or null when there is none
+ * @param {string|number|null} value - Cost per unit
+ * @returns {number|null}
+ */
+function parseCost(value) {
+  return value === null || value === undefined ? null : roundCost(parseFloat(value));
+}
+
+/**
+ * Inventory costing database operations
+ */
+class CostingQueries {
+  /**
+   * Cost an inventory transaction and move the product's average cost
+   * Call with the inserted inventory_transactions row after its stock has been taken from or added to
+   * the lots, and before the product's quantity is updated, inside the same transaction. The row is
+   * updated with its unit_cost and total_cost, and the recipes using the product are recosted when its
+   * average cost moves.
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} transaction - inventory_transactions row
+   * @param {Object} details - { unit_cost } of stock coming in (default: the product's cost)
+   * @returns {Promise<Object|null>} - { unit_cost, total_cost }, or null for transfers and unknown products
+   */
+  static async costTransaction(client, transaction, details = {}) {
+    const quantity = parseFloat(transaction.quantity_change);
+    if (transaction.transaction_type === 'transfer' || !Number.isFinite(quantity) || quantity === 0) {
+      return null;
+    }
+
+    const productResult = await client.query(
+      'SELECT current_quantity, cost_per_unit FROM products WHERE id = $1 FOR UPDATE',
+      [transaction.product_id]
+    );
+    if (productResult.rows.length === 0) {
+      return null;
+    }
+    const product = productResult.rows[0];
+    const method = getCostingMethod();
+
+    // Reversed stock comes back at the cost it went out at
+    let unitCost = details.unit_cost ?? null;
+    if (quantity > 0 && transaction.reverses_transaction_id) {
+      const reversed = await client.query(
+        'SELECT unit_cost FROM inventory_transactions WHERE id = $1',
+        [transaction.reverses_transaction_id]
+      );
+      unitCost = reversed.rows.length > 0 ? reversed.rows[0].unit_cost : null;
+    }
+
+    let lots = null;
+    if (quantity < 0 && method === 'fifo') {
+      const taken = await client.query(`
+        SELECT COALESCE(SUM(c.quantity), 0) AS quantity,
+               COALESCE(SUM(c.quantity * COALESCE(l.unit_cost, $2)), 0) AS cost
+        FROM lot_consumptions c
+        JOIN stock_lots l ON l.id = c.lot_id
+        WHERE c.transaction_id = $1
+      `, [transaction.id, product.cost_per_unit || 0]);
+      lots = taken.rows[0];
+    }
+
+    const cost = costStockChange({
+      method,
+      quantity,
+      on_hand: product.current_quantity,
+      product_cost: product.cost_per_unit,
+      unit_cost: unitCost,
+      lots
+    });
+
+    await client.query(
+      'UPDATE inventory_transactions SET unit_cost = $1, total_cost = $2 WHERE id = $3',
+      [cost.unit_cost, cost.total_cost, transaction.id]
+    );
+    if (cost.product_cost !== parseCost(product.cost_per_unit)) {
+      await client.query(
+        'UPDATE products SET cost_per_unit = $1 WHERE id = $2',
+        [cost.product_cost, transaction.product_id]
+      );
+      await RecipeCostQueries.recostProductRecipes(client, transaction.product_id);
+    }
+
+    transaction.unit_cost = cost.unit_cost;
+    transaction.total_cost = cost.total_cost;
+    return { unit_cost: cost.unit_cost, total_cost: cost.total_cost };
+  }
+
+  /**
+   * Track an inventory transaction against the product's lots, then cost it
+   * Every path that writes a stock-changing inventory transaction calls this with the inserted row
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} transaction - inventory_transactions row
+   * @param {Object} details - Lot details for stock coming in: { unit_cost, expires_on, lot_code }
+   * @returns {Promise<Array>} - Lots received or [{ lot_id, quantity }] taken or put back
+   */
+  static async recordTransaction(client, transaction, details = {}) {
+    const lots = await LotQueries.trackTransaction(client, transaction, details);
+    await this.costTransaction(client, transaction, details);
+    return lots;
+  }
+
+  /**
+   * Change a product's cost, revaluing the stock on hand
+   * The change in value is recorded as a zero-quantity 'adjustment' transaction so valuations of
+   * earlier dates are unaffected. Under FIFO the lots still holding stock take the new cost too, and
+   * the recipes using the product are recosted.
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} productId - Product ID
+   * @param {number|null} unitCost - New cost per unit
+   * @returns {Promise<Object|null>} - Revaluation transaction, or null if the cost or value did not change
+   */
+  static async revalueProduct(client, productId, unitCost) {
+    const method = getCostingMethod();
+    const { join, value } = stockValueSql(method);
+    const productResult = await client.query(`
+      SELECT p.id, p.current_quantity, p.cost_per_unit, p.location_id, ${value} AS value
+      FROM products p
+      ${join}
+      WHERE p.id = $1
+    `, [productId]);
+    if (productResult.rows.length === 0) {
+      return null;
+    }
+    const product = productResult.rows[0];
+    const newCost = parseCost(unitCost);
+    const previousCost = parseCost(product.cost_per_unit);
+    if (newCost === previousCost) {
+      return null;
+    }
+
+    await client.query(
+      'UPDATE products SET cost_per_unit = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [newCost, productId]
+    );
+    if (method === 'fifo') {
+      await client.query(
+        'UPDATE stock_lots SET unit_cost = $1 WHERE product_id = $2 AND quantity_remaining > 0',
+        [newCost, productId]
+      );
+    }
+    await RecipeCostQueries.recostProductRecipes(client, productId);
+
+    const change = roundCost(parseFloat(product.current_quantity) * (newCost || 0) - parseFloat(product.value));
+    if (change === 0) {
+      return null;
+    }
+    const formatCost = cost => (cost === null ? 'no cost' : cost.toFixed(4));
+    const transaction = await client.query(`
+      INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, reference_type, notes,
+                                          location_id, unit_cost, total_cost)
+      VALUES ($1, 'adjustment', 0, 'manual', $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      productId,
+      `Cost revalued from ${formatCost(previousCost)} to ${formatCost(newCost)} per unit`,
+      product.location_id,
+      newCost,
+      change
+    ]);
+    return transaction.rows[0];
+  }
+
+  /**
+   * Value of the stock on hand at the end of a day, with the cost of goods sold over a period
+   * Quantities edited directly on a product write no transaction, so they count back to the start.
+   * @param {Object} period - { as_of: day valued, from: first day of the cost of goods sold } as YYYY-MM-DD
+   * @returns {Promise<Object>} - { as_of, from, costing_method, total_value, cost_of_goods_sold, products }
+   */
+  static async getValuation(period) {
+    const method = getCostingMethod();
+    const { join, value } = stockValueSql(method);
+    const result = await DatabaseUtils.query(`
+      SELECT p.id AS product_id, p.name, p.category, p.unit_of_measure,
+             p.current_quantity - COALESCE(later.quantity, 0) AS quantity,
+             ${value} - COALESCE(later.value, 0) AS value,
+             COALESCE(sold.cost, 0) AS cost_of_goods_sold
+      FROM products p
+      ${join}
+      LEFT JOIN LATERAL (
+        SELECT SUM(t.quantity_change) AS quantity, SUM(t.total_cost) AS value
+        FROM inventory_transactions t
+        WHERE t.product_id = p.id AND t.created_at >= $1::date + 1
+      ) later ON TRUE
+      LEFT JOIN LATERAL (
+        SELECT -SUM(t.total_cost) AS cost
+        FROM inventory_transactions t
+        WHERE t.product_id = p.id AND t.transaction_type = 'sale'
+          AND t.created_at >= $2::date AND t.created_at < $1::date + 1
+      ) sold ON TRUE
+      WHERE p.created_at < $1::date + 1
+      ORDER BY p.category NULLS LAST, p.name
+    `, [period.as_of, period.from]);
+
+    return { as_of: period.as_of, from: period.from, costing_method: method, ...summarizeValuation(result.rows) };
+  }
+}
+
+module.exports = {
+  CostingQueries,
+  getCostingMethod
+};
@@ -0,0 +1,57 @@
+/**
+ * Database query utilities for the database audit log
+ * Records who ran destructive database operations and when
+ */
+
+const { DatabaseUtils } = require('./database');
+
+/**
+ * Database audit log operations
+ */
+class DatabaseAuditQueries {
+  /**
+   * Record a database operation
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - Operation name (e.g. 'reset', 'seed')
+   * @param {string} entry.status - 'succeeded' or 'failed'
+   * @param {Object|null} entry.user - Staff user who ran it (null when auth is disabled)
+   * @param {string|null} entry.backupFile - Path of the automatic backup taken beforehand
+   * @param {string|null} entry.details - Error message or other notes
+   * @returns {Promise<Object>} - Created audit row
+   */
+  static async recordOperation({ action, status, user = null, backupFile = null, details = null }) {
+    const query = `
+      INSERT INTO database_audit_log (action, status, performed_by, performed_by_username, backup_file, details)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const params = [
+      action,
+      status,
+      user ? user.id : null,
+      user ? user.username : null,
+      backupFile,
+      details
+    ];
+
+    const result = await DatabaseUtils.query(query, params);
+    return result.rows[0];
+  }
+
+  /**
+   * Get recent audit entries
+   * @param {number} limit - Maximum number of entries
+   * @returns {Promise<Array<Object>>} - Entries, newest first
+   */
+  static async getRecentOperations(limit = 50) {
+    const result = await DatabaseUtils.query(
+      'SELECT * FROM database_audit_log ORDER BY created_at DESC, id DESC LIMIT $1',
+      [limit]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = {
+  DatabaseAuditQueries
+};
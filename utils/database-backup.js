@@ -0,0 +1,724 @@
+/**
+ * Database backup and restore utilities
+ * Builds the JSON backup served by GET /api/database/backup, saves copies to disk
+ * and loads a backup file back into the database
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db-connection');
+const { DatabaseUtils } = require('./database');
+
+// Increment when the backup layout changes; restore accepts this and every earlier version
+const BACKUP_VERSION = 17;
+
+// Restore order: every table comes after the tables it references
+const RESTORE_ORDER = [
+  'tax_rates',
+  'service_charge_rules',
+  'floor_areas',
+  'server_sections',
+  'tables',
+  'checks',
+  'reservations',
+  'reservation_tables',
+  'waitlist_entries',
+  'storage_locations',
+  'products',
+  'location_stock',
+  'stock_transfers',
+  'suppliers',
+  'product_suppliers',
+  'purchase_orders',
+  'purchase_order_lines',
+  'stock_counts',
+  'stock_count_lines',
+  'recipes',
+  'recipe_ingredients',
+  'recipe_steps',
+  'recipe_ingredient_products',
+  'recipe_cost_history',
+  'menu_items',
+  'discounts',
+  'modifier_groups',
+  'modifiers',
+  'modifier_ingredients',
+  'orders',
+  'order_items',
+  'order_item_modifiers',
+  'order_status_history',
+  'order_voids',
+  'order_discounts',
+  'gift_cards',
+  'payments',
+  'payment_refunds',
+  'order_inventory_deductions',
+  'waste_logs',
+  'waste_log_lines',
+  'inventory_transactions',
+  'stock_lots',
+  'lot_consumptions'
+];
+
+// Top-level backup keys that hold arrays of rows
+const ROW_COLLECTIONS = [
+  'tax_rates',
+  'service_charge_rules',
+  'floor_areas',
+  'server_sections',
+  'tables',
+  'checks',
+  'reservations',
+  'reservation_tables',
+  'waitlist_entries',
+  'storage_locations',
+  'products',
+  'location_stock',
+  'stock_transfers',
+  'suppliers',
+  'product_suppliers',
+  'purchase_orders',
+  'purchase_order_lines',
+  'stock_counts',
+  'stock_count_lines',
+  'recipe_links',
+  'recipe_cost_history',
+  'menu_items',
+  'discounts',
+  'modifier_groups',
+  'modifiers',
+  'modifier_ingredients',
+  'orders',
+  'order_items',
+  'order_item_modifiers',
+  'order_status_history',
+  'order_voids',
+  'order_discounts',
+  'gift_cards',
+  'payments',
+  'payment_refunds',
+  'order_inventory_deductions',
+  'waste_logs',
+  'waste_log_lines',
+  'inventory_transactions',
+  'stock_lots',
+  'lot_consumptions'
+];
+
+// Foreign keys checked inside the backup file before restoring: [table, column, referenced table]
+const BACKUP_REFERENCES = [
+  ['tables', 'area_id', 'floor_areas'],
+  ['tables', 'section_id', 'server_sections'],
+  ['checks', 'table_id', 'tables'],
+  ['checks', 'merged_into_check_id', 'checks'],
+  ['checks', 'split_from_check_id', 'checks'],
+  ['reservations', 'check_id', 'checks'],
+  ['reservation_tables', 'reservation_id', 'reservations'],
+  ['reservation_tables', 'table_id', 'tables'],
+  ['waitlist_entries', 'check_id', 'checks'],
+  ['products', 'location_id', 'storage_locations'],
+  ['location_stock', 'product_id', 'products'],
+  ['location_stock', 'location_id', 'storage_locations'],
+  ['stock_transfers', 'from_location_id', 'storage_locations'],
+  ['stock_transfers', 'to_location_id', 'storage_locations'],
+  ['product_suppliers', 'product_id', 'products'],
+  ['product_suppliers', 'supplier_id', 'suppliers'],
+  ['purchase_orders', 'supplier_id', 'suppliers'],
+  ['purchase_order_lines', 'purchase_order_id', 'purchase_orders'],
+  ['purchase_order_lines', 'product_id', 'products'],
+  ['stock_counts', 'location_id', 'storage_locations'],
+  ['stock_count_lines', 'stock_count_id', 'stock_counts'],
+  ['stock_count_lines', 'product_id', 'products'],
+  ['recipe_ingredients', 'recipe_id', 'recipes'],
+  ['recipe_ingredients', 'product_id', 'products'],
+  ['recipe_steps', 'recipe_id', 'recipes'],
+  ['recipe_ingredient_products', 'recipe_ingredient_id', 'recipe_ingredients'],
+  ['recipe_ingredient_products', 'product_id', 'products'],
+  ['recipe_cost_history', 'recipe_id', 'recipes'],
+  ['recipe_cost_history', 'product_id', 'products'],
+  ['menu_items', 'recipe_id', 'recipes'],
+  ['orders', 'table_id', 'tables'],
+  ['orders', 'check_id', 'checks'],
+  ['orders', 'split_from_order_id', 'orders'],
+  ['order_items', 'order_id', 'orders'],
+  ['order_items', 'menu_item_id', 'menu_items'],
+  ['discounts', 'menu_item_id', 'menu_items'],
+  ['modifier_groups', 'menu_item_id', 'menu_items'],
+  ['modifiers', 'group_id', 'modifier_groups'],
+  ['modifier_ingredients', 'modifier_id', 'modifiers'],
+  ['modifier_ingredients', 'product_id', 'products'],
+  ['order_item_modifiers', 'order_item_id', 'order_items'],
+  ['order_item_modifiers', 'modifier_id', 'modifiers'],
+  ['order_status_history', 'order_id', 'orders'],
+  ['order_voids', 'order_id', 'orders'],
+  ['order_voids', 'order_item_id', 'order_items'],
+  ['order_discounts', 'order_id', 'orders'],
+  ['order_discounts', 'order_item_id', 'order_items'],
+  ['order_discounts', 'discount_id', 'discounts'],
+  ['payments', 'order_id', 'orders'],
+  ['payments', 'gift_card_id', 'gift_cards'],
+  ['payment_refunds', 'payment_id', 'payments'],
+  ['order_inventory_deductions', 'order_id', 'orders'],
+  ['waste_log_lines', 'waste_log_id', 'waste_logs'],
+  ['waste_log_lines', 'product_id', 'products'],
+  ['waste_log_lines', 'menu_item_id', 'menu_items'],
+  ['waste_log_lines', 'recipe_id', 'recipes'],
+  ['inventory_transactions', 'product_id', 'products'],
+  ['inventory_transactions', 'deduction_id', 'order_inventory_deductions'],
+  ['inventory_transactions', 'reverses_transaction_id', 'inventory_transactions'],
+  ['inventory_transactions', 'location_id', 'storage_locations'],
+  ['stock_lots', 'product_id', 'products'],
+  ['stock_lots', 'transaction_id', 'inventory_transactions'],
+  ['lot_consumptions', 'lot_id', 'stock_lots'],
+  ['lot_consumptions', 'transaction_id', 'inventory_transactions']
+];
+
+// Columns naming the staff user who did something: [table, column]. Staff logins are not backed up,
+// so ids the target database does not have are restored as NULL
+const STAFF_REFERENCES = [
+  ['server_sections', 'staff_user_id'],
+  ['checks', 'opened_by'],
+  ['checks', 'closed_by'],
+  ['reservations', 'created_by'],
+  ['waitlist_entries', 'created_by'],
+  ['stock_transfers', 'transferred_by'],
+  ['purchase_orders', 'created_by'],
+  ['stock_counts', 'started_by'],
+  ['stock_counts', 'posted_by'],
+  ['stock_count_lines', 'counted_by'],
+  ['order_items', 'ready_by'],
+  ['order_status_history', 'changed_by'],
+  ['order_voids', 'voided_by'],
+  ['order_discounts', 'applied_by'],
+  ['payments', 'created_by'],
+  ['payments', 'voided_by'],
+  ['payment_refunds', 'created_by'],
+  ['order_inventory_deductions', 'deducted_by'],
+  ['waste_logs', 'recorded_by']
+];
+
+/**
+ * Directory where automatic backups are written
+ * @returns {string}
+ */
+function getBackupDirectory() {
+  return process.env.BACKUP_DIR || path.join(__dirname, '../backups');
+}
+
+/**
+ * Check whether a table exists in the public schema
+ * @param {Object} db - pg pool or client
+ * @param {string} tableName - Table name
+ * @returns {Promise<boolean>}
+ */
+async function tableExists(db, tableName) {
+  const result = await db.query('SELECT to_regclass($1) AS oid', [`public.${tableName}`]);
+  return result.rows[0].oid !== null;
+}
+
+/**
+ * Export tax rates, service charge rules, dining areas, server sections, tables, checks, reservations with their tables, the waitlist, storage locations,
+ * products, location stock, stock transfers, suppliers, product suppliers,
+ * purchase orders and their lines, stock counts and their lines, recipes (with ingredients and steps),
+ * recipe links, recipe cost history, menu items, discounts, modifier groups, modifiers and their ingredients, orders, order items,
+ * order item modifiers, status history, cancels and voids, applied discounts, gift cards, payments, refunds, inventory deductions, waste logs and their lines, inventory transactions,
+ * stock lots and lot consumptions as JSON
+ * @returns {Promise<Object>} - Backup object
+ */
+async function createBackup() {
+  const backup = {
+    version: BACKUP_VERSION,
+    timestamp: new Date().toISOString(),
+    tax_rates: [],
+    service_charge_rules: [],
+    floor_areas: [],
+    server_sections: [],
+    tables: [],
+    checks: [],
+    reservations: [],
+    reservation_tables: [],
+    waitlist_entries: [],
+    storage_locations: [],
+    products: [],
+    location_stock: [],
+    stock_transfers: [],
+    suppliers: [],
+    product_suppliers: [],
+    purchase_orders: [],
+    purchase_order_lines: [],
+    stock_counts: [],
+    stock_count_lines: [],
+    recipes: {},
+    recipe_links: [],
+    recipe_cost_history: [],
+    menu_items: [],
+    discounts: [],
+    modifier_groups: [],
+    modifiers: [],
+    modifier_ingredients: [],
+    orders: [],
+    order_items: [],
+    order_item_modifiers: [],
+    order_status_history: [],
+    order_voids: [],
+    order_discounts: [],
+    gift_cards: [],
+    payments: [],
+    payment_refunds: [],
+    order_inventory_deductions: [],
+    waste_logs: [],
+    waste_log_lines: [],
+    inventory_transactions: [],
+    stock_lots: [],
+    lot_consumptions: [],
+  };
+
+  // Backup pricing settings
+  const taxRatesResult = await pool.query('SELECT * FROM tax_rates ORDER BY id');
+  backup.tax_rates = taxRatesResult.rows;
+
+  const serviceChargesResult = await pool.query('SELECT * FROM service_charge_rules ORDER BY id');
+  backup.service_charge_rules = serviceChargesResult.rows;
+
+  // Backup the floor plan's dining areas and server sections
+  const areasResult = await pool.query('SELECT * FROM floor_areas ORDER BY id');
+  backup.floor_areas = areasResult.rows;
+
+  const sectionsResult = await pool.query('SELECT * FROM server_sections ORDER BY id');
+  backup.server_sections = sectionsResult.rows;
+
+  // Backup tables, including retired ones
+  const tablesResult = await pool.query('SELECT * FROM tables ORDER BY id');
+  backup.tables = tablesResult.rows;
+
+  // Backup checks
+  const checksResult = await pool.query('SELECT * FROM checks ORDER BY id');
+  backup.checks = checksResult.rows;
+
+  // Backup reservations, their tables and the waitlist
+  const reservationsResult = await pool.query('SELECT * FROM reservations ORDER BY id');
+  backup.reservations = reservationsResult.rows;
+
+  const reservationTablesResult = await pool.query('SELECT * FROM reservation_tables ORDER BY id');
+  backup.reservation_tables = reservationTablesResult.rows;
+
+  const waitlistResult = await pool.query('SELECT * FROM waitlist_entries ORDER BY id');
+  backup.waitlist_entries = waitlistResult.rows;
+
+  // Backup storage locations, products, what each location holds and transfers between them
+  const locationsResult = await pool.query('SELECT * FROM storage_locations ORDER BY id');
+  backup.storage_locations = locationsResult.rows;
+
+  const productsResult = await pool.query('SELECT * FROM products ORDER BY id');
+  backup.products = productsResult.rows;
+
+  const locationStockResult = await pool.query('SELECT * FROM location_stock ORDER BY id');
+  backup.location_stock = locationStockResult.rows;
+
+  const transfersResult = await pool.query('SELECT * FROM stock_transfers ORDER BY id');
+  backup.stock_transfers = transfersResult.rows;
+
+  // Backup suppliers, the products they sell and purchase orders with their lines
+  const suppliersResult = await pool.query('SELECT * FROM suppliers ORDER BY id');
+  backup.suppliers = suppliersResult.rows;
+
+  const productSuppliersResult = await pool.query('SELECT * FROM product_suppliers ORDER BY id');
+  backup.product_suppliers = productSuppliersResult.rows;
+
+  const purchaseOrdersResult = await pool.query('SELECT * FROM purchase_orders ORDER BY id');
+  backup.purchase_orders = purchaseOrdersResult.rows;
+
+  const purchaseOrderLinesResult = await pool.query('SELECT * FROM purchase_order_lines ORDER BY id');
+  backup.purchase_order_lines = purchaseOrderLinesResult.rows;
+
+  // Backup stock counts with their counted lines
+  const stockCountsResult = await pool.query('SELECT * FROM stock_counts ORDER BY id');
+  backup.stock_counts = stockCountsResult.rows;
+
+  const stockCountLinesResult = await pool.query('SELECT * FROM stock_count_lines ORDER BY id');
+  backup.stock_count_lines = stockCountLinesResult.rows;
+
+  // Backup recipes with ingredients and steps
+  const recipesResult = await pool.query('SELECT * FROM recipes ORDER BY id');
+  for (const recipe of recipesResult.rows) {
+    const ingredientsResult = await pool.query(
+      'SELECT * FROM recipe_ingredients WHERE recipe_id = $1 ORDER BY order_index',
+      [recipe.id]
+    );
+    const stepsResult = await pool.query(
+      'SELECT * FROM recipe_steps WHERE recipe_id = $1 ORDER BY step_number',
+      [recipe.id]
+    );
+
+    backup.recipes[recipe.id] = {
+      ...recipe,
+      ingredients: ingredientsResult.rows,
+      steps: stepsResult.rows,
+    };
+  }
+
+  // Backup recipe ingredient to product links (only present on databases that still use the link table)
+  if (await tableExists(pool, 'recipe_ingredient_products')) {
+    const linksResult = await pool.query('SELECT * FROM recipe_ingredient_products ORDER BY id');
+    backup.recipe_links = linksResult.rows;
+  }
+
+  // Backup recipe cost history
+  const costHistoryResult = await pool.query('SELECT * FROM recipe_cost_history ORDER BY id');
+  backup.recipe_cost_history = costHistoryResult.rows;
+
+  // Backup menu items
+  const menuResult = await pool.query('SELECT * FROM menu_items ORDER BY id');
+  backup.menu_items = menuResult.rows;
+
+  // Backup discounts
+  const discountsResult = await pool.query('SELECT * FROM discounts ORDER BY id');
+  backup.discounts = discountsResult.rows;
+
+  // Backup menu item modifiers
+  const modifierGroupsResult = await pool.query('SELECT * FROM modifier_groups ORDER BY id');
+  backup.modifier_groups = modifierGroupsResult.rows;
+
+  const modifiersResult = await pool.query('SELECT * FROM modifiers ORDER BY id');
+  backup.modifiers = modifiersResult.rows;
+
+  const modifierIngredientsResult = await pool.query('SELECT * FROM modifier_ingredients ORDER BY id');
+  backup.modifier_ingredients = modifierIngredientsResult.rows;
+
+  // Backup orders
+  const ordersResult = await pool.query('SELECT * FROM orders ORDER BY id');
+  backup.orders = ordersResult.rows;
+
+  // Backup order items
+  const orderItemsResult = await pool.query('SELECT * FROM order_items ORDER BY id');
+  backup.order_items = orderItemsResult.rows;
+
+  // Backup modifiers chosen for order items
+  const orderItemModifiersResult = await pool.query('SELECT * FROM order_item_modifiers ORDER BY id');
+  backup.order_item_modifiers = orderItemModifiersResult.rows;
+
+  // Backup order status history
+  const statusHistoryResult = await pool.query('SELECT * FROM order_status_history ORDER BY id');
+  backup.order_status_history = statusHistoryResult.rows;
+
+  // Backup order cancels and voids
+  const voidsResult = await pool.query('SELECT * FROM order_voids ORDER BY id');
+  backup.order_voids = voidsResult.rows;
+
+  // Backup discounts applied to orders
+  const orderDiscountsResult = await pool.query('SELECT * FROM order_discounts ORDER BY id');
+  backup.order_discounts = orderDiscountsResult.rows;
+
+  // Backup gift cards, payments and refunds
+  const giftCardsResult = await pool.query('SELECT * FROM gift_cards ORDER BY id');
+  backup.gift_cards = giftCardsResult.rows;
+
+  const paymentsResult = await pool.query('SELECT * FROM payments ORDER BY id');
+  backup.payments = paymentsResult.rows;
+
+  const refundsResult = await pool.query('SELECT * FROM payment_refunds ORDER BY id');
+  backup.payment_refunds = refundsResult.rows;
+
+  // Backup order inventory deductions, waste logs and inventory transactions
+  const deductionsResult = await pool.query('SELECT * FROM order_inventory_deductions ORDER BY id');
+  backup.order_inventory_deductions = deductionsResult.rows;
+
+  const wasteLogsResult = await pool.query('SELECT * FROM waste_logs ORDER BY id');
+  backup.waste_logs = wasteLogsResult.rows;
+
+  const wasteLogLinesResult = await pool.query('SELECT * FROM waste_log_lines ORDER BY id');
+  backup.waste_log_lines = wasteLogLinesResult.rows;
+
+  const transactionsResult = await pool.query('SELECT * FROM inventory_transactions ORDER BY id');
+  backup.inventory_transactions = transactionsResult.rows;
+
+  // Backup stock lots and what each transaction took from them
+  const lotsResult = await pool.query('SELECT * FROM stock_lots ORDER BY id');
+  backup.stock_lots = lotsResult.rows;
+
+  const lotConsumptionsResult = await pool.query('SELECT * FROM lot_consumptions ORDER BY id');
+  backup.lot_consumptions = lotConsumptionsResult.rows;
+
+  return backup;
+}
+
+/**
+ * Write a backup object to the backup directory
+ * @param {Object} backup - Backup produced by createBackup
+ * @param {string} label - Short label included in the filename (e.g. 'pre-reset')
+ * @returns {string} - Absolute path of the written file
+ */
+function saveBackupToFile(backup, label = 'manual') {
+  const directory = getBackupDirectory();
+  fs.mkdirSync(directory, { recursive: true });
+
+  const filePath = path.resolve(directory, `restaurant_backup_${label}_${Date.now()}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(backup, null, 2));
+  return filePath;
+}
+
+/**
+ * Split a backup into rows per database table, keyed in RESTORE_ORDER
+ * Collections an older backup does not have come out empty.
+ * @param {Object} backup - Backup object (assumed valid)
+ * @returns {Object} - { tableName: Array<Object> }
+ */
+function flattenBackup(backup) {
+  const recipes = [];
+  const recipeIngredients = [];
+  const recipeSteps = [];
+
+  for (const recipe of Object.values(backup.recipes || {})) {
+    const { ingredients = [], steps = [], ...recipeRow } = recipe;
+    recipes.push(recipeRow);
+    recipeIngredients.push(...ingredients);
+    recipeSteps.push(...steps);
+  }
+
+  return {
+    tax_rates: backup.tax_rates || [],
+    service_charge_rules: backup.service_charge_rules || [],
+    floor_areas: backup.floor_areas || [],
+    server_sections: backup.server_sections || [],
+    tables: backup.tables || [],
+    checks: backup.checks || [],
+    reservations: backup.reservations || [],
+    reservation_tables: backup.reservation_tables || [],
+    waitlist_entries: backup.waitlist_entries || [],
+    storage_locations: backup.storage_locations || [],
+    products: backup.products || [],
+    location_stock: backup.location_stock || [],
+    stock_transfers: backup.stock_transfers || [],
+    suppliers: backup.suppliers || [],
+    product_suppliers: backup.product_suppliers || [],
+    purchase_orders: backup.purchase_orders || [],
+    purchase_order_lines: backup.purchase_order_lines || [],
+    stock_counts: backup.stock_counts || [],
+    stock_count_lines: backup.stock_count_lines || [],
+    recipes,
+    recipe_ingredients: recipeIngredients,
+    recipe_steps: recipeSteps,
+    recipe_ingredient_products: backup.recipe_links || [],
+    recipe_cost_history: backup.recipe_cost_history || [],
+    menu_items: backup.menu_items || [],
+    discounts: backup.discounts || [],
+    modifier_groups: backup.modifier_groups || [],
+    modifiers: backup.modifiers || [],
+    modifier_ingredients: backup.modifier_ingredients || [],
+    orders: backup.orders || [],
+    order_items: backup.order_items || [],
+    order_item_modifiers: backup.order_item_modifiers || [],
+    order_status_history: backup.order_status_history || [],
+    order_voids: backup.order_voids || [],
+    order_discounts: backup.order_discounts || [],
+    gift_cards: backup.gift_cards || [],
+    payments: backup.payments || [],
+    payment_refunds: backup.payment_refunds || [],
+    order_inventory_deductions: backup.order_inventory_deductions || [],
+    waste_logs: backup.waste_logs || [],
+    waste_log_lines: backup.waste_log_lines || [],
+    inventory_transactions: backup.inventory_transactions || [],
+    stock_lots: backup.stock_lots || [],
+    lot_consumptions: backup.lot_consumptions || []
+  };
+}
+
+/**
+ * Validate a backup file's version, shape and internal references
+ * @param {Object} backup - Parsed backup JSON
+ * @returns {Object} - { isValid: boolean, errors: Array }
+ */
+function validateBackup(backup) {
+  const errors = [];
+
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    errors.push({ field: 'backup', message: 'Backup must be a JSON object' });
+    return { isValid: false, errors };
+  }
+
+  if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+    errors.push({
+      field: 'version',
+      message: `Unsupported backup version ${backup.version === undefined ? '(missing)' : backup.version}; expected ${BACKUP_VERSION} or earlier`
+    });
+  }
+
+  // Backups from earlier versions leave out the collections added since; those restore empty
+  for (const key of ROW_COLLECTIONS) {
+    if (backup[key] !== undefined && !Array.isArray(backup[key])) {
+      errors.push({ field: key, message: `${key} must be an array` });
+    }
+  }
+
+  const recipesValid = backup.recipes && typeof backup.recipes === 'object' && !Array.isArray(backup.recipes);
+  if (backup.recipes !== undefined && !recipesValid) {
+    errors.push({ field: 'recipes', message: 'recipes must be an object keyed by recipe ID' });
+  } else if (recipesValid) {
+    for (const [key, recipe] of Object.entries(backup.recipes)) {
+      if (!recipe || !Array.isArray(recipe.ingredients) || !Array.isArray(recipe.steps)) {
+        errors.push({ field: `recipes.${key}`, message: 'Recipe must include ingredients and steps arrays' });
+      }
+    }
+  }
+
+  // Shape errors make row-level checks meaningless
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  const rowsByTable = flattenBackup(backup);
+  const idsByTable = {};
+
+  for (const [table, rows] of Object.entries(rowsByTable)) {
+    idsByTable[table] = new Set();
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== 'object' || !Number.isInteger(row.id) || row.id <= 0) {
+        errors.push({ field: `${table}[${index}].id`, message: 'Each row must have a positive integer id' });
+      } else if (idsByTable[table].has(row.id)) {
+        errors.push({ field: `${table}[${index}].id`, message: `Duplicate id ${row.id}` });
+      } else {
+        idsByTable[table].add(row.id);
+      }
+    });
+  }
+
+  for (const [table, column, referencedTable] of BACKUP_REFERENCES) {
+    rowsByTable[table].forEach((row, index) => {
+      const value = row && row[column];
+      if (value !== undefined && value !== null && !idsByTable[referencedTable].has(value)) {
+        errors.push({
+          field: `${table}[${index}].${column}`,
+          message: `References ${referencedTable} id ${value}, which is not in the backup`
+        });
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Replace the contents of every backed-up table with the rows from a backup
+ *
+ * Runs inside one transaction: all tables are truncated, rows are inserted in
+ * foreign-key order and SERIAL sequences are moved past the restored ids.
+ * Columns in the backup that no longer exist in the database are skipped and reported.
+ * Staff users are not part of a backup, so staff ids the database does not have are
+ * restored as NULL and counted per column.
+ * With dryRun the same work is done and then rolled back, so constraint
+ * violations are reported without changing anything.
+ *
+ * @param {Object} backup - Backup object (validate with validateBackup first)
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Roll back instead of committing
+ * @returns {Promise<Object>} - Report of per-table row counts, skipped columns and cleared staff ids
+ */
+async function restoreBackup(backup, { dryRun = false } = {}) {
+  const rowsByTable = flattenBackup(backup);
+  const client = await DatabaseUtils.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const report = {
+      dry_run: dryRun,
+      backup_timestamp: backup.timestamp || null,
+      tables: [],
+      missing_tables: [],
+      cleared_staff_references: []
+    };
+
+    const targetTables = [];
+    for (const table of RESTORE_ORDER) {
+      if (await tableExists(client, table)) {
+        targetTables.push(table);
+      } else if (rowsByTable[table].length > 0) {
+        report.missing_tables.push({ table, backup_rows: rowsByTable[table].length });
+      }
+    }
+
+    const currentCounts = {};
+    for (const table of targetTables) {
+      const countResult = await client.query(`SELECT COUNT(*) AS count FROM ${table}`);
+      currentCounts[table] = parseInt(countResult.rows[0].count);
+    }
+
+    await client.query(`TRUNCATE ${targetTables.join(', ')} RESTART IDENTITY CASCADE`);
+
+    const staffResult = await client.query('SELECT id FROM staff_users');
+    const staffIds = new Set(staffResult.rows.map(r => r.id));
+
+    for (const table of targetTables) {
+      const columnsResult = await client.query(
+        `SELECT column_name FROM information_schema.columns
+         WHERE table_schema = 'public' AND table_name = $1`,
+        [table]
+      );
+      const tableColumns = new Set(columnsResult.rows.map(r => r.column_name));
+      const skippedColumns = new Set();
+      const staffColumns = STAFF_REFERENCES.filter(([staffTable]) => staffTable === table).map(([, column]) => column);
+      const clearedCounts = {};
+
+      for (const row of rowsByTable[table]) {
+        const columns = Object.keys(row).filter(column => {
+          if (tableColumns.has(column)) return true;
+          skippedColumns.add(column);
+          return false;
+        });
+        const placeholders = columns.map((_, index) => `$${index + 1}`);
+        const values = columns.map(column => {
+          const value = row[column];
+          if (staffColumns.includes(column) && value !== undefined && value !== null && !staffIds.has(value)) {
+            clearedCounts[column] = (clearedCounts[column] || 0) + 1;
+            return null;
+          }
+          return value;
+        });
+
+        await client.query(
+          `INSERT INTO ${table} (${columns.map(c => `"${c}"`).join(', ')}) VALUES (${placeholders.join(', ')})`,
+          values
+        );
+      }
+
+      for (const [column, rows] of Object.entries(clearedCounts)) {
+        report.cleared_staff_references.push({ table, column, rows });
+      }
+
+      // Continue numbering after the highest restored id
+      await client.query(
+        `SELECT setval(pg_get_serial_sequence($1, 'id'), COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1, false)`,
+        [table]
+      );
+
+      report.tables.push({
+        table,
+        current_rows: currentCounts[table],
+        restored_rows: rowsByTable[table].length,
+        skipped_columns: [...skippedColumns]
+      });
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return report;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  BACKUP_VERSION,
+  RESTORE_ORDER,
+  createBackup,
+  saveBackupToFile,
+  getBackupDirectory,
+  flattenBackup,
+  validateBackup,
+  restoreBackup
+};
@@ -0,0 +1,116 @@
+/**
+ * Safeguards for destructive database operations (reset, seed and restore)
+ * Provides the production environment guard and short-lived confirmation tokens
+ */
+
+const crypto = require('crypto');
+
+const DESTRUCTIVE_ACTIONS = ['reset', 'seed', 'restore'];
+const DEFAULT_CONFIRMATION_TTL_SECONDS = 60;
+
+// Outstanding confirmation tokens keyed by token value
+const pendingConfirmations = new Map();
+
+/**
+ * Whether reset/seed/restore may run in the current environment
+ * Production is blocked unless ALLOW_DATABASE_RESET=true is set explicitly
+ * @returns {boolean}
+ */
+function isDestructiveOperationAllowed() {
+  if (process.env.NODE_ENV !== 'production') {
+    return true;
+  }
+  return process.env.ALLOW_DATABASE_RESET === 'true';
+}
+
+/**
+ * Confirmation token lifetime in seconds
+ * @returns {number}
+ */
+function getConfirmationTtlSeconds() {
+  const seconds = parseInt(process.env.DATABASE_CONFIRMATION_TTL_SECONDS);
+  return seconds > 0 ? seconds : DEFAULT_CONFIRMATION_TTL_SECONDS;
+}
+
+/**
+ * Remove expired confirmation tokens
+ */
+function purgeExpiredConfirmations() {
+  const now = Date.now();
+  for (const [token, confirmation] of pendingConfirmations) {
+    if (confirmation.expiresAt <= now) {
+      pendingConfirmations.delete(token);
+    }
+  }
+}
+
+/**
+ * Issue a single-use confirmation token for a destructive action
+ * @param {string} action - 'reset', 'seed' or 'restore'
+ * @param {Object|null} user - Signed-in staff user (null when auth is disabled)
+ * @returns {{token: string, action: string, expires_at: string}}
+ */
+function issueConfirmationToken(action, user) {
+  if (!DESTRUCTIVE_ACTIONS.includes(action)) {
+    throw new Error(`Unknown destructive action: ${action}`);
+  }
+
+  purgeExpiredConfirmations();
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const expiresAt = Date.now() + getConfirmationTtlSeconds() * 1000;
+
+  pendingConfirmations.set(token, {
+    action,
+    userId: user ? user.id : null,
+    expiresAt
+  });
+
+  return {
+    token,
+    action,
+    expires_at: new Date(expiresAt).toISOString()
+  };
+}
+
+/**
+ * Consume a confirmation token; it can only be used once
+ * @param {string} token - Token from issueConfirmationToken
+ * @param {string} action - Action being confirmed
+ * @param {Object|null} user - Signed-in staff user
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function consumeConfirmationToken(token, action, user) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'Confirmation token is required' };
+  }
+
+  const confirmation = pendingConfirmations.get(token);
+  if (!confirmation) {
+    return { valid: false, reason: 'Confirmation token is invalid or has already been used' };
+  }
+
+  pendingConfirmations.delete(token);
+
+  if (confirmation.expiresAt <= Date.now()) {
+    return { valid: false, reason: 'Confirmation token has expired' };
+  }
+
+  if (confirmation.action !== action) {
+    return { valid: false, reason: `Confirmation token was issued for '${confirmation.action}', not '${action}'` };
+  }
+
+  if (confirmation.userId !== (user ? user.id : null)) {
+    return { valid: false, reason: 'Confirmation token was issued to a different user' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  DESTRUCTIVE_ACTIONS,
+  isDestructiveOperationAllowed,
+  getConfirmationTtlSeconds,
+  issueConfirmationToken,
+  consumeConfirmationToken
+};
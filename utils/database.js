@@ -4,6 +4,7 @@
  */
 
 const { pool } = require('./db-connection');
+const { EventBus } = require('./event-bus');
 
 /**
  * Database connection and query helper functions
@@ -38,6 +39,7 @@ class DatabaseUtils {
 
   /**
    * Execute multiple queries in a transaction
+   * Events queued with EventBus.publishOnCommit are published after COMMIT and dropped on ROLLBACK
    * @param {Function} callback - Function that receives client and executes queries
    * @returns {Promise<any>} - Result from callback
    */
@@ -47,9 +49,11 @@ class DatabaseUtils {
       await client.query('BEGIN');
       const result = await callback(client);
       await client.query('COMMIT');
+      EventBus.commit(client);
       return result;
     } catch (error) {
       await client.query('ROLLBACK');
+      EventBus.discard(client);
       throw error;
     } finally {
       client.release();
@@ -57,6 +61,20 @@ class DatabaseUtils {
   }
 }
 
+/**
+ * Cost a recipe that has just been saved, setting its cost_per_serving
+ * Required here rather than at the top because recipe costing builds on DatabaseUtils
+ * @param {Object} client - Database client inside the saving transaction
+ * @param {Object} recipe - Saved recipes row
+ */
+async function costRecipe(client, recipe) {
+  const { RecipeCostQueries } = require('./recipe-cost-database');
+  const change = await RecipeCostQueries.recostRecipe(client, recipe.id, 'recipe');
+  if (change) {
+    recipe.cost_per_serving = change.cost_per_serving;
+  }
+}
+
 /**
  * Recipe-specific database operations
  */
@@ -125,6 +143,7 @@ class RecipeQueries {
         }
       }
 
+      await costRecipe(client, recipe);
       return recipe;
     });
   }
@@ -293,6 +312,7 @@ class RecipeQueries {
         }
       }
 
+      await costRecipe(client, recipe);
       return recipe;
     });
   }
@@ -0,0 +1,132 @@
+/**
+ * In-process event bus for real-time updates
+ * Publishes order, table, reservation, waitlist, kitchen and inventory changes to subscribers (the /api/events stream).
+ * Events raised inside a transaction are held until it commits, so clients never see rolled-back changes.
+ * Everything lives in this Node process; no external broker is needed.
+ */
+
+const { EventEmitter } = require('events');
+
+const EVENT_TYPES = [
+  'order.created',
+  'order.status_changed',
+  'order.item_voided',
+  'kitchen.tickets_changed',
+  'table.status_changed',
+  'floor.changed',
+  'reservation.changed',
+  'waitlist.changed',
+  'stock.changed',
+  'inventory.alert'
+];
+
+// Recent events kept so a reconnecting client can catch up from its Last-Event-ID
+const HISTORY_SIZE = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = [];
+const pendingByClient = new WeakMap();
+let lastEventId = 0;
+
+/**
+ * Real-time event publishing and subscription
+ */
+class EventBus {
+  /**
+   * Publish an event to every subscriber now
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @returns {Object} - Published event { id, type, data, created_at }
+   */
+  static publish(type, data) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    lastEventId += 1;
+    const event = { id: lastEventId, type, data, created_at: new Date().toISOString() };
+
+    history.push(event);
+    if (history.length > HISTORY_SIZE) {
+      history.shift();
+    }
+
+    for (const listener of emitter.listeners('event')) {
+      try {
+        listener(event);
+      } catch (error) {
+        // One broken subscriber must not stop the rest or fail the request that raised the event
+        console.error(`Event subscriber failed for ${type}:`, error.message);
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Hold an event until the client's transaction commits
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   */
+  static publishOnCommit(client, type, data) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const pending = pendingByClient.get(client) || [];
+    pending.push({ type, data });
+    pendingByClient.set(client, pending);
+  }
+
+  /**
+   * Publish the events held for a client; call right after its COMMIT
+   * @param {Object} client - Database client
+   */
+  static commit(client) {
+    const pending = pendingByClient.get(client) || [];
+    pendingByClient.delete(client);
+    for (const { type, data } of pending) {
+      this.publish(type, data);
+    }
+  }
+
+  /**
+   * Drop the events held for a client; call on ROLLBACK (pooled clients are reused)
+   * @param {Object} client - Database client
+   */
+  static discard(client) {
+    pendingByClient.delete(client);
+  }
+
+  /**
+   * Receive every event published from now on
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Call to unsubscribe
+   */
+  static subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  /**
+   * Events published after the given ID that are still in the history
+   * @param {number} eventId - Last event ID the client saw
+   * @returns {Array<Object>}
+   */
+  static getEventsSince(eventId) {
+    return history.filter(event => event.id > eventId);
+  }
+
+  /**
+   * Number of current subscribers
+   * @returns {number}
+   */
+  static getSubscriberCount() {
+    return emitter.listenerCount('event');
+  }
+}
+
+module.exports = { EventBus, EVENT_TYPES };
@@ -0,0 +1,320 @@
+/**
+ * Database query utilities for dining areas and server sections
+ * Areas split the floor plan into rooms (dining room, patio); sections assign tables to a server
+ */
+
+const { DatabaseUtils } = require('./database');
+const { EventBus } = require('./event-bus');
+const { floorEvent } = require('./table-database');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+const { PERMISSIONS } = require('../middleware/auth');
+
+// Sections with their server and the tables on the floor in them
+const SECTION_SELECT = `
+  SELECT s.*, COALESCE(u.full_name, u.username) AS server_name,
+    COALESCE(
+      array_agg(t.id ORDER BY t.table_number) FILTER (WHERE t.id IS NOT NULL),
+      '{}'
+    ) AS table_ids
+  FROM server_sections s
+  LEFT JOIN staff_users u ON u.id = s.staff_user_id
+  LEFT JOIN tables t ON t.section_id = s.id AND t.retired_at IS NULL
+`;
+
+/**
+ * Dining area and server section database operations
+ */
+class FloorPlanQueries {
+  /**
+   * List dining areas with how many tables stand in each
+   * @returns {Promise<Array>} - Areas in display order
+   */
+  static async getAreas() {
+    const result = await DatabaseUtils.query(`
+      SELECT a.*, COUNT(t.id)::int AS table_count
+      FROM floor_areas a
+      LEFT JOIN tables t ON t.area_id = a.id AND t.retired_at IS NULL
+      GROUP BY a.id
+      ORDER BY a.sort_order, a.id
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Require an area or section name not to be taken
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} table - 'floor_areas' or 'server_sections'
+   * @param {string} name - Name to check
+   * @param {number|null} id - Row being renamed
+   */
+  static async assertNameFree(client, table, name, id = null) {
+    const result = await client.query(
+      `SELECT id FROM ${table} WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2::integer`,
+      [name, id]
+    );
+    if (result.rows.length > 0) {
+      throw createConflictError(`The name "${name}" is already in use`);
+    }
+  }
+
+  /**
+   * Add a dining area
+   * @param {Object} data - { name, sort_order }
+   * @returns {Promise<Object>} - New area
+   */
+  static async createArea(data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const name = data.name.trim();
+      await this.assertNameFree(client, 'floor_areas', name);
+
+      const result = await client.query(`
+        INSERT INTO floor_areas (name, sort_order)
+        VALUES ($1, $2)
+        RETURNING *
+      `, [name, data.sort_order || 0]);
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('areas'));
+      return { ...result.rows[0], table_count: 0 };
+    });
+  }
+
+  /**
+   * Rename or reorder a dining area
+   * @param {number} areaId - Area ID
+   * @param {Object} data - { name, sort_order }
+   * @returns {Promise<Object|null>} - Updated area or null if not found
+   */
+  static async updateArea(areaId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const current = await client.query('SELECT * FROM floor_areas WHERE id = $1 FOR UPDATE', [areaId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+
+      const area = current.rows[0];
+      const name = data.name !== undefined ? data.name.trim() : area.name;
+      if (name !== area.name) {
+        await this.assertNameFree(client, 'floor_areas', name, area.id);
+      }
+
+      const result = await client.query(`
+        UPDATE floor_areas SET name = $1, sort_order = $2
+        WHERE id = $3
+        RETURNING *
+      `, [name, data.sort_order !== undefined ? data.sort_order : area.sort_order, area.id]);
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('areas'));
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Delete a dining area
+   * Returns 409 while tables on the floor stand in it; retired tables just lose their area
+   * @param {number} areaId - Area ID
+   * @returns {Promise<Object|null>} - Deleted area or null if not found
+   */
+  static async deleteArea(areaId) {
+    return DatabaseUtils.transaction(async (client) => {
+      const current = await client.query('SELECT * FROM floor_areas WHERE id = $1 FOR UPDATE', [areaId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+
+      const tables = await client.query(
+        'SELECT table_number FROM tables WHERE area_id = $1 AND retired_at IS NULL ORDER BY table_number',
+        [areaId]
+      );
+      if (tables.rows.length > 0) {
+        throw createConflictError(
+          `Area still has tables: ${tables.rows.map(table => table.table_number).join(', ')}; move or remove them first`
+        );
+      }
+
+      await client.query('UPDATE tables SET area_id = NULL WHERE area_id = $1', [areaId]);
+      await client.query('DELETE FROM floor_areas WHERE id = $1', [areaId]);
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('areas'));
+      return current.rows[0];
+    });
+  }
+
+  /**
+   * List server sections with their server and tables
+   * @returns {Promise<Array>} - Sections in name order
+   */
+  static async getSections() {
+    const result = await DatabaseUtils.query(`
+      ${SECTION_SELECT}
+      GROUP BY s.id, u.full_name, u.username
+      ORDER BY s.name
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Get a server section with its server and tables
+   * @param {number} sectionId - Section ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - Section or null if not found
+   */
+  static async getSectionById(sectionId, db = DatabaseUtils) {
+    const result = await db.query(`
+      ${SECTION_SELECT}
+      WHERE s.id = $1
+      GROUP BY s.id, u.full_name, u.username
+    `, [sectionId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Active staff who can look after a section: everyone allowed to open checks
+   * @returns {Promise<Array>} - { id, username, full_name, role } in name order
+   */
+  static async getServers() {
+    const result = await DatabaseUtils.query(`
+      SELECT id, username, full_name, role
+      FROM staff_users
+      WHERE active AND role = ANY($1::varchar[])
+      ORDER BY COALESCE(full_name, username)
+    `, [PERMISSIONS['checks:write']]);
+    return result.rows;
+  }
+
+  /**
+   * Require the server given a section to be an active staff user
+   * @param {Object} client - Database client inside a transaction
+   * @param {number|null} staffUserId - Staff user ID
+   */
+  static async assertServerActive(client, staffUserId) {
+    if (!staffUserId) {
+      return;
+    }
+    const result = await client.query('SELECT active FROM staff_users WHERE id = $1', [staffUserId]);
+    if (result.rows.length === 0 || !result.rows[0].active) {
+      throw createValidationError([{ field: 'staff_user_id', message: 'Staff user not found or inactive' }]);
+    }
+  }
+
+  /**
+   * Make a section hold exactly the given tables
+   * Tables move out of whichever section they were in before
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} sectionId - Section ID
+   * @param {Array<number>} tableIds - Tables for the section
+   * @returns {Promise<Array<number>>} - Tables whose section changed
+   */
+  static async setSectionTables(client, sectionId, tableIds) {
+    const found = await client.query(
+      'SELECT id FROM tables WHERE id = ANY($1::integer[]) AND retired_at IS NULL',
+      [tableIds]
+    );
+    if (found.rows.length < tableIds.length) {
+      const known = new Set(found.rows.map(row => row.id));
+      throw createValidationError([{
+        field: 'table_ids',
+        message: `Tables not found: ${tableIds.filter(tableId => !known.has(tableId)).join(', ')}`
+      }]);
+    }
+
+    const removed = await client.query(`
+      UPDATE tables SET section_id = NULL
+      WHERE section_id = $1 AND NOT (id = ANY($2::integer[]))
+      RETURNING id
+    `, [sectionId, tableIds]);
+    const added = await client.query(`
+      UPDATE tables SET section_id = $1
+      WHERE id = ANY($2::integer[]) AND section_id IS DISTINCT FROM $1
+      RETURNING id
+    `, [sectionId, tableIds]);
+
+    return [...removed.rows, ...added.rows].map(row => row.id);
+  }
+
+  /**
+   * Add a server section
+   * @param {Object} data - { name, staff_user_id, color, table_ids }
+   * @returns {Promise<Object>} - New section
+   */
+  static async createSection(data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const name = data.name.trim();
+      await this.assertNameFree(client, 'server_sections', name);
+      await this.assertServerActive(client, data.staff_user_id);
+
+      const result = await client.query(`
+        INSERT INTO server_sections (name, staff_user_id, color)
+        VALUES ($1, $2, COALESCE($3, '#0d6efd'))
+        RETURNING id
+      `, [name, data.staff_user_id || null, data.color || null]);
+      const sectionId = result.rows[0].id;
+
+      const changed = data.table_ids ? await this.setSectionTables(client, sectionId, data.table_ids) : [];
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('sections', changed));
+      return this.getSectionById(sectionId, client);
+    });
+  }
+
+  /**
+   * Rename a section, hand it to another server or change its tables
+   * @param {number} sectionId - Section ID
+   * @param {Object} data - { name, staff_user_id, color, table_ids }
+   * @returns {Promise<Object|null>} - Updated section or null if not found
+   */
+  static async updateSection(sectionId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const current = await client.query('SELECT * FROM server_sections WHERE id = $1 FOR UPDATE', [sectionId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+
+      const section = current.rows[0];
+      const name = data.name !== undefined ? data.name.trim() : section.name;
+      if (name !== section.name) {
+        await this.assertNameFree(client, 'server_sections', name, section.id);
+      }
+      await this.assertServerActive(client, data.staff_user_id);
+
+      await client.query(`
+        UPDATE server_sections
+        SET name = $1, staff_user_id = $2, color = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+      `, [
+        name,
+        data.staff_user_id !== undefined ? data.staff_user_id : section.staff_user_id,
+        data.color !== undefined ? data.color : section.color,
+        section.id
+      ]);
+
+      const changed = data.table_ids ? await this.setSectionTables(client, section.id, data.table_ids) : [];
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('sections', changed));
+      return this.getSectionById(section.id, client);
+    });
+  }
+
+  /**
+   * Delete a server section; its tables are left without a section
+   * @param {number} sectionId - Section ID
+   * @returns {Promise<Object|null>} - Deleted section or null if not found
+   */
+  static async deleteSection(sectionId) {
+    return DatabaseUtils.transaction(async (client) => {
+      const section = await this.getSectionById(sectionId, client);
+      if (!section) {
+        return null;
+      }
+
+      await client.query('UPDATE tables SET section_id = NULL WHERE section_id = $1', [sectionId]);
+      await client.query('DELETE FROM server_sections WHERE id = $1', [sectionId]);
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('sections', section.table_ids));
+      return section;
+    });
+  }
+}
+
+module.exports = {
+  FloorPlanQueries
+};
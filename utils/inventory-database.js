@@ -4,6 +4,12 @@
  */
 
 import { DatabaseUtils } from './database.js';
+import { AlertService } from './alert-service.js';
+import { LocationQueries } from './location-database.js';
+import { CostingQueries } from './costing-database.js';
+import { RecipeCostQueries } from './recipe-cost-database.js';
+import { conversionFactor, conversionProblem } from '../models/UnitConversion.js';
+import { createValidationError } from '../middleware/errorHandler.js';
 
 /**
  * Product inventory database operations
@@ -17,8 +23,10 @@ class ProductQueries {
   static async createProduct(productData) {
     const query = `
       INSERT INTO products (name, description, unit_of_measure, current_quantity, 
-                           low_stock_threshold, cost_per_unit, supplier_info)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+                           low_stock_threshold, cost_per_unit, par_level, density_g_per_ml,
+                           piece_weight_g, category, location_id, supplier_info)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+              COALESCE($11, (SELECT id FROM storage_locations WHERE active ORDER BY sort_order, id LIMIT 1)), $12)
       RETURNING *
     `;
     const params = [
@@ -28,11 +36,24 @@ class ProductQueries {
       productData.current_quantity || 0,
       productData.low_stock_threshold || 10,
       productData.cost_per_unit || null,
+      productData.par_level ?? null,
+      productData.density_g_per_ml || null,
+      productData.piece_weight_g || null,
+      productData.category || null,
+      productData.location_id || null,
       productData.supplier_info || null
     ];
     
-    const result = await DatabaseUtils.query(query, params);
-    return result.rows[0];
+    return DatabaseUtils.transaction(async (client) => {
+      const result = await client.query(query, params);
+      const product = result.rows[0];
+
+      // Opening stock is held at the product's home location
+      if (parseFloat(product.current_quantity) !== 0) {
+        await LocationQueries.changeLocationStock(client, product.id, product.current_quantity);
+      }
+      return product;
+    });
   }
 
   /**
@@ -113,9 +134,10 @@ class ProductQueries {
     const query = `
       UPDATE products 
       SET name = $1, description = $2, unit_of_measure = $3, 
-          low_stock_threshold = $4, cost_per_unit = $5, supplier_info = $6,
+          low_stock_threshold = $4, cost_per_unit = $5, par_level = $6, density_g_per_ml = $7,
+          piece_weight_g = $8, category = $9, location_id = COALESCE($10, location_id), supplier_info = $11,
           updated_at = CURRENT_TIMESTAMP
-      WHERE id = $7
+      WHERE id = $12
       RETURNING *
     `;
     const params = [
@@ -124,6 +146,11 @@ class ProductQueries {
       productData.unit_of_measure,
       productData.low_stock_threshold || 10,
       productData.cost_per_unit || null,
+      productData.par_level ?? null,
+      productData.density_g_per_ml || null,
+      productData.piece_weight_g || null,
+      productData.category || null,
+      productData.location_id || null,
       productData.supplier_info || null,
       productId
     ];
@@ -177,16 +204,26 @@ class ProductQueries {
 class InventoryTransactionQueries {
   /**
    * Create an inventory transaction and update product quantity
-   * @param {Object} transactionData - Transaction data
+   * Stock added comes in as a new lot and stock taken out is taken from the product's lots
+   * @param {Object} transactionData - Transaction data; location_id defaults to the product's home location,
+   *   lot holds { expires_on, lot_code, unit_cost } for stock coming in
    * @returns {Promise<Object>} - Created transaction with updated product
    */
   static async createTransaction(transactionData) {
     return DatabaseUtils.transaction(async (client) => {
+      // Change the stock held at the location given, or at the product's home location
+      const locationId = await LocationQueries.changeLocationStock(
+        client,
+        transactionData.product_id,
+        transactionData.quantity_change,
+        transactionData.location_id || null
+      );
+
       // Insert transaction record
       const transactionQuery = `
         INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, 
-                                          reference_type, reference_id, notes)
-        VALUES ($1, $2, $3, $4, $5, $6)
+                                          reference_type, reference_id, notes, location_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
         RETURNING *
       `;
       const transactionParams = [
@@ -195,11 +232,13 @@ class InventoryTransactionQueries {
         transactionData.quantity_change,
         transactionData.reference_type || null,
         transactionData.reference_id || null,
-        transactionData.notes || null
+        transactionData.notes || null,
+        locationId
       ];
       
       const transactionResult = await client.query(transactionQuery, transactionParams);
       const transaction = transactionResult.rows[0];
+      await CostingQueries.recordTransaction(client, transaction, transactionData.lot || {});
 
       // Update product quantity
       const updateQuery = `
@@ -212,6 +251,7 @@ class InventoryTransactionQueries {
         transactionData.quantity_change,
         transactionData.product_id
       ]);
+      AlertService.publishStockChange(client, updateResult.rows[0], parseFloat(transactionData.quantity_change));
 
       return {
         transaction: transaction,
@@ -222,17 +262,18 @@ class InventoryTransactionQueries {
 
   /**
    * Get inventory transactions with optional filtering
-   * @param {Object} options - Query options (product_id, transaction_type, page, limit)
-   * @returns {Promise<Array>} - Array of transactions with product info
+   * @param {Object} options - Query options (product_id, transaction_type, location_id, page, limit)
+   * @returns {Promise<Array>} - Array of transactions with product and location info
    */
   static async getTransactions(options = {}) {
-    const { product_id, transaction_type, page = 1, limit = 50 } = options;
+    const { product_id, transaction_type, location_id, page = 1, limit = 50 } = options;
     const offset = (page - 1) * limit;
 
     let query = `
-      SELECT it.*, p.name as product_name, p.unit_of_measure
+      SELECT it.*, p.name as product_name, p.unit_of_measure, l.name as location_name
       FROM inventory_transactions it
       JOIN products p ON it.product_id = p.id
+      LEFT JOIN storage_locations l ON it.location_id = l.id
       WHERE 1=1
     `;
     
@@ -251,6 +292,12 @@ class InventoryTransactionQueries {
       paramIndex++;
     }
 
+    if (location_id) {
+      query += ` AND it.location_id = $${paramIndex}`;
+      params.push(location_id);
+      paramIndex++;
+    }
+
     query += `
       ORDER BY it.created_at DESC
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -265,7 +312,8 @@ class InventoryTransactionQueries {
    * Adjust product quantity with transaction logging (restock operation)
    * @param {number} productId - Product ID
    * @param {number} quantityToAdd - Quantity to add (positive number)
-   * @param {Object} options - Additional options (reference_type, reference_id, notes)
+   * @param {Object} options - Additional options (reference_type, reference_id, notes, location_id) and
+   *   the lot received (expires_on, lot_code, unit_cost)
    * @returns {Promise<Object>} - Created transaction with updated product
    */
   static async restockProduct(productId, quantityToAdd, options = {}) {
@@ -275,7 +323,13 @@ class InventoryTransactionQueries {
       quantity_change: Math.abs(quantityToAdd), // Ensure positive for restock
       reference_type: options.reference_type || 'manual',
       reference_id: options.reference_id || null,
-      notes: options.notes || `Restock: +${Math.abs(quantityToAdd)} units`
+      notes: options.notes || `Restock: +${Math.abs(quantityToAdd)} units`,
+      location_id: options.location_id || null,
+      lot: {
+        expires_on: options.expires_on || null,
+        lot_code: options.lot_code || null,
+        unit_cost: options.unit_cost ?? null
+      }
     };
 
     return this.createTransaction(transactionData);
@@ -285,7 +339,7 @@ class InventoryTransactionQueries {
    * Adjust product quantity with transaction logging (manual adjustment)
    * @param {number} productId - Product ID
    * @param {number} quantityChange - Quantity change (positive or negative)
-   * @param {Object} options - Additional options (reference_type, reference_id, notes)
+   * @param {Object} options - Additional options (reference_type, reference_id, notes, location_id)
    * @returns {Promise<Object>} - Created transaction with updated product
    */
   static async adjustProductQuantity(productId, quantityChange, options = {}) {
@@ -295,7 +349,8 @@ class InventoryTransactionQueries {
       quantity_change: quantityChange,
       reference_type: options.reference_type || 'manual',
       reference_id: options.reference_id || null,
-      notes: options.notes || `Manual adjustment: ${quantityChange > 0 ? '+' : ''}${quantityChange} units`
+      notes: options.notes || `Manual adjustment: ${quantityChange > 0 ? '+' : ''}${quantityChange} units`,
+      location_id: options.location_id || null
     };
 
     return this.createTransaction(transactionData);
@@ -346,28 +401,42 @@ class InventoryTransactionQueries {
       const transactions = [];
 
       for (const item of orderItems) {
-        // Get recipe ingredient product links for this menu item
+        // Get the products used by this menu item's recipe, per serving
         const linksQuery = `
-          SELECT rip.product_id, rip.quantity_per_serving, p.name as product_name
-          FROM recipe_ingredient_products rip
-          JOIN products p ON rip.product_id = p.id
-          JOIN recipe_ingredients ri ON rip.recipe_ingredient_id = ri.id
+          SELECT ri.product_id,
+                 ri.quantity / COALESCE(NULLIF(r.servings, 0), 1) as quantity_per_serving,
+                 ri.unit as ingredient_unit,
+                 p.name as product_name,
+                 p.unit_of_measure,
+                 p.density_g_per_ml,
+                 p.piece_weight_g
+          FROM recipe_ingredients ri
+          JOIN products p ON ri.product_id = p.id
           JOIN recipes r ON ri.recipe_id = r.id
           JOIN menu_items mi ON r.id = mi.recipe_id
-          WHERE mi.id = $1
+          WHERE mi.id = $1 AND ri.quantity IS NOT NULL
         `;
         
         const linksResult = await client.query(linksQuery, [item.menu_item_id]);
         
         // Process each linked product
         for (const link of linksResult.rows) {
-          const quantityToDeduct = -(link.quantity_per_serving * item.quantity);
+          // Recipe quantities are converted into the product's unit of measure
+          const factor = conversionFactor(link.ingredient_unit, link.unit_of_measure, link);
+          if (factor === null) {
+            throw createValidationError([{
+              field: 'unit',
+              message: conversionProblem(link.ingredient_unit, { ...link, name: link.product_name })
+            }]);
+          }
+          const quantityToDeduct = -(link.quantity_per_serving * factor * item.quantity);
+          const locationId = await LocationQueries.changeLocationStock(client, link.product_id, quantityToDeduct);
           
           // Create transaction
           const transactionQuery = `
             INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, 
-                                              reference_type, reference_id, notes)
-            VALUES ($1, $2, $3, $4, $5, $6)
+                                              reference_type, reference_id, notes, location_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             RETURNING *
           `;
           const transactionParams = [
@@ -376,18 +445,22 @@ class InventoryTransactionQueries {
             quantityToDeduct,
             'order',
             orderId,
-            `Order #${orderId} - ${link.product_name} usage`
+            `Order #${orderId} - ${link.product_name} usage`,
+            locationId
           ];
           
           const transactionResult = await client.query(transactionQuery, transactionParams);
           transactions.push(transactionResult.rows[0]);
+          await CostingQueries.recordTransaction(client, transactionResult.rows[0]);
 
           // Update product quantity
-          await client.query(`
+          const productResult = await client.query(`
             UPDATE products 
             SET current_quantity = current_quantity + $1, updated_at = CURRENT_TIMESTAMP
             WHERE id = $2
+            RETURNING *
           `, [quantityToDeduct, link.product_id]);
+          AlertService.publishStockChange(client, productResult.rows[0], quantityToDeduct);
         }
       }
 
@@ -398,58 +471,91 @@ class InventoryTransactionQueries {
 
 /**
  * Recipe ingredient product link database operations
+ * Each recipe ingredient references the product it is made from, so a link is the ingredient itself:
+ * creating one points an ingredient at a product and deleting one removes the ingredient from its recipe
  */
 class RecipeIngredientProductQueries {
   /**
-   * Create a link between recipe ingredient and product
+   * Point a recipe ingredient at a product and recost its recipe
+   * The ingredient takes the product's unit, with the quantity its recipe's servings need
    * @param {Object} linkData - Link data
-   * @returns {Promise<Object>} - Created link
+   * @returns {Promise<Object|null>} - The link, or null if the ingredient or product does not exist
    */
   static async createLink(linkData) {
-    const query = `
-      INSERT INTO recipe_ingredient_products (recipe_ingredient_id, product_id, quantity_per_serving)
-      VALUES ($1, $2, $3)
-      RETURNING *
-    `;
-    const params = [
-      linkData.recipe_ingredient_id,
-      linkData.product_id,
-      linkData.quantity_per_serving
-    ];
-    
-    const result = await DatabaseUtils.query(query, params);
-    return result.rows[0];
+    return DatabaseUtils.transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE recipe_ingredients ri
+        SET product_id = p.id,
+            quantity = $3 * COALESCE(NULLIF(r.servings, 0), 1),
+            unit = p.unit_of_measure
+        FROM recipes r, products p
+        WHERE ri.id = $1 AND r.id = ri.recipe_id AND p.id = $2
+        RETURNING ri.id, ri.id AS recipe_ingredient_id, ri.recipe_id, ri.product_id,
+                  $3::numeric AS quantity_per_serving
+      `, [linkData.recipe_ingredient_id, linkData.product_id, linkData.quantity_per_serving]);
+
+      const link = result.rows[0];
+      if (!link) {
+        return null;
+      }
+      await RecipeCostQueries.recostRecipe(client, link.recipe_id, 'recipe');
+      return link;
+    });
   }
 
   /**
    * Get product links for a recipe
+   * quantity_per_serving is in the product's unit of measure, or null with a conversion_problem when
+   * the ingredient's unit does not convert to it
    * @param {number} recipeId - Recipe ID
    * @returns {Promise<Array>} - Array of links with product and ingredient info
    */
   static async getRecipeProductLinks(recipeId) {
     const query = `
-      SELECT rip.*, ri.name as ingredient_name, ri.unit as ingredient_unit,
-             p.name as product_name, p.unit_of_measure, p.current_quantity
-      FROM recipe_ingredient_products rip
-      JOIN recipe_ingredients ri ON rip.recipe_ingredient_id = ri.id
-      JOIN products p ON rip.product_id = p.id
+      SELECT ri.id, ri.id as recipe_ingredient_id, ri.recipe_id, ri.product_id,
+             ri.quantity / COALESCE(NULLIF(r.servings, 0), 1) as ingredient_quantity_per_serving,
+             ri.unit as ingredient_unit, p.name as ingredient_name,
+             p.name as product_name, p.unit_of_measure as product_unit_of_measure,
+             p.current_quantity as product_current_quantity,
+             p.low_stock_threshold as product_low_stock_threshold,
+             p.cost_per_unit as product_cost_per_unit,
+             p.density_g_per_ml, p.piece_weight_g
+      FROM recipe_ingredients ri
+      JOIN recipes r ON ri.recipe_id = r.id
+      JOIN products p ON ri.product_id = p.id
       WHERE ri.recipe_id = $1
       ORDER BY ri.order_index
     `;
     
     const result = await DatabaseUtils.query(query, [recipeId]);
-    return result.rows;
+    return result.rows.map(({ density_g_per_ml, piece_weight_g, ...link }) => {
+      const product = { name: link.product_name, unit_of_measure: link.product_unit_of_measure, density_g_per_ml, piece_weight_g };
+      const factor = conversionFactor(link.ingredient_unit, product.unit_of_measure, product);
+      return {
+        ...link,
+        quantity_per_serving: factor === null || link.ingredient_quantity_per_serving === null
+          ? null
+          : parseFloat(link.ingredient_quantity_per_serving) * factor,
+        conversion_problem: factor === null ? conversionProblem(link.ingredient_unit, product) : null
+      };
+    });
   }
 
   /**
    * Delete a recipe ingredient product link
-   * @param {number} linkId - Link ID to delete
+   * An ingredient cannot be left without a product, so it is removed from its recipe, which is recosted
+   * @param {number} linkId - Link (recipe ingredient) ID to delete
    * @returns {Promise<boolean>} - True if deleted, false if not found
    */
   static async deleteLink(linkId) {
-    const query = 'DELETE FROM recipe_ingredient_products WHERE id = $1';
-    const result = await DatabaseUtils.query(query, [linkId]);
-    return result.rowCount > 0;
+    return DatabaseUtils.transaction(async (client) => {
+      const result = await client.query('DELETE FROM recipe_ingredients WHERE id = $1 RETURNING recipe_id', [linkId]);
+      if (result.rows.length === 0) {
+        return false;
+      }
+      await RecipeCostQueries.recostRecipe(client, result.rows[0].recipe_id, 'recipe');
+      return true;
+    });
   }
 
   /**
@@ -516,8 +622,8 @@ class RecipeIngredientProductQueries {
    */
   static async linkExists(recipeIngredientId, productId) {
     const query = `
-      SELECT id FROM recipe_ingredient_products 
-      WHERE recipe_ingredient_id = $1 AND product_id = $2
+      SELECT id FROM recipe_ingredients
+      WHERE id = $1 AND product_id = $2
     `;
     const result = await DatabaseUtils.query(query, [recipeIngredientId, productId]);
     return result.rows.length > 0;
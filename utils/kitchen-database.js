@@ -0,0 +1,238 @@
+/**
+ * Database query utilities for the kitchen display
+ * Reads open orders as per-station tickets and records item ready state; the order status
+ * follows its items (first item ready: preparing, every item ready: ready)
+ */
+
+const { DatabaseUtils } = require('./database');
+const {
+  resolveStation,
+  buildTickets,
+  statusForReadyItems,
+  KITCHEN_STATUSES
+} = require('../models/Kitchen');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+const { EventBus } = require('./event-bus');
+const { OrderStatusQueries } = require('./order-status-database');
+
+const TICKET_ITEMS_QUERY = `
+  SELECT
+    o.id AS order_id, o.status, o.created_at, o.customer_name, t.table_number,
+    oi.id AS order_item_id, oi.quantity, oi.notes, oi.ready_at,
+    mi.name, mi.station, r.category AS recipe_category,
+    COALESCE(r.prep_time, 0) + COALESCE(r.cook_time, 0) AS target_minutes,
+    (SELECT string_agg(oim.name, ', ' ORDER BY oim.id) FROM order_item_modifiers oim WHERE oim.order_item_id = oi.id) AS modifiers
+  FROM orders o
+  JOIN order_items oi ON oi.order_id = o.id AND oi.voided_at IS NULL
+  JOIN menu_items mi ON mi.id = oi.menu_item_id
+  LEFT JOIN recipes r ON r.id = mi.recipe_id
+  LEFT JOIN tables t ON t.id = o.table_id
+`;
+
+/**
+ * Kitchen display database operations
+ */
+class KitchenQueries {
+  /**
+   * Every station that menu items are prepared at
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<Array<string>>} - Station names, sorted
+   */
+  static async getStations(db = DatabaseUtils) {
+    const result = await db.query(`
+      SELECT DISTINCT mi.station, r.category AS recipe_category
+      FROM menu_items mi
+      LEFT JOIN recipes r ON r.id = mi.recipe_id
+    `);
+    return [...new Set(result.rows.map(resolveStation))].sort();
+  }
+
+  /**
+   * Open tickets, oldest first
+   * @param {Object} options - { station } to show one station only
+   * @returns {Promise<Object>} - { stations, tickets }
+   */
+  static async getTickets({ station = null } = {}) {
+    const result = await DatabaseUtils.query(`
+      ${TICKET_ITEMS_QUERY}
+      WHERE o.status = ANY($1::text[])
+      ORDER BY o.created_at, o.id, oi.id
+    `, [KITCHEN_STATUSES]);
+
+    const tickets = buildTickets(result.rows);
+    return {
+      stations: await this.getStations(),
+      tickets: station ? tickets.filter(ticket => ticket.station === station) : tickets
+    };
+  }
+
+  /**
+   * Tickets for one order
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array>}
+   */
+  static async getOrderTickets(db, orderId) {
+    const result = await db.query(`
+      ${TICKET_ITEMS_QUERY}
+      WHERE o.id = $1
+      ORDER BY oi.id
+    `, [orderId]);
+    return buildTickets(result.rows);
+  }
+
+  /**
+   * Lock an order the kitchen is still working on
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Object|null>} - Order row, or null if not found
+   */
+  static async lockKitchenOrder(client, orderId) {
+    const result = await client.query('SELECT id, status FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+    if (!KITCHEN_STATUSES.includes(result.rows[0].status)) {
+      throw createConflictError(`Order ${orderId} is ${result.rows[0].status}; it is no longer on the kitchen display`);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Move the order's status to match its items' ready state
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} order - Locked order row
+   * @param {Object|null} user - Staff user whose action caused the change
+   * @returns {Promise<string>} - Order status after the change
+   */
+  static async syncOrderStatus(client, order, user) {
+    const itemsResult = await client.query(
+      'SELECT id, ready_at IS NOT NULL AS ready FROM order_items WHERE order_id = $1 AND voided_at IS NULL',
+      [order.id]
+    );
+    const status = statusForReadyItems(order.status, itemsResult.rows);
+    if (status !== order.status) {
+      await OrderStatusQueries.changeStatus(client, order, status, user);
+      order.status = status;
+    }
+    return status;
+  }
+
+  /**
+   * IDs of an order's items at a station (every item when station is null)
+   * @param {Object} client - Database client inside a transaction
+   * @returns {Promise<Array<number>>}
+   */
+  static async getStationItemIds(client, orderId, station) {
+    const tickets = await this.getOrderTickets(client, orderId);
+    const matching = station ? tickets.filter(ticket => ticket.station === station) : tickets;
+    if (station && matching.length === 0) {
+      throw createValidationError([{ field: 'station', message: `Order ${orderId} has no items for the ${station} station` }]);
+    }
+    return matching.flatMap(ticket => ticket.items.map(item => item.id));
+  }
+
+  /**
+   * Run a kitchen action on an order and return its tickets
+   * Publishes kitchen.tickets_changed once it commits
+   * @param {number} orderId - Order ID
+   * @param {Object|null} user - Staff user taking the action
+   * @param {Function} action - async (client, order) => void
+   * @returns {Promise<Object|null>} - { order_id, status, tickets } or null if the order does not exist
+   */
+  static async updateOrder(orderId, user, action) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockKitchenOrder(client, orderId);
+      if (!order) {
+        return null;
+      }
+
+      await action(client, order);
+      const status = await this.syncOrderStatus(client, order, user);
+
+      EventBus.publishOnCommit(client, 'kitchen.tickets_changed', { order_id: order.id });
+
+      return {
+        order_id: order.id,
+        status,
+        tickets: await this.getOrderTickets(client, order.id)
+      };
+    });
+  }
+
+  /**
+   * Start a ticket: a pending order moves to preparing
+   * @param {number} orderId - Order ID
+   * @param {Object|null} user - Staff user starting it
+   * @returns {Promise<Object|null>}
+   */
+  static async startOrder(orderId, user) {
+    return await this.updateOrder(orderId, user, async (client, order) => {
+      if (order.status === 'pending') {
+        await OrderStatusQueries.changeStatus(client, order, 'preparing', user);
+        order.status = 'preparing';
+      }
+    });
+  }
+
+  /**
+   * Bump a station's ticket (or the whole order): mark its items ready
+   * @param {number} orderId - Order ID
+   * @param {string|null} station - Station, or null for every item
+   * @param {Object|null} user - Staff user bumping it
+   * @returns {Promise<Object|null>}
+   */
+  static async bumpTicket(orderId, station, user) {
+    return await this.updateOrder(orderId, user, async (client) => {
+      const itemIds = await this.getStationItemIds(client, orderId, station);
+      await client.query(`
+        UPDATE order_items SET ready_at = CURRENT_TIMESTAMP, ready_by = $2
+        WHERE id = ANY($1::integer[]) AND ready_at IS NULL
+      `, [itemIds, user ? user.id : null]);
+    });
+  }
+
+  /**
+   * Recall a bumped ticket (or the whole order): its items are no longer ready
+   * @param {number} orderId - Order ID
+   * @param {string|null} station - Station, or null for every item
+   * @param {Object|null} user - Staff user recalling it
+   * @returns {Promise<Object|null>}
+   */
+  static async recallTicket(orderId, station, user) {
+    return await this.updateOrder(orderId, user, async (client) => {
+      const itemIds = await this.getStationItemIds(client, orderId, station);
+      await client.query(
+        'UPDATE order_items SET ready_at = NULL, ready_by = NULL WHERE id = ANY($1::integer[])',
+        [itemIds]
+      );
+    });
+  }
+
+  /**
+   * Mark one item ready or not ready
+   * @param {number} orderItemId - Order item ID
+   * @param {boolean} ready - Ready state
+   * @param {Object|null} user - Staff user
+   * @returns {Promise<Object|null>} - Order tickets, or null if the item does not exist
+   */
+  static async setItemReady(orderItemId, ready, user) {
+    const itemResult = await DatabaseUtils.query('SELECT order_id FROM order_items WHERE id = $1', [orderItemId]);
+    if (itemResult.rows.length === 0) {
+      return null;
+    }
+
+    return await this.updateOrder(itemResult.rows[0].order_id, user, async (client) => {
+      await client.query(`
+        UPDATE order_items
+        SET ready_at = CASE WHEN $2 THEN COALESCE(ready_at, CURRENT_TIMESTAMP) END,
+            ready_by = CASE WHEN $2 THEN COALESCE(ready_by, $3) END
+        WHERE id = $1
+      `, [orderItemId, ready, user ? user.id : null]);
+    });
+  }
+}
+
+module.exports = {
+  KitchenQueries
+};
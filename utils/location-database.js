@@ -0,0 +1,392 @@
+/**
+ * Database query utilities for storage locations, the stock each one holds and transfers between them
+ * products.current_quantity stays the total across locations; every stock change also changes
+ * location_stock at one location, which is recorded on its transaction. Locations are deactivated
+ * rather than deleted, so their transactions and transfers keep pointing at them.
+ */
+
+const { DatabaseUtils } = require('./database');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+
+// Locations with how many products they hold and what that stock is worth
+const LOCATION_SELECT = `
+  SELECT l.*,
+    (SELECT COUNT(*)::integer FROM location_stock s WHERE s.location_id = l.id AND s.quantity <> 0) AS product_count,
+    (SELECT COALESCE(ROUND(SUM(s.quantity * COALESCE(p.cost_per_unit, 0)), 2), 0)
+      FROM location_stock s JOIN products p ON p.id = s.product_id
+      WHERE s.location_id = l.id) AS stock_value
+  FROM storage_locations l
+`;
+
+// Transfers with their locations, who made them and how many products they moved
+const TRANSFER_SELECT = `
+  SELECT st.*,
+    fl.name AS from_location_name,
+    tl.name AS to_location_name,
+    COALESCE(u.full_name, u.username) AS transferred_by_name,
+    (SELECT COUNT(*)::integer FROM inventory_transactions t
+      WHERE t.reference_type = 'transfer' AND t.reference_id = st.id AND t.quantity_change > 0) AS item_count
+  FROM stock_transfers st
+  JOIN storage_locations fl ON fl.id = st.from_location_id
+  JOIN storage_locations tl ON tl.id = st.to_location_id
+  LEFT JOIN staff_users u ON u.id = st.transferred_by
+`;
+
+/**
+ * Storage location and transfer database operations
+ */
+class LocationQueries {
+  /**
+   * List storage locations in their sort order
+   * @param {Object} options - { active: true or false to list only active or inactive locations }
+   * @returns {Promise<Array>} - Locations
+   */
+  static async getLocations(options = {}) {
+    const params = [];
+    let where = '';
+    if (options.active !== undefined) {
+      params.push(options.active);
+      where = 'WHERE l.active = $1';
+    }
+
+    const result = await DatabaseUtils.query(`
+      ${LOCATION_SELECT}
+      ${where}
+      ORDER BY l.sort_order, l.name
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a location with the products it holds or is home to
+   * @param {number} locationId - Location ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - Location with its stock, or null if not found
+   */
+  static async getLocationById(locationId, db = DatabaseUtils) {
+    const result = await db.query(`${LOCATION_SELECT} WHERE l.id = $1`, [locationId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const stock = await db.query(`
+      SELECT p.id AS product_id, p.name AS product_name, p.unit_of_measure,
+        COALESCE(s.quantity, 0) AS quantity, p.current_quantity AS total_quantity,
+        p.location_id = $1 AS is_home
+      FROM products p
+      LEFT JOIN location_stock s ON s.product_id = p.id AND s.location_id = $1
+      WHERE s.id IS NOT NULL OR p.location_id = $1
+      ORDER BY p.name
+    `, [locationId]);
+
+    return { ...result.rows[0], stock: stock.rows };
+  }
+
+  /**
+   * Get a location stock can be kept at or moved to
+   * @param {number} locationId - Location ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - storage_locations row, or null if not found or inactive
+   */
+  static async getActiveLocation(locationId, db = DatabaseUtils) {
+    const result = await db.query('SELECT * FROM storage_locations WHERE id = $1 AND active', [locationId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Require a location name not to be taken
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} name - Name to check
+   * @param {number|null} locationId - Location being renamed
+   */
+  static async assertNameFree(client, name, locationId = null) {
+    const result = await client.query(
+      'SELECT id FROM storage_locations WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2::integer',
+      [name, locationId]
+    );
+    if (result.rows.length > 0) {
+      throw createConflictError(`A location named "${name}" already exists`);
+    }
+  }
+
+  /**
+   * Require no other active location to serve a recipe category
+   * @param {Object} client - Database client inside a transaction
+   * @param {string|null} category - Recipe category the location will serve
+   * @param {number|null} locationId - Location being changed
+   */
+  static async assertCategoryFree(client, category, locationId = null) {
+    if (!category) {
+      return;
+    }
+    const result = await client.query(
+      'SELECT name FROM storage_locations WHERE active AND recipe_category = $1 AND id IS DISTINCT FROM $2::integer',
+      [category, locationId]
+    );
+    if (result.rows.length > 0) {
+      throw createConflictError(`${result.rows[0].name} already serves ${category} recipes`);
+    }
+  }
+
+  /**
+   * Add a storage location
+   * @param {Object} data - { name, recipe_category, sort_order }
+   * @returns {Promise<Object>} - New location
+   */
+  static async createLocation(data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const name = data.name.trim();
+      await this.assertNameFree(client, name);
+      await this.assertCategoryFree(client, data.recipe_category);
+
+      const result = await client.query(`
+        INSERT INTO storage_locations (name, recipe_category, sort_order)
+        VALUES ($1, $2, $3)
+        RETURNING id
+      `, [name, data.recipe_category || null, data.sort_order || 0]);
+
+      return this.getLocationById(result.rows[0].id, client);
+    });
+  }
+
+  /**
+   * Change a location, or reactivate or deactivate it
+   * Returns 409 when deactivating a location that still holds stock or is a product's home location
+   * @param {number} locationId - Location ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object|null>} - Updated location or null if not found
+   */
+  static async updateLocation(locationId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const current = await client.query('SELECT * FROM storage_locations WHERE id = $1 FOR UPDATE', [locationId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+
+      const location = current.rows[0];
+      const updates = {};
+      if (data.name !== undefined && data.name.trim() !== location.name) {
+        updates.name = data.name.trim();
+        await this.assertNameFree(client, updates.name, location.id);
+      }
+      for (const field of ['recipe_category', 'sort_order', 'active']) {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      }
+
+      const active = updates.active !== undefined ? updates.active : location.active;
+      const category = updates.recipe_category !== undefined ? updates.recipe_category : location.recipe_category;
+      if (active) {
+        await this.assertCategoryFree(client, category, location.id);
+      }
+
+      if (location.active && updates.active === false) {
+        const held = await client.query(`
+          SELECT p.id AS product_id, p.name AS product_name, s.quantity
+          FROM location_stock s
+          JOIN products p ON p.id = s.product_id
+          WHERE s.location_id = $1 AND s.quantity <> 0
+          ORDER BY p.name
+        `, [location.id]);
+        if (held.rows.length > 0) {
+          throw createConflictError(`${location.name} still holds stock; transfer it elsewhere first`, held.rows);
+        }
+
+        const homed = await client.query(
+          'SELECT id AS product_id, name AS product_name FROM products WHERE location_id = $1 ORDER BY name',
+          [location.id]
+        );
+        if (homed.rows.length > 0) {
+          throw createConflictError(`${location.name} is the home location of some products; move them first`, homed.rows);
+        }
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length > 0) {
+        await client.query(`
+          UPDATE storage_locations
+          SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${columns.length + 1}
+        `, [...Object.values(updates), location.id]);
+      }
+
+      return this.getLocationById(location.id, client);
+    });
+  }
+
+  /**
+   * Apply a stock change to what one location holds
+   * Call alongside the change to products.current_quantity and record the location returned on the
+   * change's transaction
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} productId - Product ID
+   * @param {number} quantityChange - Change in the product's unit of measure
+   * @param {number|null} locationId - Location changed (defaults to the product's home location)
+   * @returns {Promise<number|null>} - Location changed, or null if the product has no home location
+   */
+  static async changeLocationStock(client, productId, quantityChange, locationId = null) {
+    const result = await client.query(`
+      INSERT INTO location_stock (product_id, location_id, quantity)
+      SELECT p.id, COALESCE($3::integer, p.location_id), $2
+      FROM products p
+      WHERE p.id = $1 AND COALESCE($3::integer, p.location_id) IS NOT NULL
+      ON CONFLICT (product_id, location_id)
+      DO UPDATE SET quantity = location_stock.quantity + EXCLUDED.quantity, updated_at = CURRENT_TIMESTAMP
+      RETURNING location_id
+    `, [productId, quantityChange, locationId]);
+    return result.rows.length > 0 ? result.rows[0].location_id : null;
+  }
+
+  /**
+   * Location a recipe's ingredient is taken from
+   * The active location serving the recipe's category (the bar for drinks) when it holds enough of the
+   * product, otherwise the product's home location
+   * @param {Object} client - Database client (or DatabaseUtils)
+   * @param {number} productId - Product ID
+   * @param {string|null} recipeCategory - 'food' or 'drink'; null for the home location
+   * @param {number} quantity - Quantity to be taken, in the product's unit
+   * @returns {Promise<number|null>} - Location ID, or null for the product's home location
+   */
+  static async getDeductionLocationId(client, productId, recipeCategory, quantity = 0) {
+    if (!recipeCategory) {
+      return null;
+    }
+    const result = await client.query(`
+      SELECT l.id
+      FROM storage_locations l
+      JOIN location_stock s ON s.location_id = l.id AND s.product_id = $1
+      WHERE l.active AND l.recipe_category = $2 AND s.quantity > 0 AND s.quantity >= $3
+    `, [productId, recipeCategory, quantity]);
+    return result.rows.length > 0 ? result.rows[0].id : null;
+  }
+
+  /**
+   * List transfers, newest first
+   * @param {Object} options - { location_id: only transfers into or out of this location }
+   * @returns {Promise<Array>} - Transfers without their lines
+   */
+  static async getTransfers(options = {}) {
+    const params = [];
+    let where = '';
+    if (options.location_id) {
+      params.push(options.location_id);
+      where = 'WHERE st.from_location_id = $1 OR st.to_location_id = $1';
+    }
+
+    const result = await DatabaseUtils.query(`
+      ${TRANSFER_SELECT}
+      ${where}
+      ORDER BY st.created_at DESC, st.id DESC
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a transfer with the products it moved
+   * @param {number} transferId - Transfer ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - Transfer or null if not found
+   */
+  static async getTransferById(transferId, db = DatabaseUtils) {
+    const result = await db.query(`${TRANSFER_SELECT} WHERE st.id = $1`, [transferId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const lines = await db.query(`
+      SELECT t.product_id, p.name AS product_name, p.unit_of_measure, t.quantity_change AS quantity
+      FROM inventory_transactions t
+      JOIN products p ON p.id = t.product_id
+      WHERE t.reference_type = 'transfer' AND t.reference_id = $1 AND t.quantity_change > 0
+      ORDER BY t.id
+    `, [transferId]);
+
+    return { ...result.rows[0], lines: lines.rows };
+  }
+
+  /**
+   * Move stock from one location to another
+   * Each product gets a pair of 'transfer' transactions referencing the transfer, out of the source
+   * and into the destination, so its total is unchanged. Returns 422 for locations that do not exist
+   * or are inactive and when the source holds less than is being moved.
+   * @param {Object} data - Validated data (see validateTransfer)
+   * @param {Object|null} user - Staff user moving the stock
+   * @returns {Promise<Object>} - { transfer, transactions }
+   */
+  static async transferStock(data, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const locationsResult = await client.query(
+        'SELECT id, name, active FROM storage_locations WHERE id = ANY($1::integer[])',
+        [[data.from_location_id, data.to_location_id]]
+      );
+      const locations = new Map(locationsResult.rows.map(location => [location.id, location]));
+      const errors = [];
+      for (const field of ['from_location_id', 'to_location_id']) {
+        const location = locations.get(data[field]);
+        if (!location) {
+          errors.push({ field, message: `Location ${data[field]} not found` });
+        } else if (!location.active) {
+          errors.push({ field, message: `${location.name} is inactive` });
+        }
+      }
+      if (errors.length > 0) {
+        throw createValidationError(errors);
+      }
+      const from = locations.get(data.from_location_id);
+      const to = locations.get(data.to_location_id);
+
+      const productIds = data.items.map(item => item.product_id);
+      const productsResult = await client.query(`
+        SELECT p.id, p.name, p.unit_of_measure, COALESCE(s.quantity, 0) AS available
+        FROM products p
+        LEFT JOIN location_stock s ON s.product_id = p.id AND s.location_id = $2
+        WHERE p.id = ANY($1::integer[])
+        ORDER BY p.id
+        FOR UPDATE OF p
+      `, [productIds, from.id]);
+      const products = new Map(productsResult.rows.map(product => [product.id, product]));
+      data.items.forEach((item, index) => {
+        const product = products.get(item.product_id);
+        if (!product) {
+          errors.push({ field: `items[${index}].product_id`, message: `Product ${item.product_id} not found` });
+        } else if (item.quantity > parseFloat(product.available)) {
+          errors.push({
+            field: `items[${index}].quantity`,
+            message: `${from.name} only holds ${parseFloat(product.available)} ${product.unit_of_measure} of ${product.name}`
+          });
+        }
+      });
+      if (errors.length > 0) {
+        throw createValidationError(errors);
+      }
+
+      const transferResult = await client.query(`
+        INSERT INTO stock_transfers (from_location_id, to_location_id, notes, transferred_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [from.id, to.id, data.notes ? data.notes.trim() : null, user ? user.id : null]);
+      const transfer = transferResult.rows[0];
+
+      const transactions = [];
+      for (const item of data.items) {
+        const notes = `Transfer #${transfer.id}: ${from.name} to ${to.name}${transfer.notes ? ` (${transfer.notes})` : ''}`;
+        for (const [location, quantityChange] of [[from, -item.quantity], [to, item.quantity]]) {
+          await this.changeLocationStock(client, item.product_id, quantityChange, location.id);
+          const transaction = await client.query(`
+            INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, reference_type, reference_id, notes, location_id)
+            VALUES ($1, 'transfer', $2, 'transfer', $3, $4, $5)
+            RETURNING *
+          `, [item.product_id, quantityChange, transfer.id, notes, location.id]);
+          transactions.push(transaction.rows[0]);
+        }
+      }
+
+      return { transfer: await this.getTransferById(transfer.id, client), transactions };
+    });
+  }
+}
+
+module.exports = {
+  LocationQueries
+};
@@ -0,0 +1,255 @@
+/**
+ * Database query utilities for stock lots
+ * Stock comes in as lots with a received date, expiry date and unit cost. Every stock change that
+ * writes an inventory transaction is tracked against the lots: receipts add a lot, deductions take
+ * from the product's lots first-in-first-out (or first-expiry-first-out) and reversals put stock back
+ * into the lots it was taken from. What each transaction took from each lot is kept in lot_consumptions.
+ * Transfers only move stock between locations, so lots are not tracked per location.
+ */
+
+const { DatabaseUtils } = require('./database');
+
+// Lots with their product and how many days they have left
+const LOT_SELECT = `
+  SELECT l.*, p.name AS product_name, p.unit_of_measure, p.lot_rotation,
+    (l.expires_on - CURRENT_DATE) AS days_until_expiry
+  FROM stock_lots l
+  JOIN products p ON p.id = l.product_id
+`;
+
+// Order lots are used up in: soonest expiry first for 'fefo' products, then oldest received
+const ROTATION_ORDER = `
+  CASE WHEN p.lot_rotation = 'fefo' THEN l.expires_on END NULLS LAST, l.received_at, l.id
+`;
+
+/**
+ * Round a quantity to the three decimal places stored
+ * @param {number} value - Quantity
+ * @returns {number}
+ */
+function roundQuantity(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Stock lot database operations
+ */
+class LotQueries {
+  /**
+   * List lots, in the order each product uses them up
+   * @param {Object} options - { product_id, include_empty: also list lots that have been used up }
+   * @returns {Promise<Array>} - Lots with product name and days_until_expiry
+   */
+  static async getLots(options = {}) {
+    const conditions = [];
+    const params = [];
+    if (options.product_id) {
+      params.push(options.product_id);
+      conditions.push(`l.product_id = $${params.length}`);
+    }
+    if (!options.include_empty) {
+      conditions.push('l.quantity_remaining > 0');
+    }
+
+    const result = await DatabaseUtils.query(`
+      ${LOT_SELECT}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY p.name, ${ROTATION_ORDER}
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Lots with stock left that expire within a number of days, including lots already expired
+   * @param {number} withinDays - Days ahead to look; 0 for lots expiring today or earlier
+   * @param {number|null} locationId - Only products held at or kept at this location
+   * @returns {Promise<Array>} - Lots, soonest expiry first
+   */
+  static async getExpiringLots(withinDays, locationId = null) {
+    const result = await DatabaseUtils.query(`
+      ${LOT_SELECT}
+      WHERE l.quantity_remaining > 0
+        AND l.expires_on <= CURRENT_DATE + $1::integer
+        AND ($2::integer IS NULL OR p.location_id = $2 OR EXISTS (
+          SELECT 1 FROM location_stock s WHERE s.product_id = p.id AND s.location_id = $2 AND s.quantity <> 0
+        ))
+      ORDER BY l.expires_on, p.name, l.id
+    `, [withinDays, locationId]);
+    return result.rows;
+  }
+
+  /**
+   * Lock the lots with stock left that expired before today
+   * @param {Object} client - Database client inside a transaction
+   * @returns {Promise<Array>} - Lots with product name, unit and home location
+   */
+  static async getExpiredLotsForUpdate(client) {
+    const result = await client.query(`
+      SELECT l.*, p.name AS product_name, p.unit_of_measure
+      FROM stock_lots l
+      JOIN products p ON p.id = l.product_id
+      WHERE l.quantity_remaining > 0 AND l.expires_on < CURRENT_DATE
+      ORDER BY p.name, l.expires_on, l.id
+      FOR UPDATE OF l
+    `);
+    return result.rows;
+  }
+
+  /**
+   * Add a lot of received stock
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} productId - Product ID
+   * @param {number} quantity - Quantity received, in the product's unit of measure
+   * @param {number|null} transactionId - Transaction that brought the stock in
+   * @param {Object} details - { unit_cost (defaults to the product's cost), expires_on, lot_code }
+   * @returns {Promise<Object|null>} - New stock_lots row, or null if the product does not exist
+   */
+  static async receiveLot(client, productId, quantity, transactionId = null, details = {}) {
+    const result = await client.query(`
+      INSERT INTO stock_lots (product_id, lot_code, expires_on, unit_cost, quantity_received, quantity_remaining, transaction_id)
+      SELECT p.id, $2, $3, COALESCE($4, p.cost_per_unit), $5, $5, $6
+      FROM products p
+      WHERE p.id = $1
+      RETURNING *
+    `, [
+      productId,
+      details.lot_code ? details.lot_code.trim() : null,
+      details.expires_on || null,
+      details.unit_cost ?? null,
+      roundQuantity(quantity),
+      transactionId
+    ]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Take stock out of one lot and record what the transaction took
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} lotId - Lot ID
+   * @param {number} quantity - Quantity taken; negative to put stock back
+   * @param {number|null} transactionId - Transaction taking the stock
+   * @returns {Promise<Object>} - { lot_id, quantity }
+   */
+  static async takeFromLot(client, lotId, quantity, transactionId) {
+    await client.query(
+      'UPDATE stock_lots SET quantity_remaining = quantity_remaining - $1 WHERE id = $2',
+      [quantity, lotId]
+    );
+    await client.query(
+      'INSERT INTO lot_consumptions (lot_id, transaction_id, quantity) VALUES ($1, $2, $3)',
+      [lotId, transactionId, quantity]
+    );
+    return { lot_id: lotId, quantity };
+  }
+
+  /**
+   * Take stock from a product's lots in the order of its lot rotation
+   * Stock deducted beyond what the lots hold (counted stock the lots never saw) is not tracked
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} productId - Product ID
+   * @param {number} quantity - Positive quantity to take, in the product's unit of measure
+   * @param {number|null} transactionId - Transaction taking the stock
+   * @returns {Promise<Array>} - [{ lot_id, quantity }] taken from each lot
+   */
+  static async consumeLots(client, productId, quantity, transactionId = null) {
+    const lots = await client.query(`
+      SELECT l.id, l.quantity_remaining
+      FROM stock_lots l
+      JOIN products p ON p.id = l.product_id
+      WHERE l.product_id = $1 AND l.quantity_remaining > 0
+      ORDER BY ${ROTATION_ORDER}
+      FOR UPDATE OF l
+    `, [productId]);
+
+    const consumptions = [];
+    let remaining = roundQuantity(quantity);
+    for (const lot of lots.rows) {
+      if (remaining <= 0) {
+        break;
+      }
+      const taken = Math.min(remaining, parseFloat(lot.quantity_remaining));
+      consumptions.push(await this.takeFromLot(client, lot.id, taken, transactionId));
+      remaining = roundQuantity(remaining - taken);
+    }
+    return consumptions;
+  }
+
+  /**
+   * Put stock back into the lots a reversed transaction took it from, latest lots first
+   * What earlier reversals of the same transaction put back is not put back twice; anything the lots
+   * did not give up comes back as a new lot
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} productId - Product ID
+   * @param {number} quantity - Positive quantity put back
+   * @param {number} reversedTransactionId - Transaction being reversed
+   * @param {number|null} transactionId - Reversing transaction
+   * @returns {Promise<Array>} - [{ lot_id, quantity }] put back, with negative quantities
+   */
+  static async restoreLots(client, productId, quantity, reversedTransactionId, transactionId) {
+    const taken = await client.query(`
+      SELECT c.lot_id, SUM(c.quantity) AS quantity
+      FROM lot_consumptions c
+      JOIN stock_lots l ON l.id = c.lot_id
+      WHERE c.transaction_id = $1
+         OR c.transaction_id IN (SELECT id FROM inventory_transactions WHERE reverses_transaction_id = $1)
+      GROUP BY c.lot_id, l.received_at
+      HAVING SUM(c.quantity) > 0
+      ORDER BY l.received_at DESC, c.lot_id DESC
+    `, [reversedTransactionId]);
+
+    const consumptions = [];
+    let remaining = roundQuantity(quantity);
+    for (const lot of taken.rows) {
+      if (remaining <= 0) {
+        break;
+      }
+      const returned = Math.min(remaining, parseFloat(lot.quantity));
+      consumptions.push(await this.takeFromLot(client, lot.lot_id, -returned, transactionId));
+      remaining = roundQuantity(remaining - returned);
+    }
+
+    if (remaining > 0) {
+      await this.receiveLot(client, productId, remaining, transactionId);
+    }
+    return consumptions;
+  }
+
+  /**
+   * Track an inventory transaction against the product's lots
+   * Call with the inserted inventory_transactions row, inside the same transaction
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} transaction - inventory_transactions row
+   * @param {Object} details - Lot details for stock coming in (see receiveLot)
+   * @returns {Promise<Array>} - Lots received or [{ lot_id, quantity }] taken or put back
+   */
+  static async trackTransaction(client, transaction, details = {}) {
+    const quantity = parseFloat(transaction.quantity_change);
+    if (transaction.transaction_type === 'transfer' || !Number.isFinite(quantity) || quantity === 0) {
+      return [];
+    }
+
+    if (quantity < 0) {
+      return this.consumeLots(client, transaction.product_id, -quantity, transaction.id);
+    }
+    if (transaction.reverses_transaction_id) {
+      return this.restoreLots(client, transaction.product_id, quantity, transaction.reverses_transaction_id, transaction.id);
+    }
+    const lot = await this.receiveLot(client, transaction.product_id, quantity, transaction.id, details);
+    return lot ? [lot] : [];
+  }
+
+  /**
+   * Track a stock change that writes no transaction, such as an edited product quantity
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} productId - Product ID
+   * @param {number} quantityChange - Change in the product's unit of measure
+   * @returns {Promise<Array>} - Lots received or [{ lot_id, quantity }] taken
+   */
+  static async trackChange(client, productId, quantityChange) {
+    return this.trackTransaction(client, { id: null, product_id: productId, quantity_change: quantityChange });
+  }
+}
+
+module.exports = {
+  LotQueries
+};
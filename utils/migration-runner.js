@@ -0,0 +1,274 @@
+/**
+ * Schema migration runner
+ * Applies and reverts the numbered SQL migrations in database/migrations and
+ * records each applied version, with a checksum, in the schema_migrations table
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DatabaseUtils } = require('./database');
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, '../database/migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Serializes concurrent runners (e.g. two app instances starting at once)
+const MIGRATION_LOCK_ID = 748201;
+
+/**
+ * SHA-256 checksum of a migration's up script
+ * @param {string} sql - Migration SQL
+ * @returns {string} - Hex digest
+ */
+function computeChecksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Read migrations from disk
+ * Each version needs both NNN_name.up.sql and NNN_name.down.sql
+ * @param {string} directory - Migrations directory
+ * @returns {Array<Object>} - Migrations sorted by version: { version, name, up, down, checksum }
+ */
+function loadMigrations(directory = MIGRATIONS_DIRECTORY) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(directory)) {
+    if (!file.endsWith('.sql')) continue;
+
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid migration filename: ${file} (expected NNN_name.up.sql or NNN_name.down.sql)`);
+    }
+
+    const [, versionText, name, direction] = match;
+    const version = parseInt(versionText, 10);
+    const migration = byVersion.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name} and ${name}`);
+    }
+    if (migration[direction] !== undefined) {
+      throw new Error(`Duplicate ${direction} migration for version ${version}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(directory, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file`);
+    }
+    migration.checksum = computeChecksum(migration.up);
+  }
+
+  return migrations;
+}
+
+/**
+ * Create the schema_migrations tracking table if it does not exist
+ * @param {Object} client - Database client
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Compare migrations on disk with those recorded in the database
+ * @param {Array<Object>} migrations - From loadMigrations
+ * @param {Array<Object>} appliedRows - Rows from schema_migrations
+ * @returns {Object} - { current_version, applied, pending, modified, missing }
+ */
+function compareMigrations(migrations, appliedRows) {
+  const appliedByVersion = new Map(appliedRows.map(row => [Number(row.version), row]));
+  const onDisk = new Set(migrations.map(m => m.version));
+
+  const applied = [];
+  const pending = [];
+  const modified = [];
+
+  for (const migration of migrations) {
+    const row = appliedByVersion.get(migration.version);
+    if (!row) {
+      pending.push(migration);
+      continue;
+    }
+    applied.push({ ...migration, applied_at: row.applied_at });
+    if (row.checksum.trim() !== migration.checksum) {
+      modified.push(migration);
+    }
+  }
+
+  // Applied in the database but no longer on disk
+  const missing = appliedRows
+    .filter(row => !onDisk.has(Number(row.version)))
+    .map(row => ({ version: Number(row.version), name: row.name }));
+
+  const versions = appliedRows.map(row => Number(row.version));
+
+  return {
+    current_version: versions.length > 0 ? Math.max(...versions) : 0,
+    applied,
+    pending,
+    modified,
+    missing
+  };
+}
+
+/**
+ * Load migrations and compare them with the database
+ * @param {Object} options - { directory }
+ * @returns {Promise<Object>} - See compareMigrations
+ */
+async function getMigrationStatus({ directory = MIGRATIONS_DIRECTORY } = {}) {
+  const migrations = loadMigrations(directory);
+
+  return DatabaseUtils.transaction(async (client) => {
+    await ensureMigrationsTable(client);
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return compareMigrations(migrations, result.rows);
+  });
+}
+
+/**
+ * Refuse to run when applied migrations were edited or deleted
+ * @param {Object} status - From compareMigrations
+ */
+function assertHistoryIntact(status) {
+  if (status.modified.length > 0) {
+    const list = status.modified.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Applied migrations were modified after being run: ${list}. Restore the original files and add a new migration instead.`);
+  }
+  if (status.missing.length > 0) {
+    const list = status.missing.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Applied migrations are missing from disk: ${list}`);
+  }
+}
+
+/**
+ * Run one migration in its own transaction and update schema_migrations
+ * @param {Object} migration - Migration to run
+ * @param {string} direction - 'up' or 'down'
+ */
+async function runMigration(migration, direction) {
+  await DatabaseUtils.transaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    // Another runner may have got here first while we waited for the lock
+    const existing = await client.query('SELECT version FROM schema_migrations WHERE version = $1', [migration.version]);
+    const isApplied = existing.rows.length > 0;
+    if ((direction === 'up' && isApplied) || (direction === 'down' && !isApplied)) {
+      return;
+    }
+
+    await client.query(migration[direction]);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+  });
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} options - { target: highest version to apply (default all), directory, log }
+ * @returns {Promise<Array<Object>>} - Migrations applied
+ */
+async function migrateUp({ target = Infinity, directory = MIGRATIONS_DIRECTORY, log = console.log } = {}) {
+  const status = await getMigrationStatus({ directory });
+  assertHistoryIntact(status);
+
+  const toApply = status.pending.filter(m => m.version <= target);
+  for (const migration of toApply) {
+    log(`⬆️  Applying ${migration.version}_${migration.name}`);
+    await runMigration(migration, 'up');
+  }
+  return toApply;
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Object} options - { target: version to end at (default: one below current), directory, log }
+ * @returns {Promise<Array<Object>>} - Migrations reverted
+ */
+async function migrateDown({ target, directory = MIGRATIONS_DIRECTORY, log = console.log } = {}) {
+  const status = await getMigrationStatus({ directory });
+  assertHistoryIntact(status);
+
+  const applied = [...status.applied].sort((a, b) => b.version - a.version);
+  const toRevert = target === undefined
+    ? applied.slice(0, 1)
+    : applied.filter(m => m.version > target);
+
+  for (const migration of toRevert) {
+    log(`⬇️  Reverting ${migration.version}_${migration.name}`);
+    await runMigration(migration, 'down');
+  }
+  return toRevert;
+}
+
+/**
+ * Migrate up or down to exactly the given version
+ * @param {number} version - Target version (0 reverts everything)
+ * @param {Object} options - { directory, log }
+ * @returns {Promise<Object>} - { direction, migrations }
+ */
+async function migrateTo(version, { directory = MIGRATIONS_DIRECTORY, log = console.log } = {}) {
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error('Target version must be a non-negative integer');
+  }
+
+  const migrations = loadMigrations(directory);
+  if (version !== 0 && !migrations.some(m => m.version === version)) {
+    throw new Error(`Unknown migration version: ${version}`);
+  }
+
+  const status = await getMigrationStatus({ directory });
+  if (version >= status.current_version) {
+    return { direction: 'up', migrations: await migrateUp({ target: version, directory, log }) };
+  }
+  return { direction: 'down', migrations: await migrateDown({ target: version, directory, log }) };
+}
+
+/**
+ * Throw unless every migration on disk has been applied unchanged
+ * Used by server.js before it starts listening
+ * @param {Object} options - { directory }
+ */
+async function assertMigrationsCurrent({ directory = MIGRATIONS_DIRECTORY } = {}) {
+  const status = await getMigrationStatus({ directory });
+  assertHistoryIntact(status);
+
+  if (status.pending.length > 0) {
+    const list = status.pending.map(m => `${m.version}_${m.name}`).join(', ');
+    throw new Error(`Pending database migrations: ${list}. Run "npm run migrate -- up" before starting the server.`);
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIRECTORY,
+  computeChecksum,
+  loadMigrations,
+  compareMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  migrateTo,
+  assertMigrationsCurrent
+};
@@ -0,0 +1,328 @@
+/**
+ * Database query utilities for menu item modifiers
+ * Manages modifier groups, their modifiers and the ingredients each modifier adds or removes,
+ * and records the modifiers chosen for order items
+ */
+
+const { DatabaseUtils } = require('./database');
+const { validateModifierGroup } = require('../models/Modifier');
+const { createValidationError } = require('../middleware/errorHandler');
+
+const GROUP_COLUMNS = ['name', 'is_required', 'min_selections', 'max_selections', 'sort_order'];
+const MODIFIER_COLUMNS = ['name', 'price_delta', 'available', 'sort_order'];
+
+/**
+ * Modifier group and modifier database operations
+ */
+class ModifierQueries {
+  /**
+   * Modifier groups for menu items, each with its modifiers and their ingredient changes
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @param {Array<number>} menuItemIds - Menu item IDs
+   * @returns {Promise<Map<number, Array>>} - Menu item ID to its groups, in sort order
+   */
+  static async getGroupsForMenuItems(db, menuItemIds) {
+    const groupsResult = await db.query(`
+      SELECT * FROM modifier_groups
+      WHERE menu_item_id = ANY($1::integer[])
+      ORDER BY sort_order, id
+    `, [menuItemIds]);
+
+    const groupIds = groupsResult.rows.map(group => group.id);
+    const modifiersResult = groupIds.length === 0 ? { rows: [] } : await db.query(`
+      SELECT * FROM modifiers
+      WHERE group_id = ANY($1::integer[])
+      ORDER BY sort_order, id
+    `, [groupIds]);
+
+    const modifierIds = modifiersResult.rows.map(modifier => modifier.id);
+    const ingredientsResult = modifierIds.length === 0 ? { rows: [] } : await db.query(`
+      SELECT mi.modifier_id, mi.product_id, mi.action, mi.quantity, p.name AS product_name, p.unit_of_measure
+      FROM modifier_ingredients mi
+      JOIN products p ON p.id = mi.product_id
+      WHERE mi.modifier_id = ANY($1::integer[])
+      ORDER BY mi.id
+    `, [modifierIds]);
+
+    const groupsByMenuItem = new Map(menuItemIds.map(id => [id, []]));
+    for (const group of groupsResult.rows) {
+      const modifiers = modifiersResult.rows
+        .filter(modifier => modifier.group_id === group.id)
+        .map(modifier => ({
+          ...modifier,
+          ingredients: ingredientsResult.rows
+            .filter(ingredient => ingredient.modifier_id === modifier.id)
+            .map(({ modifier_id, ...ingredient }) => ingredient)
+        }));
+      groupsByMenuItem.get(group.menu_item_id).push({ ...group, modifiers });
+    }
+
+    return groupsByMenuItem;
+  }
+
+  /**
+   * Modifier groups for one menu item
+   * @param {number} menuItemId - Menu item ID
+   * @returns {Promise<Array|null>} - Groups, or null if the menu item does not exist
+   */
+  static async getGroups(menuItemId) {
+    const menuItemResult = await DatabaseUtils.query('SELECT id FROM menu_items WHERE id = $1', [menuItemId]);
+    if (menuItemResult.rows.length === 0) {
+      return null;
+    }
+
+    const groups = await this.getGroupsForMenuItems(DatabaseUtils, [menuItemId]);
+    return groups.get(menuItemId);
+  }
+
+  /**
+   * Lock a group that belongs to a menu item
+   * @param {Object} client - Database client inside a transaction
+   * @returns {Promise<Object|null>} - Group row or null if not found
+   */
+  static async lockGroup(client, menuItemId, groupId) {
+    const result = await client.query(
+      'SELECT * FROM modifier_groups WHERE id = $1 AND menu_item_id = $2 FOR UPDATE',
+      [groupId, menuItemId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace a modifier's ingredient changes
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} modifierId - Modifier ID
+   * @param {Array} ingredients - Validated [{ product_id, action, quantity }]
+   * @param {string} field - Field name prefix for errors
+   */
+  static async replaceIngredients(client, modifierId, ingredients, field = 'ingredients') {
+    const productIds = ingredients.map(ingredient => ingredient.product_id);
+    if (productIds.length > 0) {
+      const productsResult = await client.query('SELECT id FROM products WHERE id = ANY($1::integer[])', [productIds]);
+      const found = new Set(productsResult.rows.map(product => product.id));
+      const missing = ingredients
+        .map((ingredient, index) => ({ ingredient, index }))
+        .filter(({ ingredient }) => !found.has(ingredient.product_id))
+        .map(({ ingredient, index }) => ({
+          field: `${field}[${index}].product_id`,
+          message: `Product ${ingredient.product_id} not found`
+        }));
+      if (missing.length > 0) {
+        throw createValidationError(missing);
+      }
+    }
+
+    await client.query('DELETE FROM modifier_ingredients WHERE modifier_id = $1', [modifierId]);
+    for (const ingredient of ingredients) {
+      await client.query(`
+        INSERT INTO modifier_ingredients (modifier_id, product_id, action, quantity)
+        VALUES ($1, $2, $3, $4)
+      `, [modifierId, ingredient.product_id, ingredient.action, ingredient.quantity ?? null]);
+    }
+  }
+
+  /**
+   * Insert a modifier with its ingredient changes
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} groupId - Group ID
+   * @param {Object} data - Validated modifier data
+   * @param {string} prefix - Field name prefix for errors
+   * @returns {Promise<number>} - New modifier ID
+   */
+  static async insertModifier(client, groupId, data, prefix = '') {
+    const present = MODIFIER_COLUMNS.filter(column => data[column] !== undefined);
+    const result = await client.query(`
+      INSERT INTO modifiers (group_id${present.map(column => `, ${column}`).join('')})
+      VALUES ($1${present.map((_, index) => `, $${index + 2}`).join('')})
+      RETURNING id
+    `, [groupId, ...present.map(column => data[column])]);
+
+    const modifierId = result.rows[0].id;
+    await this.replaceIngredients(client, modifierId, data.ingredients || [], `${prefix}ingredients`);
+    return modifierId;
+  }
+
+  /**
+   * Load one group with its modifiers
+   * @param {Object} client - Database client
+   * @returns {Promise<Object|undefined>}
+   */
+  static async getGroupWithModifiers(client, menuItemId, groupId) {
+    const groups = await this.getGroupsForMenuItems(client, [menuItemId]);
+    return groups.get(menuItemId).find(group => group.id === groupId);
+  }
+
+  /**
+   * Create a modifier group, optionally with its modifiers
+   * @param {number} menuItemId - Menu item ID
+   * @param {Object} data - Validated group data (see validateModifierGroup)
+   * @returns {Promise<Object|null>} - Group with modifiers, or null if the menu item does not exist
+   */
+  static async createGroup(menuItemId, data) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const menuItemResult = await client.query('SELECT id FROM menu_items WHERE id = $1', [menuItemId]);
+      if (menuItemResult.rows.length === 0) {
+        return null;
+      }
+
+      const values = { ...data };
+      if (values.min_selections === undefined && values.is_required) {
+        values.min_selections = 1;
+      }
+
+      const present = GROUP_COLUMNS.filter(column => values[column] !== undefined);
+      const groupResult = await client.query(`
+        INSERT INTO modifier_groups (menu_item_id${present.map(column => `, ${column}`).join('')})
+        VALUES ($1${present.map((_, index) => `, $${index + 2}`).join('')})
+        RETURNING id
+      `, [menuItemId, ...present.map(column => values[column])]);
+      const groupId = groupResult.rows[0].id;
+
+      for (const [index, modifier] of (data.modifiers || []).entries()) {
+        await this.insertModifier(client, groupId, modifier, `modifiers[${index}].`);
+      }
+
+      return await this.getGroupWithModifiers(client, menuItemId, groupId);
+    });
+  }
+
+  /**
+   * Update a modifier group's name, selection limits or sort order
+   * @param {number} menuItemId - Menu item ID
+   * @param {number} groupId - Group ID
+   * @param {Object} data - Validated group data
+   * @returns {Promise<Object|null>} - Group with modifiers, or null if not found
+   */
+  static async updateGroup(menuItemId, groupId, data) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const existing = await this.lockGroup(client, menuItemId, groupId);
+      if (!existing) {
+        return null;
+      }
+
+      // Limits are checked against the group as it will be after the update
+      const validation = validateModifierGroup(data, true, existing);
+      if (!validation.isValid) {
+        throw createValidationError(validation.errors);
+      }
+
+      const values = { ...data };
+      if (values.is_required && values.min_selections === undefined && existing.min_selections < 1) {
+        values.min_selections = 1;
+      }
+
+      const present = GROUP_COLUMNS.filter(column => values[column] !== undefined);
+      if (present.length > 0) {
+        await client.query(`
+          UPDATE modifier_groups
+          SET ${present.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+          WHERE id = $${present.length + 1}
+        `, [...present.map(column => values[column]), groupId]);
+      }
+
+      return await this.getGroupWithModifiers(client, menuItemId, groupId);
+    });
+  }
+
+  /**
+   * Delete a modifier group and its modifiers
+   * Orders keep their copies of the modifier names and prices.
+   * @returns {Promise<boolean>} - Whether the group existed
+   */
+  static async deleteGroup(menuItemId, groupId) {
+    const result = await DatabaseUtils.query(
+      'DELETE FROM modifier_groups WHERE id = $1 AND menu_item_id = $2 RETURNING id',
+      [groupId, menuItemId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Add a modifier to a group
+   * @param {number} menuItemId - Menu item ID
+   * @param {number} groupId - Group ID
+   * @param {Object} data - Validated modifier data (see validateModifier)
+   * @returns {Promise<Object|null>} - Modifier with ingredients, or null if the group does not exist
+   */
+  static async createModifier(menuItemId, groupId, data) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const group = await this.lockGroup(client, menuItemId, groupId);
+      if (!group) {
+        return null;
+      }
+
+      const modifierId = await this.insertModifier(client, groupId, data);
+      const updated = await this.getGroupWithModifiers(client, menuItemId, groupId);
+      return updated.modifiers.find(modifier => modifier.id === modifierId);
+    });
+  }
+
+  /**
+   * Update a modifier; ingredients, when sent, replace the existing ingredient changes
+   * Orders already placed keep the name and price they were ordered with.
+   * @param {number} menuItemId - Menu item ID
+   * @param {number} groupId - Group ID
+   * @param {number} modifierId - Modifier ID
+   * @param {Object} data - Validated modifier data
+   * @returns {Promise<Object|null>} - Modifier with ingredients, or null if not found
+   */
+  static async updateModifier(menuItemId, groupId, modifierId, data) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const group = await this.lockGroup(client, menuItemId, groupId);
+      if (!group) {
+        return null;
+      }
+
+      const present = MODIFIER_COLUMNS.filter(column => data[column] !== undefined);
+      const result = await client.query(`
+        UPDATE modifiers
+        SET ${[...present.map((column, index) => `${column} = $${index + 1}`), 'id = id'].join(', ')}
+        WHERE id = $${present.length + 1} AND group_id = $${present.length + 2}
+        RETURNING id
+      `, [...present.map(column => data[column]), modifierId, groupId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      if (data.ingredients !== undefined) {
+        await this.replaceIngredients(client, modifierId, data.ingredients);
+      }
+
+      const updated = await this.getGroupWithModifiers(client, menuItemId, groupId);
+      return updated.modifiers.find(modifier => modifier.id === modifierId);
+    });
+  }
+
+  /**
+   * Delete a modifier
+   * @returns {Promise<boolean>} - Whether the modifier existed
+   */
+  static async deleteModifier(menuItemId, groupId, modifierId) {
+    const result = await DatabaseUtils.query(`
+      DELETE FROM modifiers m
+      USING modifier_groups g
+      WHERE m.id = $1 AND m.group_id = $2 AND g.id = m.group_id AND g.menu_item_id = $3
+      RETURNING m.id
+    `, [modifierId, groupId, menuItemId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Copy the chosen modifiers onto an order item
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderItemId - Order item ID
+   * @param {Array} modifiers - Chosen modifiers from validateModifierSelections
+   */
+  static async addOrderItemModifiers(client, orderItemId, modifiers) {
+    for (const modifier of modifiers) {
+      await client.query(`
+        INSERT INTO order_item_modifiers (order_item_id, modifier_id, group_name, name, price_delta)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [orderItemId, modifier.id, modifier.group_name, modifier.name, modifier.price_delta]);
+    }
+  }
+}
+
+module.exports = {
+  ModifierQueries
+};
@@ -20,23 +20,38 @@ module.exports = {
     return service.processExistingOrderInventoryUpdate(orderId, options);
   },
 
-  async getOrderItems(orderId) {
+  async getOrderItems(orderId, db) {
     const service = await getOrderInventoryService();
-    return service.getOrderItems(orderId);
+    return service.getOrderItems(orderId, db);
   },
 
-  async checkInventoryAvailability(orderItems) {
+  async checkInventoryAvailability(orderItems, db) {
     const service = await getOrderInventoryService();
-    return service.checkInventoryAvailability(orderItems);
+    return service.checkInventoryAvailability(orderItems, db);
   },
 
-  async calculateOrderIngredientQuantities(orderItems) {
+  async calculateIngredientQuantities(recipeId, servings, db) {
     const service = await getOrderInventoryService();
-    return service.calculateOrderIngredientQuantities(orderItems);
+    return service.calculateIngredientQuantities(recipeId, servings, db);
+  },
+
+  async calculateOrderIngredientQuantities(orderItems, db) {
+    const service = await getOrderInventoryService();
+    return service.calculateOrderIngredientQuantities(orderItems, db);
+  },
+
+  async deductOrderInventory(client, orderId, options = {}) {
+    const service = await getOrderInventoryService();
+    return service.deductOrderInventory(client, orderId, options);
   },
 
   async processOrderInventoryDeduction(orderId, orderItems, options = {}) {
     const service = await getOrderInventoryService();
     return service.processOrderInventoryDeduction(orderId, orderItems, options);
+  },
+
+  async reconcileOrderDeductions() {
+    const service = await getOrderInventoryService();
+    return service.reconcileOrderDeductions();
   }
 };
\ No newline at end of file
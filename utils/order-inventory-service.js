@@ -5,6 +5,12 @@
 
 import { DatabaseUtils } from './database.js';
 import { InventoryTransactionQueries } from './inventory-database.js';
+import { applyIngredientModifiers } from '../models/Modifier.js';
+import { conversionFactor, conversionProblem } from '../models/UnitConversion.js';
+import { createValidationError } from '../middleware/errorHandler.js';
+import { AlertService } from './alert-service.js';
+import { LocationQueries } from './location-database.js';
+import { CostingQueries } from './costing-database.js';
 
 /**
  * Service for managing inventory updates during order processing
@@ -12,57 +18,119 @@ import { InventoryTransactionQueries } from './inventory-database.js';
 class OrderInventoryService {
   /**
    * Calculate ingredient quantities needed for recipe servings
+   * Recipe ingredient quantities are for the whole recipe, so the per-serving amount
+   * is the ingredient quantity divided by the recipe's servings (1 when not set).
+   * Quantities are converted from the recipe's unit into the product's unit of measure;
+   * an ingredient whose unit cannot be converted is a validation error naming the recipe.
    * @param {number} recipeId - Recipe ID
    * @param {number} servings - Number of servings ordered
-   * @returns {Promise<Array>} - Array of ingredient quantities with product links
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<Array>} - Array of ingredient quantities (in product units) with their products
    */
-  static async calculateIngredientQuantities(recipeId, servings) {
+  static async calculateIngredientQuantities(recipeId, servings, db = DatabaseUtils) {
     const query = `
       SELECT 
-        rip.product_id,
-        rip.quantity_per_serving,
-        rip.quantity_per_serving * $2 as total_quantity_needed,
+        ri.product_id,
+        ri.quantity / COALESCE(NULLIF(r.servings, 0), 1) as quantity_per_serving,
+        ri.quantity / COALESCE(NULLIF(r.servings, 0), 1) * $2 as total_quantity_needed,
+        ri.unit as ingredient_unit,
+        r.name as recipe_name,
         p.name as product_name,
         p.unit_of_measure,
+        p.density_g_per_ml,
+        p.piece_weight_g,
         p.current_quantity,
-        ri.name as ingredient_name
-      FROM recipe_ingredient_products rip
-      JOIN recipe_ingredients ri ON rip.recipe_ingredient_id = ri.id
-      JOIN products p ON rip.product_id = p.id
-      WHERE ri.recipe_id = $1
+        p.name as ingredient_name
+      FROM recipe_ingredients ri
+      JOIN recipes r ON ri.recipe_id = r.id
+      JOIN products p ON ri.product_id = p.id
+      WHERE ri.recipe_id = $1 AND ri.quantity IS NOT NULL
       ORDER BY ri.order_index
     `;
     
-    const result = await DatabaseUtils.query(query, [recipeId, servings]);
+    const result = await db.query(query, [recipeId, servings]);
+    return result.rows.map(row => {
+      const factor = conversionFactor(row.ingredient_unit, row.unit_of_measure, row);
+      if (factor === null) {
+        throw createValidationError([{
+          field: 'unit',
+          message: `Recipe "${row.recipe_name}": ${conversionProblem(row.ingredient_unit, { ...row, name: row.product_name })}`
+        }]);
+      }
+
+      return {
+        ...row,
+        quantity_per_serving: parseFloat(row.quantity_per_serving) * factor,
+        total_quantity_needed: parseFloat(row.total_quantity_needed) * factor
+      };
+    });
+  }
+
+  /**
+   * Get the ingredient changes made by modifiers
+   * @param {Array<number>} modifierIds - Modifier IDs
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<Array>} - Array of { product_id, action, quantity } with product details
+   */
+  static async getModifierIngredients(modifierIds, db = DatabaseUtils) {
+    const query = `
+      SELECT 
+        mi.product_id,
+        mi.action,
+        mi.quantity,
+        p.name as product_name,
+        p.unit_of_measure,
+        p.current_quantity
+      FROM modifier_ingredients mi
+      JOIN products p ON mi.product_id = p.id
+      WHERE mi.modifier_id = ANY($1::integer[])
+      ORDER BY mi.id
+    `;
+
+    const result = await db.query(query, [modifierIds]);
     return result.rows;
   }
 
   /**
    * Calculate total ingredient quantities for multiple order items
-   * @param {Array} orderItems - Array of order items with menu_item_id and quantity
-   * @returns {Promise<Array>} - Array of consolidated ingredient quantities
+   * Modifiers on an item (modifier_ids) add or remove ingredients, so "no mozzarella" leaves the
+   * mozzarella in stock and "extra bacon" deducts more bacon. Ingredients are consolidated per product
+   * and recipe category, which decides the location they are taken from (drinks from the bar).
+   * @param {Array} orderItems - Array of order items with menu_item_id, quantity and optional modifier_ids
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<Array>} - Array of consolidated ingredient quantities with their recipe_category
    */
-  static async calculateOrderIngredientQuantities(orderItems) {
+  static async calculateOrderIngredientQuantities(orderItems, db = DatabaseUtils) {
     const ingredientMap = new Map();
 
     for (const item of orderItems) {
-      // Get recipe ID from menu item
+      const modifierIds = item.modifier_ids || [];
+
+      // Get recipe ID and category from menu item
       const recipeQuery = `
-        SELECT recipe_id FROM menu_items WHERE id = $1
+        SELECT mi.recipe_id, r.category AS recipe_category
+        FROM menu_items mi
+        LEFT JOIN recipes r ON r.id = mi.recipe_id
+        WHERE mi.id = $1
       `;
-      const recipeResult = await DatabaseUtils.query(recipeQuery, [item.menu_item_id]);
+      const recipeResult = await db.query(recipeQuery, [item.menu_item_id]);
+      const recipeId = recipeResult.rows.length > 0 ? recipeResult.rows[0].recipe_id : null;
+      const recipeCategory = recipeResult.rows.length > 0 ? recipeResult.rows[0].recipe_category || null : null;
       
-      if (recipeResult.rows.length === 0 || !recipeResult.rows[0].recipe_id) {
+      if (!recipeId && modifierIds.length === 0) {
         // Skip menu items without recipes
         continue;
       }
 
-      const recipeId = recipeResult.rows[0].recipe_id;
-      const ingredients = await this.calculateIngredientQuantities(recipeId, item.quantity);
+      let ingredients = recipeId ? await this.calculateIngredientQuantities(recipeId, item.quantity, db) : [];
+      if (modifierIds.length > 0) {
+        const changes = await this.getModifierIngredients(modifierIds, db);
+        ingredients = applyIngredientModifiers(ingredients, changes, item.quantity);
+      }
 
-      // Consolidate ingredients by product_id
+      // Consolidate ingredients by product_id and the recipe category they are taken for
       for (const ingredient of ingredients) {
-        const key = ingredient.product_id;
+        const key = `${ingredient.product_id}:${recipeCategory || ''}`;
         if (ingredientMap.has(key)) {
           const existing = ingredientMap.get(key);
           existing.total_quantity_needed = parseFloat(existing.total_quantity_needed) + parseFloat(ingredient.total_quantity_needed);
@@ -71,7 +139,8 @@ class OrderInventoryService {
             ...ingredient,
             quantity_per_serving: parseFloat(ingredient.quantity_per_serving),
             total_quantity_needed: parseFloat(ingredient.total_quantity_needed),
-            current_quantity: parseFloat(ingredient.current_quantity)
+            current_quantity: parseFloat(ingredient.current_quantity),
+            recipe_category: recipeCategory
           });
         }
       }
@@ -83,13 +152,24 @@ class OrderInventoryService {
   /**
    * Check if there's sufficient inventory for an order
    * @param {Array} orderItems - Array of order items with menu_item_id and quantity
+   * @param {Object} db - Database client (or DatabaseUtils)
    * @returns {Promise<Object>} - { isValid: boolean, insufficientItems: Array, ingredientQuantities: Array }
    */
-  static async checkInventoryAvailability(orderItems) {
-    const ingredientQuantities = await this.calculateOrderIngredientQuantities(orderItems);
+  static async checkInventoryAvailability(orderItems, db = DatabaseUtils) {
+    const ingredientQuantities = await this.calculateOrderIngredientQuantities(orderItems, db);
     const insufficientItems = [];
 
+    // A product used by food and drink recipes is listed once per category, so check the total
+    const totals = new Map();
     for (const ingredient of ingredientQuantities) {
+      if (totals.has(ingredient.product_id)) {
+        totals.get(ingredient.product_id).total_quantity_needed += ingredient.total_quantity_needed;
+      } else {
+        totals.set(ingredient.product_id, { ...ingredient });
+      }
+    }
+
+    for (const ingredient of totals.values()) {
       if (ingredient.current_quantity < ingredient.total_quantity_needed) {
         insufficientItems.push({
           product_id: ingredient.product_id,
@@ -111,75 +191,154 @@ class OrderInventoryService {
   }
 
   /**
-   * Process automatic inventory deduction for a completed order
+   * Deduct an order's ingredients from inventory, exactly once per order
+   * Runs inside the caller's transaction so the deduction commits (or rolls back) with whatever caused it,
+   * such as the order being served. The order row is locked and the deduction recorded in
+   * order_inventory_deductions; when the order has already been deducted, the existing deduction and its
+   * transactions are returned and nothing is written. An insufficient inventory result writes nothing either.
+   * @param {Object} client - Database client inside a transaction
    * @param {number} orderId - Order ID
-   * @param {Array} orderItems - Array of order items with menu_item_id and quantity
-   * @param {Object} options - Additional options (skipInventoryCheck)
-   * @returns {Promise<Object>} - { success: boolean, transactions: Array, errors: Array }
+   * @param {Object} options - { skipInventoryCheck, orderItems (defaults to the order's items), user }
+   * @returns {Promise<Object>} - { success, deduction, transactions, already_processed, message } or { success: false, errors }
    */
-  static async processOrderInventoryDeduction(orderId, orderItems, options = {}) {
-    const { skipInventoryCheck = false } = options;
+  static async deductOrderInventory(client, orderId, options = {}) {
+    const { skipInventoryCheck = false, user = null } = options;
 
-    try {
-      // Check inventory availability unless skipped
-      if (!skipInventoryCheck) {
-        const availabilityCheck = await this.checkInventoryAvailability(orderItems);
-        if (!availabilityCheck.isValid) {
-          return {
-            success: false,
-            errors: [{
-              type: 'insufficient_inventory',
-              message: 'Insufficient inventory for order',
-              details: availabilityCheck.insufficientItems
-            }]
-          };
-        }
-      }
+    const orderResult = await client.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (orderResult.rows.length === 0) {
+      return {
+        success: false,
+        errors: [{
+          type: 'order_not_found',
+          message: `Order #${orderId} not found or has no items`
+        }]
+      };
+    }
 
-      // Process inventory deduction in a transaction
-      const transactions = await DatabaseUtils.transaction(async (client) => {
-        const allTransactions = [];
-        const ingredientQuantities = await this.calculateOrderIngredientQuantities(orderItems);
-
-        for (const ingredient of ingredientQuantities) {
-          const quantityToDeduct = -Math.abs(ingredient.total_quantity_needed);
-          
-          // Create inventory transaction
-          const transactionQuery = `
-            INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, 
-                                              reference_type, reference_id, notes)
-            VALUES ($1, $2, $3, $4, $5, $6)
-            RETURNING *
-          `;
-          const transactionParams = [
-            ingredient.product_id,
-            'sale',
-            quantityToDeduct,
-            'order',
-            orderId,
-            `Order #${orderId} - ${ingredient.ingredient_name} (${ingredient.product_name})`
-          ];
-          
-          const transactionResult = await client.query(transactionQuery, transactionParams);
-          allTransactions.push(transactionResult.rows[0]);
-
-          // Update product quantity
-          await client.query(`
-            UPDATE products 
-            SET current_quantity = current_quantity + $1, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2
-          `, [quantityToDeduct, ingredient.product_id]);
-        }
+    const existingResult = await client.query('SELECT * FROM order_inventory_deductions WHERE order_id = $1', [orderId]);
+    if (existingResult.rows.length > 0) {
+      const deduction = existingResult.rows[0];
+      const transactionsResult = await client.query(
+        'SELECT * FROM inventory_transactions WHERE deduction_id = $1 ORDER BY id',
+        [deduction.id]
+      );
+      return {
+        success: true,
+        already_processed: true,
+        deduction,
+        transactions: transactionsResult.rows,
+        message: `Inventory for order #${orderId} was already deducted`
+      };
+    }
 
-        return allTransactions;
-      });
+    const orderItems = options.orderItems || await this.getOrderItems(orderId, client);
+    if (orderItems.length === 0) {
+      return {
+        success: false,
+        errors: [{
+          type: 'order_not_found',
+          message: `Order #${orderId} not found or has no items`
+        }]
+      };
+    }
 
+    // Check inventory availability unless skipped
+    const availabilityCheck = await this.checkInventoryAvailability(orderItems, client);
+    if (!skipInventoryCheck && !availabilityCheck.isValid) {
       return {
-        success: true,
-        transactions,
-        message: `Successfully processed inventory deduction for order #${orderId}`
+        success: false,
+        errors: [{
+          type: 'insufficient_inventory',
+          message: 'Insufficient inventory for order',
+          details: availabilityCheck.insufficientItems
+        }]
       };
+    }
+
+    const deductionResult = await client.query(
+      'INSERT INTO order_inventory_deductions (order_id, deducted_by) VALUES ($1, $2) RETURNING *',
+      [orderId, user ? user.id : null]
+    );
+    const deduction = deductionResult.rows[0];
+    const transactions = [];
+
+    for (const ingredient of availabilityCheck.ingredientQuantities) {
+      // Stock is kept to three decimal places; a pinch too small to register there is not deducted
+      const quantityToDeduct = -Math.round(Math.abs(ingredient.total_quantity_needed) * 1000) / 1000;
+      if (quantityToDeduct === 0) {
+        continue;
+      }
+
+      // Taken from the location serving the recipe's category when it holds enough, otherwise home
+      const ruleLocationId = await LocationQueries.getDeductionLocationId(
+        client,
+        ingredient.product_id,
+        ingredient.recipe_category,
+        Math.abs(quantityToDeduct)
+      );
+      const locationId = await LocationQueries.changeLocationStock(client, ingredient.product_id, quantityToDeduct, ruleLocationId);
 
+      // Create inventory transaction
+      const transactionQuery = `
+        INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change,
+                                          reference_type, reference_id, notes, deduction_id, location_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+      const transactionParams = [
+        ingredient.product_id,
+        'sale',
+        quantityToDeduct,
+        'order',
+        orderId,
+        `Order #${orderId} - ${ingredient.ingredient_name} (${ingredient.product_name})`,
+        deduction.id,
+        locationId
+      ];
+
+      const transactionResult = await client.query(transactionQuery, transactionParams);
+      transactions.push(transactionResult.rows[0]);
+
+      // Taken from the product's lots, oldest (or soonest expiring) first
+      await CostingQueries.recordTransaction(client, transactionResult.rows[0]);
+
+      // Update product quantity
+      const productResult = await client.query(`
+        UPDATE products 
+        SET current_quantity = current_quantity + $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [quantityToDeduct, ingredient.product_id]);
+      AlertService.publishStockChange(client, productResult.rows[0], quantityToDeduct);
+    }
+
+    const countResult = await client.query(
+      'UPDATE order_inventory_deductions SET transaction_count = $1 WHERE id = $2 RETURNING *',
+      [transactions.length, deduction.id]
+    );
+
+    return {
+      success: true,
+      already_processed: false,
+      deduction: countResult.rows[0],
+      transactions,
+      message: `Successfully processed inventory deduction for order #${orderId}`
+    };
+  }
+
+  /**
+   * Process automatic inventory deduction for a completed order in its own transaction
+   * Calling it again for the same order returns the first deduction (see deductOrderInventory)
+   * @param {number} orderId - Order ID
+   * @param {Array|null} orderItems - Array of order items with menu_item_id and quantity (null for the order's items)
+   * @param {Object} options - Additional options (skipInventoryCheck, user)
+   * @returns {Promise<Object>} - { success: boolean, transactions: Array, errors: Array }
+   */
+  static async processOrderInventoryDeduction(orderId, orderItems, options = {}) {
+    try {
+      return await DatabaseUtils.transaction(async (client) => (
+        this.deductOrderInventory(client, orderId, { ...options, orderItems })
+      ));
     } catch (error) {
       return {
         success: false,
@@ -193,6 +352,8 @@ class OrderInventoryService {
 
   /**
    * Batch update inventory for multiple products in a single transaction
+   * These sales are not recorded as the order's deduction, so the reconciliation report lists them;
+   * stock is taken from each product's home location
    * @param {Array} updates - Array of { product_id, quantity_change, notes }
    * @param {number} orderId - Order ID for reference
    * @returns {Promise<Array>} - Array of created transactions
@@ -202,11 +363,13 @@ class OrderInventoryService {
       const transactions = [];
 
       for (const update of updates) {
+        const locationId = await LocationQueries.changeLocationStock(client, update.product_id, update.quantity_change);
+
         // Create transaction record
         const transactionQuery = `
           INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, 
-                                            reference_type, reference_id, notes)
-          VALUES ($1, $2, $3, $4, $5, $6)
+                                            reference_type, reference_id, notes, location_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
           RETURNING *
         `;
         const transactionParams = [
@@ -215,18 +378,22 @@ class OrderInventoryService {
           update.quantity_change,
           'order',
           orderId,
-          update.notes || `Batch update for order #${orderId}`
+          update.notes || `Batch update for order #${orderId}`,
+          locationId
         ];
         
         const transactionResult = await client.query(transactionQuery, transactionParams);
         transactions.push(transactionResult.rows[0]);
+        await CostingQueries.recordTransaction(client, transactionResult.rows[0]);
 
         // Update product quantity
-        await client.query(`
+        const productResult = await client.query(`
           UPDATE products 
           SET current_quantity = current_quantity + $1, updated_at = CURRENT_TIMESTAMP
           WHERE id = $2
+          RETURNING *
         `, [update.quantity_change, update.product_id]);
+        AlertService.publishStockChange(client, productResult.rows[0], update.quantity_change);
       }
 
       return transactions;
@@ -234,42 +401,77 @@ class OrderInventoryService {
   }
 
   /**
-   * Get order items for a specific order
+   * Get the items still on an order (voided items are left out), with the IDs of their modifiers
    * @param {number} orderId - Order ID
+   * @param {Object} db - Database client (or DatabaseUtils)
    * @returns {Promise<Array>} - Array of order items
    */
-  static async getOrderItems(orderId) {
+  static async getOrderItems(orderId, db = DatabaseUtils) {
     const query = `
-      SELECT oi.*, mi.name as menu_item_name, mi.recipe_id
+      SELECT oi.*, mi.name as menu_item_name, mi.recipe_id,
+        ARRAY(
+          SELECT oim.modifier_id FROM order_item_modifiers oim
+          WHERE oim.order_item_id = oi.id AND oim.modifier_id IS NOT NULL
+          ORDER BY oim.id
+        ) as modifier_ids
       FROM order_items oi
       JOIN menu_items mi ON oi.menu_item_id = mi.id
-      WHERE oi.order_id = $1
+      WHERE oi.order_id = $1 AND oi.voided_at IS NULL
     `;
     
-    const result = await DatabaseUtils.query(query, [orderId]);
+    const result = await db.query(query, [orderId]);
     return result.rows;
   }
 
   /**
    * Process inventory updates for an existing order
    * @param {number} orderId - Order ID
-   * @param {Object} options - Additional options (skipInventoryCheck)
+   * @param {Object} options - Additional options (skipInventoryCheck, user)
    * @returns {Promise<Object>} - Processing result
    */
   static async processExistingOrderInventoryUpdate(orderId, options = {}) {
-    const orderItems = await this.getOrderItems(orderId);
-    
-    if (orderItems.length === 0) {
-      return {
-        success: false,
-        errors: [{
-          type: 'order_not_found',
-          message: `Order #${orderId} not found or has no items`
-        }]
-      };
-    }
+    return this.processOrderInventoryDeduction(orderId, null, options);
+  }
 
-    return this.processOrderInventoryDeduction(orderId, orderItems, options);
+  /**
+   * Orders whose inventory deduction is missing or duplicated
+   * - missing: served or paid, but never deducted (an order divided off a deducted one by a check split
+   *   shares its deduction, so it is not missing)
+   * - duplicated: sale transactions for the order that are not part of its recorded deduction
+   *   (written before deductions were recorded, or by batchUpdateInventory)
+   * @returns {Promise<Object>} - { missing: Array, duplicated: Array }
+   */
+  static async reconcileOrderDeductions() {
+    const missingResult = await DatabaseUtils.query(`
+      SELECT o.id AS order_id, o.status, o.created_at
+      FROM orders o
+      WHERE o.status IN ('served', 'paid')
+        AND NOT EXISTS (SELECT 1 FROM order_inventory_deductions d WHERE d.order_id = o.id)
+      ORDER BY o.id
+    `);
+
+    const duplicatedResult = await DatabaseUtils.query(`
+      SELECT t.reference_id AS order_id, o.status, d.id AS deduction_id,
+        COUNT(*)::integer AS extra_transaction_count,
+        json_agg(json_build_object(
+          'transaction_id', t.id,
+          'product_id', t.product_id,
+          'quantity_change', t.quantity_change,
+          'created_at', t.created_at
+        ) ORDER BY t.id) AS extra_transactions
+      FROM inventory_transactions t
+      JOIN orders o ON o.id = t.reference_id
+      LEFT JOIN order_inventory_deductions d ON d.order_id = t.reference_id
+      WHERE t.reference_type = 'order' AND t.transaction_type = 'sale' AND t.quantity_change < 0
+        AND t.deduction_id IS DISTINCT FROM d.id
+      GROUP BY t.reference_id, o.status, d.id
+      ORDER BY t.reference_id
+    `);
+
+    return {
+      missing: missingResult.rows,
+      duplicated: duplicatedResult.rows
+    };
   }
 
   /**
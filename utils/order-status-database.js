@@ -0,0 +1,110 @@
+/**
+ * Database query utilities for order status changes
+ * Every status change goes through changeStatus, which enforces the state machine in models/Order.js
+ * and records the change in order_status_history
+ */
+
+const { DatabaseUtils } = require('./database');
+const { EventBus } = require('./event-bus');
+const { getTransitionError, ORDER_TRANSITIONS } = require('../models/Order');
+const { createConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Order status database operations
+ */
+class OrderStatusQueries {
+  /**
+   * Add a row to an order's status history
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @param {string|null} fromStatus - Previous status (null when the order was placed)
+   * @param {string} toStatus - New status
+   * @param {Object|null} user - Staff user making the change
+   */
+  static async recordTransition(client, orderId, fromStatus, toStatus, user) {
+    await client.query(
+      'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by) VALUES ($1, $2, $3, $4)',
+      [orderId, fromStatus, toStatus, user ? user.id : null]
+    );
+  }
+
+  /**
+   * Move a locked order to a new status, throwing a conflict error for a transition the state machine forbids
+   * Publishes order.status_changed once the transaction commits
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} order - Order row locked FOR UPDATE
+   * @param {string} toStatus - New status
+   * @param {Object|null} user - Staff user making the change
+   * @returns {Promise<Object>} - Updated order row
+   */
+  static async changeStatus(client, order, toStatus, user) {
+    const error = getTransitionError(order.status, toStatus);
+    if (error) {
+      throw createConflictError(error, {
+        from_status: order.status,
+        to_status: toStatus,
+        allowed: ORDER_TRANSITIONS[order.status] || []
+      });
+    }
+
+    const result = await client.query('UPDATE orders SET status = $1 WHERE id = $2 RETURNING *', [toStatus, order.id]);
+    await this.recordTransition(client, order.id, order.status, toStatus, user);
+
+    EventBus.publishOnCommit(client, 'order.status_changed', {
+      order_id: order.id,
+      status: toStatus,
+      previous_status: order.status
+    });
+    return result.rows[0];
+  }
+
+  /**
+   * Move a locked paid order back to served once refunds or voided payments leave part of it owing
+   * Paid is final to changeStatus, so the state machine is bypassed here; the change is still recorded
+   * and publishes order.status_changed once the transaction commits
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} order - Paid order row locked FOR UPDATE
+   * @param {Object|null} user - Staff user whose refund or void reopened the order
+   * @returns {Promise<Object>} - Updated order row
+   */
+  static async reopenPaidOrder(client, order, user) {
+    const result = await client.query(
+      `UPDATE orders SET status = 'served' WHERE id = $1 AND status = 'paid' RETURNING *`,
+      [order.id]
+    );
+    await this.recordTransition(client, order.id, 'paid', 'served', user);
+
+    EventBus.publishOnCommit(client, 'order.status_changed', {
+      order_id: order.id,
+      status: 'served',
+      previous_status: 'paid'
+    });
+    return result.rows[0];
+  }
+
+  /**
+   * Status history of an order, oldest first, with who made each change
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array|null>} - History rows, or null if the order does not exist
+   */
+  static async getHistory(orderId) {
+    const orderResult = await DatabaseUtils.query('SELECT id FROM orders WHERE id = $1', [orderId]);
+    if (orderResult.rows.length === 0) {
+      return null;
+    }
+
+    const result = await DatabaseUtils.query(`
+      SELECT h.id, h.from_status, h.to_status, h.changed_at, h.changed_by,
+        su.username AS changed_by_username, su.full_name AS changed_by_name
+      FROM order_status_history h
+      LEFT JOIN staff_users su ON su.id = h.changed_by
+      WHERE h.order_id = $1
+      ORDER BY h.changed_at, h.id
+    `, [orderId]);
+    return result.rows;
+  }
+}
+
+module.exports = {
+  OrderStatusQueries
+};
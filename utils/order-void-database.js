@@ -0,0 +1,347 @@
+/**
+ * Database query utilities for order cancellations and voids
+ * Takes orders and items off the bill with a reason, settles their ingredients (returned to stock by
+ * reversing the sale transactions, or recorded as waste) and recalculates the order total
+ */
+
+const { DatabaseUtils } = require('./database');
+const { EventBus } = require('./event-bus');
+const { AlertService } = require('./alert-service');
+const { OrderStatusQueries } = require('./order-status-database');
+const { PricingQueries } = require('./pricing-database');
+const { PaymentQueries } = require('./payment-database');
+const { KitchenQueries } = require('./kitchen-database');
+const { LocationQueries } = require('./location-database');
+const { CostingQueries } = require('./costing-database');
+const OrderInventoryService = require('./order-inventory-service-cjs.js');
+const { planInventoryReversal } = require('../models/OrderVoid');
+const { FINAL_ORDER_STATUSES } = require('../models/Order');
+const { KITCHEN_STATUSES } = require('../models/Kitchen');
+const { createConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Order cancel and void database operations
+ */
+class OrderVoidQueries {
+  /**
+   * Lock an order and check that it can be cancelled (not yet served) or voided (served)
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @param {string} voidType - 'cancel' or 'void'
+   * @returns {Promise<Object|null>} - Order row, or null if not found
+   */
+  static async lockOrder(client, orderId, voidType) {
+    const result = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const order = result.rows[0];
+    if (FINAL_ORDER_STATUSES.includes(order.status)) {
+      throw createConflictError(`Order ${orderId} is ${order.status}; it can no longer be cancelled or voided`);
+    }
+    if (voidType === 'cancel' && order.status === 'served') {
+      throw createConflictError(`Order ${orderId} has been served; void it instead`);
+    }
+    if (voidType === 'void' && order.status !== 'served') {
+      throw createConflictError(`Order ${orderId} has not been served; cancel it instead`);
+    }
+    return order;
+  }
+
+  /**
+   * Record an inventory transaction and apply it to the product's stock and lots
+   * Reversals put stock back into the lots the reversed sale took it from
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} change - { product_id, transaction_type, quantity_change, order_id, notes, reverses_transaction_id,
+   *   location_id (defaults to the product's home location) }
+   * @returns {Promise<Object>} - inventory_transactions row
+   */
+  static async applyStockChange(client, change) {
+    const locationId = await LocationQueries.changeLocationStock(
+      client,
+      change.product_id,
+      change.quantity_change,
+      change.location_id || null
+    );
+
+    const transactionResult = await client.query(`
+      INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change,
+                                          reference_type, reference_id, notes, reverses_transaction_id, location_id)
+      VALUES ($1, $2, $3, 'order', $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      change.product_id,
+      change.transaction_type,
+      change.quantity_change,
+      change.order_id,
+      change.notes,
+      change.reverses_transaction_id || null,
+      locationId
+    ]);
+    await CostingQueries.recordTransaction(client, transactionResult.rows[0]);
+
+    const productResult = await client.query(`
+      UPDATE products
+      SET current_quantity = current_quantity + $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [change.quantity_change, change.product_id]);
+    if (productResult.rows.length > 0) {
+      AlertService.publishStockChange(client, productResult.rows[0], change.quantity_change);
+    }
+
+    return transactionResult.rows[0];
+  }
+
+  /**
+   * Settle the ingredients of items coming off an order
+   * What was deducted when the order (or the order it was split from) was served is put back by
+   * compensating sale transactions that reference the original sale, at the location it was taken from. Waste is then recorded for everything
+   * the items used, so wasted food that was already deducted leaves stock unchanged and wasted food that
+   * was not is deducted now.
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} order - Locked order row
+   * @param {Array<number>} orderItemIds - Items being voided
+   * @param {string} disposition - 'waste' or 'return'
+   * @param {string} reason - Reason given
+   * @returns {Promise<Array>} - inventory_transactions rows created
+   */
+  static async settleInventory(client, order, orderItemIds, disposition, reason) {
+    const orderItems = (await OrderInventoryService.getOrderItems(order.id, client))
+      .filter(item => orderItemIds.includes(item.id));
+    const ingredients = await OrderInventoryService.calculateOrderIngredientQuantities(orderItems, client);
+    if (ingredients.length === 0) {
+      return [];
+    }
+
+    // Items moved off another order by a check split were deducted under that order (or one it came from),
+    // so its sales are reversed once the order's own are used up
+    const salesResult = await client.query(`
+      WITH RECURSIVE lineage AS (
+        SELECT id, split_from_order_id FROM orders WHERE id = $1
+        UNION ALL
+        SELECT o.id, o.split_from_order_id FROM orders o JOIN lineage l ON o.id = l.split_from_order_id
+      )
+      SELECT t.id, t.product_id, t.quantity_change, t.location_id,
+        COALESCE((SELECT SUM(r.quantity_change) FROM inventory_transactions r WHERE r.reverses_transaction_id = t.id), 0) AS reversed
+      FROM inventory_transactions t
+      WHERE t.reference_type = 'order' AND t.reference_id IN (SELECT id FROM lineage)
+        AND t.transaction_type = 'sale' AND t.quantity_change < 0
+      ORDER BY t.reference_id = $1 DESC, t.id
+      FOR UPDATE OF t
+    `, [order.id]);
+
+    const { reversals } = planInventoryReversal(salesResult.rows, ingredients);
+    const saleLocations = new Map(salesResult.rows.map(sale => [sale.id, sale.location_id]));
+    const names = new Map(ingredients.map(ingredient => [
+      ingredient.product_id,
+      `${ingredient.ingredient_name} (${ingredient.product_name})`
+    ]));
+    const transactions = [];
+
+    for (const reversal of reversals) {
+      transactions.push(await this.applyStockChange(client, {
+        product_id: reversal.product_id,
+        transaction_type: 'sale',
+        quantity_change: reversal.quantity,
+        order_id: order.id,
+        notes: `Reversal for order #${order.id} - ${names.get(reversal.product_id)}: ${reason}`,
+        reverses_transaction_id: reversal.transaction_id,
+        location_id: saleLocations.get(reversal.transaction_id)
+      }));
+    }
+
+    if (disposition === 'waste') {
+      for (const ingredient of ingredients) {
+        transactions.push(await this.applyStockChange(client, {
+          product_id: ingredient.product_id,
+          transaction_type: 'waste',
+          quantity_change: -Math.round(ingredient.total_quantity_needed * 1000) / 1000,
+          order_id: order.id,
+          notes: `Waste from order #${order.id} - ${names.get(ingredient.product_id)}: ${reason}`,
+          location_id: await LocationQueries.getDeductionLocationId(
+            client,
+            ingredient.product_id,
+            ingredient.recipe_category,
+            ingredient.total_quantity_needed
+          )
+        }));
+      }
+    }
+
+    return transactions;
+  }
+
+  /**
+   * Take items off an order, settle their ingredients and recalculate the order
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} order - Locked order row
+   * @param {Array<number>} orderItemIds - Items to void
+   * @param {Object} data - { reason, disposition }
+   * @returns {Promise<Object>} - { totals, inventory_transactions }
+   */
+  static async removeItems(client, order, orderItemIds, data) {
+    const inventoryTransactions = await this.settleInventory(
+      client, order, orderItemIds, data.disposition || 'return', data.reason
+    );
+
+    await client.query(`
+      UPDATE order_items SET voided_at = CURRENT_TIMESTAMP, discount_amount = 0, tax_amount = 0
+      WHERE id = ANY($1::integer[])
+    `, [orderItemIds]);
+    const totals = await PricingQueries.recalculateOrder(client, order.id);
+
+    return { totals, inventory_transactions: inventoryTransactions };
+  }
+
+  /**
+   * Record a cancel or void
+   * @returns {Promise<Object>} - order_voids row
+   */
+  static async insertVoid(client, orderId, orderItemId, voidType, data, amount, user) {
+    const result = await client.query(`
+      INSERT INTO order_voids (order_id, order_item_id, void_type, reason, disposition, amount, voided_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [orderId, orderItemId, voidType, data.reason.trim(), data.disposition || 'return', amount, user ? user.id : null]);
+    return result.rows[0];
+  }
+
+  /**
+   * Cancel an order that has not been served, or void one that has
+   * Every remaining item comes off the bill, so the total drops to zero. Refused while the order has
+   * payments against it; refund them first.
+   * @param {number} orderId - Order ID
+   * @param {string} voidType - 'cancel' or 'void'
+   * @param {Object} data - Validated data (see validateOrderVoid)
+   * @param {Object|null} user - Staff user
+   * @returns {Promise<Object|null>} - { void, order, inventory_transactions } or null if the order does not exist
+   */
+  static async voidOrder(orderId, voidType, data, user) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockOrder(client, orderId, voidType);
+      if (!order) {
+        return null;
+      }
+
+      const summary = await PaymentQueries.getPaymentSummary(orderId, client);
+      if (summary.amount_paid > 0) {
+        throw createConflictError(
+          `Order ${orderId} has ${summary.amount_paid.toFixed(2)} paid against it; refund the payments first`,
+          { amount_paid: summary.amount_paid }
+        );
+      }
+
+      const itemsResult = await client.query(
+        'SELECT id FROM order_items WHERE order_id = $1 AND voided_at IS NULL ORDER BY id FOR UPDATE',
+        [orderId]
+      );
+      const { totals, inventory_transactions } = await this.removeItems(
+        client, order, itemsResult.rows.map(item => item.id), data
+      );
+
+      const amount = Math.round((parseFloat(order.total) - totals.total) * 100) / 100;
+      const voidRow = await this.insertVoid(client, orderId, null, voidType, data, amount, user);
+      const updatedOrder = await OrderStatusQueries.changeStatus(
+        client, order, voidType === 'cancel' ? 'cancelled' : 'voided', user
+      );
+
+      return { void: voidRow, order: updatedOrder, inventory_transactions };
+    });
+  }
+
+  /**
+   * Cancel an item on an order that has not been served, or void one on a served order
+   * The order's last item cannot be taken off on its own; cancel or void the order instead.
+   * Refused when the payments already taken would be more than the new total.
+   * @param {number} orderId - Order ID
+   * @param {number} orderItemId - Order item ID
+   * @param {string} voidType - 'cancel' or 'void'
+   * @param {Object} data - Validated data (see validateOrderVoid)
+   * @param {Object|null} user - Staff user
+   * @returns {Promise<Object|null>} - { void, pricing, inventory_transactions } or null if the order or item does not exist
+   */
+  static async voidOrderItem(orderId, orderItemId, voidType, data, user) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockOrder(client, orderId, voidType);
+      if (!order) {
+        return null;
+      }
+
+      const itemsResult = await client.query(
+        'SELECT id, voided_at FROM order_items WHERE order_id = $1 ORDER BY id FOR UPDATE',
+        [orderId]
+      );
+      const item = itemsResult.rows.find(row => row.id === orderItemId);
+      if (!item) {
+        return null;
+      }
+      if (item.voided_at) {
+        throw createConflictError(`Order item ${orderItemId} has already been taken off order ${orderId}`);
+      }
+      if (!itemsResult.rows.some(row => row.id !== orderItemId && !row.voided_at)) {
+        throw createConflictError(
+          `Order item ${orderItemId} is the last item on order ${orderId}; ${voidType} the order instead`
+        );
+      }
+
+      const { totals, inventory_transactions } = await this.removeItems(client, order, [orderItemId], data);
+
+      const summary = await PaymentQueries.getPaymentSummary(orderId, client);
+      if (summary.amount_paid > totals.total) {
+        throw createConflictError(
+          `Order ${orderId} has ${summary.amount_paid.toFixed(2)} paid against it, more than its new total of ${totals.total.toFixed(2)}; refund the difference first`,
+          { amount_paid: summary.amount_paid, new_total: totals.total }
+        );
+      }
+
+      const amount = Math.round((parseFloat(order.total) - totals.total) * 100) / 100;
+      const voidRow = await this.insertVoid(client, orderId, orderItemId, voidType, data, amount, user);
+
+      // The kitchen stops making the item, and the order is ready if everything left is
+      if (KITCHEN_STATUSES.includes(order.status)) {
+        await KitchenQueries.syncOrderStatus(client, order, user);
+        EventBus.publishOnCommit(client, 'kitchen.tickets_changed', { order_id: orderId });
+      }
+      EventBus.publishOnCommit(client, 'order.item_voided', {
+        order_id: orderId,
+        order_item_id: orderItemId,
+        total: totals.total
+      });
+
+      return {
+        void: voidRow,
+        pricing: await PricingQueries.getOrderPricing(orderId, client),
+        inventory_transactions
+      };
+    });
+  }
+
+  /**
+   * Cancels and voids on an order, oldest first, with who made them
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array|null>} - order_voids rows, or null if the order does not exist
+   */
+  static async getVoids(orderId) {
+    const orderResult = await DatabaseUtils.query('SELECT id FROM orders WHERE id = $1', [orderId]);
+    if (orderResult.rows.length === 0) {
+      return null;
+    }
+
+    const result = await DatabaseUtils.query(`
+      SELECT v.*, mi.name AS item_name, su.username AS voided_by_username, su.full_name AS voided_by_name
+      FROM order_voids v
+      LEFT JOIN order_items oi ON oi.id = v.order_item_id
+      LEFT JOIN menu_items mi ON mi.id = oi.menu_item_id
+      LEFT JOIN staff_users su ON su.id = v.voided_by
+      WHERE v.order_id = $1
+      ORDER BY v.created_at, v.id
+    `, [orderId]);
+    return result.rows;
+  }
+}
+
+module.exports = {
+  OrderVoidQueries
+};
@@ -0,0 +1,401 @@
+/**
+ * Database query utilities for payments
+ * Records tenders against orders, voids and refunds them, and manages gift card balances
+ */
+
+const crypto = require('crypto');
+const { DatabaseUtils } = require('./database');
+const { Payment, summarizePayments, toCents, fromCents } = require('../models/Payment');
+const { getPaymentProcessor } = require('./payment-processors');
+const { OrderStatusQueries } = require('./order-status-database');
+const {
+  createConflictError,
+  createValidationError,
+  createPaymentDeclinedError
+} = require('../middleware/errorHandler');
+
+/**
+ * Payment and gift card database operations
+ */
+class PaymentQueries {
+  /**
+   * Payments on an order, oldest first, each with its refunds
+   * @param {number} orderId - Order ID
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<Array<Payment>>}
+   */
+  static async getPaymentsForOrder(orderId, db = DatabaseUtils) {
+    const result = await db.query(`
+      SELECT p.*,
+             COALESCE(
+               (SELECT json_agg(r ORDER BY r.id) FROM payment_refunds r WHERE r.payment_id = p.id),
+               '[]'::json
+             ) AS refunds
+      FROM payments p
+      WHERE p.order_id = $1
+      ORDER BY p.created_at, p.id
+    `, [orderId]);
+    return result.rows.map(row => new Payment(row));
+  }
+
+  /**
+   * An order's total, what has been paid against it and what is still owed
+   * @param {number} orderId - Order ID
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<Object|null>} - { order_id, order_status, order_total, amount_paid, tips, balance_due, payments } or null if the order does not exist
+   */
+  static async getPaymentSummary(orderId, db = DatabaseUtils) {
+    const orderResult = await db.query('SELECT id, status, total FROM orders WHERE id = $1', [orderId]);
+    if (orderResult.rows.length === 0) {
+      return null;
+    }
+
+    const order = orderResult.rows[0];
+    const payments = await this.getPaymentsForOrder(orderId, db);
+
+    return {
+      order_id: order.id,
+      order_status: order.status,
+      ...summarizePayments(order.total, payments),
+      payments
+    };
+  }
+
+  /**
+   * Lock an order row so concurrent payments cannot both take the same balance
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Object|null>} - Order row or null if not found
+   */
+  static async lockOrder(client, orderId) {
+    const result = await client.query('SELECT id, status, total FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Lock a payment on an order
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @param {number} paymentId - Payment ID
+   * @returns {Promise<Payment|null>}
+   */
+  static async lockPayment(client, orderId, paymentId) {
+    const result = await client.query(
+      'SELECT * FROM payments WHERE id = $1 AND order_id = $2 FOR UPDATE',
+      [paymentId, orderId]
+    );
+    return result.rows.length > 0 ? new Payment(result.rows[0]) : null;
+  }
+
+  /**
+   * Summarize a locked order's payments after a void or refund, reopening a paid order left owing
+   * A reopened order is served again, so it can take a new payment or, once nothing is paid, be voided
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} order - Order row from lockOrder
+   * @param {Object|null} user - Staff user voiding or refunding the payment
+   * @returns {Promise<Object>} - Payment summary (see summarizePayments)
+   */
+  static async settleOrderAfterReturn(client, order, user) {
+    const summary = summarizePayments(order.total, await this.getPaymentsForOrder(order.id, client));
+    if (order.status === 'paid' && summary.balance_due > 0) {
+      await OrderStatusQueries.reopenPaidOrder(client, order, user);
+    }
+    return summary;
+  }
+
+  /**
+   * Apply a tender to an order
+   * The amount defaults to the balance due and may not exceed it. Card tenders are charged through
+   * the configured processor; if the payment cannot be saved afterwards the charge is voided.
+   * @param {number} orderId - Order ID
+   * @param {Object} data - Validated payment data (see validatePaymentForCreation)
+   * @param {Object|null} user - Staff user recording the payment
+   * @returns {Promise<Object|null>} - { payment, summary } or null if the order does not exist
+   */
+  static async recordPayment(orderId, data, user) {
+    let charge = null;
+    let processor = null;
+
+    try {
+      return await DatabaseUtils.transaction(async (client) => {
+        const order = await this.lockOrder(client, orderId);
+        if (!order) {
+          return null;
+        }
+
+        const payments = await this.getPaymentsForOrder(orderId, client);
+        const balanceCents = toCents(summarizePayments(order.total, payments).balance_due);
+        if (balanceCents <= 0) {
+          throw createConflictError(`Order ${orderId} has no balance due`);
+        }
+
+        const amountCents = data.amount !== undefined ? toCents(data.amount) : balanceCents;
+        if (amountCents > balanceCents) {
+          throw createValidationError([{
+            field: 'amount',
+            message: `Amount exceeds the balance due of ${fromCents(balanceCents).toFixed(2)}`
+          }]);
+        }
+
+        const tipCents = data.tip_amount !== undefined ? toCents(data.tip_amount) : 0;
+        const chargeCents = amountCents + tipCents;
+        const payment = {
+          amount_tendered: null,
+          change_due: 0,
+          processor: null,
+          processor_reference: null,
+          card_brand: null,
+          card_last4: null,
+          gift_card_id: null
+        };
+
+        if (data.tender_type === 'cash') {
+          const tenderedCents = data.amount_tendered !== undefined ? toCents(data.amount_tendered) : chargeCents;
+          if (tenderedCents < chargeCents) {
+            throw createValidationError([{
+              field: 'amount_tendered',
+              message: `Amount tendered must cover the amount and tip of ${fromCents(chargeCents).toFixed(2)}`
+            }]);
+          }
+          payment.amount_tendered = fromCents(tenderedCents);
+          payment.change_due = fromCents(tenderedCents - chargeCents);
+        } else if (data.tender_type === 'gift_card') {
+          const giftCard = await this.lockGiftCard(client, data.gift_card_code);
+          if (!giftCard || !giftCard.active) {
+            throw createValidationError([{ field: 'gift_card_code', message: 'Gift card not found or inactive' }]);
+          }
+          if (toCents(giftCard.balance) < chargeCents) {
+            throw createValidationError([{
+              field: 'gift_card_code',
+              message: `Gift card balance of ${parseFloat(giftCard.balance).toFixed(2)} does not cover ${fromCents(chargeCents).toFixed(2)}`
+            }]);
+          }
+          await client.query(
+            'UPDATE gift_cards SET balance = balance - $1 WHERE id = $2',
+            [fromCents(chargeCents), giftCard.id]
+          );
+          payment.gift_card_id = giftCard.id;
+        } else if (data.tender_type === 'card') {
+          processor = getPaymentProcessor();
+          const result = await processor.charge({
+            amount: fromCents(chargeCents),
+            card_token: data.card_token,
+            description: `Order ${orderId}`
+          });
+          if (!result.approved) {
+            throw createPaymentDeclinedError(result.decline_reason || 'Card declined');
+          }
+          charge = result;
+          payment.processor = processor.name;
+          payment.processor_reference = result.reference;
+          payment.card_brand = result.card_brand || null;
+          payment.card_last4 = result.card_last4 || null;
+        }
+
+        const insertResult = await client.query(`
+          INSERT INTO payments (
+            order_id, tender_type, amount, tip_amount, amount_tendered, change_due,
+            processor, processor_reference, card_brand, card_last4, gift_card_id, created_by
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING *
+        `, [
+          orderId,
+          data.tender_type,
+          fromCents(amountCents),
+          fromCents(tipCents),
+          payment.amount_tendered,
+          payment.change_due,
+          payment.processor,
+          payment.processor_reference,
+          payment.card_brand,
+          payment.card_last4,
+          payment.gift_card_id,
+          user ? user.id : null
+        ]);
+
+        return {
+          payment: new Payment(insertResult.rows[0]),
+          summary: summarizePayments(order.total, [...payments, new Payment(insertResult.rows[0])])
+        };
+      });
+    } catch (error) {
+      if (charge) {
+        try {
+          await processor.void(charge.reference);
+        } catch (voidError) {
+          console.error(`Failed to void card charge ${charge.reference} after payment error:`, voidError);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Void a payment that has not been refunded
+   * Gift card balances are restored and card charges are voided with the processor. A paid order goes
+   * back to served, since it is owed again.
+   * @param {number} orderId - Order ID
+   * @param {number} paymentId - Payment ID
+   * @param {string} reason - Why the payment is being voided
+   * @param {Object|null} user - Staff user voiding the payment
+   * @returns {Promise<Object|null>} - { payment, summary } or null if the payment does not exist
+   */
+  static async voidPayment(orderId, paymentId, reason, user) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockOrder(client, orderId);
+      const payment = order ? await this.lockPayment(client, orderId, paymentId) : null;
+      if (!payment) {
+        return null;
+      }
+
+      if (payment.status !== 'completed') {
+        throw createConflictError(`Payment ${paymentId} is ${payment.status} and cannot be voided`);
+      }
+
+      if (payment.tender_type === 'gift_card') {
+        await client.query(
+          'UPDATE gift_cards SET balance = balance + $1 WHERE id = $2',
+          [fromCents(toCents(payment.amount) + toCents(payment.tip_amount)), payment.gift_card_id]
+        );
+      } else if (payment.tender_type === 'card') {
+        const result = await getPaymentProcessor(payment.processor).void(payment.processor_reference);
+        if (!result.success) {
+          throw createPaymentDeclinedError(`Void was declined: ${result.decline_reason || 'unknown reason'}`);
+        }
+      }
+
+      const updateResult = await client.query(`
+        UPDATE payments
+        SET status = 'voided', void_reason = $1, voided_by = $2, voided_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `, [reason, user ? user.id : null, paymentId]);
+
+      return {
+        payment: new Payment(updateResult.rows[0]),
+        summary: await this.settleOrderAfterReturn(client, order, user)
+      };
+    });
+  }
+
+  /**
+   * Refund some or all of a payment's amount (tips are only returned by voiding)
+   * A paid order goes back to served once a refund leaves part of it owing.
+   * Card refunds go through the processor that took the charge; gift card refunds go back on the card
+   * @param {number} orderId - Order ID
+   * @param {number} paymentId - Payment ID
+   * @param {Object} data - { amount (optional, defaults to everything refundable), reason }
+   * @param {Object|null} user - Staff user issuing the refund
+   * @returns {Promise<Object|null>} - { payment, refund, summary } or null if the payment does not exist
+   */
+  static async refundPayment(orderId, paymentId, data, user) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockOrder(client, orderId);
+      const payment = order ? await this.lockPayment(client, orderId, paymentId) : null;
+      if (!payment) {
+        return null;
+      }
+
+      if (payment.status !== 'completed' && payment.status !== 'partially_refunded') {
+        throw createConflictError(`Payment ${paymentId} is ${payment.status} and cannot be refunded`);
+      }
+
+      const refundableCents = toCents(payment.amount) - toCents(payment.refunded_amount);
+      const refundCents = data.amount !== undefined ? toCents(data.amount) : refundableCents;
+      if (refundCents > refundableCents) {
+        throw createValidationError([{
+          field: 'amount',
+          message: `Only ${fromCents(refundableCents).toFixed(2)} of payment ${paymentId} can be refunded`
+        }]);
+      }
+
+      let processorReference = null;
+      if (payment.tender_type === 'card') {
+        const result = await getPaymentProcessor(payment.processor)
+          .refund(payment.processor_reference, fromCents(refundCents));
+        if (!result.success) {
+          throw createPaymentDeclinedError(`Refund was declined: ${result.decline_reason || 'unknown reason'}`);
+        }
+        processorReference = result.reference || null;
+      } else if (payment.tender_type === 'gift_card') {
+        await client.query(
+          'UPDATE gift_cards SET balance = balance + $1 WHERE id = $2',
+          [fromCents(refundCents), payment.gift_card_id]
+        );
+      }
+
+      const refundResult = await client.query(`
+        INSERT INTO payment_refunds (payment_id, amount, reason, processor_reference, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `, [paymentId, fromCents(refundCents), data.reason, processorReference, user ? user.id : null]);
+
+      const fullyRefunded = refundCents === refundableCents;
+      const updateResult = await client.query(`
+        UPDATE payments
+        SET refunded_amount = refunded_amount + $1, status = $2
+        WHERE id = $3
+        RETURNING *
+      `, [fromCents(refundCents), fullyRefunded ? 'refunded' : 'partially_refunded', paymentId]);
+
+      return {
+        payment: new Payment(updateResult.rows[0]),
+        refund: refundResult.rows[0],
+        summary: await this.settleOrderAfterReturn(client, order, user)
+      };
+    });
+  }
+
+  /**
+   * Lock a gift card by code
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} code - Gift card code
+   * @returns {Promise<Object|null>}
+   */
+  static async lockGiftCard(client, code) {
+    const result = await client.query(
+      'SELECT * FROM gift_cards WHERE UPPER(code) = UPPER($1) FOR UPDATE',
+      [code.trim()]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Look up a gift card by code
+   * @param {string} code - Gift card code
+   * @returns {Promise<Object|null>}
+   */
+  static async getGiftCardByCode(code) {
+    const result = await DatabaseUtils.query(
+      'SELECT * FROM gift_cards WHERE UPPER(code) = UPPER($1)',
+      [code.trim()]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Issue a gift card
+   * @param {Object} data - { amount, code (optional, generated when omitted) }
+   * @returns {Promise<Object>} - Gift card row
+   */
+  static async issueGiftCard(data) {
+    const code = data.code ? data.code.trim().toUpperCase() : `GC-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+    const existing = await this.getGiftCardByCode(code);
+    if (existing) {
+      throw createConflictError(`Gift card ${code} already exists`);
+    }
+
+    const result = await DatabaseUtils.query(`
+      INSERT INTO gift_cards (code, initial_balance, balance)
+      VALUES ($1, $2, $2)
+      RETURNING *
+    `, [code, data.amount]);
+    return result.rows[0];
+  }
+}
+
+module.exports = {
+  PaymentQueries
+};
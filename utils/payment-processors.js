@@ -0,0 +1,97 @@
+/**
+ * Card payment processors
+ *
+ * Card tenders are charged through a processor chosen by PAYMENT_PROCESSOR (default 'fake').
+ * A processor is an object with:
+ *   name
+ *   charge({ amount, card_token, description }) -> { approved, reference, card_brand, card_last4, decline_reason }
+ *   void(reference) -> { success, decline_reason }
+ *   refund(reference, amount) -> { success, reference, decline_reason }
+ * Amounts are dollars with two decimals. Register a real gateway with registerPaymentProcessor.
+ */
+
+/**
+ * Local processor for development and tests; no money moves
+ * Card tokens: tok_visa, tok_mastercard, tok_amex approve; tok_declined and
+ * tok_insufficient_funds decline
+ */
+class FakeCardProcessor {
+  constructor() {
+    this.name = 'fake';
+    this.sequence = 0;
+  }
+
+  nextReference(prefix) {
+    this.sequence += 1;
+    return `fake_${prefix}_${Date.now()}_${this.sequence}`;
+  }
+
+  async charge({ card_token }) {
+    const declines = {
+      tok_declined: 'Card declined',
+      tok_insufficient_funds: 'Insufficient funds'
+    };
+    if (declines[card_token]) {
+      return { approved: false, decline_reason: declines[card_token] };
+    }
+
+    const cards = {
+      tok_mastercard: { card_brand: 'mastercard', card_last4: '4444' },
+      tok_amex: { card_brand: 'amex', card_last4: '0005' }
+    };
+
+    return {
+      approved: true,
+      reference: this.nextReference('ch'),
+      ...(cards[card_token] || { card_brand: 'visa', card_last4: '4242' })
+    };
+  }
+
+  async void() {
+    return { success: true };
+  }
+
+  async refund() {
+    return { success: true, reference: this.nextReference('re') };
+  }
+}
+
+const processors = new Map([['fake', new FakeCardProcessor()]]);
+
+/**
+ * Register a card processor under its name
+ * @param {Object} processor - Object implementing name, charge, void and refund
+ */
+function registerPaymentProcessor(processor) {
+  for (const method of ['charge', 'void', 'refund']) {
+    if (!processor || typeof processor[method] !== 'function') {
+      throw new Error(`Payment processor must implement ${method}()`);
+    }
+  }
+  if (!processor.name) {
+    throw new Error('Payment processor must have a name');
+  }
+  processors.set(processor.name, processor);
+}
+
+/**
+ * Look up a card processor
+ * @param {string} name - Processor name (defaults to PAYMENT_PROCESSOR, then 'fake')
+ * @returns {Object} - Processor
+ */
+function getPaymentProcessor(name = process.env.PAYMENT_PROCESSOR || 'fake') {
+  const processor = processors.get(name);
+  if (!processor) {
+    throw new Error(`Unknown payment processor: ${name}`);
+  }
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake card processor cannot be used in production; set PAYMENT_PROCESSOR');
+  }
+  return processor;
+}
+
+module.exports = {
+  FakeCardProcessor,
+  registerPaymentProcessor,
+  getPaymentProcessor
+};
@@ -0,0 +1,524 @@
+/**
+ * Database query utilities for order pricing
+ * Manages tax rates, service charge rules and discounts, and prices orders with them.
+ * Prices and rates are copied onto orders when they are created so recalculations are reproducible.
+ */
+
+const { DatabaseUtils } = require('./database');
+const {
+  selectTaxRate,
+  selectServiceChargeRate,
+  isWithinDiscountWindow,
+  discountAppliesToItem,
+  calculateOrderTotals
+} = require('../models/Pricing');
+const { FINAL_ORDER_STATUSES } = require('../models/Order');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+
+const TAX_RATE_COLUMNS = ['name', 'rate', 'menu_category', 'recipe_category', 'active'];
+const SERVICE_CHARGE_COLUMNS = ['name', 'rate', 'min_guests', 'active'];
+const DISCOUNT_COLUMNS = [
+  'name', 'discount_type', 'value', 'scope', 'menu_item_id', 'menu_category',
+  'starts_at', 'ends_at', 'days_of_week', 'active'
+];
+
+/**
+ * Insert a row using the given columns that are present in data
+ */
+async function insertRow(db, table, columns, data) {
+  const present = columns.filter(column => data[column] !== undefined);
+  const result = await db.query(
+    `INSERT INTO ${table} (${present.join(', ')})
+     VALUES (${present.map((_, index) => `$${index + 1}`).join(', ')})
+     RETURNING *`,
+    present.map(column => data[column])
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update the given columns that are present in data
+ * @returns {Promise<Object|null>} - Updated row, or null if it does not exist
+ */
+async function updateRow(db, table, columns, id, data) {
+  const present = columns.filter(column => data[column] !== undefined);
+  if (present.length === 0) {
+    const result = await db.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  const result = await db.query(
+    `UPDATE ${table}
+     SET ${present.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+     WHERE id = $${present.length + 1}
+     RETURNING *`,
+    [...present.map(column => data[column]), id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Tax, service charge and discount database operations
+ */
+class PricingQueries {
+  /**
+   * List tax rates, active ones first
+   * @returns {Promise<Array>}
+   */
+  static async getTaxRates() {
+    const result = await DatabaseUtils.query('SELECT * FROM tax_rates ORDER BY active DESC, name');
+    return result.rows;
+  }
+
+  /**
+   * Refuse a second active tax rate for the same category
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} rate - { menu_category, recipe_category, active }
+   * @param {number|null} excludeId - Rate being updated
+   */
+  static async assertTaxScopeFree(client, rate, excludeId = null) {
+    if (rate.active === false) {
+      return;
+    }
+
+    const result = await client.query(`
+      SELECT id, name FROM tax_rates
+      WHERE active
+        AND COALESCE(menu_category, '') = COALESCE($1, '')
+        AND COALESCE(recipe_category, '') = COALESCE($2, '')
+        AND id <> COALESCE($3, 0)
+    `, [rate.menu_category || null, rate.recipe_category || null, excludeId]);
+
+    if (result.rows.length > 0) {
+      throw createConflictError(`Active tax rate '${result.rows[0].name}' already covers this category`);
+    }
+  }
+
+  /**
+   * Create a tax rate
+   * @param {Object} data - Validated tax rate data
+   * @returns {Promise<Object>}
+   */
+  static async createTaxRate(data) {
+    return await DatabaseUtils.transaction(async (client) => {
+      await this.assertTaxScopeFree(client, data);
+      return await insertRow(client, 'tax_rates', TAX_RATE_COLUMNS, data);
+    });
+  }
+
+  /**
+   * Update a tax rate; orders already placed keep the rate they were priced with
+   * @param {number} id - Tax rate ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object|null>}
+   */
+  static async updateTaxRate(id, data) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const existing = await client.query('SELECT * FROM tax_rates WHERE id = $1 FOR UPDATE', [id]);
+      if (existing.rows.length === 0) {
+        return null;
+      }
+
+      await this.assertTaxScopeFree(client, { ...existing.rows[0], ...data }, id);
+      return await updateRow(client, 'tax_rates', TAX_RATE_COLUMNS, id, data);
+    });
+  }
+
+  /**
+   * List service charge rules by party size
+   * @returns {Promise<Array>}
+   */
+  static async getServiceChargeRules() {
+    const result = await DatabaseUtils.query('SELECT * FROM service_charge_rules ORDER BY min_guests, id');
+    return result.rows;
+  }
+
+  /**
+   * Create a service charge rule
+   * @param {Object} data - Validated rule data
+   * @returns {Promise<Object>}
+   */
+  static async createServiceChargeRule(data) {
+    return await insertRow(DatabaseUtils, 'service_charge_rules', SERVICE_CHARGE_COLUMNS, data);
+  }
+
+  /**
+   * Update a service charge rule; orders already placed keep the rate they were priced with
+   * @param {number} id - Rule ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object|null>}
+   */
+  static async updateServiceChargeRule(id, data) {
+    return await updateRow(DatabaseUtils, 'service_charge_rules', SERVICE_CHARGE_COLUMNS, id, data);
+  }
+
+  /**
+   * List discount definitions
+   * @returns {Promise<Array>}
+   */
+  static async getDiscounts() {
+    const result = await DatabaseUtils.query('SELECT * FROM discounts ORDER BY active DESC, name');
+    return result.rows;
+  }
+
+  /**
+   * Create a discount definition
+   * @param {Object} data - Validated discount data
+   * @returns {Promise<Object>}
+   */
+  static async createDiscount(data) {
+    return await insertRow(DatabaseUtils, 'discounts', DISCOUNT_COLUMNS, data);
+  }
+
+  /**
+   * Update a discount definition; discounts already applied to orders keep their copied values
+   * @param {number} id - Discount ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object|null>}
+   */
+  static async updateDiscount(id, data) {
+    return await updateRow(DatabaseUtils, 'discounts', DISCOUNT_COLUMNS, id, data);
+  }
+
+  /**
+   * Current price and tax rate for menu items about to be ordered
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @param {Array<number>} menuItemIds - Menu item IDs
+   * @returns {Promise<Map<number, Object>>} - Menu item ID to { price, category, recipe_category, tax_rate }
+   */
+  static async getMenuItemPricing(db, menuItemIds) {
+    const itemsResult = await db.query(`
+      SELECT mi.id, mi.price, mi.category, r.category AS recipe_category
+      FROM menu_items mi
+      LEFT JOIN recipes r ON r.id = mi.recipe_id
+      WHERE mi.id = ANY($1::integer[])
+    `, [menuItemIds]);
+    const ratesResult = await db.query('SELECT * FROM tax_rates WHERE active');
+
+    return new Map(itemsResult.rows.map(item => [item.id, {
+      price: parseFloat(item.price),
+      category: item.category,
+      recipe_category: item.recipe_category,
+      tax_rate: selectTaxRate(ratesResult.rows, item)
+    }]));
+  }
+
+  /**
+   * Service charge rate for an order on a check, from the party's guest count
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @param {number|null} checkId - Check ID
+   * @returns {Promise<number>}
+   */
+  static async getServiceChargeRate(db, checkId) {
+    if (!checkId) {
+      return 0;
+    }
+
+    const checkResult = await db.query('SELECT guest_count FROM checks WHERE id = $1', [checkId]);
+    if (checkResult.rows.length === 0) {
+      return 0;
+    }
+
+    const rulesResult = await db.query('SELECT * FROM service_charge_rules WHERE active');
+    return selectServiceChargeRate(rulesResult.rows, checkResult.rows[0].guest_count);
+  }
+
+  /**
+   * Order items with their menu item and category
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Array>}
+   */
+  static async getOrderItemsForDiscounts(db, orderId) {
+    const result = await db.query(`
+      SELECT oi.id, oi.menu_item_id, mi.category, mi.name
+      FROM order_items oi
+      JOIN menu_items mi ON mi.id = oi.menu_item_id
+      WHERE oi.order_id = $1 AND oi.voided_at IS NULL
+      ORDER BY oi.id
+    `, [orderId]);
+    return result.rows;
+  }
+
+  /**
+   * Copy a discount onto an order
+   * @param {Object} db - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @param {Object} discount - { name, discount_type, value, order_item_id, discount_id, is_comp, reason }
+   * @param {Object|null} user - Staff user applying it
+   * @returns {Promise<Object>} - order_discounts row
+   */
+  static async insertOrderDiscount(db, orderId, discount, user) {
+    const result = await db.query(`
+      INSERT INTO order_discounts (
+        order_id, order_item_id, discount_id, name, discount_type, value, is_comp, reason, applied_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      orderId,
+      discount.order_item_id || null,
+      discount.discount_id || null,
+      discount.name,
+      discount.discount_type,
+      discount.value,
+      discount.is_comp || false,
+      discount.reason || null,
+      user ? user.id : null
+    ]);
+    return result.rows[0];
+  }
+
+  /**
+   * Apply every active happy hour discount whose window includes the time the order was placed
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @param {Date} orderedAt - When the order was placed
+   * @returns {Promise<number>} - Number of discounts applied
+   */
+  static async applyAutomaticDiscounts(client, orderId, orderedAt) {
+    const discountsResult = await client.query(
+      'SELECT * FROM discounts WHERE active AND starts_at IS NOT NULL ORDER BY id'
+    );
+    const discounts = discountsResult.rows.filter(discount => isWithinDiscountWindow(discount, orderedAt));
+    if (discounts.length === 0) {
+      return 0;
+    }
+
+    const items = await this.getOrderItemsForDiscounts(client, orderId);
+    let applied = 0;
+
+    for (const discount of discounts) {
+      const targets = discount.scope === 'item'
+        ? items.filter(item => discountAppliesToItem(discount, item)).map(item => item.id)
+        : [null];
+
+      for (const orderItemId of targets) {
+        await this.insertOrderDiscount(client, orderId, {
+          ...discount,
+          discount_id: discount.id,
+          order_item_id: orderItemId
+        }, null);
+        applied += 1;
+      }
+    }
+
+    return applied;
+  }
+
+  /**
+   * Recalculate and store an order's subtotal, discount, service charge, tax and total
+   * Uses only what is stored on the order, so running it again gives the same result.
+   * Items inserted without a unit price take the current menu price the first time.
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Object>} - Totals from calculateOrderTotals
+   */
+  static async recalculateOrder(client, orderId) {
+    await client.query(`
+      UPDATE order_items oi SET unit_price = mi.price
+      FROM menu_items mi
+      WHERE mi.id = oi.menu_item_id AND oi.order_id = $1 AND oi.unit_price IS NULL
+    `, [orderId]);
+
+    const orderResult = await client.query('SELECT service_charge_rate FROM orders WHERE id = $1', [orderId]);
+    const itemsResult = await client.query(
+      'SELECT id, unit_price, quantity, tax_rate FROM order_items WHERE order_id = $1 AND voided_at IS NULL ORDER BY id',
+      [orderId]
+    );
+    const discountsResult = await client.query(
+      'SELECT id, order_item_id, discount_type, value FROM order_discounts WHERE order_id = $1 ORDER BY id',
+      [orderId]
+    );
+
+    const totals = calculateOrderTotals({
+      items: itemsResult.rows,
+      discounts: discountsResult.rows,
+      service_charge_rate: orderResult.rows.length > 0 ? orderResult.rows[0].service_charge_rate : 0
+    });
+
+    for (const item of totals.items) {
+      await client.query(
+        'UPDATE order_items SET discount_amount = $1, tax_amount = $2 WHERE id = $3',
+        [item.discount_amount, item.tax_amount, item.id]
+      );
+    }
+    for (const discount of totals.discounts) {
+      await client.query('UPDATE order_discounts SET amount = $1 WHERE id = $2', [discount.amount, discount.id]);
+    }
+    await client.query(`
+      UPDATE orders
+      SET subtotal = $1, discount_total = $2, service_charge_total = $3, tax_total = $4, total = $5
+      WHERE id = $6
+    `, [totals.subtotal, totals.discount_total, totals.service_charge_total, totals.tax_total, totals.total, orderId]);
+
+    return totals;
+  }
+
+  /**
+   * An order's price breakdown: totals, items with their discount and tax, and applied discounts
+   * @param {number} orderId - Order ID
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<Object|null>} - null if the order does not exist
+   */
+  static async getOrderPricing(orderId, db = DatabaseUtils) {
+    const orderResult = await db.query(`
+      SELECT id, status, subtotal, discount_total, service_charge_rate, service_charge_total, tax_total, total
+      FROM orders
+      WHERE id = $1
+    `, [orderId]);
+    if (orderResult.rows.length === 0) {
+      return null;
+    }
+
+    const itemsResult = await db.query(`
+      SELECT oi.id, oi.menu_item_id, mi.name, oi.quantity, oi.unit_price, oi.tax_rate, oi.discount_amount, oi.tax_amount, oi.voided_at
+      FROM order_items oi
+      JOIN menu_items mi ON mi.id = oi.menu_item_id
+      WHERE oi.order_id = $1
+      ORDER BY oi.id
+    `, [orderId]);
+    const discountsResult = await db.query(
+      'SELECT * FROM order_discounts WHERE order_id = $1 ORDER BY id',
+      [orderId]
+    );
+
+    const order = orderResult.rows[0];
+    return {
+      order_id: order.id,
+      status: order.status,
+      subtotal: parseFloat(order.subtotal),
+      discount_total: parseFloat(order.discount_total),
+      service_charge_rate: parseFloat(order.service_charge_rate),
+      service_charge_total: parseFloat(order.service_charge_total),
+      tax_total: parseFloat(order.tax_total),
+      total: parseFloat(order.total),
+      items: itemsResult.rows,
+      discounts: discountsResult.rows
+    };
+  }
+
+  /**
+   * Lock an order and require that it is still open (not paid, cancelled or voided)
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} orderId - Order ID
+   * @returns {Promise<Object|null>} - Order row or null if not found
+   */
+  static async lockOpenOrder(client, orderId) {
+    const result = await client.query('SELECT id, status, created_at FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+    if (FINAL_ORDER_STATUSES.includes(result.rows[0].status)) {
+      throw createConflictError(`Order ${orderId} is ${result.rows[0].status}; its discounts can no longer change`);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Apply a configured discount, an ad-hoc discount or a comp to an order or one of its items
+   * @param {number} orderId - Order ID
+   * @param {Object} data - Validated data (see validateOrderDiscount)
+   * @param {Object|null} user - Staff user applying it
+   * @returns {Promise<Object|null>} - { discount, pricing } or null if the order does not exist
+   */
+  static async addOrderDiscount(orderId, data, user) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockOpenOrder(client, orderId);
+      if (!order) {
+        return null;
+      }
+
+      let orderItem = null;
+      if (data.order_item_id !== undefined) {
+        const items = await this.getOrderItemsForDiscounts(client, orderId);
+        orderItem = items.find(item => item.id === data.order_item_id);
+        if (!orderItem) {
+          throw createValidationError([{
+            field: 'order_item_id',
+            message: `Order item ${data.order_item_id} is not on order ${orderId}`
+          }]);
+        }
+      }
+
+      let discount;
+      if (data.discount_id !== undefined) {
+        const result = await client.query('SELECT * FROM discounts WHERE id = $1 AND active', [data.discount_id]);
+        if (result.rows.length === 0) {
+          throw createValidationError([{ field: 'discount_id', message: `Discount ${data.discount_id} not found or inactive` }]);
+        }
+
+        const definition = result.rows[0];
+        if (definition.scope === 'item' && !orderItem) {
+          throw createValidationError([{ field: 'order_item_id', message: `${definition.name} applies to an item; send order_item_id` }]);
+        }
+        if (definition.scope === 'order' && orderItem) {
+          throw createValidationError([{ field: 'order_item_id', message: `${definition.name} applies to the whole order` }]);
+        }
+        if (orderItem && !discountAppliesToItem(definition, orderItem)) {
+          throw createValidationError([{ field: 'order_item_id', message: `${definition.name} does not apply to ${orderItem.name}` }]);
+        }
+        if (!isWithinDiscountWindow(definition, new Date(order.created_at))) {
+          throw createConflictError(`${definition.name} only applies to orders placed during its happy hour`);
+        }
+
+        discount = { ...definition, discount_id: definition.id, order_item_id: data.order_item_id, reason: data.reason };
+      } else if (data.comp) {
+        discount = {
+          name: 'Comp',
+          discount_type: 'percentage',
+          value: 100,
+          is_comp: true,
+          order_item_id: data.order_item_id,
+          reason: data.reason
+        };
+      } else {
+        discount = {
+          name: 'Manager discount',
+          discount_type: data.discount_type,
+          value: data.value,
+          order_item_id: data.order_item_id,
+          reason: data.reason
+        };
+      }
+
+      const applied = await this.insertOrderDiscount(client, orderId, discount, user);
+      await this.recalculateOrder(client, orderId);
+
+      return {
+        discount: applied,
+        pricing: await this.getOrderPricing(orderId, client)
+      };
+    });
+  }
+
+  /**
+   * Remove a discount from an order and recalculate it
+   * @param {number} orderId - Order ID
+   * @param {number} orderDiscountId - order_discounts ID
+   * @returns {Promise<Object|null>} - Pricing, or null if the order or discount does not exist
+   */
+  static async removeOrderDiscount(orderId, orderDiscountId) {
+    return await DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockOpenOrder(client, orderId);
+      if (!order) {
+        return null;
+      }
+
+      const result = await client.query(
+        'DELETE FROM order_discounts WHERE id = $1 AND order_id = $2 RETURNING id',
+        [orderDiscountId, orderId]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await this.recalculateOrder(client, orderId);
+      return await this.getOrderPricing(orderId, client);
+    });
+  }
+}
+
+module.exports = {
+  PricingQueries
+};
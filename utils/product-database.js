@@ -5,23 +5,38 @@
  */
 
 const { DatabaseUtils } = require('./database');
+const { LocationQueries } = require('./location-database');
+const { LotQueries } = require('./lot-database');
+const { CostingQueries } = require('./costing-database');
+const { RecipeCostQueries } = require('./recipe-cost-database');
 const { Product } = require('../models/Product');
 
+// Products with the name of their home location
+const PRODUCT_SELECT = `
+  SELECT p.*, l.name AS location_name
+  FROM products p
+  LEFT JOIN storage_locations l ON l.id = p.location_id
+`;
+
 /**
  * Product-specific database operations
  */
 class ProductQueries {
   /**
    * Create a new product
+   * Without a location_id the product is kept at the first active location, which holds its opening stock.
+   * Opening stock is the product's first lot, at its cost and without an expiry date.
    * @param {Object} productData - Product data to create
    * @returns {Promise<Object>} - Created product with ID
    */
   static async createProduct(productData) {
     const query = `
       INSERT INTO products (name, description, unit_of_measure, current_quantity, 
-                           low_stock_threshold, cost_per_unit, supplier_info)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *
+                           low_stock_threshold, cost_per_unit, par_level, density_g_per_ml,
+                           piece_weight_g, category, location_id, supplier_info, lot_rotation)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+              COALESCE($11, (SELECT id FROM storage_locations WHERE active ORDER BY sort_order, id LIMIT 1)), $12, $13)
+      RETURNING id, current_quantity
     `;
     
     const params = [
@@ -31,22 +46,74 @@ class ProductQueries {
       productData.current_quantity,
       productData.low_stock_threshold || 10,
       productData.cost_per_unit || null,
-      productData.supplier_info || null
+      productData.par_level ?? null,
+      productData.density_g_per_ml || null,
+      productData.piece_weight_g || null,
+      productData.category || null,
+      productData.location_id || null,
+      productData.supplier_info || null,
+      productData.lot_rotation || 'fifo'
     ];
 
-    const result = await DatabaseUtils.query(query, params);
-    return new Product(result.rows[0]);
+    return DatabaseUtils.transaction(async (client) => {
+      const result = await client.query(query, params);
+      const created = result.rows[0];
+      if (parseFloat(created.current_quantity) !== 0) {
+        await LocationQueries.changeLocationStock(client, created.id, created.current_quantity);
+        await LotQueries.trackChange(client, created.id, created.current_quantity);
+      }
+
+      const product = await client.query(`${PRODUCT_SELECT} WHERE p.id = $1`, [created.id]);
+      return new Product(product.rows[0]);
+    });
+  }
+
+  /**
+   * Start a product query, limited to one location's products when a location is given
+   * A location's products are those it holds stock of or is home to. Selecting '*' returns each
+   * product with its home location's name and, for a location, location_quantity: what it holds there.
+   * quantityColumn is the quantity stock filters compare, the location's when there is one.
+   * @param {string} select - '*' for products, or an aggregate such as 'COUNT(*) as total'
+   * @param {number|null} locationId - Location ID
+   * @returns {Object} - { query, params, quantityColumn }
+   */
+  static buildProductQuery(select, locationId) {
+    if (!locationId) {
+      return {
+        query: `
+          SELECT ${select === '*' ? 'p.*, l.name AS location_name' : select}
+          FROM products p
+          LEFT JOIN storage_locations l ON l.id = p.location_id
+          WHERE 1=1
+        `,
+        params: [],
+        quantityColumn: 'p.current_quantity'
+      };
+    }
+
+    return {
+      query: `
+        SELECT ${select === '*' ? 'p.*, l.name AS location_name, COALESCE(ls.quantity, 0) AS location_quantity' : select}
+        FROM products p
+        LEFT JOIN storage_locations l ON l.id = p.location_id
+        LEFT JOIN location_stock ls ON ls.product_id = p.id AND ls.location_id = $1
+        WHERE (ls.id IS NOT NULL OR p.location_id = $1)
+      `,
+      params: [locationId],
+      quantityColumn: 'COALESCE(ls.quantity, 0)'
+    };
   }
 
   /**
    * Get products with optional filtering and pagination
-   * @param {Object} options - Query options (search, unit, page, limit, sortBy, sortOrder)
+   * @param {Object} options - Query options (search, unit, location_id, page, limit, sortBy, sortOrder)
    * @returns {Promise<Array>} - Array of products
    */
   static async getProducts(options = {}) {
     const { 
       search, 
       unit, 
+      location_id = null,
       lowStock = false,
       outOfStock = false,
       page = 1, 
@@ -57,36 +124,32 @@ class ProductQueries {
     
     const offset = (page - 1) * limit;
 
-    let query = `
-      SELECT * FROM products 
-      WHERE 1=1
-    `;
-    
-    const params = [];
-    let paramIndex = 1;
+    const { query: productQuery, params, quantityColumn } = this.buildProductQuery('*', location_id);
+    let query = productQuery;
+    let paramIndex = params.length + 1;
 
     // Add search filter (name or description)
     if (search) {
-      query += ` AND (name ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`;
+      query += ` AND (p.name ILIKE $${paramIndex} OR p.description ILIKE $${paramIndex})`;
       params.push(`%${search}%`);
       paramIndex++;
     }
 
     // Add unit filter
     if (unit) {
-      query += ` AND unit_of_measure = $${paramIndex}`;
+      query += ` AND p.unit_of_measure = $${paramIndex}`;
       params.push(unit);
       paramIndex++;
     }
 
     // Add low stock filter
     if (lowStock) {
-      query += ` AND current_quantity <= low_stock_threshold AND current_quantity > 0`;
+      query += ` AND ${quantityColumn} <= p.low_stock_threshold AND ${quantityColumn} > 0`;
     }
 
     // Add out of stock filter
     if (outOfStock) {
-      query += ` AND current_quantity = 0`;
+      query += ` AND ${quantityColumn} = 0`;
     }
 
     // Add sorting
@@ -96,7 +159,7 @@ class ProductQueries {
     const sortColumn = validSortColumns.includes(sortBy) ? sortBy : 'name';
     const sortDirection = validSortOrders.includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'ASC';
     
-    query += ` ORDER BY ${sortColumn} ${sortDirection}`;
+    query += ` ORDER BY ${sortColumn === 'current_quantity' ? quantityColumn : `p.${sortColumn}`} ${sortDirection}`;
 
     // Add pagination
     query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
@@ -112,7 +175,7 @@ class ProductQueries {
    * @returns {Promise<Object|null>} - Product data or null if not found
    */
   static async getProductById(productId) {
-    const query = 'SELECT * FROM products WHERE id = $1';
+    const query = `${PRODUCT_SELECT} WHERE p.id = $1`;
     const result = await DatabaseUtils.query(query, [productId]);
     
     if (result.rows.length === 0) {
@@ -148,17 +211,14 @@ class ProductQueries {
 
   /**
    * Update a product
+   * A new cost_per_unit is recorded as a revaluation of the stock on hand (see CostingQueries.revalueProduct).
+   * The product is locked for the whole update, so its location stock, lots, cost and recipe costs change
+   * together with it and concurrent edits work out their quantity change from the stock they replace.
    * @param {number} productId - Product ID to update
    * @param {Object} productData - Updated product data
    * @returns {Promise<Object|null>} - Updated product or null if not found
    */
   static async updateProduct(productId, productData) {
-    // Check if product exists
-    const existsResult = await DatabaseUtils.query('SELECT id FROM products WHERE id = $1', [productId]);
-    if (existsResult.rows.length === 0) {
-      return null;
-    }
-
     // Build dynamic update query based on provided fields
     const updateFields = [];
     const params = [];
@@ -194,9 +254,33 @@ class ProductQueries {
       paramIndex++;
     }
 
-    if (productData.cost_per_unit !== undefined) {
-      updateFields.push(`cost_per_unit = $${paramIndex}`);
-      params.push(productData.cost_per_unit);
+    if (productData.par_level !== undefined) {
+      updateFields.push(`par_level = $${paramIndex}`);
+      params.push(productData.par_level);
+      paramIndex++;
+    }
+
+    if (productData.density_g_per_ml !== undefined) {
+      updateFields.push(`density_g_per_ml = $${paramIndex}`);
+      params.push(productData.density_g_per_ml);
+      paramIndex++;
+    }
+
+    if (productData.piece_weight_g !== undefined) {
+      updateFields.push(`piece_weight_g = $${paramIndex}`);
+      params.push(productData.piece_weight_g);
+      paramIndex++;
+    }
+
+    if (productData.category !== undefined) {
+      updateFields.push(`category = $${paramIndex}`);
+      params.push(productData.category);
+      paramIndex++;
+    }
+
+    if (productData.location_id !== undefined && productData.location_id !== null) {
+      updateFields.push(`location_id = $${paramIndex}`);
+      params.push(productData.location_id);
       paramIndex++;
     }
 
@@ -206,14 +290,15 @@ class ProductQueries {
       paramIndex++;
     }
 
+    if (productData.lot_rotation !== undefined) {
+      updateFields.push(`lot_rotation = $${paramIndex}`);
+      params.push(productData.lot_rotation);
+      paramIndex++;
+    }
+
     // Always update the updated_at timestamp
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
 
-    if (updateFields.length === 1) { // Only updated_at was added
-      // No actual fields to update
-      return await this.getProductById(productId);
-    }
-
     const query = `
       UPDATE products 
       SET ${updateFields.join(', ')}
@@ -222,8 +307,40 @@ class ProductQueries {
     `;
     params.push(productId);
 
-    const result = await DatabaseUtils.query(query, params);
-    return new Product(result.rows[0]);
+    return DatabaseUtils.transaction(async (client) => {
+      const existsResult = await client.query('SELECT id, current_quantity FROM products WHERE id = $1 FOR UPDATE', [productId]);
+      if (existsResult.rows.length === 0) {
+        return null;
+      }
+
+      // A request with nothing but updated_at to set leaves the product as it is
+      if (updateFields.length > 1 || productData.cost_per_unit !== undefined) {
+        await client.query(query, params);
+
+        // An edited quantity is taken up or down at the product's home location, and added as a lot or
+        // taken from the lots in rotation order
+        const quantityChange = productData.current_quantity !== undefined
+          ? Math.round((parseFloat(productData.current_quantity) - parseFloat(existsResult.rows[0].current_quantity)) * 1000) / 1000
+          : 0;
+        if (quantityChange !== 0) {
+          await LocationQueries.changeLocationStock(client, productId, quantityChange);
+          await LotQueries.trackChange(client, productId, quantityChange);
+        }
+
+        // A changed cost revalues the stock on hand rather than rewriting its history
+        if (productData.cost_per_unit !== undefined) {
+          await CostingQueries.revalueProduct(client, productId, productData.cost_per_unit);
+        }
+
+        // Recipes measuring the product in other units cost it differently when its units change
+        if (['unit_of_measure', 'density_g_per_ml', 'piece_weight_g'].some(field => productData[field] !== undefined)) {
+          await RecipeCostQueries.recostProductRecipes(client, productId);
+        }
+      }
+
+      const product = await client.query(`${PRODUCT_SELECT} WHERE p.id = $1`, [productId]);
+      return new Product(product.rows[0]);
+    });
   }
 
   /**
@@ -239,34 +356,34 @@ class ProductQueries {
 
   /**
    * Get total count of products with optional filtering
-   * @param {Object} options - Query options (search, unit, lowStock, outOfStock)
+   * @param {Object} options - Query options (search, unit, location_id, lowStock, outOfStock)
    * @returns {Promise<number>} - Total count
    */
   static async getProductCount(options = {}) {
-    const { search, unit, lowStock = false, outOfStock = false } = options;
+    const { search, unit, location_id = null, lowStock = false, outOfStock = false } = options;
 
-    let query = 'SELECT COUNT(*) as total FROM products WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+    const { query: countQuery, params, quantityColumn } = this.buildProductQuery('COUNT(*) as total', location_id);
+    let query = countQuery;
+    let paramIndex = params.length + 1;
 
     if (search) {
-      query += ` AND (name ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`;
+      query += ` AND (p.name ILIKE $${paramIndex} OR p.description ILIKE $${paramIndex})`;
       params.push(`%${search}%`);
       paramIndex++;
     }
 
     if (unit) {
-      query += ` AND unit_of_measure = $${paramIndex}`;
+      query += ` AND p.unit_of_measure = $${paramIndex}`;
       params.push(unit);
       paramIndex++;
     }
 
     if (lowStock) {
-      query += ` AND current_quantity <= low_stock_threshold AND current_quantity > 0`;
+      query += ` AND ${quantityColumn} <= p.low_stock_threshold AND ${quantityColumn} > 0`;
     }
 
     if (outOfStock) {
-      query += ` AND current_quantity = 0`;
+      query += ` AND ${quantityColumn} = 0`;
     }
 
     const result = await DatabaseUtils.query(query, params);
@@ -275,34 +392,54 @@ class ProductQueries {
 
   /**
    * Get products with low stock (quantity <= threshold and > 0)
+   * @param {number|null} locationId - Only this location's products, by what it holds
    * @returns {Promise<Array>} - Array of low stock products
    */
-  static async getLowStockProducts() {
-    const query = `
-      SELECT * FROM products 
-      WHERE current_quantity <= low_stock_threshold AND current_quantity > 0
-      ORDER BY current_quantity ASC, name ASC
-    `;
+  static async getLowStockProducts(locationId = null) {
+    const { query, params, quantityColumn } = this.buildProductQuery('*', locationId);
     
-    const result = await DatabaseUtils.query(query);
+    const result = await DatabaseUtils.query(`
+      ${query}
+      AND ${quantityColumn} <= p.low_stock_threshold AND ${quantityColumn} > 0
+      ORDER BY ${quantityColumn} ASC, p.name ASC
+    `, params);
     return result.rows.map(row => new Product(row));
   }
 
   /**
    * Get products that are out of stock (quantity = 0)
+   * @param {number|null} locationId - Only this location's products, by what it holds
    * @returns {Promise<Array>} - Array of out of stock products
    */
-  static async getOutOfStockProducts() {
-    const query = `
-      SELECT * FROM products 
-      WHERE current_quantity = 0
-      ORDER BY name ASC
-    `;
+  static async getOutOfStockProducts(locationId = null) {
+    const { query, params, quantityColumn } = this.buildProductQuery('*', locationId);
     
-    const result = await DatabaseUtils.query(query);
+    const result = await DatabaseUtils.query(`
+      ${query}
+      AND ${quantityColumn} = 0
+      ORDER BY p.name ASC
+    `, params);
     return result.rows.map(row => new Product(row));
   }
 
+  /**
+   * Recipe ingredients that use a product, with the unit each recipe measures it in
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} - Array of { recipe_id, recipe_name, unit }
+   */
+  static async getRecipeIngredientUnits(productId) {
+    const query = `
+      SELECT DISTINCT r.id AS recipe_id, r.name AS recipe_name, ri.unit
+      FROM recipe_ingredients ri
+      JOIN recipes r ON r.id = ri.recipe_id
+      WHERE ri.product_id = $1 AND ri.quantity IS NOT NULL
+      ORDER BY r.name
+    `;
+
+    const result = await DatabaseUtils.query(query, [productId]);
+    return result.rows;
+  }
+
   /**
    * Get unique units of measure used in products
    * @returns {Promise<Array>} - Array of unit strings
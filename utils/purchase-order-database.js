@@ -0,0 +1,399 @@
+/**
+ * Database query utilities for purchase orders
+ * Orders are drafted, sent and then received into stock: every delivery writes 'restock' inventory
+ * transactions referencing the order and averages the price paid into each product's cost
+ */
+
+const { DatabaseUtils } = require('./database');
+const { AlertService } = require('./alert-service');
+const { LocationQueries } = require('./location-database');
+const { CostingQueries } = require('./costing-database');
+const {
+  receiptStatus,
+  orderTotal,
+  RECEIVABLE_STATUSES,
+  OPEN_PURCHASE_ORDER_STATUSES
+} = require('../models/PurchaseOrder');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+
+// Purchase orders with their supplier, who drafted them and their value
+const PURCHASE_ORDER_SELECT = `
+  SELECT po.*, s.name AS supplier_name, COALESCE(u.full_name, u.username) AS created_by_name,
+    COALESCE((
+      SELECT ROUND(SUM(l.quantity_ordered * l.unit_cost), 2)
+      FROM purchase_order_lines l WHERE l.purchase_order_id = po.id
+    ), 0) AS total
+  FROM purchase_orders po
+  JOIN suppliers s ON s.id = po.supplier_id
+  LEFT JOIN staff_users u ON u.id = po.created_by
+`;
+
+/**
+ * Purchase order database operations
+ */
+class PurchaseOrderQueries {
+  /**
+   * List purchase orders, newest first
+   * @param {Object} options - { status, supplier_id }
+   * @returns {Promise<Array>} - Purchase orders without their lines
+   */
+  static async getPurchaseOrders(options = {}) {
+    const conditions = [];
+    const params = [];
+    if (options.status) {
+      params.push(options.status);
+      conditions.push(`po.status = $${params.length}`);
+    }
+    if (options.supplier_id) {
+      params.push(options.supplier_id);
+      conditions.push(`po.supplier_id = $${params.length}`);
+    }
+
+    const result = await DatabaseUtils.query(`
+      ${PURCHASE_ORDER_SELECT}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY po.created_at DESC, po.id DESC
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a purchase order with its lines and the stock received against it
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - Purchase order or null if not found
+   */
+  static async getPurchaseOrderById(purchaseOrderId, db = DatabaseUtils) {
+    const result = await db.query(`${PURCHASE_ORDER_SELECT} WHERE po.id = $1`, [purchaseOrderId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const order = result.rows[0];
+    const lines = await db.query(`
+      SELECT l.*, p.name AS product_name, p.unit_of_measure, ps.supplier_sku, ps.pack_size
+      FROM purchase_order_lines l
+      JOIN products p ON p.id = l.product_id
+      LEFT JOIN product_suppliers ps ON ps.product_id = l.product_id AND ps.supplier_id = $2
+      WHERE l.purchase_order_id = $1
+      ORDER BY l.id
+    `, [order.id, order.supplier_id]);
+    const receipts = await db.query(`
+      SELECT t.*, p.name AS product_name
+      FROM inventory_transactions t
+      JOIN products p ON p.id = t.product_id
+      WHERE t.reference_type = 'purchase_order' AND t.reference_id = $1
+      ORDER BY t.created_at, t.id
+    `, [order.id]);
+
+    return { ...order, lines: lines.rows, receipts: receipts.rows };
+  }
+
+  /**
+   * Lock a purchase order for the rest of the transaction
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @returns {Promise<Object|null>} - Purchase order row or null if not found
+   */
+  static async lockPurchaseOrder(client, purchaseOrderId) {
+    const result = await client.query('SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE', [purchaseOrderId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Require an order's supplier to exist and be active
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} supplierId - Supplier ID
+   * @returns {Promise<Object>} - Supplier row
+   */
+  static async assertSupplierActive(client, supplierId) {
+    const result = await client.query('SELECT * FROM suppliers WHERE id = $1', [supplierId]);
+    if (result.rows.length === 0 || !result.rows[0].active) {
+      throw createValidationError([{ field: 'supplier_id', message: 'Supplier not found or inactive' }]);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Replace a draft order's lines
+   * A line without a unit cost is priced from the supplier's pack cost, or else the product's current cost
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} order - Purchase order row
+   * @param {Array} lines - [{ product_id, quantity_ordered, unit_cost }]
+   */
+  static async replaceLines(client, order, lines) {
+    const productIds = lines.map(line => line.product_id);
+    const products = await client.query(`
+      SELECT p.id, p.cost_per_unit, ps.pack_size, ps.pack_cost
+      FROM products p
+      LEFT JOIN product_suppliers ps ON ps.product_id = p.id AND ps.supplier_id = $2
+      WHERE p.id = ANY($1::integer[])
+    `, [productIds, order.supplier_id]);
+    const known = new Map(products.rows.map(row => [row.id, row]));
+    const missing = productIds.filter(productId => !known.has(productId));
+    if (missing.length > 0) {
+      throw createValidationError([{ field: 'lines', message: `Products not found: ${missing.join(', ')}` }]);
+    }
+
+    await client.query('DELETE FROM purchase_order_lines WHERE purchase_order_id = $1', [order.id]);
+    for (const line of lines) {
+      const product = known.get(line.product_id);
+      let unitCost = line.unit_cost;
+      if (unitCost === undefined || unitCost === null) {
+        unitCost = product.pack_cost !== null && product.pack_cost !== undefined
+          ? Math.round(parseFloat(product.pack_cost) / parseFloat(product.pack_size) * 10000) / 10000
+          : parseFloat(product.cost_per_unit || 0);
+      }
+
+      await client.query(`
+        INSERT INTO purchase_order_lines (purchase_order_id, product_id, quantity_ordered, unit_cost)
+        VALUES ($1, $2, $3, $4)
+      `, [order.id, line.product_id, line.quantity_ordered, unitCost]);
+    }
+  }
+
+  /**
+   * Draft a purchase order
+   * @param {Object} data - { supplier_id, expected_at, notes, lines }
+   * @param {Object|null} user - Staff user drafting the order
+   * @returns {Promise<Object>} - New purchase order with its lines
+   */
+  static async createPurchaseOrder(data, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      await this.assertSupplierActive(client, data.supplier_id);
+
+      const result = await client.query(`
+        INSERT INTO purchase_orders (supplier_id, expected_at, notes, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [data.supplier_id, data.expected_at || null, data.notes || null, user ? user.id : null]);
+      const order = result.rows[0];
+
+      await this.replaceLines(client, order, data.lines);
+      return this.getPurchaseOrderById(order.id, client);
+    });
+  }
+
+  /**
+   * Change a draft purchase order
+   * Returns 409 once the order has been sent
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} data - { supplier_id, expected_at, notes, lines (replace the order's lines) }
+   * @returns {Promise<Object|null>} - Updated purchase order or null if not found
+   */
+  static async updatePurchaseOrder(purchaseOrderId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockPurchaseOrder(client, purchaseOrderId);
+      if (!order) {
+        return null;
+      }
+      if (order.status !== 'draft') {
+        throw createConflictError(`Purchase order ${order.id} is ${order.status}; only drafts can be changed`);
+      }
+
+      const supplierId = data.supplier_id !== undefined ? data.supplier_id : order.supplier_id;
+      if (supplierId !== order.supplier_id) {
+        await this.assertSupplierActive(client, supplierId);
+      }
+
+      const result = await client.query(`
+        UPDATE purchase_orders
+        SET supplier_id = $1, expected_at = $2, notes = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING *
+      `, [
+        supplierId,
+        data.expected_at !== undefined ? data.expected_at : order.expected_at,
+        data.notes !== undefined ? data.notes : order.notes,
+        order.id
+      ]);
+
+      if (data.lines) {
+        await this.replaceLines(client, result.rows[0], data.lines);
+      }
+      return this.getPurchaseOrderById(order.id, client);
+    });
+  }
+
+  /**
+   * Mark a draft purchase order as sent to its supplier
+   * The order must reach the supplier's minimum order amount; without an expected date it is
+   * expected after the supplier's lead time
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @returns {Promise<Object|null>} - Sent purchase order or null if not found
+   */
+  static async sendPurchaseOrder(purchaseOrderId) {
+    return DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockPurchaseOrder(client, purchaseOrderId);
+      if (!order) {
+        return null;
+      }
+      if (order.status !== 'draft') {
+        throw createConflictError(`Purchase order ${order.id} is ${order.status}; only drafts can be sent`);
+      }
+
+      const supplier = await this.assertSupplierActive(client, order.supplier_id);
+      const lines = await client.query(
+        'SELECT quantity_ordered, unit_cost FROM purchase_order_lines WHERE purchase_order_id = $1',
+        [order.id]
+      );
+      if (lines.rows.length === 0) {
+        throw createValidationError([{ field: 'lines', message: 'Add at least one line before sending' }]);
+      }
+      const total = orderTotal(lines.rows);
+      const minimum = parseFloat(supplier.minimum_order_amount);
+      if (total < minimum) {
+        throw createConflictError(
+          `Order total of ${total.toFixed(2)} is below ${supplier.name}'s minimum order of ${minimum.toFixed(2)}`
+        );
+      }
+
+      await client.query(`
+        UPDATE purchase_orders
+        SET status = 'sent', sent_at = CURRENT_TIMESTAMP,
+            expected_at = COALESCE(expected_at, CURRENT_DATE + $1::integer), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [supplier.lead_time_days, order.id]);
+
+      return this.getPurchaseOrderById(order.id, client);
+    });
+  }
+
+  /**
+   * Receive a delivery against a sent purchase order
+   * Each line received is added to stock as a 'restock' transaction referencing the order, costed at the
+   * price paid, which is averaged into the product's cost_per_unit. No line can be received beyond what was ordered.
+   * The order becomes partially_received, or received once every line has arrived in full.
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {Object} data - { lines: [{ line_id, quantity_received, unit_cost, expires_on, lot_code }], notes }
+   * @returns {Promise<Object|null>} - { purchase_order, transactions } or null if not found
+   */
+  static async receivePurchaseOrder(purchaseOrderId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockPurchaseOrder(client, purchaseOrderId);
+      if (!order) {
+        return null;
+      }
+      if (!RECEIVABLE_STATUSES.includes(order.status)) {
+        throw createConflictError(
+          `Purchase order ${order.id} is ${order.status}; deliveries can only be received against sent orders`
+        );
+      }
+
+      const linesResult = await client.query(`
+        SELECT l.*, p.name AS product_name
+        FROM purchase_order_lines l
+        JOIN products p ON p.id = l.product_id
+        WHERE l.purchase_order_id = $1
+        ORDER BY l.id
+        FOR UPDATE OF l
+      `, [order.id]);
+      const lines = new Map(linesResult.rows.map(line => [line.id, line]));
+
+      const missing = data.lines.filter(receipt => !lines.has(receipt.line_id)).map(receipt => receipt.line_id);
+      if (missing.length > 0) {
+        throw createValidationError([{ field: 'lines', message: `Lines not on this order: ${missing.join(', ')}` }]);
+      }
+      const errors = [];
+      data.lines.forEach((receipt, index) => {
+        const line = lines.get(receipt.line_id);
+        const remaining = Math.round((parseFloat(line.quantity_ordered) - parseFloat(line.quantity_received)) * 1000) / 1000;
+        if (receipt.quantity_received > remaining) {
+          errors.push({
+            field: `lines[${index}].quantity_received`,
+            message: `Only ${remaining} of ${line.product_name} remain to be received`
+          });
+        }
+      });
+      if (errors.length > 0) {
+        throw createValidationError(errors);
+      }
+
+      const transactions = [];
+      for (const receipt of data.lines) {
+        const line = lines.get(receipt.line_id);
+        const unitCost = receipt.unit_cost !== undefined && receipt.unit_cost !== null
+          ? receipt.unit_cost
+          : parseFloat(line.unit_cost);
+
+        // Deliveries are put away at the product's home location
+        const locationId = await LocationQueries.changeLocationStock(client, line.product_id, receipt.quantity_received);
+        const transaction = await client.query(`
+          INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, reference_type, reference_id, notes, location_id)
+          VALUES ($1, 'restock', $2, 'purchase_order', $3, $4, $5)
+          RETURNING *
+        `, [
+          line.product_id,
+          receipt.quantity_received,
+          order.id,
+          `Received on purchase order #${order.id} at ${unitCost.toFixed(4)} per unit${data.notes ? `: ${data.notes}` : ''}`,
+          locationId
+        ]);
+        transactions.push(transaction.rows[0]);
+
+        // Each line received is a lot at the price paid, which moves the product's average cost
+        await CostingQueries.recordTransaction(client, transaction.rows[0], {
+          unit_cost: unitCost,
+          expires_on: receipt.expires_on,
+          lot_code: receipt.lot_code
+        });
+
+        const updated = await client.query(`
+          UPDATE products
+          SET current_quantity = current_quantity + $1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+          RETURNING *
+        `, [receipt.quantity_received, line.product_id]);
+        AlertService.publishStockChange(client, updated.rows[0], receipt.quantity_received);
+
+        line.quantity_received = parseFloat(line.quantity_received) + receipt.quantity_received;
+        await client.query(
+          'UPDATE purchase_order_lines SET quantity_received = $1 WHERE id = $2',
+          [line.quantity_received, line.id]
+        );
+      }
+
+      const status = receiptStatus([...lines.values()]);
+      await client.query(`
+        UPDATE purchase_orders
+        SET status = $1, received_at = CASE WHEN $1 = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [status, order.id]);
+
+      return { purchase_order: await this.getPurchaseOrderById(order.id, client), transactions };
+    });
+  }
+
+  /**
+   * Cancel an open purchase order
+   * Stock already received against it stays in stock
+   * @param {number} purchaseOrderId - Purchase order ID
+   * @param {string} reason - Why the order was cancelled
+   * @returns {Promise<Object|null>} - Cancelled purchase order or null if not found
+   */
+  static async cancelPurchaseOrder(purchaseOrderId, reason) {
+    return DatabaseUtils.transaction(async (client) => {
+      const order = await this.lockPurchaseOrder(client, purchaseOrderId);
+      if (!order) {
+        return null;
+      }
+      if (!OPEN_PURCHASE_ORDER_STATUSES.includes(order.status)) {
+        throw createConflictError(`Purchase order ${order.id} is already ${order.status}`);
+      }
+
+      await client.query(`
+        UPDATE purchase_orders
+        SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $1,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [reason.trim(), order.id]);
+
+      return this.getPurchaseOrderById(order.id, client);
+    });
+  }
+}
+
+module.exports = {
+  PurchaseOrderQueries
+};
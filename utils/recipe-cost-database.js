@@ -0,0 +1,226 @@
+/**
+ * Database query utilities for recipe costing and menu pricing
+ * A recipe's cost per serving is recalculated whenever the recipe is saved or the cost or units of a
+ * product it uses change, and every change is kept in recipe_cost_history. Menu items made from a recipe
+ * take its cost per serving, and their profit_margin is kept at the margin their price actually makes.
+ */
+
+const { DatabaseUtils } = require('./database');
+const {
+  DEFAULT_TARGET_FOOD_COST_PERCENT,
+  costRecipe,
+  priceRecommendation
+} = require('../models/RecipeCost');
+const { roundCost } = require('../models/Costing');
+
+/**
+ * Food cost percentage menu items without their own target are priced for
+ * @returns {number} - MENU_TARGET_FOOD_COST_PERCENT, default 30
+ */
+function getTargetFoodCostPercent() {
+  const percent = parseFloat(process.env.MENU_TARGET_FOOD_COST_PERCENT);
+  return percent > 0 && percent < 100 ? percent : DEFAULT_TARGET_FOOD_COST_PERCENT;
+}
+
+/**
+ * Cost history entries returned with a recipe's cost
+ */
+const COST_HISTORY_LIMIT = 20;
+
+/**
+ * Recipe costing database operations
+ */
+class RecipeCostQueries {
+  /**
+   * Get the ingredients one serving of a recipe uses, with their products' units and costs
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @param {number} recipeId - Recipe ID
+   * @returns {Promise<Array>} - Ingredient rows for costRecipe
+   */
+  static async getServingIngredients(db, recipeId) {
+    const result = await db.query(`
+      SELECT
+        ri.product_id,
+        ri.quantity / COALESCE(NULLIF(r.servings, 0), 1) AS quantity_per_serving,
+        ri.unit AS ingredient_unit,
+        p.name AS product_name,
+        p.unit_of_measure,
+        p.density_g_per_ml,
+        p.piece_weight_g,
+        p.cost_per_unit
+      FROM recipe_ingredients ri
+      JOIN recipes r ON ri.recipe_id = r.id
+      JOIN products p ON ri.product_id = p.id
+      WHERE ri.recipe_id = $1 AND ri.quantity IS NOT NULL
+      ORDER BY ri.order_index
+    `, [recipeId]);
+    return result.rows;
+  }
+
+  /**
+   * Recalculate a recipe's cost per serving
+   * When the cost has changed it is stored on the recipe and its menu items and added to the cost history
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} recipeId - Recipe ID
+   * @param {string} reason - Why the cost is being recalculated (see COST_CHANGE_REASONS)
+   * @param {number|null} productId - Product whose cost or units changed, for 'product_cost'
+   * @returns {Promise<Object|null>} - { recipe_id, cost_per_serving, previous_cost }, or null if unchanged
+   */
+  static async recostRecipe(client, recipeId, reason, productId = null) {
+    const recipeResult = await client.query(
+      'SELECT cost_per_serving FROM recipes WHERE id = $1 FOR UPDATE',
+      [recipeId]
+    );
+    if (recipeResult.rows.length === 0) {
+      return null;
+    }
+
+    const previous = recipeResult.rows[0].cost_per_serving;
+    const previousCost = previous === null || previous === undefined ? null : roundCost(parseFloat(previous));
+    const { cost_per_serving: cost } = costRecipe(await this.getServingIngredients(client, recipeId));
+    if (cost === previousCost) {
+      return null;
+    }
+
+    await client.query(
+      'UPDATE recipes SET cost_per_serving = $1, cost_updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [cost, recipeId]
+    );
+    await client.query(`
+      INSERT INTO recipe_cost_history (recipe_id, cost_per_serving, previous_cost, reason, product_id)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [recipeId, cost, previousCost, reason, productId]);
+    await client.query(`
+      UPDATE menu_items
+      SET cost_per_serving = ROUND($1::numeric, 2),
+          profit_margin = CASE WHEN price > 0 THEN ROUND((price - ROUND($1::numeric, 2)) / price, 2) ELSE profit_margin END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE recipe_id = $2
+    `, [cost, recipeId]);
+
+    return { recipe_id: recipeId, cost_per_serving: cost, previous_cost: previousCost };
+  }
+
+  /**
+   * Recalculate the cost of every recipe that uses a product
+   * Call after the product's cost or units change, inside the same transaction
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} - Recipes whose cost changed
+   */
+  static async recostProductRecipes(client, productId) {
+    const result = await client.query(
+      'SELECT DISTINCT recipe_id FROM recipe_ingredients WHERE product_id = $1 ORDER BY recipe_id',
+      [productId]
+    );
+
+    const changed = [];
+    for (const row of result.rows) {
+      const change = await this.recostRecipe(client, row.recipe_id, 'product_cost', productId);
+      if (change) {
+        changed.push(change);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Recalculate the cost of every recipe
+   * @returns {Promise<Array>} - Recipes whose cost changed
+   */
+  static async recalculateAll() {
+    return DatabaseUtils.transaction(async (client) => {
+      const result = await client.query('SELECT id FROM recipes ORDER BY id');
+
+      const changed = [];
+      for (const row of result.rows) {
+        const change = await this.recostRecipe(client, row.id, 'recalculated');
+        if (change) {
+          changed.push(change);
+        }
+      }
+      return changed;
+    });
+  }
+
+  /**
+   * Get a recipe's cost per serving, ingredient by ingredient, with its cost history and menu items
+   * @param {number} recipeId - Recipe ID
+   * @returns {Promise<Object|null>} - { recipe_id, name, servings, cost_per_serving, cost_updated_at,
+   *   ingredients, problems, history, menu_items }, or null if not found
+   */
+  static async getRecipeCost(recipeId) {
+    const recipeResult = await DatabaseUtils.query(
+      'SELECT id, name, servings, cost_per_serving, cost_updated_at FROM recipes WHERE id = $1',
+      [recipeId]
+    );
+    if (recipeResult.rows.length === 0) {
+      return null;
+    }
+    const recipe = recipeResult.rows[0];
+
+    const costing = costRecipe(await this.getServingIngredients(DatabaseUtils, recipeId));
+    const historyResult = await DatabaseUtils.query(`
+      SELECT h.*, p.name AS product_name
+      FROM recipe_cost_history h
+      LEFT JOIN products p ON h.product_id = p.id
+      WHERE h.recipe_id = $1
+      ORDER BY h.recorded_at DESC, h.id DESC
+      LIMIT $2
+    `, [recipeId, COST_HISTORY_LIMIT]);
+    const menuResult = await DatabaseUtils.query(
+      'SELECT id, name, price, cost_per_serving, target_food_cost_percent FROM menu_items WHERE recipe_id = $1 ORDER BY name',
+      [recipeId]
+    );
+
+    return {
+      recipe_id: recipe.id,
+      name: recipe.name,
+      servings: recipe.servings,
+      cost_per_serving: costing.cost_per_serving,
+      cost_updated_at: recipe.cost_updated_at,
+      ingredients: costing.ingredients,
+      problems: costing.problems,
+      history: historyResult.rows,
+      menu_items: menuResult.rows.map(item => this.priceMenuItem(item))
+    };
+  }
+
+  /**
+   * Price every menu item against its target food cost
+   * @param {Object} options - { below_target: only items whose margin has slipped below target }
+   * @returns {Promise<Object>} - { target_food_cost_percent (the default), items, below_target_count }
+   */
+  static async getMenuPricing(options = {}) {
+    const result = await DatabaseUtils.query(`
+      SELECT mi.id, mi.name, mi.category, mi.price, mi.cost_per_serving, mi.target_food_cost_percent,
+             mi.recipe_id, r.name AS recipe_name, r.cost_updated_at
+      FROM menu_items mi
+      LEFT JOIN recipes r ON mi.recipe_id = r.id
+      ORDER BY mi.category, mi.name
+    `);
+
+    const items = result.rows.map(item => this.priceMenuItem(item));
+    const belowTarget = items.filter(item => item.below_target);
+    return {
+      target_food_cost_percent: getTargetFoodCostPercent(),
+      items: options.below_target ? belowTarget : items,
+      below_target_count: belowTarget.length
+    };
+  }
+
+  /**
+   * Add a menu item's food cost, margin and suggested price
+   * @param {Object} item - menu_items row with price, cost_per_serving and target_food_cost_percent
+   * @returns {Object} - The item with priceRecommendation's fields
+   */
+  static priceMenuItem(item) {
+    const target = item.target_food_cost_percent ?? getTargetFoodCostPercent();
+    return { ...item, ...priceRecommendation(item, target) };
+  }
+}
+
+module.exports = {
+  RecipeCostQueries,
+  getTargetFoodCostPercent
+};
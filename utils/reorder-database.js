@@ -0,0 +1,150 @@
+/**
+ * Database query utilities for reorder suggestions
+ * Reads each product's recent sale and waste transactions, what is still on order and who it is bought
+ * from, and turns them into suggested order quantities grouped by supplier
+ */
+
+const { DatabaseUtils } = require('./database');
+const { PurchaseOrderQueries } = require('./purchase-order-database');
+const { OPEN_PURCHASE_ORDER_STATUSES } = require('../models/PurchaseOrder');
+const {
+  suggestReorder,
+  groupBySupplier,
+  DEFAULT_LOOKBACK_DAYS,
+  DEFAULT_COVER_DAYS
+} = require('../models/Reorder');
+const { createValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Reorder suggestion operations
+ */
+class ReorderQueries {
+  /**
+   * Products with their usage over the lookback window, quantity on order and the supplier they
+   * would be ordered from: the preferred supplier, otherwise the first active supplier that sells them
+   * @param {number} lookbackDays - Days of transactions to read
+   * @returns {Promise<Array>} - Product rows with consumed, on_order and supplier columns
+   */
+  static async getReorderData(lookbackDays) {
+    const result = await DatabaseUtils.query(`
+      SELECT p.id, p.name, p.unit_of_measure, p.current_quantity, p.low_stock_threshold, p.par_level,
+        p.cost_per_unit,
+        COALESCE(used.consumed, 0) AS consumed,
+        COALESCE(ordered.on_order, 0) AS on_order,
+        supplier.supplier_id, supplier.supplier_name, supplier.lead_time_days, supplier.minimum_order_amount,
+        supplier.pack_size, supplier.pack_cost, supplier.supplier_sku
+      FROM products p
+      LEFT JOIN (
+        SELECT product_id, -SUM(quantity_change) AS consumed
+        FROM inventory_transactions
+        WHERE transaction_type IN ('sale', 'waste')
+          AND created_at >= CURRENT_TIMESTAMP - make_interval(days => $1)
+        GROUP BY product_id
+      ) used ON used.product_id = p.id
+      LEFT JOIN (
+        SELECT l.product_id, SUM(GREATEST(l.quantity_ordered - l.quantity_received, 0)) AS on_order
+        FROM purchase_order_lines l
+        JOIN purchase_orders po ON po.id = l.purchase_order_id
+        WHERE po.status = ANY($2::varchar[])
+        GROUP BY l.product_id
+      ) ordered ON ordered.product_id = p.id
+      LEFT JOIN LATERAL (
+        SELECT s.id AS supplier_id, s.name AS supplier_name, s.lead_time_days, s.minimum_order_amount,
+          ps.pack_size, ps.pack_cost, ps.supplier_sku
+        FROM product_suppliers ps
+        JOIN suppliers s ON s.id = ps.supplier_id
+        WHERE ps.product_id = p.id AND s.active
+        ORDER BY ps.is_preferred DESC, s.name
+        LIMIT 1
+      ) supplier ON TRUE
+      ORDER BY p.name
+    `, [lookbackDays, OPEN_PURCHASE_ORDER_STATUSES]);
+    return result.rows;
+  }
+
+  /**
+   * Suggested orders for every product at or below its reorder point
+   * @param {Object} options - { lookback_days, cover_days }
+   * @returns {Promise<Object>} - { lookback_days, cover_days, product_count, urgent_count, suppliers }
+   */
+  static async getSuggestions(options = {}) {
+    const lookbackDays = options.lookback_days || DEFAULT_LOOKBACK_DAYS;
+    const coverDays = options.cover_days !== undefined ? options.cover_days : DEFAULT_COVER_DAYS;
+    const rows = await this.getReorderData(lookbackDays);
+
+    const lines = [];
+    for (const row of rows) {
+      const suggestion = suggestReorder(row, { lookback_days: lookbackDays, cover_days: coverDays });
+      if (suggestion.suggested_quantity <= 0) {
+        continue;
+      }
+
+      const unitCost = row.pack_cost !== null && row.pack_cost !== undefined
+        ? parseFloat(row.pack_cost) / parseFloat(row.pack_size)
+        : parseFloat(row.cost_per_unit || 0);
+      lines.push({
+        product_id: row.id,
+        product_name: row.name,
+        unit_of_measure: row.unit_of_measure,
+        current_quantity: parseFloat(row.current_quantity),
+        low_stock_threshold: row.low_stock_threshold,
+        par_level: row.par_level !== null ? parseFloat(row.par_level) : null,
+        on_order: parseFloat(row.on_order),
+        ...suggestion,
+        supplier_id: row.supplier_id,
+        supplier_name: row.supplier_name,
+        supplier_sku: row.supplier_sku,
+        lead_time_days: row.lead_time_days,
+        minimum_order_amount: row.minimum_order_amount,
+        pack_size: row.pack_size !== null && row.pack_size !== undefined ? parseFloat(row.pack_size) : 1,
+        estimated_cost: Math.round(suggestion.suggested_quantity * unitCost * 100) / 100
+      });
+    }
+
+    return {
+      lookback_days: lookbackDays,
+      cover_days: coverDays,
+      product_count: lines.length,
+      urgent_count: lines.filter(line => line.urgent).length,
+      suppliers: groupBySupplier(lines)
+    };
+  }
+
+  /**
+   * Draft a purchase order for a supplier's suggested lines
+   * The suggestions are worked out again here so the order reflects current stock
+   * @param {Object} data - { supplier_id, product_ids (optional, default all suggested), lookback_days, cover_days }
+   * @param {Object|null} user - Staff user drafting the order
+   * @returns {Promise<Object>} - New purchase order with its lines
+   */
+  static async createPurchaseOrderFromSuggestions(data, user) {
+    const suggestions = await this.getSuggestions(data);
+    const group = suggestions.suppliers.find(candidate => candidate.supplier_id === data.supplier_id);
+    if (!group) {
+      throw createValidationError([{ field: 'supplier_id', message: 'Nothing needs to be reordered from this supplier' }]);
+    }
+
+    let lines = group.lines;
+    if (data.product_ids) {
+      const suggested = new Set(lines.map(line => line.product_id));
+      const missing = data.product_ids.filter(productId => !suggested.has(productId));
+      if (missing.length > 0) {
+        throw createValidationError([{
+          field: 'product_ids',
+          message: `Products not suggested for this supplier: ${missing.join(', ')}`
+        }]);
+      }
+      lines = lines.filter(line => data.product_ids.includes(line.product_id));
+    }
+
+    return PurchaseOrderQueries.createPurchaseOrder({
+      supplier_id: group.supplier_id,
+      notes: `Drafted from reorder suggestions (${suggestions.lookback_days} days of usage)`,
+      lines: lines.map(line => ({ product_id: line.product_id, quantity_ordered: line.suggested_quantity }))
+    }, user);
+  }
+}
+
+module.exports = {
+  ReorderQueries
+};
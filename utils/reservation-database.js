@@ -0,0 +1,549 @@
+/**
+ * Database query utilities for reservations
+ * Books, changes, cancels and seats reservations, picks tables by capacity and holds each
+ * booking's tables ('reserved') shortly before it starts
+ */
+
+const { DatabaseUtils } = require('./database');
+const {
+  Reservation,
+  chooseTables,
+  ACTIVE_RESERVATION_STATUSES,
+  DEFAULT_DURATION_MINUTES
+} = require('../models/Reservation');
+const { CheckQueries, tableEvent } = require('./check-database');
+const { EventBus } = require('./event-bus');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+
+const DEFAULT_HOLD_MINUTES = 30;
+const DEFAULT_NO_SHOW_MINUTES = 20;
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+/**
+ * How long before a booking its tables are set to reserved
+ * @returns {number} - RESERVATION_HOLD_MINUTES, default 30
+ */
+function getHoldMinutes() {
+  const minutes = parseInt(process.env.RESERVATION_HOLD_MINUTES);
+  return minutes >= 0 ? minutes : DEFAULT_HOLD_MINUTES;
+}
+
+/**
+ * How late a party can be before the booking is marked a no-show and its tables released
+ * @returns {number} - RESERVATION_NO_SHOW_MINUTES, default 20
+ */
+function getNoShowMinutes() {
+  const minutes = parseInt(process.env.RESERVATION_NO_SHOW_MINUTES);
+  return minutes > 0 ? minutes : DEFAULT_NO_SHOW_MINUTES;
+}
+
+// Reservations with their tables and how many times the same phone number has not shown up before
+const RESERVATION_SELECT = `
+  SELECT r.*,
+    COALESCE(
+      json_agg(json_build_object('id', t.id, 'table_number', t.table_number, 'capacity', t.capacity)
+        ORDER BY t.table_number) FILTER (WHERE t.id IS NOT NULL),
+      '[]'
+    ) AS tables,
+    (SELECT COUNT(*) FROM reservations missed
+     WHERE missed.phone = r.phone AND missed.status = 'no_show' AND missed.id <> r.id) AS no_show_count
+  FROM reservations r
+  LEFT JOIN reservation_tables rt ON rt.reservation_id = r.id
+  LEFT JOIN tables t ON t.id = rt.table_id
+`;
+
+/**
+ * Payload of a reservation.changed event
+ * @param {number} reservationId - Reservation ID
+ * @param {string} status - New status
+ * @returns {Object}
+ */
+function reservationEvent(reservationId, status) {
+  return { reservation_id: reservationId, status };
+}
+
+/**
+ * Reservation database operations
+ * Every change that books or frees tables locks the table rows first, so two bookings cannot be
+ * given the same table and bookings cannot deadlock with each other
+ */
+class ReservationQueries {
+  /**
+   * List reservations with their tables
+   * @param {Object} options - { date: 'YYYY-MM-DD', status }
+   * @returns {Promise<Array<Reservation>>} - Reservations in start time order
+   */
+  static async getReservations({ date = null, status = null } = {}) {
+    const result = await DatabaseUtils.query(`
+      ${RESERVATION_SELECT}
+      WHERE ($1::date IS NULL OR r.reserved_for::date = $1::date)
+        AND ($2::varchar IS NULL OR r.status = $2)
+      GROUP BY r.id
+      ORDER BY r.reserved_for, r.id
+    `, [date, status]);
+
+    return result.rows.map(row => new Reservation(row));
+  }
+
+  /**
+   * Get a reservation with its tables
+   * @param {number} reservationId - Reservation ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Reservation|null>} - Reservation or null if not found
+   */
+  static async getReservationById(reservationId, db = DatabaseUtils) {
+    const result = await db.query(`
+      ${RESERVATION_SELECT}
+      WHERE r.id = $1
+      GROUP BY r.id
+    `, [reservationId]);
+
+    return result.rows.length > 0 ? new Reservation(result.rows[0]) : null;
+  }
+
+  /**
+   * Lock every table row for the rest of the transaction
+   * @param {Object} client - Database client inside a transaction
+   */
+  static async lockTables(client) {
+    await client.query('SELECT id FROM tables ORDER BY id FOR UPDATE');
+  }
+
+  /**
+   * Lock a reservation for update and require it to still be booked
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} reservationId - Reservation ID
+   * @returns {Promise<Object|null>} - Reservation row with table_ids, or null if not found
+   */
+  static async lockBookedReservation(client, reservationId) {
+    const result = await client.query('SELECT * FROM reservations WHERE id = $1 FOR UPDATE', [reservationId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const reservation = result.rows[0];
+    if (reservation.status !== 'booked') {
+      throw createConflictError(`Reservation ${reservationId} is ${reservation.status}`);
+    }
+
+    const tablesResult = await client.query(
+      'SELECT table_id FROM reservation_tables WHERE reservation_id = $1 ORDER BY id',
+      [reservationId]
+    );
+    return { ...reservation, table_ids: tablesResult.rows.map(row => row.table_id) };
+  }
+
+  /**
+   * Tables not booked by another reservation during a time window
+   * Bookings starting within the hold window also skip tables that are occupied or being cleaned now
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @param {Date} start - Booking start
+   * @param {number} durationMinutes - Booking length
+   * @param {number|null} excludeReservationId - Reservation being changed, whose own tables count as free
+   * @returns {Promise<Array>} - Tables { id, table_number, capacity, status }
+   */
+  static async getFreeTables(db, start, durationMinutes, excludeReservationId = null) {
+    const startsSoon = start.getTime() - Date.now() <= getHoldMinutes() * 60 * 1000;
+    const result = await db.query(`
+      SELECT t.id, t.table_number, t.capacity, t.status
+      FROM tables t
+      WHERE t.retired_at IS NULL
+        AND (NOT $4::boolean OR t.status IN ('available', 'reserved'))
+        AND NOT EXISTS (
+          SELECT 1
+          FROM reservation_tables rt
+          JOIN reservations r ON r.id = rt.reservation_id
+          WHERE rt.table_id = t.id
+            AND r.status = ANY($5::varchar[])
+            AND r.id IS DISTINCT FROM $3::integer
+            AND r.reserved_for < $1::timestamp + make_interval(mins => $2::integer)
+            AND $1::timestamp < r.reserved_for + make_interval(mins => r.duration_minutes)
+        )
+      ORDER BY t.table_number
+    `, [start, durationMinutes, excludeReservationId, startsSoon, ACTIVE_RESERVATION_STATUSES]);
+
+    return result.rows;
+  }
+
+  /**
+   * Work out the tables for a booking
+   * Tables chosen by hand must be free and seat the party; otherwise the preferred tables are kept
+   * while they are still free and big enough, and new ones are picked by capacity when they are not
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} booking - { party_size, reserved_for (Date), duration_minutes, table_ids }
+   * @param {number|null} reservationId - Reservation being changed
+   * @param {Array<number>} preferredTableIds - Tables the reservation already has
+   * @returns {Promise<Array>} - Tables for the booking
+   */
+  static async assignTables(client, booking, reservationId = null, preferredTableIds = []) {
+    const free = await this.getFreeTables(client, booking.reserved_for, booking.duration_minutes, reservationId);
+    const seats = (tables) => tables.reduce((sum, table) => sum + table.capacity, 0);
+
+    if (booking.table_ids) {
+      const tables = booking.table_ids.map(tableId => free.find(table => table.id === tableId));
+      const takenIds = booking.table_ids.filter((tableId, index) => !tables[index]);
+
+      if (takenIds.length > 0) {
+        const known = await client.query(
+          'SELECT id, table_number FROM tables WHERE id = ANY($1::integer[]) ORDER BY table_number',
+          [takenIds]
+        );
+        if (known.rows.length < takenIds.length) {
+          throw createValidationError([{ field: 'table_ids', message: 'Table not found' }]);
+        }
+        throw createConflictError(
+          'Tables are already booked or in use at that time',
+          known.rows.map(table => ({ table_id: table.id, table_number: table.table_number }))
+        );
+      }
+
+      if (seats(tables) < booking.party_size) {
+        throw createValidationError([{
+          field: 'table_ids',
+          message: `The chosen tables seat ${seats(tables)}; the party is ${booking.party_size}`
+        }]);
+      }
+      return tables;
+    }
+
+    const preferred = preferredTableIds.map(tableId => free.find(table => table.id === tableId));
+    if (preferred.length > 0 && preferred.every(Boolean) && seats(preferred) >= booking.party_size) {
+      return preferred;
+    }
+
+    const tables = chooseTables(free, booking.party_size);
+    if (!tables) {
+      throw createConflictError(`No free tables for a party of ${booking.party_size} at that time`);
+    }
+    return tables;
+  }
+
+  /**
+   * Replace a reservation's tables
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} reservationId - Reservation ID
+   * @param {Array} tables - Tables { id }
+   */
+  static async setTables(client, reservationId, tables) {
+    await client.query('DELETE FROM reservation_tables WHERE reservation_id = $1', [reservationId]);
+    await client.query(`
+      INSERT INTO reservation_tables (reservation_id, table_id)
+      SELECT $1, unnest($2::integer[])
+    `, [reservationId, tables.map(table => table.id)]);
+  }
+
+  /**
+   * Set available tables to reserved for bookings starting within the hold window
+   * Publishes table.status_changed once the transaction commits
+   * @param {Object} client - Database client inside a transaction
+   * @param {number|null} reservationId - Only this reservation's tables (all bookings when null)
+   * @returns {Promise<Array>} - Table rows that were held
+   */
+  static async holdTables(client, reservationId = null) {
+    const result = await client.query(`
+      UPDATE tables t
+      SET status = 'reserved'
+      FROM reservation_tables rt
+      JOIN reservations r ON r.id = rt.reservation_id
+      WHERE rt.table_id = t.id
+        AND t.status = 'available'
+        AND r.status = 'booked'
+        AND r.reserved_for <= CURRENT_TIMESTAMP + make_interval(mins => $1::integer)
+        AND ($2::integer IS NULL OR r.id = $2)
+      RETURNING t.*
+    `, [getHoldMinutes(), reservationId]);
+
+    for (const table of result.rows) {
+      EventBus.publishOnCommit(client, 'table.status_changed', tableEvent(table, null));
+    }
+    return result.rows;
+  }
+
+  /**
+   * Set reserved tables back to available unless another booking starting soon still holds them
+   * Publishes table.status_changed once the transaction commits
+   * @param {Object} client - Database client inside a transaction
+   * @param {Array<number>} tableIds - Tables a booking no longer needs now
+   * @returns {Promise<Array>} - Table rows that were released
+   */
+  static async releaseTables(client, tableIds) {
+    if (tableIds.length === 0) {
+      return [];
+    }
+
+    const result = await client.query(`
+      UPDATE tables t
+      SET status = 'available'
+      WHERE t.id = ANY($1::integer[])
+        AND t.status = 'reserved'
+        AND NOT EXISTS (
+          SELECT 1
+          FROM reservation_tables rt
+          JOIN reservations r ON r.id = rt.reservation_id
+          WHERE rt.table_id = t.id
+            AND r.status = 'booked'
+            AND r.reserved_for <= CURRENT_TIMESTAMP + make_interval(mins => $2::integer)
+        )
+      RETURNING *
+    `, [tableIds, getHoldMinutes()]);
+
+    for (const table of result.rows) {
+      EventBus.publishOnCommit(client, 'table.status_changed', tableEvent(table, null));
+    }
+    return result.rows;
+  }
+
+  /**
+   * Suggest tables for a party without booking them
+   * @param {Object} booking - { party_size, reserved_for (Date), duration_minutes }
+   * @returns {Promise<Object>} - { tables (null when the party cannot be seated), free_tables }
+   */
+  static async getAvailability(booking) {
+    const free = await this.getFreeTables(DatabaseUtils, booking.reserved_for, booking.duration_minutes);
+    return {
+      tables: chooseTables(free, booking.party_size),
+      free_tables: free
+    };
+  }
+
+  /**
+   * Book a reservation, picking tables by capacity unless table_ids are given
+   * @param {Object} data - Validated reservation fields
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Reservation>} - New reservation with its tables
+   */
+  static async createReservation(data, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      await this.lockTables(client);
+
+      const booking = {
+        party_size: data.party_size,
+        reserved_for: new Date(data.reserved_for),
+        duration_minutes: data.duration_minutes || DEFAULT_DURATION_MINUTES,
+        table_ids: data.table_ids || null
+      };
+      const tables = await this.assignTables(client, booking);
+
+      const result = await client.query(`
+        INSERT INTO reservations (customer_name, phone, email, party_size, reserved_for, duration_minutes, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+      `, [
+        data.customer_name.trim(),
+        data.phone || null,
+        data.email || null,
+        booking.party_size,
+        booking.reserved_for,
+        booking.duration_minutes,
+        data.notes || null,
+        user ? user.id : null
+      ]);
+      const reservationId = result.rows[0].id;
+
+      await this.setTables(client, reservationId, tables);
+      await this.holdTables(client, reservationId);
+
+      EventBus.publishOnCommit(client, 'reservation.changed', reservationEvent(reservationId, 'booked'));
+      return this.getReservationById(reservationId, client);
+    });
+  }
+
+  /**
+   * Change a booking; tables are picked again when they no longer fit the new party size or time
+   * @param {number} reservationId - Reservation ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Reservation|null>} - Updated reservation or null if not found
+   */
+  static async updateReservation(reservationId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      await this.lockTables(client);
+      const current = await this.lockBookedReservation(client, reservationId);
+      if (!current) {
+        return null;
+      }
+
+      const booking = {
+        party_size: data.party_size !== undefined ? data.party_size : current.party_size,
+        reserved_for: data.reserved_for !== undefined ? new Date(data.reserved_for) : current.reserved_for,
+        duration_minutes: data.duration_minutes !== undefined ? data.duration_minutes : current.duration_minutes,
+        table_ids: data.table_ids || null
+      };
+      const tables = await this.assignTables(client, booking, current.id, current.table_ids);
+
+      const updates = {
+        party_size: booking.party_size,
+        reserved_for: booking.reserved_for,
+        duration_minutes: booking.duration_minutes
+      };
+      for (const field of ['customer_name', 'phone', 'email', 'notes']) {
+        if (data[field] !== undefined) {
+          updates[field] = field === 'customer_name' ? data.customer_name.trim() : data[field];
+        }
+      }
+      const columns = Object.keys(updates);
+      await client.query(`
+        UPDATE reservations
+        SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${columns.length + 1}
+      `, [...Object.values(updates), current.id]);
+
+      await this.setTables(client, current.id, tables);
+      // Tables dropped from the booking, or held for a booking that moved later, are released
+      await this.releaseTables(client, current.table_ids);
+      await this.holdTables(client, current.id);
+
+      EventBus.publishOnCommit(client, 'reservation.changed', reservationEvent(current.id, 'booked'));
+      return this.getReservationById(current.id, client);
+    });
+  }
+
+  /**
+   * Cancel a booking and release its tables
+   * @param {number} reservationId - Reservation ID
+   * @param {string|null} reason - Why it was cancelled
+   * @returns {Promise<Reservation|null>} - Cancelled reservation or null if not found
+   */
+  static async cancelReservation(reservationId, reason) {
+    return DatabaseUtils.transaction(async (client) => {
+      await this.lockTables(client);
+      const reservation = await this.lockBookedReservation(client, reservationId);
+      if (!reservation) {
+        return null;
+      }
+
+      await client.query(`
+        UPDATE reservations
+        SET status = 'cancelled', cancellation_reason = $1, cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [reason || null, reservation.id]);
+      await this.releaseTables(client, reservation.table_ids);
+
+      EventBus.publishOnCommit(client, 'reservation.changed', reservationEvent(reservation.id, 'cancelled'));
+      return this.getReservationById(reservation.id, client);
+    });
+  }
+
+  /**
+   * Record that the party did not arrive and release its tables
+   * @param {number} reservationId - Reservation ID
+   * @returns {Promise<Reservation|null>} - Updated reservation or null if not found
+   */
+  static async markNoShow(reservationId) {
+    return DatabaseUtils.transaction(async (client) => {
+      await this.lockTables(client);
+      const reservation = await this.lockBookedReservation(client, reservationId);
+      if (!reservation) {
+        return null;
+      }
+
+      if (new Date(reservation.reserved_for).getTime() > Date.now()) {
+        throw createConflictError('Reservation has not started yet');
+      }
+
+      await client.query(`
+        UPDATE reservations
+        SET status = 'no_show', no_show_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [reservation.id]);
+      await this.releaseTables(client, reservation.table_ids);
+
+      EventBus.publishOnCommit(client, 'reservation.changed', reservationEvent(reservation.id, 'no_show'));
+      return this.getReservationById(reservation.id, client);
+    });
+  }
+
+  /**
+   * Seat the party: open its check at the booked tables (or the tables given) and mark it seated
+   * @param {number} reservationId - Reservation ID
+   * @param {Array<number>|null} tableIds - Tables to seat at instead of the booked ones
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Reservation|null>} - Seated reservation (with check_id) or null if not found
+   */
+  static async seatReservation(reservationId, tableIds, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      await this.lockTables(client);
+      const reservation = await this.lockBookedReservation(client, reservationId);
+      if (!reservation) {
+        return null;
+      }
+
+      const seatAt = tableIds || reservation.table_ids;
+      const { check_id, tables } = await CheckQueries.openCheckAtTables(client, seatAt, reservation.party_size, user);
+
+      await client.query(`
+        UPDATE reservations
+        SET status = 'seated', check_id = $1, seated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [check_id, reservation.id]);
+
+      if (tableIds) {
+        await this.setTables(client, reservation.id, tables);
+        await this.releaseTables(client, reservation.table_ids.filter(tableId => !tableIds.includes(tableId)));
+      }
+
+      EventBus.publishOnCommit(client, 'reservation.changed', reservationEvent(reservation.id, 'seated'));
+      return this.getReservationById(reservation.id, client);
+    });
+  }
+
+  /**
+   * Mark bookings more than the no-show allowance late as no-shows and release their tables,
+   * then hold the tables of bookings starting within the hold window
+   * @returns {Promise<Object>} - { no_shows: reservation IDs, held_tables: table IDs }
+   */
+  static async syncReservedTables() {
+    return DatabaseUtils.transaction(async (client) => {
+      await this.lockTables(client);
+
+      const missed = await client.query(`
+        UPDATE reservations
+        SET status = 'no_show', no_show_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'booked'
+          AND reserved_for + make_interval(mins => $1::integer) <= CURRENT_TIMESTAMP
+        RETURNING id
+      `, [getNoShowMinutes()]);
+      const noShowIds = missed.rows.map(row => row.id);
+
+      if (noShowIds.length > 0) {
+        const tablesResult = await client.query(
+          'SELECT DISTINCT table_id FROM reservation_tables WHERE reservation_id = ANY($1::integer[])',
+          [noShowIds]
+        );
+        await this.releaseTables(client, tablesResult.rows.map(row => row.table_id));
+        for (const reservationId of noShowIds) {
+          EventBus.publishOnCommit(client, 'reservation.changed', reservationEvent(reservationId, 'no_show'));
+        }
+      }
+
+      const held = await this.holdTables(client);
+
+      return {
+        no_shows: noShowIds,
+        held_tables: held.map(table => table.id)
+      };
+    });
+  }
+}
+
+/**
+ * Hold and release tables for bookings every minute while the server runs
+ * @param {number} intervalMs - How often to run
+ * @returns {Object} - Interval timer; it does not keep the process alive
+ */
+function startReservationScheduler(intervalMs = SYNC_INTERVAL_MS) {
+  const run = () => ReservationQueries.syncReservedTables().catch((error) => {
+    console.error('Reservation table sync failed:', error.message);
+  });
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  ReservationQueries,
+  startReservationScheduler,
+  getHoldMinutes,
+  getNoShowMinutes
+};
@@ -0,0 +1,144 @@
+/**
+ * Database query utilities for staff logins
+ * Provides helper functions for staff user CRUD operations
+ */
+
+const { DatabaseUtils } = require('./database');
+const { StaffUser } = require('../models/StaffUser');
+const { hashPassword } = require('./auth');
+
+/**
+ * Staff user database operations
+ */
+class StaffUserQueries {
+  /**
+   * Create a new staff user
+   * @param {Object} userData - User data (username, password, full_name, role)
+   * @returns {Promise<StaffUser>} - Created user
+   */
+  static async createUser(userData) {
+    const query = `
+      INSERT INTO staff_users (username, password_hash, full_name, role)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const params = [
+      userData.username,
+      await hashPassword(userData.password),
+      userData.full_name || null,
+      userData.role
+    ];
+
+    const result = await DatabaseUtils.query(query, params);
+    return new StaffUser(result.rows[0]);
+  }
+
+  /**
+   * Get all staff users
+   * @returns {Promise<Array<StaffUser>>} - Users ordered by username
+   */
+  static async getUsers() {
+    const result = await DatabaseUtils.query('SELECT * FROM staff_users ORDER BY username');
+    return result.rows.map(row => new StaffUser(row));
+  }
+
+  /**
+   * Get a staff user by ID
+   * @param {number} userId - User ID
+   * @returns {Promise<StaffUser|null>} - User or null if not found
+   */
+  static async getUserById(userId) {
+    const result = await DatabaseUtils.query('SELECT * FROM staff_users WHERE id = $1', [userId]);
+    return result.rows.length > 0 ? new StaffUser(result.rows[0]) : null;
+  }
+
+  /**
+   * Get the raw staff user row (including password hash) for login
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} - Row or null if not found
+   */
+  static async getUserCredentials(username) {
+    const result = await DatabaseUtils.query('SELECT * FROM staff_users WHERE username = $1', [username]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Update a staff user
+   * @param {number} userId - User ID to update
+   * @param {Object} userData - Fields to update (password, full_name, role, active)
+   * @returns {Promise<StaffUser|null>} - Updated user or null if not found
+   */
+  static async updateUser(userId, userData) {
+    const updateFields = [];
+    const params = [];
+    let paramIndex = 1;
+
+    if (userData.password !== undefined) {
+      updateFields.push(`password_hash = $${paramIndex}`);
+      params.push(await hashPassword(userData.password));
+      paramIndex++;
+    }
+
+    if (userData.full_name !== undefined) {
+      updateFields.push(`full_name = $${paramIndex}`);
+      params.push(userData.full_name);
+      paramIndex++;
+    }
+
+    if (userData.role !== undefined) {
+      updateFields.push(`role = $${paramIndex}`);
+      params.push(userData.role);
+      paramIndex++;
+    }
+
+    if (userData.active !== undefined) {
+      updateFields.push(`active = $${paramIndex}`);
+      params.push(userData.active);
+      paramIndex++;
+    }
+
+    if (updateFields.length === 0) {
+      return this.getUserById(userId);
+    }
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(userId);
+
+    const query = `
+      UPDATE staff_users
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramIndex}
+      RETURNING *
+    `;
+
+    const result = await DatabaseUtils.query(query, params);
+    return result.rows.length > 0 ? new StaffUser(result.rows[0]) : null;
+  }
+
+  /**
+   * Record a successful login
+   * @param {number} userId - User ID
+   * @returns {Promise<void>}
+   */
+  static async recordLogin(userId) {
+    await DatabaseUtils.query(
+      'UPDATE staff_users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+  }
+
+  /**
+   * Count active users with a given role (used to keep at least one owner)
+   * @param {string} role - Role name
+   * @returns {Promise<number>} - Number of active users
+   */
+  static async countActiveUsersWithRole(role) {
+    const result = await DatabaseUtils.query(
+      'SELECT COUNT(*) as total FROM staff_users WHERE role = $1 AND active = true',
+      [role]
+    );
+    return parseInt(result.rows[0].total);
+  }
+}
+
+module.exports = { StaffUserQueries };
@@ -0,0 +1,340 @@
+/**
+ * Database query utilities for stock counts
+ * Starting a count snapshots the theoretical quantity and cost of every product it covers; posting it
+ * writes each counted difference as an 'adjustment' transaction referencing the count, so sales made
+ * while the count was under way are kept. A count of one location compares and adjusts what that
+ * location holds; a count of every location compares totals and adjusts each product's home location.
+ */
+
+const { DatabaseUtils } = require('./database');
+const { AlertService } = require('./alert-service');
+const { LocationQueries } = require('./location-database');
+const { CostingQueries } = require('./costing-database');
+const { parseCountCsv, lineVariance, summarizeVariances } = require('../models/StockCount');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+
+// Stock counts with who started and posted them and how far counting has got
+const STOCK_COUNT_SELECT = `
+  SELECT sc.*,
+    loc.name AS location_name,
+    COALESCE(starter.full_name, starter.username) AS started_by_name,
+    COALESCE(poster.full_name, poster.username) AS posted_by_name,
+    (SELECT COUNT(*)::integer FROM stock_count_lines l WHERE l.stock_count_id = sc.id) AS product_count,
+    (SELECT COUNT(*)::integer FROM stock_count_lines l
+      WHERE l.stock_count_id = sc.id AND l.counted_quantity IS NOT NULL) AS counted_count
+  FROM stock_counts sc
+  LEFT JOIN storage_locations loc ON loc.id = sc.location_id
+  LEFT JOIN staff_users starter ON starter.id = sc.started_by
+  LEFT JOIN staff_users poster ON poster.id = sc.posted_by
+`;
+
+/**
+ * Stock count database operations
+ */
+class StockCountQueries {
+  /**
+   * List stock counts, newest first
+   * @param {Object} options - { status }
+   * @returns {Promise<Array>} - Stock counts without their lines
+   */
+  static async getStockCounts(options = {}) {
+    const params = [];
+    let where = '';
+    if (options.status) {
+      params.push(options.status);
+      where = 'WHERE sc.status = $1';
+    }
+
+    const result = await DatabaseUtils.query(`
+      ${STOCK_COUNT_SELECT}
+      ${where}
+      ORDER BY sc.started_at DESC, sc.id DESC
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a stock count with its lines, their variances and the adjustments posted from it
+   * @param {number} stockCountId - Stock count ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - Stock count or null if not found
+   */
+  static async getStockCountById(stockCountId, db = DatabaseUtils) {
+    const result = await db.query(`${STOCK_COUNT_SELECT} WHERE sc.id = $1`, [stockCountId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const count = result.rows[0];
+    const lines = await db.query(`
+      SELECT l.*, p.name AS product_name, p.unit_of_measure, p.category, home.name AS location_name,
+        COALESCE(u.full_name, u.username) AS counted_by_name
+      FROM stock_count_lines l
+      JOIN products p ON p.id = l.product_id
+      LEFT JOIN storage_locations home ON home.id = p.location_id
+      LEFT JOIN staff_users u ON u.id = l.counted_by
+      WHERE l.stock_count_id = $1
+      ORDER BY home.sort_order NULLS LAST, home.name, p.name
+    `, [count.id]);
+    const adjustments = await db.query(`
+      SELECT t.*, p.name AS product_name
+      FROM inventory_transactions t
+      JOIN products p ON p.id = t.product_id
+      WHERE t.reference_type = 'stock_count' AND t.reference_id = $1
+      ORDER BY t.id
+    `, [count.id]);
+
+    const countLines = lines.rows.map(line => ({ ...line, ...lineVariance(line) }));
+    return {
+      ...count,
+      summary: summarizeVariances(countLines),
+      lines: countLines,
+      adjustments: adjustments.rows
+    };
+  }
+
+  /**
+   * Lock a stock count for the rest of the transaction
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} stockCountId - Stock count ID
+   * @returns {Promise<Object|null>} - Stock count row or null if not found
+   */
+  static async lockStockCount(client, stockCountId) {
+    const result = await client.query('SELECT * FROM stock_counts WHERE id = $1 FOR UPDATE', [stockCountId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Require a stock count to still be open
+   * @param {Object} count - Stock count row
+   * @param {string} action - What was being done, for the error
+   */
+  static assertOpen(count, action) {
+    if (count.status !== 'open') {
+      throw createConflictError(`Stock count ${count.id} is ${count.status}; only open counts can be ${action}`);
+    }
+  }
+
+  /**
+   * Start a stock count of every product, or of one category and/or location
+   * Each product's quantity and cost are recorded as what the count is compared against: for a location,
+   * what it holds of every product it holds or is home to, otherwise the product's total
+   * @param {Object} data - { category, location_id, notes }
+   * @param {Object|null} user - Staff user starting the count
+   * @returns {Promise<Object>} - New stock count with its lines
+   */
+  static async startStockCount(data, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const category = data.category ? data.category.trim() : null;
+      const locationId = data.location_id || null;
+
+      if (locationId) {
+        if (!(await LocationQueries.getActiveLocation(locationId, client))) {
+          throw createValidationError([{ field: 'location_id', message: `Location ${locationId} not found or inactive` }]);
+        }
+      }
+
+      const result = await client.query(`
+        INSERT INTO stock_counts (category, location_id, notes, started_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [category, locationId, data.notes || null, user ? user.id : null]);
+      const count = result.rows[0];
+
+      const lines = await client.query(`
+        INSERT INTO stock_count_lines (stock_count_id, product_id, expected_quantity, unit_cost)
+        SELECT $1, p.id, ${locationId ? 'COALESCE(ls.quantity, 0)' : 'p.current_quantity'}, p.cost_per_unit
+        FROM products p
+        LEFT JOIN location_stock ls ON ls.product_id = p.id AND ls.location_id = $3
+        WHERE ($2::varchar IS NULL OR LOWER(p.category) = LOWER($2))
+          AND ($3::integer IS NULL OR ls.id IS NOT NULL OR p.location_id = $3)
+        RETURNING product_id
+      `, [count.id, category, locationId]);
+      if (lines.rows.length === 0) {
+        throw createValidationError([{ field: 'category', message: 'No products match this category and location' }]);
+      }
+
+      return this.getStockCountById(count.id, client);
+    });
+  }
+
+  /**
+   * Record counted quantities on an open stock count
+   * Counting a product again replaces its earlier count
+   * @param {number} stockCountId - Stock count ID
+   * @param {Array} lines - [{ product_id, counted_quantity, notes }]
+   * @param {Object|null} user - Staff user who counted
+   * @returns {Promise<Object|null>} - Stock count or null if not found
+   */
+  static async recordCounts(stockCountId, lines, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const count = await this.lockStockCount(client, stockCountId);
+      if (!count) {
+        return null;
+      }
+      this.assertOpen(count, 'counted');
+
+      const onCount = await client.query(
+        'SELECT product_id FROM stock_count_lines WHERE stock_count_id = $1',
+        [count.id]
+      );
+      const productIds = new Set(onCount.rows.map(row => row.product_id));
+      const missing = lines.filter(line => !productIds.has(line.product_id)).map(line => line.product_id);
+      if (missing.length > 0) {
+        throw createValidationError([{ field: 'lines', message: `Products not on this count: ${missing.join(', ')}` }]);
+      }
+
+      for (const line of lines) {
+        await client.query(`
+          UPDATE stock_count_lines
+          SET counted_quantity = $1, notes = $2, counted_by = $3, counted_at = CURRENT_TIMESTAMP
+          WHERE stock_count_id = $4 AND product_id = $5
+        `, [line.counted_quantity, line.notes || null, user ? user.id : null, count.id, line.product_id]);
+      }
+      await client.query('UPDATE stock_counts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [count.id]);
+
+      return this.getStockCountById(count.id, client);
+    });
+  }
+
+  /**
+   * Record counted quantities from an uploaded count sheet
+   * Rows name products by ID or by name; see parseCountCsv for the columns
+   * @param {number} stockCountId - Stock count ID
+   * @param {string} csv - CSV text
+   * @param {Object|null} user - Staff user who counted
+   * @returns {Promise<Object|null>} - Stock count or null if not found
+   */
+  static async importCountCsv(stockCountId, csv, user) {
+    const { entries, errors } = parseCountCsv(csv);
+    if (errors.length > 0) {
+      throw createValidationError(errors);
+    }
+
+    const count = await this.getStockCountById(stockCountId);
+    if (!count) {
+      return null;
+    }
+
+    const byName = new Map(count.lines.map(line => [line.product_name.toLowerCase(), line.product_id]));
+    const byId = new Set(count.lines.map(line => line.product_id));
+    const seen = new Map();
+    const lines = [];
+    for (const entry of entries) {
+      const productId = entry.product_id !== null ? entry.product_id : byName.get(entry.product_name.toLowerCase());
+      if (!productId || !byId.has(productId)) {
+        errors.push({
+          field: 'csv',
+          message: `Row ${entry.row}: ${entry.product_id !== null ? `Product ${entry.product_id}` : `"${entry.product_name}"`} is not on this count`
+        });
+      } else if (seen.has(productId)) {
+        errors.push({ field: 'csv', message: `Row ${entry.row}: Product is already counted on row ${seen.get(productId)}` });
+      } else {
+        seen.set(productId, entry.row);
+        lines.push({ product_id: productId, counted_quantity: entry.counted_quantity, notes: entry.notes });
+      }
+    }
+    if (errors.length > 0) {
+      throw createValidationError(errors);
+    }
+
+    return this.recordCounts(stockCountId, lines, user);
+  }
+
+  /**
+   * Post a stock count
+   * Each counted product whose count differs from its expected quantity gets an 'adjustment'
+   * transaction for the difference, referencing the count, at the counted location (or the product's
+   * home location for a count of every location). Products left uncounted are not changed.
+   * @param {number} stockCountId - Stock count ID
+   * @param {Object|null} user - Staff user posting the count
+   * @returns {Promise<Object|null>} - { stock_count, transactions } or null if not found
+   */
+  static async postStockCount(stockCountId, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const count = await this.lockStockCount(client, stockCountId);
+      if (!count) {
+        return null;
+      }
+      this.assertOpen(count, 'posted');
+
+      const linesResult = await client.query(`
+        SELECT l.*, p.unit_of_measure
+        FROM stock_count_lines l
+        JOIN products p ON p.id = l.product_id
+        WHERE l.stock_count_id = $1 AND l.counted_quantity IS NOT NULL
+        ORDER BY l.product_id
+      `, [count.id]);
+      if (linesResult.rows.length === 0) {
+        throw createValidationError([{ field: 'lines', message: 'Count at least one product before posting' }]);
+      }
+
+      const transactions = [];
+      for (const line of linesResult.rows) {
+        const { variance } = lineVariance(line);
+        if (variance === 0) {
+          continue;
+        }
+
+        const locationId = await LocationQueries.changeLocationStock(client, line.product_id, variance, count.location_id || null);
+        const transaction = await client.query(`
+          INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, reference_type, reference_id, notes, location_id)
+          VALUES ($1, 'adjustment', $2, 'stock_count', $3, $4, $5)
+          RETURNING *
+        `, [
+          line.product_id,
+          variance,
+          count.id,
+          `Stock count #${count.id}: counted ${parseFloat(line.counted_quantity)} ${line.unit_of_measure}, ` +
+            `expected ${parseFloat(line.expected_quantity)}${line.notes ? ` (${line.notes})` : ''}`,
+          locationId
+        ]);
+        transactions.push(transaction.rows[0]);
+        await CostingQueries.recordTransaction(client, transaction.rows[0]);
+
+        const updated = await client.query(`
+          UPDATE products
+          SET current_quantity = current_quantity + $1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+          RETURNING *
+        `, [variance, line.product_id]);
+        AlertService.publishStockChange(client, updated.rows[0], variance);
+      }
+
+      await client.query(`
+        UPDATE stock_counts
+        SET status = 'posted', posted_by = $1, posted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [user ? user.id : null, count.id]);
+
+      return { stock_count: await this.getStockCountById(count.id, client), transactions };
+    });
+  }
+
+  /**
+   * Cancel an open stock count without changing stock
+   * @param {number} stockCountId - Stock count ID
+   * @returns {Promise<Object|null>} - Cancelled stock count or null if not found
+   */
+  static async cancelStockCount(stockCountId) {
+    return DatabaseUtils.transaction(async (client) => {
+      const count = await this.lockStockCount(client, stockCountId);
+      if (!count) {
+        return null;
+      }
+      this.assertOpen(count, 'cancelled');
+
+      await client.query(`
+        UPDATE stock_counts
+        SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [count.id]);
+
+      return this.getStockCountById(count.id, client);
+    });
+  }
+}
+
+module.exports = {
+  StockCountQueries
+};
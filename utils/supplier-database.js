@@ -0,0 +1,284 @@
+/**
+ * Database query utilities for suppliers and the products they sell
+ * Suppliers that have purchase orders are deactivated rather than deleted, so the orders keep them
+ */
+
+const { DatabaseUtils } = require('./database');
+const { OPEN_PURCHASE_ORDER_STATUSES } = require('../models/PurchaseOrder');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+
+// Suppliers with how many products they sell and how many of their orders are still open
+const SUPPLIER_SELECT = `
+  SELECT s.*,
+    (SELECT COUNT(*)::int FROM product_suppliers ps WHERE ps.supplier_id = s.id) AS product_count,
+    (SELECT COUNT(*)::int FROM purchase_orders po
+      WHERE po.supplier_id = s.id AND po.status = ANY($1::varchar[])) AS open_order_count
+  FROM suppliers s
+`;
+
+// Product links with the product's name, unit and current cost
+const PRODUCT_SUPPLIER_SELECT = `
+  SELECT ps.*, p.name AS product_name, p.unit_of_measure, p.cost_per_unit, s.name AS supplier_name
+  FROM product_suppliers ps
+  JOIN products p ON p.id = ps.product_id
+  JOIN suppliers s ON s.id = ps.supplier_id
+`;
+
+/**
+ * Supplier database operations
+ */
+class SupplierQueries {
+  /**
+   * List suppliers
+   * @param {Object} options - { active: true or false to list only active or inactive suppliers }
+   * @returns {Promise<Array>} - Suppliers in name order
+   */
+  static async getSuppliers(options = {}) {
+    const params = [OPEN_PURCHASE_ORDER_STATUSES];
+    let where = '';
+    if (options.active !== undefined) {
+      params.push(options.active);
+      where = 'WHERE s.active = $2';
+    }
+
+    const result = await DatabaseUtils.query(`
+      ${SUPPLIER_SELECT}
+      ${where}
+      ORDER BY s.name
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a supplier with the products it sells
+   * @param {number} supplierId - Supplier ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - Supplier with products, or null if not found
+   */
+  static async getSupplierById(supplierId, db = DatabaseUtils) {
+    const result = await db.query(`${SUPPLIER_SELECT} WHERE s.id = $2`, [OPEN_PURCHASE_ORDER_STATUSES, supplierId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const products = await db.query(`
+      ${PRODUCT_SUPPLIER_SELECT}
+      WHERE ps.supplier_id = $1
+      ORDER BY p.name
+    `, [supplierId]);
+
+    return { ...result.rows[0], products: products.rows };
+  }
+
+  /**
+   * Suppliers a product can be bought from, preferred supplier first
+   * @param {number} productId - Product ID
+   * @returns {Promise<Array>} - Product links with the supplier's name
+   */
+  static async getProductSuppliers(productId) {
+    const result = await DatabaseUtils.query(`
+      ${PRODUCT_SUPPLIER_SELECT}
+      WHERE ps.product_id = $1
+      ORDER BY ps.is_preferred DESC, s.name
+    `, [productId]);
+    return result.rows;
+  }
+
+  /**
+   * Require a supplier name not to be taken
+   * @param {Object} client - Database client inside a transaction
+   * @param {string} name - Name to check
+   * @param {number|null} supplierId - Supplier being renamed
+   */
+  static async assertNameFree(client, name, supplierId = null) {
+    const result = await client.query(
+      'SELECT id FROM suppliers WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2::integer',
+      [name, supplierId]
+    );
+    if (result.rows.length > 0) {
+      throw createConflictError(`A supplier named "${name}" already exists`);
+    }
+  }
+
+  /**
+   * Add a supplier
+   * @param {Object} data - { name, contact_name, email, phone, lead_time_days, minimum_order_amount, notes }
+   * @returns {Promise<Object>} - New supplier
+   */
+  static async createSupplier(data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const name = data.name.trim();
+      await this.assertNameFree(client, name);
+
+      const result = await client.query(`
+        INSERT INTO suppliers (name, contact_name, email, phone, lead_time_days, minimum_order_amount, notes)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id
+      `, [
+        name,
+        data.contact_name || null,
+        data.email || null,
+        data.phone || null,
+        data.lead_time_days || 0,
+        data.minimum_order_amount || 0,
+        data.notes || null
+      ]);
+
+      return this.getSupplierById(result.rows[0].id, client);
+    });
+  }
+
+  /**
+   * Change a supplier's details, or reactivate or deactivate it
+   * @param {number} supplierId - Supplier ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object|null>} - Updated supplier or null if not found
+   */
+  static async updateSupplier(supplierId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const current = await client.query('SELECT * FROM suppliers WHERE id = $1 FOR UPDATE', [supplierId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+
+      const supplier = current.rows[0];
+      const updates = {};
+      if (data.name !== undefined && data.name.trim() !== supplier.name) {
+        updates.name = data.name.trim();
+        await this.assertNameFree(client, updates.name, supplier.id);
+      }
+      for (const field of ['contact_name', 'email', 'phone', 'lead_time_days', 'minimum_order_amount', 'notes', 'active']) {
+        if (data[field] !== undefined) {
+          updates[field] = data[field] === '' ? null : data[field];
+        }
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length > 0) {
+        await client.query(`
+          UPDATE suppliers
+          SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${columns.length + 1}
+        `, [...Object.values(updates), supplier.id]);
+      }
+
+      return this.getSupplierById(supplier.id, client);
+    });
+  }
+
+  /**
+   * Remove a supplier
+   * A supplier that never had a purchase order is deleted with its product links; one that did is
+   * deactivated so its orders keep pointing at it
+   * Returns 409 while the supplier has open purchase orders
+   * @param {number} supplierId - Supplier ID
+   * @returns {Promise<Object|null>} - { supplier, deactivated } or null if not found
+   */
+  static async deleteSupplier(supplierId) {
+    return DatabaseUtils.transaction(async (client) => {
+      const current = await client.query('SELECT * FROM suppliers WHERE id = $1 FOR UPDATE', [supplierId]);
+      if (current.rows.length === 0) {
+        return null;
+      }
+
+      const supplier = current.rows[0];
+      const orders = await client.query(`
+        SELECT id, status FROM purchase_orders
+        WHERE supplier_id = $1
+        ORDER BY id
+      `, [supplier.id]);
+      const open = orders.rows.filter(order => OPEN_PURCHASE_ORDER_STATUSES.includes(order.status));
+      if (open.length > 0) {
+        throw createConflictError(
+          `${supplier.name} has open purchase orders; receive or cancel them first`,
+          open.map(order => ({ purchase_order_id: order.id, status: order.status }))
+        );
+      }
+
+      const deactivated = orders.rows.length > 0;
+      if (deactivated) {
+        await client.query(
+          'UPDATE suppliers SET active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [supplier.id]
+        );
+      } else {
+        await client.query('DELETE FROM suppliers WHERE id = $1', [supplier.id]);
+      }
+
+      return { supplier: { ...supplier, active: deactivated ? false : supplier.active }, deactivated };
+    });
+  }
+
+  /**
+   * Link a product to a supplier, or change an existing link
+   * Making a supplier preferred takes the preference away from the product's other suppliers
+   * @param {number} supplierId - Supplier ID
+   * @param {number} productId - Product ID
+   * @param {Object} data - { supplier_sku, pack_size, pack_cost, is_preferred }
+   * @returns {Promise<Object|null>} - Product link or null if the supplier was not found
+   */
+  static async linkProduct(supplierId, productId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const supplier = await client.query('SELECT id FROM suppliers WHERE id = $1', [supplierId]);
+      if (supplier.rows.length === 0) {
+        return null;
+      }
+
+      const product = await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+      if (product.rows.length === 0) {
+        throw createValidationError([{ field: 'product_id', message: 'Product not found' }]);
+      }
+
+      if (data.is_preferred) {
+        await client.query(`
+          UPDATE product_suppliers SET is_preferred = FALSE, updated_at = CURRENT_TIMESTAMP
+          WHERE product_id = $1 AND supplier_id <> $2 AND is_preferred
+        `, [productId, supplierId]);
+      }
+
+      const existing = await client.query(
+        'SELECT * FROM product_suppliers WHERE product_id = $1 AND supplier_id = $2',
+        [productId, supplierId]
+      );
+      const link = existing.rows[0] || { pack_size: 1, pack_cost: null, supplier_sku: null, is_preferred: false };
+      const values = [
+        data.supplier_sku !== undefined ? data.supplier_sku || null : link.supplier_sku,
+        data.pack_size !== undefined ? data.pack_size : link.pack_size,
+        data.pack_cost !== undefined ? data.pack_cost : link.pack_cost,
+        data.is_preferred !== undefined ? data.is_preferred : link.is_preferred
+      ];
+
+      await client.query(`
+        INSERT INTO product_suppliers (product_id, supplier_id, supplier_sku, pack_size, pack_cost, is_preferred)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (product_id, supplier_id) DO UPDATE
+        SET supplier_sku = EXCLUDED.supplier_sku, pack_size = EXCLUDED.pack_size, pack_cost = EXCLUDED.pack_cost,
+            is_preferred = EXCLUDED.is_preferred, updated_at = CURRENT_TIMESTAMP
+      `, [productId, supplierId, ...values]);
+
+      const result = await client.query(`
+        ${PRODUCT_SUPPLIER_SELECT}
+        WHERE ps.product_id = $1 AND ps.supplier_id = $2
+      `, [productId, supplierId]);
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Stop buying a product from a supplier
+   * @param {number} supplierId - Supplier ID
+   * @param {number} productId - Product ID
+   * @returns {Promise<Object|null>} - Removed link or null if the product was not linked
+   */
+  static async unlinkProduct(supplierId, productId) {
+    const result = await DatabaseUtils.query(
+      'DELETE FROM product_suppliers WHERE supplier_id = $1 AND product_id = $2 RETURNING *',
+      [supplierId, productId]
+    );
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+}
+
+module.exports = {
+  SupplierQueries
+};
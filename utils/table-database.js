@@ -0,0 +1,279 @@
+/**
+ * Database query utilities for tables on the floor plan
+ * Adds, moves, changes and removes tables; tables that have seen service are retired instead of deleted
+ */
+
+const { DatabaseUtils } = require('./database');
+const { Table } = require('../models/Table');
+const { CheckQueries } = require('./check-database');
+const { EventBus } = require('./event-bus');
+const { ACTIVE_RESERVATION_STATUSES } = require('../models/Reservation');
+const { createConflictError, createValidationError } = require('../middleware/errorHandler');
+
+// Tables with their area, server section and the section's server
+const TABLE_SELECT = `
+  SELECT t.*, a.name AS area_name, s.name AS section_name, s.color AS section_color,
+    s.staff_user_id AS server_id, COALESCE(u.full_name, u.username) AS server_name
+  FROM tables t
+  LEFT JOIN floor_areas a ON a.id = t.area_id
+  LEFT JOIN server_sections s ON s.id = t.section_id
+  LEFT JOIN staff_users u ON u.id = s.staff_user_id
+`;
+
+/**
+ * Payload of a floor.changed event
+ * @param {string} change - What changed (e.g. 'table_created', 'layout', 'sections')
+ * @param {Array<number>} tableIds - Tables affected
+ * @returns {Object}
+ */
+function floorEvent(change, tableIds = []) {
+  return { change, table_ids: tableIds };
+}
+
+/**
+ * Table database operations
+ */
+class TableQueries {
+  /**
+   * List the tables on the floor with their active check and when the party sat down
+   * @returns {Promise<Array<Table>>} - Tables in area then table number order
+   */
+  static async getTables() {
+    const result = await DatabaseUtils.query(`
+      ${TABLE_SELECT}
+      WHERE t.retired_at IS NULL
+      ORDER BY a.sort_order, a.id, t.table_number
+    `);
+    const activeChecks = await CheckQueries.getActiveChecksByTable();
+
+    return result.rows.map(row => new Table({ ...row, ...activeChecks.get(row.id) }));
+  }
+
+  /**
+   * Get a table on the floor
+   * @param {number} tableId - Table ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Table|null>} - Table or null if not found or retired
+   */
+  static async getTableById(tableId, db = DatabaseUtils) {
+    const result = await db.query(`
+      ${TABLE_SELECT}
+      WHERE t.id = $1 AND t.retired_at IS NULL
+    `, [tableId]);
+
+    return result.rows.length > 0 ? new Table(result.rows[0]) : null;
+  }
+
+  /**
+   * Require a table number not to be used by another table on the floor
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} tableNumber - Table number
+   * @param {number|null} tableId - Table being changed
+   */
+  static async assertNumberFree(client, tableNumber, tableId = null) {
+    const result = await client.query(`
+      SELECT id FROM tables
+      WHERE table_number = $1 AND retired_at IS NULL AND id IS DISTINCT FROM $2::integer
+    `, [tableNumber, tableId]);
+    if (result.rows.length > 0) {
+      throw createConflictError(`Table number ${tableNumber} is already in use`);
+    }
+  }
+
+  /**
+   * Require the area and section a table is put in to exist
+   * @param {Object} client - Database client inside a transaction
+   * @param {Object} data - { area_id, section_id }
+   */
+  static async assertPlacementExists(client, data) {
+    if (data.area_id) {
+      const area = await client.query('SELECT id FROM floor_areas WHERE id = $1', [data.area_id]);
+      if (area.rows.length === 0) {
+        throw createValidationError([{ field: 'area_id', message: 'Area not found' }]);
+      }
+    }
+    if (data.section_id) {
+      const section = await client.query('SELECT id FROM server_sections WHERE id = $1', [data.section_id]);
+      if (section.rows.length === 0) {
+        throw createValidationError([{ field: 'section_id', message: 'Section not found' }]);
+      }
+    }
+  }
+
+  /**
+   * Add a table to the floor
+   * Without an area the table goes in the first one
+   * @param {Object} data - { table_number, capacity, area_id, section_id, pos_x, pos_y, shape, rotation }
+   * @returns {Promise<Table>} - New table
+   */
+  static async createTable(data) {
+    return DatabaseUtils.transaction(async (client) => {
+      await this.assertNumberFree(client, data.table_number);
+      await this.assertPlacementExists(client, data);
+
+      let areaId = data.area_id;
+      if (!areaId) {
+        const first = await client.query('SELECT id FROM floor_areas ORDER BY sort_order, id LIMIT 1');
+        if (first.rows.length === 0) {
+          throw createValidationError([{ field: 'area_id', message: 'Add a dining area before adding tables' }]);
+        }
+        areaId = first.rows[0].id;
+      }
+
+      const result = await client.query(`
+        INSERT INTO tables (table_number, capacity, area_id, section_id, pos_x, pos_y, shape, rotation)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+      `, [
+        data.table_number,
+        data.capacity,
+        areaId,
+        data.section_id || null,
+        data.pos_x || 0,
+        data.pos_y || 0,
+        data.shape || 'square',
+        data.rotation || 0
+      ]);
+      const tableId = result.rows[0].id;
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('table_created', [tableId]));
+      return this.getTableById(tableId, client);
+    });
+  }
+
+  /**
+   * Change a table's number, seats, area, section, position, shape or rotation
+   * @param {number} tableId - Table ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Table|null>} - Updated table or null if not found
+   */
+  static async updateTable(tableId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const table = await CheckQueries.lockTable(client, tableId);
+      if (!table) {
+        return null;
+      }
+
+      if (data.table_number !== undefined) {
+        await this.assertNumberFree(client, data.table_number, table.id);
+      }
+      await this.assertPlacementExists(client, data);
+
+      const updates = {};
+      for (const field of ['table_number', 'capacity', 'area_id', 'section_id', 'pos_x', 'pos_y', 'shape', 'rotation']) {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      }
+      const columns = Object.keys(updates);
+      if (columns.length > 0) {
+        await client.query(`
+          UPDATE tables
+          SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+          WHERE id = $${columns.length + 1}
+        `, [...Object.values(updates), table.id]);
+        EventBus.publishOnCommit(client, 'floor.changed', floorEvent('table_updated', [table.id]));
+      }
+
+      return this.getTableById(table.id, client);
+    });
+  }
+
+  /**
+   * Move tables dragged around the floor plan editor in one go
+   * @param {Array<Object>} positions - [{ id, pos_x, pos_y, rotation, area_id }]
+   * @returns {Promise<Array<Table>>} - Moved tables
+   */
+  static async updateLayout(positions) {
+    return DatabaseUtils.transaction(async (client) => {
+      const tableIds = positions.map(position => position.id);
+      const locked = await client.query(
+        'SELECT id FROM tables WHERE id = ANY($1::integer[]) AND retired_at IS NULL ORDER BY id FOR UPDATE',
+        [tableIds]
+      );
+      const found = new Set(locked.rows.map(row => row.id));
+      const missing = tableIds.filter(tableId => !found.has(tableId));
+      if (missing.length > 0) {
+        throw createValidationError([{ field: 'tables', message: `Tables not found: ${missing.join(', ')}` }]);
+      }
+
+      for (const position of positions) {
+        await this.assertPlacementExists(client, { area_id: position.area_id });
+        await client.query(`
+          UPDATE tables
+          SET pos_x = $1, pos_y = $2, rotation = COALESCE($3, rotation), area_id = COALESCE($4, area_id)
+          WHERE id = $5
+        `, [position.pos_x, position.pos_y, position.rotation ?? null, position.area_id ?? null, position.id]);
+      }
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('layout', tableIds));
+
+      const result = await client.query(`
+        ${TABLE_SELECT}
+        WHERE t.id = ANY($1::integer[])
+        ORDER BY t.table_number
+      `, [tableIds]);
+      return result.rows.map(row => new Table(row));
+    });
+  }
+
+  /**
+   * Take a table off the floor
+   * A table that never had a check, order or booking is deleted; one that did is retired, so its
+   * history keeps pointing at it and its number can be reused
+   * Returns 409 while the table is seated or booked for a reservation that has not finished
+   * @param {number} tableId - Table ID
+   * @returns {Promise<Object|null>} - { table, retired } or null if not found
+   */
+  static async deleteTable(tableId) {
+    return DatabaseUtils.transaction(async (client) => {
+      const table = await CheckQueries.lockTable(client, tableId);
+      if (!table) {
+        return null;
+      }
+
+      const activeCheckId = await CheckQueries.getActiveCheckId(client, table.id);
+      if (activeCheckId) {
+        throw createConflictError(`Table ${table.table_number} has an open check (${activeCheckId}); close or transfer it first`);
+      }
+
+      const bookings = await client.query(`
+        SELECT r.id, r.customer_name, r.reserved_for
+        FROM reservation_tables rt
+        JOIN reservations r ON r.id = rt.reservation_id
+        WHERE rt.table_id = $1 AND r.status = ANY($2::varchar[])
+        ORDER BY r.reserved_for
+      `, [table.id, ACTIVE_RESERVATION_STATUSES]);
+      if (bookings.rows.length > 0) {
+        throw createConflictError(
+          `Table ${table.table_number} is booked for reservations; move or cancel them first`,
+          bookings.rows.map(booking => ({ reservation_id: booking.id, customer_name: booking.customer_name }))
+        );
+      }
+
+      const history = await client.query(`
+        SELECT EXISTS (SELECT 1 FROM checks WHERE table_id = $1)
+          OR EXISTS (SELECT 1 FROM orders WHERE table_id = $1)
+          OR EXISTS (SELECT 1 FROM reservation_tables WHERE table_id = $1) AS used
+      `, [table.id]);
+      const retired = history.rows[0].used;
+
+      if (retired) {
+        await client.query(`
+          UPDATE tables SET retired_at = CURRENT_TIMESTAMP, section_id = NULL, status = 'available'
+          WHERE id = $1
+        `, [table.id]);
+      } else {
+        await client.query('DELETE FROM tables WHERE id = $1', [table.id]);
+      }
+
+      EventBus.publishOnCommit(client, 'floor.changed', floorEvent('table_deleted', [table.id]));
+      return { table: new Table({ ...table, retired_at: retired ? new Date() : null }), retired };
+    });
+  }
+}
+
+module.exports = {
+  TableQueries,
+  floorEvent
+};
@@ -0,0 +1,132 @@
+/**
+ * Database query utilities for the theoretical vs. actual usage report
+ * Theoretical usage comes from the recipes of the items on the orders served in the range, whether or
+ * not their ingredients were deducted. Stock movements are read from inventory_transactions: deliveries
+ * are 'restock' transactions and waste 'waste' transactions. Opening stock is today's stock less the
+ * transactions since; closing stock is what the last whole-store count in the range found, carried
+ * forward by the transactions after it, or without one today's stock less the transactions since.
+ */
+
+const { DatabaseUtils } = require('./database');
+const { summarizeUsage, theoreticalUsage } = require('../models/Usage');
+
+// Orders whose items were served in the range
+const SERVED_ORDERS = `
+  o.status IN ('served', 'paid') AND o.created_at >= $1::date AND o.created_at < $2::date + 1
+`;
+
+/**
+ * Usage report database operations
+ */
+class UsageQueries {
+  /**
+   * Compare what each product should have been used by the menu items sold with what left stock
+   * Quantities edited directly on a product write no transaction, so they count back to the start.
+   * A count of one location only covers part of a product's stock, so only counts of every location
+   * set closing stock.
+   * @param {Object} range - { start_date, end_date } as YYYY-MM-DD, inclusive
+   * @returns {Promise<Object>} - { start_date, end_date, purchased_cost, theoretical_cost, waste_cost,
+   *   variance_cost, products, undeducted_orders, problems }
+   */
+  static async getUsageReport(range) {
+    const params = [range.start_date, range.end_date];
+    const result = await DatabaseUtils.query(`
+      SELECT p.id AS product_id, p.name, p.category, p.unit_of_measure, p.cost_per_unit,
+             p.current_quantity - COALESCE(t.since_start, 0) AS opening_quantity,
+             COALESCE(t.purchased_quantity, 0) AS purchased_quantity,
+             COALESCE(t.purchased_cost, 0) AS purchased_cost,
+             -COALESCE(t.waste_quantity, 0) AS waste_quantity,
+             -COALESCE(t.waste_cost, 0) AS waste_cost,
+             CASE WHEN counted.counted_at IS NULL THEN p.current_quantity - COALESCE(t.since_end, 0)
+                  ELSE counted.counted_quantity + counted.since_counted END AS closing_quantity,
+             counted.counted_at
+      FROM products p
+      LEFT JOIN LATERAL (
+        SELECT SUM(it.quantity_change) AS since_start,
+               SUM(it.quantity_change) FILTER (WHERE it.created_at >= $2::date + 1) AS since_end,
+               SUM(it.quantity_change) FILTER (WHERE it.transaction_type = 'restock' AND it.created_at < $2::date + 1) AS purchased_quantity,
+               SUM(it.total_cost) FILTER (WHERE it.transaction_type = 'restock' AND it.created_at < $2::date + 1) AS purchased_cost,
+               SUM(it.quantity_change) FILTER (WHERE it.transaction_type = 'waste' AND it.created_at < $2::date + 1) AS waste_quantity,
+               SUM(it.total_cost) FILTER (WHERE it.transaction_type = 'waste' AND it.created_at < $2::date + 1) AS waste_cost
+        FROM inventory_transactions it
+        WHERE it.product_id = p.id AND it.created_at >= $1::date
+      ) t ON TRUE
+      LEFT JOIN LATERAL (
+        -- What the count found, plus what moved after the product was counted other than the count's
+        -- own adjustment
+        SELECT l.counted_quantity, sc.posted_at AS counted_at,
+               (SELECT COALESCE(SUM(it.quantity_change), 0)
+                FROM inventory_transactions it
+                WHERE it.product_id = p.id
+                  AND it.created_at > COALESCE(l.counted_at, sc.posted_at) AND it.created_at < $2::date + 1
+                  AND NOT (it.reference_type = 'stock_count' AND it.reference_id = sc.id)) AS since_counted
+        FROM stock_count_lines l
+        JOIN stock_counts sc ON sc.id = l.stock_count_id
+        WHERE l.product_id = p.id AND l.counted_quantity IS NOT NULL AND sc.status = 'posted'
+          AND sc.location_id IS NULL
+          AND sc.posted_at >= $1::date AND sc.posted_at < $2::date + 1
+        ORDER BY sc.posted_at DESC, sc.id DESC
+        LIMIT 1
+      ) counted ON TRUE
+      WHERE p.created_at < $2::date + 1
+      ORDER BY p.category NULLS LAST, p.name
+    `, params);
+
+    const recipeResult = await DatabaseUtils.query(`
+      SELECT oi.id AS order_item_id, oi.quantity AS servings, ri.product_id,
+             ri.quantity / COALESCE(NULLIF(r.servings, 0), 1) AS quantity_per_serving,
+             ri.unit AS ingredient_unit, r.name AS recipe_name,
+             p.name AS product_name, p.unit_of_measure, p.density_g_per_ml, p.piece_weight_g
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id AND oi.voided_at IS NULL
+      JOIN menu_items mi ON mi.id = oi.menu_item_id
+      JOIN recipes r ON r.id = mi.recipe_id
+      JOIN recipe_ingredients ri ON ri.recipe_id = r.id AND ri.quantity IS NOT NULL
+      JOIN products p ON p.id = ri.product_id
+      WHERE ${SERVED_ORDERS}
+      ORDER BY oi.id, ri.order_index
+    `, params);
+    const modifierResult = await DatabaseUtils.query(`
+      SELECT oi.id AS order_item_id, oi.quantity AS servings, mi.product_id, mi.action, mi.quantity,
+             p.name AS product_name, p.unit_of_measure
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id AND oi.voided_at IS NULL
+      JOIN order_item_modifiers oim ON oim.order_item_id = oi.id
+      JOIN modifier_ingredients mi ON mi.modifier_id = oim.modifier_id
+      JOIN products p ON p.id = mi.product_id
+      WHERE ${SERVED_ORDERS}
+      ORDER BY oi.id, oim.id, mi.id
+    `, params);
+    const { quantities, problems } = theoreticalUsage(recipeResult.rows, modifierResult.rows);
+
+    // Served orders that never had their ingredients deducted are still in book stock
+    const undeductedResult = await DatabaseUtils.query(`
+      SELECT o.id AS order_id, o.status, o.created_at
+      FROM orders o
+      WHERE ${SERVED_ORDERS}
+        AND NOT EXISTS (SELECT 1 FROM order_inventory_deductions d WHERE d.order_id = o.id)
+      ORDER BY o.id
+    `, params);
+
+    const rows = result.rows.map(row => {
+      const theoretical = quantities.get(row.product_id) || 0;
+      return {
+        ...row,
+        theoretical_quantity: theoretical,
+        theoretical_cost: theoretical * (parseFloat(row.cost_per_unit) || 0)
+      };
+    });
+
+    return {
+      start_date: range.start_date,
+      end_date: range.end_date,
+      ...summarizeUsage(rows),
+      undeducted_orders: undeductedResult.rows,
+      problems
+    };
+  }
+}
+
+module.exports = {
+  UsageQueries
+};
@@ -4,6 +4,7 @@
  */
 
 const { pool } = require('./db-connection');
+const { conversionProblem } = require('../models/UnitConversion');
 
 /**
  * Validates recipe basic fields
@@ -249,10 +250,56 @@ async function validateProductsExist(ingredients) {
   };
 }
 
+/**
+ * Validates that each ingredient's unit can be converted to the unit its product is stocked in
+ * Ingredients without a unit are measured in the product's unit
+ * @param {Array} ingredients - Array of ingredient objects with product_id and unit
+ * @returns {Promise<Object>} - { isValid: boolean, errors: Array }
+ */
+async function validateIngredientUnits(ingredients) {
+  const errors = [];
+
+  if (!ingredients || !Array.isArray(ingredients)) {
+    return { isValid: true, errors: [] };
+  }
+
+  const measured = ingredients.filter(ing => ing.product_id && ing.unit);
+  if (measured.length === 0) {
+    return { isValid: true, errors: [] };
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, name, unit_of_measure, density_g_per_ml, piece_weight_g FROM products WHERE id = ANY($1::integer[])',
+      [[...new Set(measured.map(ing => ing.product_id))]]
+    );
+    const products = new Map(result.rows.map(row => [row.id, row]));
+
+    ingredients.forEach((ingredient, index) => {
+      const product = products.get(ingredient.product_id);
+      const problem = product && ingredient.unit ? conversionProblem(ingredient.unit, product) : null;
+      if (problem) {
+        errors.push({ field: `ingredients[${index}].unit`, message: problem });
+      }
+    });
+  } catch (error) {
+    errors.push({
+      field: 'ingredients',
+      message: 'Failed to validate ingredient units'
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
 module.exports = {
   validateRecipe,
   validateIngredient,
   validateStep,
   validateCompleteRecipe,
-  validateProductsExist
+  validateProductsExist,
+  validateIngredientUnits
 };
\ No newline at end of file
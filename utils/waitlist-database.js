@@ -0,0 +1,256 @@
+/**
+ * Database query utilities for the walk-in waitlist
+ * Quotes wait times from the tables and recent seatings, and seats parties by opening their check
+ */
+
+const { DatabaseUtils } = require('./database');
+const { estimateWaitMinutes, ACTIVE_WAITLIST_STATUSES } = require('../models/Waitlist');
+const { DEFAULT_DURATION_MINUTES } = require('../models/Reservation');
+const { CheckQueries } = require('./check-database');
+const { EventBus } = require('./event-bus');
+const { createConflictError } = require('../middleware/errorHandler');
+
+// Waitlist entries with how long the party has waited (until seated or removed)
+const WAITLIST_SELECT = `
+  SELECT w.*,
+    FLOOR(EXTRACT(EPOCH FROM (COALESCE(w.seated_at, w.removed_at, CURRENT_TIMESTAMP) - w.created_at)) / 60)::integer
+      AS waited_minutes
+  FROM waitlist_entries w
+`;
+
+/**
+ * Payload of a waitlist.changed event
+ * @param {Object} entry - Waitlist entry row
+ * @returns {Object}
+ */
+function waitlistEvent(entry) {
+  return { entry_id: entry.id, status: entry.status, party_size: entry.party_size };
+}
+
+/**
+ * Waitlist database operations
+ */
+class WaitlistQueries {
+  /**
+   * Average length of a seating over the last 30 days of closed checks
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<number>} - Minutes (the default booking length when there is no history)
+   */
+  static async getAverageTurnMinutes(db = DatabaseUtils) {
+    const result = await db.query(`
+      SELECT AVG(EXTRACT(EPOCH FROM (closed_at - opened_at)) / 60) AS minutes
+      FROM checks
+      WHERE status = 'closed' AND closed_at >= CURRENT_TIMESTAMP - INTERVAL '30 days'
+    `);
+    const minutes = parseFloat(result.rows[0].minutes);
+    return isNaN(minutes) || minutes <= 0 ? DEFAULT_DURATION_MINUTES : Math.round(minutes);
+  }
+
+  /**
+   * Quote the wait for a party joining the list now
+   * @param {number} partySize - Guests in the party
+   * @param {Object} db - Database client (or DatabaseUtils)
+   * @returns {Promise<Object>} - { quoted_wait_minutes, parties_ahead, average_turn_minutes }
+   */
+  static async quoteWait(partySize, db = DatabaseUtils) {
+    const tablesResult = await db.query('SELECT id, capacity, status FROM tables WHERE retired_at IS NULL ORDER BY table_number');
+    const aheadResult = await db.query(
+      'SELECT COUNT(*) AS count FROM waitlist_entries WHERE status = ANY($1::varchar[])',
+      [ACTIVE_WAITLIST_STATUSES]
+    );
+    const partiesAhead = parseInt(aheadResult.rows[0].count);
+    const averageTurnMinutes = await this.getAverageTurnMinutes(db);
+
+    return {
+      quoted_wait_minutes: estimateWaitMinutes({
+        partySize,
+        partiesAhead,
+        tables: tablesResult.rows,
+        averageTurnMinutes
+      }),
+      parties_ahead: partiesAhead,
+      average_turn_minutes: averageTurnMinutes
+    };
+  }
+
+  /**
+   * List waitlist entries in arrival order
+   * @param {Object} options - { status } (parties still waiting or notified when omitted)
+   * @returns {Promise<Array>} - Entries; parties still on the list have their position
+   */
+  static async getWaitlist({ status = null } = {}) {
+    const statuses = status ? [status] : ACTIVE_WAITLIST_STATUSES;
+    const result = await DatabaseUtils.query(`
+      ${WAITLIST_SELECT}
+      WHERE w.status = ANY($1::varchar[])
+      ORDER BY w.created_at, w.id
+    `, [statuses]);
+
+    let position = 0;
+    return result.rows.map(entry => (
+      ACTIVE_WAITLIST_STATUSES.includes(entry.status) ? { ...entry, position: ++position } : entry
+    ));
+  }
+
+  /**
+   * Get a waitlist entry
+   * @param {number} entryId - Entry ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - Entry or null if not found
+   */
+  static async getEntryById(entryId, db = DatabaseUtils) {
+    const result = await db.query(`${WAITLIST_SELECT} WHERE w.id = $1`, [entryId]);
+    return result.rows.length > 0 ? result.rows[0] : null;
+  }
+
+  /**
+   * Lock a waitlist entry for update and require the party to still be on the list
+   * @param {Object} client - Database client inside a transaction
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<Object|null>} - Entry row or null if not found
+   */
+  static async lockActiveEntry(client, entryId) {
+    const result = await client.query('SELECT * FROM waitlist_entries WHERE id = $1 FOR UPDATE', [entryId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const entry = result.rows[0];
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+      throw createConflictError(`Waitlist entry ${entryId} is ${entry.status}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Add a walk-in party, quoting its wait unless quoted_wait_minutes is given
+   * @param {Object} data - Validated waitlist fields
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Object>} - { entry, estimate } where estimate is the calculated quote
+   */
+  static async addEntry(data, user) {
+    const estimate = await this.quoteWait(data.party_size);
+    const quoted = data.quoted_wait_minutes !== undefined && data.quoted_wait_minutes !== null
+      ? data.quoted_wait_minutes
+      : estimate.quoted_wait_minutes;
+
+    const result = await DatabaseUtils.query(`
+      INSERT INTO waitlist_entries (customer_name, phone, party_size, quoted_wait_minutes, notes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [data.customer_name.trim(), data.phone || null, data.party_size, quoted, data.notes || null, user ? user.id : null]);
+
+    const entry = { ...result.rows[0], waited_minutes: 0 };
+    EventBus.publish('waitlist.changed', waitlistEvent(entry));
+    return { entry, estimate };
+  }
+
+  /**
+   * Change a waiting party's details
+   * @param {number} entryId - Entry ID
+   * @param {Object} data - Validated fields to change
+   * @returns {Promise<Object|null>} - Updated entry or null if not found
+   */
+  static async updateEntry(entryId, data) {
+    return DatabaseUtils.transaction(async (client) => {
+      const entry = await this.lockActiveEntry(client, entryId);
+      if (!entry) {
+        return null;
+      }
+
+      const updates = {};
+      for (const field of ['customer_name', 'phone', 'party_size', 'quoted_wait_minutes', 'notes']) {
+        if (data[field] !== undefined) {
+          updates[field] = field === 'customer_name' ? data.customer_name.trim() : data[field];
+        }
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length > 0) {
+        await client.query(`
+          UPDATE waitlist_entries
+          SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(', ')}
+          WHERE id = $${columns.length + 1}
+        `, [...Object.values(updates), entry.id]);
+      }
+
+      const updated = await this.getEntryById(entry.id, client);
+      EventBus.publishOnCommit(client, 'waitlist.changed', waitlistEvent(updated));
+      return updated;
+    });
+  }
+
+  /**
+   * Record that the party was told its table is ready
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<Object|null>} - Updated entry or null if not found
+   */
+  static async notifyEntry(entryId) {
+    return this.setStatus(entryId, 'notified', 'notified_at');
+  }
+
+  /**
+   * Take a party off the list without seating it
+   * @param {number} entryId - Entry ID
+   * @returns {Promise<Object|null>} - Updated entry or null if not found
+   */
+  static async removeEntry(entryId) {
+    return this.setStatus(entryId, 'left', 'removed_at');
+  }
+
+  /**
+   * Move a party still on the list to a new status, stamping when it happened
+   * @param {number} entryId - Entry ID
+   * @param {string} status - 'notified' or 'left'
+   * @param {string} timestampColumn - Column recording when
+   * @returns {Promise<Object|null>} - Updated entry or null if not found
+   */
+  static async setStatus(entryId, status, timestampColumn) {
+    return DatabaseUtils.transaction(async (client) => {
+      const entry = await this.lockActiveEntry(client, entryId);
+      if (!entry) {
+        return null;
+      }
+
+      await client.query(
+        `UPDATE waitlist_entries SET status = $1, ${timestampColumn} = CURRENT_TIMESTAMP WHERE id = $2`,
+        [status, entry.id]
+      );
+
+      const updated = await this.getEntryById(entry.id, client);
+      EventBus.publishOnCommit(client, 'waitlist.changed', waitlistEvent(updated));
+      return updated;
+    });
+  }
+
+  /**
+   * Seat a party at one or more tables, opening its check
+   * @param {number} entryId - Entry ID
+   * @param {Array<number>} tableIds - Tables to seat the party at
+   * @param {Object|null} user - Signed-in staff user
+   * @returns {Promise<Object|null>} - Seated entry (with check_id) or null if not found
+   */
+  static async seatEntry(entryId, tableIds, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const entry = await this.lockActiveEntry(client, entryId);
+      if (!entry) {
+        return null;
+      }
+
+      const { check_id } = await CheckQueries.openCheckAtTables(client, tableIds, entry.party_size, user);
+      await client.query(`
+        UPDATE waitlist_entries
+        SET status = 'seated', check_id = $1, seated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [check_id, entry.id]);
+
+      const updated = await this.getEntryById(entry.id, client);
+      EventBus.publishOnCommit(client, 'waitlist.changed', waitlistEvent(updated));
+      return updated;
+    });
+  }
+}
+
+module.exports = {
+  WaitlistQueries
+};
@@ -0,0 +1,332 @@
+/**
+ * Database query utilities for waste logs
+ * Recording waste expands menu items and recipes into the ingredients they use, then takes every
+ * product out of stock with a 'waste' transaction referencing the log, costed at the product's
+ * current cost. Stock comes from the location given, or else from where the deduction rules take it.
+ * Expired lots can be wasted in one go, each at its own cost.
+ */
+
+const { DatabaseUtils } = require('./database');
+const { AlertService } = require('./alert-service');
+const { LocationQueries } = require('./location-database');
+const { LotQueries } = require('./lot-database');
+const { CostingQueries } = require('./costing-database');
+const OrderInventoryService = require('./order-inventory-service-cjs.js');
+const { summarizeWaste } = require('../models/Waste');
+const { createValidationError } = require('../middleware/errorHandler');
+
+// Waste logs with who recorded them and what they cost
+const WASTE_LOG_SELECT = `
+  SELECT w.*,
+    COALESCE(u.full_name, u.username) AS recorded_by_name,
+    (SELECT COUNT(*)::integer FROM waste_log_lines l WHERE l.waste_log_id = w.id) AS line_count,
+    (SELECT COALESCE(ROUND(SUM(l.quantity * COALESCE(l.unit_cost, 0)), 2), 0)
+      FROM waste_log_lines l WHERE l.waste_log_id = w.id) AS total_cost
+  FROM waste_logs w
+  LEFT JOIN staff_users u ON u.id = w.recorded_by
+`;
+
+/**
+ * Waste log database operations
+ */
+class WasteQueries {
+  /**
+   * List waste logs recorded between two dates, newest first
+   * @param {Object} options - { start_date, end_date } (YYYY-MM-DD, inclusive), { reason }
+   * @returns {Promise<Array>} - Waste logs without their lines
+   */
+  static async getWasteLogs(options) {
+    const params = [options.start_date, options.end_date];
+    let reasonFilter = '';
+    if (options.reason) {
+      params.push(options.reason);
+      reasonFilter = 'AND w.reason = $3';
+    }
+
+    const result = await DatabaseUtils.query(`
+      ${WASTE_LOG_SELECT}
+      WHERE w.created_at >= $1::date AND w.created_at < $2::date + 1
+      ${reasonFilter}
+      ORDER BY w.created_at DESC, w.id DESC
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Get a waste log with its lines
+   * @param {number} wasteLogId - Waste log ID
+   * @param {Object} db - Database client to read inside a transaction (defaults to DatabaseUtils)
+   * @returns {Promise<Object|null>} - Waste log or null if not found
+   */
+  static async getWasteLogById(wasteLogId, db = DatabaseUtils) {
+    const result = await db.query(`${WASTE_LOG_SELECT} WHERE w.id = $1`, [wasteLogId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const lines = await db.query(`
+      SELECT l.*, p.name AS product_name, p.unit_of_measure,
+        mi.name AS menu_item_name, r.name AS recipe_name,
+        ROUND(l.quantity * COALESCE(l.unit_cost, 0), 2) AS cost
+      FROM waste_log_lines l
+      JOIN products p ON p.id = l.product_id
+      LEFT JOIN menu_items mi ON mi.id = l.menu_item_id
+      LEFT JOIN recipes r ON r.id = l.recipe_id
+      WHERE l.waste_log_id = $1
+      ORDER BY l.id
+    `, [wasteLogId]);
+
+    return { ...result.rows[0], lines: lines.rows };
+  }
+
+  /**
+   * Turn waste items into the products they take out of stock
+   * Menu items use their recipe and recipes are scaled to the servings wasted, with quantities
+   * converted into each product's unit of measure
+   * @param {Object} client - Database client inside a transaction
+   * @param {Array} items - Validated items (see validateWasteLog)
+   * @returns {Promise<Object>} - { lines: [{ index, product_id, quantity, menu_item_id, recipe_id, recipe_category, source }], errors }
+   */
+  static async expandItems(client, items) {
+    const lines = [];
+    const errors = [];
+
+    for (const [index, item] of items.entries()) {
+      if (item.product_id) {
+        lines.push({
+          index, product_id: item.product_id, quantity: item.quantity, menu_item_id: null, recipe_id: null, recipe_category: null, source: null
+        });
+        continue;
+      }
+
+      let recipeId;
+      let recipeCategory;
+      let name;
+      if (item.menu_item_id) {
+        const result = await client.query(`
+          SELECT id, name, recipe_id, (SELECT category FROM recipes WHERE recipes.id = menu_items.recipe_id) AS recipe_category
+          FROM menu_items WHERE id = $1
+        `, [item.menu_item_id]);
+        const menuItem = result.rows[0];
+        if (!menuItem) {
+          errors.push({ field: `items[${index}].menu_item_id`, message: `Menu item ${item.menu_item_id} not found` });
+          continue;
+        }
+        if (!menuItem.recipe_id) {
+          errors.push({ field: `items[${index}].menu_item_id`, message: `Menu item "${menuItem.name}" has no recipe to take ingredients from` });
+          continue;
+        }
+        recipeId = menuItem.recipe_id;
+        recipeCategory = menuItem.recipe_category;
+        name = menuItem.name;
+      } else {
+        const result = await client.query('SELECT id, name, category FROM recipes WHERE id = $1', [item.recipe_id]);
+        if (result.rows.length === 0) {
+          errors.push({ field: `items[${index}].recipe_id`, message: `Recipe ${item.recipe_id} not found` });
+          continue;
+        }
+        recipeId = item.recipe_id;
+        recipeCategory = result.rows[0].category;
+        name = result.rows[0].name;
+      }
+
+      const ingredients = await OrderInventoryService.calculateIngredientQuantities(recipeId, item.quantity, client);
+      if (ingredients.length === 0) {
+        errors.push({
+          field: `items[${index}].${item.menu_item_id ? 'menu_item_id' : 'recipe_id'}`,
+          message: `"${name}" has no ingredients linked to products`
+        });
+        continue;
+      }
+
+      for (const ingredient of ingredients) {
+        lines.push({
+          index,
+          product_id: ingredient.product_id,
+          quantity: ingredient.total_quantity_needed,
+          menu_item_id: item.menu_item_id || null,
+          recipe_id: recipeId,
+          recipe_category: recipeCategory || null,
+          source: `${item.quantity} x ${name}`
+        });
+      }
+    }
+
+    return { lines, errors };
+  }
+
+  /**
+   * Record waste and take it out of stock
+   * Without a location, ingredients of a recipe come from the location serving its category when that
+   * location holds them, and everything else from each product's home location
+   * @param {Object} data - Validated data (see validateWasteLog)
+   * @param {Object|null} user - Staff user recording the waste
+   * @returns {Promise<Object>} - { waste_log, transactions }
+   */
+  static async recordWaste(data, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const { lines, errors } = await this.expandItems(client, data.items);
+
+      if (data.location_id && !(await LocationQueries.getActiveLocation(data.location_id, client))) {
+        errors.unshift({ field: 'location_id', message: `Location ${data.location_id} not found or inactive` });
+      }
+
+      const productIds = [...new Set(lines.map(line => line.product_id))];
+      const productsResult = await client.query(
+        'SELECT id, name, unit_of_measure, cost_per_unit FROM products WHERE id = ANY($1::integer[]) ORDER BY id FOR UPDATE',
+        [productIds]
+      );
+      const products = new Map(productsResult.rows.map(product => [product.id, product]));
+      for (const line of lines) {
+        if (!products.has(line.product_id) && !line.source) {
+          errors.push({ field: `items[${line.index}].product_id`, message: `Product ${line.product_id} not found` });
+        }
+      }
+      if (errors.length > 0) {
+        throw createValidationError(errors);
+      }
+
+      const logResult = await client.query(`
+        INSERT INTO waste_logs (reason, notes, recorded_by)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [data.reason, data.notes ? data.notes.trim() : null, user ? user.id : null]);
+      const log = logResult.rows[0];
+
+      const transactions = [];
+      for (const line of lines) {
+        const product = products.get(line.product_id);
+        const quantity = Math.round(line.quantity * 1000) / 1000;
+        if (quantity <= 0) {
+          continue;
+        }
+
+        await client.query(`
+          INSERT INTO waste_log_lines (waste_log_id, product_id, quantity, unit_cost, menu_item_id, recipe_id)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [log.id, line.product_id, quantity, product.cost_per_unit, line.menu_item_id, line.recipe_id]);
+
+        const locationId = await LocationQueries.changeLocationStock(
+          client,
+          line.product_id,
+          -quantity,
+          data.location_id || await LocationQueries.getDeductionLocationId(client, line.product_id, line.recipe_category, quantity)
+        );
+        const transaction = await client.query(`
+          INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, reference_type, reference_id, notes, location_id)
+          VALUES ($1, 'waste', $2, 'waste_log', $3, $4, $5)
+          RETURNING *
+        `, [
+          line.product_id,
+          -quantity,
+          log.id,
+          `Waste log #${log.id} (${data.reason})${line.source ? ` - ${line.source}` : ''}${log.notes ? `: ${log.notes}` : ''}`,
+          locationId
+        ]);
+        transactions.push(transaction.rows[0]);
+        await CostingQueries.recordTransaction(client, transaction.rows[0]);
+
+        const updated = await client.query(`
+          UPDATE products
+          SET current_quantity = current_quantity - $1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+          RETURNING *
+        `, [quantity, line.product_id]);
+        AlertService.publishStockChange(client, updated.rows[0], -quantity);
+      }
+
+      return { waste_log: await this.getWasteLogById(log.id, client), transactions };
+    });
+  }
+
+  /**
+   * Waste everything left in lots that expired before today
+   * Records one 'expired' waste log with a line per lot at the lot's cost, and takes each lot's stock
+   * out of its product's home location with a 'waste' transaction that empties the lot
+   * @param {Object} data - { notes }
+   * @param {Object|null} user - Staff user recording the waste
+   * @returns {Promise<Object>} - { waste_log, transactions, lots }; waste_log is null when nothing has expired
+   */
+  static async recordExpiredLots(data, user) {
+    return DatabaseUtils.transaction(async (client) => {
+      const lots = await LotQueries.getExpiredLotsForUpdate(client);
+      if (lots.length === 0) {
+        return { waste_log: null, transactions: [], lots: [] };
+      }
+
+      const logResult = await client.query(`
+        INSERT INTO waste_logs (reason, notes, recorded_by)
+        VALUES ('expired', $1, $2)
+        RETURNING *
+      `, [data.notes ? data.notes.trim() : null, user ? user.id : null]);
+      const log = logResult.rows[0];
+
+      const transactions = [];
+      for (const lot of lots) {
+        const quantity = parseFloat(lot.quantity_remaining);
+        const lotName = lot.lot_code ? `lot ${lot.lot_code}` : `lot #${lot.id}`;
+
+        await client.query(`
+          INSERT INTO waste_log_lines (waste_log_id, product_id, quantity, unit_cost, menu_item_id, recipe_id)
+          VALUES ($1, $2, $3, $4, NULL, NULL)
+        `, [log.id, lot.product_id, quantity, lot.unit_cost]);
+
+        const locationId = await LocationQueries.changeLocationStock(client, lot.product_id, -quantity);
+        const transaction = await client.query(`
+          INSERT INTO inventory_transactions (product_id, transaction_type, quantity_change, reference_type, reference_id, notes, location_id)
+          VALUES ($1, 'waste', $2, 'waste_log', $3, $4, $5)
+          RETURNING *
+        `, [
+          lot.product_id,
+          -quantity,
+          log.id,
+          `Waste log #${log.id} (expired) - ${lotName}${log.notes ? `: ${log.notes}` : ''}`,
+          locationId
+        ]);
+        transactions.push(transaction.rows[0]);
+        await LotQueries.takeFromLot(client, lot.id, quantity, transaction.rows[0].id);
+        await CostingQueries.costTransaction(client, transaction.rows[0]);
+
+        const updated = await client.query(`
+          UPDATE products
+          SET current_quantity = current_quantity - $1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+          RETURNING *
+        `, [quantity, lot.product_id]);
+        AlertService.publishStockChange(client, updated.rows[0], -quantity);
+      }
+
+      return { waste_log: await this.getWasteLogById(log.id, client), transactions, lots };
+    });
+  }
+
+  /**
+   * Waste cost between two dates by reason, product, day and staff member
+   * Only logged waste is included; food wasted by voiding an order is recorded with the order's voids
+   * @param {Object} range - { start_date, end_date } (YYYY-MM-DD, inclusive)
+   * @returns {Promise<Object>} - { start_date, end_date, total_cost, entry_count, by_reason, by_product, by_day, by_staff }
+   */
+  static async getWasteReport(range) {
+    const result = await DatabaseUtils.query(`
+      SELECT l.waste_log_id, w.reason, l.product_id, p.name AS product_name, p.unit_of_measure,
+        l.quantity, l.unit_cost, TO_CHAR(w.created_at, 'YYYY-MM-DD') AS day,
+        w.recorded_by, COALESCE(u.full_name, u.username) AS recorded_by_name
+      FROM waste_log_lines l
+      JOIN waste_logs w ON w.id = l.waste_log_id
+      JOIN products p ON p.id = l.product_id
+      LEFT JOIN staff_users u ON u.id = w.recorded_by
+      WHERE w.created_at >= $1::date AND w.created_at < $2::date + 1
+      ORDER BY w.created_at, l.id
+    `, [range.start_date, range.end_date]);
+
+    return {
+      start_date: range.start_date,
+      end_date: range.end_date,
+      ...summarizeWaste(result.rows)
+    };
+  }
+}
+
+module.exports = {
+  WasteQueries
+};
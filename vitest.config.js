@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    env: {
+      // API tests exercise route behaviour directly; auth is covered in tests/auth.test.js
+      AUTH_ENABLED: 'false'
+    }
+  }
+});